@@ -0,0 +1,120 @@
+-- =====================================================
+-- MIGRATION: Add game_audit_log table
+-- Date: 2026-10-19
+-- Purpose: Record every insert, update and delete of games, game_players,
+--          pitching_logs and positions_played with the acting user and
+--          before/after row snapshots, so any change to a game (e.g. a
+--          pitch count edited after the fact) can be traced and undone
+-- =====================================================
+
+BEGIN;
+
+-- Create game_audit_log table (one row per changed record)
+CREATE TABLE IF NOT EXISTS public.game_audit_log (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  game_id UUID NOT NULL,  -- no foreign key: history is kept after a game is deleted
+  table_name TEXT NOT NULL CHECK (table_name IN ('games', 'game_players', 'pitching_logs', 'positions_played')),
+  record_id UUID NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('INSERT', 'UPDATE', 'DELETE')),
+  old_data JSONB,
+  new_data JSONB,
+  changed_by UUID REFERENCES public.user_profiles(id) ON DELETE SET NULL,
+  transaction_id BIGINT NOT NULL DEFAULT txid_current(),
+  changed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT clock_timestamp()
+);
+
+CREATE INDEX IF NOT EXISTS idx_game_audit_log_game ON public.game_audit_log(game_id, changed_at);
+CREATE INDEX IF NOT EXISTS idx_game_audit_log_changed_by ON public.game_audit_log(changed_by);
+
+-- Add comments for documentation
+COMMENT ON TABLE public.game_audit_log IS
+  'Change history for games and their player data. Written only by the audit_game_change() trigger.';
+
+COMMENT ON COLUMN public.game_audit_log.transaction_id IS
+  'Rows written in the same transaction (one save) share this id and form one version of the game';
+
+-- Seed a starting version for existing games so their history begins with the current data
+INSERT INTO public.game_audit_log (game_id, table_name, record_id, action, new_data, changed_at)
+SELECT g.id, 'games', g.id, 'INSERT', to_jsonb(g), COALESCE(g.updated_at, g.created_at, NOW())
+FROM public.games g;
+
+INSERT INTO public.game_audit_log (game_id, table_name, record_id, action, new_data, changed_at)
+SELECT r.game_id, 'game_players', r.id, 'INSERT', to_jsonb(r), COALESCE(g.updated_at, g.created_at, NOW())
+FROM public.game_players r
+JOIN public.games g ON g.id = r.game_id;
+
+INSERT INTO public.game_audit_log (game_id, table_name, record_id, action, new_data, changed_at)
+SELECT r.game_id, 'pitching_logs', r.id, 'INSERT', to_jsonb(r), COALESCE(g.updated_at, g.created_at, NOW())
+FROM public.pitching_logs r
+JOIN public.games g ON g.id = r.game_id;
+
+INSERT INTO public.game_audit_log (game_id, table_name, record_id, action, new_data, changed_at)
+SELECT r.game_id, 'positions_played', r.id, 'INSERT', to_jsonb(r), COALESCE(g.updated_at, g.created_at, NOW())
+FROM public.positions_played r
+JOIN public.games g ON g.id = r.game_id;
+
+-- Enable RLS
+ALTER TABLE public.game_audit_log ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policy: All authenticated users can view game history (same as the games themselves)
+-- No insert/update/delete policies: only the trigger writes, and history can't be edited
+CREATE POLICY "All authenticated users can view game history"
+  ON public.game_audit_log FOR SELECT
+  USING ((select auth.uid()) IS NOT NULL);
+
+-- Record a change to a game or its player data
+CREATE OR REPLACE FUNCTION public.audit_game_change()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_old JSONB := CASE WHEN TG_OP IN ('UPDATE', 'DELETE') THEN to_jsonb(OLD) END;
+  v_new JSONB := CASE WHEN TG_OP IN ('INSERT', 'UPDATE') THEN to_jsonb(NEW) END;
+  v_row JSONB := COALESCE(v_new, v_old);
+BEGIN
+  -- Skip updates that only touch the timestamp
+  IF TG_OP = 'UPDATE' AND (v_old - 'updated_at') = (v_new - 'updated_at') THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO public.game_audit_log (game_id, table_name, record_id, action, old_data, new_data, changed_by)
+  VALUES (
+    CASE WHEN TG_TABLE_NAME = 'games' THEN (v_row->>'id')::UUID ELSE (v_row->>'game_id')::UUID END,
+    TG_TABLE_NAME,
+    (v_row->>'id')::UUID,
+    TG_OP,
+    v_old,
+    v_new,
+    (SELECT up.id FROM public.user_profiles up WHERE up.id = auth.uid())
+  );
+
+  RETURN NULL;
+END;
+$$;
+
+CREATE TRIGGER audit_games_changes AFTER INSERT OR UPDATE OR DELETE ON public.games
+  FOR EACH ROW EXECUTE FUNCTION public.audit_game_change();
+
+CREATE TRIGGER audit_game_players_changes AFTER INSERT OR UPDATE OR DELETE ON public.game_players
+  FOR EACH ROW EXECUTE FUNCTION public.audit_game_change();
+
+CREATE TRIGGER audit_pitching_logs_changes AFTER INSERT OR UPDATE OR DELETE ON public.pitching_logs
+  FOR EACH ROW EXECUTE FUNCTION public.audit_game_change();
+
+CREATE TRIGGER audit_positions_played_changes AFTER INSERT OR UPDATE OR DELETE ON public.positions_played
+  FOR EACH ROW EXECUTE FUNCTION public.audit_game_change();
+
+COMMIT;
+
+-- =====================================================
+-- Migration complete!
+-- =====================================================
+-- Notes:
+--   - Existing games start with one seeded version (changed_by NULL)
+--   - A save_game() call is one transaction, so it shows as one version
+--     in the History tab of Game Details
+--   - Admins restore a version by saving its data again through
+--     save_game(); the restore is recorded as a new version
+--   - Deleting a game keeps its history (game_id has no foreign key)
+-- =====================================================
@@ -0,0 +1,131 @@
+-- =====================================================
+-- MIGRATION: Add concurrent-edit check to save_game()
+-- Date: 2026-10-19
+-- Purpose: Stop a game edit from silently overwriting changes another
+--          scorekeeper saved after the editor loaded the game. save_game()
+--          takes the updated_at the editor started from and raises
+--          SQLSTATE TL409 if the game has changed since.
+-- =====================================================
+
+BEGIN;
+
+-- The new parameter changes the signature; drop the old one so calls aren't ambiguous
+DROP FUNCTION IF EXISTS public.save_game(UUID, JSONB, JSONB, JSONB, JSONB, JSONB);
+
+-- Save a game and all of its player data atomically
+-- Runs with the caller's permissions, so the games/player data RLS policies apply.
+CREATE OR REPLACE FUNCTION public.save_game(
+  p_game_id UUID,
+  p_game JSONB,
+  p_attendance JSONB,
+  p_pitching_logs JSONB,
+  p_positions JSONB,
+  p_violations JSONB DEFAULT '[]'::jsonb,
+  p_expected_updated_at TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS public.games
+LANGUAGE plpgsql
+SECURITY INVOKER
+AS $$
+DECLARE
+  v_game public.games;
+  v_current_updated_at TIMESTAMPTZ;
+BEGIN
+  IF p_game_id IS NULL THEN
+    INSERT INTO public.games (season_id, game_date, scorekeeper_name, scorekeeper_team_id, home_team_id, away_team_id, home_score, away_score, notes)
+    SELECT r.season_id, r.game_date, r.scorekeeper_name, r.scorekeeper_team_id, r.home_team_id, r.away_team_id, r.home_score, r.away_score, r.notes
+    FROM jsonb_populate_record(NULL::public.games, p_game) r
+    RETURNING * INTO v_game;
+  ELSE
+    -- Lock the game and refuse to overwrite changes saved since the editor loaded it
+    SELECT g.updated_at INTO v_current_updated_at
+    FROM public.games g
+    WHERE g.id = p_game_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Game not found or you do not have permission to edit it';
+    END IF;
+
+    IF p_expected_updated_at IS NOT NULL AND v_current_updated_at IS DISTINCT FROM p_expected_updated_at THEN
+      RAISE EXCEPTION 'This game was changed by someone else after you opened it'
+        USING ERRCODE = 'TL409',
+              DETAIL = to_char(v_current_updated_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"');
+    END IF;
+
+    UPDATE public.games g SET
+      season_id = r.season_id,
+      game_date = r.game_date,
+      scorekeeper_name = r.scorekeeper_name,
+      scorekeeper_team_id = r.scorekeeper_team_id,
+      home_team_id = r.home_team_id,
+      away_team_id = r.away_team_id,
+      home_score = r.home_score,
+      away_score = r.away_score,
+      notes = r.notes
+    FROM jsonb_populate_record(NULL::public.games, p_game) r
+    WHERE g.id = p_game_id
+    RETURNING g.* INTO v_game;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Game not found or you do not have permission to edit it';
+    END IF;
+
+    DELETE FROM public.game_players WHERE game_id = v_game.id;
+    DELETE FROM public.pitching_logs WHERE game_id = v_game.id;
+    DELETE FROM public.positions_played WHERE game_id = v_game.id;
+    DELETE FROM public.game_violations WHERE game_id = v_game.id;
+  END IF;
+
+  INSERT INTO public.game_players (game_id, player_id, was_present, absence_note)
+  SELECT v_game.id, a.player_id, a.was_present, a.absence_note
+  FROM jsonb_to_recordset(p_attendance) AS a(player_id UUID, was_present BOOLEAN, absence_note TEXT);
+
+  INSERT INTO public.positions_played (game_id, player_id, inning_number, position)
+  SELECT v_game.id, pos.player_id, pos.inning_number, pos.position
+  FROM jsonb_to_recordset(p_positions) AS pos(player_id UUID, inning_number INTEGER, position TEXT);
+
+  -- Next eligible date = this game's rest requirement (penultimate batter + 1),
+  -- or rest still owed from earlier games if later
+  INSERT INTO public.pitching_logs (game_id, player_id, final_pitch_count, penultimate_batter_count, next_eligible_pitch_date)
+  SELECT
+    v_game.id,
+    l.player_id,
+    l.final_pitch_count,
+    l.penultimate_batter_count,
+    GREATEST(
+      v_game.game_date + public.required_rest_days(v_game.season_id, p.age, l.penultimate_batter_count + 1) + 1,
+      public.eligible_pitch_date_before(l.player_id, v_game.game_date)
+    )
+  FROM jsonb_to_recordset(p_pitching_logs) AS l(player_id UUID, final_pitch_count INTEGER, penultimate_batter_count INTEGER)
+  JOIN public.players p ON p.id = l.player_id;
+
+  -- Detailed violation records (rule, innings, message) come from the client
+  INSERT INTO public.game_violations (game_id, player_id, rule_id, innings, pitch_count, message)
+  SELECT v_game.id, v.player_id, v.rule_id, v.innings, v.pitch_count, v.message
+  FROM jsonb_to_recordset(COALESCE(p_violations, '[]'::jsonb))
+    AS v(player_id UUID, rule_id TEXT, innings INTEGER[], pitch_count INTEGER, message TEXT);
+
+  UPDATE public.games
+  SET has_violation = public.game_has_violation(v_game.id)
+  WHERE id = v_game.id
+  RETURNING * INTO v_game;
+
+  RETURN v_game;
+END;
+$$;
+
+COMMENT ON FUNCTION public.save_game IS
+  'Creates (p_game_id NULL) or updates a game and replaces its attendance, pitching logs, positions and violation records in one transaction. Computes next_eligible_pitch_date and has_violation. Any error rolls back the whole save. When p_expected_updated_at is given and the game changed since then, raises SQLSTATE TL409.';
+
+COMMIT;
+
+-- =====================================================
+-- Migration complete!
+-- =====================================================
+-- Notes:
+--   - The error DETAIL carries the game's current updated_at (ISO 8601, UTC)
+--   - Game Entry shows a per-player, field-by-field diff of both versions
+--     and lets the scorekeeper merge them before saving again
+--   - Calls without p_expected_updated_at (new games) behave as before
+-- =====================================================
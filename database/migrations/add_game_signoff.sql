@@ -0,0 +1,196 @@
+-- =====================================================
+-- MIGRATION: Add game sign-off
+-- Date: 2026-10-19
+-- Purpose: Finalize games. The scorekeeper's team submits a played game,
+--          the opposing head coach confirms the pitch counts, and the
+--          confirmed game is locked until an admin reopens it with a
+--          reason.
+-- =====================================================
+
+BEGIN;
+
+-- Sign-off state (NULL = not submitted) and who submitted, confirmed and reopened the game
+ALTER TABLE public.games
+  ADD COLUMN IF NOT EXISTS signoff_status TEXT CHECK (signoff_status IN ('submitted', 'confirmed')),
+  ADD COLUMN IF NOT EXISTS signoff_submitted_by UUID REFERENCES public.user_profiles(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS signoff_submitted_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS signoff_confirmed_by UUID REFERENCES public.user_profiles(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS signoff_confirmed_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS reopened_by UUID REFERENCES public.user_profiles(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS reopened_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS reopen_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_games_signoff_status ON public.games(signoff_status)
+  WHERE signoff_status = 'submitted';
+
+COMMENT ON COLUMN public.games.signoff_status IS
+  'NULL until the scorekeeper''s team submits the game, then submitted, then confirmed by the opposing head coach. Confirmed games are locked until an admin reopens them.';
+COMMENT ON COLUMN public.games.reopen_reason IS
+  'Why an admin last reopened the game after it was confirmed';
+
+-- Game sign-off: allowed sign-off changes, who made them, and the lock on confirmed games
+-- (the app side is src/lib/gameSignoff.js)
+CREATE OR REPLACE FUNCTION public.enforce_game_signoff()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_user_id UUID := (SELECT up.id FROM public.user_profiles up WHERE up.id = auth.uid());
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    IF OLD.signoff_status = 'confirmed' THEN
+      RAISE EXCEPTION 'This game is signed off and locked; an admin must reopen it first';
+    END IF;
+    RETURN OLD;
+  END IF;
+
+  IF NEW.signoff_status IS NOT DISTINCT FROM OLD.signoff_status THEN
+    -- Who and when only change with the sign-off status
+    NEW.signoff_submitted_by := OLD.signoff_submitted_by;
+    NEW.signoff_submitted_at := OLD.signoff_submitted_at;
+    NEW.signoff_confirmed_by := OLD.signoff_confirmed_by;
+    NEW.signoff_confirmed_at := OLD.signoff_confirmed_at;
+    NEW.reopened_by := OLD.reopened_by;
+    NEW.reopened_at := OLD.reopened_at;
+    NEW.reopen_reason := OLD.reopen_reason;
+
+    -- Derived values (has_violation, rest recomputed after earlier games change) may still update
+    IF OLD.signoff_status = 'confirmed' AND (
+      NEW.season_id, NEW.game_date, NEW.start_time, NEW.home_team_id, NEW.away_team_id,
+      NEW.home_score, NEW.away_score, NEW.scorekeeper_name, NEW.scorekeeper_team_id, NEW.notes,
+      NEW.status, NEW.forfeiting_team_id, NEW.rescheduled_game_id, NEW.suspended_after_inning,
+      NEW.resume_date, NEW.reconciliation_status
+    ) IS DISTINCT FROM (
+      OLD.season_id, OLD.game_date, OLD.start_time, OLD.home_team_id, OLD.away_team_id,
+      OLD.home_score, OLD.away_score, OLD.scorekeeper_name, OLD.scorekeeper_team_id, OLD.notes,
+      OLD.status, OLD.forfeiting_team_id, OLD.rescheduled_game_id, OLD.suspended_after_inning,
+      OLD.resume_date, OLD.reconciliation_status
+    ) THEN
+      RAISE EXCEPTION 'This game is signed off and locked; an admin must reopen it first';
+    END IF;
+
+    RETURN NEW;
+  END IF;
+
+  IF OLD.signoff_status IS NULL AND NEW.signoff_status = 'submitted' THEN
+    IF NEW.status NOT IN ('final', 'forfeited') THEN
+      RAISE EXCEPTION 'Only final or forfeited games can be signed off';
+    END IF;
+    IF NEW.reconciliation_status IS NOT NULL AND NEW.reconciliation_status != 'resolved' THEN
+      RAISE EXCEPTION 'Reconcile the two scorekeepers'' counts before signing off the game';
+    END IF;
+    IF NOT (public.is_admin() OR EXISTS (
+      SELECT 1 FROM public.team_coaches tc
+      WHERE tc.team_id = NEW.scorekeeper_team_id
+        AND tc.user_id = auth.uid()
+        AND tc.can_edit = true
+    )) THEN
+      RAISE EXCEPTION 'Only the scorekeeper''s team or an admin can submit this game';
+    END IF;
+
+    NEW.signoff_submitted_by := v_user_id;
+    NEW.signoff_submitted_at := NOW();
+    NEW.signoff_confirmed_by := NULL;
+    NEW.signoff_confirmed_at := NULL;
+  ELSIF OLD.signoff_status = 'submitted' AND NEW.signoff_status = 'confirmed' THEN
+    -- The team that didn't keep the score confirms (either team when the scorekeeper was neutral)
+    IF NOT EXISTS (
+      SELECT 1 FROM public.team_coaches tc
+      WHERE tc.user_id = auth.uid()
+        AND tc.role = 'head_coach'
+        AND tc.team_id IN (NEW.home_team_id, NEW.away_team_id)
+        AND tc.team_id IS DISTINCT FROM NEW.scorekeeper_team_id
+    ) THEN
+      RAISE EXCEPTION 'Only the opposing head coach can confirm this game';
+    END IF;
+
+    NEW.signoff_confirmed_by := v_user_id;
+    NEW.signoff_confirmed_at := NOW();
+  ELSIF OLD.signoff_status = 'submitted' AND NEW.signoff_status IS NULL THEN
+    -- Withdrawn, or the game was saved again before it was confirmed
+    NEW.signoff_submitted_by := NULL;
+    NEW.signoff_submitted_at := NULL;
+  ELSIF OLD.signoff_status = 'confirmed' AND NEW.signoff_status IS NULL THEN
+    IF NOT public.is_admin() THEN
+      RAISE EXCEPTION 'Only an admin can reopen a signed-off game';
+    END IF;
+    IF NULLIF(trim(NEW.reopen_reason), '') IS NULL THEN
+      RAISE EXCEPTION 'A reason is required to reopen a signed-off game';
+    END IF;
+
+    NEW.signoff_submitted_by := NULL;
+    NEW.signoff_submitted_at := NULL;
+    NEW.signoff_confirmed_by := NULL;
+    NEW.signoff_confirmed_at := NULL;
+    NEW.reopened_by := v_user_id;
+    NEW.reopened_at := NOW();
+  ELSE
+    RAISE EXCEPTION 'A game''s sign-off cannot change from % to %',
+      COALESCE(OLD.signoff_status, 'not submitted'), COALESCE(NEW.signoff_status, 'not submitted');
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+COMMENT ON FUNCTION public.enforce_game_signoff IS
+  'Checks sign-off changes (submit by the scorekeeper''s team, confirm by the opposing head coach, reopen by an admin with a reason), stamps who made them and refuses changes to a confirmed game.';
+
+-- Player data of a confirmed game is locked; saving a submitted game withdraws the submission
+CREATE OR REPLACE FUNCTION public.enforce_game_data_lock()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_game_id UUID := CASE WHEN TG_OP = 'DELETE' THEN OLD.game_id ELSE NEW.game_id END;
+  v_signoff_status TEXT;
+BEGIN
+  -- Rest recomputed after an earlier game changed is not a change to this game
+  IF TG_TABLE_NAME = 'pitching_logs' AND TG_OP = 'UPDATE' AND (
+    NEW.game_id, NEW.player_id, NEW.final_pitch_count, NEW.penultimate_batter_count, NEW.pitch_date, NEW.resumed
+  ) IS NOT DISTINCT FROM (
+    OLD.game_id, OLD.player_id, OLD.final_pitch_count, OLD.penultimate_batter_count, OLD.pitch_date, OLD.resumed
+  ) THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT g.signoff_status INTO v_signoff_status
+  FROM public.games g
+  WHERE g.id = v_game_id;
+
+  IF v_signoff_status = 'confirmed' THEN
+    RAISE EXCEPTION 'This game is signed off and locked; an admin must reopen it first';
+  ELSIF v_signoff_status = 'submitted' THEN
+    UPDATE public.games SET signoff_status = NULL
+    WHERE id = v_game_id AND signoff_status = 'submitted';
+  END IF;
+
+  RETURN CASE WHEN TG_OP = 'DELETE' THEN OLD ELSE NEW END;
+END;
+$$;
+
+CREATE TRIGGER enforce_games_signoff BEFORE UPDATE OR DELETE ON public.games
+  FOR EACH ROW EXECUTE FUNCTION public.enforce_game_signoff();
+
+CREATE TRIGGER lock_signed_off_game_players BEFORE INSERT OR UPDATE OR DELETE ON public.game_players
+  FOR EACH ROW EXECUTE FUNCTION public.enforce_game_data_lock();
+
+CREATE TRIGGER lock_signed_off_pitching_logs BEFORE INSERT OR UPDATE OR DELETE ON public.pitching_logs
+  FOR EACH ROW EXECUTE FUNCTION public.enforce_game_data_lock();
+
+CREATE TRIGGER lock_signed_off_positions_played BEFORE INSERT OR UPDATE OR DELETE ON public.positions_played
+  FOR EACH ROW EXECUTE FUNCTION public.enforce_game_data_lock();
+
+COMMIT;
+
+-- =====================================================
+-- Migration complete!
+-- =====================================================
+-- Notes:
+--   - Existing games start as not submitted
+--   - The confirming head coach needs edit rights on their team to update
+--     the game (RLS "Coaches can manage team games")
+--   - Rest and has_violation recomputed after an earlier game changes are
+--     still written to confirmed games
+--   - Saving a submitted game withdraws the submission
+-- =====================================================
@@ -0,0 +1,171 @@
+-- =====================================================
+-- MIGRATION: Add game status lifecycle
+-- Date: 2026-10-19
+-- Purpose: Tell rainouts, forfeits, cancellations and unfinished games
+--          apart from completed ones. Games get a status, the forfeiting
+--          team of a forfeit and the replacement of a postponed game.
+--          save_game() saves the status with the rest of the game.
+-- =====================================================
+
+BEGIN;
+
+-- Status columns (existing games were all entered as completed)
+ALTER TABLE public.games
+  ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'final'
+    CHECK (status IN ('scheduled', 'in_progress', 'final', 'postponed', 'forfeited', 'cancelled')),
+  ADD COLUMN IF NOT EXISTS forfeiting_team_id UUID REFERENCES public.teams(id) ON DELETE RESTRICT,
+  ADD COLUMN IF NOT EXISTS rescheduled_game_id UUID REFERENCES public.games(id) ON DELETE SET NULL;
+
+ALTER TABLE public.games
+  ADD CONSTRAINT games_forfeiting_team_check CHECK (
+    (status = 'forfeited') = (forfeiting_team_id IS NOT NULL)
+    AND (forfeiting_team_id IS NULL OR forfeiting_team_id IN (home_team_id, away_team_id))
+  ),
+  ADD CONSTRAINT games_rescheduled_game_check CHECK (
+    rescheduled_game_id IS NULL OR (status = 'postponed' AND rescheduled_game_id != id)
+  );
+
+-- Games not played yet have no scorekeeper
+ALTER TABLE public.games ALTER COLUMN scorekeeper_name DROP NOT NULL;
+
+ALTER TABLE public.games
+  ADD CONSTRAINT games_scorekeeper_name_check CHECK (
+    scorekeeper_name IS NOT NULL OR status IN ('scheduled', 'postponed', 'cancelled')
+  );
+
+CREATE INDEX IF NOT EXISTS idx_games_status ON public.games(status) WHERE status != 'final';
+
+COMMENT ON COLUMN public.games.status IS
+  'scheduled, in_progress, final, postponed, forfeited or cancelled. Allowed transitions are enforced by the app (src/lib/gameStatus.js).';
+
+COMMENT ON COLUMN public.games.forfeiting_team_id IS
+  'Team that forfeited (home or away); set only for forfeited games';
+
+COMMENT ON COLUMN public.games.rescheduled_game_id IS
+  'Replacement game of a postponed game';
+
+-- save_game() now also saves status and forfeiting_team_id.
+-- The reschedule link is kept while the game stays postponed.
+CREATE OR REPLACE FUNCTION public.save_game(
+  p_game_id UUID,
+  p_game JSONB,
+  p_attendance JSONB,
+  p_pitching_logs JSONB,
+  p_positions JSONB,
+  p_violations JSONB DEFAULT '[]'::jsonb,
+  p_expected_updated_at TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS public.games
+LANGUAGE plpgsql
+SECURITY INVOKER
+AS $$
+DECLARE
+  v_game public.games;
+  v_current_updated_at TIMESTAMPTZ;
+BEGIN
+  IF p_game_id IS NULL THEN
+    INSERT INTO public.games (season_id, game_date, scorekeeper_name, scorekeeper_team_id, home_team_id, away_team_id, home_score, away_score, notes, status, forfeiting_team_id)
+    SELECT r.season_id, r.game_date, r.scorekeeper_name, r.scorekeeper_team_id, r.home_team_id, r.away_team_id, r.home_score, r.away_score, r.notes,
+      COALESCE(r.status, 'final'), r.forfeiting_team_id
+    FROM jsonb_populate_record(NULL::public.games, p_game) r
+    RETURNING * INTO v_game;
+  ELSE
+    -- Lock the game and refuse to overwrite changes saved since the editor loaded it
+    SELECT g.updated_at INTO v_current_updated_at
+    FROM public.games g
+    WHERE g.id = p_game_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Game not found or you do not have permission to edit it';
+    END IF;
+
+    IF p_expected_updated_at IS NOT NULL AND v_current_updated_at IS DISTINCT FROM p_expected_updated_at THEN
+      RAISE EXCEPTION 'This game was changed by someone else after you opened it'
+        USING ERRCODE = 'TL409',
+              DETAIL = to_char(v_current_updated_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"');
+    END IF;
+
+    UPDATE public.games g SET
+      season_id = r.season_id,
+      game_date = r.game_date,
+      scorekeeper_name = r.scorekeeper_name,
+      scorekeeper_team_id = r.scorekeeper_team_id,
+      home_team_id = r.home_team_id,
+      away_team_id = r.away_team_id,
+      home_score = r.home_score,
+      away_score = r.away_score,
+      notes = r.notes,
+      status = COALESCE(r.status, g.status),
+      forfeiting_team_id = r.forfeiting_team_id,
+      rescheduled_game_id = CASE WHEN COALESCE(r.status, g.status) = 'postponed' THEN g.rescheduled_game_id END
+    FROM jsonb_populate_record(NULL::public.games, p_game) r
+    WHERE g.id = p_game_id
+    RETURNING g.* INTO v_game;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Game not found or you do not have permission to edit it';
+    END IF;
+
+    DELETE FROM public.game_players WHERE game_id = v_game.id;
+    DELETE FROM public.pitching_logs WHERE game_id = v_game.id;
+    DELETE FROM public.positions_played WHERE game_id = v_game.id;
+    DELETE FROM public.game_violations WHERE game_id = v_game.id;
+  END IF;
+
+  INSERT INTO public.game_players (game_id, player_id, was_present, absence_note)
+  SELECT v_game.id, a.player_id, a.was_present, a.absence_note
+  FROM jsonb_to_recordset(p_attendance) AS a(player_id UUID, was_present BOOLEAN, absence_note TEXT);
+
+  INSERT INTO public.positions_played (game_id, player_id, inning_number, position)
+  SELECT v_game.id, pos.player_id, pos.inning_number, pos.position
+  FROM jsonb_to_recordset(p_positions) AS pos(player_id UUID, inning_number INTEGER, position TEXT);
+
+  -- Next eligible date = this game's rest requirement (penultimate batter + 1),
+  -- or rest still owed from earlier games if later
+  INSERT INTO public.pitching_logs (game_id, player_id, final_pitch_count, penultimate_batter_count, next_eligible_pitch_date)
+  SELECT
+    v_game.id,
+    l.player_id,
+    l.final_pitch_count,
+    l.penultimate_batter_count,
+    GREATEST(
+      v_game.game_date + public.required_rest_days(v_game.season_id, p.age, l.penultimate_batter_count + 1) + 1,
+      public.eligible_pitch_date_before(l.player_id, v_game.game_date)
+    )
+  FROM jsonb_to_recordset(p_pitching_logs) AS l(player_id UUID, final_pitch_count INTEGER, penultimate_batter_count INTEGER)
+  JOIN public.players p ON p.id = l.player_id;
+
+  -- Detailed violation records (rule, innings, message) come from the client
+  INSERT INTO public.game_violations (game_id, player_id, rule_id, innings, pitch_count, message)
+  SELECT v_game.id, v.player_id, v.rule_id, v.innings, v.pitch_count, v.message
+  FROM jsonb_to_recordset(COALESCE(p_violations, '[]'::jsonb))
+    AS v(player_id UUID, rule_id TEXT, innings INTEGER[], pitch_count INTEGER, message TEXT);
+
+  UPDATE public.games
+  SET has_violation = public.game_has_violation(v_game.id)
+  WHERE id = v_game.id
+  RETURNING * INTO v_game;
+
+  RETURN v_game;
+END;
+$$;
+
+COMMENT ON FUNCTION public.save_game IS
+  'Creates (p_game_id NULL) or updates a game and replaces its attendance, pitching logs, positions and violation records in one transaction. Computes next_eligible_pitch_date and has_violation. Any error rolls back the whole save. When p_expected_updated_at is given and the game changed since then, raises SQLSTATE TL409.';
+
+COMMIT;
+
+-- =====================================================
+-- Migration complete!
+-- =====================================================
+-- Notes:
+--   - Existing games become final
+--   - Game Entry records final, in-progress and forfeited games through the
+--     game form; "Status" on a game postpones (optionally creating the
+--     replacement game on a new date), cancels or forfeits it
+--   - Standings count final and forfeited games only; a forfeit is a loss
+--     for the forfeiting team whatever the score
+--   - Transitions are checked in the app rather than by a trigger so an
+--     admin can still restore an earlier version from the game history
+-- =====================================================
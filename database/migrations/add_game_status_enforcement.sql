@@ -0,0 +1,143 @@
+-- =====================================================
+-- MIGRATION: Enforce game status transitions and schedule postponed games
+-- Date: 2026-10-19
+-- Purpose: The allowed status changes were only checked in the app, and
+--          postponing created the replacement as a games row with status
+--          'scheduled' that never appeared in the season schedule, using
+--          separate client calls for the insert and the link. A trigger now
+--          refuses transitions outside the lifecycle, and change_game_status()
+--          changes the status and adds the replacement to scheduled_games in
+--          one transaction.
+-- =====================================================
+
+BEGIN;
+
+-- Replacement fixtures of postponed games
+ALTER TABLE public.scheduled_games
+  ADD COLUMN IF NOT EXISTS replaces_game_id UUID UNIQUE REFERENCES public.games(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN public.scheduled_games.replaces_game_id IS
+  'Postponed game this fixture replaces; its games.rescheduled_game_id is set once the fixture''s result is entered';
+
+COMMENT ON COLUMN public.games.status IS
+  'scheduled, in_progress, suspended, final, postponed, forfeited or cancelled. Allowed transitions are enforced by the enforce_games_status_transition trigger.';
+
+COMMENT ON COLUMN public.games.rescheduled_game_id IS
+  'Game entered for the replacement fixture of a postponed game (see scheduled_games.replaces_game_id)';
+
+-- Game status lifecycle: allowed transitions
+-- (keep in sync with GAME_STATUS_TRANSITIONS in src/lib/gameStatus.js)
+CREATE OR REPLACE FUNCTION public.game_status_transition_allowed(p_from TEXT, p_to TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT p_from = p_to OR (p_from, p_to) IN (
+    ('scheduled', 'in_progress'), ('scheduled', 'suspended'), ('scheduled', 'final'),
+    ('scheduled', 'postponed'), ('scheduled', 'forfeited'), ('scheduled', 'cancelled'),
+    ('in_progress', 'suspended'), ('in_progress', 'final'), ('in_progress', 'postponed'),
+    ('in_progress', 'forfeited'), ('in_progress', 'cancelled'),
+    ('suspended', 'in_progress'), ('suspended', 'final'), ('suspended', 'forfeited'), ('suspended', 'cancelled'),
+    ('final', 'forfeited'),
+    ('postponed', 'cancelled')
+  );
+$$;
+
+CREATE OR REPLACE FUNCTION public.enforce_game_status_transition()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NOT public.game_status_transition_allowed(OLD.status, NEW.status) THEN
+    RAISE EXCEPTION 'A % game cannot be changed to %', replace(OLD.status, '_', ' '), replace(NEW.status, '_', ' ');
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+COMMENT ON FUNCTION public.enforce_game_status_transition IS
+  'Refuses status changes outside the game lifecycle (see game_status_transition_allowed).';
+
+CREATE TRIGGER enforce_games_status_transition BEFORE UPDATE OF status ON public.games
+  FOR EACH ROW EXECUTE FUNCTION public.enforce_game_status_transition();
+
+-- Change a game's status outside the game form. Postponing can add the
+-- replacement game to the season schedule; the fixture and the status
+-- change are saved together. Runs with the caller's permissions.
+CREATE OR REPLACE FUNCTION public.change_game_status(
+  p_game_id UUID,
+  p_status TEXT,
+  p_forfeiting_team_id UUID DEFAULT NULL,
+  p_replacement_date DATE DEFAULT NULL
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY INVOKER
+AS $$
+DECLARE
+  v_game public.games;
+  v_fixture_id UUID;
+BEGIN
+  IF p_replacement_date IS NOT NULL AND p_status != 'postponed' THEN
+    RAISE EXCEPTION 'Only a postponed game can be rescheduled';
+  END IF;
+
+  UPDATE public.games SET
+    status = p_status,
+    forfeiting_team_id = CASE WHEN p_status = 'forfeited' THEN p_forfeiting_team_id END,
+    rescheduled_game_id = NULL
+  WHERE id = p_game_id
+  RETURNING * INTO v_game;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Game not found or you do not have permission to edit it';
+  END IF;
+
+  IF p_replacement_date IS NOT NULL THEN
+    INSERT INTO public.scheduled_games (season_id, game_date, home_team_id, away_team_id, field, replaces_game_id, created_by)
+    SELECT v_game.season_id, p_replacement_date, v_game.home_team_id, v_game.away_team_id,
+      (SELECT sg.field FROM public.scheduled_games sg WHERE sg.game_id = v_game.id),
+      v_game.id, auth.uid()
+    RETURNING id INTO v_fixture_id;
+  END IF;
+
+  RETURN v_fixture_id;
+END;
+$$;
+
+COMMENT ON FUNCTION public.change_game_status IS
+  'Changes a game''s status (forfeiting team for forfeits). When postponing with p_replacement_date, adds the replacement to scheduled_games (replaces_game_id) in the same transaction and returns its id.';
+
+-- Once the replacement fixture's result is entered, link it from the postponed game
+CREATE OR REPLACE FUNCTION public.link_rescheduled_game()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+  UPDATE public.games
+  SET rescheduled_game_id = NEW.game_id
+  WHERE id = NEW.replaces_game_id
+    AND status = 'postponed';
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER link_rescheduled_game AFTER INSERT OR UPDATE OF game_id ON public.scheduled_games
+  FOR EACH ROW
+  WHEN (NEW.replaces_game_id IS NOT NULL)
+  EXECUTE FUNCTION public.link_rescheduled_game();
+
+COMMIT;
+
+-- =====================================================
+-- Migration complete!
+-- =====================================================
+-- Notes:
+--   - Transitions follow GAME_STATUS_TRANSITIONS in src/lib/gameStatus.js;
+--     keeping the current status is always allowed
+--   - Restoring an earlier version of a game from its history keeps the
+--     current status when the version's status can no longer be reached
+--   - Replacement games created before this migration stay games with
+--     status 'scheduled'; enter their results from the games list as before
+-- =====================================================
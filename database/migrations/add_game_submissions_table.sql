@@ -0,0 +1,111 @@
+-- =====================================================
+-- MIGRATION: Add game_submissions table and reconciliation status
+-- Date: 2026-10-19
+-- Purpose: Let each team's scorekeeper submit pitch counts and inning
+--          assignments independently. A game kept by both scorekeepers
+--          becomes official once the two counts agree or an admin decides
+--          the differences.
+-- =====================================================
+
+BEGIN;
+
+-- Reconciliation status on games (NULL = one scorekeeper, official as entered)
+ALTER TABLE public.games
+  ADD COLUMN IF NOT EXISTS reconciliation_status TEXT
+    CHECK (reconciliation_status IN ('awaiting_submission', 'disputed', 'resolved')),
+  ADD COLUMN IF NOT EXISTS reconciled_by UUID REFERENCES public.user_profiles(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS reconciled_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS reconciliation_note TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_games_reconciliation_status
+  ON public.games(reconciliation_status)
+  WHERE reconciliation_status IN ('awaiting_submission', 'disputed');
+
+COMMENT ON COLUMN public.games.reconciliation_status IS
+  'NULL for single-scorekeeper games. Otherwise awaiting_submission (one count in), disputed (counts differ) or resolved (official).';
+
+COMMENT ON COLUMN public.games.reconciliation_note IS
+  'Admin note when the differences between the two counts were decided by an admin';
+
+-- Create game_submissions table (one count per scorekeeper team per game)
+CREATE TABLE IF NOT EXISTS public.game_submissions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  game_id UUID NOT NULL REFERENCES public.games(id) ON DELETE CASCADE,
+  team_id UUID NOT NULL REFERENCES public.teams(id) ON DELETE CASCADE,
+  scorekeeper_name TEXT NOT NULL CHECK (length(trim(scorekeeper_name)) > 0),
+  attendance JSONB NOT NULL DEFAULT '[]'::jsonb,
+  pitching_logs JSONB NOT NULL DEFAULT '[]'::jsonb,
+  positions JSONB NOT NULL DEFAULT '[]'::jsonb,
+  submitted_by UUID REFERENCES public.user_profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(game_id, team_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_game_submissions_game ON public.game_submissions(game_id);
+
+-- Add comments for documentation
+COMMENT ON TABLE public.game_submissions IS
+  'Pitch counts and inning assignments submitted by each team''s scorekeeper, compared before the game becomes official.';
+
+COMMENT ON COLUMN public.game_submissions.attendance IS
+  'Rows shaped like game_players (player_id, was_present, absence_note)';
+
+COMMENT ON COLUMN public.game_submissions.pitching_logs IS
+  'Rows shaped like pitching_logs (player_id, final_pitch_count, penultimate_batter_count)';
+
+COMMENT ON COLUMN public.game_submissions.positions IS
+  'Rows shaped like positions_played (player_id, inning_number, position)';
+
+-- Enable RLS
+ALTER TABLE public.game_submissions ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policy: Admins can manage all submissions
+CREATE POLICY "Admins can manage game submissions"
+  ON public.game_submissions FOR ALL
+  USING ((select public.is_admin()));
+
+-- RLS Policy: Coaches with edit permission can manage their own team's submission for its games
+CREATE POLICY "Coaches can manage team game submissions"
+  ON public.game_submissions FOR ALL
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.team_coaches tc
+      WHERE tc.team_id = game_submissions.team_id
+        AND tc.user_id = (select auth.uid())
+        AND tc.can_edit = true
+    )
+  )
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM public.team_coaches tc
+      JOIN public.games g ON g.id = game_submissions.game_id
+      WHERE tc.team_id = game_submissions.team_id
+        AND (g.home_team_id = game_submissions.team_id OR g.away_team_id = game_submissions.team_id)
+        AND tc.user_id = (select auth.uid())
+        AND tc.can_edit = true
+    )
+  );
+
+-- RLS Policy: All authenticated users can view submissions (same as the games themselves)
+CREATE POLICY "All authenticated users can view game submissions"
+  ON public.game_submissions FOR SELECT
+  USING ((select auth.uid()) IS NOT NULL);
+
+-- Keep updated_at current
+CREATE TRIGGER update_game_submissions_updated_at BEFORE UPDATE ON public.game_submissions
+  FOR EACH ROW EXECUTE FUNCTION public.update_updated_at();
+
+COMMIT;
+
+-- =====================================================
+-- Migration complete!
+-- =====================================================
+-- Notes:
+--   - Existing games keep reconciliation_status NULL (official as entered)
+--   - "Both scorekeepers submit pitch counts" in Game Entry starts a game
+--     as awaiting_submission with the entering scorekeeper's count, which
+--     is also saved as the game's data until the counts are reconciled
+--   - Matching counts resolve the game automatically; differing counts are
+--     decided by an admin in the Reconcile Counts dialog
+-- =====================================================
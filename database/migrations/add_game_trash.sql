@@ -0,0 +1,209 @@
+-- =====================================================
+-- MIGRATION: Add game trash (soft delete)
+-- Date: 2026-10-19
+-- Purpose: Deleting a game moves it to a trash instead of removing its
+--          pitching logs, which may justify another player's rest.
+--          Trashed games are hidden from every query (and so from
+--          eligibility), admins can restore them, and they are purged
+--          only after a retention period.
+-- =====================================================
+
+BEGIN;
+
+-- When (and by whom) the game was moved to the trash; NULL = not deleted
+ALTER TABLE public.games
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS deleted_by UUID REFERENCES public.user_profiles(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_games_deleted_at ON public.games(deleted_at)
+  WHERE deleted_at IS NOT NULL;
+
+COMMENT ON COLUMN public.games.deleted_at IS
+  'Set when the game is moved to the trash. Trashed games and their player data are hidden by RLS and purged after game_trash_retention().';
+
+-- Hide trashed games and their player data from every query (restrictive
+-- policies are ANDed with the existing ones, so this applies to admins too)
+CREATE POLICY "Hide trashed games"
+  ON public.games AS RESTRICTIVE FOR SELECT
+  USING (deleted_at IS NULL);
+
+CREATE POLICY "Hide trashed game_players" ON public.game_players AS RESTRICTIVE FOR SELECT USING (
+  EXISTS (SELECT 1 FROM public.games g WHERE g.id = game_players.game_id AND g.deleted_at IS NULL)
+);
+
+CREATE POLICY "Hide trashed pitching_logs" ON public.pitching_logs AS RESTRICTIVE FOR SELECT USING (
+  EXISTS (SELECT 1 FROM public.games g WHERE g.id = pitching_logs.game_id AND g.deleted_at IS NULL)
+);
+
+CREATE POLICY "Hide trashed positions_played" ON public.positions_played AS RESTRICTIVE FOR SELECT USING (
+  EXISTS (SELECT 1 FROM public.games g WHERE g.id = positions_played.game_id AND g.deleted_at IS NULL)
+);
+
+CREATE POLICY "Hide trashed game_violations" ON public.game_violations AS RESTRICTIVE FOR SELECT USING (
+  EXISTS (SELECT 1 FROM public.games g WHERE g.id = game_violations.game_id AND g.deleted_at IS NULL)
+);
+
+-- How long a trashed game is kept before it can be purged
+-- (the app shows each game's purge date from list_trashed_games)
+CREATE OR REPLACE FUNCTION public.game_trash_retention()
+RETURNS INTERVAL
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT INTERVAL '30 days';
+$$;
+
+-- Move a game to the trash (admins)
+-- (the app side is src/lib/gameTrash.js)
+CREATE OR REPLACE FUNCTION public.trash_game(p_game_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_signoff_status TEXT;
+BEGIN
+  IF NOT public.is_admin() THEN
+    RAISE EXCEPTION 'Only admins can delete games';
+  END IF;
+
+  SELECT g.signoff_status INTO v_signoff_status
+  FROM public.games g
+  WHERE g.id = p_game_id AND g.deleted_at IS NULL
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Game not found or already in the trash';
+  END IF;
+
+  IF v_signoff_status = 'confirmed' THEN
+    RAISE EXCEPTION 'This game is signed off and locked; an admin must reopen it first';
+  END IF;
+
+  UPDATE public.games
+  SET deleted_at = NOW(), deleted_by = auth.uid()
+  WHERE id = p_game_id;
+END;
+$$;
+
+-- Bring a game back from the trash (admins)
+CREATE OR REPLACE FUNCTION public.restore_trashed_game(p_game_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+  IF NOT public.is_admin() THEN
+    RAISE EXCEPTION 'Only admins can restore games';
+  END IF;
+
+  UPDATE public.games
+  SET deleted_at = NULL, deleted_by = NULL
+  WHERE id = p_game_id AND deleted_at IS NOT NULL;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Game is not in the trash';
+  END IF;
+END;
+$$;
+
+-- A season's trashed games, most recently deleted first (admins)
+CREATE OR REPLACE FUNCTION public.list_trashed_games(p_season_id UUID)
+RETURNS TABLE (
+  id UUID,
+  game_date DATE,
+  start_time TIME,
+  home_team_id UUID,
+  away_team_id UUID,
+  home_score INTEGER,
+  away_score INTEGER,
+  status TEXT,
+  forfeiting_team_id UUID,
+  deleted_at TIMESTAMP WITH TIME ZONE,
+  deleted_by_name TEXT,
+  purge_after TIMESTAMP WITH TIME ZONE,
+  pitcher_count INTEGER
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+STABLE
+AS $$
+BEGIN
+  IF NOT public.is_admin() THEN
+    RAISE EXCEPTION 'Only admins can view the trash';
+  END IF;
+
+  RETURN QUERY
+  SELECT
+    g.id, g.game_date, g.start_time, g.home_team_id, g.away_team_id,
+    g.home_score, g.away_score, g.status, g.forfeiting_team_id,
+    g.deleted_at, up.name, g.deleted_at + public.game_trash_retention(),
+    (SELECT COUNT(DISTINCT pl.player_id)::INTEGER FROM public.pitching_logs pl WHERE pl.game_id = g.id)
+  FROM public.games g
+  LEFT JOIN public.user_profiles up ON up.id = g.deleted_by
+  WHERE g.season_id = p_season_id
+    AND g.deleted_at IS NOT NULL
+  ORDER BY g.deleted_at DESC;
+END;
+$$;
+
+-- Permanently delete games whose retention period has passed (admins)
+-- Their change history stays in game_audit_log.
+CREATE OR REPLACE FUNCTION public.purge_expired_games()
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_count INTEGER;
+BEGIN
+  IF NOT public.is_admin() THEN
+    RAISE EXCEPTION 'Only admins can purge games';
+  END IF;
+
+  DELETE FROM public.games
+  WHERE deleted_at < NOW() - public.game_trash_retention();
+
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+  RETURN v_count;
+END;
+$$;
+
+-- Games with player data are only removed by purging them from the trash
+-- (SECURITY DEFINER so the trashed game's hidden player data is seen)
+CREATE OR REPLACE FUNCTION public.enforce_game_trash_retention()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+  IF (OLD.deleted_at IS NULL OR OLD.deleted_at >= NOW() - public.game_trash_retention())
+    AND (
+      EXISTS (SELECT 1 FROM public.game_players gp WHERE gp.game_id = OLD.id)
+      OR EXISTS (SELECT 1 FROM public.pitching_logs pl WHERE pl.game_id = OLD.id)
+    )
+  THEN
+    RAISE EXCEPTION 'Games with player data are moved to the trash and purged after %', public.game_trash_retention();
+  END IF;
+
+  RETURN OLD;
+END;
+$$;
+
+CREATE TRIGGER enforce_games_trash_retention BEFORE DELETE ON public.games
+  FOR EACH ROW EXECUTE FUNCTION public.enforce_game_trash_retention();
+
+COMMIT;
+
+-- =====================================================
+-- Migration complete!
+-- =====================================================
+-- Notes:
+--   - Trashed games are read-only: RLS hides them from updates as well
+--   - Trashing and restoring are recorded in game_audit_log like any edit;
+--     purging records the deletes, so the history outlives the game
+--   - Schedule purge_expired_games() (e.g. with pg_cron) to purge
+--     automatically; admins can also run it from the trash
+--   - Seasons and teams with trashed games can't be deleted until those
+--     games are purged (games.season_id / team ids are ON DELETE RESTRICT)
+-- =====================================================
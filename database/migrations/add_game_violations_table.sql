@@ -0,0 +1,68 @@
+-- =====================================================
+-- MIGRATION: Add game_violations table
+-- Date: 2026-10-19
+-- Purpose: Store each rule violation found in a game as a structured
+--          record (rule, player, innings, pitch count, message) instead
+--          of only the games.has_violation boolean
+-- =====================================================
+
+BEGIN;
+
+-- Create game_violations table
+CREATE TABLE IF NOT EXISTS public.game_violations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  game_id UUID NOT NULL REFERENCES public.games(id) ON DELETE CASCADE,
+  player_id UUID NOT NULL REFERENCES public.players(id) ON DELETE CASCADE,
+  rule_id TEXT NOT NULL CHECK (rule_id IN (
+    'consecutive_innings',        -- Rule 1
+    'high_pitch_count_catching',  -- Rule 2
+    'four_innings_catching',      -- Rule 3
+    'catch_pitch_combined',       -- Rule 4
+    'max_pitches_exceeded',       -- Rule 5
+    'insufficient_rest'           -- Rule 6
+  )),
+  innings INTEGER[] NOT NULL DEFAULT '{}',
+  pitch_count INTEGER,
+  message TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_game_violations_game ON public.game_violations(game_id);
+CREATE INDEX IF NOT EXISTS idx_game_violations_player ON public.game_violations(player_id);
+CREATE INDEX IF NOT EXISTS idx_game_violations_rule ON public.game_violations(rule_id);
+
+-- Add comments for documentation
+COMMENT ON TABLE public.game_violations IS
+  'One row per rule violation per player per game. Rebuilt every time the game is saved.';
+
+COMMENT ON COLUMN public.game_violations.rule_id IS
+  'Rule identifier matching VIOLATION_RULES in src/lib/violationRules.js';
+
+COMMENT ON COLUMN public.game_violations.pitch_count IS
+  'Effective pitch count (penultimate batter + 1) for the player, NULL if the player did not pitch';
+
+-- Enable RLS
+ALTER TABLE public.game_violations ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policy: Admins and coaches who can edit the game can manage its violations
+CREATE POLICY "Manage game_violations" ON public.game_violations FOR ALL USING (
+  EXISTS (SELECT 1 FROM public.games g WHERE g.id = game_violations.game_id) AND
+  ((select public.is_admin()) OR
+   EXISTS (SELECT 1 FROM public.team_coaches tc JOIN public.games g ON (tc.team_id = g.home_team_id OR tc.team_id = g.away_team_id)
+           WHERE g.id = game_violations.game_id AND tc.user_id = (select auth.uid()) AND tc.can_edit = true))
+);
+
+-- RLS Policy: All authenticated users can view violations
+CREATE POLICY "View game_violations" ON public.game_violations FOR SELECT USING ((select auth.uid()) IS NOT NULL);
+
+COMMIT;
+
+-- =====================================================
+-- Migration complete!
+-- =====================================================
+-- Notes:
+--   - Existing games keep their has_violation value but have no violation
+--     records until they are re-saved; GameDetailModal derives violations
+--     on the fly for those games
+--   - Rows cascade-delete with their game
+-- =====================================================
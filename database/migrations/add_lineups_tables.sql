@@ -0,0 +1,124 @@
+-- =====================================================
+-- MIGRATION: Add lineups and lineup_templates tables
+-- Date: 2026-10-19
+-- Purpose: Store Lineup & Positions Builder lineups on the server,
+--          per team and game date, so every coach on the team can load
+--          and edit them. Replaces the browser-only localStorage copy
+--          (tll_lineup_<teamId>). Adds named templates per team.
+-- =====================================================
+
+BEGIN;
+
+-- Create lineups table (one lineup per team per game date)
+CREATE TABLE IF NOT EXISTS public.lineups (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  team_id UUID NOT NULL REFERENCES public.teams(id) ON DELETE CASCADE,
+  game_date DATE NOT NULL,
+  batting_order JSONB NOT NULL DEFAULT '[]'::jsonb, -- [playerId, ...]
+  positions JSONB NOT NULL DEFAULT '{}'::jsonb,     -- {inning: {position: playerId}}
+  locks JSONB NOT NULL DEFAULT '[]'::jsonb,         -- [{playerId, position, innings}]
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_by UUID REFERENCES public.user_profiles(id) ON DELETE SET NULL,
+  UNIQUE(team_id, game_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_lineups_team_date ON public.lineups(team_id, game_date DESC);
+
+-- Create lineup_templates table (named starting points per team)
+CREATE TABLE IF NOT EXISTS public.lineup_templates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  team_id UUID NOT NULL REFERENCES public.teams(id) ON DELETE CASCADE,
+  name TEXT NOT NULL CHECK (length(trim(name)) > 0),
+  batting_order JSONB NOT NULL DEFAULT '[]'::jsonb,
+  positions JSONB NOT NULL DEFAULT '{}'::jsonb,
+  locks JSONB NOT NULL DEFAULT '[]'::jsonb,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_by UUID REFERENCES public.user_profiles(id) ON DELETE SET NULL,
+  UNIQUE(team_id, name)
+);
+
+-- Add comments for documentation
+COMMENT ON TABLE public.lineups IS
+  'Lineup & Positions Builder lineup per team per game date, shared by the team''s coaches.';
+
+COMMENT ON TABLE public.lineup_templates IS
+  'Named lineup templates per team (batting order, positions and generator locks).';
+
+-- Keep updated_at current
+CREATE TRIGGER update_lineups_updated_at BEFORE UPDATE ON public.lineups
+  FOR EACH ROW EXECUTE FUNCTION public.update_updated_at();
+
+CREATE TRIGGER update_lineup_templates_updated_at BEFORE UPDATE ON public.lineup_templates
+  FOR EACH ROW EXECUTE FUNCTION public.update_updated_at();
+
+-- Enable RLS
+ALTER TABLE public.lineups ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.lineup_templates ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policy: Admins manage all lineups
+CREATE POLICY "Admins can manage lineups"
+  ON public.lineups FOR ALL
+  USING ((select public.is_admin()));
+
+-- RLS Policy: Coaches with edit permission manage their team's lineups
+CREATE POLICY "Coaches can manage team lineups"
+  ON public.lineups FOR ALL
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.team_coaches tc
+      WHERE tc.team_id = lineups.team_id
+        AND tc.user_id = (select auth.uid())
+        AND tc.can_edit = true
+    )
+  );
+
+-- RLS Policy: Every coach on the team can view its lineups
+CREATE POLICY "Coaches can view team lineups"
+  ON public.lineups FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.team_coaches tc
+      WHERE tc.team_id = lineups.team_id
+        AND tc.user_id = (select auth.uid())
+    )
+  );
+
+CREATE POLICY "Admins can manage lineup templates"
+  ON public.lineup_templates FOR ALL
+  USING ((select public.is_admin()));
+
+CREATE POLICY "Coaches can manage team lineup templates"
+  ON public.lineup_templates FOR ALL
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.team_coaches tc
+      WHERE tc.team_id = lineup_templates.team_id
+        AND tc.user_id = (select auth.uid())
+        AND tc.can_edit = true
+    )
+  );
+
+CREATE POLICY "Coaches can view team lineup templates"
+  ON public.lineup_templates FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.team_coaches tc
+      WHERE tc.team_id = lineup_templates.team_id
+        AND tc.user_id = (select auth.uid())
+    )
+  );
+
+COMMIT;
+
+-- =====================================================
+-- Migration complete!
+-- =====================================================
+-- Notes:
+--   - Lineups are private to the team's coaches and admins (unlike games,
+--     which every authenticated user can view)
+--   - The builder imports a browser's old localStorage lineup into the
+--     selected game date the first time the team is opened, then removes it
+--   - Rows cascade-delete with their team
+-- =====================================================
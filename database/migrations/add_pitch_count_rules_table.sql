@@ -0,0 +1,110 @@
+-- =====================================================
+-- MIGRATION: Add pitch_count_rules table
+-- Date: 2026-10-19
+-- Purpose: Store Pitch Smart rule sets (age bands, daily max, rest-day
+--          ranges) per season so admins can change thresholds between seasons
+-- =====================================================
+
+BEGIN;
+
+-- Create pitch_count_rules table (one row per age band per season)
+CREATE TABLE IF NOT EXISTS public.pitch_count_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  season_id UUID NOT NULL REFERENCES public.seasons(id) ON DELETE CASCADE,
+  age_min INTEGER NOT NULL CHECK (age_min > 0),
+  age_max INTEGER NOT NULL,
+  max_pitches_per_game INTEGER NOT NULL CHECK (max_pitches_per_game > 0),
+  rest_day_ranges JSONB NOT NULL DEFAULT '[]'::jsonb,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_by UUID REFERENCES auth.users(id),
+  CHECK (age_max >= age_min),
+  UNIQUE(season_id, age_min)
+);
+
+CREATE INDEX IF NOT EXISTS idx_pitch_count_rules_season ON public.pitch_count_rules(season_id);
+
+-- Add comments for documentation
+COMMENT ON TABLE public.pitch_count_rules IS
+  'Pitch Smart rule set per season. Seasons without rows use the defaults in src/lib/pitchSmartRules.js.';
+
+COMMENT ON COLUMN public.pitch_count_rules.rest_day_ranges IS
+  'Array of {minPitches, maxPitches, restDays} objects. maxPitches = 999 means "and above".';
+
+-- Seed existing seasons with the current default guidelines
+INSERT INTO public.pitch_count_rules (season_id, age_min, age_max, max_pitches_per_game, rest_day_ranges)
+SELECT s.id, d.age_min, d.age_max, d.max_pitches_per_game, d.rest_day_ranges
+FROM public.seasons s
+CROSS JOIN (VALUES
+  (6, 8, 50, '[{"minPitches":1,"maxPitches":20,"restDays":0},{"minPitches":21,"maxPitches":35,"restDays":1},{"minPitches":36,"maxPitches":50,"restDays":2}]'::jsonb),
+  (9, 10, 75, '[{"minPitches":1,"maxPitches":20,"restDays":0},{"minPitches":21,"maxPitches":35,"restDays":1},{"minPitches":36,"maxPitches":50,"restDays":2},{"minPitches":51,"maxPitches":65,"restDays":3},{"minPitches":66,"maxPitches":999,"restDays":4}]'::jsonb),
+  (11, 12, 85, '[{"minPitches":1,"maxPitches":20,"restDays":0},{"minPitches":21,"maxPitches":35,"restDays":1},{"minPitches":36,"maxPitches":50,"restDays":2},{"minPitches":51,"maxPitches":65,"restDays":3},{"minPitches":66,"maxPitches":999,"restDays":4}]'::jsonb)
+) AS d(age_min, age_max, max_pitches_per_game, rest_day_ranges)
+ON CONFLICT (season_id, age_min) DO NOTHING;
+
+-- Enable RLS
+ALTER TABLE public.pitch_count_rules ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policy: Admins can manage rule sets
+CREATE POLICY "Admins can manage pitch count rules"
+  ON public.pitch_count_rules FOR ALL
+  USING ((select public.is_admin()));
+
+-- RLS Policy: All authenticated users can view rule sets
+CREATE POLICY "All authenticated users can view pitch count rules"
+  ON public.pitch_count_rules FOR SELECT
+  USING ((select auth.uid()) IS NOT NULL);
+
+CREATE TRIGGER update_pitch_count_rules_updated_at BEFORE UPDATE ON public.pitch_count_rules
+  FOR EACH ROW EXECUTE FUNCTION public.update_updated_at();
+
+-- Replace a season's rule set in a single transaction
+CREATE OR REPLACE FUNCTION public.replace_pitch_count_rules(
+  p_season_id UUID,
+  p_rules JSONB
+)
+RETURNS SETOF public.pitch_count_rules
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+  -- Check if user is admin
+  IF NOT public.is_admin() THEN
+    RAISE EXCEPTION 'Only admins can update pitch count rules';
+  END IF;
+
+  DELETE FROM public.pitch_count_rules
+  WHERE season_id = p_season_id;
+
+  INSERT INTO public.pitch_count_rules (season_id, age_min, age_max, max_pitches_per_game, rest_day_ranges, updated_by)
+  SELECT
+    p_season_id,
+    (r->>'age_min')::INTEGER,
+    (r->>'age_max')::INTEGER,
+    (r->>'max_pitches_per_game')::INTEGER,
+    COALESCE(r->'rest_day_ranges', '[]'::jsonb),
+    auth.uid()
+  FROM jsonb_array_elements(p_rules) AS r;
+
+  RETURN QUERY
+  SELECT * FROM public.pitch_count_rules
+  WHERE season_id = p_season_id
+  ORDER BY age_min;
+END;
+$$;
+
+COMMENT ON FUNCTION public.replace_pitch_count_rules IS
+  'Atomically replaces the Pitch Smart rule set for a season. Only callable by admins.';
+
+COMMIT;
+
+-- =====================================================
+-- Migration complete!
+-- =====================================================
+-- Notes:
+--   - Every existing season is seeded with the current default guidelines
+--   - New seasons have no rows until an admin saves rules; the app falls
+--     back to the defaults in src/lib/pitchSmartRules.js
+--   - Changing rules does not rewrite next_eligible_pitch_date on
+--     existing pitching logs; re-save affected games if needed
+-- =====================================================
@@ -0,0 +1,87 @@
+-- =====================================================
+-- MIGRATION: Add player archiving
+-- Date: 2026-10-19
+-- Purpose: Archive players instead of deleting them. Deleting a player
+--          cascades away their pitching_logs and positions_played, which
+--          rewrites past games and their violations. Archived players are
+--          hidden from rosters but kept in games, reports and exports;
+--          only super admins can still delete a player for good.
+-- =====================================================
+
+BEGIN;
+
+-- When the player was archived; NULL = on the roster
+ALTER TABLE public.players
+  ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN public.players.archived_at IS
+  'Set when the player is archived. Archived players are left off rosters but keep their game records.';
+
+-- Jersey numbers only need to be unique among the players still on the roster
+ALTER TABLE public.players DROP CONSTRAINT IF EXISTS unique_jersey_per_team;
+CREATE UNIQUE INDEX IF NOT EXISTS unique_jersey_per_team ON public.players(team_id, jersey_number)
+  WHERE archived_at IS NULL;
+
+-- Only super admins delete players (admins and coaches archive them)
+CREATE OR REPLACE FUNCTION public.enforce_player_delete()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NOT public.is_super_admin() THEN
+    RAISE EXCEPTION 'Only a super admin can delete a player; archive the player instead';
+  END IF;
+
+  RETURN OLD;
+END;
+$$;
+
+CREATE TRIGGER enforce_players_delete BEFORE DELETE ON public.players
+  FOR EACH ROW EXECUTE FUNCTION public.enforce_player_delete();
+
+-- Delete a player and their game records for good (super admins)
+-- The games they played in get their violation flag recalculated.
+-- Signed-off games refuse the change until an admin reopens them.
+-- (the app side is src/lib/playerArchive.js)
+CREATE OR REPLACE FUNCTION public.delete_player_permanently(p_player_id UUID)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY INVOKER
+AS $$
+DECLARE
+  v_game_ids UUID[];
+BEGIN
+  IF NOT public.is_super_admin() THEN
+    RAISE EXCEPTION 'Only super admins can delete players';
+  END IF;
+
+  SELECT COALESCE(array_agg(DISTINCT gp.game_id), '{}') INTO v_game_ids
+  FROM public.game_players gp
+  WHERE gp.player_id = p_player_id;
+
+  DELETE FROM public.players WHERE id = p_player_id;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Player not found';
+  END IF;
+
+  UPDATE public.games g
+  SET has_violation = public.game_has_violation(g.id)
+  WHERE g.id = ANY(v_game_ids);
+
+  RETURN cardinality(v_game_ids);
+END;
+$$;
+
+COMMIT;
+
+-- =====================================================
+-- Migration complete!
+-- =====================================================
+-- Notes:
+--   - Existing players start on the roster
+--   - An archived player's jersey number can be reused; restoring the
+--     player fails while another rostered player has the same number
+--   - Later games' rest dates don't depend on the deleted player, so only
+--     the games they played in are recalculated
+-- =====================================================
@@ -0,0 +1,89 @@
+-- =====================================================
+-- MIGRATION: Add player birthdates and league ages
+-- Date: 2026-10-19
+-- Purpose: Record players' birthdates and compute their league age (the
+--          age on the season's league-age cutoff date) instead of typing
+--          it in. players.age stays the age every rule reads; for players
+--          with a birthdate it is kept in sync by triggers.
+-- =====================================================
+
+BEGIN;
+
+ALTER TABLE public.players
+  ADD COLUMN IF NOT EXISTS birthdate DATE;
+
+COMMENT ON COLUMN public.players.birthdate IS
+  'Optional. When set, age is the league age on the season''s cutoff date.';
+
+ALTER TABLE public.seasons
+  ADD COLUMN IF NOT EXISTS league_age_cutoff DATE;
+
+COMMENT ON COLUMN public.seasons.league_age_cutoff IS
+  'Date league ages are taken on. NULL = the season''s start date.';
+
+-- Age in whole years on the cutoff date
+-- (the app side is src/lib/leagueAge.js)
+CREATE OR REPLACE FUNCTION public.league_age(p_birthdate DATE, p_cutoff DATE)
+RETURNS INTEGER
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT date_part('year', age(p_cutoff, p_birthdate))::INTEGER;
+$$;
+
+-- Players with a birthdate get their league age for their team's season
+CREATE OR REPLACE FUNCTION public.sync_player_league_age()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.birthdate IS NOT NULL THEN
+    SELECT public.league_age(NEW.birthdate, COALESCE(s.league_age_cutoff, s.start_date))
+    INTO NEW.age
+    FROM public.teams t
+    JOIN public.seasons s ON s.id = t.season_id
+    WHERE t.id = NEW.team_id;
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER sync_players_league_age BEFORE INSERT OR UPDATE OF birthdate, team_id, age ON public.players
+  FOR EACH ROW EXECUTE FUNCTION public.sync_player_league_age();
+
+-- Moving a season's cutoff (or start date) recomputes its players' ages
+CREATE OR REPLACE FUNCTION public.sync_season_league_ages()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  UPDATE public.players p
+  SET age = public.league_age(p.birthdate, COALESCE(NEW.league_age_cutoff, NEW.start_date))
+  FROM public.teams t
+  WHERE t.id = p.team_id
+    AND t.season_id = NEW.id
+    AND p.birthdate IS NOT NULL;
+
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER sync_season_league_ages AFTER UPDATE OF league_age_cutoff, start_date ON public.seasons
+  FOR EACH ROW
+  WHEN (COALESCE(OLD.league_age_cutoff, OLD.start_date) IS DISTINCT FROM COALESCE(NEW.league_age_cutoff, NEW.start_date))
+  EXECUTE FUNCTION public.sync_season_league_ages();
+
+COMMIT;
+
+-- =====================================================
+-- Migration complete!
+-- =====================================================
+-- Notes:
+--   - Existing players have no birthdate and keep their entered age
+--   - Existing seasons take league ages on their start date until a cutoff
+--     is set
+--   - A cutoff that puts a player outside 6-12 is refused by the age check
+--   - Saved games keep the rest dates and violation flags they were saved
+--     with
+-- =====================================================
@@ -0,0 +1,198 @@
+-- =====================================================
+-- MIGRATION: Add mid-season player transfers
+-- Date: 2026-10-19
+-- Purpose: Move a player to another team of the same season with an
+--          effective date, keeping one player record. Pitching logs stay
+--          keyed by player, so rest days follow the player; each
+--          game_players row records the team the player played for, so past
+--          games keep showing the original team.
+-- =====================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.player_transfers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  player_id UUID NOT NULL REFERENCES public.players(id) ON DELETE CASCADE,
+  from_team_id UUID NOT NULL REFERENCES public.teams(id) ON DELETE RESTRICT,
+  to_team_id UUID NOT NULL REFERENCES public.teams(id) ON DELETE RESTRICT,
+  effective_date DATE NOT NULL, -- First day on the new team
+  note TEXT,
+  transferred_by UUID REFERENCES public.user_profiles(id) ON DELETE SET NULL DEFAULT auth.uid(),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK (from_team_id <> to_team_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_player_transfers_player ON public.player_transfers(player_id, effective_date);
+CREATE INDEX IF NOT EXISTS idx_player_transfers_from_team ON public.player_transfers(from_team_id);
+CREATE INDEX IF NOT EXISTS idx_player_transfers_to_team ON public.player_transfers(to_team_id);
+
+COMMENT ON TABLE public.player_transfers IS
+  'Mid-season moves of a player between teams of the same season. players.team_id is the current team.';
+
+ALTER TABLE public.player_transfers ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can manage player transfers"
+  ON public.player_transfers FOR ALL
+  USING ((select public.is_admin()));
+
+CREATE POLICY "Users can view player transfers"
+  ON public.player_transfers FOR SELECT
+  USING ((select auth.uid()) IS NOT NULL);
+
+-- The team a player played for in each game
+ALTER TABLE public.game_players
+  ADD COLUMN IF NOT EXISTS team_id UUID REFERENCES public.teams(id) ON DELETE RESTRICT;
+
+-- Backfill from the current team; no transfers exist yet. User triggers are
+-- off so signed-off games accept the backfill and it isn't audited as an edit.
+ALTER TABLE public.game_players DISABLE TRIGGER USER;
+
+UPDATE public.game_players gp
+SET team_id = p.team_id
+FROM public.players p
+WHERE p.id = gp.player_id
+  AND gp.team_id IS NULL;
+
+ALTER TABLE public.game_players ENABLE TRIGGER USER;
+
+ALTER TABLE public.game_players ALTER COLUMN team_id SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_game_players_team ON public.game_players(team_id);
+
+COMMENT ON COLUMN public.game_players.team_id IS
+  'Team the player played for in this game. Set from the transfers on insert.';
+
+-- The team a player was on at a date: the team they left with their next
+-- transfer after the date, or their current team
+CREATE OR REPLACE FUNCTION public.player_team_on_date(p_player_id UUID, p_date DATE)
+RETURNS UUID
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT COALESCE(
+    (SELECT t.from_team_id
+     FROM public.player_transfers t
+     WHERE t.player_id = p_player_id
+       AND t.effective_date > p_date
+     ORDER BY t.effective_date
+     LIMIT 1),
+    (SELECT p.team_id FROM public.players p WHERE p.id = p_player_id)
+  );
+$$;
+
+-- game_players rows get the team the player was on at the game date
+CREATE OR REPLACE FUNCTION public.set_game_player_team()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.team_id IS NULL THEN
+    SELECT public.player_team_on_date(NEW.player_id, g.game_date)
+    INTO NEW.team_id
+    FROM public.games g
+    WHERE g.id = NEW.game_id;
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER set_game_players_team BEFORE INSERT ON public.game_players
+  FOR EACH ROW EXECUTE FUNCTION public.set_game_player_team();
+
+-- Move a player to another team of the same season (admins)
+-- Games the player already played for their current team must be before
+-- the effective date. Returns the transfer id.
+-- (the app side is src/lib/playerTransfers.js)
+CREATE OR REPLACE FUNCTION public.transfer_player(
+  p_player_id UUID,
+  p_to_team_id UUID,
+  p_effective_date DATE,
+  p_note TEXT DEFAULT NULL
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY INVOKER
+AS $$
+DECLARE
+  v_player public.players;
+  v_from_season UUID;
+  v_to_season UUID;
+  v_last_game_date DATE;
+  v_transfer_id UUID;
+BEGIN
+  IF NOT public.is_admin() THEN
+    RAISE EXCEPTION 'Only admins can transfer players';
+  END IF;
+
+  SELECT * INTO v_player FROM public.players WHERE id = p_player_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Player not found';
+  END IF;
+
+  IF v_player.archived_at IS NOT NULL THEN
+    RAISE EXCEPTION 'Restore the player to the roster before transferring them';
+  END IF;
+
+  IF v_player.team_id = p_to_team_id THEN
+    RAISE EXCEPTION 'The player is already on this team';
+  END IF;
+
+  SELECT season_id INTO v_from_season FROM public.teams WHERE id = v_player.team_id;
+  SELECT season_id INTO v_to_season FROM public.teams WHERE id = p_to_team_id;
+
+  IF v_to_season IS NULL THEN
+    RAISE EXCEPTION 'Team not found';
+  END IF;
+
+  IF v_to_season <> v_from_season THEN
+    RAISE EXCEPTION 'Players can only be transferred between teams of the same season';
+  END IF;
+
+  -- players.team_id moves now, so rosters would show the new team early
+  IF p_effective_date > CURRENT_DATE THEN
+    RAISE EXCEPTION 'A transfer cannot take effect after today (%); record it on the day the player moves', CURRENT_DATE;
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM public.player_transfers
+    WHERE player_id = p_player_id AND effective_date >= p_effective_date
+  ) THEN
+    RAISE EXCEPTION 'The player already has a transfer on or after %', p_effective_date;
+  END IF;
+
+  SELECT MAX(g.game_date) INTO v_last_game_date
+  FROM public.game_players gp
+  JOIN public.games g ON g.id = gp.game_id
+  WHERE gp.player_id = p_player_id
+    AND gp.team_id = v_player.team_id;
+
+  IF v_last_game_date IS NOT NULL AND p_effective_date <= v_last_game_date THEN
+    RAISE EXCEPTION 'The player played for their current team on %; the transfer must take effect after that date', v_last_game_date;
+  END IF;
+
+  INSERT INTO public.player_transfers (player_id, from_team_id, to_team_id, effective_date, note)
+  VALUES (p_player_id, v_player.team_id, p_to_team_id, p_effective_date, NULLIF(btrim(p_note), ''))
+  RETURNING id INTO v_transfer_id;
+
+  UPDATE public.players SET team_id = p_to_team_id WHERE id = p_player_id;
+
+  RETURN v_transfer_id;
+END;
+$$;
+
+COMMIT;
+
+-- =====================================================
+-- Migration complete!
+-- =====================================================
+-- Notes:
+--   - Existing game_players rows take the player's current team
+--   - Transfers take effect today or earlier: players.team_id moves when
+--     the transfer is recorded, and Game Entry rosters use it
+--   - A transfer fails with a unique violation when a rostered player on the
+--     new team wears the same jersey number
+--   - Entering a game dated before a transfer puts the player on the team
+--     they were on that day; rosters in Game Entry still list current teams
+-- =====================================================
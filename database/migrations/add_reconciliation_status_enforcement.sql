@@ -0,0 +1,154 @@
+-- =====================================================
+-- MIGRATION: Set the reconciliation status from the submitted counts
+-- Date: 2026-10-19
+-- Purpose: games.reconciliation_status was written by a plain client update
+--          after the app compared the two scorekeepers' counts, so any
+--          coach who could edit the game could mark it resolved. A trigger
+--          on game_submissions now compares the counts and sets the status,
+--          resolve_game_count() records an admin's decision, and other
+--          writes to the reconciliation columns are refused.
+-- =====================================================
+
+BEGIN;
+
+-- Dual-scorekeeper reconciliation: the status follows the two submitted counts.
+-- Rows are compared as sets; an empty absence note counts as none.
+CREATE OR REPLACE FUNCTION public.normalize_submission_rows(p_rows JSONB)
+RETURNS JSONB
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT COALESCE(jsonb_agg(r ORDER BY r::text), '[]'::jsonb)
+  FROM (
+    SELECT e || jsonb_build_object('absence_note', NULLIF(e->>'absence_note', '')) AS r
+    FROM jsonb_array_elements(COALESCE(p_rows, '[]'::jsonb)) e
+  ) normalized;
+$$;
+
+CREATE OR REPLACE FUNCTION public.game_submissions_agree(p_home public.game_submissions, p_away public.game_submissions)
+RETURNS BOOLEAN
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT public.normalize_submission_rows(p_home.attendance) = public.normalize_submission_rows(p_away.attendance)
+    AND public.normalize_submission_rows(p_home.pitching_logs) = public.normalize_submission_rows(p_away.pitching_logs)
+    AND public.normalize_submission_rows(p_home.positions) = public.normalize_submission_rows(p_away.positions);
+$$;
+
+COMMENT ON FUNCTION public.game_submissions_agree IS
+  'True when the home and away scorekeepers submitted the same attendance, pitching logs and positions.';
+
+-- Only the reconciliation functions below may change a game's reconciliation status
+CREATE OR REPLACE FUNCTION public.protect_game_reconciliation()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF current_setting('app.reconciling', true) IS DISTINCT FROM 'on' AND (
+    (TG_OP = 'INSERT' AND (NEW.reconciliation_status, NEW.reconciled_by, NEW.reconciled_at, NEW.reconciliation_note)
+      IS DISTINCT FROM (NULL::TEXT, NULL::UUID, NULL::TIMESTAMPTZ, NULL::TEXT))
+    OR (TG_OP = 'UPDATE' AND (NEW.reconciliation_status, NEW.reconciled_by, NEW.reconciled_at, NEW.reconciliation_note)
+      IS DISTINCT FROM (OLD.reconciliation_status, OLD.reconciled_by, OLD.reconciled_at, OLD.reconciliation_note))
+  ) THEN
+    RAISE EXCEPTION 'The reconciliation status follows the scorekeepers'' counts and can only be decided by an admin';
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER protect_games_reconciliation BEFORE INSERT OR UPDATE ON public.games
+  FOR EACH ROW EXECUTE FUNCTION public.protect_game_reconciliation();
+
+-- Compare the two counts whenever one is submitted or corrected. Runs with
+-- the owner's permissions: the second scorekeeper's team may not be allowed
+-- to edit the game itself.
+CREATE OR REPLACE FUNCTION public.sync_game_reconciliation_status()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_game public.games;
+  v_home public.game_submissions;
+  v_away public.game_submissions;
+  v_status TEXT;
+BEGIN
+  SELECT * INTO v_game FROM public.games WHERE id = NEW.game_id;
+  SELECT * INTO v_home FROM public.game_submissions WHERE game_id = NEW.game_id AND team_id = v_game.home_team_id;
+  SELECT * INTO v_away FROM public.game_submissions WHERE game_id = NEW.game_id AND team_id = v_game.away_team_id;
+
+  IF v_home.id IS NULL OR v_away.id IS NULL THEN
+    v_status := 'awaiting_submission';
+  ELSIF public.game_submissions_agree(v_home, v_away) THEN
+    v_status := 'resolved';
+  ELSE
+    v_status := 'disputed';
+  END IF;
+
+  PERFORM set_config('app.reconciling', 'on', true);
+  UPDATE public.games SET
+    reconciliation_status = v_status,
+    reconciled_by = CASE WHEN v_status = 'resolved' THEN auth.uid() END,
+    reconciled_at = CASE WHEN v_status = 'resolved' THEN NOW() END,
+    reconciliation_note = NULL
+  WHERE id = NEW.game_id;
+  PERFORM set_config('app.reconciling', 'off', true);
+
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER sync_game_reconciliation_status AFTER INSERT OR UPDATE ON public.game_submissions
+  FOR EACH ROW EXECUTE FUNCTION public.sync_game_reconciliation_status();
+
+-- Decide the differences between the two counts (admins). The decided data
+-- is saved with save_game() first; this makes the game official.
+CREATE OR REPLACE FUNCTION public.resolve_game_count(p_game_id UUID, p_note TEXT)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY INVOKER
+AS $$
+BEGIN
+  IF NOT public.is_admin() THEN
+    RAISE EXCEPTION 'Only admins can decide between the two counts';
+  END IF;
+
+  IF p_note IS NULL OR btrim(p_note) = '' THEN
+    RAISE EXCEPTION 'Enter a note explaining the decision';
+  END IF;
+
+  IF (
+    SELECT COUNT(*)
+    FROM public.game_submissions s
+    JOIN public.games g ON g.id = s.game_id
+    WHERE s.game_id = p_game_id
+      AND s.team_id IN (g.home_team_id, g.away_team_id)
+  ) < 2 THEN
+    RAISE EXCEPTION 'Both scorekeepers must submit a count before it can be decided';
+  END IF;
+
+  PERFORM set_config('app.reconciling', 'on', true);
+  UPDATE public.games SET
+    reconciliation_status = 'resolved',
+    reconciled_by = auth.uid(),
+    reconciled_at = NOW(),
+    reconciliation_note = btrim(p_note)
+  WHERE id = p_game_id;
+  PERFORM set_config('app.reconciling', 'off', true);
+END;
+$$;
+
+COMMENT ON FUNCTION public.resolve_game_count IS
+  'Marks a disputed dual-scorekeeper game official with the admin''s note. Save the decided data with save_game() first.';
+
+COMMIT;
+
+-- =====================================================
+-- Migration complete!
+-- =====================================================
+-- Notes:
+--   - Existing games keep their reconciliation status; it is recalculated
+--     the next time either scorekeeper submits a count
+--   - When the counts agree the app still saves them as the game's data
+--     with save_game(); if that fails, submitting the count again retries
+-- =====================================================
@@ -0,0 +1,58 @@
+-- =====================================================
+-- MIGRATION: Add replace_game_violations() function
+-- Date: 2026-10-19
+-- Purpose: When a save changes later games (Rule 6, carried rest), their
+--          violation records were deleted and re-inserted, and has_violation
+--          updated, by separate client calls. A dropped connection in between
+--          left a game without its violation records. This function does the
+--          three writes in one transaction.
+-- =====================================================
+
+BEGIN;
+
+-- Replace a game's violation records and refresh has_violation atomically
+-- (used when later games are recomputed after an earlier game changes)
+CREATE OR REPLACE FUNCTION public.replace_game_violations(
+  p_game_id UUID,
+  p_violations JSONB DEFAULT '[]'::jsonb
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY INVOKER
+AS $$
+DECLARE
+  v_has_violation BOOLEAN;
+BEGIN
+  DELETE FROM public.game_violations WHERE game_id = p_game_id;
+
+  INSERT INTO public.game_violations (game_id, player_id, rule_id, innings, pitch_count, message)
+  SELECT p_game_id, v.player_id, v.rule_id, v.innings, v.pitch_count, v.message
+  FROM jsonb_to_recordset(COALESCE(p_violations, '[]'::jsonb))
+    AS v(player_id UUID, rule_id TEXT, innings INTEGER[], pitch_count INTEGER, message TEXT);
+
+  UPDATE public.games
+  SET has_violation = public.game_has_violation(p_game_id)
+  WHERE id = p_game_id
+  RETURNING has_violation INTO v_has_violation;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Game not found or you do not have permission to edit it';
+  END IF;
+
+  RETURN v_has_violation;
+END;
+$$;
+
+COMMENT ON FUNCTION public.replace_game_violations IS
+  'Replaces a game''s violation records and recomputes has_violation in one transaction. Any error rolls back both.';
+
+COMMIT;
+
+-- =====================================================
+-- Migration complete!
+-- =====================================================
+-- Notes:
+--   - has_violation comes from game_has_violation(), like save_game()
+--   - Runs with the caller's permissions, so the games and game_violations
+--     RLS policies apply
+-- =====================================================
@@ -0,0 +1,227 @@
+-- =====================================================
+-- MIGRATION: Add save_game() function
+-- Date: 2026-10-19
+-- Purpose: Save a game and all of its player data (attendance, pitching
+--          logs, positions, violation records) in a single transaction,
+--          computing next_eligible_pitch_date and has_violation on the
+--          server so a dropped connection can no longer leave a game
+--          half-saved
+-- =====================================================
+
+BEGIN;
+
+-- A season's rule set, or the league defaults when the season has none
+-- (keep the defaults in sync with PITCH_SMART_RULES in src/lib/pitchSmartRules.js)
+CREATE OR REPLACE FUNCTION public.season_pitch_count_rules(p_season_id UUID)
+RETURNS TABLE(age_min INTEGER, age_max INTEGER, max_pitches_per_game INTEGER, rest_day_ranges JSONB)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT r.age_min, r.age_max, r.max_pitches_per_game, r.rest_day_ranges
+  FROM public.pitch_count_rules r
+  WHERE r.season_id = p_season_id
+  UNION ALL
+  SELECT d.age_min, d.age_max, d.max_pitches_per_game, d.rest_day_ranges
+  FROM (VALUES
+    (6, 8, 50, '[{"minPitches":1,"maxPitches":20,"restDays":0},{"minPitches":21,"maxPitches":35,"restDays":1},{"minPitches":36,"maxPitches":50,"restDays":2}]'::jsonb),
+    (9, 10, 75, '[{"minPitches":1,"maxPitches":20,"restDays":0},{"minPitches":21,"maxPitches":35,"restDays":1},{"minPitches":36,"maxPitches":50,"restDays":2},{"minPitches":51,"maxPitches":65,"restDays":3},{"minPitches":66,"maxPitches":999,"restDays":4}]'::jsonb),
+    (11, 12, 85, '[{"minPitches":1,"maxPitches":20,"restDays":0},{"minPitches":21,"maxPitches":35,"restDays":1},{"minPitches":36,"maxPitches":50,"restDays":2},{"minPitches":51,"maxPitches":65,"restDays":3},{"minPitches":66,"maxPitches":999,"restDays":4}]'::jsonb)
+  ) AS d(age_min, age_max, max_pitches_per_game, rest_day_ranges)
+  WHERE NOT EXISTS (SELECT 1 FROM public.pitch_count_rules r WHERE r.season_id = p_season_id);
+$$;
+
+-- Required rest days for an effective pitch count (NULL if no rule applies)
+CREATE OR REPLACE FUNCTION public.required_rest_days(p_season_id UUID, p_age INTEGER, p_pitch_count INTEGER)
+RETURNS INTEGER
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT (ranges.rest_range->>'restDays')::INTEGER
+  FROM public.season_pitch_count_rules(p_season_id) r
+  CROSS JOIN LATERAL jsonb_array_elements(r.rest_day_ranges) WITH ORDINALITY AS ranges(rest_range, ord)
+  WHERE p_age BETWEEN r.age_min AND r.age_max
+    AND p_pitch_count BETWEEN (ranges.rest_range->>'minPitches')::INTEGER AND (ranges.rest_range->>'maxPitches')::INTEGER
+  ORDER BY r.age_min, ranges.ord
+  LIMIT 1;
+$$;
+
+-- Most recent next_eligible_pitch_date from a player's games before a date
+CREATE OR REPLACE FUNCTION public.eligible_pitch_date_before(p_player_id UUID, p_game_date DATE)
+RETURNS DATE
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT pl.next_eligible_pitch_date
+  FROM public.pitching_logs pl
+  JOIN public.games g ON g.id = pl.game_id
+  WHERE pl.player_id = p_player_id
+    AND g.game_date < p_game_date
+    AND pl.next_eligible_pitch_date IS NOT NULL
+  ORDER BY g.game_date DESC
+  LIMIT 1;
+$$;
+
+-- Whether a saved game breaks any of Rules 1-6
+-- (mirrors getGameViolations in src/lib/violationRules.js)
+CREATE OR REPLACE FUNCTION public.game_has_violation(p_game_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+AS $$
+  WITH game AS (
+    SELECT g.id, g.season_id, g.game_date, t.division
+    FROM public.games g
+    JOIN public.teams t ON t.id = g.home_team_id
+    WHERE g.id = p_game_id
+  ),
+  innings AS (
+    SELECT
+      pp.player_id,
+      COALESCE(array_agg(pp.inning_number ORDER BY pp.inning_number) FILTER (WHERE pp.position = 'pitcher'), '{}') AS pitched,
+      COALESCE(array_agg(pp.inning_number ORDER BY pp.inning_number) FILTER (WHERE pp.position = 'catcher'), '{}') AS caught
+    FROM public.positions_played pp
+    WHERE pp.game_id = p_game_id
+    GROUP BY pp.player_id
+  ),
+  player_data AS (
+    SELECT
+      i.pitched,
+      i.caught,
+      cardinality(i.pitched) AS pitched_count,
+      COALESCE(pl.penultimate_batter_count + 1, 0) AS effective_pitches,
+      CASE WHEN game.division = 'Training' THEN 50 ELSE (
+        SELECT r.max_pitches_per_game
+        FROM public.season_pitch_count_rules(game.season_id) r
+        WHERE p.age BETWEEN r.age_min AND r.age_max
+        ORDER BY r.age_min
+        LIMIT 1
+      ) END AS max_pitches,
+      public.eligible_pitch_date_before(i.player_id, game.game_date) AS prior_eligible_date,
+      game.game_date
+    FROM innings i
+    CROSS JOIN game
+    JOIN public.players p ON p.id = i.player_id
+    LEFT JOIN public.pitching_logs pl ON pl.game_id = p_game_id AND pl.player_id = i.player_id
+  )
+  SELECT EXISTS (
+    SELECT 1 FROM player_data d
+    WHERE d.pitched_count > 0 AND (
+      -- Rule 1: pitched innings must be consecutive
+      d.pitched[d.pitched_count] - d.pitched[1] + 1 <> d.pitched_count
+      -- Rule 2: 41+ pitches, then caught
+      OR (d.effective_pitches >= 41 AND EXISTS (SELECT 1 FROM unnest(d.caught) c WHERE c > d.pitched[d.pitched_count]))
+      -- Rule 3: caught 4+ innings, then pitched
+      OR (cardinality(d.caught) >= 4 AND EXISTS (SELECT 1 FROM unnest(d.pitched) i WHERE i > d.caught[4]))
+      -- Rule 4: caught 1-3 innings + 21+ pitches, then caught again
+      OR (d.effective_pitches >= 21
+          AND (SELECT count(*) FROM unnest(d.caught) c WHERE c < d.pitched[1]) BETWEEN 1 AND 3
+          AND EXISTS (SELECT 1 FROM unnest(d.caught) c WHERE c > d.pitched[d.pitched_count]))
+      -- Rule 5: exceeded the daily maximum
+      OR d.effective_pitches > d.max_pitches
+      -- Rule 6: pitched before the rest period ended
+      OR d.game_date < d.prior_eligible_date
+    )
+  );
+$$;
+
+-- Save a game and all of its player data atomically
+-- Runs with the caller's permissions, so the games/player data RLS policies apply.
+CREATE OR REPLACE FUNCTION public.save_game(
+  p_game_id UUID,
+  p_game JSONB,
+  p_attendance JSONB,
+  p_pitching_logs JSONB,
+  p_positions JSONB,
+  p_violations JSONB DEFAULT '[]'::jsonb
+)
+RETURNS public.games
+LANGUAGE plpgsql
+SECURITY INVOKER
+AS $$
+DECLARE
+  v_game public.games;
+BEGIN
+  IF p_game_id IS NULL THEN
+    INSERT INTO public.games (season_id, game_date, scorekeeper_name, scorekeeper_team_id, home_team_id, away_team_id, home_score, away_score, notes)
+    SELECT r.season_id, r.game_date, r.scorekeeper_name, r.scorekeeper_team_id, r.home_team_id, r.away_team_id, r.home_score, r.away_score, r.notes
+    FROM jsonb_populate_record(NULL::public.games, p_game) r
+    RETURNING * INTO v_game;
+  ELSE
+    UPDATE public.games g SET
+      season_id = r.season_id,
+      game_date = r.game_date,
+      scorekeeper_name = r.scorekeeper_name,
+      scorekeeper_team_id = r.scorekeeper_team_id,
+      home_team_id = r.home_team_id,
+      away_team_id = r.away_team_id,
+      home_score = r.home_score,
+      away_score = r.away_score,
+      notes = r.notes
+    FROM jsonb_populate_record(NULL::public.games, p_game) r
+    WHERE g.id = p_game_id
+    RETURNING g.* INTO v_game;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Game not found or you do not have permission to edit it';
+    END IF;
+
+    DELETE FROM public.game_players WHERE game_id = v_game.id;
+    DELETE FROM public.pitching_logs WHERE game_id = v_game.id;
+    DELETE FROM public.positions_played WHERE game_id = v_game.id;
+    DELETE FROM public.game_violations WHERE game_id = v_game.id;
+  END IF;
+
+  INSERT INTO public.game_players (game_id, player_id, was_present, absence_note)
+  SELECT v_game.id, a.player_id, a.was_present, a.absence_note
+  FROM jsonb_to_recordset(p_attendance) AS a(player_id UUID, was_present BOOLEAN, absence_note TEXT);
+
+  INSERT INTO public.positions_played (game_id, player_id, inning_number, position)
+  SELECT v_game.id, pos.player_id, pos.inning_number, pos.position
+  FROM jsonb_to_recordset(p_positions) AS pos(player_id UUID, inning_number INTEGER, position TEXT);
+
+  -- Next eligible date = this game's rest requirement (penultimate batter + 1),
+  -- or rest still owed from earlier games if later
+  INSERT INTO public.pitching_logs (game_id, player_id, final_pitch_count, penultimate_batter_count, next_eligible_pitch_date)
+  SELECT
+    v_game.id,
+    l.player_id,
+    l.final_pitch_count,
+    l.penultimate_batter_count,
+    GREATEST(
+      v_game.game_date + public.required_rest_days(v_game.season_id, p.age, l.penultimate_batter_count + 1) + 1,
+      public.eligible_pitch_date_before(l.player_id, v_game.game_date)
+    )
+  FROM jsonb_to_recordset(p_pitching_logs) AS l(player_id UUID, final_pitch_count INTEGER, penultimate_batter_count INTEGER)
+  JOIN public.players p ON p.id = l.player_id;
+
+  -- Detailed violation records (rule, innings, message) come from the client
+  INSERT INTO public.game_violations (game_id, player_id, rule_id, innings, pitch_count, message)
+  SELECT v_game.id, v.player_id, v.rule_id, v.innings, v.pitch_count, v.message
+  FROM jsonb_to_recordset(COALESCE(p_violations, '[]'::jsonb))
+    AS v(player_id UUID, rule_id TEXT, innings INTEGER[], pitch_count INTEGER, message TEXT);
+
+  UPDATE public.games
+  SET has_violation = public.game_has_violation(v_game.id)
+  WHERE id = v_game.id
+  RETURNING * INTO v_game;
+
+  RETURN v_game;
+END;
+$$;
+
+COMMENT ON FUNCTION public.save_game IS
+  'Creates (p_game_id NULL) or updates a game and replaces its attendance, pitching logs, positions and violation records in one transaction. Computes next_eligible_pitch_date and has_violation. Any error rolls back the whole save.';
+
+COMMIT;
+
+-- =====================================================
+-- Migration complete!
+-- =====================================================
+-- Notes:
+--   - Game Entry and offline sync save through supabase.rpc('save_game')
+--   - The function runs with the caller's permissions (SECURITY INVOKER),
+--     so admins and coaches with can_edit keep exactly the access they had
+--   - season_pitch_count_rules() repeats the league defaults from
+--     src/lib/pitchSmartRules.js for seasons without rules of their own
+--   - Waivers and the recompute of later games still run after the save
+-- =====================================================
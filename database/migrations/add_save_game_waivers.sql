@@ -0,0 +1,293 @@
+-- =====================================================
+-- MIGRATION: Record violation waivers inside save_game()
+-- Date: 2026-10-19
+-- Purpose: Waivers for blocking violations (Rules 1-5) were written by a
+--          separate client call after the game was saved, and a failure
+--          there was only logged, leaving a saved game with an unwaived
+--          blocking violation. save_game() now takes the admin's waiver
+--          reason and syncs the game's waivers in the same transaction,
+--          refusing the save when a blocking violation can't be waived.
+-- =====================================================
+
+BEGIN;
+
+-- The new parameter changes the signature; drop the old one so calls aren't ambiguous
+DROP FUNCTION IF EXISTS public.save_game(UUID, JSONB, JSONB, JSONB, JSONB, JSONB, TIMESTAMPTZ);
+
+-- Blocking violations (Rules 1-5) of a saved game, one row per player and rule
+-- Worked out from the game's positions and pitching logs the same way as
+-- game_has_violation(), so save_game() doesn't depend on the client's list.
+CREATE OR REPLACE FUNCTION public.game_blocking_violations(p_game_id UUID)
+RETURNS TABLE (player_id UUID, rule_id TEXT)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH game AS (
+    SELECT g.id, g.season_id, g.suspended_after_inning, t.division
+    FROM public.games g
+    JOIN public.teams t ON t.id = g.home_team_id
+    WHERE g.id = p_game_id
+  ),
+  innings AS (
+    SELECT
+      pp.player_id,
+      COALESCE(pp.inning_number > game.suspended_after_inning, false) AS resumed,
+      COALESCE(array_agg(pp.inning_number ORDER BY pp.inning_number) FILTER (WHERE pp.position = 'pitcher'), '{}') AS pitched,
+      COALESCE(array_agg(pp.inning_number ORDER BY pp.inning_number) FILTER (WHERE pp.position = 'catcher'), '{}') AS caught
+    FROM public.positions_played pp
+    CROSS JOIN game
+    WHERE pp.game_id = p_game_id
+    GROUP BY pp.player_id, COALESCE(pp.inning_number > game.suspended_after_inning, false)
+  ),
+  player_data AS (
+    SELECT
+      i.player_id,
+      i.pitched,
+      i.caught,
+      cardinality(i.pitched) AS pitched_count,
+      COALESCE(pl.penultimate_batter_count + 1, 0) AS effective_pitches,
+      CASE WHEN i.resumed THEN 0 ELSE public.pitches_earlier_same_day(i.player_id, p_game_id) END AS earlier_pitches,
+      CASE WHEN game.division = 'Training' THEN 50 ELSE (
+        SELECT r.max_pitches_per_game
+        FROM public.season_pitch_count_rules(game.season_id) r
+        WHERE p.age BETWEEN r.age_min AND r.age_max
+        ORDER BY r.age_min
+        LIMIT 1
+      ) END AS max_pitches
+    FROM innings i
+    CROSS JOIN game
+    JOIN public.players p ON p.id = i.player_id
+    LEFT JOIN public.pitching_logs pl
+      ON pl.game_id = p_game_id AND pl.player_id = i.player_id AND pl.resumed = i.resumed
+  )
+  SELECT DISTINCT d.player_id, r.rule_id
+  FROM player_data d
+  CROSS JOIN LATERAL (VALUES
+    -- Rule 1: pitched innings must be consecutive
+    ('consecutive_innings', d.pitched[d.pitched_count] - d.pitched[1] + 1 <> d.pitched_count),
+    -- Rule 2: 41+ pitches, then caught
+    ('high_pitch_count_catching', d.effective_pitches >= 41 AND EXISTS (SELECT 1 FROM unnest(d.caught) c WHERE c > d.pitched[d.pitched_count])),
+    -- Rule 3: caught 4+ innings, then pitched
+    ('four_innings_catching', cardinality(d.caught) >= 4 AND EXISTS (SELECT 1 FROM unnest(d.pitched) i WHERE i > d.caught[4])),
+    -- Rule 4: caught 1-3 innings + 21+ pitches, then caught again
+    ('catch_pitch_combined', d.effective_pitches >= 21
+      AND (SELECT count(*) FROM unnest(d.caught) c WHERE c < d.pitched[1]) BETWEEN 1 AND 3
+      AND EXISTS (SELECT 1 FROM unnest(d.caught) c WHERE c > d.pitched[d.pitched_count])),
+    -- Rule 5: exceeded the daily maximum (all of the day's games together)
+    ('max_pitches_exceeded', d.effective_pitches > 0 AND d.effective_pitches + d.earlier_pitches > d.max_pitches)
+  ) AS r(rule_id, broken)
+  WHERE d.pitched_count > 0 AND r.broken;
+$$;
+
+COMMENT ON FUNCTION public.game_blocking_violations IS
+  'Rules 1-5 broken in a saved game (player_id, rule_id), computed from its positions and pitching logs. save_game() checks waivers against these.';
+
+-- Remove a game's waivers for violations it no longer has. Runs with the
+-- owner's permissions: only admins may write violation_waivers, but any
+-- save that clears a violation must also clear its waiver.
+CREATE OR REPLACE FUNCTION public.remove_stale_violation_waivers(p_game_id UUID)
+RETURNS VOID
+LANGUAGE sql
+SECURITY DEFINER
+AS $$
+  DELETE FROM public.violation_waivers w
+  WHERE w.game_id = p_game_id
+    AND NOT EXISTS (
+      SELECT 1 FROM public.game_blocking_violations(p_game_id) b
+      WHERE b.player_id = w.player_id AND b.rule_id = w.rule_id
+    );
+$$;
+
+-- Save a game and all of its player data atomically
+-- Runs with the caller's permissions, so the games/player data RLS policies apply.
+CREATE OR REPLACE FUNCTION public.save_game(
+  p_game_id UUID,
+  p_game JSONB,
+  p_attendance JSONB,
+  p_pitching_logs JSONB,
+  p_positions JSONB,
+  p_violations JSONB DEFAULT '[]'::jsonb,
+  p_expected_updated_at TIMESTAMPTZ DEFAULT NULL,
+  p_waiver_reason TEXT DEFAULT NULL
+)
+RETURNS public.games
+LANGUAGE plpgsql
+SECURITY INVOKER
+AS $$
+DECLARE
+  v_game public.games;
+  v_current_updated_at TIMESTAMPTZ;
+BEGIN
+  IF p_game_id IS NULL THEN
+    INSERT INTO public.games (season_id, game_date, start_time, scorekeeper_name, scorekeeper_team_id, home_team_id, away_team_id, home_score, away_score, notes, status, forfeiting_team_id,
+      suspended_after_inning, resume_date)
+    SELECT r.season_id, r.game_date, r.start_time, r.scorekeeper_name, r.scorekeeper_team_id, r.home_team_id, r.away_team_id, r.home_score, r.away_score, r.notes,
+      COALESCE(r.status, 'final'), r.forfeiting_team_id, r.suspended_after_inning, r.resume_date
+    FROM jsonb_populate_record(NULL::public.games, p_game) r
+    RETURNING * INTO v_game;
+  ELSE
+    -- Lock the game and refuse to overwrite changes saved since the editor loaded it
+    SELECT g.updated_at INTO v_current_updated_at
+    FROM public.games g
+    WHERE g.id = p_game_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Game not found or you do not have permission to edit it';
+    END IF;
+
+    IF p_expected_updated_at IS NOT NULL AND v_current_updated_at IS DISTINCT FROM p_expected_updated_at THEN
+      RAISE EXCEPTION 'This game was changed by someone else after you opened it'
+        USING ERRCODE = 'TL409',
+              DETAIL = to_char(v_current_updated_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"');
+    END IF;
+
+    UPDATE public.games g SET
+      season_id = r.season_id,
+      game_date = r.game_date,
+      start_time = r.start_time,
+      scorekeeper_name = r.scorekeeper_name,
+      scorekeeper_team_id = r.scorekeeper_team_id,
+      home_team_id = r.home_team_id,
+      away_team_id = r.away_team_id,
+      home_score = r.home_score,
+      away_score = r.away_score,
+      notes = r.notes,
+      status = COALESCE(r.status, g.status),
+      forfeiting_team_id = r.forfeiting_team_id,
+      rescheduled_game_id = CASE WHEN COALESCE(r.status, g.status) = 'postponed' THEN g.rescheduled_game_id END,
+      suspended_after_inning = r.suspended_after_inning,
+      resume_date = r.resume_date
+    FROM jsonb_populate_record(NULL::public.games, p_game) r
+    WHERE g.id = p_game_id
+    RETURNING g.* INTO v_game;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Game not found or you do not have permission to edit it';
+    END IF;
+
+    DELETE FROM public.game_players WHERE game_id = v_game.id;
+    DELETE FROM public.pitching_logs WHERE game_id = v_game.id;
+    DELETE FROM public.positions_played WHERE game_id = v_game.id;
+    DELETE FROM public.game_violations WHERE game_id = v_game.id;
+  END IF;
+
+  INSERT INTO public.game_players (game_id, player_id, was_present, absence_note)
+  SELECT v_game.id, a.player_id, a.was_present, a.absence_note
+  FROM jsonb_to_recordset(p_attendance) AS a(player_id UUID, was_present BOOLEAN, absence_note TEXT);
+
+  INSERT INTO public.positions_played (game_id, player_id, inning_number, position)
+  SELECT v_game.id, pos.player_id, pos.inning_number, pos.position
+  FROM jsonb_to_recordset(p_positions) AS pos(player_id UUID, inning_number INTEGER, position TEXT);
+
+  -- Next eligible date = the rest required for the day's combined pitches
+  -- (this log's penultimate batter + 1 plus the player's other games that day),
+  -- or rest still owed from earlier games if later. Resumed logs are dated
+  -- the resume date.
+  INSERT INTO public.pitching_logs (game_id, player_id, final_pitch_count, penultimate_batter_count, resumed, pitch_date, next_eligible_pitch_date)
+  SELECT
+    v_game.id,
+    l.player_id,
+    l.final_pitch_count,
+    l.penultimate_batter_count,
+    COALESCE(l.resumed, false),
+    d.pitch_date,
+    GREATEST(
+      d.pitch_date + public.required_rest_days(
+        v_game.season_id,
+        p.age,
+        l.penultimate_batter_count + 1 + public.daily_pitch_count(l.player_id, d.pitch_date)
+      ) + 1,
+      public.eligible_pitch_date_before(l.player_id, d.pitch_date)
+    )
+  FROM jsonb_to_recordset(p_pitching_logs)
+    AS l(player_id UUID, final_pitch_count INTEGER, penultimate_batter_count INTEGER, resumed BOOLEAN)
+  JOIN public.players p ON p.id = l.player_id
+  CROSS JOIN LATERAL (
+    SELECT CASE WHEN COALESCE(l.resumed, false) THEN COALESCE(v_game.resume_date, v_game.game_date) ELSE v_game.game_date END AS pitch_date
+  ) d;
+
+  -- The insert above cannot see the game's own first-date logs, so resumed
+  -- logs pick up the rest owed from the game date here
+  UPDATE public.pitching_logs pl
+  SET next_eligible_pitch_date = GREATEST(pl.next_eligible_pitch_date, public.eligible_pitch_date_before(pl.player_id, pl.pitch_date))
+  WHERE pl.game_id = v_game.id
+    AND pl.resumed;
+
+  -- Rest counts from the last game of the day, so the player's other games
+  -- that day carry the same date
+  UPDATE public.pitching_logs pl
+  SET next_eligible_pitch_date = mine.next_eligible_pitch_date
+  FROM public.pitching_logs mine
+  WHERE mine.game_id = v_game.id
+    AND pl.player_id = mine.player_id
+    AND pl.pitch_date = mine.pitch_date
+    AND pl.game_id != v_game.id;
+
+  -- Detailed violation records (rule, innings, message) come from the client
+  INSERT INTO public.game_violations (game_id, player_id, rule_id, innings, pitch_count, message)
+  SELECT v_game.id, v.player_id, v.rule_id, v.innings, v.pitch_count, v.message
+  FROM jsonb_to_recordset(COALESCE(p_violations, '[]'::jsonb))
+    AS v(player_id UUID, rule_id TEXT, innings INTEGER[], pitch_count INTEGER, message TEXT);
+
+  -- Waivers follow the blocking violations (Rules 1-5) the server finds in
+  -- the saved data, whatever p_violations says: drop the ones that no longer
+  -- apply, and waive new ones only for an admin who gave a reason. The game
+  -- is never saved with a blocking violation that isn't waived.
+  PERFORM public.remove_stale_violation_waivers(v_game.id);
+
+  IF EXISTS (
+    SELECT 1 FROM public.game_blocking_violations(v_game.id) b
+    WHERE NOT EXISTS (
+      SELECT 1 FROM public.violation_waivers w
+      WHERE w.game_id = v_game.id AND w.player_id = b.player_id AND w.rule_id = b.rule_id
+    )
+  ) THEN
+    IF NOT public.is_admin() THEN
+      RAISE EXCEPTION 'This game has safety rule violations (Rules 1-5). Only an admin can waive them.';
+    END IF;
+    IF COALESCE(trim(p_waiver_reason), '') = '' THEN
+      RAISE EXCEPTION 'A reason is required to waive a violation';
+    END IF;
+
+    -- One waiver per player and rule, even if a suspended game broke it on both dates
+    INSERT INTO public.violation_waivers (game_id, player_id, rule_id, reason, approved_by)
+    SELECT v_game.id, b.player_id, b.rule_id, trim(p_waiver_reason), auth.uid()
+    FROM public.game_blocking_violations(v_game.id) b
+    WHERE NOT EXISTS (
+      SELECT 1 FROM public.violation_waivers w
+      WHERE w.game_id = v_game.id AND w.player_id = b.player_id AND w.rule_id = b.rule_id
+    );
+  END IF;
+
+  UPDATE public.games
+  SET has_violation = public.game_has_violation(v_game.id)
+  WHERE id = v_game.id
+  RETURNING * INTO v_game;
+
+  RETURN v_game;
+END;
+$$;
+
+COMMENT ON FUNCTION public.save_game IS
+  'Creates (p_game_id NULL) or updates a game and replaces its attendance, pitching logs, positions and violation records in one transaction, and brings its violation waivers in line with the blocking violations it finds in the saved data (new ones need an admin and p_waiver_reason). Computes next_eligible_pitch_date (from the day''s combined pitches, per date for a suspended game) and has_violation. Any error rolls back the whole save. When p_expected_updated_at is given and the game changed since then, raises SQLSTATE TL409.';
+
+COMMIT;
+
+-- =====================================================
+-- Migration complete!
+-- =====================================================
+-- Notes:
+--   - Waivers are approved in the caller's name (auth.uid()), as the
+--     violation_waivers policy requires
+--   - Blocking violations are computed from the saved positions and
+--     pitching logs (game_blocking_violations), not from p_violations, so a
+--     direct call with p_violations = '[]' is refused the same way:
+--       SELECT public.save_game(NULL, '{...}', '[...]', '[...pitcher 50 pitches...]',
+--         '[...pitched innings 1 and 3...]', '[]');
+--       -- ERROR: This game has safety rule violations (Rules 1-5). Only an admin can waive them.
+--   - Waivers for violations that disappear on an edit are removed on any
+--     user's save, through remove_stale_violation_waivers()
+--   - A queued offline draft that picks up a new blocking violation when it
+--     syncs fails with the error above instead of saving
+-- =====================================================
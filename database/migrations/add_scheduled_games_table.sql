@@ -0,0 +1,78 @@
+-- =====================================================
+-- MIGRATION: Add scheduled_games table
+-- Date: 2026-10-19
+-- Purpose: Let admins pre-create the season schedule (date, start time,
+--          home/away team, field) so results are entered against a fixture
+--          and coaches can plan pitchers for upcoming games.
+-- =====================================================
+
+BEGIN;
+
+-- Create scheduled_games table (one row per fixture)
+CREATE TABLE IF NOT EXISTS public.scheduled_games (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  season_id UUID NOT NULL REFERENCES public.seasons(id) ON DELETE CASCADE,
+  game_date DATE NOT NULL,
+  start_time TIME,
+  home_team_id UUID NOT NULL REFERENCES public.teams(id) ON DELETE CASCADE,
+  away_team_id UUID NOT NULL REFERENCES public.teams(id) ON DELETE CASCADE,
+  field TEXT,
+  game_id UUID UNIQUE REFERENCES public.games(id) ON DELETE SET NULL,
+  created_by UUID REFERENCES public.user_profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK (home_team_id != away_team_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_games_season_date ON public.scheduled_games(season_id, game_date);
+CREATE INDEX IF NOT EXISTS idx_scheduled_games_home_team ON public.scheduled_games(home_team_id);
+CREATE INDEX IF NOT EXISTS idx_scheduled_games_away_team ON public.scheduled_games(away_team_id);
+
+-- Add comments for documentation
+COMMENT ON TABLE public.scheduled_games IS
+  'Season schedule. Fixtures are created in advance and linked to the game once its result is entered.';
+
+COMMENT ON COLUMN public.scheduled_games.game_id IS
+  'Game saved with the result of this fixture (NULL until entered)';
+
+-- Enable RLS
+ALTER TABLE public.scheduled_games ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policy: Admins can manage the schedule
+CREATE POLICY "Admins can manage scheduled games"
+  ON public.scheduled_games FOR ALL
+  USING ((select public.is_admin()));
+
+-- RLS Policy: Coaches with edit permission can link their teams' fixtures to entered games
+CREATE POLICY "Coaches can link team scheduled games"
+  ON public.scheduled_games FOR UPDATE
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.team_coaches tc
+      WHERE (tc.team_id = scheduled_games.home_team_id OR tc.team_id = scheduled_games.away_team_id)
+        AND tc.user_id = (select auth.uid())
+        AND tc.can_edit = true
+    )
+  );
+
+-- RLS Policy: All authenticated users can view the schedule
+CREATE POLICY "All authenticated users can view scheduled games"
+  ON public.scheduled_games FOR SELECT
+  USING ((select auth.uid()) IS NOT NULL);
+
+-- Keep updated_at current
+CREATE TRIGGER update_scheduled_games_updated_at BEFORE UPDATE ON public.scheduled_games
+  FOR EACH ROW EXECUTE FUNCTION public.update_updated_at();
+
+COMMIT;
+
+-- =====================================================
+-- Migration complete!
+-- =====================================================
+-- Notes:
+--   - Admins add fixtures one by one or import them from CSV on the
+--     Schedule page
+--   - "Enter Result" in Game Entry opens the game form prefilled from the
+--     fixture and links the saved game through game_id
+--   - Deleting a game unlinks its fixture, which shows as upcoming again
+-- =====================================================
@@ -0,0 +1,65 @@
+-- =====================================================
+-- MIGRATION: Add violation_waivers table
+-- Date: 2026-10-19
+-- Purpose: Rules 1-5 now block saving a game. An admin can waive a
+--          blocking violation by giving a written reason; each waiver
+--          records who approved it and when.
+-- =====================================================
+
+BEGIN;
+
+-- Create violation_waivers table
+-- Keyed by (game, player, rule) rather than game_violations.id because
+-- violation records are rebuilt every time a game is saved.
+CREATE TABLE IF NOT EXISTS public.violation_waivers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  game_id UUID NOT NULL REFERENCES public.games(id) ON DELETE CASCADE,
+  player_id UUID NOT NULL REFERENCES public.players(id) ON DELETE CASCADE,
+  rule_id TEXT NOT NULL CHECK (rule_id IN (
+    'consecutive_innings',        -- Rule 1
+    'high_pitch_count_catching',  -- Rule 2
+    'four_innings_catching',      -- Rule 3
+    'catch_pitch_combined',       -- Rule 4
+    'max_pitches_exceeded'        -- Rule 5
+  )),
+  reason TEXT NOT NULL CHECK (length(trim(reason)) > 0),
+  approved_by UUID REFERENCES public.user_profiles(id) ON DELETE SET NULL,
+  approved_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  UNIQUE(game_id, player_id, rule_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_violation_waivers_game ON public.violation_waivers(game_id);
+CREATE INDEX IF NOT EXISTS idx_violation_waivers_approved_at ON public.violation_waivers(approved_at DESC);
+
+-- Add comments for documentation
+COMMENT ON TABLE public.violation_waivers IS
+  'Admin waivers for blocking violations (Rules 1-5). One row per waived violation per player per game.';
+
+COMMENT ON COLUMN public.violation_waivers.approved_by IS
+  'Admin who approved the waiver (must be the user inserting the row)';
+
+-- Enable RLS
+ALTER TABLE public.violation_waivers ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policy: Admins manage waivers, and can only record waivers in their own name
+CREATE POLICY "Admins can manage violation waivers"
+  ON public.violation_waivers FOR ALL
+  USING ((select public.is_admin()))
+  WITH CHECK ((select public.is_admin()) AND approved_by = (select auth.uid()));
+
+-- RLS Policy: All authenticated users can view waivers
+CREATE POLICY "All authenticated users can view violation waivers"
+  ON public.violation_waivers FOR SELECT
+  USING ((select auth.uid()) IS NOT NULL);
+
+COMMIT;
+
+-- =====================================================
+-- Migration complete!
+-- =====================================================
+-- Notes:
+--   - Rule 6 (rest days) is never blocking, so it cannot be waived
+--   - Waivers for violations that disappear when a game is edited are
+--     removed on save
+--   - Rows cascade-delete with their game
+-- =====================================================
@@ -0,0 +1,107 @@
+-- =====================================================
+-- ROLLBACK: Remove full position tracking
+-- Date: 2026-10-19
+-- Purpose: Rollback fielding positions and Rules 7-8 game violations
+-- =====================================================
+
+BEGIN;
+
+DELETE FROM public.positions_played WHERE position NOT IN ('pitcher', 'catcher');
+
+DELETE FROM public.game_violations WHERE rule_id IN ('consecutive_sitting', 'no_infield_inning');
+
+ALTER TABLE public.positions_played DROP CONSTRAINT IF EXISTS positions_played_position_check;
+
+ALTER TABLE public.positions_played
+  ADD CONSTRAINT positions_played_position_check CHECK (position IN ('pitcher', 'catcher'));
+
+COMMENT ON COLUMN public.positions_played.position IS NULL;
+
+ALTER TABLE public.game_violations DROP CONSTRAINT IF EXISTS game_violations_rule_id_check;
+
+ALTER TABLE public.game_violations
+  ADD CONSTRAINT game_violations_rule_id_check CHECK (
+    rule_id IN (
+      'consecutive_innings', 'high_pitch_count_catching', 'four_innings_catching',
+      'catch_pitch_combined', 'max_pitches_exceeded', 'insufficient_rest'
+    )
+  );
+
+-- Restore game_has_violation() for Rules 1-6 (definition from add_suspended_games.sql)
+-- Whether a saved game breaks any of Rules 1-6
+-- (mirrors getGameViolationsByDate in src/lib/suspendedGames.js)
+-- Each date of a suspended game is checked as its own outing; the resumed
+-- portion is the first game of its date, so earlier pitches only count on game_date
+CREATE OR REPLACE FUNCTION public.game_has_violation(p_game_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+AS $$
+  WITH game AS (
+    SELECT g.id, g.season_id, g.game_date, g.suspended_after_inning, g.resume_date, t.division
+    FROM public.games g
+    JOIN public.teams t ON t.id = g.home_team_id
+    WHERE g.id = p_game_id
+  ),
+  innings AS (
+    SELECT
+      pp.player_id,
+      COALESCE(pp.inning_number > game.suspended_after_inning, false) AS resumed,
+      COALESCE(array_agg(pp.inning_number ORDER BY pp.inning_number) FILTER (WHERE pp.position = 'pitcher'), '{}') AS pitched,
+      COALESCE(array_agg(pp.inning_number ORDER BY pp.inning_number) FILTER (WHERE pp.position = 'catcher'), '{}') AS caught
+    FROM public.positions_played pp
+    CROSS JOIN game
+    WHERE pp.game_id = p_game_id
+    GROUP BY pp.player_id, COALESCE(pp.inning_number > game.suspended_after_inning, false)
+  ),
+  player_data AS (
+    SELECT
+      i.pitched,
+      i.caught,
+      cardinality(i.pitched) AS pitched_count,
+      COALESCE(pl.penultimate_batter_count + 1, 0) AS effective_pitches,
+      CASE WHEN i.resumed THEN 0 ELSE public.pitches_earlier_same_day(i.player_id, p_game_id) END AS earlier_pitches,
+      CASE WHEN game.division = 'Training' THEN 50 ELSE (
+        SELECT r.max_pitches_per_game
+        FROM public.season_pitch_count_rules(game.season_id) r
+        WHERE p.age BETWEEN r.age_min AND r.age_max
+        ORDER BY r.age_min
+        LIMIT 1
+      ) END AS max_pitches,
+      public.eligible_pitch_date_before(i.player_id, d.pitch_date) AS prior_eligible_date,
+      d.pitch_date
+    FROM innings i
+    CROSS JOIN game
+    CROSS JOIN LATERAL (
+      SELECT CASE WHEN i.resumed THEN COALESCE(game.resume_date, game.game_date) ELSE game.game_date END AS pitch_date
+    ) d
+    JOIN public.players p ON p.id = i.player_id
+    LEFT JOIN public.pitching_logs pl
+      ON pl.game_id = p_game_id AND pl.player_id = i.player_id AND pl.resumed = i.resumed
+  )
+  SELECT EXISTS (
+    SELECT 1 FROM player_data d
+    WHERE d.pitched_count > 0 AND (
+      -- Rule 1: pitched innings must be consecutive
+      d.pitched[d.pitched_count] - d.pitched[1] + 1 <> d.pitched_count
+      -- Rule 2: 41+ pitches, then caught
+      OR (d.effective_pitches >= 41 AND EXISTS (SELECT 1 FROM unnest(d.caught) c WHERE c > d.pitched[d.pitched_count]))
+      -- Rule 3: caught 4+ innings, then pitched
+      OR (cardinality(d.caught) >= 4 AND EXISTS (SELECT 1 FROM unnest(d.pitched) i WHERE i > d.caught[4]))
+      -- Rule 4: caught 1-3 innings + 21+ pitches, then caught again
+      OR (d.effective_pitches >= 21
+          AND (SELECT count(*) FROM unnest(d.caught) c WHERE c < d.pitched[1]) BETWEEN 1 AND 3
+          AND EXISTS (SELECT 1 FROM unnest(d.caught) c WHERE c > d.pitched[d.pitched_count]))
+      -- Rule 5: exceeded the daily maximum (all of the day's games together)
+      OR (d.effective_pitches > 0 AND d.effective_pitches + d.earlier_pitches > d.max_pitches)
+      -- Rule 6: pitched before the rest period ended
+      OR d.pitch_date < d.prior_eligible_date
+    )
+  );
+$$;
+
+COMMIT;
+
+-- =====================================================
+-- Rollback complete!
+-- =====================================================
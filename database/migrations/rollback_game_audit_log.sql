@@ -0,0 +1,27 @@
+-- =====================================================
+-- ROLLBACK: Remove game_audit_log table
+-- Date: 2026-10-19
+-- Purpose: Rollback the game change history and its triggers
+-- =====================================================
+
+BEGIN;
+
+-- Drop triggers
+DROP TRIGGER IF EXISTS audit_games_changes ON public.games;
+DROP TRIGGER IF EXISTS audit_game_players_changes ON public.game_players;
+DROP TRIGGER IF EXISTS audit_pitching_logs_changes ON public.pitching_logs;
+DROP TRIGGER IF EXISTS audit_positions_played_changes ON public.positions_played;
+
+-- Drop trigger function
+DROP FUNCTION IF EXISTS public.audit_game_change();
+
+-- Drop table (RLS policies are automatically dropped)
+DROP TABLE IF EXISTS public.game_audit_log;
+
+COMMIT;
+
+-- =====================================================
+-- Rollback complete!
+-- =====================================================
+-- Note: all recorded history is lost
+-- =====================================================
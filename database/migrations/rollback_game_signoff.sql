@@ -0,0 +1,33 @@
+-- =====================================================
+-- ROLLBACK: Remove game sign-off
+-- Date: 2026-10-19
+-- Purpose: Rollback game sign-off and the lock on confirmed games
+-- =====================================================
+
+BEGIN;
+
+DROP TRIGGER IF EXISTS lock_signed_off_positions_played ON public.positions_played;
+DROP TRIGGER IF EXISTS lock_signed_off_pitching_logs ON public.pitching_logs;
+DROP TRIGGER IF EXISTS lock_signed_off_game_players ON public.game_players;
+DROP TRIGGER IF EXISTS enforce_games_signoff ON public.games;
+
+DROP FUNCTION IF EXISTS public.enforce_game_data_lock();
+DROP FUNCTION IF EXISTS public.enforce_game_signoff();
+
+DROP INDEX IF EXISTS public.idx_games_signoff_status;
+
+ALTER TABLE public.games
+  DROP COLUMN IF EXISTS reopen_reason,
+  DROP COLUMN IF EXISTS reopened_at,
+  DROP COLUMN IF EXISTS reopened_by,
+  DROP COLUMN IF EXISTS signoff_confirmed_at,
+  DROP COLUMN IF EXISTS signoff_confirmed_by,
+  DROP COLUMN IF EXISTS signoff_submitted_at,
+  DROP COLUMN IF EXISTS signoff_submitted_by,
+  DROP COLUMN IF EXISTS signoff_status;
+
+COMMIT;
+
+-- =====================================================
+-- Rollback complete!
+-- =====================================================
@@ -0,0 +1,29 @@
+-- =====================================================
+-- ROLLBACK: Enforce game status transitions and schedule postponed games
+-- Date: 2026-10-19
+-- Purpose: Remove the status transition trigger, change_game_status() and
+--          replacement fixtures of postponed games
+-- =====================================================
+
+BEGIN;
+
+DROP TRIGGER IF EXISTS link_rescheduled_game ON public.scheduled_games;
+DROP FUNCTION IF EXISTS public.link_rescheduled_game();
+DROP FUNCTION IF EXISTS public.change_game_status(UUID, TEXT, UUID, DATE);
+DROP TRIGGER IF EXISTS enforce_games_status_transition ON public.games;
+DROP FUNCTION IF EXISTS public.enforce_game_status_transition();
+DROP FUNCTION IF EXISTS public.game_status_transition_allowed(TEXT, TEXT);
+
+ALTER TABLE public.scheduled_games DROP COLUMN IF EXISTS replaces_game_id;
+
+COMMENT ON COLUMN public.games.status IS
+  'scheduled, in_progress, suspended, final, postponed, forfeited or cancelled. Allowed transitions are enforced by the app (src/lib/gameStatus.js).';
+
+COMMENT ON COLUMN public.games.rescheduled_game_id IS
+  'Replacement game of a postponed game';
+
+COMMIT;
+
+-- =====================================================
+-- Rollback complete!
+-- =====================================================
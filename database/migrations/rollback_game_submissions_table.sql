@@ -0,0 +1,28 @@
+-- =====================================================
+-- ROLLBACK: Remove game_submissions table and reconciliation status
+-- Date: 2026-10-19
+-- Purpose: Rollback dual-scorekeeper submissions
+-- =====================================================
+
+BEGIN;
+
+-- Drop table (RLS policies and trigger are automatically dropped)
+DROP TABLE IF EXISTS public.game_submissions;
+
+-- Drop reconciliation columns from games
+DROP INDEX IF EXISTS public.idx_games_reconciliation_status;
+
+ALTER TABLE public.games
+  DROP COLUMN IF EXISTS reconciliation_note,
+  DROP COLUMN IF EXISTS reconciled_at,
+  DROP COLUMN IF EXISTS reconciled_by,
+  DROP COLUMN IF EXISTS reconciliation_status;
+
+COMMIT;
+
+-- =====================================================
+-- Rollback complete!
+-- =====================================================
+-- Note: both scorekeepers' counts are lost; each game keeps the data
+-- currently saved for it
+-- =====================================================
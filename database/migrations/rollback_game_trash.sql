@@ -0,0 +1,37 @@
+-- =====================================================
+-- ROLLBACK: Remove game trash (soft delete)
+-- Date: 2026-10-19
+-- Purpose: Rollback the game trash. Games still in the trash are deleted
+--          for good, since nothing would hide them any more.
+-- =====================================================
+
+BEGIN;
+
+DROP TRIGGER IF EXISTS enforce_games_trash_retention ON public.games;
+DROP FUNCTION IF EXISTS public.enforce_game_trash_retention();
+
+DELETE FROM public.games WHERE deleted_at IS NOT NULL;
+
+DROP FUNCTION IF EXISTS public.purge_expired_games();
+DROP FUNCTION IF EXISTS public.list_trashed_games(UUID);
+DROP FUNCTION IF EXISTS public.restore_trashed_game(UUID);
+DROP FUNCTION IF EXISTS public.trash_game(UUID);
+DROP FUNCTION IF EXISTS public.game_trash_retention();
+
+DROP POLICY IF EXISTS "Hide trashed game_violations" ON public.game_violations;
+DROP POLICY IF EXISTS "Hide trashed positions_played" ON public.positions_played;
+DROP POLICY IF EXISTS "Hide trashed pitching_logs" ON public.pitching_logs;
+DROP POLICY IF EXISTS "Hide trashed game_players" ON public.game_players;
+DROP POLICY IF EXISTS "Hide trashed games" ON public.games;
+
+DROP INDEX IF EXISTS public.idx_games_deleted_at;
+
+ALTER TABLE public.games
+  DROP COLUMN IF EXISTS deleted_by,
+  DROP COLUMN IF EXISTS deleted_at;
+
+COMMIT;
+
+-- =====================================================
+-- Rollback complete!
+-- =====================================================
@@ -0,0 +1,16 @@
+-- =====================================================
+-- ROLLBACK: Remove game_violations table
+-- Date: 2026-10-19
+-- Purpose: Rollback structured violation records
+-- =====================================================
+
+BEGIN;
+
+-- Drop table (RLS policies are automatically dropped)
+DROP TABLE IF EXISTS public.game_violations;
+
+COMMIT;
+
+-- =====================================================
+-- Rollback complete!
+-- =====================================================
@@ -0,0 +1,19 @@
+-- =====================================================
+-- ROLLBACK: Remove lineups and lineup_templates tables
+-- Date: 2026-10-19
+-- Purpose: Rollback server-side lineups
+-- =====================================================
+
+BEGIN;
+
+-- Drop tables (RLS policies and triggers are automatically dropped)
+DROP TABLE IF EXISTS public.lineup_templates;
+DROP TABLE IF EXISTS public.lineups;
+
+COMMIT;
+
+-- =====================================================
+-- Rollback complete!
+-- Note: lineups saved on the server are lost; the builder will start
+-- from empty lineups.
+-- =====================================================
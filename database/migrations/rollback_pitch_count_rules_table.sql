@@ -0,0 +1,19 @@
+-- =====================================================
+-- ROLLBACK: Remove pitch_count_rules table
+-- Date: 2026-10-19
+-- Purpose: Rollback per-season Pitch Smart rule sets
+-- =====================================================
+
+BEGIN;
+
+-- Drop helper function
+DROP FUNCTION IF EXISTS public.replace_pitch_count_rules(UUID, JSONB);
+
+-- Drop table (RLS policies and trigger are automatically dropped)
+DROP TABLE IF EXISTS public.pitch_count_rules;
+
+COMMIT;
+
+-- =====================================================
+-- Rollback complete!
+-- =====================================================
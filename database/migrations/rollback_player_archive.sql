@@ -0,0 +1,27 @@
+-- =====================================================
+-- ROLLBACK: Remove player archiving
+-- Date: 2026-10-19
+-- Purpose: Rollback player archiving. Archived players go back on their
+--          rosters; the rollback fails if one of them shares a jersey
+--          number with a rostered teammate.
+-- =====================================================
+
+BEGIN;
+
+DROP FUNCTION IF EXISTS public.delete_player_permanently(UUID);
+
+DROP TRIGGER IF EXISTS enforce_players_delete ON public.players;
+DROP FUNCTION IF EXISTS public.enforce_player_delete();
+
+DROP INDEX IF EXISTS public.unique_jersey_per_team;
+ALTER TABLE public.players
+  ADD CONSTRAINT unique_jersey_per_team UNIQUE (team_id, jersey_number);
+
+ALTER TABLE public.players
+  DROP COLUMN IF EXISTS archived_at;
+
+COMMIT;
+
+-- =====================================================
+-- Rollback complete!
+-- =====================================================
@@ -0,0 +1,28 @@
+-- =====================================================
+-- ROLLBACK: Remove player birthdates and league ages
+-- Date: 2026-10-19
+-- Purpose: Rollback player birthdates. Players keep the league age last
+--          computed for them as their entered age.
+-- =====================================================
+
+BEGIN;
+
+DROP TRIGGER IF EXISTS sync_season_league_ages ON public.seasons;
+DROP FUNCTION IF EXISTS public.sync_season_league_ages();
+
+DROP TRIGGER IF EXISTS sync_players_league_age ON public.players;
+DROP FUNCTION IF EXISTS public.sync_player_league_age();
+
+DROP FUNCTION IF EXISTS public.league_age(DATE, DATE);
+
+ALTER TABLE public.seasons
+  DROP COLUMN IF EXISTS league_age_cutoff;
+
+ALTER TABLE public.players
+  DROP COLUMN IF EXISTS birthdate;
+
+COMMIT;
+
+-- =====================================================
+-- Rollback complete!
+-- =====================================================
@@ -0,0 +1,26 @@
+-- =====================================================
+-- ROLLBACK: Remove mid-season player transfers
+-- Date: 2026-10-19
+-- Purpose: Rollback player transfers. Players stay on their current team;
+--          past games go back to showing them on it.
+-- =====================================================
+
+BEGIN;
+
+DROP FUNCTION IF EXISTS public.transfer_player(UUID, UUID, DATE, TEXT);
+
+DROP TRIGGER IF EXISTS set_game_players_team ON public.game_players;
+DROP FUNCTION IF EXISTS public.set_game_player_team();
+DROP FUNCTION IF EXISTS public.player_team_on_date(UUID, DATE);
+
+DROP INDEX IF EXISTS public.idx_game_players_team;
+ALTER TABLE public.game_players
+  DROP COLUMN IF EXISTS team_id;
+
+DROP TABLE IF EXISTS public.player_transfers;
+
+COMMIT;
+
+-- =====================================================
+-- Rollback complete!
+-- =====================================================
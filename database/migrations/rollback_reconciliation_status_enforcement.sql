@@ -0,0 +1,24 @@
+-- =====================================================
+-- ROLLBACK: Set the reconciliation status from the submitted counts
+-- Date: 2026-10-19
+-- Purpose: Remove the reconciliation triggers and resolve_game_count()
+-- =====================================================
+
+BEGIN;
+
+DROP FUNCTION IF EXISTS public.resolve_game_count(UUID, TEXT);
+DROP TRIGGER IF EXISTS sync_game_reconciliation_status ON public.game_submissions;
+DROP FUNCTION IF EXISTS public.sync_game_reconciliation_status();
+DROP TRIGGER IF EXISTS protect_games_reconciliation ON public.games;
+DROP FUNCTION IF EXISTS public.protect_game_reconciliation();
+DROP FUNCTION IF EXISTS public.game_submissions_agree(public.game_submissions, public.game_submissions);
+DROP FUNCTION IF EXISTS public.normalize_submission_rows(JSONB);
+
+COMMIT;
+
+-- =====================================================
+-- Rollback complete!
+-- =====================================================
+-- Note: the app version before this migration writes the reconciliation
+-- status itself; deploy it together with the rollback
+-- =====================================================
@@ -0,0 +1,15 @@
+-- =====================================================
+-- ROLLBACK: Remove replace_game_violations() function
+-- Date: 2026-10-19
+-- Purpose: Drop the atomic violation replace used by the later-game recompute
+-- =====================================================
+
+BEGIN;
+
+DROP FUNCTION IF EXISTS public.replace_game_violations(UUID, JSONB);
+
+COMMIT;
+
+-- =====================================================
+-- Rollback complete!
+-- =====================================================
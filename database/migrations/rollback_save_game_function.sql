@@ -0,0 +1,21 @@
+-- =====================================================
+-- ROLLBACK: Remove save_game() function
+-- Date: 2026-10-19
+-- Purpose: Rollback the atomic game save and its helper functions
+-- =====================================================
+
+BEGIN;
+
+DROP FUNCTION IF EXISTS public.save_game(UUID, JSONB, JSONB, JSONB, JSONB, JSONB);
+DROP FUNCTION IF EXISTS public.game_has_violation(UUID);
+DROP FUNCTION IF EXISTS public.eligible_pitch_date_before(UUID, DATE);
+DROP FUNCTION IF EXISTS public.required_rest_days(UUID, INTEGER, INTEGER);
+DROP FUNCTION IF EXISTS public.season_pitch_count_rules(UUID);
+
+COMMIT;
+
+-- =====================================================
+-- Rollback complete!
+-- =====================================================
+-- Note: the app must be reverted to the client-side save before rolling back
+-- =====================================================
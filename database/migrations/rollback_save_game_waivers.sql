@@ -0,0 +1,161 @@
+-- =====================================================
+-- ROLLBACK: Record violation waivers inside save_game()
+-- Date: 2026-10-19
+-- Purpose: Restore save_game() without p_waiver_reason
+-- =====================================================
+
+BEGIN;
+
+DROP FUNCTION IF EXISTS public.save_game(UUID, JSONB, JSONB, JSONB, JSONB, JSONB, TIMESTAMPTZ, TEXT);
+
+-- Save a game and all of its player data atomically
+-- Runs with the caller's permissions, so the games/player data RLS policies apply.
+CREATE OR REPLACE FUNCTION public.save_game(
+  p_game_id UUID,
+  p_game JSONB,
+  p_attendance JSONB,
+  p_pitching_logs JSONB,
+  p_positions JSONB,
+  p_violations JSONB DEFAULT '[]'::jsonb,
+  p_expected_updated_at TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS public.games
+LANGUAGE plpgsql
+SECURITY INVOKER
+AS $$
+DECLARE
+  v_game public.games;
+  v_current_updated_at TIMESTAMPTZ;
+BEGIN
+  IF p_game_id IS NULL THEN
+    INSERT INTO public.games (season_id, game_date, start_time, scorekeeper_name, scorekeeper_team_id, home_team_id, away_team_id, home_score, away_score, notes, status, forfeiting_team_id,
+      suspended_after_inning, resume_date)
+    SELECT r.season_id, r.game_date, r.start_time, r.scorekeeper_name, r.scorekeeper_team_id, r.home_team_id, r.away_team_id, r.home_score, r.away_score, r.notes,
+      COALESCE(r.status, 'final'), r.forfeiting_team_id, r.suspended_after_inning, r.resume_date
+    FROM jsonb_populate_record(NULL::public.games, p_game) r
+    RETURNING * INTO v_game;
+  ELSE
+    -- Lock the game and refuse to overwrite changes saved since the editor loaded it
+    SELECT g.updated_at INTO v_current_updated_at
+    FROM public.games g
+    WHERE g.id = p_game_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Game not found or you do not have permission to edit it';
+    END IF;
+
+    IF p_expected_updated_at IS NOT NULL AND v_current_updated_at IS DISTINCT FROM p_expected_updated_at THEN
+      RAISE EXCEPTION 'This game was changed by someone else after you opened it'
+        USING ERRCODE = 'TL409',
+              DETAIL = to_char(v_current_updated_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"');
+    END IF;
+
+    UPDATE public.games g SET
+      season_id = r.season_id,
+      game_date = r.game_date,
+      start_time = r.start_time,
+      scorekeeper_name = r.scorekeeper_name,
+      scorekeeper_team_id = r.scorekeeper_team_id,
+      home_team_id = r.home_team_id,
+      away_team_id = r.away_team_id,
+      home_score = r.home_score,
+      away_score = r.away_score,
+      notes = r.notes,
+      status = COALESCE(r.status, g.status),
+      forfeiting_team_id = r.forfeiting_team_id,
+      rescheduled_game_id = CASE WHEN COALESCE(r.status, g.status) = 'postponed' THEN g.rescheduled_game_id END,
+      suspended_after_inning = r.suspended_after_inning,
+      resume_date = r.resume_date
+    FROM jsonb_populate_record(NULL::public.games, p_game) r
+    WHERE g.id = p_game_id
+    RETURNING g.* INTO v_game;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Game not found or you do not have permission to edit it';
+    END IF;
+
+    DELETE FROM public.game_players WHERE game_id = v_game.id;
+    DELETE FROM public.pitching_logs WHERE game_id = v_game.id;
+    DELETE FROM public.positions_played WHERE game_id = v_game.id;
+    DELETE FROM public.game_violations WHERE game_id = v_game.id;
+  END IF;
+
+  INSERT INTO public.game_players (game_id, player_id, was_present, absence_note)
+  SELECT v_game.id, a.player_id, a.was_present, a.absence_note
+  FROM jsonb_to_recordset(p_attendance) AS a(player_id UUID, was_present BOOLEAN, absence_note TEXT);
+
+  INSERT INTO public.positions_played (game_id, player_id, inning_number, position)
+  SELECT v_game.id, pos.player_id, pos.inning_number, pos.position
+  FROM jsonb_to_recordset(p_positions) AS pos(player_id UUID, inning_number INTEGER, position TEXT);
+
+  -- Next eligible date = the rest required for the day's combined pitches
+  -- (this log's penultimate batter + 1 plus the player's other games that day),
+  -- or rest still owed from earlier games if later. Resumed logs are dated
+  -- the resume date.
+  INSERT INTO public.pitching_logs (game_id, player_id, final_pitch_count, penultimate_batter_count, resumed, pitch_date, next_eligible_pitch_date)
+  SELECT
+    v_game.id,
+    l.player_id,
+    l.final_pitch_count,
+    l.penultimate_batter_count,
+    COALESCE(l.resumed, false),
+    d.pitch_date,
+    GREATEST(
+      d.pitch_date + public.required_rest_days(
+        v_game.season_id,
+        p.age,
+        l.penultimate_batter_count + 1 + public.daily_pitch_count(l.player_id, d.pitch_date)
+      ) + 1,
+      public.eligible_pitch_date_before(l.player_id, d.pitch_date)
+    )
+  FROM jsonb_to_recordset(p_pitching_logs)
+    AS l(player_id UUID, final_pitch_count INTEGER, penultimate_batter_count INTEGER, resumed BOOLEAN)
+  JOIN public.players p ON p.id = l.player_id
+  CROSS JOIN LATERAL (
+    SELECT CASE WHEN COALESCE(l.resumed, false) THEN COALESCE(v_game.resume_date, v_game.game_date) ELSE v_game.game_date END AS pitch_date
+  ) d;
+
+  -- The insert above cannot see the game's own first-date logs, so resumed
+  -- logs pick up the rest owed from the game date here
+  UPDATE public.pitching_logs pl
+  SET next_eligible_pitch_date = GREATEST(pl.next_eligible_pitch_date, public.eligible_pitch_date_before(pl.player_id, pl.pitch_date))
+  WHERE pl.game_id = v_game.id
+    AND pl.resumed;
+
+  -- Rest counts from the last game of the day, so the player's other games
+  -- that day carry the same date
+  UPDATE public.pitching_logs pl
+  SET next_eligible_pitch_date = mine.next_eligible_pitch_date
+  FROM public.pitching_logs mine
+  WHERE mine.game_id = v_game.id
+    AND pl.player_id = mine.player_id
+    AND pl.pitch_date = mine.pitch_date
+    AND pl.game_id != v_game.id;
+
+  -- Detailed violation records (rule, innings, message) come from the client
+  INSERT INTO public.game_violations (game_id, player_id, rule_id, innings, pitch_count, message)
+  SELECT v_game.id, v.player_id, v.rule_id, v.innings, v.pitch_count, v.message
+  FROM jsonb_to_recordset(COALESCE(p_violations, '[]'::jsonb))
+    AS v(player_id UUID, rule_id TEXT, innings INTEGER[], pitch_count INTEGER, message TEXT);
+
+  UPDATE public.games
+  SET has_violation = public.game_has_violation(v_game.id)
+  WHERE id = v_game.id
+  RETURNING * INTO v_game;
+
+  RETURN v_game;
+END;
+$$;
+
+COMMENT ON FUNCTION public.save_game IS
+  'Creates (p_game_id NULL) or updates a game and replaces its attendance, pitching logs, positions and violation records in one transaction. Computes next_eligible_pitch_date (from the day''s combined pitches, per date for a suspended game) and has_violation. Any error rolls back the whole save. When p_expected_updated_at is given and the game changed since then, raises SQLSTATE TL409.';
+
+DROP FUNCTION IF EXISTS public.remove_stale_violation_waivers(UUID);
+DROP FUNCTION IF EXISTS public.game_blocking_violations(UUID);
+
+COMMIT;
+
+-- =====================================================
+-- Rollback complete!
+-- =====================================================
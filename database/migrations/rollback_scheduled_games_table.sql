@@ -0,0 +1,18 @@
+-- =====================================================
+-- ROLLBACK: Remove scheduled_games table
+-- Date: 2026-10-19
+-- Purpose: Rollback season schedule
+-- =====================================================
+
+BEGIN;
+
+-- Drop table (RLS policies, indexes and trigger are automatically dropped)
+DROP TABLE IF EXISTS public.scheduled_games;
+
+COMMIT;
+
+-- =====================================================
+-- Rollback complete!
+-- =====================================================
+-- Note: the schedule is lost; games already entered are unaffected
+-- =====================================================
@@ -0,0 +1,300 @@
+-- =====================================================
+-- ROLLBACK: Remove suspended games
+-- Date: 2026-10-19
+-- Purpose: Rollback game suspensions and per-date pitching logs
+-- =====================================================
+
+BEGIN;
+
+-- Fold pitches thrown after a game resumed back into the player's log for the game
+UPDATE public.pitching_logs pl
+SET final_pitch_count = pl.final_pitch_count + r.final_pitch_count,
+    penultimate_batter_count = pl.penultimate_batter_count + r.penultimate_batter_count,
+    next_eligible_pitch_date = GREATEST(pl.next_eligible_pitch_date, r.next_eligible_pitch_date)
+FROM public.pitching_logs r
+WHERE r.game_id = pl.game_id
+  AND r.player_id = pl.player_id
+  AND r.resumed
+  AND NOT pl.resumed;
+
+DELETE FROM public.pitching_logs r
+WHERE r.resumed
+  AND EXISTS (
+    SELECT 1 FROM public.pitching_logs pl
+    WHERE pl.game_id = r.game_id AND pl.player_id = r.player_id AND NOT pl.resumed
+  );
+
+UPDATE public.games SET status = 'in_progress' WHERE status = 'suspended';
+
+-- Restore eligible_pitch_date_before() by game date (definition from schema.sql before this migration)
+-- Most recent next_eligible_pitch_date from a player's games before a date
+CREATE OR REPLACE FUNCTION public.eligible_pitch_date_before(p_player_id UUID, p_game_date DATE)
+RETURNS DATE
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT pl.next_eligible_pitch_date
+  FROM public.pitching_logs pl
+  JOIN public.games g ON g.id = pl.game_id
+  WHERE pl.player_id = p_player_id
+    AND g.game_date < p_game_date
+    AND pl.next_eligible_pitch_date IS NOT NULL
+  ORDER BY g.game_date DESC
+  LIMIT 1;
+$$;
+
+-- Restore the per-game-date functions (definitions from add_doubleheader_support.sql)
+-- A player's effective pitches (penultimate batter + 1) from all of their games on a date
+CREATE OR REPLACE FUNCTION public.daily_pitch_count(p_player_id UUID, p_game_date DATE)
+RETURNS INTEGER
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT COALESCE(SUM(COALESCE(pl.penultimate_batter_count, 0) + 1), 0)::INTEGER
+  FROM public.pitching_logs pl
+  JOIN public.games g ON g.id = pl.game_id
+  WHERE pl.player_id = p_player_id
+    AND g.game_date = p_game_date;
+$$;
+
+-- A player's effective pitches from games played earlier on the same day as a game:
+-- timed games before untimed ones, then by start time, then by entry time
+-- (mirrors compareGamesInDay in src/lib/pitcherEligibility.js)
+CREATE OR REPLACE FUNCTION public.pitches_earlier_same_day(p_player_id UUID, p_game_id UUID)
+RETURNS INTEGER
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT COALESCE(SUM(COALESCE(pl.penultimate_batter_count, 0) + 1), 0)::INTEGER
+  FROM public.games this
+  JOIN public.games g ON g.game_date = this.game_date AND g.id != this.id
+  JOIN public.pitching_logs pl ON pl.game_id = g.id AND pl.player_id = p_player_id
+  WHERE this.id = p_game_id
+    AND (
+      (g.start_time IS NOT NULL AND this.start_time IS NULL)
+      OR g.start_time < this.start_time
+      OR (g.start_time IS NOT DISTINCT FROM this.start_time AND g.created_at < this.created_at)
+    );
+$$;
+
+-- Whether a saved game breaks any of Rules 1-6
+-- (mirrors getGameViolations in src/lib/violationRules.js)
+-- Rule 5 adds the pitches from the player's earlier games that day
+CREATE OR REPLACE FUNCTION public.game_has_violation(p_game_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+AS $$
+  WITH game AS (
+    SELECT g.id, g.season_id, g.game_date, t.division
+    FROM public.games g
+    JOIN public.teams t ON t.id = g.home_team_id
+    WHERE g.id = p_game_id
+  ),
+  innings AS (
+    SELECT
+      pp.player_id,
+      COALESCE(array_agg(pp.inning_number ORDER BY pp.inning_number) FILTER (WHERE pp.position = 'pitcher'), '{}') AS pitched,
+      COALESCE(array_agg(pp.inning_number ORDER BY pp.inning_number) FILTER (WHERE pp.position = 'catcher'), '{}') AS caught
+    FROM public.positions_played pp
+    WHERE pp.game_id = p_game_id
+    GROUP BY pp.player_id
+  ),
+  player_data AS (
+    SELECT
+      i.pitched,
+      i.caught,
+      cardinality(i.pitched) AS pitched_count,
+      COALESCE(pl.penultimate_batter_count + 1, 0) AS effective_pitches,
+      public.pitches_earlier_same_day(i.player_id, p_game_id) AS earlier_pitches,
+      CASE WHEN game.division = 'Training' THEN 50 ELSE (
+        SELECT r.max_pitches_per_game
+        FROM public.season_pitch_count_rules(game.season_id) r
+        WHERE p.age BETWEEN r.age_min AND r.age_max
+        ORDER BY r.age_min
+        LIMIT 1
+      ) END AS max_pitches,
+      public.eligible_pitch_date_before(i.player_id, game.game_date) AS prior_eligible_date,
+      game.game_date
+    FROM innings i
+    CROSS JOIN game
+    JOIN public.players p ON p.id = i.player_id
+    LEFT JOIN public.pitching_logs pl ON pl.game_id = p_game_id AND pl.player_id = i.player_id
+  )
+  SELECT EXISTS (
+    SELECT 1 FROM player_data d
+    WHERE d.pitched_count > 0 AND (
+      -- Rule 1: pitched innings must be consecutive
+      d.pitched[d.pitched_count] - d.pitched[1] + 1 <> d.pitched_count
+      -- Rule 2: 41+ pitches, then caught
+      OR (d.effective_pitches >= 41 AND EXISTS (SELECT 1 FROM unnest(d.caught) c WHERE c > d.pitched[d.pitched_count]))
+      -- Rule 3: caught 4+ innings, then pitched
+      OR (cardinality(d.caught) >= 4 AND EXISTS (SELECT 1 FROM unnest(d.pitched) i WHERE i > d.caught[4]))
+      -- Rule 4: caught 1-3 innings + 21+ pitches, then caught again
+      OR (d.effective_pitches >= 21
+          AND (SELECT count(*) FROM unnest(d.caught) c WHERE c < d.pitched[1]) BETWEEN 1 AND 3
+          AND EXISTS (SELECT 1 FROM unnest(d.caught) c WHERE c > d.pitched[d.pitched_count]))
+      -- Rule 5: exceeded the daily maximum (all of the day's games together)
+      OR (d.effective_pitches > 0 AND d.effective_pitches + d.earlier_pitches > d.max_pitches)
+      -- Rule 6: pitched before the rest period ended
+      OR d.game_date < d.prior_eligible_date
+    )
+  );
+$$;
+
+-- Restore save_game() without the suspension fields (definition from add_doubleheader_support.sql)
+CREATE OR REPLACE FUNCTION public.save_game(
+  p_game_id UUID,
+  p_game JSONB,
+  p_attendance JSONB,
+  p_pitching_logs JSONB,
+  p_positions JSONB,
+  p_violations JSONB DEFAULT '[]'::jsonb,
+  p_expected_updated_at TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS public.games
+LANGUAGE plpgsql
+SECURITY INVOKER
+AS $$
+DECLARE
+  v_game public.games;
+  v_current_updated_at TIMESTAMPTZ;
+BEGIN
+  IF p_game_id IS NULL THEN
+    INSERT INTO public.games (season_id, game_date, start_time, scorekeeper_name, scorekeeper_team_id, home_team_id, away_team_id, home_score, away_score, notes, status, forfeiting_team_id)
+    SELECT r.season_id, r.game_date, r.start_time, r.scorekeeper_name, r.scorekeeper_team_id, r.home_team_id, r.away_team_id, r.home_score, r.away_score, r.notes,
+      COALESCE(r.status, 'final'), r.forfeiting_team_id
+    FROM jsonb_populate_record(NULL::public.games, p_game) r
+    RETURNING * INTO v_game;
+  ELSE
+    -- Lock the game and refuse to overwrite changes saved since the editor loaded it
+    SELECT g.updated_at INTO v_current_updated_at
+    FROM public.games g
+    WHERE g.id = p_game_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Game not found or you do not have permission to edit it';
+    END IF;
+
+    IF p_expected_updated_at IS NOT NULL AND v_current_updated_at IS DISTINCT FROM p_expected_updated_at THEN
+      RAISE EXCEPTION 'This game was changed by someone else after you opened it'
+        USING ERRCODE = 'TL409',
+              DETAIL = to_char(v_current_updated_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"');
+    END IF;
+
+    UPDATE public.games g SET
+      season_id = r.season_id,
+      game_date = r.game_date,
+      start_time = r.start_time,
+      scorekeeper_name = r.scorekeeper_name,
+      scorekeeper_team_id = r.scorekeeper_team_id,
+      home_team_id = r.home_team_id,
+      away_team_id = r.away_team_id,
+      home_score = r.home_score,
+      away_score = r.away_score,
+      notes = r.notes,
+      status = COALESCE(r.status, g.status),
+      forfeiting_team_id = r.forfeiting_team_id,
+      rescheduled_game_id = CASE WHEN COALESCE(r.status, g.status) = 'postponed' THEN g.rescheduled_game_id END
+    FROM jsonb_populate_record(NULL::public.games, p_game) r
+    WHERE g.id = p_game_id
+    RETURNING g.* INTO v_game;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Game not found or you do not have permission to edit it';
+    END IF;
+
+    DELETE FROM public.game_players WHERE game_id = v_game.id;
+    DELETE FROM public.pitching_logs WHERE game_id = v_game.id;
+    DELETE FROM public.positions_played WHERE game_id = v_game.id;
+    DELETE FROM public.game_violations WHERE game_id = v_game.id;
+  END IF;
+
+  INSERT INTO public.game_players (game_id, player_id, was_present, absence_note)
+  SELECT v_game.id, a.player_id, a.was_present, a.absence_note
+  FROM jsonb_to_recordset(p_attendance) AS a(player_id UUID, was_present BOOLEAN, absence_note TEXT);
+
+  INSERT INTO public.positions_played (game_id, player_id, inning_number, position)
+  SELECT v_game.id, pos.player_id, pos.inning_number, pos.position
+  FROM jsonb_to_recordset(p_positions) AS pos(player_id UUID, inning_number INTEGER, position TEXT);
+
+  -- Next eligible date = the rest required for the day's combined pitches
+  -- (this game's penultimate batter + 1 plus the player's other games that day),
+  -- or rest still owed from earlier games if later
+  INSERT INTO public.pitching_logs (game_id, player_id, final_pitch_count, penultimate_batter_count, next_eligible_pitch_date)
+  SELECT
+    v_game.id,
+    l.player_id,
+    l.final_pitch_count,
+    l.penultimate_batter_count,
+    GREATEST(
+      v_game.game_date + public.required_rest_days(
+        v_game.season_id,
+        p.age,
+        l.penultimate_batter_count + 1 + public.daily_pitch_count(l.player_id, v_game.game_date)
+      ) + 1,
+      public.eligible_pitch_date_before(l.player_id, v_game.game_date)
+    )
+  FROM jsonb_to_recordset(p_pitching_logs) AS l(player_id UUID, final_pitch_count INTEGER, penultimate_batter_count INTEGER)
+  JOIN public.players p ON p.id = l.player_id;
+
+  -- Rest counts from the last game of the day, so the player's other games
+  -- that day carry the same date
+  UPDATE public.pitching_logs pl
+  SET next_eligible_pitch_date = mine.next_eligible_pitch_date
+  FROM public.pitching_logs mine, public.games g
+  WHERE mine.game_id = v_game.id
+    AND pl.player_id = mine.player_id
+    AND pl.game_id = g.id
+    AND g.id != v_game.id
+    AND g.game_date = v_game.game_date;
+
+  -- Detailed violation records (rule, innings, message) come from the client
+  INSERT INTO public.game_violations (game_id, player_id, rule_id, innings, pitch_count, message)
+  SELECT v_game.id, v.player_id, v.rule_id, v.innings, v.pitch_count, v.message
+  FROM jsonb_to_recordset(COALESCE(p_violations, '[]'::jsonb))
+    AS v(player_id UUID, rule_id TEXT, innings INTEGER[], pitch_count INTEGER, message TEXT);
+
+  UPDATE public.games
+  SET has_violation = public.game_has_violation(v_game.id)
+  WHERE id = v_game.id
+  RETURNING * INTO v_game;
+
+  RETURN v_game;
+END;
+$$;
+
+COMMENT ON FUNCTION public.save_game IS
+  'Creates (p_game_id NULL) or updates a game and replaces its attendance, pitching logs, positions and violation records in one transaction. Computes next_eligible_pitch_date (from the day''s combined pitches) and has_violation. Any error rolls back the whole save. When p_expected_updated_at is given and the game changed since then, raises SQLSTATE TL409.';
+
+DROP INDEX IF EXISTS public.idx_pitching_logs_player_date;
+
+ALTER TABLE public.pitching_logs
+  DROP COLUMN IF EXISTS pitch_date,
+  DROP COLUMN IF EXISTS resumed;
+
+ALTER TABLE public.games DROP CONSTRAINT IF EXISTS games_suspension_check;
+
+ALTER TABLE public.games
+  DROP COLUMN IF EXISTS resume_date,
+  DROP COLUMN IF EXISTS suspended_after_inning;
+
+ALTER TABLE public.games DROP CONSTRAINT IF EXISTS games_status_check;
+
+ALTER TABLE public.games
+  ADD CONSTRAINT games_status_check CHECK (
+    status IN ('scheduled', 'in_progress', 'final', 'postponed', 'forfeited', 'cancelled')
+  );
+
+COMMENT ON COLUMN public.games.status IS
+  'scheduled, in_progress, final, postponed, forfeited or cancelled. Allowed transitions are enforced by the app (src/lib/gameStatus.js).';
+
+COMMIT;
+
+-- =====================================================
+-- Rollback complete!
+-- =====================================================
+-- Note: suspended games become in progress and lose their suspension;
+-- a pitcher's counts from both dates are added together on one log
+-- =====================================================
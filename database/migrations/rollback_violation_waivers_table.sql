@@ -0,0 +1,16 @@
+-- =====================================================
+-- ROLLBACK: Remove violation_waivers table
+-- Date: 2026-10-19
+-- Purpose: Rollback admin violation waivers
+-- =====================================================
+
+BEGIN;
+
+-- Drop table (RLS policies are automatically dropped)
+DROP TABLE IF EXISTS public.violation_waivers;
+
+COMMIT;
+
+-- =====================================================
+-- Rollback complete!
+-- =====================================================
@@ -33,6 +33,7 @@ CREATE TABLE public.seasons (
   start_date DATE NOT NULL,
   end_date DATE,
   is_active BOOLEAN DEFAULT false,
+  league_age_cutoff DATE, -- League ages are taken on this date (NULL = start_date)
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -94,18 +95,24 @@ CREATE TABLE public.players (
   team_id UUID NOT NULL REFERENCES public.teams(id) ON DELETE RESTRICT,
   name TEXT NOT NULL,
   age INTEGER NOT NULL CHECK (age >= 6 AND age <= 12),
+  birthdate DATE, -- When set, age is computed as the league age
   jersey_number TEXT,
+  archived_at TIMESTAMP WITH TIME ZONE,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
 CREATE INDEX idx_players_team ON public.players(team_id);
 
--- Add unique constraint on team_id + jersey_number
--- This ensures jersey numbers are unique per team
-ALTER TABLE public.players 
-ADD CONSTRAINT unique_jersey_per_team 
-UNIQUE (team_id, jersey_number);
+-- Jersey numbers are unique per team among the players still on the roster
+CREATE UNIQUE INDEX unique_jersey_per_team ON public.players(team_id, jersey_number)
+  WHERE archived_at IS NULL;
+
+COMMENT ON COLUMN public.players.archived_at IS
+  'Set when the player is archived. Archived players are left off rosters but keep their game records.';
+
+COMMENT ON COLUMN public.players.birthdate IS
+  'Optional. When set, age is the league age on the season''s cutoff date.';
 
 
 
@@ -117,26 +124,87 @@ CREATE TABLE public.games (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   season_id UUID NOT NULL REFERENCES public.seasons(id) ON DELETE RESTRICT,
   game_date DATE NOT NULL,
+  start_time TIME,
   home_team_id UUID NOT NULL REFERENCES public.teams(id) ON DELETE RESTRICT,
   away_team_id UUID NOT NULL REFERENCES public.teams(id) ON DELETE RESTRICT,
   home_score INTEGER,
   away_score INTEGER,
-  scorekeeper_name TEXT NOT NULL,
+  scorekeeper_name TEXT,
   scorekeeper_team_id UUID REFERENCES public.teams(id) ON DELETE RESTRICT,
   notes TEXT,
+  status TEXT NOT NULL DEFAULT 'final'
+    CONSTRAINT games_status_check
+    CHECK (status IN ('scheduled', 'in_progress', 'suspended', 'final', 'postponed', 'forfeited', 'cancelled')),
+  forfeiting_team_id UUID REFERENCES public.teams(id) ON DELETE RESTRICT,
+  rescheduled_game_id UUID REFERENCES public.games(id) ON DELETE SET NULL,
+  suspended_after_inning INTEGER CHECK (suspended_after_inning >= 1),
+  resume_date DATE,
   has_violation BOOLEAN DEFAULT NULL,
+  reconciliation_status TEXT CHECK (reconciliation_status IN ('awaiting_submission', 'disputed', 'resolved')),
+  reconciled_by UUID REFERENCES public.user_profiles(id) ON DELETE SET NULL,
+  reconciled_at TIMESTAMP WITH TIME ZONE,
+  reconciliation_note TEXT,
+  signoff_status TEXT CHECK (signoff_status IN ('submitted', 'confirmed')),
+  signoff_submitted_by UUID REFERENCES public.user_profiles(id) ON DELETE SET NULL,
+  signoff_submitted_at TIMESTAMP WITH TIME ZONE,
+  signoff_confirmed_by UUID REFERENCES public.user_profiles(id) ON DELETE SET NULL,
+  signoff_confirmed_at TIMESTAMP WITH TIME ZONE,
+  reopened_by UUID REFERENCES public.user_profiles(id) ON DELETE SET NULL,
+  reopened_at TIMESTAMP WITH TIME ZONE,
+  reopen_reason TEXT,
+  deleted_at TIMESTAMP WITH TIME ZONE,
+  deleted_by UUID REFERENCES public.user_profiles(id) ON DELETE SET NULL,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-  CHECK (home_team_id != away_team_id)
+  CHECK (home_team_id != away_team_id),
+  CONSTRAINT games_forfeiting_team_check CHECK (
+    (status = 'forfeited') = (forfeiting_team_id IS NOT NULL)
+    AND (forfeiting_team_id IS NULL OR forfeiting_team_id IN (home_team_id, away_team_id))
+  ),
+  CONSTRAINT games_rescheduled_game_check CHECK (
+    rescheduled_game_id IS NULL OR (status = 'postponed' AND rescheduled_game_id != id)
+  ),
+  CONSTRAINT games_scorekeeper_name_check CHECK (
+    scorekeeper_name IS NOT NULL OR status IN ('scheduled', 'postponed', 'cancelled')
+  ),
+  CONSTRAINT games_suspension_check CHECK (
+    (status != 'suspended' OR suspended_after_inning IS NOT NULL)
+    AND (resume_date IS NULL OR (suspended_after_inning IS NOT NULL AND resume_date > game_date))
+  )
 );
 
 CREATE INDEX idx_games_season ON public.games(season_id);
 CREATE INDEX idx_games_date ON public.games(game_date);
 CREATE INDEX idx_games_has_violation ON public.games(has_violation) WHERE has_violation IS NOT NULL;
+CREATE INDEX idx_games_reconciliation_status ON public.games(reconciliation_status)
+  WHERE reconciliation_status IN ('awaiting_submission', 'disputed');
+CREATE INDEX idx_games_status ON public.games(status) WHERE status != 'final';
+CREATE INDEX idx_games_signoff_status ON public.games(signoff_status) WHERE signoff_status = 'submitted';
+CREATE INDEX idx_games_deleted_at ON public.games(deleted_at) WHERE deleted_at IS NOT NULL;
 
 -- Add comments to clarify fields
 COMMENT ON COLUMN public.games.scorekeeper_team_id IS 'The team that the scorekeeper belongs to';
 COMMENT ON COLUMN public.games.has_violation IS 'Indicates if any rule violations exist in this game. NULL for legacy games not yet recalculated.';
+COMMENT ON COLUMN public.games.reconciliation_status IS
+  'NULL for single-scorekeeper games. Otherwise awaiting_submission (one count in), disputed (counts differ) or resolved (official).';
+COMMENT ON COLUMN public.games.reconciliation_note IS
+  'Admin note when the differences between the two counts were decided by an admin';
+COMMENT ON COLUMN public.games.status IS
+  'scheduled, in_progress, suspended, final, postponed, forfeited or cancelled. Allowed transitions are enforced by the enforce_games_status_transition trigger.';
+COMMENT ON COLUMN public.games.signoff_status IS
+  'NULL until the scorekeeper''s team submits the game, then submitted, then confirmed by the opposing head coach. Confirmed games are locked until an admin reopens them.';
+COMMENT ON COLUMN public.games.reopen_reason IS
+  'Why an admin last reopened the game after it was confirmed';
+COMMENT ON COLUMN public.games.deleted_at IS
+  'Set when the game is moved to the trash. Trashed games and their player data are hidden by RLS and purged after game_trash_retention().';
+COMMENT ON COLUMN public.games.forfeiting_team_id IS 'Team that forfeited (home or away); set only for forfeited games';
+COMMENT ON COLUMN public.games.rescheduled_game_id IS 'Game entered for the replacement fixture of a postponed game (see scheduled_games.replaces_game_id)';
+COMMENT ON COLUMN public.games.start_time IS
+  'Start time (optional). Orders games on the same day for the daily pitch limit; untimed games count as played after timed ones, then in entry order.';
+COMMENT ON COLUMN public.games.suspended_after_inning IS
+  'Last inning played on game_date when the game was suspended; later innings were played on resume_date. NULL if the game was never suspended.';
+COMMENT ON COLUMN public.games.resume_date IS
+  'Date a suspended game resumed (or is set to resume). Always after game_date.';
 
 
 -- =====================================================
@@ -149,6 +217,7 @@ CREATE TABLE public.game_players (
   player_id UUID NOT NULL REFERENCES public.players(id) ON DELETE CASCADE,
   was_present BOOLEAN NOT NULL DEFAULT true,
   absence_note TEXT,
+  team_id UUID NOT NULL REFERENCES public.teams(id) ON DELETE RESTRICT, -- Team played for (players can transfer)
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   UNIQUE(game_id, player_id)
 );
@@ -156,6 +225,10 @@ CREATE TABLE public.game_players (
 CREATE INDEX idx_game_players_game ON public.game_players(game_id);
 CREATE INDEX idx_game_players_player ON public.game_players(player_id);
 CREATE INDEX idx_game_players_absent ON public.game_players(was_present) WHERE was_present = false;
+CREATE INDEX idx_game_players_team ON public.game_players(team_id);
+
+COMMENT ON COLUMN public.game_players.team_id IS
+  'Team the player played for in this game. Set from the transfers on insert.';
 
 -- =====================================================
 -- 8. PITCHING LOGS
@@ -168,12 +241,20 @@ CREATE TABLE public.pitching_logs (
   final_pitch_count INTEGER NOT NULL CHECK (final_pitch_count >= 0),
   penultimate_batter_count INTEGER NOT NULL CHECK (penultimate_batter_count >= 0),
   next_eligible_pitch_date DATE,
+  resumed BOOLEAN NOT NULL DEFAULT false,
+  pitch_date DATE NOT NULL,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   CHECK (penultimate_batter_count <= final_pitch_count)
 );
 
 CREATE INDEX idx_pitching_logs_game ON public.pitching_logs(game_id);
 CREATE INDEX idx_pitching_logs_player ON public.pitching_logs(player_id);
+CREATE INDEX idx_pitching_logs_player_date ON public.pitching_logs(player_id, pitch_date);
+
+COMMENT ON COLUMN public.pitching_logs.resumed IS
+  'Pitches thrown after a suspended game resumed (innings after games.suspended_after_inning).';
+COMMENT ON COLUMN public.pitching_logs.pitch_date IS
+  'Date the pitches were thrown: games.resume_date for resumed logs, otherwise games.game_date. Set by save_game().';
 
 -- Add next_eligible_pitch_date column for existing installations
 -- (Safe to run - will be ignored if column already exists)
@@ -189,7 +270,10 @@ CREATE TABLE public.positions_played (
   game_id UUID NOT NULL REFERENCES public.games(id) ON DELETE CASCADE,
   player_id UUID NOT NULL REFERENCES public.players(id) ON DELETE CASCADE,
   inning_number INTEGER NOT NULL CHECK (inning_number > 0),
-  position TEXT NOT NULL CHECK (position IN ('pitcher', 'catcher')),
+  position TEXT NOT NULL CHECK (position IN (
+    'pitcher', 'catcher', 'first_base', 'second_base', 'shortstop', 'third_base',
+    'left_field', 'center_field', 'right_field', 'bench'
+  )),
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   UNIQUE(game_id, player_id, inning_number, position)
 );
@@ -197,6 +281,9 @@ CREATE TABLE public.positions_played (
 CREATE INDEX idx_positions_game ON public.positions_played(game_id);
 CREATE INDEX idx_positions_player ON public.positions_played(player_id);
 
+COMMENT ON COLUMN public.positions_played.position IS
+  'Position for the inning. Pitcher and catcher innings are always recorded; other positions and bench only when the scorekeeper records every position.';
+
 -- =====================================================
 -- 10. APP CONFIG (Maintenance Mode)
 -- =====================================================
@@ -226,7 +313,223 @@ VALUES (1, FALSE, 'The application is currently undergoing maintenance. Please c
 ON CONFLICT (id) DO NOTHING;
 
 -- =====================================================
--- 11. ROW LEVEL SECURITY (RLS) POLICIES
+-- 11. PITCH COUNT RULES (Pitch Smart rule sets per season)
+-- =====================================================
+
+CREATE TABLE public.pitch_count_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  season_id UUID NOT NULL REFERENCES public.seasons(id) ON DELETE CASCADE,
+  age_min INTEGER NOT NULL CHECK (age_min > 0),
+  age_max INTEGER NOT NULL,
+  max_pitches_per_game INTEGER NOT NULL CHECK (max_pitches_per_game > 0),
+  rest_day_ranges JSONB NOT NULL DEFAULT '[]'::jsonb, -- [{minPitches, maxPitches, restDays}]
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_by UUID REFERENCES auth.users(id),
+  CHECK (age_max >= age_min),
+  UNIQUE(season_id, age_min)
+);
+
+CREATE INDEX idx_pitch_count_rules_season ON public.pitch_count_rules(season_id);
+
+COMMENT ON TABLE public.pitch_count_rules IS
+  'Pitch Smart rule set per season. Seasons without rows use the defaults in src/lib/pitchSmartRules.js.';
+
+-- =====================================================
+-- 12. GAME VIOLATIONS (Structured rule violation records)
+-- =====================================================
+
+CREATE TABLE public.game_violations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  game_id UUID NOT NULL REFERENCES public.games(id) ON DELETE CASCADE,
+  player_id UUID NOT NULL REFERENCES public.players(id) ON DELETE CASCADE,
+  rule_id TEXT NOT NULL CHECK (rule_id IN (
+    'consecutive_innings',        -- Rule 1
+    'high_pitch_count_catching',  -- Rule 2
+    'four_innings_catching',      -- Rule 3
+    'catch_pitch_combined',       -- Rule 4
+    'max_pitches_exceeded',       -- Rule 5
+    'insufficient_rest',          -- Rule 6
+    'consecutive_sitting',        -- Rule 7
+    'no_infield_inning'           -- Rule 8
+  )),
+  innings INTEGER[] NOT NULL DEFAULT '{}',
+  pitch_count INTEGER, -- Effective pitch count, NULL if the player did not pitch
+  message TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_game_violations_game ON public.game_violations(game_id);
+CREATE INDEX idx_game_violations_player ON public.game_violations(player_id);
+CREATE INDEX idx_game_violations_rule ON public.game_violations(rule_id);
+
+COMMENT ON TABLE public.game_violations IS
+  'One row per rule violation per player per game. Rebuilt every time the game is saved.';
+
+-- =====================================================
+-- 13. VIOLATION WAIVERS (Admin overrides for blocking rules)
+-- =====================================================
+
+CREATE TABLE public.violation_waivers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  game_id UUID NOT NULL REFERENCES public.games(id) ON DELETE CASCADE,
+  player_id UUID NOT NULL REFERENCES public.players(id) ON DELETE CASCADE,
+  rule_id TEXT NOT NULL CHECK (rule_id IN (
+    'consecutive_innings',        -- Rule 1
+    'high_pitch_count_catching',  -- Rule 2
+    'four_innings_catching',      -- Rule 3
+    'catch_pitch_combined',       -- Rule 4
+    'max_pitches_exceeded'        -- Rule 5
+  )),
+  reason TEXT NOT NULL CHECK (length(trim(reason)) > 0),
+  approved_by UUID REFERENCES public.user_profiles(id) ON DELETE SET NULL,
+  approved_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  UNIQUE(game_id, player_id, rule_id)
+);
+
+CREATE INDEX idx_violation_waivers_game ON public.violation_waivers(game_id);
+CREATE INDEX idx_violation_waivers_approved_at ON public.violation_waivers(approved_at DESC);
+
+COMMENT ON TABLE public.violation_waivers IS
+  'Admin waivers for blocking violations (Rules 1-5). One row per waived violation per player per game.';
+
+-- =====================================================
+-- 14. LINEUPS (Lineup & Positions Builder, shared by team coaches)
+-- =====================================================
+
+CREATE TABLE public.lineups (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  team_id UUID NOT NULL REFERENCES public.teams(id) ON DELETE CASCADE,
+  game_date DATE NOT NULL,
+  batting_order JSONB NOT NULL DEFAULT '[]'::jsonb, -- [playerId, ...]
+  positions JSONB NOT NULL DEFAULT '{}'::jsonb,     -- {inning: {position: playerId}}
+  locks JSONB NOT NULL DEFAULT '[]'::jsonb,         -- [{playerId, position, innings}]
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_by UUID REFERENCES public.user_profiles(id) ON DELETE SET NULL,
+  UNIQUE(team_id, game_date)
+);
+
+CREATE INDEX idx_lineups_team_date ON public.lineups(team_id, game_date DESC);
+
+COMMENT ON TABLE public.lineups IS
+  'Lineup & Positions Builder lineup per team per game date, shared by the team''s coaches.';
+
+CREATE TABLE public.lineup_templates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  team_id UUID NOT NULL REFERENCES public.teams(id) ON DELETE CASCADE,
+  name TEXT NOT NULL CHECK (length(trim(name)) > 0),
+  batting_order JSONB NOT NULL DEFAULT '[]'::jsonb,
+  positions JSONB NOT NULL DEFAULT '{}'::jsonb,
+  locks JSONB NOT NULL DEFAULT '[]'::jsonb,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_by UUID REFERENCES public.user_profiles(id) ON DELETE SET NULL,
+  UNIQUE(team_id, name)
+);
+
+COMMENT ON TABLE public.lineup_templates IS
+  'Named lineup templates per team (batting order, positions and generator locks).';
+
+-- =====================================================
+-- 15. GAME AUDIT LOG (Change history written by triggers)
+-- =====================================================
+CREATE TABLE public.game_audit_log (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  game_id UUID NOT NULL,  -- no foreign key: history is kept after a game is deleted
+  table_name TEXT NOT NULL CHECK (table_name IN ('games', 'game_players', 'pitching_logs', 'positions_played')),
+  record_id UUID NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('INSERT', 'UPDATE', 'DELETE')),
+  old_data JSONB,
+  new_data JSONB,
+  changed_by UUID REFERENCES public.user_profiles(id) ON DELETE SET NULL,
+  transaction_id BIGINT NOT NULL DEFAULT txid_current(),
+  changed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT clock_timestamp()
+);
+
+CREATE INDEX idx_game_audit_log_game ON public.game_audit_log(game_id, changed_at);
+CREATE INDEX idx_game_audit_log_changed_by ON public.game_audit_log(changed_by);
+
+COMMENT ON TABLE public.game_audit_log IS
+  'Change history for games and their player data. Written only by the audit_game_change() trigger.';
+
+COMMENT ON COLUMN public.game_audit_log.transaction_id IS
+  'Rows written in the same transaction (one save) share this id and form one version of the game';
+
+-- =====================================================
+-- 16. GAME SUBMISSIONS (Each scorekeeper's count, for reconciliation)
+-- =====================================================
+CREATE TABLE public.game_submissions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  game_id UUID NOT NULL REFERENCES public.games(id) ON DELETE CASCADE,
+  team_id UUID NOT NULL REFERENCES public.teams(id) ON DELETE CASCADE,
+  scorekeeper_name TEXT NOT NULL CHECK (length(trim(scorekeeper_name)) > 0),
+  attendance JSONB NOT NULL DEFAULT '[]'::jsonb,
+  pitching_logs JSONB NOT NULL DEFAULT '[]'::jsonb,
+  positions JSONB NOT NULL DEFAULT '[]'::jsonb,
+  submitted_by UUID REFERENCES public.user_profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(game_id, team_id)
+);
+
+CREATE INDEX idx_game_submissions_game ON public.game_submissions(game_id);
+
+COMMENT ON TABLE public.game_submissions IS
+  'Pitch counts and inning assignments submitted by each team''s scorekeeper, compared before the game becomes official.';
+
+-- =====================================================
+-- 17. SCHEDULED GAMES (Season schedule, linked to games once entered)
+-- =====================================================
+CREATE TABLE public.scheduled_games (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  season_id UUID NOT NULL REFERENCES public.seasons(id) ON DELETE CASCADE,
+  game_date DATE NOT NULL,
+  start_time TIME,
+  home_team_id UUID NOT NULL REFERENCES public.teams(id) ON DELETE CASCADE,
+  away_team_id UUID NOT NULL REFERENCES public.teams(id) ON DELETE CASCADE,
+  field TEXT,
+  game_id UUID UNIQUE REFERENCES public.games(id) ON DELETE SET NULL,
+  replaces_game_id UUID UNIQUE REFERENCES public.games(id) ON DELETE SET NULL,
+  created_by UUID REFERENCES public.user_profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK (home_team_id != away_team_id)
+);
+
+CREATE INDEX idx_scheduled_games_season_date ON public.scheduled_games(season_id, game_date);
+CREATE INDEX idx_scheduled_games_home_team ON public.scheduled_games(home_team_id);
+CREATE INDEX idx_scheduled_games_away_team ON public.scheduled_games(away_team_id);
+
+COMMENT ON TABLE public.scheduled_games IS
+  'Season schedule. Fixtures are created in advance and linked to the game once its result is entered.';
+COMMENT ON COLUMN public.scheduled_games.replaces_game_id IS
+  'Postponed game this fixture replaces; its games.rescheduled_game_id is set once the fixture''s result is entered';
+
+-- =====================================================
+-- 18. PLAYER TRANSFERS (Mid-season moves between teams)
+-- =====================================================
+CREATE TABLE public.player_transfers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  player_id UUID NOT NULL REFERENCES public.players(id) ON DELETE CASCADE,
+  from_team_id UUID NOT NULL REFERENCES public.teams(id) ON DELETE RESTRICT,
+  to_team_id UUID NOT NULL REFERENCES public.teams(id) ON DELETE RESTRICT,
+  effective_date DATE NOT NULL, -- First day on the new team
+  note TEXT,
+  transferred_by UUID REFERENCES public.user_profiles(id) ON DELETE SET NULL DEFAULT auth.uid(),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK (from_team_id <> to_team_id)
+);
+
+CREATE INDEX idx_player_transfers_player ON public.player_transfers(player_id, effective_date);
+CREATE INDEX idx_player_transfers_from_team ON public.player_transfers(from_team_id);
+CREATE INDEX idx_player_transfers_to_team ON public.player_transfers(to_team_id);
+
+COMMENT ON TABLE public.player_transfers IS
+  'Mid-season moves of a player between teams of the same season. players.team_id is the current team.';
+
+-- =====================================================
+-- 19. ROW LEVEL SECURITY (RLS) POLICIES
 -- =====================================================
 
 -- Enable RLS on all tables INCLUDING user_profiles
@@ -240,6 +543,15 @@ ALTER TABLE public.game_players ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.pitching_logs ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.positions_played ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.app_config ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.pitch_count_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.game_violations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.violation_waivers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.lineups ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.lineup_templates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.game_audit_log ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.game_submissions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.scheduled_games ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.player_transfers ENABLE ROW LEVEL SECURITY;
 
 -- =====================================================
 -- RLS RECURSION PREVENTION ARCHITECTURE
@@ -314,6 +626,15 @@ CREATE POLICY "Super admins can update profiles"
   USING ((select public.is_super_admin()))
   WITH CHECK ((select public.is_super_admin()));
 
+-- PITCH_COUNT_RULES
+CREATE POLICY "Admins can manage pitch count rules"
+  ON public.pitch_count_rules FOR ALL
+  USING ((select public.is_admin()));
+
+CREATE POLICY "All authenticated users can view pitch count rules"
+  ON public.pitch_count_rules FOR SELECT
+  USING ((select auth.uid()) IS NOT NULL);
+
 CREATE POLICY "Users can update own profile"
   ON public.user_profiles FOR UPDATE
   USING (id = (select auth.uid()));
@@ -434,6 +755,162 @@ CREATE POLICY "Manage positions_played" ON public.positions_played FOR ALL USING
 
 CREATE POLICY "View positions_played" ON public.positions_played FOR SELECT USING ((select auth.uid()) IS NOT NULL);
 
+CREATE POLICY "Manage game_violations" ON public.game_violations FOR ALL USING (
+  EXISTS (SELECT 1 FROM public.games g WHERE g.id = game_violations.game_id) AND
+  ((select public.is_admin()) OR
+   EXISTS (SELECT 1 FROM public.team_coaches tc JOIN public.games g ON (tc.team_id = g.home_team_id OR tc.team_id = g.away_team_id)
+           WHERE g.id = game_violations.game_id AND tc.user_id = (select auth.uid()) AND tc.can_edit = true))
+);
+
+CREATE POLICY "View game_violations" ON public.game_violations FOR SELECT USING ((select auth.uid()) IS NOT NULL);
+
+-- Hide trashed games and their player data from every query (restrictive
+-- policies are ANDed with the existing ones, so this applies to admins too)
+CREATE POLICY "Hide trashed games"
+  ON public.games AS RESTRICTIVE FOR SELECT
+  USING (deleted_at IS NULL);
+
+CREATE POLICY "Hide trashed game_players" ON public.game_players AS RESTRICTIVE FOR SELECT USING (
+  EXISTS (SELECT 1 FROM public.games g WHERE g.id = game_players.game_id AND g.deleted_at IS NULL)
+);
+
+CREATE POLICY "Hide trashed pitching_logs" ON public.pitching_logs AS RESTRICTIVE FOR SELECT USING (
+  EXISTS (SELECT 1 FROM public.games g WHERE g.id = pitching_logs.game_id AND g.deleted_at IS NULL)
+);
+
+CREATE POLICY "Hide trashed positions_played" ON public.positions_played AS RESTRICTIVE FOR SELECT USING (
+  EXISTS (SELECT 1 FROM public.games g WHERE g.id = positions_played.game_id AND g.deleted_at IS NULL)
+);
+
+CREATE POLICY "Hide trashed game_violations" ON public.game_violations AS RESTRICTIVE FOR SELECT USING (
+  EXISTS (SELECT 1 FROM public.games g WHERE g.id = game_violations.game_id AND g.deleted_at IS NULL)
+);
+
+-- player_transfers policies (admins transfer players)
+CREATE POLICY "Admins can manage player transfers"
+  ON public.player_transfers FOR ALL
+  USING ((select public.is_admin()));
+
+CREATE POLICY "Users can view player transfers"
+  ON public.player_transfers FOR SELECT
+  USING ((select auth.uid()) IS NOT NULL);
+
+-- violation_waivers policies (admins record waivers in their own name)
+CREATE POLICY "Admins can manage violation waivers"
+  ON public.violation_waivers FOR ALL
+  USING ((select public.is_admin()))
+  WITH CHECK ((select public.is_admin()) AND approved_by = (select auth.uid()));
+
+CREATE POLICY "All authenticated users can view violation waivers"
+  ON public.violation_waivers FOR SELECT
+  USING ((select auth.uid()) IS NOT NULL);
+
+-- lineups and lineup_templates policies (private to the team's coaches)
+CREATE POLICY "Admins can manage lineups"
+  ON public.lineups FOR ALL
+  USING ((select public.is_admin()));
+
+CREATE POLICY "Coaches can manage team lineups"
+  ON public.lineups FOR ALL
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.team_coaches tc
+      WHERE tc.team_id = lineups.team_id
+        AND tc.user_id = (select auth.uid())
+        AND tc.can_edit = true
+    )
+  );
+
+CREATE POLICY "Coaches can view team lineups"
+  ON public.lineups FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.team_coaches tc
+      WHERE tc.team_id = lineups.team_id
+        AND tc.user_id = (select auth.uid())
+    )
+  );
+
+CREATE POLICY "Admins can manage lineup templates"
+  ON public.lineup_templates FOR ALL
+  USING ((select public.is_admin()));
+
+CREATE POLICY "Coaches can manage team lineup templates"
+  ON public.lineup_templates FOR ALL
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.team_coaches tc
+      WHERE tc.team_id = lineup_templates.team_id
+        AND tc.user_id = (select auth.uid())
+        AND tc.can_edit = true
+    )
+  );
+
+CREATE POLICY "Coaches can view team lineup templates"
+  ON public.lineup_templates FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.team_coaches tc
+      WHERE tc.team_id = lineup_templates.team_id
+        AND tc.user_id = (select auth.uid())
+    )
+  );
+
+-- game_audit_log policies (no write policies: only the audit trigger writes)
+CREATE POLICY "All authenticated users can view game history"
+  ON public.game_audit_log FOR SELECT
+  USING ((select auth.uid()) IS NOT NULL);
+
+-- game_submissions policies
+CREATE POLICY "Admins can manage game submissions"
+  ON public.game_submissions FOR ALL
+  USING ((select public.is_admin()));
+
+CREATE POLICY "Coaches can manage team game submissions"
+  ON public.game_submissions FOR ALL
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.team_coaches tc
+      WHERE tc.team_id = game_submissions.team_id
+        AND tc.user_id = (select auth.uid())
+        AND tc.can_edit = true
+    )
+  )
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM public.team_coaches tc
+      JOIN public.games g ON g.id = game_submissions.game_id
+      WHERE tc.team_id = game_submissions.team_id
+        AND (g.home_team_id = game_submissions.team_id OR g.away_team_id = game_submissions.team_id)
+        AND tc.user_id = (select auth.uid())
+        AND tc.can_edit = true
+    )
+  );
+
+CREATE POLICY "All authenticated users can view game submissions"
+  ON public.game_submissions FOR SELECT
+  USING ((select auth.uid()) IS NOT NULL);
+
+-- scheduled_games policies
+CREATE POLICY "Admins can manage scheduled games"
+  ON public.scheduled_games FOR ALL
+  USING ((select public.is_admin()));
+
+CREATE POLICY "Coaches can link team scheduled games"
+  ON public.scheduled_games FOR UPDATE
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.team_coaches tc
+      WHERE (tc.team_id = scheduled_games.home_team_id OR tc.team_id = scheduled_games.away_team_id)
+        AND tc.user_id = (select auth.uid())
+        AND tc.can_edit = true
+    )
+  );
+
+CREATE POLICY "All authenticated users can view scheduled games"
+  ON public.scheduled_games FOR SELECT
+  USING ((select auth.uid()) IS NOT NULL);
+
 -- app_config policies
 CREATE POLICY "Anyone can view app config"
   ON public.app_config
@@ -447,7 +924,7 @@ CREATE POLICY "Only super_admins can update app config"
   WITH CHECK ((select public.is_super_admin()));
 
 -- =====================================================
--- 12. FUNCTIONS & TRIGGERS
+-- 20. FUNCTIONS & TRIGGERS
 -- =====================================================
 
 -- Update timestamp trigger
@@ -478,6 +955,21 @@ CREATE TRIGGER update_games_updated_at BEFORE UPDATE ON public.games
 CREATE TRIGGER update_app_config_updated_at BEFORE UPDATE ON public.app_config
   FOR EACH ROW EXECUTE FUNCTION public.update_updated_at();
 
+CREATE TRIGGER update_pitch_count_rules_updated_at BEFORE UPDATE ON public.pitch_count_rules
+  FOR EACH ROW EXECUTE FUNCTION public.update_updated_at();
+
+CREATE TRIGGER update_lineups_updated_at BEFORE UPDATE ON public.lineups
+  FOR EACH ROW EXECUTE FUNCTION public.update_updated_at();
+
+CREATE TRIGGER update_lineup_templates_updated_at BEFORE UPDATE ON public.lineup_templates
+  FOR EACH ROW EXECUTE FUNCTION public.update_updated_at();
+
+CREATE TRIGGER update_game_submissions_updated_at BEFORE UPDATE ON public.game_submissions
+  FOR EACH ROW EXECUTE FUNCTION public.update_updated_at();
+
+CREATE TRIGGER update_scheduled_games_updated_at BEFORE UPDATE ON public.scheduled_games
+  FOR EACH ROW EXECUTE FUNCTION public.update_updated_at();
+
 -- Maintenance mode update function
 CREATE OR REPLACE FUNCTION public.update_maintenance_mode(
   p_maintenance_mode BOOLEAN,
@@ -524,6 +1016,1337 @@ $$;
 COMMENT ON FUNCTION public.update_maintenance_mode IS
   'Updates maintenance mode settings. Only callable by super_admins.';
 
+-- Replace a season's Pitch Smart rule set in a single transaction
+CREATE OR REPLACE FUNCTION public.replace_pitch_count_rules(
+  p_season_id UUID,
+  p_rules JSONB
+)
+RETURNS SETOF public.pitch_count_rules
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+  -- Check if user is admin
+  IF NOT public.is_admin() THEN
+    RAISE EXCEPTION 'Only admins can update pitch count rules';
+  END IF;
+
+  DELETE FROM public.pitch_count_rules
+  WHERE season_id = p_season_id;
+
+  INSERT INTO public.pitch_count_rules (season_id, age_min, age_max, max_pitches_per_game, rest_day_ranges, updated_by)
+  SELECT
+    p_season_id,
+    (r->>'age_min')::INTEGER,
+    (r->>'age_max')::INTEGER,
+    (r->>'max_pitches_per_game')::INTEGER,
+    COALESCE(r->'rest_day_ranges', '[]'::jsonb),
+    auth.uid()
+  FROM jsonb_array_elements(p_rules) AS r;
+
+  RETURN QUERY
+  SELECT * FROM public.pitch_count_rules
+  WHERE season_id = p_season_id
+  ORDER BY age_min;
+END;
+$$;
+
+COMMENT ON FUNCTION public.replace_pitch_count_rules IS
+  'Atomically replaces the Pitch Smart rule set for a season. Only callable by admins.';
+
+-- Atomic game save (save_game) and its helpers
+
+-- A season's rule set, or the league defaults when the season has none
+-- (keep the defaults in sync with PITCH_SMART_RULES in src/lib/pitchSmartRules.js)
+CREATE OR REPLACE FUNCTION public.season_pitch_count_rules(p_season_id UUID)
+RETURNS TABLE(age_min INTEGER, age_max INTEGER, max_pitches_per_game INTEGER, rest_day_ranges JSONB)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT r.age_min, r.age_max, r.max_pitches_per_game, r.rest_day_ranges
+  FROM public.pitch_count_rules r
+  WHERE r.season_id = p_season_id
+  UNION ALL
+  SELECT d.age_min, d.age_max, d.max_pitches_per_game, d.rest_day_ranges
+  FROM (VALUES
+    (6, 8, 50, '[{"minPitches":1,"maxPitches":20,"restDays":0},{"minPitches":21,"maxPitches":35,"restDays":1},{"minPitches":36,"maxPitches":50,"restDays":2}]'::jsonb),
+    (9, 10, 75, '[{"minPitches":1,"maxPitches":20,"restDays":0},{"minPitches":21,"maxPitches":35,"restDays":1},{"minPitches":36,"maxPitches":50,"restDays":2},{"minPitches":51,"maxPitches":65,"restDays":3},{"minPitches":66,"maxPitches":999,"restDays":4}]'::jsonb),
+    (11, 12, 85, '[{"minPitches":1,"maxPitches":20,"restDays":0},{"minPitches":21,"maxPitches":35,"restDays":1},{"minPitches":36,"maxPitches":50,"restDays":2},{"minPitches":51,"maxPitches":65,"restDays":3},{"minPitches":66,"maxPitches":999,"restDays":4}]'::jsonb)
+  ) AS d(age_min, age_max, max_pitches_per_game, rest_day_ranges)
+  WHERE NOT EXISTS (SELECT 1 FROM public.pitch_count_rules r WHERE r.season_id = p_season_id);
+$$;
+
+-- Required rest days for an effective pitch count (NULL if no rule applies)
+CREATE OR REPLACE FUNCTION public.required_rest_days(p_season_id UUID, p_age INTEGER, p_pitch_count INTEGER)
+RETURNS INTEGER
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT (ranges.rest_range->>'restDays')::INTEGER
+  FROM public.season_pitch_count_rules(p_season_id) r
+  CROSS JOIN LATERAL jsonb_array_elements(r.rest_day_ranges) WITH ORDINALITY AS ranges(rest_range, ord)
+  WHERE p_age BETWEEN r.age_min AND r.age_max
+    AND p_pitch_count BETWEEN (ranges.rest_range->>'minPitches')::INTEGER AND (ranges.rest_range->>'maxPitches')::INTEGER
+  ORDER BY r.age_min, ranges.ord
+  LIMIT 1;
+$$;
+
+-- Most recent next_eligible_pitch_date from a player's pitches before a date
+CREATE OR REPLACE FUNCTION public.eligible_pitch_date_before(p_player_id UUID, p_game_date DATE)
+RETURNS DATE
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT pl.next_eligible_pitch_date
+  FROM public.pitching_logs pl
+  WHERE pl.player_id = p_player_id
+    AND pl.pitch_date < p_game_date
+    AND pl.next_eligible_pitch_date IS NOT NULL
+  ORDER BY pl.pitch_date DESC
+  LIMIT 1;
+$$;
+
+-- A player's effective pitches (penultimate batter + 1) from all of their games on a date
+CREATE OR REPLACE FUNCTION public.daily_pitch_count(p_player_id UUID, p_game_date DATE)
+RETURNS INTEGER
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT COALESCE(SUM(COALESCE(pl.penultimate_batter_count, 0) + 1), 0)::INTEGER
+  FROM public.pitching_logs pl
+  WHERE pl.player_id = p_player_id
+    AND pl.pitch_date = p_game_date;
+$$;
+
+-- A player's effective pitches from games played earlier on the same day as a game:
+-- the resumed portion of a suspended game first, then timed games before untimed
+-- ones, then by start time, then by entry time
+-- (mirrors sumEarlierPitchesToday in src/lib/pitcherEligibility.js)
+CREATE OR REPLACE FUNCTION public.pitches_earlier_same_day(p_player_id UUID, p_game_id UUID)
+RETURNS INTEGER
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT COALESCE(SUM(COALESCE(pl.penultimate_batter_count, 0) + 1), 0)::INTEGER
+  FROM public.games this
+  JOIN public.pitching_logs pl
+    ON pl.pitch_date = this.game_date AND pl.game_id != this.id AND pl.player_id = p_player_id
+  JOIN public.games g ON g.id = pl.game_id
+  WHERE this.id = p_game_id
+    AND (
+      g.game_date != pl.pitch_date
+      OR (g.start_time IS NOT NULL AND this.start_time IS NULL)
+      OR g.start_time < this.start_time
+      OR (g.start_time IS NOT DISTINCT FROM this.start_time AND g.created_at < this.created_at)
+    );
+$$;
+
+-- Whether a saved game breaks any of Rules 1-8
+-- (mirrors getGameViolationsByDate in src/lib/suspendedGames.js)
+-- Each date of a suspended game is checked as its own outing; the resumed
+-- portion is the first game of its date, so earlier pitches only count on game_date.
+-- Rules 7 and 8 cover the whole game, for players whose fielding was recorded
+-- (mirrors getRecordedPlayingTimeViolations in src/lib/playingTimeRules.js)
+CREATE OR REPLACE FUNCTION public.game_has_violation(p_game_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+AS $$
+  WITH game AS (
+    SELECT g.id, g.season_id, g.game_date, g.suspended_after_inning, g.resume_date, t.division
+    FROM public.games g
+    JOIN public.teams t ON t.id = g.home_team_id
+    WHERE g.id = p_game_id
+  ),
+  innings AS (
+    SELECT
+      pp.player_id,
+      COALESCE(pp.inning_number > game.suspended_after_inning, false) AS resumed,
+      COALESCE(array_agg(pp.inning_number ORDER BY pp.inning_number) FILTER (WHERE pp.position = 'pitcher'), '{}') AS pitched,
+      COALESCE(array_agg(pp.inning_number ORDER BY pp.inning_number) FILTER (WHERE pp.position = 'catcher'), '{}') AS caught
+    FROM public.positions_played pp
+    CROSS JOIN game
+    WHERE pp.game_id = p_game_id
+    GROUP BY pp.player_id, COALESCE(pp.inning_number > game.suspended_after_inning, false)
+  ),
+  player_data AS (
+    SELECT
+      i.pitched,
+      i.caught,
+      cardinality(i.pitched) AS pitched_count,
+      COALESCE(pl.penultimate_batter_count + 1, 0) AS effective_pitches,
+      CASE WHEN i.resumed THEN 0 ELSE public.pitches_earlier_same_day(i.player_id, p_game_id) END AS earlier_pitches,
+      CASE WHEN game.division = 'Training' THEN 50 ELSE (
+        SELECT r.max_pitches_per_game
+        FROM public.season_pitch_count_rules(game.season_id) r
+        WHERE p.age BETWEEN r.age_min AND r.age_max
+        ORDER BY r.age_min
+        LIMIT 1
+      ) END AS max_pitches,
+      public.eligible_pitch_date_before(i.player_id, d.pitch_date) AS prior_eligible_date,
+      d.pitch_date
+    FROM innings i
+    CROSS JOIN game
+    CROSS JOIN LATERAL (
+      SELECT CASE WHEN i.resumed THEN COALESCE(game.resume_date, game.game_date) ELSE game.game_date END AS pitch_date
+    ) d
+    JOIN public.players p ON p.id = i.player_id
+    LEFT JOIN public.pitching_logs pl
+      ON pl.game_id = p_game_id AND pl.player_id = i.player_id AND pl.resumed = i.resumed
+  ),
+  player_innings AS (
+    SELECT
+      pp.player_id,
+      pp.inning_number,
+      bool_and(pp.position = 'bench') AS sat,
+      bool_or(pp.position IN ('pitcher', 'catcher', 'first_base', 'second_base', 'shortstop', 'third_base')) AS infield,
+      bool_or(pp.position NOT IN ('pitcher', 'catcher')) AS fielding_recorded
+    FROM public.positions_played pp
+    WHERE pp.game_id = p_game_id
+    GROUP BY pp.player_id, pp.inning_number
+  ),
+  fielding AS (
+    SELECT
+      pi.player_id,
+      COALESCE(array_agg(pi.inning_number) FILTER (WHERE pi.sat), '{}') AS sat,
+      bool_or(pi.infield) AS played_infield
+    FROM player_innings pi
+    GROUP BY pi.player_id
+    HAVING bool_or(pi.fielding_recorded)
+  )
+  SELECT EXISTS (
+    SELECT 1 FROM player_data d
+    WHERE d.pitched_count > 0 AND (
+      -- Rule 1: pitched innings must be consecutive
+      d.pitched[d.pitched_count] - d.pitched[1] + 1 <> d.pitched_count
+      -- Rule 2: 41+ pitches, then caught
+      OR (d.effective_pitches >= 41 AND EXISTS (SELECT 1 FROM unnest(d.caught) c WHERE c > d.pitched[d.pitched_count]))
+      -- Rule 3: caught 4+ innings, then pitched
+      OR (cardinality(d.caught) >= 4 AND EXISTS (SELECT 1 FROM unnest(d.pitched) i WHERE i > d.caught[4]))
+      -- Rule 4: caught 1-3 innings + 21+ pitches, then caught again
+      OR (d.effective_pitches >= 21
+          AND (SELECT count(*) FROM unnest(d.caught) c WHERE c < d.pitched[1]) BETWEEN 1 AND 3
+          AND EXISTS (SELECT 1 FROM unnest(d.caught) c WHERE c > d.pitched[d.pitched_count]))
+      -- Rule 5: exceeded the daily maximum (all of the day's games together)
+      OR (d.effective_pitches > 0 AND d.effective_pitches + d.earlier_pitches > d.max_pitches)
+      -- Rule 6: pitched before the rest period ended
+      OR d.pitch_date < d.prior_eligible_date
+    )
+  ) OR EXISTS (
+    SELECT 1 FROM fielding f
+    WHERE
+      -- Rule 7: sat out 2 consecutive innings
+      EXISTS (SELECT 1 FROM unnest(f.sat) s WHERE s + 1 = ANY(f.sat))
+      -- Rule 8: no inning in the infield
+      OR NOT f.played_infield
+  );
+$$;
+
+-- Blocking violations (Rules 1-5) of a saved game, one row per player and rule
+-- Worked out from the game's positions and pitching logs the same way as
+-- game_has_violation(), so save_game() doesn't depend on the client's list.
+CREATE OR REPLACE FUNCTION public.game_blocking_violations(p_game_id UUID)
+RETURNS TABLE (player_id UUID, rule_id TEXT)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH game AS (
+    SELECT g.id, g.season_id, g.suspended_after_inning, t.division
+    FROM public.games g
+    JOIN public.teams t ON t.id = g.home_team_id
+    WHERE g.id = p_game_id
+  ),
+  innings AS (
+    SELECT
+      pp.player_id,
+      COALESCE(pp.inning_number > game.suspended_after_inning, false) AS resumed,
+      COALESCE(array_agg(pp.inning_number ORDER BY pp.inning_number) FILTER (WHERE pp.position = 'pitcher'), '{}') AS pitched,
+      COALESCE(array_agg(pp.inning_number ORDER BY pp.inning_number) FILTER (WHERE pp.position = 'catcher'), '{}') AS caught
+    FROM public.positions_played pp
+    CROSS JOIN game
+    WHERE pp.game_id = p_game_id
+    GROUP BY pp.player_id, COALESCE(pp.inning_number > game.suspended_after_inning, false)
+  ),
+  player_data AS (
+    SELECT
+      i.player_id,
+      i.pitched,
+      i.caught,
+      cardinality(i.pitched) AS pitched_count,
+      COALESCE(pl.penultimate_batter_count + 1, 0) AS effective_pitches,
+      CASE WHEN i.resumed THEN 0 ELSE public.pitches_earlier_same_day(i.player_id, p_game_id) END AS earlier_pitches,
+      CASE WHEN game.division = 'Training' THEN 50 ELSE (
+        SELECT r.max_pitches_per_game
+        FROM public.season_pitch_count_rules(game.season_id) r
+        WHERE p.age BETWEEN r.age_min AND r.age_max
+        ORDER BY r.age_min
+        LIMIT 1
+      ) END AS max_pitches
+    FROM innings i
+    CROSS JOIN game
+    JOIN public.players p ON p.id = i.player_id
+    LEFT JOIN public.pitching_logs pl
+      ON pl.game_id = p_game_id AND pl.player_id = i.player_id AND pl.resumed = i.resumed
+  )
+  SELECT DISTINCT d.player_id, r.rule_id
+  FROM player_data d
+  CROSS JOIN LATERAL (VALUES
+    -- Rule 1: pitched innings must be consecutive
+    ('consecutive_innings', d.pitched[d.pitched_count] - d.pitched[1] + 1 <> d.pitched_count),
+    -- Rule 2: 41+ pitches, then caught
+    ('high_pitch_count_catching', d.effective_pitches >= 41 AND EXISTS (SELECT 1 FROM unnest(d.caught) c WHERE c > d.pitched[d.pitched_count])),
+    -- Rule 3: caught 4+ innings, then pitched
+    ('four_innings_catching', cardinality(d.caught) >= 4 AND EXISTS (SELECT 1 FROM unnest(d.pitched) i WHERE i > d.caught[4])),
+    -- Rule 4: caught 1-3 innings + 21+ pitches, then caught again
+    ('catch_pitch_combined', d.effective_pitches >= 21
+      AND (SELECT count(*) FROM unnest(d.caught) c WHERE c < d.pitched[1]) BETWEEN 1 AND 3
+      AND EXISTS (SELECT 1 FROM unnest(d.caught) c WHERE c > d.pitched[d.pitched_count])),
+    -- Rule 5: exceeded the daily maximum (all of the day's games together)
+    ('max_pitches_exceeded', d.effective_pitches > 0 AND d.effective_pitches + d.earlier_pitches > d.max_pitches)
+  ) AS r(rule_id, broken)
+  WHERE d.pitched_count > 0 AND r.broken;
+$$;
+
+COMMENT ON FUNCTION public.game_blocking_violations IS
+  'Rules 1-5 broken in a saved game (player_id, rule_id), computed from its positions and pitching logs. save_game() checks waivers against these.';
+
+-- Remove a game's waivers for violations it no longer has. Runs with the
+-- owner's permissions: only admins may write violation_waivers, but any
+-- save that clears a violation must also clear its waiver.
+CREATE OR REPLACE FUNCTION public.remove_stale_violation_waivers(p_game_id UUID)
+RETURNS VOID
+LANGUAGE sql
+SECURITY DEFINER
+AS $$
+  DELETE FROM public.violation_waivers w
+  WHERE w.game_id = p_game_id
+    AND NOT EXISTS (
+      SELECT 1 FROM public.game_blocking_violations(p_game_id) b
+      WHERE b.player_id = w.player_id AND b.rule_id = w.rule_id
+    );
+$$;
+
+-- Save a game and all of its player data atomically
+-- Runs with the caller's permissions, so the games/player data RLS policies apply.
+CREATE OR REPLACE FUNCTION public.save_game(
+  p_game_id UUID,
+  p_game JSONB,
+  p_attendance JSONB,
+  p_pitching_logs JSONB,
+  p_positions JSONB,
+  p_violations JSONB DEFAULT '[]'::jsonb,
+  p_expected_updated_at TIMESTAMPTZ DEFAULT NULL,
+  p_waiver_reason TEXT DEFAULT NULL
+)
+RETURNS public.games
+LANGUAGE plpgsql
+SECURITY INVOKER
+AS $$
+DECLARE
+  v_game public.games;
+  v_current_updated_at TIMESTAMPTZ;
+BEGIN
+  IF p_game_id IS NULL THEN
+    INSERT INTO public.games (season_id, game_date, start_time, scorekeeper_name, scorekeeper_team_id, home_team_id, away_team_id, home_score, away_score, notes, status, forfeiting_team_id,
+      suspended_after_inning, resume_date)
+    SELECT r.season_id, r.game_date, r.start_time, r.scorekeeper_name, r.scorekeeper_team_id, r.home_team_id, r.away_team_id, r.home_score, r.away_score, r.notes,
+      COALESCE(r.status, 'final'), r.forfeiting_team_id, r.suspended_after_inning, r.resume_date
+    FROM jsonb_populate_record(NULL::public.games, p_game) r
+    RETURNING * INTO v_game;
+  ELSE
+    -- Lock the game and refuse to overwrite changes saved since the editor loaded it
+    SELECT g.updated_at INTO v_current_updated_at
+    FROM public.games g
+    WHERE g.id = p_game_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Game not found or you do not have permission to edit it';
+    END IF;
+
+    IF p_expected_updated_at IS NOT NULL AND v_current_updated_at IS DISTINCT FROM p_expected_updated_at THEN
+      RAISE EXCEPTION 'This game was changed by someone else after you opened it'
+        USING ERRCODE = 'TL409',
+              DETAIL = to_char(v_current_updated_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"');
+    END IF;
+
+    UPDATE public.games g SET
+      season_id = r.season_id,
+      game_date = r.game_date,
+      start_time = r.start_time,
+      scorekeeper_name = r.scorekeeper_name,
+      scorekeeper_team_id = r.scorekeeper_team_id,
+      home_team_id = r.home_team_id,
+      away_team_id = r.away_team_id,
+      home_score = r.home_score,
+      away_score = r.away_score,
+      notes = r.notes,
+      status = COALESCE(r.status, g.status),
+      forfeiting_team_id = r.forfeiting_team_id,
+      rescheduled_game_id = CASE WHEN COALESCE(r.status, g.status) = 'postponed' THEN g.rescheduled_game_id END,
+      suspended_after_inning = r.suspended_after_inning,
+      resume_date = r.resume_date
+    FROM jsonb_populate_record(NULL::public.games, p_game) r
+    WHERE g.id = p_game_id
+    RETURNING g.* INTO v_game;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Game not found or you do not have permission to edit it';
+    END IF;
+
+    DELETE FROM public.game_players WHERE game_id = v_game.id;
+    DELETE FROM public.pitching_logs WHERE game_id = v_game.id;
+    DELETE FROM public.positions_played WHERE game_id = v_game.id;
+    DELETE FROM public.game_violations WHERE game_id = v_game.id;
+  END IF;
+
+  INSERT INTO public.game_players (game_id, player_id, was_present, absence_note)
+  SELECT v_game.id, a.player_id, a.was_present, a.absence_note
+  FROM jsonb_to_recordset(p_attendance) AS a(player_id UUID, was_present BOOLEAN, absence_note TEXT);
+
+  INSERT INTO public.positions_played (game_id, player_id, inning_number, position)
+  SELECT v_game.id, pos.player_id, pos.inning_number, pos.position
+  FROM jsonb_to_recordset(p_positions) AS pos(player_id UUID, inning_number INTEGER, position TEXT);
+
+  -- Next eligible date = the rest required for the day's combined pitches
+  -- (this log's penultimate batter + 1 plus the player's other games that day),
+  -- or rest still owed from earlier games if later. Resumed logs are dated
+  -- the resume date.
+  INSERT INTO public.pitching_logs (game_id, player_id, final_pitch_count, penultimate_batter_count, resumed, pitch_date, next_eligible_pitch_date)
+  SELECT
+    v_game.id,
+    l.player_id,
+    l.final_pitch_count,
+    l.penultimate_batter_count,
+    COALESCE(l.resumed, false),
+    d.pitch_date,
+    GREATEST(
+      d.pitch_date + public.required_rest_days(
+        v_game.season_id,
+        p.age,
+        l.penultimate_batter_count + 1 + public.daily_pitch_count(l.player_id, d.pitch_date)
+      ) + 1,
+      public.eligible_pitch_date_before(l.player_id, d.pitch_date)
+    )
+  FROM jsonb_to_recordset(p_pitching_logs)
+    AS l(player_id UUID, final_pitch_count INTEGER, penultimate_batter_count INTEGER, resumed BOOLEAN)
+  JOIN public.players p ON p.id = l.player_id
+  CROSS JOIN LATERAL (
+    SELECT CASE WHEN COALESCE(l.resumed, false) THEN COALESCE(v_game.resume_date, v_game.game_date) ELSE v_game.game_date END AS pitch_date
+  ) d;
+
+  -- The insert above cannot see the game's own first-date logs, so resumed
+  -- logs pick up the rest owed from the game date here
+  UPDATE public.pitching_logs pl
+  SET next_eligible_pitch_date = GREATEST(pl.next_eligible_pitch_date, public.eligible_pitch_date_before(pl.player_id, pl.pitch_date))
+  WHERE pl.game_id = v_game.id
+    AND pl.resumed;
+
+  -- Rest counts from the last game of the day, so the player's other games
+  -- that day carry the same date
+  UPDATE public.pitching_logs pl
+  SET next_eligible_pitch_date = mine.next_eligible_pitch_date
+  FROM public.pitching_logs mine
+  WHERE mine.game_id = v_game.id
+    AND pl.player_id = mine.player_id
+    AND pl.pitch_date = mine.pitch_date
+    AND pl.game_id != v_game.id;
+
+  -- Detailed violation records (rule, innings, message) come from the client
+  INSERT INTO public.game_violations (game_id, player_id, rule_id, innings, pitch_count, message)
+  SELECT v_game.id, v.player_id, v.rule_id, v.innings, v.pitch_count, v.message
+  FROM jsonb_to_recordset(COALESCE(p_violations, '[]'::jsonb))
+    AS v(player_id UUID, rule_id TEXT, innings INTEGER[], pitch_count INTEGER, message TEXT);
+
+  -- Waivers follow the blocking violations (Rules 1-5) the server finds in
+  -- the saved data, whatever p_violations says: drop the ones that no longer
+  -- apply, and waive new ones only for an admin who gave a reason. The game
+  -- is never saved with a blocking violation that isn't waived.
+  PERFORM public.remove_stale_violation_waivers(v_game.id);
+
+  IF EXISTS (
+    SELECT 1 FROM public.game_blocking_violations(v_game.id) b
+    WHERE NOT EXISTS (
+      SELECT 1 FROM public.violation_waivers w
+      WHERE w.game_id = v_game.id AND w.player_id = b.player_id AND w.rule_id = b.rule_id
+    )
+  ) THEN
+    IF NOT public.is_admin() THEN
+      RAISE EXCEPTION 'This game has safety rule violations (Rules 1-5). Only an admin can waive them.';
+    END IF;
+    IF COALESCE(trim(p_waiver_reason), '') = '' THEN
+      RAISE EXCEPTION 'A reason is required to waive a violation';
+    END IF;
+
+    -- One waiver per player and rule, even if a suspended game broke it on both dates
+    INSERT INTO public.violation_waivers (game_id, player_id, rule_id, reason, approved_by)
+    SELECT v_game.id, b.player_id, b.rule_id, trim(p_waiver_reason), auth.uid()
+    FROM public.game_blocking_violations(v_game.id) b
+    WHERE NOT EXISTS (
+      SELECT 1 FROM public.violation_waivers w
+      WHERE w.game_id = v_game.id AND w.player_id = b.player_id AND w.rule_id = b.rule_id
+    );
+  END IF;
+
+  UPDATE public.games
+  SET has_violation = public.game_has_violation(v_game.id)
+  WHERE id = v_game.id
+  RETURNING * INTO v_game;
+
+  RETURN v_game;
+END;
+$$;
+
+COMMENT ON FUNCTION public.save_game IS
+  'Creates (p_game_id NULL) or updates a game and replaces its attendance, pitching logs, positions and violation records in one transaction, and brings its violation waivers in line with the blocking violations it finds in the saved data (new ones need an admin and p_waiver_reason). Computes next_eligible_pitch_date (from the day''s combined pitches, per date for a suspended game) and has_violation. Any error rolls back the whole save. When p_expected_updated_at is given and the game changed since then, raises SQLSTATE TL409.';
+
+-- Replace a game's violation records and refresh has_violation atomically
+-- (used when later games are recomputed after an earlier game changes)
+CREATE OR REPLACE FUNCTION public.replace_game_violations(
+  p_game_id UUID,
+  p_violations JSONB DEFAULT '[]'::jsonb
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY INVOKER
+AS $$
+DECLARE
+  v_has_violation BOOLEAN;
+BEGIN
+  DELETE FROM public.game_violations WHERE game_id = p_game_id;
+
+  INSERT INTO public.game_violations (game_id, player_id, rule_id, innings, pitch_count, message)
+  SELECT p_game_id, v.player_id, v.rule_id, v.innings, v.pitch_count, v.message
+  FROM jsonb_to_recordset(COALESCE(p_violations, '[]'::jsonb))
+    AS v(player_id UUID, rule_id TEXT, innings INTEGER[], pitch_count INTEGER, message TEXT);
+
+  UPDATE public.games
+  SET has_violation = public.game_has_violation(p_game_id)
+  WHERE id = p_game_id
+  RETURNING has_violation INTO v_has_violation;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Game not found or you do not have permission to edit it';
+  END IF;
+
+  RETURN v_has_violation;
+END;
+$$;
+
+COMMENT ON FUNCTION public.replace_game_violations IS
+  'Replaces a game''s violation records and recomputes has_violation in one transaction. Any error rolls back both.';
+
+-- Game audit trail: record every change to a game or its player data
+CREATE OR REPLACE FUNCTION public.audit_game_change()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_old JSONB := CASE WHEN TG_OP IN ('UPDATE', 'DELETE') THEN to_jsonb(OLD) END;
+  v_new JSONB := CASE WHEN TG_OP IN ('INSERT', 'UPDATE') THEN to_jsonb(NEW) END;
+  v_row JSONB := COALESCE(v_new, v_old);
+BEGIN
+  -- Skip updates that only touch the timestamp
+  IF TG_OP = 'UPDATE' AND (v_old - 'updated_at') = (v_new - 'updated_at') THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO public.game_audit_log (game_id, table_name, record_id, action, old_data, new_data, changed_by)
+  VALUES (
+    CASE WHEN TG_TABLE_NAME = 'games' THEN (v_row->>'id')::UUID ELSE (v_row->>'game_id')::UUID END,
+    TG_TABLE_NAME,
+    (v_row->>'id')::UUID,
+    TG_OP,
+    v_old,
+    v_new,
+    (SELECT up.id FROM public.user_profiles up WHERE up.id = auth.uid())
+  );
+
+  RETURN NULL;
+END;
+$$;
+
+CREATE TRIGGER audit_games_changes AFTER INSERT OR UPDATE OR DELETE ON public.games
+  FOR EACH ROW EXECUTE FUNCTION public.audit_game_change();
+
+CREATE TRIGGER audit_game_players_changes AFTER INSERT OR UPDATE OR DELETE ON public.game_players
+  FOR EACH ROW EXECUTE FUNCTION public.audit_game_change();
+
+CREATE TRIGGER audit_pitching_logs_changes AFTER INSERT OR UPDATE OR DELETE ON public.pitching_logs
+  FOR EACH ROW EXECUTE FUNCTION public.audit_game_change();
+
+CREATE TRIGGER audit_positions_played_changes AFTER INSERT OR UPDATE OR DELETE ON public.positions_played
+  FOR EACH ROW EXECUTE FUNCTION public.audit_game_change();
+
+-- Game sign-off: allowed sign-off changes, who made them, and the lock on confirmed games
+-- (the app side is src/lib/gameSignoff.js)
+CREATE OR REPLACE FUNCTION public.enforce_game_signoff()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_user_id UUID := (SELECT up.id FROM public.user_profiles up WHERE up.id = auth.uid());
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    IF OLD.signoff_status = 'confirmed' THEN
+      RAISE EXCEPTION 'This game is signed off and locked; an admin must reopen it first';
+    END IF;
+    RETURN OLD;
+  END IF;
+
+  IF NEW.signoff_status IS NOT DISTINCT FROM OLD.signoff_status THEN
+    -- Who and when only change with the sign-off status
+    NEW.signoff_submitted_by := OLD.signoff_submitted_by;
+    NEW.signoff_submitted_at := OLD.signoff_submitted_at;
+    NEW.signoff_confirmed_by := OLD.signoff_confirmed_by;
+    NEW.signoff_confirmed_at := OLD.signoff_confirmed_at;
+    NEW.reopened_by := OLD.reopened_by;
+    NEW.reopened_at := OLD.reopened_at;
+    NEW.reopen_reason := OLD.reopen_reason;
+
+    -- Derived values (has_violation, rest recomputed after earlier games change) may still update
+    IF OLD.signoff_status = 'confirmed' AND (
+      NEW.season_id, NEW.game_date, NEW.start_time, NEW.home_team_id, NEW.away_team_id,
+      NEW.home_score, NEW.away_score, NEW.scorekeeper_name, NEW.scorekeeper_team_id, NEW.notes,
+      NEW.status, NEW.forfeiting_team_id, NEW.rescheduled_game_id, NEW.suspended_after_inning,
+      NEW.resume_date, NEW.reconciliation_status
+    ) IS DISTINCT FROM (
+      OLD.season_id, OLD.game_date, OLD.start_time, OLD.home_team_id, OLD.away_team_id,
+      OLD.home_score, OLD.away_score, OLD.scorekeeper_name, OLD.scorekeeper_team_id, OLD.notes,
+      OLD.status, OLD.forfeiting_team_id, OLD.rescheduled_game_id, OLD.suspended_after_inning,
+      OLD.resume_date, OLD.reconciliation_status
+    ) THEN
+      RAISE EXCEPTION 'This game is signed off and locked; an admin must reopen it first';
+    END IF;
+
+    RETURN NEW;
+  END IF;
+
+  IF OLD.signoff_status IS NULL AND NEW.signoff_status = 'submitted' THEN
+    IF NEW.status NOT IN ('final', 'forfeited') THEN
+      RAISE EXCEPTION 'Only final or forfeited games can be signed off';
+    END IF;
+    IF NEW.reconciliation_status IS NOT NULL AND NEW.reconciliation_status != 'resolved' THEN
+      RAISE EXCEPTION 'Reconcile the two scorekeepers'' counts before signing off the game';
+    END IF;
+    IF NOT (public.is_admin() OR EXISTS (
+      SELECT 1 FROM public.team_coaches tc
+      WHERE tc.team_id = NEW.scorekeeper_team_id
+        AND tc.user_id = auth.uid()
+        AND tc.can_edit = true
+    )) THEN
+      RAISE EXCEPTION 'Only the scorekeeper''s team or an admin can submit this game';
+    END IF;
+
+    NEW.signoff_submitted_by := v_user_id;
+    NEW.signoff_submitted_at := NOW();
+    NEW.signoff_confirmed_by := NULL;
+    NEW.signoff_confirmed_at := NULL;
+  ELSIF OLD.signoff_status = 'submitted' AND NEW.signoff_status = 'confirmed' THEN
+    -- The team that didn't keep the score confirms (either team when the scorekeeper was neutral)
+    IF NOT EXISTS (
+      SELECT 1 FROM public.team_coaches tc
+      WHERE tc.user_id = auth.uid()
+        AND tc.role = 'head_coach'
+        AND tc.team_id IN (NEW.home_team_id, NEW.away_team_id)
+        AND tc.team_id IS DISTINCT FROM NEW.scorekeeper_team_id
+    ) THEN
+      RAISE EXCEPTION 'Only the opposing head coach can confirm this game';
+    END IF;
+
+    NEW.signoff_confirmed_by := v_user_id;
+    NEW.signoff_confirmed_at := NOW();
+  ELSIF OLD.signoff_status = 'submitted' AND NEW.signoff_status IS NULL THEN
+    -- Withdrawn, or the game was saved again before it was confirmed
+    NEW.signoff_submitted_by := NULL;
+    NEW.signoff_submitted_at := NULL;
+  ELSIF OLD.signoff_status = 'confirmed' AND NEW.signoff_status IS NULL THEN
+    IF NOT public.is_admin() THEN
+      RAISE EXCEPTION 'Only an admin can reopen a signed-off game';
+    END IF;
+    IF NULLIF(trim(NEW.reopen_reason), '') IS NULL THEN
+      RAISE EXCEPTION 'A reason is required to reopen a signed-off game';
+    END IF;
+
+    NEW.signoff_submitted_by := NULL;
+    NEW.signoff_submitted_at := NULL;
+    NEW.signoff_confirmed_by := NULL;
+    NEW.signoff_confirmed_at := NULL;
+    NEW.reopened_by := v_user_id;
+    NEW.reopened_at := NOW();
+  ELSE
+    RAISE EXCEPTION 'A game''s sign-off cannot change from % to %',
+      COALESCE(OLD.signoff_status, 'not submitted'), COALESCE(NEW.signoff_status, 'not submitted');
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+COMMENT ON FUNCTION public.enforce_game_signoff IS
+  'Checks sign-off changes (submit by the scorekeeper''s team, confirm by the opposing head coach, reopen by an admin with a reason), stamps who made them and refuses changes to a confirmed game.';
+
+-- Player data of a confirmed game is locked; saving a submitted game withdraws the submission
+CREATE OR REPLACE FUNCTION public.enforce_game_data_lock()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_game_id UUID := CASE WHEN TG_OP = 'DELETE' THEN OLD.game_id ELSE NEW.game_id END;
+  v_signoff_status TEXT;
+BEGIN
+  -- Rest recomputed after an earlier game changed is not a change to this game
+  IF TG_TABLE_NAME = 'pitching_logs' AND TG_OP = 'UPDATE' AND (
+    NEW.game_id, NEW.player_id, NEW.final_pitch_count, NEW.penultimate_batter_count, NEW.pitch_date, NEW.resumed
+  ) IS NOT DISTINCT FROM (
+    OLD.game_id, OLD.player_id, OLD.final_pitch_count, OLD.penultimate_batter_count, OLD.pitch_date, OLD.resumed
+  ) THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT g.signoff_status INTO v_signoff_status
+  FROM public.games g
+  WHERE g.id = v_game_id;
+
+  IF v_signoff_status = 'confirmed' THEN
+    RAISE EXCEPTION 'This game is signed off and locked; an admin must reopen it first';
+  ELSIF v_signoff_status = 'submitted' THEN
+    UPDATE public.games SET signoff_status = NULL
+    WHERE id = v_game_id AND signoff_status = 'submitted';
+  END IF;
+
+  RETURN CASE WHEN TG_OP = 'DELETE' THEN OLD ELSE NEW END;
+END;
+$$;
+
+CREATE TRIGGER enforce_games_signoff BEFORE UPDATE OR DELETE ON public.games
+  FOR EACH ROW EXECUTE FUNCTION public.enforce_game_signoff();
+
+CREATE TRIGGER lock_signed_off_game_players BEFORE INSERT OR UPDATE OR DELETE ON public.game_players
+  FOR EACH ROW EXECUTE FUNCTION public.enforce_game_data_lock();
+
+CREATE TRIGGER lock_signed_off_pitching_logs BEFORE INSERT OR UPDATE OR DELETE ON public.pitching_logs
+  FOR EACH ROW EXECUTE FUNCTION public.enforce_game_data_lock();
+
+CREATE TRIGGER lock_signed_off_positions_played BEFORE INSERT OR UPDATE OR DELETE ON public.positions_played
+  FOR EACH ROW EXECUTE FUNCTION public.enforce_game_data_lock();
+
+-- Game trash (soft delete)
+
+-- How long a trashed game is kept before it can be purged
+-- (the app shows each game's purge date from list_trashed_games)
+CREATE OR REPLACE FUNCTION public.game_trash_retention()
+RETURNS INTERVAL
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT INTERVAL '30 days';
+$$;
+
+-- Move a game to the trash (admins)
+-- (the app side is src/lib/gameTrash.js)
+CREATE OR REPLACE FUNCTION public.trash_game(p_game_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_signoff_status TEXT;
+BEGIN
+  IF NOT public.is_admin() THEN
+    RAISE EXCEPTION 'Only admins can delete games';
+  END IF;
+
+  SELECT g.signoff_status INTO v_signoff_status
+  FROM public.games g
+  WHERE g.id = p_game_id AND g.deleted_at IS NULL
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Game not found or already in the trash';
+  END IF;
+
+  IF v_signoff_status = 'confirmed' THEN
+    RAISE EXCEPTION 'This game is signed off and locked; an admin must reopen it first';
+  END IF;
+
+  UPDATE public.games
+  SET deleted_at = NOW(), deleted_by = auth.uid()
+  WHERE id = p_game_id;
+END;
+$$;
+
+-- Bring a game back from the trash (admins)
+CREATE OR REPLACE FUNCTION public.restore_trashed_game(p_game_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+  IF NOT public.is_admin() THEN
+    RAISE EXCEPTION 'Only admins can restore games';
+  END IF;
+
+  UPDATE public.games
+  SET deleted_at = NULL, deleted_by = NULL
+  WHERE id = p_game_id AND deleted_at IS NOT NULL;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Game is not in the trash';
+  END IF;
+END;
+$$;
+
+-- A season's trashed games, most recently deleted first (admins)
+CREATE OR REPLACE FUNCTION public.list_trashed_games(p_season_id UUID)
+RETURNS TABLE (
+  id UUID,
+  game_date DATE,
+  start_time TIME,
+  home_team_id UUID,
+  away_team_id UUID,
+  home_score INTEGER,
+  away_score INTEGER,
+  status TEXT,
+  forfeiting_team_id UUID,
+  deleted_at TIMESTAMP WITH TIME ZONE,
+  deleted_by_name TEXT,
+  purge_after TIMESTAMP WITH TIME ZONE,
+  pitcher_count INTEGER
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+STABLE
+AS $$
+BEGIN
+  IF NOT public.is_admin() THEN
+    RAISE EXCEPTION 'Only admins can view the trash';
+  END IF;
+
+  RETURN QUERY
+  SELECT
+    g.id, g.game_date, g.start_time, g.home_team_id, g.away_team_id,
+    g.home_score, g.away_score, g.status, g.forfeiting_team_id,
+    g.deleted_at, up.name, g.deleted_at + public.game_trash_retention(),
+    (SELECT COUNT(DISTINCT pl.player_id)::INTEGER FROM public.pitching_logs pl WHERE pl.game_id = g.id)
+  FROM public.games g
+  LEFT JOIN public.user_profiles up ON up.id = g.deleted_by
+  WHERE g.season_id = p_season_id
+    AND g.deleted_at IS NOT NULL
+  ORDER BY g.deleted_at DESC;
+END;
+$$;
+
+-- Permanently delete games whose retention period has passed (admins)
+-- Their change history stays in game_audit_log.
+CREATE OR REPLACE FUNCTION public.purge_expired_games()
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_count INTEGER;
+BEGIN
+  IF NOT public.is_admin() THEN
+    RAISE EXCEPTION 'Only admins can purge games';
+  END IF;
+
+  DELETE FROM public.games
+  WHERE deleted_at < NOW() - public.game_trash_retention();
+
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+  RETURN v_count;
+END;
+$$;
+
+-- Games with player data are only removed by purging them from the trash
+-- (SECURITY DEFINER so the trashed game's hidden player data is seen)
+CREATE OR REPLACE FUNCTION public.enforce_game_trash_retention()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+  IF (OLD.deleted_at IS NULL OR OLD.deleted_at >= NOW() - public.game_trash_retention())
+    AND (
+      EXISTS (SELECT 1 FROM public.game_players gp WHERE gp.game_id = OLD.id)
+      OR EXISTS (SELECT 1 FROM public.pitching_logs pl WHERE pl.game_id = OLD.id)
+    )
+  THEN
+    RAISE EXCEPTION 'Games with player data are moved to the trash and purged after %', public.game_trash_retention();
+  END IF;
+
+  RETURN OLD;
+END;
+$$;
+
+CREATE TRIGGER enforce_games_trash_retention BEFORE DELETE ON public.games
+  FOR EACH ROW EXECUTE FUNCTION public.enforce_game_trash_retention();
+
+-- Player archiving
+
+-- Only super admins delete players (admins and coaches archive them)
+CREATE OR REPLACE FUNCTION public.enforce_player_delete()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NOT public.is_super_admin() THEN
+    RAISE EXCEPTION 'Only a super admin can delete a player; archive the player instead';
+  END IF;
+
+  RETURN OLD;
+END;
+$$;
+
+CREATE TRIGGER enforce_players_delete BEFORE DELETE ON public.players
+  FOR EACH ROW EXECUTE FUNCTION public.enforce_player_delete();
+
+-- Delete a player and their game records for good (super admins)
+-- The games they played in get their violation flag recalculated.
+-- Signed-off games refuse the change until an admin reopens them.
+-- (the app side is src/lib/playerArchive.js)
+CREATE OR REPLACE FUNCTION public.delete_player_permanently(p_player_id UUID)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY INVOKER
+AS $$
+DECLARE
+  v_game_ids UUID[];
+BEGIN
+  IF NOT public.is_super_admin() THEN
+    RAISE EXCEPTION 'Only super admins can delete players';
+  END IF;
+
+  SELECT COALESCE(array_agg(DISTINCT gp.game_id), '{}') INTO v_game_ids
+  FROM public.game_players gp
+  WHERE gp.player_id = p_player_id;
+
+  DELETE FROM public.players WHERE id = p_player_id;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Player not found';
+  END IF;
+
+  UPDATE public.games g
+  SET has_violation = public.game_has_violation(g.id)
+  WHERE g.id = ANY(v_game_ids);
+
+  RETURN cardinality(v_game_ids);
+END;
+$$;
+
+-- League ages
+
+-- Age in whole years on the cutoff date
+-- (the app side is src/lib/leagueAge.js)
+CREATE OR REPLACE FUNCTION public.league_age(p_birthdate DATE, p_cutoff DATE)
+RETURNS INTEGER
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT date_part('year', age(p_cutoff, p_birthdate))::INTEGER;
+$$;
+
+-- Players with a birthdate get their league age for their team's season
+CREATE OR REPLACE FUNCTION public.sync_player_league_age()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.birthdate IS NOT NULL THEN
+    SELECT public.league_age(NEW.birthdate, COALESCE(s.league_age_cutoff, s.start_date))
+    INTO NEW.age
+    FROM public.teams t
+    JOIN public.seasons s ON s.id = t.season_id
+    WHERE t.id = NEW.team_id;
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER sync_players_league_age BEFORE INSERT OR UPDATE OF birthdate, team_id, age ON public.players
+  FOR EACH ROW EXECUTE FUNCTION public.sync_player_league_age();
+
+-- Moving a season's cutoff (or start date) recomputes its players' ages
+CREATE OR REPLACE FUNCTION public.sync_season_league_ages()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  UPDATE public.players p
+  SET age = public.league_age(p.birthdate, COALESCE(NEW.league_age_cutoff, NEW.start_date))
+  FROM public.teams t
+  WHERE t.id = p.team_id
+    AND t.season_id = NEW.id
+    AND p.birthdate IS NOT NULL;
+
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER sync_season_league_ages AFTER UPDATE OF league_age_cutoff, start_date ON public.seasons
+  FOR EACH ROW
+  WHEN (COALESCE(OLD.league_age_cutoff, OLD.start_date) IS DISTINCT FROM COALESCE(NEW.league_age_cutoff, NEW.start_date))
+  EXECUTE FUNCTION public.sync_season_league_ages();
+
+-- Player transfers
+
+-- The team a player was on at a date: the team they left with their next
+-- transfer after the date, or their current team
+CREATE OR REPLACE FUNCTION public.player_team_on_date(p_player_id UUID, p_date DATE)
+RETURNS UUID
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT COALESCE(
+    (SELECT t.from_team_id
+     FROM public.player_transfers t
+     WHERE t.player_id = p_player_id
+       AND t.effective_date > p_date
+     ORDER BY t.effective_date
+     LIMIT 1),
+    (SELECT p.team_id FROM public.players p WHERE p.id = p_player_id)
+  );
+$$;
+
+-- game_players rows get the team the player was on at the game date
+CREATE OR REPLACE FUNCTION public.set_game_player_team()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.team_id IS NULL THEN
+    SELECT public.player_team_on_date(NEW.player_id, g.game_date)
+    INTO NEW.team_id
+    FROM public.games g
+    WHERE g.id = NEW.game_id;
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER set_game_players_team BEFORE INSERT ON public.game_players
+  FOR EACH ROW EXECUTE FUNCTION public.set_game_player_team();
+
+-- Move a player to another team of the same season (admins)
+-- Games the player already played for their current team must be before
+-- the effective date. Returns the transfer id.
+-- (the app side is src/lib/playerTransfers.js)
+CREATE OR REPLACE FUNCTION public.transfer_player(
+  p_player_id UUID,
+  p_to_team_id UUID,
+  p_effective_date DATE,
+  p_note TEXT DEFAULT NULL
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY INVOKER
+AS $$
+DECLARE
+  v_player public.players;
+  v_from_season UUID;
+  v_to_season UUID;
+  v_last_game_date DATE;
+  v_transfer_id UUID;
+BEGIN
+  IF NOT public.is_admin() THEN
+    RAISE EXCEPTION 'Only admins can transfer players';
+  END IF;
+
+  SELECT * INTO v_player FROM public.players WHERE id = p_player_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Player not found';
+  END IF;
+
+  IF v_player.archived_at IS NOT NULL THEN
+    RAISE EXCEPTION 'Restore the player to the roster before transferring them';
+  END IF;
+
+  IF v_player.team_id = p_to_team_id THEN
+    RAISE EXCEPTION 'The player is already on this team';
+  END IF;
+
+  SELECT season_id INTO v_from_season FROM public.teams WHERE id = v_player.team_id;
+  SELECT season_id INTO v_to_season FROM public.teams WHERE id = p_to_team_id;
+
+  IF v_to_season IS NULL THEN
+    RAISE EXCEPTION 'Team not found';
+  END IF;
+
+  IF v_to_season <> v_from_season THEN
+    RAISE EXCEPTION 'Players can only be transferred between teams of the same season';
+  END IF;
+
+  -- players.team_id moves now, so rosters would show the new team early
+  IF p_effective_date > CURRENT_DATE THEN
+    RAISE EXCEPTION 'A transfer cannot take effect after today (%); record it on the day the player moves', CURRENT_DATE;
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM public.player_transfers
+    WHERE player_id = p_player_id AND effective_date >= p_effective_date
+  ) THEN
+    RAISE EXCEPTION 'The player already has a transfer on or after %', p_effective_date;
+  END IF;
+
+  SELECT MAX(g.game_date) INTO v_last_game_date
+  FROM public.game_players gp
+  JOIN public.games g ON g.id = gp.game_id
+  WHERE gp.player_id = p_player_id
+    AND gp.team_id = v_player.team_id;
+
+  IF v_last_game_date IS NOT NULL AND p_effective_date <= v_last_game_date THEN
+    RAISE EXCEPTION 'The player played for their current team on %; the transfer must take effect after that date', v_last_game_date;
+  END IF;
+
+  INSERT INTO public.player_transfers (player_id, from_team_id, to_team_id, effective_date, note)
+  VALUES (p_player_id, v_player.team_id, p_to_team_id, p_effective_date, NULLIF(btrim(p_note), ''))
+  RETURNING id INTO v_transfer_id;
+
+  UPDATE public.players SET team_id = p_to_team_id WHERE id = p_player_id;
+
+  RETURN v_transfer_id;
+END;
+$$;
+
+-- Game status lifecycle: allowed transitions
+-- (keep in sync with GAME_STATUS_TRANSITIONS in src/lib/gameStatus.js)
+CREATE OR REPLACE FUNCTION public.game_status_transition_allowed(p_from TEXT, p_to TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT p_from = p_to OR (p_from, p_to) IN (
+    ('scheduled', 'in_progress'), ('scheduled', 'suspended'), ('scheduled', 'final'),
+    ('scheduled', 'postponed'), ('scheduled', 'forfeited'), ('scheduled', 'cancelled'),
+    ('in_progress', 'suspended'), ('in_progress', 'final'), ('in_progress', 'postponed'),
+    ('in_progress', 'forfeited'), ('in_progress', 'cancelled'),
+    ('suspended', 'in_progress'), ('suspended', 'final'), ('suspended', 'forfeited'), ('suspended', 'cancelled'),
+    ('final', 'forfeited'),
+    ('postponed', 'cancelled')
+  );
+$$;
+
+CREATE OR REPLACE FUNCTION public.enforce_game_status_transition()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NOT public.game_status_transition_allowed(OLD.status, NEW.status) THEN
+    RAISE EXCEPTION 'A % game cannot be changed to %', replace(OLD.status, '_', ' '), replace(NEW.status, '_', ' ');
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+COMMENT ON FUNCTION public.enforce_game_status_transition IS
+  'Refuses status changes outside the game lifecycle (see game_status_transition_allowed).';
+
+CREATE TRIGGER enforce_games_status_transition BEFORE UPDATE OF status ON public.games
+  FOR EACH ROW EXECUTE FUNCTION public.enforce_game_status_transition();
+
+-- Change a game's status outside the game form. Postponing can add the
+-- replacement game to the season schedule; the fixture and the status
+-- change are saved together. Runs with the caller's permissions.
+CREATE OR REPLACE FUNCTION public.change_game_status(
+  p_game_id UUID,
+  p_status TEXT,
+  p_forfeiting_team_id UUID DEFAULT NULL,
+  p_replacement_date DATE DEFAULT NULL
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY INVOKER
+AS $$
+DECLARE
+  v_game public.games;
+  v_fixture_id UUID;
+BEGIN
+  IF p_replacement_date IS NOT NULL AND p_status != 'postponed' THEN
+    RAISE EXCEPTION 'Only a postponed game can be rescheduled';
+  END IF;
+
+  UPDATE public.games SET
+    status = p_status,
+    forfeiting_team_id = CASE WHEN p_status = 'forfeited' THEN p_forfeiting_team_id END,
+    rescheduled_game_id = NULL
+  WHERE id = p_game_id
+  RETURNING * INTO v_game;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Game not found or you do not have permission to edit it';
+  END IF;
+
+  IF p_replacement_date IS NOT NULL THEN
+    INSERT INTO public.scheduled_games (season_id, game_date, home_team_id, away_team_id, field, replaces_game_id, created_by)
+    SELECT v_game.season_id, p_replacement_date, v_game.home_team_id, v_game.away_team_id,
+      (SELECT sg.field FROM public.scheduled_games sg WHERE sg.game_id = v_game.id),
+      v_game.id, auth.uid()
+    RETURNING id INTO v_fixture_id;
+  END IF;
+
+  RETURN v_fixture_id;
+END;
+$$;
+
+COMMENT ON FUNCTION public.change_game_status IS
+  'Changes a game''s status (forfeiting team for forfeits). When postponing with p_replacement_date, adds the replacement to scheduled_games (replaces_game_id) in the same transaction and returns its id.';
+
+-- Once the replacement fixture's result is entered, link it from the postponed game
+CREATE OR REPLACE FUNCTION public.link_rescheduled_game()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+  UPDATE public.games
+  SET rescheduled_game_id = NEW.game_id
+  WHERE id = NEW.replaces_game_id
+    AND status = 'postponed';
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER link_rescheduled_game AFTER INSERT OR UPDATE OF game_id ON public.scheduled_games
+  FOR EACH ROW
+  WHEN (NEW.replaces_game_id IS NOT NULL)
+  EXECUTE FUNCTION public.link_rescheduled_game();
+
+-- Dual-scorekeeper reconciliation: the status follows the two submitted counts.
+-- Rows are compared as sets; an empty absence note counts as none.
+CREATE OR REPLACE FUNCTION public.normalize_submission_rows(p_rows JSONB)
+RETURNS JSONB
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT COALESCE(jsonb_agg(r ORDER BY r::text), '[]'::jsonb)
+  FROM (
+    SELECT e || jsonb_build_object('absence_note', NULLIF(e->>'absence_note', '')) AS r
+    FROM jsonb_array_elements(COALESCE(p_rows, '[]'::jsonb)) e
+  ) normalized;
+$$;
+
+CREATE OR REPLACE FUNCTION public.game_submissions_agree(p_home public.game_submissions, p_away public.game_submissions)
+RETURNS BOOLEAN
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT public.normalize_submission_rows(p_home.attendance) = public.normalize_submission_rows(p_away.attendance)
+    AND public.normalize_submission_rows(p_home.pitching_logs) = public.normalize_submission_rows(p_away.pitching_logs)
+    AND public.normalize_submission_rows(p_home.positions) = public.normalize_submission_rows(p_away.positions);
+$$;
+
+COMMENT ON FUNCTION public.game_submissions_agree IS
+  'True when the home and away scorekeepers submitted the same attendance, pitching logs and positions.';
+
+-- Only the reconciliation functions below may change a game's reconciliation status
+CREATE OR REPLACE FUNCTION public.protect_game_reconciliation()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF current_setting('app.reconciling', true) IS DISTINCT FROM 'on' AND (
+    (TG_OP = 'INSERT' AND (NEW.reconciliation_status, NEW.reconciled_by, NEW.reconciled_at, NEW.reconciliation_note)
+      IS DISTINCT FROM (NULL::TEXT, NULL::UUID, NULL::TIMESTAMPTZ, NULL::TEXT))
+    OR (TG_OP = 'UPDATE' AND (NEW.reconciliation_status, NEW.reconciled_by, NEW.reconciled_at, NEW.reconciliation_note)
+      IS DISTINCT FROM (OLD.reconciliation_status, OLD.reconciled_by, OLD.reconciled_at, OLD.reconciliation_note))
+  ) THEN
+    RAISE EXCEPTION 'The reconciliation status follows the scorekeepers'' counts and can only be decided by an admin';
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER protect_games_reconciliation BEFORE INSERT OR UPDATE ON public.games
+  FOR EACH ROW EXECUTE FUNCTION public.protect_game_reconciliation();
+
+-- Compare the two counts whenever one is submitted or corrected. Runs with
+-- the owner's permissions: the second scorekeeper's team may not be allowed
+-- to edit the game itself.
+CREATE OR REPLACE FUNCTION public.sync_game_reconciliation_status()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_game public.games;
+  v_home public.game_submissions;
+  v_away public.game_submissions;
+  v_status TEXT;
+BEGIN
+  SELECT * INTO v_game FROM public.games WHERE id = NEW.game_id;
+  SELECT * INTO v_home FROM public.game_submissions WHERE game_id = NEW.game_id AND team_id = v_game.home_team_id;
+  SELECT * INTO v_away FROM public.game_submissions WHERE game_id = NEW.game_id AND team_id = v_game.away_team_id;
+
+  IF v_home.id IS NULL OR v_away.id IS NULL THEN
+    v_status := 'awaiting_submission';
+  ELSIF public.game_submissions_agree(v_home, v_away) THEN
+    v_status := 'resolved';
+  ELSE
+    v_status := 'disputed';
+  END IF;
+
+  PERFORM set_config('app.reconciling', 'on', true);
+  UPDATE public.games SET
+    reconciliation_status = v_status,
+    reconciled_by = CASE WHEN v_status = 'resolved' THEN auth.uid() END,
+    reconciled_at = CASE WHEN v_status = 'resolved' THEN NOW() END,
+    reconciliation_note = NULL
+  WHERE id = NEW.game_id;
+  PERFORM set_config('app.reconciling', 'off', true);
+
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER sync_game_reconciliation_status AFTER INSERT OR UPDATE ON public.game_submissions
+  FOR EACH ROW EXECUTE FUNCTION public.sync_game_reconciliation_status();
+
+-- Decide the differences between the two counts (admins). The decided data
+-- is saved with save_game() first; this makes the game official.
+CREATE OR REPLACE FUNCTION public.resolve_game_count(p_game_id UUID, p_note TEXT)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY INVOKER
+AS $$
+BEGIN
+  IF NOT public.is_admin() THEN
+    RAISE EXCEPTION 'Only admins can decide between the two counts';
+  END IF;
+
+  IF p_note IS NULL OR btrim(p_note) = '' THEN
+    RAISE EXCEPTION 'Enter a note explaining the decision';
+  END IF;
+
+  IF (
+    SELECT COUNT(*)
+    FROM public.game_submissions s
+    JOIN public.games g ON g.id = s.game_id
+    WHERE s.game_id = p_game_id
+      AND s.team_id IN (g.home_team_id, g.away_team_id)
+  ) < 2 THEN
+    RAISE EXCEPTION 'Both scorekeepers must submit a count before it can be decided';
+  END IF;
+
+  PERFORM set_config('app.reconciling', 'on', true);
+  UPDATE public.games SET
+    reconciliation_status = 'resolved',
+    reconciled_by = auth.uid(),
+    reconciled_at = NOW(),
+    reconciliation_note = btrim(p_note)
+  WHERE id = p_game_id;
+  PERFORM set_config('app.reconciling', 'off', true);
+END;
+$$;
+
+COMMENT ON FUNCTION public.resolve_game_count IS
+  'Marks a disputed dual-scorekeeper game official with the admin''s note. Save the decided data with save_game() first.';
+
 -- =====================================================
 -- SCHEMA COMPLETE
 -- =====================================================
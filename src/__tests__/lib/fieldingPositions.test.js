@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest'
+import {
+  FIELDING_POSITIONS,
+  getFieldingPositions,
+  buildPlayerPositions,
+  hasRecordedFielding,
+  formatFieldingPositions
+} from '../../lib/fieldingPositions'
+
+describe('fieldingPositions', () => {
+  it('should keep pitcher and catcher out of the fielding positions', () => {
+    expect(FIELDING_POSITIONS).not.toContain('pitcher')
+    expect(FIELDING_POSITIONS).not.toContain('catcher')
+    expect(FIELDING_POSITIONS).toHaveLength(8)
+  })
+
+  describe('getFieldingPositions', () => {
+    it('should map innings to positions other than pitcher and catcher', () => {
+      expect(getFieldingPositions([
+        { inning_number: 1, position: 'pitcher' },
+        { inning_number: 2, position: 'shortstop' },
+        { inning_number: 3, position: 'bench' }
+      ])).toEqual({ 2: 'shortstop', 3: 'bench' })
+    })
+  })
+
+  describe('buildPlayerPositions', () => {
+    it('should build battery rows, then fielding rows by inning', () => {
+      const player = {
+        id: 'p1',
+        innings_pitched: [1],
+        innings_caught: [4],
+        fielding_positions: { 3: 'bench', 2: 'first_base', 5: '' }
+      }
+      expect(buildPlayerPositions(player).map(row => [row.inning_number, row.position])).toEqual([
+        [1, 'pitcher'],
+        [4, 'catcher'],
+        [2, 'first_base'],
+        [3, 'bench']
+      ])
+    })
+
+    it('should drop a fielding position for an inning the player pitched', () => {
+      const player = { id: 'p1', innings_pitched: [2], innings_caught: [], fielding_positions: { 2: 'shortstop' } }
+      expect(buildPlayerPositions(player)).toEqual([{ player_id: 'p1', inning_number: 2, position: 'pitcher' }])
+    })
+
+    it('should accept players without fielding positions', () => {
+      expect(buildPlayerPositions({ id: 'p1', innings_pitched: [], innings_caught: [3] })).toHaveLength(1)
+    })
+  })
+
+  describe('hasRecordedFielding', () => {
+    it('should only count positions besides pitcher and catcher', () => {
+      expect(hasRecordedFielding([{ position: 'pitcher' }, { position: 'catcher' }])).toBe(false)
+      expect(hasRecordedFielding([{ position: 'bench' }])).toBe(true)
+    })
+  })
+
+  describe('formatFieldingPositions', () => {
+    it('should list positions by inning', () => {
+      expect(formatFieldingPositions({ 10: 'right_field', 2: 'bench', 1: 'shortstop' })).toBe('1: SS, 2: Bench, 10: RF')
+      expect(formatFieldingPositions({})).toBe('')
+      expect(formatFieldingPositions(null)).toBe('')
+    })
+  })
+})
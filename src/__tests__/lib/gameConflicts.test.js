@@ -0,0 +1,160 @@
+import { describe, it, expect } from 'vitest'
+import {
+  isGameConflictError,
+  gameToFormData,
+  diffGameVersions,
+  getDefaultConflictChoices,
+  conflictChoiceKey,
+  mergeGameVersions
+} from '../../lib/gameConflicts'
+
+const formData = {
+  game_date: '2025-05-03',
+  scorekeeper_name: 'Pat',
+  scorekeeper_team_id: 't1',
+  home_team_id: 't1',
+  away_team_id: 't2',
+  home_score: '7',
+  away_score: '4',
+  notes: ''
+}
+
+const makePlayer = (overrides = {}) => ({
+  id: 'p1',
+  name: 'Alex',
+  jersey_number: '12',
+  team_id: 't1',
+  was_present: true,
+  absence_note: '',
+  innings_pitched: [1, 2],
+  innings_caught: [],
+  penultimate_batter_count: '30',
+  final_pitch_count: '34',
+  ...overrides
+})
+
+const version = (formOverrides = {}, players = [makePlayer()]) => ({
+  formData: { ...formData, ...formOverrides },
+  players
+})
+
+describe('gameConflicts', () => {
+  describe('isGameConflictError', () => {
+    it('should recognise the save_game() conflict SQLSTATE', () => {
+      expect(isGameConflictError({ code: 'TL409', message: 'changed' })).toBe(true)
+      expect(isGameConflictError({ code: '23505' })).toBe(false)
+      expect(isGameConflictError(null)).toBe(false)
+    })
+  })
+
+  describe('gameToFormData', () => {
+    it('should convert scores to strings and fill blanks', () => {
+      expect(gameToFormData({ ...formData, home_score: 7, away_score: 0, notes: null }))
+        .toMatchObject({ home_score: '7', away_score: '0', notes: '' })
+    })
+  })
+
+  describe('diffGameVersions', () => {
+    it('should list only fields where the two versions differ', () => {
+      const base = version()
+      const mine = version({ notes: 'Rain delay' })
+      const theirs = version({ home_score: '8' }, [makePlayer({ final_pitch_count: '36' })])
+
+      const diff = diffGameVersions(base, mine, theirs)
+
+      expect(diff.gameFields.map(f => [f.key, f.changedBy, f.defaultChoice])).toEqual([
+        ['home_score', 'theirs', 'theirs'],
+        ['notes', 'mine', 'mine']
+      ])
+      expect(diff.players).toHaveLength(1)
+      expect(diff.players[0]).toMatchObject({ playerId: 'p1', name: 'Alex', jerseyNumber: '12' })
+      expect(diff.players[0].fields).toEqual([{
+        key: 'final_pitch_count',
+        label: 'Final pitch count',
+        base: '34',
+        mine: '34',
+        theirs: '36',
+        changedBy: 'theirs',
+        defaultChoice: 'theirs'
+      }])
+    })
+
+    it('should compare fielding positions by what they record', () => {
+      const diff = diffGameVersions(
+        version({}, [makePlayer({ fielding_positions: {} })]),
+        version({}, [makePlayer({ fielding_positions: { 2: 'bench' } })]),
+        version({}, [makePlayer()])
+      )
+
+      expect(diff.players[0].fields.map(f => [f.key, f.changedBy])).toEqual([['fielding_positions', 'mine']])
+      expect(diffGameVersions(version(), version({}, [makePlayer({ fielding_positions: {} })]), version()).players).toEqual([])
+    })
+
+    it('should flag fields both scorekeepers changed and keep mine by default', () => {
+      const diff = diffGameVersions(
+        version(),
+        version({}, [makePlayer({ innings_pitched: [1, 2, 3] })]),
+        version({}, [makePlayer({ innings_pitched: [1] })])
+      )
+
+      expect(diff.players[0].fields[0]).toMatchObject({ key: 'innings_pitched', changedBy: 'both', defaultChoice: 'mine' })
+    })
+
+    it('should ignore innings order and number/string differences', () => {
+      const diff = diffGameVersions(
+        version(),
+        version({}, [makePlayer({ innings_pitched: [2, 1] })]),
+        version({ home_score: 7 })
+      )
+
+      expect(diff).toEqual({ gameFields: [], players: [] })
+    })
+
+    it('should show players missing from one version', () => {
+      const diff = diffGameVersions(
+        version(),
+        version(),
+        version({}, [makePlayer(), makePlayer({ id: 'p2', name: 'Blake', innings_pitched: [3] })])
+      )
+
+      expect(diff.players).toHaveLength(1)
+      expect(diff.players[0].playerId).toBe('p2')
+      expect(diff.players[0].fields.find(f => f.key === 'innings_pitched')).toMatchObject({ mine: undefined, theirs: [3] })
+    })
+  })
+
+  describe('mergeGameVersions', () => {
+    it('should take each field from the chosen version', () => {
+      const mine = version({ notes: 'Rain delay' }, [
+        makePlayer({ final_pitch_count: '40', previousNextEligibleDate: '2025-05-01' })
+      ])
+      const theirs = version({ home_score: '8' }, [
+        makePlayer({ final_pitch_count: '36', innings_caught: [4] }),
+        makePlayer({ id: 'a1', name: 'Casey', team_id: 't2' })
+      ])
+      const diff = diffGameVersions(version(), mine, theirs)
+      const choices = {
+        ...getDefaultConflictChoices(diff),
+        [conflictChoiceKey('p1', 'final_pitch_count')]: 'theirs'
+      }
+
+      const merged = mergeGameVersions(mine, theirs, choices)
+
+      expect(merged.formData).toMatchObject({ home_score: '8', notes: 'Rain delay' })
+      expect(merged.homePlayers).toHaveLength(1)
+      expect(merged.homePlayers[0]).toMatchObject({
+        final_pitch_count: '36',
+        innings_caught: [4],
+        previousNextEligibleDate: '2025-05-01'
+      })
+      expect(merged.awayPlayers.map(p => p.id)).toEqual(['a1'])
+    })
+
+    it('should keep my values for fields without a choice', () => {
+      const mine = version({ notes: 'Mine' })
+      const theirs = version({ notes: 'Theirs' })
+
+      expect(mergeGameVersions(mine, theirs, {}).formData.notes).toBe('Mine')
+    })
+  })
+})
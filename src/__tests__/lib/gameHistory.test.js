@@ -0,0 +1,132 @@
+import { describe, it, expect } from 'vitest'
+import {
+  buildGameVersions,
+  snapshotToGameVersion,
+  describeVersionChanges
+} from '../../lib/gameHistory'
+
+const gameRow = {
+  id: 'g1',
+  season_id: 's1',
+  game_date: '2025-05-03',
+  home_team_id: 't1',
+  away_team_id: 't2',
+  home_score: 7,
+  away_score: 4,
+  scorekeeper_name: 'Pat',
+  scorekeeper_team_id: 't1',
+  notes: null
+}
+
+const auditRow = (transactionId, changedAt, tableName, recordId, action, newData, changer = { name: 'Pat' }) => ({
+  id: `${transactionId}-${tableName}-${recordId}`,
+  table_name: tableName,
+  record_id: recordId,
+  action,
+  new_data: newData,
+  transaction_id: transactionId,
+  changed_at: changedAt,
+  changer
+})
+
+// Two saves: the game is entered, then the pitch count is corrected (save_game replaces player rows)
+const auditRows = [
+  auditRow(1, '2025-05-03T20:00:00.000Z', 'games', 'g1', 'INSERT', gameRow),
+  auditRow(1, '2025-05-03T20:00:00.001Z', 'game_players', 'gp1', 'INSERT', { id: 'gp1', game_id: 'g1', player_id: 'p1', was_present: true }),
+  auditRow(1, '2025-05-03T20:00:00.002Z', 'pitching_logs', 'pl1', 'INSERT', { id: 'pl1', game_id: 'g1', player_id: 'p1', final_pitch_count: 34, penultimate_batter_count: 30 }),
+  auditRow(1, '2025-05-03T20:00:00.003Z', 'positions_played', 'pp1', 'INSERT', { id: 'pp1', game_id: 'g1', player_id: 'p1', position: 'pitcher', inning_number: 2 }),
+  auditRow(1, '2025-05-03T20:00:00.004Z', 'positions_played', 'pp2', 'INSERT', { id: 'pp2', game_id: 'g1', player_id: 'p1', position: 'pitcher', inning_number: 1 }),
+  auditRow(2, '2025-05-04T09:00:00.000Z', 'pitching_logs', 'pl1', 'DELETE', null, { name: 'Sam' }),
+  auditRow(2, '2025-05-04T09:00:00.001Z', 'pitching_logs', 'pl2', 'INSERT', { id: 'pl2', game_id: 'g1', player_id: 'p1', final_pitch_count: 41, penultimate_batter_count: 38 }, { name: 'Sam' })
+]
+
+describe('gameHistory', () => {
+  describe('buildGameVersions', () => {
+    it('should group audit rows by transaction and replay them in order', () => {
+      const versions = buildGameVersions([...auditRows].reverse())
+
+      expect(versions.map(v => [v.id, v.changedAt, v.changedBy])).toEqual([
+        ['1', '2025-05-03T20:00:00.000Z', 'Pat'],
+        ['2', '2025-05-04T09:00:00.000Z', 'Sam']
+      ])
+      expect(versions[0].snapshot.game).toEqual(gameRow)
+      expect(versions[0].snapshot.pitchingLogs.map(pl => pl.final_pitch_count)).toEqual([34])
+      expect(versions[1].snapshot.pitchingLogs.map(pl => pl.final_pitch_count)).toEqual([41])
+      expect(versions[1].snapshot.positions).toHaveLength(2)
+    })
+
+    it('should clear the game from the snapshot once deleted', () => {
+      const versions = buildGameVersions([
+        ...auditRows,
+        auditRow(3, '2025-05-05T10:00:00.000Z', 'games', 'g1', 'DELETE', null)
+      ])
+
+      expect(versions[2].snapshot.game).toBeNull()
+      expect(versions[2].changedBy).toBe('Pat')
+    })
+
+    it('should report an unknown user when the changer is missing', () => {
+      const versions = buildGameVersions([auditRow(1, '2025-05-03T20:00:00.000Z', 'games', 'g1', 'INSERT', gameRow, null)])
+
+      expect(versions[0].changedBy).toBeNull()
+    })
+  })
+
+  describe('snapshotToGameVersion', () => {
+    it('should rebuild form data and player entries from a snapshot', () => {
+      const [first] = buildGameVersions(auditRows)
+      const { formData, players } = snapshotToGameVersion(first.snapshot, { p1: 'Alex' })
+
+      expect(formData).toMatchObject({ game_date: '2025-05-03', home_score: '7', notes: '' })
+      expect(players).toEqual([{
+        id: 'p1',
+        name: 'Alex',
+        was_present: true,
+        absence_note: '',
+        innings_pitched: [1, 2],
+        innings_caught: [],
+        fielding_positions: {},
+        penultimate_batter_count: '30',
+        final_pitch_count: '34'
+      }])
+    })
+  })
+
+  describe('describeVersionChanges', () => {
+    it('should describe the first version as created', () => {
+      const [first] = buildGameVersions(auditRows)
+
+      expect(describeVersionChanges(null, first.snapshot).type).toBe('created')
+    })
+
+    it('should list the fields changed between two versions', () => {
+      const [first, second] = buildGameVersions(auditRows)
+      const changes = describeVersionChanges(first.snapshot, second.snapshot, { p1: 'Alex' })
+
+      expect(changes.type).toBe('edited')
+      expect(changes.gameFields).toEqual([])
+      expect(changes.players).toEqual([{
+        playerId: 'p1',
+        name: 'Alex',
+        fields: [
+          { key: 'penultimate_batter_count', label: 'Pitches before last batter', before: '30', after: '38' },
+          { key: 'final_pitch_count', label: 'Final pitch count', before: '34', after: '41' }
+        ]
+      }])
+    })
+
+    it('should describe a version without a game as deleted', () => {
+      const [first] = buildGameVersions(auditRows)
+
+      expect(describeVersionChanges(first.snapshot, { ...first.snapshot, game: null }).type).toBe('deleted')
+    })
+
+    it('should describe moving the game to the trash and restoring it', () => {
+      const [first] = buildGameVersions(auditRows)
+      const trashed = { ...first.snapshot, game: { ...first.snapshot.game, deleted_at: '2025-05-03T10:00:00Z' } }
+
+      expect(describeVersionChanges(first.snapshot, trashed).type).toBe('trashed')
+      expect(describeVersionChanges(trashed, first.snapshot).type).toBe('restored')
+    })
+  })
+})
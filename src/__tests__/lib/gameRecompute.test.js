@@ -0,0 +1,247 @@
+import { describe, it, expect, vi } from 'vitest'
+import {
+  combineEligibleDates,
+  recomputeSeasonGames,
+  replaceGameViolations
+} from '../../lib/gameRecompute'
+
+describe('gameRecompute', () => {
+  describe('combineEligibleDates', () => {
+    it('should return the later of the two dates', () => {
+      expect(combineEligibleDates('2025-05-04', '2025-05-06')).toBe('2025-05-06')
+      expect(combineEligibleDates('2025-05-08', '2025-05-06')).toBe('2025-05-08')
+    })
+
+    it('should handle missing dates', () => {
+      expect(combineEligibleDates(null, '2025-05-06')).toBe('2025-05-06')
+      expect(combineEligibleDates('2025-05-04', null)).toBe('2025-05-04')
+      expect(combineEligibleDates(null, null)).toBe(null)
+    })
+  })
+
+  describe('recomputeSeasonGames', () => {
+    // Player p1 (age 10) pitches on May 1 (late entry, 70 pitches -> 4 rest days -> eligible May 6)
+    // and again on May 3 (10 pitches), which was saved earlier without knowing about May 1.
+    const games = [
+      { id: 'g1', game_date: '2025-05-01', division: 'Major', has_violation: false },
+      { id: 'g2', game_date: '2025-05-03', division: 'Major', has_violation: false }
+    ]
+    const pitchingLogs = [
+      { id: 'l1', game_id: 'g1', player_id: 'p1', penultimate_batter_count: 69, next_eligible_pitch_date: '2025-05-06' },
+      { id: 'l2', game_id: 'g2', player_id: 'p1', penultimate_batter_count: 9, next_eligible_pitch_date: '2025-05-04' }
+    ]
+    const positions = [
+      { game_id: 'g1', player_id: 'p1', inning_number: 1, position: 'pitcher' },
+      { game_id: 'g2', player_id: 'p1', inning_number: 1, position: 'pitcher' }
+    ]
+    const playerAges = { p1: 10 }
+
+    it('should flag Rule 6 in later games and carry the owed rest forward', () => {
+      const { pitchingLogUpdates, gameUpdates } = recomputeSeasonGames({
+        games,
+        pitchingLogs,
+        positions,
+        playerAges,
+        fromDate: '2025-05-01',
+        playerIds: ['p1'],
+        excludeGameId: 'g1'
+      })
+
+      expect(pitchingLogUpdates).toEqual([{
+        id: 'l2',
+        game_id: 'g2',
+        player_id: 'p1',
+        previous_date: '2025-05-04',
+        next_eligible_pitch_date: '2025-05-06'
+      }])
+
+      expect(gameUpdates).toHaveLength(1)
+      expect(gameUpdates[0]).toMatchObject({
+        game_id: 'g2',
+        previous_has_violation: false,
+        has_violation: true,
+        added: ['p1:insufficient_rest'],
+        removed: []
+      })
+    })
+
+    it('should never touch the excluded game', () => {
+      const { pitchingLogUpdates, gameUpdates } = recomputeSeasonGames({
+        games,
+        pitchingLogs: [{ ...pitchingLogs[0], next_eligible_pitch_date: null }, pitchingLogs[1]],
+        positions,
+        playerAges,
+        excludeGameId: 'g1'
+      })
+
+      expect(pitchingLogUpdates.some(u => u.game_id === 'g1')).toBe(false)
+      expect(gameUpdates.some(u => u.game_id === 'g1')).toBe(false)
+    })
+
+    it('should clear violations once the earlier game is gone', () => {
+      const { gameUpdates, pitchingLogUpdates } = recomputeSeasonGames({
+        games: [{ ...games[1], has_violation: true }],
+        pitchingLogs: [{ ...pitchingLogs[1], next_eligible_pitch_date: '2025-05-06' }],
+        positions: [positions[1]],
+        violations: [{ game_id: 'g2', player_id: 'p1', rule_id: 'insufficient_rest' }],
+        playerAges,
+        fromDate: '2025-05-01',
+        playerIds: ['p1']
+      })
+
+      expect(pitchingLogUpdates[0].next_eligible_pitch_date).toBe('2025-05-04')
+      expect(gameUpdates[0]).toMatchObject({
+        game_id: 'g2',
+        has_violation: false,
+        added: [],
+        removed: ['p1:insufficient_rest']
+      })
+    })
+
+    it('should not treat games on the same date as constraining each other', () => {
+      const sameDayGames = [
+        { id: 'g1', game_date: '2025-05-01', division: 'Major', has_violation: false },
+        { id: 'g2', game_date: '2025-05-01', division: 'Major', has_violation: false }
+      ]
+      const sameDayLogs = [
+        { id: 'l1', game_id: 'g1', player_id: 'p1', penultimate_batter_count: 30, next_eligible_pitch_date: '2025-05-03' },
+        { id: 'l2', game_id: 'g2', player_id: 'p1', penultimate_batter_count: 5, next_eligible_pitch_date: '2025-05-02' }
+      ]
+
+      const { gameUpdates } = recomputeSeasonGames({
+        games: sameDayGames,
+        pitchingLogs: sameDayLogs,
+        positions,
+        playerAges
+      })
+
+      expect(gameUpdates).toEqual([])
+    })
+
+    it('should count rest from the day total and flag Rule 5 on the later game of a doubleheader', () => {
+      // 40 + 45 pitches on May 1 -> 85 for the day (over 75) -> 4 rest days -> eligible May 6
+      const doubleheader = [
+        { id: 'g1', game_date: '2025-05-01', start_time: '13:00:00', division: 'Major', has_violation: false },
+        { id: 'g2', game_date: '2025-05-01', start_time: '09:00:00', division: 'Major', has_violation: false }
+      ]
+      const dayLogs = [
+        { id: 'l1', game_id: 'g1', player_id: 'p1', penultimate_batter_count: 44, next_eligible_pitch_date: '2025-05-04' },
+        { id: 'l2', game_id: 'g2', player_id: 'p1', penultimate_batter_count: 39, next_eligible_pitch_date: '2025-05-04' }
+      ]
+
+      const { pitchingLogUpdates, gameUpdates } = recomputeSeasonGames({
+        games: doubleheader,
+        pitchingLogs: dayLogs,
+        positions,
+        playerAges
+      })
+
+      expect(pitchingLogUpdates.map(u => [u.id, u.next_eligible_pitch_date])).toEqual([
+        ['l2', '2025-05-06'],
+        ['l1', '2025-05-06']
+      ])
+      expect(gameUpdates).toHaveLength(1)
+      expect(gameUpdates[0]).toMatchObject({ game_id: 'g1', added: ['p1:max_pitches_exceeded'] })
+      expect(gameUpdates[0].violations[0].message).toContain('after 40 earlier today (85 total)')
+    })
+
+    it('should check the resumed portion of a suspended game on its resume date', () => {
+      // 70 pitches on May 1 -> eligible May 6; the game resumes May 5 and p1 pitches again
+      const suspended = [
+        { id: 'g1', game_date: '2025-05-01', suspended_after_inning: 3, resume_date: '2025-05-05', division: 'Major', has_violation: false }
+      ]
+      const portionLogs = [
+        { id: 'l1', game_id: 'g1', player_id: 'p1', penultimate_batter_count: 69, next_eligible_pitch_date: '2025-05-06', pitch_date: '2025-05-01' },
+        { id: 'l2', game_id: 'g1', player_id: 'p1', penultimate_batter_count: 9, next_eligible_pitch_date: null, resumed: true, pitch_date: '2025-05-05' }
+      ]
+      const portionPositions = [
+        { game_id: 'g1', player_id: 'p1', inning_number: 1, position: 'pitcher' },
+        { game_id: 'g1', player_id: 'p1', inning_number: 4, position: 'pitcher' }
+      ]
+
+      const { pitchingLogUpdates, gameUpdates } = recomputeSeasonGames({
+        games: suspended,
+        pitchingLogs: portionLogs,
+        positions: portionPositions,
+        playerAges,
+        fromDate: '2025-05-03'
+      })
+
+      expect(pitchingLogUpdates).toEqual([{
+        id: 'l2',
+        game_id: 'g1',
+        player_id: 'p1',
+        previous_date: null,
+        next_eligible_pitch_date: '2025-05-06'
+      }])
+      expect(gameUpdates[0]).toMatchObject({ game_id: 'g1', added: ['p1:insufficient_rest'] })
+      expect(gameUpdates[0].violations[0].innings).toEqual([4])
+    })
+
+    it('should ignore games before fromDate and games without affected players', () => {
+      const { pitchingLogUpdates, gameUpdates } = recomputeSeasonGames({
+        games: [...games, { id: 'g3', game_date: '2025-05-10', division: 'Major', has_violation: null }],
+        pitchingLogs,
+        positions,
+        playerAges,
+        fromDate: '2025-05-02',
+        playerIds: ['someone-else']
+      })
+
+      expect(pitchingLogUpdates).toEqual([])
+      expect(gameUpdates).toEqual([])
+    })
+
+    it('should report legacy games whose has_violation flag was never set', () => {
+      const { gameUpdates } = recomputeSeasonGames({
+        games: [{ ...games[0], has_violation: null }],
+        pitchingLogs: [pitchingLogs[0]],
+        positions: [positions[0]],
+        playerAges
+      })
+
+      expect(gameUpdates).toHaveLength(1)
+      expect(gameUpdates[0].has_violation).toBe(false)
+    })
+
+    it('should apply the season rule set', () => {
+      const strictRules = [{
+        ageMin: 9,
+        ageMax: 12,
+        maxPitchesPerGame: 60,
+        restDayRanges: [{ minPitches: 1, maxPitches: 999, restDays: 5 }]
+      }]
+
+      const { pitchingLogUpdates, gameUpdates } = recomputeSeasonGames({
+        games: [games[0]],
+        pitchingLogs: [pitchingLogs[0]],
+        positions: [positions[0]],
+        playerAges,
+        rules: strictRules
+      })
+
+      expect(pitchingLogUpdates[0].next_eligible_pitch_date).toBe('2025-05-07')
+      expect(gameUpdates[0].added).toEqual(['p1:max_pitches_exceeded'])
+    })
+  })
+
+  describe('replaceGameViolations', () => {
+    it('should replace the records and refresh has_violation in one RPC call', async () => {
+      const client = { rpc: vi.fn().mockResolvedValue({ data: true, error: null }) }
+      const violations = [
+        { rule_id: 'consecutive_innings', player_id: 'p1', innings: [1, 3], pitch_count: 20, message: 'msg' }
+      ]
+
+      expect(await replaceGameViolations(client, 'g1', violations)).toBe(true)
+      expect(client.rpc).toHaveBeenCalledWith('replace_game_violations', {
+        p_game_id: 'g1',
+        p_violations: violations
+      })
+    })
+
+    it('should throw RPC errors', async () => {
+      const client = { rpc: vi.fn().mockResolvedValue({ data: null, error: new Error('denied') }) }
+      await expect(replaceGameViolations(client, 'g1', [])).rejects.toThrow('denied')
+    })
+  })
+})
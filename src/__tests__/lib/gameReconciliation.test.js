@@ -0,0 +1,172 @@
+import { describe, it, expect, vi } from 'vitest'
+import { conflictChoiceKey } from '../../lib/gameConflicts'
+import {
+  applySubmissionToPlayers,
+  buildSubmissionRow,
+  diffSubmissions,
+  isGameOfficial,
+  mergeSubmissions,
+  submitGameCount
+} from '../../lib/gameReconciliation'
+
+const makePlayer = (overrides = {}) => ({
+  id: 'p1',
+  name: 'Alex',
+  jersey_number: '12',
+  age: 10,
+  was_present: true,
+  absence_note: '',
+  innings_pitched: [1, 2],
+  innings_caught: [],
+  penultimate_batter_count: '30',
+  final_pitch_count: '34',
+  ...overrides
+})
+
+const submission = (teamId, players) => buildSubmissionRow({
+  gameId: 'g1',
+  teamId,
+  scorekeeperName: ' Pat ',
+  players
+})
+
+const roster = [
+  { id: 'p1', name: 'Alex', jersey_number: '12' },
+  { id: 'p2', name: 'Blake', jersey_number: null }
+]
+
+describe('gameReconciliation', () => {
+  describe('isGameOfficial', () => {
+    it('should treat single-scorekeeper and reconciled games as official', () => {
+      expect(isGameOfficial({ reconciliation_status: null })).toBe(true)
+      expect(isGameOfficial({ reconciliation_status: 'resolved' })).toBe(true)
+      expect(isGameOfficial({ reconciliation_status: 'awaiting_submission' })).toBe(false)
+      expect(isGameOfficial({ reconciliation_status: 'disputed' })).toBe(false)
+    })
+  })
+
+  describe('buildSubmissionRow', () => {
+    it('should store the player data as game_players, pitching_logs and positions_played rows', () => {
+      const row = submission('t1', [makePlayer()])
+
+      expect(row).toMatchObject({
+        game_id: 'g1',
+        team_id: 't1',
+        scorekeeper_name: 'Pat',
+        attendance: [{ player_id: 'p1', was_present: true, absence_note: null }],
+        pitching_logs: [{ player_id: 'p1', final_pitch_count: 34, penultimate_batter_count: 30 }]
+      })
+      expect(row.positions).toHaveLength(2)
+    })
+  })
+
+  describe('applySubmissionToPlayers', () => {
+    it('should fill roster players with the submitted values', () => {
+      const blank = makePlayer({ innings_pitched: [], penultimate_batter_count: '', final_pitch_count: '' })
+      const other = makePlayer({ id: 'p9', name: 'Casey', innings_pitched: [] })
+
+      const [filled, untouched] = applySubmissionToPlayers([blank, other], submission('t1', [makePlayer()]))
+
+      expect(filled).toMatchObject({ name: 'Alex', age: 10, innings_pitched: [1, 2], final_pitch_count: '34' })
+      expect(untouched).toBe(other)
+    })
+  })
+
+  describe('diffSubmissions', () => {
+    it('should list each field where the two scorekeepers disagree', () => {
+      const home = submission('t1', [makePlayer(), makePlayer({ id: 'p2', innings_pitched: [] })])
+      const away = submission('t2', [makePlayer({ final_pitch_count: '37' }), makePlayer({ id: 'p2', innings_pitched: [] })])
+
+      expect(diffSubmissions(home, away, roster)).toEqual([{
+        playerId: 'p1',
+        name: 'Alex',
+        jerseyNumber: '12',
+        fields: [{ key: 'final_pitch_count', label: 'Final pitch count', home: '34', away: '37' }]
+      }])
+    })
+  })
+
+  describe('mergeSubmissions', () => {
+    it('should take each differing field from the chosen scorekeeper', () => {
+      const home = submission('t1', [makePlayer()])
+      const away = submission('t2', [makePlayer({ innings_pitched: [1, 2, 3], final_pitch_count: '48' })])
+
+      const snapshot = mergeSubmissions(home, away, {
+        [conflictChoiceKey('p1', 'innings_pitched')]: 'away',
+        [conflictChoiceKey('p1', 'final_pitch_count')]: 'home'
+      })
+
+      expect(snapshot.game).toBeNull()
+      expect(snapshot.positions.map(p => p.inning_number)).toEqual([1, 2, 3])
+      expect(snapshot.pitchingLogs).toEqual([{ player_id: 'p1', final_pitch_count: 34, penultimate_batter_count: 30 }])
+    })
+  })
+
+  describe('submitGameCount', () => {
+    const createQuery = (result) => {
+      const query = {
+        select: vi.fn(() => query),
+        eq: vi.fn(() => query),
+        upsert: vi.fn(() => query),
+        single: vi.fn().mockResolvedValue(result),
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+      }
+      return query
+    }
+
+    const game = { id: 'g1', home_team_id: 't1', away_team_id: 't2' }
+
+    it('should save the count and return the status the database set', async () => {
+      const upsertQuery = createQuery({ error: null })
+      const gameQuery = createQuery({ data: { reconciliation_status: 'awaiting_submission' }, error: null })
+      const queries = [upsertQuery, gameQuery]
+      const client = { from: vi.fn(() => queries.shift()) }
+
+      const result = await submitGameCount(client, {
+        game,
+        teamId: 't1',
+        scorekeeperName: 'Pat',
+        players: [makePlayer()],
+        submittedBy: 'u1'
+      })
+
+      expect(result).toEqual({ status: 'awaiting_submission', recomputedGames: [] })
+      expect(upsertQuery.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({ game_id: 'g1', team_id: 't1', submitted_by: 'u1' }),
+        { onConflict: 'game_id,team_id' }
+      )
+      expect(client.from).toHaveBeenCalledTimes(2)
+      expect(gameQuery.select).toHaveBeenCalledWith('reconciliation_status')
+    })
+
+    it('should leave the game\'s data alone while the counts disagree', async () => {
+      const upsertQuery = createQuery({ error: null })
+      const gameQuery = createQuery({ data: { reconciliation_status: 'disputed' }, error: null })
+      const queries = [upsertQuery, gameQuery]
+      const client = { from: vi.fn(() => queries.shift()), rpc: vi.fn() }
+
+      const result = await submitGameCount(client, {
+        game,
+        teamId: 't2',
+        scorekeeperName: 'Sam',
+        players: [makePlayer({ final_pitch_count: '40' })]
+      })
+
+      expect(result).toEqual({ status: 'disputed', recomputedGames: [] })
+      expect(client.from).toHaveBeenCalledTimes(2)
+      expect(client.rpc).not.toHaveBeenCalled()
+    })
+
+    it('should refuse a team that does not play in the game', async () => {
+      const client = { from: vi.fn() }
+
+      await expect(submitGameCount(client, {
+        game,
+        teamId: 't3',
+        scorekeeperName: 'Pat',
+        players: []
+      })).rejects.toThrow('Only the home or away team')
+      expect(client.from).not.toHaveBeenCalled()
+    })
+  })
+})
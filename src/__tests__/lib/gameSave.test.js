@@ -0,0 +1,291 @@
+import { describe, it, expect, vi } from 'vitest'
+import { buildGameRow, buildPlayerRows, saveGameRecord } from '../../lib/gameSave'
+import { fetchEligibilityDatesBeforeDate, fetchLatestEligibilityDates } from '../../lib/pitcherEligibility'
+
+const makePlayer = (overrides = {}) => ({
+  id: 'p1',
+  age: 10,
+  was_present: true,
+  absence_note: '',
+  innings_pitched: [],
+  innings_caught: [],
+  penultimate_batter_count: '',
+  final_pitch_count: '',
+  previousNextEligibleDate: null,
+  ...overrides
+})
+
+describe('gameSave', () => {
+  describe('buildGameRow', () => {
+    it('should convert scores and blank notes', () => {
+      const row = buildGameRow('s1', {
+        game_date: '2025-05-03',
+        scorekeeper_name: 'Pat',
+        scorekeeper_team_id: 't1',
+        home_team_id: 't1',
+        away_team_id: 't2',
+        home_score: '7',
+        away_score: '4',
+        notes: ''
+      })
+
+      expect(row).toMatchObject({ season_id: 's1', home_score: 7, away_score: 4, notes: null })
+    })
+
+    it('should only keep the resume date of a suspended game', () => {
+      expect(buildGameRow('s1', { game_date: '2025-05-03', suspended_after_inning: '4', resume_date: '2025-05-10' }))
+        .toMatchObject({ suspended_after_inning: 4, resume_date: '2025-05-10' })
+      expect(buildGameRow('s1', { game_date: '2025-05-03', suspended_after_inning: '', resume_date: '2025-05-10' }))
+        .toMatchObject({ suspended_after_inning: null, resume_date: null })
+    })
+  })
+
+  describe('buildPlayerRows', () => {
+    it('should keep absence notes only for absent players', () => {
+      const { attendance } = buildPlayerRows([
+        makePlayer({ absence_note: 'stale' }),
+        makePlayer({ id: 'p2', was_present: false, absence_note: 'Sick' })
+      ])
+
+      expect(attendance).toEqual([
+        { player_id: 'p1', was_present: true, absence_note: null },
+        { player_id: 'p2', was_present: false, absence_note: 'Sick' }
+      ])
+    })
+
+    it('should build pitching logs and positions for pitchers', () => {
+      const { pitchingLogs, positions } = buildPlayerRows([
+        makePlayer({ innings_pitched: [1, 2], penultimate_batter_count: '20', final_pitch_count: '24' })
+      ])
+
+      expect(pitchingLogs).toEqual([{ player_id: 'p1', final_pitch_count: 24, penultimate_batter_count: 20 }])
+      expect(positions.map(p => p.inning_number)).toEqual([1, 2])
+    })
+
+    it('should record catcher innings without a pitching log', () => {
+      const { pitchingLogs, positions } = buildPlayerRows([
+        makePlayer({ innings_caught: [3] })
+      ])
+
+      expect(pitchingLogs).toEqual([])
+      expect(positions).toEqual([{ player_id: 'p1', inning_number: 3, position: 'catcher' }])
+    })
+
+    it('should record fielding positions and the bench', () => {
+      const { positions } = buildPlayerRows([
+        makePlayer({ innings_pitched: [1], fielding_positions: { 2: 'shortstop', 3: 'bench' } })
+      ])
+
+      expect(positions.map(p => [p.inning_number, p.position])).toEqual([
+        [1, 'pitcher'],
+        [2, 'shortstop'],
+        [3, 'bench']
+      ])
+    })
+
+    it('should log the pitches of each date of a suspended game separately', () => {
+      const game = { game_date: '2025-05-03', suspended_after_inning: '3', resume_date: '2025-05-10' }
+      const { pitchingLogs, positions } = buildPlayerRows([
+        makePlayer({
+          innings_pitched: [3, 4],
+          penultimate_batter_count: '12',
+          final_pitch_count: '14',
+          resumed_penultimate_batter_count: '8',
+          resumed_final_pitch_count: '9'
+        }),
+        makePlayer({ id: 'p2', innings_pitched: [5], resumed_penultimate_batter_count: '20', resumed_final_pitch_count: '22' })
+      ], game)
+
+      expect(pitchingLogs).toEqual([
+        { player_id: 'p1', final_pitch_count: 14, penultimate_batter_count: 12 },
+        { player_id: 'p1', final_pitch_count: 9, penultimate_batter_count: 8, resumed: true },
+        { player_id: 'p2', final_pitch_count: 22, penultimate_batter_count: 20, resumed: true }
+      ])
+      expect(positions.map(p => p.inning_number)).toEqual([3, 4, 5])
+    })
+  })
+
+  describe('saveGameRecord', () => {
+    // Chainable query mock for the follow-up reads (schedule link, recompute)
+    const createQuery = (result) => {
+      const query = {
+        select: vi.fn(() => query),
+        eq: vi.fn(() => query),
+        in: vi.fn(() => query),
+        gte: vi.fn(() => query),
+        order: vi.fn(() => query),
+        update: vi.fn(() => query),
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+      }
+      return query
+    }
+
+    const createMockClient = (rpcResult) => ({
+      rpc: vi.fn().mockResolvedValue(rpcResult),
+      from: vi.fn(() => createQuery({ data: [], error: null }))
+    })
+
+    const payload = {
+      gameId: null,
+      seasonId: 's1',
+      division: 'Major',
+      formData: {
+        game_date: '2025-05-03',
+        scorekeeper_name: 'Pat',
+        scorekeeper_team_id: 't1',
+        home_team_id: 't1',
+        away_team_id: 't2',
+        home_score: '7',
+        away_score: '4',
+        notes: ''
+      },
+      players: [
+        makePlayer({
+          innings_pitched: [1, 2],
+          penultimate_batter_count: '30',
+          final_pitch_count: '33',
+          previousNextEligibleDate: '2025-05-05'
+        })
+      ]
+    }
+
+    it('should save the game and its player data in one RPC call', async () => {
+      const client = createMockClient({
+        data: { id: 'g1', updated_at: '2025-05-03T20:00:00Z', has_violation: true },
+        error: null
+      })
+
+      const result = await saveGameRecord(client, payload)
+
+      expect(client.rpc).toHaveBeenCalledTimes(1)
+      const [fn, args] = client.rpc.mock.calls[0]
+      expect(fn).toBe('save_game')
+      expect(args).toMatchObject({
+        p_game_id: null,
+        p_expected_updated_at: null,
+        p_game: { season_id: 's1', home_score: 7 },
+        p_pitching_logs: [{ player_id: 'p1', final_pitch_count: 33, penultimate_batter_count: 30 }]
+      })
+      expect(args.p_positions).toHaveLength(2)
+      expect(args.p_violations.map(v => v.rule_id)).toEqual(['insufficient_rest'])
+      expect(result).toMatchObject({ gameId: 'g1', updatedAt: '2025-05-03T20:00:00Z', hasViolation: true })
+    })
+
+    it('should not flag Rule 6 for a game entered with a date before an existing game', async () => {
+      // p1 pitched on May 10 and rests until May 13; the game entered now was played on May 3
+      const logs = [{ player_id: 'p1', game_id: 'g-later', pitch_date: '2025-05-10', next_eligible_pitch_date: '2025-05-13' }]
+      const filters = []
+      const logsQuery = {
+        select: vi.fn(() => logsQuery),
+        in: vi.fn(() => logsQuery),
+        not: vi.fn(() => logsQuery),
+        neq: vi.fn(() => logsQuery),
+        lt: vi.fn((column, value) => {
+          filters.push(log => log[column] < value)
+          return logsQuery
+        }),
+        order: vi.fn(async () => ({ data: logs.filter(log => filters.every(f => f(log))), error: null }))
+      }
+      const logsClient = { from: vi.fn(() => logsQuery) }
+      const client = createMockClient({
+        data: { id: 'g1', updated_at: '2025-05-03T20:00:00Z', has_violation: false },
+        error: null
+      })
+      const pitcher = makePlayer({ innings_pitched: [1, 2], penultimate_batter_count: '30', final_pitch_count: '33' })
+
+      // The latest date from any game would flag the May 3 outing
+      expect(await fetchLatestEligibilityDates(logsClient, ['p1'])).toEqual({ p1: '2025-05-13' })
+
+      const beforeGame = await fetchEligibilityDatesBeforeDate(logsClient, ['p1'], payload.formData.game_date, null)
+      const result = await saveGameRecord(client, {
+        ...payload,
+        players: [{ ...pitcher, previousNextEligibleDate: beforeGame.p1 || null }]
+      })
+
+      expect(result.violations).toEqual([])
+      expect(client.rpc.mock.calls[0][1].p_violations).toEqual([])
+    })
+
+    it('should send the waiver reason with the save, not as a separate write', async () => {
+      const client = createMockClient({
+        data: { id: 'g1', updated_at: '2025-05-03T20:00:00Z', has_violation: true },
+        error: null
+      })
+      const pitcher = makePlayer({ innings_pitched: [1, 2, 3], penultimate_batter_count: '79', final_pitch_count: '82' })
+
+      await saveGameRecord(client, { ...payload, players: [pitcher], waiverReason: '  Counter error  ' })
+      expect(client.rpc.mock.calls[0][1].p_waiver_reason).toBe('Counter error')
+      expect(client.from).not.toHaveBeenCalledWith('violation_waivers')
+
+      await saveGameRecord(client, payload)
+      expect(client.rpc.mock.calls[1][1].p_waiver_reason).toBeNull()
+    })
+
+    it('should throw when save_game refuses an unwaived blocking violation', async () => {
+      const client = createMockClient({
+        data: null,
+        error: new Error('A reason is required to waive a violation')
+      })
+
+      await expect(saveGameRecord(client, payload)).rejects.toThrow('A reason is required to waive a violation')
+      expect(client.from).not.toHaveBeenCalled()
+    })
+
+    it('should link the scheduled game the result was entered for', async () => {
+      const client = createMockClient({
+        data: { id: 'g1', updated_at: '2025-05-03T20:00:00Z', has_violation: false },
+        error: null
+      })
+
+      await saveGameRecord(client, { ...payload, scheduledGameId: 'sg1' })
+
+      const linkIndex = client.from.mock.calls.findIndex(([table]) => table === 'scheduled_games')
+      const linkQuery = client.from.mock.results[linkIndex].value
+      expect(linkQuery.update).toHaveBeenCalledWith({ game_id: 'g1' })
+      expect(linkQuery.eq).toHaveBeenCalledWith('id', 'sg1')
+    })
+
+    it('should check players with a birthdate at their league age', async () => {
+      const client = createMockClient({
+        data: { id: 'g1', updated_at: '2025-05-03T20:00:00Z', has_violation: false },
+        error: null
+      })
+      const pitcher = makePlayer({ innings_pitched: [1, 2, 3], penultimate_batter_count: '79', final_pitch_count: '82' })
+
+      await saveGameRecord(client, { ...payload, players: [pitcher] })
+      expect(client.rpc.mock.calls[0][1].p_violations.map(v => v.rule_id)).toEqual(['max_pitches_exceeded'])
+
+      await saveGameRecord(client, {
+        ...payload,
+        players: [{ ...pitcher, birthdate: '2014-08-31' }],
+        ageCutoff: '2025-08-31'
+      })
+      expect(client.rpc.mock.calls[1][1].p_violations).toEqual([])
+    })
+
+    it('should return a failed recompute of later games instead of throwing', async () => {
+      const client = {
+        rpc: vi.fn().mockResolvedValue({
+          data: { id: 'g1', updated_at: '2025-05-03T20:00:00Z', has_violation: false },
+          error: null
+        }),
+        from: vi.fn(() => createQuery({ data: null, error: new Error('connection reset') }))
+      }
+      const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {})
+
+      const result = await saveGameRecord(client, payload)
+
+      expect(result.gameId).toBe('g1')
+      expect(result.recomputedGames).toEqual([])
+      expect(result.recomputeError.message).toBe('connection reset')
+      consoleError.mockRestore()
+    })
+
+    it('should throw when the RPC fails, without further writes', async () => {
+      const client = createMockClient({ data: null, error: new Error('insert or update violates row-level security') })
+
+      await expect(saveGameRecord(client, payload)).rejects.toThrow('row-level security')
+      expect(client.from).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -0,0 +1,102 @@
+import { describe, it, expect } from 'vitest'
+import {
+  formatStartTime,
+  getUpcomingGames,
+  parseScheduleCsv,
+  parseScheduleDate,
+  parseStartTime
+} from '../../lib/gameSchedule'
+
+const teams = [
+  { id: 't1', name: 'Cubs' },
+  { id: 't2', name: 'Giants' },
+  { id: 't3', name: 'Red Sox' }
+]
+
+describe('gameSchedule', () => {
+  describe('parseScheduleDate', () => {
+    it('should accept ISO and US dates', () => {
+      expect(parseScheduleDate('2025-05-03')).toBe('2025-05-03')
+      expect(parseScheduleDate('5/3/2025')).toBe('2025-05-03')
+    })
+
+    it('should reject dates that do not exist', () => {
+      expect(parseScheduleDate('2025-02-30')).toBeNull()
+      expect(parseScheduleDate('May 3')).toBeNull()
+    })
+  })
+
+  describe('parseStartTime', () => {
+    it('should convert 12-hour times to 24-hour', () => {
+      expect(parseStartTime('6:00 PM')).toBe('18:00')
+      expect(parseStartTime('9am')).toBe('09:00')
+      expect(parseStartTime('12:15 a.m.')).toBe('00:15')
+      expect(parseStartTime('17:30')).toBe('17:30')
+    })
+
+    it('should reject invalid times', () => {
+      expect(parseStartTime('25:00')).toBeNull()
+      expect(parseStartTime('13:00 PM')).toBeNull()
+      expect(parseStartTime('6')).toBeNull()
+    })
+  })
+
+  describe('formatStartTime', () => {
+    it('should format stored times for display', () => {
+      expect(formatStartTime('18:00:00')).toBe('6:00 PM')
+      expect(formatStartTime('00:30')).toBe('12:30 AM')
+      expect(formatStartTime(null)).toBe('')
+    })
+  })
+
+  describe('parseScheduleCsv', () => {
+    it('should parse games, skipping a header line and matching team names case-insensitively', () => {
+      const games = parseScheduleCsv(
+        'Date, Time, Home, Away, Field\n2025-05-03, 6:00 PM, cubs, GIANTS, Field 1\n\n5/10/2025, , Giants, Red Sox',
+        's1',
+        teams
+      )
+
+      expect(games).toEqual([
+        { season_id: 's1', game_date: '2025-05-03', start_time: '18:00', home_team_id: 't1', away_team_id: 't2', field: 'Field 1' },
+        { season_id: 's1', game_date: '2025-05-10', start_time: null, home_team_id: 't2', away_team_id: 't3', field: null }
+      ])
+    })
+
+    it('should report the line of an unknown team', () => {
+      expect(() => parseScheduleCsv('2025-05-03, , Cubs, Yankees', 's1', teams))
+        .toThrow('Line 1: Team "Yankees" not found in this season')
+    })
+
+    it('should reject a team playing itself', () => {
+      expect(() => parseScheduleCsv('2025-05-03, , Cubs, Cubs', 's1', teams))
+        .toThrow('Line 1: Home and away teams must be different')
+    })
+
+    it('should reject invalid dates and times', () => {
+      expect(() => parseScheduleCsv('2025-13-01, , Cubs, Giants', 's1', teams)).toThrow('Line 1: Invalid date')
+      expect(() => parseScheduleCsv('2025-05-03, noon, Cubs, Giants', 's1', teams)).toThrow('Line 1: Invalid time')
+    })
+
+    it('should reject CSV without games', () => {
+      expect(() => parseScheduleCsv('Date, Time, Home, Away', 's1', teams)).toThrow('No valid games found')
+    })
+  })
+
+  describe('getUpcomingGames', () => {
+    const schedule = [
+      { id: 'a', game_date: '2025-05-10', start_time: null, home_team_id: 't1', away_team_id: 't2', game_id: null },
+      { id: 'b', game_date: '2025-05-10', start_time: '09:00:00', home_team_id: 't3', away_team_id: 't2', game_id: null },
+      { id: 'c', game_date: '2025-05-03', start_time: '09:00:00', home_team_id: 't1', away_team_id: 't3', game_id: null },
+      { id: 'd', game_date: '2025-05-12', start_time: '09:00:00', home_team_id: 't1', away_team_id: 't3', game_id: 'g1' }
+    ]
+
+    it('should return games without a result from the date on, by date and time', () => {
+      expect(getUpcomingGames(schedule, '2025-05-04').map(g => g.id)).toEqual(['b', 'a'])
+    })
+
+    it('should filter by team', () => {
+      expect(getUpcomingGames(schedule, '2025-05-01', { teamId: 't1' }).map(g => g.id)).toEqual(['c', 'a'])
+    })
+  })
+})
@@ -0,0 +1,161 @@
+import { describe, it, expect, vi } from 'vitest'
+import {
+  canConfirmSignoff,
+  canSubmitSignoff,
+  confirmGameSignoff,
+  getConfirmingTeamIds,
+  getSignoffBlocker,
+  getSignoffLabel,
+  isGameLocked,
+  reopenGame,
+  submitGameSignoff,
+  withdrawGameSignoff
+} from '../../lib/gameSignoff'
+
+const makeGame = (overrides = {}) => ({
+  id: 'g1',
+  status: 'final',
+  home_team_id: 'home',
+  away_team_id: 'away',
+  scorekeeper_team_id: 'home',
+  reconciliation_status: null,
+  signoff_status: null,
+  ...overrides
+})
+
+// Chainable games update; resolves with the rows the update matched
+const makeClient = (rows = [{ id: 'g1' }], error = null) => {
+  const query = {
+    update: vi.fn(() => query),
+    eq: vi.fn(() => query),
+    is: vi.fn(() => query),
+    select: vi.fn().mockResolvedValue({ data: error ? null : rows, error })
+  }
+  return { from: vi.fn(() => query), query }
+}
+
+describe('gameSignoff', () => {
+  describe('isGameLocked / getSignoffLabel', () => {
+    it('should lock only confirmed games', () => {
+      expect(isGameLocked(makeGame({ signoff_status: 'confirmed' }))).toBe(true)
+      expect(isGameLocked(makeGame({ signoff_status: 'submitted' }))).toBe(false)
+      expect(isGameLocked(makeGame())).toBe(false)
+    })
+
+    it('should label each sign-off state', () => {
+      expect(getSignoffLabel(makeGame())).toBe('Not submitted')
+      expect(getSignoffLabel(makeGame({ signoff_status: 'submitted' }))).toBe('Awaiting confirmation')
+      expect(getSignoffLabel(makeGame({ signoff_status: 'confirmed' }))).toBe('Confirmed')
+    })
+  })
+
+  describe('getConfirmingTeamIds', () => {
+    it('should return the team that did not keep the score', () => {
+      expect(getConfirmingTeamIds(makeGame())).toEqual(['away'])
+      expect(getConfirmingTeamIds(makeGame({ scorekeeper_team_id: 'away' }))).toEqual(['home'])
+    })
+
+    it('should allow either team when the scorekeeper team is not recorded', () => {
+      expect(getConfirmingTeamIds(makeGame({ scorekeeper_team_id: null }))).toEqual(['home', 'away'])
+    })
+  })
+
+  describe('getSignoffBlocker', () => {
+    it('should allow final and forfeited games', () => {
+      expect(getSignoffBlocker(makeGame())).toBeNull()
+      expect(getSignoffBlocker(makeGame({ status: 'forfeited' }))).toBeNull()
+    })
+
+    it('should block games without a result, unreconciled games and submitted games', () => {
+      expect(getSignoffBlocker(makeGame({ status: 'scheduled' }))).toMatch(/final or forfeited/)
+      expect(getSignoffBlocker(makeGame({ status: 'suspended' }))).toMatch(/final or forfeited/)
+      expect(getSignoffBlocker(makeGame({ reconciliation_status: 'disputed' }))).toMatch(/Reconcile/)
+      expect(getSignoffBlocker(makeGame({ signoff_status: 'submitted' }))).toMatch(/already been submitted/)
+    })
+  })
+
+  describe('canSubmitSignoff', () => {
+    it('should let admins and the scorekeeper team\'s editing coaches submit', () => {
+      expect(canSubmitSignoff(makeGame(), { isAdmin: true })).toBe(true)
+      expect(canSubmitSignoff(makeGame(), { isAdmin: false, editableTeamIds: ['home'] })).toBe(true)
+      expect(canSubmitSignoff(makeGame(), { isAdmin: false, editableTeamIds: ['away'] })).toBe(false)
+    })
+
+    it('should not allow submitting a blocked game', () => {
+      expect(canSubmitSignoff(makeGame({ status: 'scheduled' }), { isAdmin: true })).toBe(false)
+    })
+  })
+
+  describe('canConfirmSignoff', () => {
+    it('should let only the confirming team\'s head coach confirm a submitted game', () => {
+      const game = makeGame({ signoff_status: 'submitted' })
+      expect(canConfirmSignoff(game, ['away'])).toBe(true)
+      expect(canConfirmSignoff(game, ['home'])).toBe(false)
+      expect(canConfirmSignoff(game, [])).toBe(false)
+    })
+
+    it('should not confirm a game that is not submitted', () => {
+      expect(canConfirmSignoff(makeGame(), ['away'])).toBe(false)
+      expect(canConfirmSignoff(makeGame({ signoff_status: 'confirmed' }), ['away'])).toBe(false)
+    })
+  })
+
+  describe('sign-off updates', () => {
+    it('should submit only a game that has not been submitted', async () => {
+      const client = makeClient()
+
+      await submitGameSignoff(client, makeGame())
+
+      expect(client.from).toHaveBeenCalledWith('games')
+      expect(client.query.update).toHaveBeenCalledWith({ signoff_status: 'submitted' })
+      expect(client.query.eq).toHaveBeenCalledWith('id', 'g1')
+      expect(client.query.is).toHaveBeenCalledWith('signoff_status', null)
+    })
+
+    it('should refuse to submit a blocked game without querying', async () => {
+      const client = makeClient()
+
+      await expect(submitGameSignoff(client, makeGame({ status: 'scheduled' }))).rejects.toThrow(/final or forfeited/)
+      expect(client.from).not.toHaveBeenCalled()
+    })
+
+    it('should confirm and withdraw only a submitted game', async () => {
+      const client = makeClient()
+
+      await confirmGameSignoff(client, 'g1')
+      expect(client.query.update).toHaveBeenCalledWith({ signoff_status: 'confirmed' })
+      expect(client.query.eq).toHaveBeenCalledWith('signoff_status', 'submitted')
+
+      await withdrawGameSignoff(client, 'g1')
+      expect(client.query.update).toHaveBeenCalledWith({ signoff_status: null })
+    })
+
+    it('should report a sign-off that changed since it was loaded', async () => {
+      await expect(confirmGameSignoff(makeClient([]), 'g1')).rejects.toThrow(/changed since it was loaded/)
+    })
+
+    it('should pass database errors through', async () => {
+      const error = new Error('This game is signed off and locked; an admin must reopen it first')
+      await expect(confirmGameSignoff(makeClient([], error), 'g1')).rejects.toBe(error)
+    })
+
+    it('should reopen a confirmed game with the trimmed reason', async () => {
+      const client = makeClient()
+
+      await reopenGame(client, 'g1', '  Miscounted inning  ')
+
+      expect(client.query.update).toHaveBeenCalledWith({
+        signoff_status: null,
+        reopen_reason: 'Miscounted inning'
+      })
+      expect(client.query.eq).toHaveBeenCalledWith('signoff_status', 'confirmed')
+    })
+
+    it('should require a reason to reopen', async () => {
+      const client = makeClient()
+
+      await expect(reopenGame(client, 'g1', '   ')).rejects.toThrow(/reason/)
+      expect(client.from).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -0,0 +1,168 @@
+import { describe, it, expect, vi } from 'vitest'
+import {
+  canChangeGameStatus,
+  changeGameStatus,
+  computeStandings,
+  formatGameOutcome,
+  getFormStatusOptions,
+  getGameResult,
+  validateGameStatus
+} from '../../lib/gameStatus'
+
+const teams = [
+  { id: 't1', name: 'Cubs', division: 'Minor' },
+  { id: 't2', name: 'Giants', division: 'Minor' },
+  { id: 't3', name: 'Red Sox', division: 'Major' }
+]
+
+const game = (overrides) => ({
+  id: 'g1',
+  season_id: 's1',
+  game_date: '2025-05-03',
+  home_team_id: 't1',
+  away_team_id: 't2',
+  home_score: 7,
+  away_score: 4,
+  status: 'final',
+  forfeiting_team_id: null,
+  ...overrides
+})
+
+describe('gameStatus', () => {
+  describe('canChangeGameStatus', () => {
+    it('should allow the lifecycle transitions', () => {
+      expect(canChangeGameStatus('scheduled', 'in_progress')).toBe(true)
+      expect(canChangeGameStatus('in_progress', 'postponed')).toBe(true)
+      expect(canChangeGameStatus('final', 'forfeited')).toBe(true)
+      expect(canChangeGameStatus('postponed', 'cancelled')).toBe(true)
+      expect(canChangeGameStatus('final', 'final')).toBe(true)
+    })
+
+    it('should refuse going back or leaving a closed status', () => {
+      expect(canChangeGameStatus('final', 'in_progress')).toBe(false)
+      expect(canChangeGameStatus('postponed', 'final')).toBe(false)
+      expect(canChangeGameStatus('cancelled', 'scheduled')).toBe(false)
+      expect(canChangeGameStatus('forfeited', 'final')).toBe(false)
+      expect(canChangeGameStatus('suspended', 'postponed')).toBe(false)
+    })
+  })
+
+  describe('getFormStatusOptions', () => {
+    it('should default new games to final', () => {
+      expect(getFormStatusOptions(null)).toEqual(['final', 'in_progress', 'suspended', 'forfeited'])
+    })
+
+    it('should move scheduled games on and keep other games at their status', () => {
+      expect(getFormStatusOptions('scheduled')).toEqual(['final', 'in_progress', 'suspended', 'forfeited'])
+      expect(getFormStatusOptions('in_progress')).toEqual(['in_progress', 'final', 'suspended', 'forfeited'])
+      expect(getFormStatusOptions('suspended')).toEqual(['suspended', 'final', 'in_progress', 'forfeited'])
+      expect(getFormStatusOptions('final')).toEqual(['final', 'forfeited'])
+    })
+  })
+
+  describe('validateGameStatus', () => {
+    it('should require the forfeiting team to be home or away', () => {
+      expect(validateGameStatus(game({ status: 'forfeited', forfeiting_team_id: '' }))).toBe('Select the team that forfeited')
+      expect(validateGameStatus(game({ status: 'forfeited', forfeiting_team_id: 't3' }))).toBe('Select the team that forfeited')
+      expect(validateGameStatus(game({ status: 'forfeited', forfeiting_team_id: 't2' }))).toBeNull()
+    })
+
+    it('should require both scores only for final games', () => {
+      expect(validateGameStatus(game({ home_score: '' }))).toBe('A final game needs both scores')
+      expect(validateGameStatus(game({ status: 'in_progress', home_score: '', away_score: null }))).toBeNull()
+    })
+  })
+
+  describe('getGameResult', () => {
+    it('should give a forfeit to the other team whatever the score', () => {
+      expect(getGameResult(game({ status: 'forfeited', forfeiting_team_id: 't1' })))
+        .toEqual({ winnerId: 't2', loserId: 't1' })
+    })
+
+    it('should only count final games with both scores', () => {
+      expect(getGameResult(game())).toEqual({ winnerId: 't1', loserId: 't2' })
+      expect(getGameResult(game({ away_score: 7 }))).toEqual({ tie: true })
+      expect(getGameResult(game({ status: 'in_progress' }))).toBeNull()
+      expect(getGameResult(game({ status: 'postponed', home_score: null, away_score: null }))).toBeNull()
+    })
+  })
+
+  describe('computeStandings', () => {
+    it('should count wins, losses, ties and forfeits and leave out unfinished games', () => {
+      const standings = computeStandings([
+        game({ id: 'g1' }),
+        game({ id: 'g2', home_score: 3, away_score: 3 }),
+        game({ id: 'g3', status: 'forfeited', forfeiting_team_id: 't2', home_score: 0, away_score: 9 }),
+        game({ id: 'g4', status: 'cancelled', home_score: null, away_score: null }),
+        game({ id: 'g5', status: 'in_progress', home_score: 0, away_score: 2 })
+      ], teams)
+
+      expect(standings.map(row => [row.name, row.played, row.wins, row.losses, row.ties, row.forfeits])).toEqual([
+        ['Red Sox', 0, 0, 0, 0, 0],
+        ['Cubs', 3, 2, 0, 1, 0],
+        ['Giants', 3, 0, 2, 1, 1]
+      ])
+      expect(standings[1].winPct).toBeCloseTo(2.5 / 3)
+    })
+  })
+
+  describe('formatGameOutcome', () => {
+    const named = { home_team: { name: 'Cubs' }, away_team: { name: 'Giants' } }
+
+    it('should show the score or the status', () => {
+      expect(formatGameOutcome(game(named))).toBe('4 - 7')
+      expect(formatGameOutcome(game({ ...named, status: 'in_progress', home_score: null }))).toBe('4 - - (in progress)')
+      expect(formatGameOutcome(game({ ...named, status: 'forfeited', forfeiting_team_id: 't1' }))).toBe('Forfeit by Cubs')
+      expect(formatGameOutcome(game({ ...named, status: 'postponed' }))).toBe('Postponed')
+      expect(formatGameOutcome(game({ ...named, status: 'suspended', suspended_after_inning: 4 }))).toBe('4 - 7 (suspended)')
+    })
+  })
+
+  describe('changeGameStatus', () => {
+    it('should refuse transitions outside the lifecycle', async () => {
+      const client = { from: vi.fn() }
+
+      await expect(changeGameStatus(client, { game: game(), status: 'postponed' }))
+        .rejects.toThrow('A final game cannot be changed to postponed')
+      expect(client.from).not.toHaveBeenCalled()
+    })
+
+    it('should postpone and schedule the replacement in one RPC call', async () => {
+      const client = { from: vi.fn(), rpc: vi.fn().mockResolvedValue({ data: 'sg2', error: null }) }
+
+      const result = await changeGameStatus(client, {
+        game: game({ status: 'in_progress' }),
+        status: 'postponed',
+        replacementDate: '2025-05-10'
+      })
+
+      expect(result).toEqual({ replacementFixtureId: 'sg2' })
+      expect(client.rpc).toHaveBeenCalledWith('change_game_status', {
+        p_game_id: 'g1',
+        p_status: 'postponed',
+        p_forfeiting_team_id: null,
+        p_replacement_date: '2025-05-10'
+      })
+      expect(client.from).not.toHaveBeenCalled()
+    })
+
+    it('should pass the forfeiting team of a forfeit', async () => {
+      const client = { rpc: vi.fn().mockResolvedValue({ data: null, error: null }) }
+
+      const result = await changeGameStatus(client, { game: game(), status: 'forfeited', forfeitingTeamId: 't2' })
+
+      expect(result).toEqual({ replacementFixtureId: null })
+      expect(client.rpc.mock.calls[0][1]).toMatchObject({ p_status: 'forfeited', p_forfeiting_team_id: 't2', p_replacement_date: null })
+    })
+
+    it('should throw when the database refuses the change', async () => {
+      const client = { rpc: vi.fn().mockResolvedValue({ data: null, error: new Error('permission denied') }) }
+
+      await expect(changeGameStatus(client, {
+        game: game({ status: 'scheduled', home_score: null, away_score: null }),
+        status: 'postponed',
+        replacementDate: '2025-05-10'
+      })).rejects.toThrow('permission denied')
+    })
+  })
+})
@@ -0,0 +1,68 @@
+import { describe, it, expect, vi } from 'vitest'
+import {
+  fetchTrashedGames,
+  getDaysUntilPurge,
+  purgeExpiredGames,
+  restoreTrashedGame,
+  trashGame
+} from '../../lib/gameTrash'
+
+const makeClient = (result = { data: null, error: null }) => ({
+  rpc: vi.fn().mockResolvedValue(result)
+})
+
+describe('gameTrash', () => {
+  describe('trashGame / restoreTrashedGame', () => {
+    it('should call the trash functions with the game id', async () => {
+      const client = makeClient()
+
+      await trashGame(client, 'g1')
+      expect(client.rpc).toHaveBeenCalledWith('trash_game', { p_game_id: 'g1' })
+
+      await restoreTrashedGame(client, 'g1')
+      expect(client.rpc).toHaveBeenCalledWith('restore_trashed_game', { p_game_id: 'g1' })
+    })
+
+    it('should pass database errors through', async () => {
+      const error = new Error('This game is signed off and locked; an admin must reopen it first')
+
+      await expect(trashGame(makeClient({ data: null, error }), 'g1')).rejects.toBe(error)
+    })
+  })
+
+  describe('fetchTrashedGames', () => {
+    it('should list the season\'s trashed games', async () => {
+      const rows = [{ id: 'g1', deleted_at: '2026-05-01T12:00:00Z' }]
+      const client = makeClient({ data: rows, error: null })
+
+      expect(await fetchTrashedGames(client, 's1')).toEqual(rows)
+      expect(client.rpc).toHaveBeenCalledWith('list_trashed_games', { p_season_id: 's1' })
+    })
+
+    it('should return an empty list when nothing is trashed', async () => {
+      expect(await fetchTrashedGames(makeClient(), 's1')).toEqual([])
+    })
+  })
+
+  describe('purgeExpiredGames', () => {
+    it('should return the number of games purged', async () => {
+      const client = makeClient({ data: 3, error: null })
+
+      expect(await purgeExpiredGames(client)).toBe(3)
+      expect(client.rpc).toHaveBeenCalledWith('purge_expired_games')
+    })
+  })
+
+  describe('getDaysUntilPurge', () => {
+    const now = new Date('2026-05-01T12:00:00Z')
+
+    it('should round partial days up', () => {
+      expect(getDaysUntilPurge({ purge_after: '2026-05-11T12:00:00Z' }, now)).toBe(10)
+      expect(getDaysUntilPurge({ purge_after: '2026-05-01T13:00:00Z' }, now)).toBe(1)
+    })
+
+    it('should return 0 once the retention period is over', () => {
+      expect(getDaysUntilPurge({ purge_after: '2026-04-30T12:00:00Z' }, now)).toBe(0)
+    })
+  })
+})
@@ -0,0 +1,97 @@
+import { describe, it, expect, vi } from 'vitest'
+import {
+  applyLeagueAges,
+  calculateLeagueAge,
+  fetchTeamAgeCutoff,
+  getLeagueAge,
+  getSeasonAgeCutoff,
+  isValidBirthdate
+} from '../../lib/leagueAge'
+
+describe('leagueAge', () => {
+  describe('calculateLeagueAge', () => {
+    it('should count the birthday on the cutoff date itself', () => {
+      expect(calculateLeagueAge('2015-08-31', '2026-08-31')).toBe(11)
+      expect(calculateLeagueAge('2015-09-01', '2026-08-31')).toBe(10)
+    })
+
+    it('should compare months before days', () => {
+      expect(calculateLeagueAge('2015-01-31', '2026-02-01')).toBe(11)
+      expect(calculateLeagueAge('2015-12-01', '2026-02-01')).toBe(10)
+    })
+
+    it('should handle leap-day birthdays', () => {
+      expect(calculateLeagueAge('2016-02-29', '2026-02-28')).toBe(9)
+      expect(calculateLeagueAge('2016-02-29', '2026-03-01')).toBe(10)
+    })
+
+    it('should return null for missing or invalid dates', () => {
+      expect(calculateLeagueAge(null, '2026-08-31')).toBeNull()
+      expect(calculateLeagueAge('2015-08-31', null)).toBeNull()
+      expect(calculateLeagueAge('2015-02-30', '2026-08-31')).toBeNull()
+    })
+  })
+
+  describe('isValidBirthdate', () => {
+    it('should only accept real YYYY-MM-DD dates', () => {
+      expect(isValidBirthdate('2015-04-20')).toBe(true)
+      expect(isValidBirthdate('2015-13-01')).toBe(false)
+      expect(isValidBirthdate('04/20/2015')).toBe(false)
+      expect(isValidBirthdate('')).toBe(false)
+    })
+  })
+
+  describe('getSeasonAgeCutoff', () => {
+    it('should use the cutoff date, then the start date', () => {
+      expect(getSeasonAgeCutoff({ start_date: '2026-03-01', league_age_cutoff: '2026-08-31' })).toBe('2026-08-31')
+      expect(getSeasonAgeCutoff({ start_date: '2026-03-01', league_age_cutoff: null })).toBe('2026-03-01')
+      expect(getSeasonAgeCutoff(undefined)).toBeNull()
+    })
+  })
+
+  describe('getLeagueAge / applyLeagueAges', () => {
+    it('should compute the age from a birthdate and keep the entered age otherwise', () => {
+      expect(getLeagueAge({ age: 9, birthdate: '2015-08-31' }, '2026-08-31')).toBe(11)
+      expect(getLeagueAge({ age: 9, birthdate: null }, '2026-08-31')).toBe(9)
+      expect(getLeagueAge({ age: 9, birthdate: '2015-08-31' }, null)).toBe(9)
+    })
+
+    it('should return new player objects with league ages', () => {
+      const players = [{ id: 'p1', age: 9, birthdate: '2015-08-31' }, { id: 'p2', age: 10 }]
+
+      expect(applyLeagueAges(players, '2026-08-31')).toEqual([
+        { id: 'p1', age: 11, birthdate: '2015-08-31' },
+        { id: 'p2', age: 10 }
+      ])
+      expect(players[0].age).toBe(9)
+    })
+  })
+
+  describe('fetchTeamAgeCutoff', () => {
+    const createMockClient = (result) => {
+      const query = {
+        select: vi.fn(() => query),
+        eq: vi.fn(() => query),
+        single: vi.fn().mockResolvedValue(result)
+      }
+      return { from: vi.fn(() => query), query }
+    }
+
+    it('should return the cutoff of the team\'s season', async () => {
+      const client = createMockClient({
+        data: { season: { start_date: '2026-03-01', league_age_cutoff: '2026-08-31' } },
+        error: null
+      })
+
+      expect(await fetchTeamAgeCutoff(client, 't1')).toBe('2026-08-31')
+      expect(client.from).toHaveBeenCalledWith('teams')
+      expect(client.query.eq).toHaveBeenCalledWith('id', 't1')
+    })
+
+    it('should throw on a database error', async () => {
+      const client = createMockClient({ data: null, error: new Error('Team not found') })
+
+      await expect(fetchTeamAgeCutoff(client, 't1')).rejects.toThrow('Team not found')
+    })
+  })
+})
@@ -0,0 +1,244 @@
+import { describe, it, expect, vi } from 'vitest'
+import {
+  sanitizeLineup,
+  isLineupEmpty,
+  applyLineupToPlayers,
+  fetchTeamLineup,
+  saveTeamLineup,
+  deleteTeamLineup,
+  saveLineupTemplate
+} from '../../lib/lineupStorage'
+
+const INNINGS = [1, 2, 3, 4, 5, 6]
+const POSITIONS = ['P', 'C', '1B', '2B', 'SS', '3B', 'LF', 'CF', 'RF']
+
+// Chainable query mock: every builder method returns the query, and awaiting it resolves to `result`
+const createQuery = (result) => {
+  const query = {
+    select: vi.fn(() => query),
+    eq: vi.fn(() => query),
+    order: vi.fn(() => query),
+    limit: vi.fn(() => query),
+    upsert: vi.fn(() => query),
+    delete: vi.fn(() => query),
+    maybeSingle: vi.fn().mockResolvedValue(result),
+    single: vi.fn().mockResolvedValue(result),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  }
+  return query
+}
+
+const createMockClient = (result = { data: null, error: null }) => {
+  const query = createQuery(result)
+  return { from: vi.fn(() => query), query }
+}
+
+describe('lineupStorage', () => {
+  describe('sanitizeLineup', () => {
+    it('should drop players who are no longer on the roster', () => {
+      const result = sanitizeLineup({
+        batting_order: ['p1', 'gone', 'p2'],
+        positions: { 1: { P: 'p1', C: 'gone', SS: 'p2' } },
+        locks: [
+          { playerId: 'p1', position: 'P', innings: [1, 2] },
+          { playerId: 'gone', position: 'C', innings: [1] }
+        ]
+      }, ['p1', 'p2'], INNINGS, POSITIONS)
+
+      expect(result).toEqual({
+        battingOrder: ['p1', 'p2'],
+        positions: { 1: { P: 'p1', SS: 'p2' } },
+        locks: [{ playerId: 'p1', position: 'P', innings: [1, 2] }]
+      })
+    })
+
+    it('should ignore innings and positions the builder does not show', () => {
+      const result = sanitizeLineup({
+        batting_order: ['p1'],
+        positions: { 1: { P: 'p1', DH: 'p1' }, 9: { P: 'p1' } }
+      }, ['p1'], INNINGS, POSITIONS)
+
+      expect(result.positions).toEqual({ 1: { P: 'p1' } })
+      expect(result.locks).toEqual([])
+    })
+
+    it('should return an empty lineup when nothing is saved', () => {
+      expect(sanitizeLineup(null, ['p1'], INNINGS, POSITIONS)).toEqual({
+        battingOrder: [],
+        positions: {},
+        locks: []
+      })
+    })
+  })
+
+  describe('isLineupEmpty', () => {
+    it('should treat a lineup with no players, positions or locks as empty', () => {
+      expect(isLineupEmpty({ battingOrder: [], positions: {}, locks: [] })).toBe(true)
+      expect(isLineupEmpty({ battingOrder: [], positions: { 1: { P: undefined } }, locks: [] })).toBe(true)
+    })
+
+    it('should detect any entered data', () => {
+      expect(isLineupEmpty({ battingOrder: ['p1'], positions: {}, locks: [] })).toBe(false)
+      expect(isLineupEmpty({ battingOrder: [], positions: { 2: { C: 'p1' } }, locks: [] })).toBe(false)
+      expect(isLineupEmpty({ battingOrder: [], positions: {}, locks: [{ playerId: 'p1' }] })).toBe(false)
+    })
+  })
+
+  describe('applyLineupToPlayers', () => {
+    const player = (id, overrides = {}) => ({
+      id,
+      was_present: true,
+      absence_note: '',
+      innings_pitched: [],
+      innings_caught: [],
+      fielding_positions: {},
+      penultimate_batter_count: '',
+      final_pitch_count: '',
+      ...overrides
+    })
+
+    it('should fill innings pitched, caught and fielded from the lineup', () => {
+      const [p1, p2, p3] = applyLineupToPlayers([player('p1'), player('p2'), player('p3')], {
+        batting_order: ['p1', 'p2', 'p3'],
+        positions: {
+          1: { P: 'p1', C: 'p2', SS: 'p3' },
+          2: { P: 'p1', C: 'p3', LF: 'p2' }
+        }
+      })
+
+      expect(p1.innings_pitched).toEqual([1, 2])
+      expect(p1.fielding_positions).toEqual({})
+      expect(p2.innings_caught).toEqual([1])
+      expect(p2.fielding_positions).toEqual({ 2: 'left_field' })
+      expect(p3.innings_caught).toEqual([2])
+      expect(p3.fielding_positions).toEqual({ 1: 'shortstop' })
+    })
+
+    it('should bench batting order players without a position in a planned inning', () => {
+      const [p1, p2] = applyLineupToPlayers([player('p1'), player('p2')], {
+        batting_order: ['p1', 'p2'],
+        positions: { 1: { P: 'p1' }, 2: { P: 'p2' }, 3: {} }
+      })
+
+      expect(p1.fielding_positions).toEqual({ 2: 'bench' })
+      expect(p2.fielding_positions).toEqual({ 1: 'bench' })
+    })
+
+    it('should mark roster players missing from the lineup as absent', () => {
+      const players = applyLineupToPlayers([player('p1'), player('p2'), player('p3')], {
+        batting_order: ['p1'],
+        positions: { 1: { C: 'p2' } }
+      })
+
+      expect(players.map(p => p.was_present)).toEqual([true, true, false])
+      expect(players[2].fielding_positions).toEqual({})
+    })
+
+    it('should keep pitch counts only for players who still pitch', () => {
+      const counts = { penultimate_batter_count: '30', final_pitch_count: '35' }
+      const [p1, p2] = applyLineupToPlayers([player('p1', counts), player('p2', counts)], {
+        batting_order: ['p1', 'p2'],
+        positions: { 1: { P: 'p1', C: 'p2' } }
+      })
+
+      expect(p1.final_pitch_count).toBe('35')
+      expect(p1.penultimate_batter_count).toBe('30')
+      expect(p2.final_pitch_count).toBe('')
+      expect(p2.innings_pitched).toEqual([])
+    })
+  })
+
+  describe('fetchTeamLineup', () => {
+    it('should look up the lineup by team and game date', async () => {
+      const row = { id: 'l1', team_id: 't1', game_date: '2025-05-03' }
+      const client = createMockClient({ data: row, error: null })
+
+      const result = await fetchTeamLineup(client, 't1', '2025-05-03')
+
+      expect(client.from).toHaveBeenCalledWith('lineups')
+      expect(client.query.eq).toHaveBeenCalledWith('team_id', 't1')
+      expect(client.query.eq).toHaveBeenCalledWith('game_date', '2025-05-03')
+      expect(result).toEqual(row)
+    })
+
+    it('should return null when no lineup is saved', async () => {
+      const client = createMockClient({ data: null, error: null })
+      expect(await fetchTeamLineup(client, 't1', '2025-05-03')).toBeNull()
+    })
+
+    it('should throw query errors', async () => {
+      const client = createMockClient({ data: null, error: new Error('permission denied') })
+      await expect(fetchTeamLineup(client, 't1', '2025-05-03')).rejects.toThrow('permission denied')
+    })
+  })
+
+  describe('saveTeamLineup', () => {
+    it('should upsert one lineup per team and game date', async () => {
+      const saved = { id: 'l1' }
+      const client = createMockClient({ data: saved, error: null })
+
+      const result = await saveTeamLineup(client, {
+        teamId: 't1',
+        gameDate: '2025-05-03',
+        battingOrder: ['p1'],
+        positions: { 1: { P: 'p1' } },
+        locks: [],
+        updatedBy: 'coach-1'
+      })
+
+      expect(client.query.upsert).toHaveBeenCalledWith({
+        team_id: 't1',
+        game_date: '2025-05-03',
+        batting_order: ['p1'],
+        positions: { 1: { P: 'p1' } },
+        locks: [],
+        updated_by: 'coach-1'
+      }, { onConflict: 'team_id,game_date' })
+      expect(result).toEqual(saved)
+    })
+  })
+
+  describe('deleteTeamLineup', () => {
+    it('should delete the lineup for the team and game date', async () => {
+      const client = createMockClient({ error: null })
+
+      await deleteTeamLineup(client, 't1', '2025-05-03')
+
+      expect(client.query.delete).toHaveBeenCalled()
+      expect(client.query.eq).toHaveBeenCalledWith('team_id', 't1')
+      expect(client.query.eq).toHaveBeenCalledWith('game_date', '2025-05-03')
+    })
+  })
+
+  describe('saveLineupTemplate', () => {
+    it('should upsert by team and trimmed name', async () => {
+      const client = createMockClient({ data: { id: 'tpl1' }, error: null })
+
+      await saveLineupTemplate(client, {
+        teamId: 't1',
+        name: '  Regular Season  ',
+        battingOrder: ['p1'],
+        positions: {},
+        locks: []
+      })
+
+      expect(client.from).toHaveBeenCalledWith('lineup_templates')
+      expect(client.query.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({ team_id: 't1', name: 'Regular Season', updated_by: null }),
+        { onConflict: 'team_id,name' }
+      )
+    })
+
+    it('should require a name', async () => {
+      const client = createMockClient()
+      await expect(saveLineupTemplate(client, {
+        teamId: 't1',
+        name: '   ',
+        battingOrder: [],
+        positions: {},
+        locks: []
+      })).rejects.toThrow('Template name is required')
+      expect(client.from).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -0,0 +1,202 @@
+import { describe, it, expect } from 'vitest'
+import {
+  deriveLiveGame,
+  getLivePitcherStatus,
+  applyLiveTeamToPlayers,
+  getLiveMaxInning
+} from '../../lib/livePitchCounter'
+
+const pitches = (n) => Array.from({ length: n }, () => ({ type: 'pitch' }))
+
+describe('livePitchCounter', () => {
+  describe('deriveLiveGame', () => {
+    it('should start in the top of the first with the home team fielding', () => {
+      const game = deriveLiveGame([])
+      expect(game).toMatchObject({ inning: 1, half: 'top', fieldingTeam: 'home', totalPitches: 0 })
+    })
+
+    it('should count pitches for the fielding team\'s pitcher', () => {
+      const game = deriveLiveGame([
+        { type: 'pitcher', team: 'home', playerId: 'h1' },
+        { type: 'catcher', team: 'home', playerId: 'h2' },
+        ...pitches(3)
+      ])
+
+      expect(game.teams.home.pitchers.h1).toMatchObject({ pitches: 3, batterStart: 0, innings: [1] })
+      expect(game.teams.home.catchers.h2).toEqual([1])
+      expect(game.totalPitches).toBe(3)
+    })
+
+    it('should ignore pitches before a pitcher is selected', () => {
+      expect(deriveLiveGame(pitches(2)).totalPitches).toBe(0)
+    })
+
+    it('should record the count before the last batter', () => {
+      const game = deriveLiveGame([
+        { type: 'pitcher', team: 'home', playerId: 'h1' },
+        ...pitches(4),
+        { type: 'batter_done' },
+        ...pitches(5),
+        { type: 'batter_done' },
+        ...pitches(2)
+      ])
+
+      expect(game.teams.home.pitchers.h1).toMatchObject({ pitches: 11, batterStart: 9, batterComplete: false })
+    })
+
+    it('should keep the last batter\'s starting count when the half-inning ends', () => {
+      const game = deriveLiveGame([
+        { type: 'pitcher', team: 'home', playerId: 'h1' },
+        ...pitches(4),
+        { type: 'batter_done' },
+        ...pitches(3),
+        { type: 'end_half' }
+      ])
+
+      expect(game.teams.home.pitchers.h1).toMatchObject({ pitches: 7, batterStart: 4, batterComplete: true })
+      expect(game).toMatchObject({ inning: 1, half: 'bottom', fieldingTeam: 'away' })
+    })
+
+    it('should alternate fielding teams and advance innings', () => {
+      const game = deriveLiveGame([
+        { type: 'pitcher', team: 'home', playerId: 'h1' },
+        { type: 'pitcher', team: 'away', playerId: 'a1' },
+        ...pitches(2),
+        { type: 'end_half' },
+        ...pitches(3),
+        { type: 'end_half' },
+        ...pitches(1)
+      ])
+
+      expect(game).toMatchObject({ inning: 2, half: 'top', fieldingTeam: 'home' })
+      expect(game.teams.home.pitchers.h1).toMatchObject({ pitches: 3, innings: [1, 2] })
+      expect(game.teams.away.pitchers.a1).toMatchObject({ pitches: 3, innings: [1] })
+    })
+
+    it('should start a relief pitcher on a new batter', () => {
+      const game = deriveLiveGame([
+        { type: 'pitcher', team: 'home', playerId: 'h1' },
+        ...pitches(3),
+        { type: 'pitcher', team: 'home', playerId: 'h2' },
+        ...pitches(2)
+      ])
+
+      expect(game.teams.home.pitchers.h1).toMatchObject({ pitches: 3, batterStart: 0 })
+      expect(game.teams.home.pitchers.h2).toMatchObject({ pitches: 2, batterStart: 0, innings: [1] })
+    })
+
+    it('should support undo by replaying fewer events', () => {
+      const events = [{ type: 'pitcher', team: 'home', playerId: 'h1' }, ...pitches(3)]
+      expect(deriveLiveGame(events.slice(0, -1)).teams.home.pitchers.h1.pitches).toBe(2)
+    })
+  })
+
+  describe('getLivePitcherStatus', () => {
+    it('should be ok well below every boundary', () => {
+      const status = getLivePitcherStatus({ pitches: 5, batterStart: 3 }, 10)
+      expect(status).toMatchObject({ restDays: 0, maxPitches: 75, nextRestDays: 1, pitchesUntilNextRestDays: 15, level: 'ok' })
+      expect(status.messages).toEqual([])
+    })
+
+    it('should warn when the next rest-day tier is close', () => {
+      const status = getLivePitcherStatus({ pitches: 17, batterStart: 15 }, 10)
+      expect(status.level).toBe('warning')
+      expect(status.messages).toEqual(['3 pitches until 1 day of rest'])
+    })
+
+    it('should warn that starting another batter moves up a tier', () => {
+      // Current batter started at 18 (counts as 19: no rest); a new batter at 20 counts as 21
+      const status = getLivePitcherStatus({ pitches: 20, batterStart: 18 }, 10)
+      expect(status).toMatchObject({ restDays: 0, nextRestDays: 1, pitchesUntilNextRestDays: 0, level: 'warning' })
+      expect(status.messages).toEqual(['Starting another batter means 1 day of rest'])
+    })
+
+    it('should base rest on the count before the last batter', () => {
+      // Crossed 35 during a batter that started at 33: still 1 day if removed now
+      const status = getLivePitcherStatus({ pitches: 38, batterStart: 33 }, 10)
+      expect(status.restDays).toBe(1)
+      expect(status.nextRestDays).toBe(2)
+    })
+
+    it('should warn near and at the age maximum', () => {
+      expect(getLivePitcherStatus({ pitches: 68, batterStart: 66 }, 10).messages)
+        .toContain('7 pitches left before the 75-pitch maximum')
+
+      const atMax = getLivePitcherStatus({ pitches: 75, batterStart: 72 }, 10)
+      expect(atMax.level).toBe('danger')
+      expect(atMax.messages[0]).toMatch(/Reached the 75-pitch maximum/)
+    })
+
+    it('should use the 50-pitch maximum for a Training pitcher', () => {
+      expect(getLivePitcherStatus({ pitches: 49, batterStart: 47 }, 10, undefined, 'Training').level).toBe('warning')
+
+      const atMax = getLivePitcherStatus({ pitches: 50, batterStart: 47 }, 10, undefined, 'Training')
+      expect(atMax).toMatchObject({ maxPitches: 50, pitchesToMax: 0, level: 'danger' })
+      expect(atMax.messages[0]).toBe('Reached the 50-pitch maximum for Training division: finish this batter, then remove the pitcher')
+    })
+
+    it('should count pitches from an earlier game that day', () => {
+      const status = getLivePitcherStatus({ pitches: 5, batterStart: 3 }, 10, undefined, 'Major', 20)
+
+      expect(status).toMatchObject({ earlierPitches: 20, pitchesToMax: 50, restDays: 1, nextRestDays: 2, pitchesUntilNextRestDays: 10 })
+      expect(status.messages).toContain('20 pitches from an earlier game today count toward the maximum and rest')
+
+      const atMax = getLivePitcherStatus({ pitches: 45, batterStart: 44 }, 10, undefined, 'Major', 30)
+      expect(atMax.level).toBe('danger')
+    })
+
+    it('should use the season rule set when given', () => {
+      const rules = [{
+        ageMin: 9,
+        ageMax: 10,
+        maxPitchesPerGame: 60,
+        restDayRanges: [
+          { minPitches: 1, maxPitches: 30, restDays: 0 },
+          { minPitches: 31, maxPitches: 999, restDays: 2 }
+        ]
+      }]
+      const status = getLivePitcherStatus({ pitches: 27, batterStart: 25 }, 10, rules)
+      expect(status).toMatchObject({ maxPitches: 60, nextRestDays: 2, pitchesUntilNextRestDays: 3 })
+    })
+  })
+
+  describe('applyLiveTeamToPlayers', () => {
+    it('should fill in innings and pitch counts as Game Entry strings', () => {
+      const game = deriveLiveGame([
+        { type: 'pitcher', team: 'home', playerId: 'h1' },
+        { type: 'catcher', team: 'home', playerId: 'h2' },
+        ...pitches(4),
+        { type: 'batter_done' },
+        ...pitches(2)
+      ])
+      const players = [
+        { id: 'h1', name: 'Pitcher', innings_pitched: [], innings_caught: [], penultimate_batter_count: '', final_pitch_count: '' },
+        { id: 'h2', name: 'Catcher', innings_pitched: [], innings_caught: [], penultimate_batter_count: '', final_pitch_count: '' },
+        { id: 'h3', name: 'Fielder', innings_pitched: [], innings_caught: [], penultimate_batter_count: '', final_pitch_count: '' }
+      ]
+
+      const [pitcher, catcher, fielder] = applyLiveTeamToPlayers(players, game.teams.home)
+
+      expect(pitcher).toMatchObject({ innings_pitched: [1], penultimate_batter_count: '4', final_pitch_count: '6' })
+      expect(catcher).toMatchObject({ innings_caught: [1], final_pitch_count: '' })
+      expect(fielder).toMatchObject({ innings_pitched: [], innings_caught: [] })
+    })
+
+    it('should skip pitchers who were selected but never threw', () => {
+      const game = deriveLiveGame([{ type: 'pitcher', team: 'home', playerId: 'h1' }])
+      const [player] = applyLiveTeamToPlayers([{ id: 'h1' }], game.teams.home)
+      expect(player).toMatchObject({ innings_pitched: [], final_pitch_count: '' })
+    })
+  })
+
+  describe('getLiveMaxInning', () => {
+    it('should be at least 6 and cover extra innings', () => {
+      expect(getLiveMaxInning(deriveLiveGame([]))).toBe(6)
+
+      const events = [{ type: 'pitcher', team: 'home', playerId: 'h1' }, { type: 'pitcher', team: 'away', playerId: 'a1' }]
+      for (let i = 0; i < 14; i++) events.push({ type: 'end_half' })
+      events.push({ type: 'pitch' })
+      expect(getLiveMaxInning(deriveLiveGame(events))).toBe(8)
+    })
+  })
+})
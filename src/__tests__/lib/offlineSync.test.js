@@ -0,0 +1,257 @@
+import { describe, it, expect, vi } from 'vitest'
+import {
+  isNetworkError,
+  withOfflineCache,
+  buildGameDraft,
+  checkDraftConflict,
+  keepDraftVersion,
+  syncDrafts
+} from '../../lib/offlineSync'
+
+// In-memory stand-in for offlineStore.js
+const createStore = (drafts = [], cache = {}) => {
+  const draftMap = new Map(drafts.map(d => [d.id, d]))
+  return {
+    draftMap,
+    listDrafts: vi.fn(async () => [...draftMap.values()].sort((a, b) => a.createdAt.localeCompare(b.createdAt))),
+    putDraft: vi.fn(async (draft) => { draftMap.set(draft.id, draft) }),
+    deleteDraft: vi.fn(async (id) => { draftMap.delete(id) }),
+    getCached: vi.fn(async (key) => cache[key] || null),
+    setCached: vi.fn(async (key, value) => { cache[key] = { value, cachedAt: '2025-05-01T12:00:00.000Z' } })
+  }
+}
+
+// Chainable query mock: every builder method returns the query, and awaiting it resolves to `result`
+const createQuery = (result) => {
+  const query = {
+    select: vi.fn(() => query),
+    eq: vi.fn(() => query),
+    is: vi.fn(() => query),
+    limit: vi.fn(() => query),
+    maybeSingle: vi.fn().mockResolvedValue(result),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  }
+  return query
+}
+
+const createMockClient = (result) => {
+  const query = createQuery(result)
+  return { from: vi.fn(() => query), query }
+}
+
+const networkError = () => new TypeError('Failed to fetch')
+
+const makeDraft = (overrides = {}) => ({
+  ...buildGameDraft({
+    payload: {
+      gameId: null,
+      seasonId: 's1',
+      division: 'Major',
+      formData: { game_date: '2025-05-03', home_team_id: 't1', away_team_id: 't2' },
+      players: []
+    },
+    label: 'Cubs at Sox (May 3)'
+  }),
+  ...overrides
+})
+
+describe('offlineSync', () => {
+  describe('isNetworkError', () => {
+    it('should recognise browser fetch failures', () => {
+      expect(isNetworkError(networkError())).toBe(true)
+      expect(isNetworkError({ message: 'TypeError: Load failed' })).toBe(true)
+    })
+
+    it('should not treat database errors as network errors', () => {
+      expect(isNetworkError({ message: 'duplicate key value violates unique constraint' })).toBe(false)
+    })
+  })
+
+  describe('withOfflineCache', () => {
+    it('should cache data fetched online', async () => {
+      const store = createStore()
+      const result = await withOfflineCache(store, 'teams:s1', async () => [{ id: 't1' }])
+
+      expect(result).toEqual({ data: [{ id: 't1' }], fromCache: false, cachedAt: null })
+      expect(store.setCached).toHaveBeenCalledWith('teams:s1', [{ id: 't1' }])
+    })
+
+    it('should fall back to the cache on a network error', async () => {
+      const store = createStore([], {
+        'teams:s1': { value: [{ id: 't1' }], cachedAt: '2025-05-01T12:00:00.000Z' }
+      })
+      const result = await withOfflineCache(store, 'teams:s1', async () => { throw networkError() })
+
+      expect(result).toEqual({ data: [{ id: 't1' }], fromCache: true, cachedAt: '2025-05-01T12:00:00.000Z' })
+    })
+
+    it('should rethrow when offline with nothing cached', async () => {
+      const store = createStore()
+      await expect(withOfflineCache(store, 'teams:s1', async () => { throw networkError() }))
+        .rejects.toThrow('Failed to fetch')
+    })
+
+    it('should rethrow database errors without using the cache', async () => {
+      const store = createStore([], { 'teams:s1': { value: [], cachedAt: 'x' } })
+      await expect(withOfflineCache(store, 'teams:s1', async () => { throw new Error('permission denied') }))
+        .rejects.toThrow('permission denied')
+      expect(store.getCached).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('checkDraftConflict', () => {
+    it('should report a game entered online with the same date and teams', async () => {
+      const client = createMockClient({ data: [{ id: 'g9', updated_at: '2025-05-03T20:00:00Z' }], error: null })
+      const conflict = await checkDraftConflict(client, makeDraft())
+
+      expect(conflict).toEqual({ type: 'duplicate', serverGameId: 'g9', serverUpdatedAt: '2025-05-03T20:00:00Z' })
+      expect(client.query.eq).toHaveBeenCalledWith('home_team_id', 't1')
+    })
+
+    it('should match a game with a start time on that start time only', async () => {
+      const client = createMockClient({ data: [], error: null })
+      const draft = makeDraft()
+      draft.payload.formData = { ...draft.payload.formData, start_time: '13:00', scorekeeper_team_id: 't1' }
+
+      expect(await checkDraftConflict(client, draft)).toBeNull()
+      expect(client.query.eq).toHaveBeenCalledWith('start_time', '13:00')
+      expect(client.query.is).not.toHaveBeenCalled()
+      expect(client.query.eq).not.toHaveBeenCalledWith('scorekeeper_team_id', 't1')
+    })
+
+    it('should match a game without a start time on games without one and the scorekeeper team', async () => {
+      const client = createMockClient({ data: [], error: null })
+      const draft = makeDraft()
+      draft.payload.formData = { ...draft.payload.formData, scorekeeper_team_id: 't1' }
+
+      expect(await checkDraftConflict(client, draft)).toBeNull()
+      expect(client.query.is).toHaveBeenCalledWith('start_time', null)
+      expect(client.query.eq).toHaveBeenCalledWith('scorekeeper_team_id', 't1')
+    })
+
+    it('should match a missing scorekeeper team on games without one', async () => {
+      const client = createMockClient({ data: [], error: null })
+
+      expect(await checkDraftConflict(client, makeDraft())).toBeNull()
+      expect(client.query.is).toHaveBeenCalledWith('scorekeeper_team_id', null)
+    })
+
+    it('should allow a new game nobody else entered', async () => {
+      const client = createMockClient({ data: [], error: null })
+      expect(await checkDraftConflict(client, makeDraft())).toBeNull()
+    })
+
+    it('should report an edited game that changed on the server', async () => {
+      const client = createMockClient({ data: { id: 'g1', updated_at: '2025-05-04T10:00:00+00:00' }, error: null })
+      const draft = makeDraft({ baseUpdatedAt: '2025-05-03T20:00:00+00:00' })
+      draft.payload.gameId = 'g1'
+
+      expect(await checkDraftConflict(client, draft)).toEqual({
+        type: 'changed',
+        serverUpdatedAt: '2025-05-04T10:00:00+00:00'
+      })
+    })
+
+    it('should compare timestamps rather than their formatting', async () => {
+      const client = createMockClient({ data: { id: 'g1', updated_at: '2025-05-03T20:00:00+00:00' }, error: null })
+      const draft = makeDraft({ baseUpdatedAt: '2025-05-03T20:00:00.000Z' })
+      draft.payload.gameId = 'g1'
+
+      expect(await checkDraftConflict(client, draft)).toBeNull()
+    })
+
+    it('should report an edited game that was deleted', async () => {
+      const client = createMockClient({ data: null, error: null })
+      const draft = makeDraft({ baseUpdatedAt: '2025-05-03T20:00:00Z' })
+      draft.payload.gameId = 'g1'
+
+      expect(await checkDraftConflict(client, draft)).toEqual({ type: 'deleted' })
+    })
+  })
+
+  describe('keepDraftVersion', () => {
+    it('should re-create a deleted game', () => {
+      const draft = makeDraft({ status: 'conflict', conflict: { type: 'deleted' }, baseUpdatedAt: 'x' })
+      draft.payload = { ...draft.payload, gameId: 'g1' }
+
+      const kept = keepDraftVersion(draft)
+      expect(kept).toMatchObject({ status: 'pending', conflict: null, baseUpdatedAt: null })
+      expect(kept.payload).toMatchObject({ gameId: null })
+    })
+
+    it('should overwrite a duplicate entered online', () => {
+      const draft = makeDraft({
+        status: 'conflict',
+        conflict: { type: 'duplicate', serverGameId: 'g9', serverUpdatedAt: '2025-05-03T20:00:00Z' }
+      })
+
+      const kept = keepDraftVersion(draft)
+      expect(kept.payload.gameId).toBe('g9')
+      expect(kept.baseUpdatedAt).toBe('2025-05-03T20:00:00Z')
+    })
+
+    it('should accept the server\'s latest change as the new base', () => {
+      const draft = makeDraft({
+        status: 'conflict',
+        conflict: { type: 'changed', serverUpdatedAt: '2025-05-04T10:00:00Z' },
+        baseUpdatedAt: '2025-05-03T20:00:00Z'
+      })
+
+      expect(keepDraftVersion(draft).baseUpdatedAt).toBe('2025-05-04T10:00:00Z')
+    })
+  })
+
+  describe('syncDrafts', () => {
+    it('should hold a conflicting draft instead of saving it', async () => {
+      const draft = makeDraft()
+      const store = createStore([draft])
+      const client = createMockClient({ data: [{ id: 'g9', updated_at: '2025-05-03T20:00:00Z' }], error: null })
+
+      const result = await syncDrafts(client, store)
+
+      expect(result).toMatchObject({ synced: 0, conflicts: 1, failed: 0, offline: false })
+      expect(store.draftMap.get(draft.id)).toMatchObject({ status: 'conflict', conflict: { type: 'duplicate' } })
+    })
+
+    it('should stop and keep drafts pending when the connection drops', async () => {
+      const first = makeDraft({ createdAt: '2025-05-03T10:00:00Z' })
+      const second = makeDraft({ createdAt: '2025-05-03T11:00:00Z' })
+      const store = createStore([first, second])
+      const client = createMockClient({ data: null, error: { message: 'TypeError: Failed to fetch' } })
+
+      const result = await syncDrafts(client, store)
+
+      expect(result).toMatchObject({ synced: 0, offline: true })
+      expect(client.from).toHaveBeenCalledTimes(1)
+      expect(store.draftMap.get(first.id).status).toBe('pending')
+      expect(store.draftMap.get(second.id).status).toBe('pending')
+    })
+
+    it('should mark a draft as failed on a database error', async () => {
+      const draft = makeDraft()
+      const store = createStore([draft])
+      const client = createMockClient({ data: null, error: { message: 'permission denied for table games' } })
+
+      const result = await syncDrafts(client, store)
+
+      expect(result.failed).toBe(1)
+      expect(store.draftMap.get(draft.id)).toMatchObject({
+        status: 'error',
+        lastError: 'permission denied for table games'
+      })
+    })
+
+    it('should skip drafts waiting on the admin', async () => {
+      const store = createStore([
+        makeDraft({ status: 'conflict', conflict: { type: 'deleted' } }),
+        makeDraft({ status: 'error', lastError: 'boom' })
+      ])
+      const client = createMockClient({ data: [], error: null })
+
+      const result = await syncDrafts(client, store)
+
+      expect(result).toMatchObject({ synced: 0, conflicts: 1, failed: 1 })
+      expect(client.from).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -1,8 +1,12 @@
-import { describe, it, expect } from 'vitest'
+import { describe, it, expect, vi } from 'vitest'
 import {
   PITCH_SMART_RULES,
   getRequiredRestDays,
-  calculateNextEligibleDate
+  calculateNextEligibleDate,
+  rulesFromRows,
+  rulesToRows,
+  validatePitchSmartRules,
+  fetchPitchSmartRules
 } from '../../lib/pitchSmartRules'
 
 describe('pitchSmartRules', () => {
@@ -247,4 +251,153 @@ describe('pitchSmartRules', () => {
       })
     })
   })
+
+  describe('season rule sets', () => {
+    const seasonRules = [
+      {
+        ageMin: 9,
+        ageMax: 12,
+        maxPitchesPerGame: 70,
+        restDayRanges: [
+          { minPitches: 1, maxPitches: 25, restDays: 0 },
+          { minPitches: 26, maxPitches: 999, restDays: 2 }
+        ]
+      }
+    ]
+
+    it('should apply a season rule set to rest day calculations', () => {
+      expect(getRequiredRestDays(10, 25, seasonRules)).toBe(0)
+      expect(getRequiredRestDays(10, 26, seasonRules)).toBe(2)
+      expect(getRequiredRestDays(7, 10, seasonRules)).toBe(null)
+    })
+
+    it('should apply a season rule set to next eligible date', () => {
+      // Default rules: 25 pitches = 1 rest day; season rules: 0 rest days
+      expect(calculateNextEligibleDate('2025-05-10', 10, 25)).toBe('2025-05-12')
+      expect(calculateNextEligibleDate('2025-05-10', 10, 25, seasonRules)).toBe('2025-05-11')
+    })
+
+    describe('rulesFromRows', () => {
+      it('should fall back to defaults when no rows exist', () => {
+        expect(rulesFromRows([])).toBe(PITCH_SMART_RULES)
+        expect(rulesFromRows(null)).toBe(PITCH_SMART_RULES)
+      })
+
+      it('should map database rows and sort by age and pitch count', () => {
+        const rows = [
+          {
+            age_min: 11,
+            age_max: 12,
+            max_pitches_per_game: 80,
+            rest_day_ranges: [
+              { minPitches: 21, maxPitches: 999, restDays: 1 },
+              { minPitches: 1, maxPitches: 20, restDays: 0 }
+            ]
+          },
+          { age_min: 6, age_max: 10, max_pitches_per_game: 50, rest_day_ranges: [] }
+        ]
+
+        const rules = rulesFromRows(rows)
+        expect(rules[0].ageMin).toBe(6)
+        expect(rules[1]).toEqual({
+          ageMin: 11,
+          ageMax: 12,
+          maxPitchesPerGame: 80,
+          restDayRanges: [
+            { minPitches: 1, maxPitches: 20, restDays: 0 },
+            { minPitches: 21, maxPitches: 999, restDays: 1 }
+          ]
+        })
+      })
+
+      it('should round-trip through rulesToRows', () => {
+        expect(rulesFromRows(rulesToRows(PITCH_SMART_RULES))).toEqual(PITCH_SMART_RULES)
+      })
+    })
+
+    describe('validatePitchSmartRules', () => {
+      it('should accept the default rules', () => {
+        expect(validatePitchSmartRules(PITCH_SMART_RULES)).toEqual([])
+      })
+
+      it('should require at least one age band', () => {
+        expect(validatePitchSmartRules([])).toHaveLength(1)
+      })
+
+      it('should reject overlapping age bands', () => {
+        const rules = [
+          { ...PITCH_SMART_RULES[0], ageMin: 6, ageMax: 9 },
+          PITCH_SMART_RULES[1]
+        ]
+        expect(validatePitchSmartRules(rules).some(e => e.includes('overlaps'))).toBe(true)
+      })
+
+      it('should reject gaps between pitch ranges', () => {
+        const rules = [{
+          ageMin: 9,
+          ageMax: 10,
+          maxPitchesPerGame: 75,
+          restDayRanges: [
+            { minPitches: 1, maxPitches: 20, restDays: 0 },
+            { minPitches: 25, maxPitches: 999, restDays: 1 }
+          ]
+        }]
+        expect(validatePitchSmartRules(rules)).toHaveLength(1)
+      })
+
+      it('should reject rest days that decrease as pitches increase', () => {
+        const rules = [{
+          ageMin: 9,
+          ageMax: 10,
+          maxPitchesPerGame: 75,
+          restDayRanges: [
+            { minPitches: 1, maxPitches: 20, restDays: 2 },
+            { minPitches: 21, maxPitches: 999, restDays: 1 }
+          ]
+        }]
+        expect(validatePitchSmartRules(rules).some(e => e.includes('cannot decrease'))).toBe(true)
+      })
+
+      it('should reject a non-positive daily max', () => {
+        const rules = [{ ...PITCH_SMART_RULES[1], maxPitchesPerGame: 0 }]
+        expect(validatePitchSmartRules(rules).some(e => e.includes('daily max'))).toBe(true)
+      })
+    })
+
+    describe('fetchPitchSmartRules', () => {
+      const createMockClient = (result) => {
+        const query = {
+          select: vi.fn().mockReturnThis(),
+          eq: vi.fn().mockReturnThis(),
+          order: vi.fn().mockResolvedValue(result)
+        }
+        return { from: vi.fn(() => query), query }
+      }
+
+      it('should return defaults without querying when no season is given', async () => {
+        const client = createMockClient({ data: [], error: null })
+        const result = await fetchPitchSmartRules(client, null)
+        expect(result).toEqual({ rules: PITCH_SMART_RULES, isDefault: true })
+        expect(client.from).not.toHaveBeenCalled()
+      })
+
+      it('should query pitch_count_rules for the season', async () => {
+        const client = createMockClient({
+          data: [{ age_min: 9, age_max: 12, max_pitches_per_game: 70, rest_day_ranges: [] }],
+          error: null
+        })
+        const result = await fetchPitchSmartRules(client, 'season-1')
+
+        expect(client.from).toHaveBeenCalledWith('pitch_count_rules')
+        expect(client.query.eq).toHaveBeenCalledWith('season_id', 'season-1')
+        expect(result.isDefault).toBe(false)
+        expect(result.rules[0].maxPitchesPerGame).toBe(70)
+      })
+
+      it('should throw query errors', async () => {
+        const client = createMockClient({ data: null, error: new Error('boom') })
+        await expect(fetchPitchSmartRules(client, 'season-1')).rejects.toThrow('boom')
+      })
+    })
+  })
 })
@@ -0,0 +1,186 @@
+import { describe, it, expect, vi } from 'vitest'
+import {
+  isEligibleToPitch,
+  fetchEligibilityDatesBeforeDate,
+  fetchLastOutingsBeforeDate,
+  getPitcherAvailability,
+  compareGamesInDay,
+  sumEarlierPitchesToday
+} from '../../lib/pitcherEligibility'
+
+describe('pitcherEligibility', () => {
+  describe('isEligibleToPitch', () => {
+    it('should be eligible on or after the next eligible date', () => {
+      expect(isEligibleToPitch('2025-05-06', '2025-05-06')).toBe(true)
+      expect(isEligibleToPitch('2025-05-06', '2025-05-07')).toBe(true)
+    })
+
+    it('should be ineligible before the next eligible date', () => {
+      expect(isEligibleToPitch('2025-05-06', '2025-05-05')).toBe(false)
+    })
+
+    it('should be eligible when the player has no eligibility date', () => {
+      expect(isEligibleToPitch(null, '2025-05-05')).toBe(true)
+    })
+  })
+
+  describe('fetchEligibilityDatesBeforeDate', () => {
+    const createMockClient = (result) => {
+      const query = {
+        select: vi.fn(() => query),
+        in: vi.fn(() => query),
+        lt: vi.fn(() => query),
+        not: vi.fn(() => query),
+        neq: vi.fn(() => query),
+        order: vi.fn().mockResolvedValue(result)
+      }
+      return { from: vi.fn(() => query), query }
+    }
+
+    it('should return an empty map without players', async () => {
+      const client = createMockClient({ data: [], error: null })
+      expect(await fetchEligibilityDatesBeforeDate(client, [], '2025-05-05')).toEqual({})
+      expect(client.from).not.toHaveBeenCalled()
+    })
+
+    it('should keep the most recent date per player', async () => {
+      const client = createMockClient({
+        data: [
+          { player_id: 'p1', next_eligible_pitch_date: '2025-05-08' },
+          { player_id: 'p2', next_eligible_pitch_date: '2025-05-02' },
+          { player_id: 'p1', next_eligible_pitch_date: '2025-05-01' }
+        ],
+        error: null
+      })
+
+      const result = await fetchEligibilityDatesBeforeDate(client, ['p1', 'p2'], '2025-05-10')
+
+      expect(client.from).toHaveBeenCalledWith('pitching_logs')
+      expect(client.query.lt).toHaveBeenCalledWith('pitch_date', '2025-05-10')
+      expect(client.query.neq).not.toHaveBeenCalled()
+      expect(result).toEqual({ p1: '2025-05-08', p2: '2025-05-02' })
+    })
+
+    it('should leave out an excluded game', async () => {
+      const client = createMockClient({ data: [], error: null })
+      await fetchEligibilityDatesBeforeDate(client, ['p1'], '2025-05-10', 'g1')
+      expect(client.query.neq).toHaveBeenCalledWith('game_id', 'g1')
+    })
+
+    it('should throw query errors', async () => {
+      const client = createMockClient({ data: null, error: new Error('boom') })
+      await expect(fetchEligibilityDatesBeforeDate(client, ['p1'], '2025-05-10')).rejects.toThrow('boom')
+    })
+  })
+
+  describe('fetchLastOutingsBeforeDate', () => {
+    const createMockClient = (result) => {
+      const query = {
+        select: vi.fn(() => query),
+        in: vi.fn(() => query),
+        lt: vi.fn(() => query),
+        neq: vi.fn(() => query),
+        order: vi.fn().mockResolvedValue(result)
+      }
+      return { from: vi.fn(() => query), query }
+    }
+
+    it('should return an empty map without players', async () => {
+      const client = createMockClient({ data: [], error: null })
+      expect(await fetchLastOutingsBeforeDate(client, [], '2025-05-05')).toEqual({})
+      expect(client.from).not.toHaveBeenCalled()
+    })
+
+    it('should sum the official counts of the latest pitching date per player', async () => {
+      const client = createMockClient({
+        data: [
+          { player_id: 'p1', penultimate_batter_count: 29, next_eligible_pitch_date: '2025-05-06', pitch_date: '2025-05-03' },
+          { player_id: 'p1', penultimate_batter_count: 9, next_eligible_pitch_date: '2025-05-07', pitch_date: '2025-05-03' },
+          { player_id: 'p2', penultimate_batter_count: 20, next_eligible_pitch_date: '2025-05-02', pitch_date: '2025-05-01' },
+          { player_id: 'p1', penultimate_batter_count: 50, next_eligible_pitch_date: '2025-04-30', pitch_date: '2025-04-27' }
+        ],
+        error: null
+      })
+
+      const result = await fetchLastOutingsBeforeDate(client, ['p1', 'p2'], '2025-05-10', 'g1')
+
+      expect(client.query.lt).toHaveBeenCalledWith('pitch_date', '2025-05-10')
+      expect(client.query.neq).toHaveBeenCalledWith('game_id', 'g1')
+      expect(result).toEqual({
+        p1: { pitch_date: '2025-05-03', official_count: 40, next_eligible_pitch_date: '2025-05-07' },
+        p2: { pitch_date: '2025-05-01', official_count: 21, next_eligible_pitch_date: '2025-05-02' }
+      })
+    })
+
+    it('should throw query errors', async () => {
+      const client = createMockClient({ data: null, error: new Error('boom') })
+      await expect(fetchLastOutingsBeforeDate(client, ['p1'], '2025-05-10')).rejects.toThrow('boom')
+    })
+  })
+
+  describe('getPitcherAvailability', () => {
+    it('should be available with no outstanding rest', () => {
+      expect(getPitcherAvailability({ nextEligibleDate: null, gameDate: '2025-05-05' }))
+        .toEqual({ available: true, reason: null })
+      expect(getPitcherAvailability({ nextEligibleDate: '2025-05-05', gameDate: '2025-05-05', earlierPitches: 30, maxPitches: 75 }))
+        .toEqual({ available: true, reason: null })
+    })
+
+    it('should not be available before the next eligible date', () => {
+      expect(getPitcherAvailability({ nextEligibleDate: '2025-05-06', gameDate: '2025-05-05' }))
+        .toEqual({ available: false, reason: 'rest' })
+    })
+
+    it('should not be available once earlier games that day reached the daily maximum', () => {
+      expect(getPitcherAvailability({ nextEligibleDate: null, gameDate: '2025-05-05', earlierPitches: 75, maxPitches: 75 }))
+        .toEqual({ available: false, reason: 'daily_max' })
+    })
+  })
+
+  describe('compareGamesInDay', () => {
+    it('should order by start time, then by entry time', () => {
+      expect(compareGamesInDay({ start_time: '09:00:00' }, { start_time: '13:00' })).toBeLessThan(0)
+      expect(compareGamesInDay(
+        { start_time: '13:00', created_at: '2025-05-03T20:00:00Z' },
+        { start_time: '13:00:00', created_at: '2025-05-03T18:00:00Z' }
+      )).toBeGreaterThan(0)
+    })
+
+    it('should put untimed and unsaved games last', () => {
+      expect(compareGamesInDay({ start_time: null }, { start_time: '18:00' })).toBeGreaterThan(0)
+      expect(compareGamesInDay({ created_at: '2025-05-03T18:00:00Z' }, {})).toBeLessThan(0)
+    })
+  })
+
+  describe('sumEarlierPitchesToday', () => {
+    const logs = [
+      { player_id: 'p1', penultimate_batter_count: 30, games: { id: 'g1', game_date: '2025-05-03', start_time: '09:00:00' } },
+      { player_id: 'p1', penultimate_batter_count: 20, games: { id: 'g2', game_date: '2025-05-03', start_time: '13:00:00' } },
+      { player_id: 'p1', penultimate_batter_count: 10, games: { id: 'g3', game_date: '2025-05-03', start_time: '17:00:00' } },
+      { player_id: 'p2', penultimate_batter_count: 40, games: { id: 'g0', game_date: '2025-05-02', start_time: '09:00:00' } }
+    ]
+
+    it('should only count earlier games on the same date', () => {
+      expect(sumEarlierPitchesToday(logs, { id: 'g3', game_date: '2025-05-03', start_time: '17:00' }))
+        .toEqual({ p1: 52 })
+      expect(sumEarlierPitchesToday(logs, { id: 'g1', game_date: '2025-05-03', start_time: '09:00' }))
+        .toEqual({})
+    })
+
+    it('should treat a new game without a start time as the last game of the day', () => {
+      expect(sumEarlierPitchesToday(logs, { id: null, game_date: '2025-05-03', start_time: '' }))
+        .toEqual({ p1: 63 })
+    })
+
+    it('should count the resumed portion of a suspended game first on its date', () => {
+      const resumed = [
+        { player_id: 'p1', penultimate_batter_count: 15, pitch_date: '2025-05-10', games: { id: 'g4', game_date: '2025-05-03', start_time: '18:00:00' } },
+        { player_id: 'p1', penultimate_batter_count: 25, pitch_date: '2025-05-03', games: { id: 'g4', game_date: '2025-05-03', start_time: '18:00:00' } }
+      ]
+      expect(sumEarlierPitchesToday(resumed, { id: 'g5', game_date: '2025-05-10', start_time: '09:00' }))
+        .toEqual({ p1: 16 })
+      expect(sumEarlierPitchesToday(resumed, { id: 'g6', game_date: '2025-05-03', start_time: '09:00' }))
+        .toEqual({})
+    })
+  })
+})
@@ -0,0 +1,89 @@
+import { describe, it, expect, vi } from 'vitest'
+import {
+  archivePlayer,
+  deletePlayerPermanently,
+  restoreArchivedPlayer,
+  summarizePlayerGames
+} from '../../lib/playerArchive'
+
+const makeUpdateClient = (error = null) => {
+  const query = {
+    update: vi.fn(() => query),
+    eq: vi.fn().mockResolvedValue({ error })
+  }
+  return { from: vi.fn(() => query), query }
+}
+
+const game = (gameDate, overrides = {}) => ({
+  game_date: gameDate,
+  signoff_status: null,
+  home_team: { name: 'Cubs' },
+  away_team: { name: 'Mets' },
+  ...overrides
+})
+
+describe('playerArchive', () => {
+  describe('archivePlayer / restoreArchivedPlayer', () => {
+    it('should set and clear archived_at', async () => {
+      const client = makeUpdateClient()
+
+      await archivePlayer(client, 'p1')
+      expect(client.from).toHaveBeenCalledWith('players')
+      expect(client.query.update).toHaveBeenCalledWith({ archived_at: expect.any(String) })
+      expect(client.query.eq).toHaveBeenCalledWith('id', 'p1')
+
+      await restoreArchivedPlayer(client, 'p1')
+      expect(client.query.update).toHaveBeenCalledWith({ archived_at: null })
+    })
+
+    it('should explain a jersey number clash when restoring', async () => {
+      const client = makeUpdateClient({ code: '23505', message: 'duplicate key' })
+
+      await expect(restoreArchivedPlayer(client, 'p1')).rejects.toThrow(/same jersey number/)
+    })
+  })
+
+  describe('summarizePlayerGames', () => {
+    it('should list each game oldest first with what the player recorded', () => {
+      const attendance = [
+        { game_id: 'g2', was_present: true, game: game('2026-05-08', { signoff_status: 'confirmed' }) },
+        { game_id: 'g1', was_present: true, game: game('2026-05-01') },
+        { game_id: 'g3', was_present: false, game: game('2026-05-15') }
+      ]
+      const pitchingLogs = [
+        { game_id: 'g1', penultimate_batter_count: 30 },
+        { game_id: 'g1', penultimate_batter_count: 9 }
+      ]
+      const positions = [
+        { game_id: 'g2', position: 'catcher' },
+        { game_id: 'g1', position: 'pitcher' }
+      ]
+
+      expect(summarizePlayerGames(attendance, pitchingLogs, positions)).toEqual([
+        { gameId: 'g1', gameDate: '2026-05-01', awayTeamName: 'Mets', homeTeamName: 'Cubs', wasPresent: true, pitches: 41, caught: false, locked: false },
+        { gameId: 'g2', gameDate: '2026-05-08', awayTeamName: 'Mets', homeTeamName: 'Cubs', wasPresent: true, pitches: null, caught: true, locked: true },
+        { gameId: 'g3', gameDate: '2026-05-15', awayTeamName: 'Mets', homeTeamName: 'Cubs', wasPresent: false, pitches: null, caught: false, locked: false }
+      ])
+    })
+
+    it('should skip attendance rows whose game is hidden', () => {
+      expect(summarizePlayerGames([{ game_id: 'g1', was_present: true, game: null }], [], [])).toEqual([])
+    })
+  })
+
+  describe('deletePlayerPermanently', () => {
+    it('should return the number of games recalculated', async () => {
+      const client = { rpc: vi.fn().mockResolvedValue({ data: 4, error: null }) }
+
+      expect(await deletePlayerPermanently(client, 'p1')).toBe(4)
+      expect(client.rpc).toHaveBeenCalledWith('delete_player_permanently', { p_player_id: 'p1' })
+    })
+
+    it('should pass database errors through', async () => {
+      const error = new Error('Only super admins can delete players')
+      const client = { rpc: vi.fn().mockResolvedValue({ data: null, error }) }
+
+      await expect(deletePlayerPermanently(client, 'p1')).rejects.toBe(error)
+    })
+  })
+})
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest'
-import { parsePlayerCsv, PLAYER_AGE_MIN, PLAYER_AGE_MAX } from '../../lib/playerCsvUtils'
+import { parsePlayerCsv, validateBirthdate, PLAYER_AGE_MIN, PLAYER_AGE_MAX } from '../../lib/playerCsvUtils'
 
 describe('playerCsvUtils', () => {
   const testTeamId = 'test-team-uuid'
@@ -75,12 +75,32 @@ Jane Doe, 11`
       expect(result[0].age).toBe(12)
     })
 
+    it('should compute the league age from a birthdate', () => {
+      const csv = `Sam Lee, 2015-09-01, 8
+Ana Ruiz, 2015-08-31`
+      const result = parsePlayerCsv(csv, testTeamId, '2026-08-31')
+
+      expect(result).toEqual([
+        { name: 'Sam Lee', age: 10, birthdate: '2015-09-01', jersey_number: '8', team_id: testTeamId },
+        { name: 'Ana Ruiz', age: 11, birthdate: '2015-08-31', jersey_number: null, team_id: testTeamId }
+      ])
+    })
+
+    it('should mix ages and birthdates', () => {
+      const csv = `John Smith, 10, 5
+Sam Lee, 2015-09-01`
+      const result = parsePlayerCsv(csv, testTeamId, '2026-08-31')
+
+      expect(result.map(p => p.age)).toEqual([10, 10])
+      expect(result[0].birthdate).toBeUndefined()
+    })
+
     describe('validation errors', () => {
       it('should throw error for missing age (invalid format)', () => {
         const csv = 'John Smith'
 
         expect(() => parsePlayerCsv(csv, testTeamId)).toThrow(
-          'Line 1: Invalid format. Expected: Name, Age, Jersey# (optional)'
+          'Line 1: Invalid format. Expected: Name, Age or Birthdate, Jersey# (optional)'
         )
       })
 
@@ -137,6 +157,32 @@ Bad Line`
 
         expect(() => parsePlayerCsv(csv, testTeamId)).toThrow('Line 2:')
       })
+
+      it('should throw error for an invalid birthdate', () => {
+        expect(() => parsePlayerCsv('Sam Lee, 2015-02-30', testTeamId, '2026-08-31')).toThrow(
+          'Line 1: Birthdate must be a date (YYYY-MM-DD)'
+        )
+      })
+
+      it('should throw error for a birthdate outside the league ages', () => {
+        expect(() => parsePlayerCsv('Sam Lee, 2012-01-01', testTeamId, '2026-08-31')).toThrow(
+          'Line 1: League age 14 must be between 6 and 12'
+        )
+      })
+
+      it('should throw error for a birthdate without a cutoff date', () => {
+        expect(() => parsePlayerCsv('Sam Lee, 2015-09-01', testTeamId)).toThrow('Line 1:')
+      })
+    })
+  })
+
+  describe('validateBirthdate', () => {
+    it('should accept birthdates within the league ages', () => {
+      expect(validateBirthdate('2015-09-01', '2026-08-31')).toBeNull()
+    })
+
+    it('should reject league ages outside the range', () => {
+      expect(validateBirthdate('2021-01-01', '2026-08-31')).toBe('League age 5 must be between 6 and 12')
     })
   })
 
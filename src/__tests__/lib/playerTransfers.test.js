@@ -0,0 +1,102 @@
+import { describe, it, expect, vi } from 'vitest'
+import {
+  buildGamePlayerTeams,
+  describeTransfer,
+  fetchTeamTransfers,
+  getGamePlayerTeamId,
+  transferPlayer
+} from '../../lib/playerTransfers'
+
+describe('playerTransfers', () => {
+  describe('transferPlayer', () => {
+    it('should call transfer_player with the transfer', async () => {
+      const client = { rpc: vi.fn().mockResolvedValue({ data: 'tr1', error: null }) }
+
+      const id = await transferPlayer(client, {
+        playerId: 'p1',
+        toTeamId: 't2',
+        effectiveDate: '2026-05-10',
+        note: 'Moved up'
+      })
+
+      expect(id).toBe('tr1')
+      expect(client.rpc).toHaveBeenCalledWith('transfer_player', {
+        p_player_id: 'p1',
+        p_to_team_id: 't2',
+        p_effective_date: '2026-05-10',
+        p_note: 'Moved up'
+      })
+    })
+
+    it('should explain a jersey number clash on the new team', async () => {
+      const client = { rpc: vi.fn().mockResolvedValue({ data: null, error: { code: '23505', message: 'duplicate key' } }) }
+
+      await expect(transferPlayer(client, { playerId: 'p1', toTeamId: 't2', effectiveDate: '2026-05-10' }))
+        .rejects.toThrow('already has this jersey number')
+    })
+
+    it('should pass other database errors through', async () => {
+      const error = new Error('The player played for their current team on 2026-05-12')
+      const client = { rpc: vi.fn().mockResolvedValue({ data: null, error }) }
+
+      await expect(transferPlayer(client, { playerId: 'p1', toTeamId: 't2', effectiveDate: '2026-05-10' }))
+        .rejects.toBe(error)
+    })
+  })
+
+  describe('fetchTeamTransfers', () => {
+    const createMockClient = (result) => {
+      const query = {
+        select: vi.fn(() => query),
+        or: vi.fn(() => query),
+        order: vi.fn().mockResolvedValue(result)
+      }
+      return { from: vi.fn(() => query), query }
+    }
+
+    it('should fetch transfers into and out of the team', async () => {
+      const rows = [{ id: 'tr1', from_team_id: 't1', to_team_id: 't2' }]
+      const client = createMockClient({ data: rows, error: null })
+
+      expect(await fetchTeamTransfers(client, 't1')).toEqual(rows)
+      expect(client.from).toHaveBeenCalledWith('player_transfers')
+      expect(client.query.or).toHaveBeenCalledWith('from_team_id.eq.t1,to_team_id.eq.t1')
+      expect(client.query.order).toHaveBeenCalledWith('effective_date', { ascending: false })
+    })
+
+    it('should throw on a database error', async () => {
+      const client = createMockClient({ data: null, error: new Error('permission denied') })
+
+      await expect(fetchTeamTransfers(client, 't1')).rejects.toThrow('permission denied')
+    })
+  })
+
+  describe('describeTransfer', () => {
+    const transfer = {
+      from_team_id: 't1',
+      to_team_id: 't2',
+      from_team: { name: 'Minor Cubs' },
+      to_team: { name: 'Major Cubs' }
+    }
+
+    it('should describe the transfer from each team\'s side', () => {
+      expect(describeTransfer(transfer, 't1')).toEqual({ direction: 'out', text: 'Transferred to Major Cubs' })
+      expect(describeTransfer(transfer, 't2')).toEqual({ direction: 'in', text: 'Transferred from Minor Cubs' })
+    })
+  })
+
+  describe('getGamePlayerTeamId / buildGamePlayerTeams', () => {
+    it('should use the team recorded with the game over the current team', () => {
+      expect(getGamePlayerTeamId({ team_id: 't1', player: { team_id: 't2' } })).toBe('t1')
+      expect(getGamePlayerTeamId({ team_id: null, player: { team_id: 't2' } })).toBe('t2')
+      expect(getGamePlayerTeamId({})).toBeNull()
+    })
+
+    it('should key the teams by player and game', () => {
+      expect(buildGamePlayerTeams([
+        { game_id: 'g1', player_id: 'p1', team_id: 't1' },
+        { game_id: 'g2', player_id: 'p1', team_id: 't2' }
+      ])).toEqual({ p1_g1: 't1', p1_g2: 't2' })
+    })
+  })
+})
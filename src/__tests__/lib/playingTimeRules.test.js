@@ -0,0 +1,175 @@
+import { describe, it, expect } from 'vitest'
+import {
+  INFIELD_POSITIONS,
+  getPlannedInnings,
+  getBenchPlayers,
+  getPlayerPlayingTimeViolations,
+  getLineupViolations,
+  getRecordedPlayingTimeViolations,
+  getGamePlayingTimeViolations
+} from '../../lib/playingTimeRules'
+
+const INNINGS = [1, 2, 3, 4, 5, 6]
+
+// Build a positions object where the given player plays `pos` in the given innings
+// and a filler player covers every inning so all innings count as planned
+const buildPositions = (assignments) => {
+  const positions = {}
+  INNINGS.forEach(inning => {
+    positions[inning] = { RF: 'filler' }
+  })
+  assignments.forEach(([playerId, pos, innings]) => {
+    innings.forEach(inning => {
+      positions[inning][pos] = playerId
+    })
+  })
+  return positions
+}
+
+describe('playingTimeRules', () => {
+  it('should treat P, C, 1B, 2B, SS and 3B as infield', () => {
+    expect(INFIELD_POSITIONS).toEqual(['P', 'C', '1B', '2B', 'SS', '3B'])
+  })
+
+  describe('getPlannedInnings', () => {
+    it('should only include innings with an assigned position', () => {
+      const positions = { 1: { P: 'p1' }, 2: { P: '' }, 3: {}, 4: { LF: 'p2' } }
+      expect(getPlannedInnings(positions, INNINGS)).toEqual([1, 4])
+    })
+  })
+
+  describe('getBenchPlayers', () => {
+    it('should return players without a position that inning', () => {
+      const positions = { 1: { P: 'p1', C: 'p2' } }
+      expect(getBenchPlayers(['p1', 'p2', 'p3'], positions, 1)).toEqual(['p3'])
+      expect(getBenchPlayers(['p1', 'p2', 'p3'], positions, 2)).toEqual(['p1', 'p2', 'p3'])
+    })
+  })
+
+  describe('Rule 7: No consecutive sitting', () => {
+    it('should allow sitting non-consecutive innings', () => {
+      const positions = buildPositions([['p1', 'SS', [1, 2, 4, 6]]])
+      const violations = getPlayerPlayingTimeViolations('p1', positions, INNINGS)
+      expect(violations.find(v => v.rule_id === 'consecutive_sitting')).toBeUndefined()
+    })
+
+    it('should flag sitting two consecutive innings', () => {
+      const positions = buildPositions([['p1', 'SS', [1, 2, 5, 6]]])
+      const violations = getPlayerPlayingTimeViolations('p1', positions, INNINGS)
+      expect(violations).toEqual([{
+        rule_id: 'consecutive_sitting',
+        player_id: 'p1',
+        innings: [3, 4],
+        message: 'Sits out innings 3, 4'
+      }])
+    })
+
+    it('should report every consecutive run', () => {
+      const positions = buildPositions([['p1', 'SS', [3, 6]]])
+      const violation = getPlayerPlayingTimeViolations('p1', positions, INNINGS)
+        .find(v => v.rule_id === 'consecutive_sitting')
+      expect(violation.innings).toEqual([1, 2, 4, 5])
+    })
+
+    it('should ignore innings that have not been planned yet', () => {
+      // Only innings 1-3 filled in; p1 sits inning 3 only
+      const positions = { 1: { SS: 'p1' }, 2: { SS: 'p1' }, 3: { SS: 'p2' } }
+      const violations = getPlayerPlayingTimeViolations('p1', positions, INNINGS)
+      expect(violations).toEqual([])
+    })
+
+    it('should not treat planned innings separated by an unplanned inning as consecutive', () => {
+      const positions = { 1: { SS: 'p1' }, 2: { SS: 'p2' }, 4: { SS: 'p2' }, 5: { SS: 'p1' } }
+      const violations = getPlayerPlayingTimeViolations('p1', positions, INNINGS)
+      expect(violations).toEqual([])
+    })
+  })
+
+  describe('Rule 8: Minimum infield requirement', () => {
+    it('should flag a player who only plays the outfield', () => {
+      const positions = buildPositions([['p1', 'LF', INNINGS]])
+      const violations = getPlayerPlayingTimeViolations('p1', positions, INNINGS)
+      expect(violations).toEqual([{
+        rule_id: 'no_infield_inning',
+        player_id: 'p1',
+        innings: [],
+        message: 'No infield inning (P, C, 1B, 2B, SS or 3B)'
+      }])
+    })
+
+    it('should accept a single infield inning', () => {
+      const positions = buildPositions([['p1', 'CF', [1, 2, 3, 4, 5]], ['p1', 'SS', [6]]])
+      expect(getPlayerPlayingTimeViolations('p1', positions, INNINGS)).toEqual([])
+    })
+
+    it('should count pitcher and catcher as infield', () => {
+      expect(getPlayerPlayingTimeViolations('p1', buildPositions([['p1', 'LF', [1, 2, 3, 4, 5]], ['p1', 'P', [6]]]), INNINGS)).toEqual([])
+      expect(getPlayerPlayingTimeViolations('p1', buildPositions([['p1', 'LF', [1, 2, 3, 4, 5]], ['p1', 'C', [6]]]), INNINGS)).toEqual([])
+    })
+  })
+
+  describe('getLineupViolations', () => {
+    it('should return nothing for an empty grid', () => {
+      expect(getLineupViolations(['p1', 'p2'], {}, INNINGS)).toEqual({})
+    })
+
+    it('should map players to their violations and omit compliant players', () => {
+      const positions = buildPositions([
+        ['p1', 'SS', INNINGS],
+        ['p2', 'LF', [1, 2, 5, 6]]
+      ])
+      const result = getLineupViolations(['p1', 'p2'], positions, INNINGS)
+
+      expect(Object.keys(result)).toEqual(['p2'])
+      expect(result.p2.map(v => v.rule_id)).toEqual(['consecutive_sitting', 'no_infield_inning'])
+    })
+  })
+
+  describe('getRecordedPlayingTimeViolations', () => {
+    const recorded = (rows) => rows.map(([inning, position]) => ({ player_id: 'p1', inning_number: inning, position }))
+
+    it('should skip players with only pitching and catching recorded', () => {
+      expect(getRecordedPlayingTimeViolations('p1', recorded([[1, 'pitcher'], [2, 'pitcher']]))).toEqual([])
+    })
+
+    it('should count bench records as sitting out', () => {
+      const violations = getRecordedPlayingTimeViolations('p1', recorded([
+        [1, 'shortstop'], [2, 'bench'], [3, 'bench'], [4, 'left_field']
+      ]))
+      expect(violations).toEqual([{
+        rule_id: 'consecutive_sitting',
+        player_id: 'p1',
+        innings: [2, 3],
+        message: 'Sat out innings 2, 3'
+      }])
+    })
+
+    it('should not join sitting innings across an inning without records', () => {
+      const positions = recorded([[1, 'catcher'], [2, 'bench'], [4, 'bench'], [5, 'right_field']])
+      expect(getRecordedPlayingTimeViolations('p1', positions)).toEqual([])
+    })
+
+    it('should require an infield inning', () => {
+      const violations = getRecordedPlayingTimeViolations('p1', recorded([[1, 'left_field'], [2, 'bench'], [3, 'center_field']]))
+      expect(violations.map(v => v.rule_id)).toEqual(['no_infield_inning'])
+    })
+  })
+
+  describe('getGamePlayingTimeViolations', () => {
+    it('should check each player and record no pitch count', () => {
+      const positions = [
+        { player_id: 'p1', inning_number: 1, position: 'pitcher' },
+        { player_id: 'p2', inning_number: 1, position: 'bench' },
+        { player_id: 'p2', inning_number: 2, position: 'bench' },
+        { player_id: 'p2', inning_number: 3, position: 'first_base' }
+      ]
+      expect(getGamePlayingTimeViolations(positions)).toEqual([{
+        rule_id: 'consecutive_sitting',
+        player_id: 'p2',
+        innings: [1, 2],
+        message: 'Sat out innings 1, 2',
+        pitch_count: null
+      }])
+    })
+  })
+})
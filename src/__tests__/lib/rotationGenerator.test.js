@@ -0,0 +1,195 @@
+import { describe, it, expect } from 'vitest'
+import { generateRotation, resolveLocks, FIELD_POSITIONS } from '../../lib/rotationGenerator'
+import { INFIELD_POSITIONS, getLineupViolations } from '../../lib/playingTimeRules'
+
+const INNINGS = [1, 2, 3, 4, 5, 6]
+const roster = (n) => Array.from({ length: n }, (_, i) => `p${i + 1}`)
+
+const inningsAt = (positions, playerId, position) =>
+  INNINGS.filter(inning => positions[inning]?.[position] === playerId)
+
+describe('rotationGenerator', () => {
+  describe('generateRotation', () => {
+    it('should return an empty grid for an empty batting order', () => {
+      expect(generateRotation({ battingOrder: [], innings: INNINGS })).toEqual({
+        positions: {},
+        warnings: [],
+        violations: {}
+      })
+    })
+
+    it.each([9, 10, 11, 12, 13, 14])('should satisfy Rules 7 and 8 with %i players', (n) => {
+      const battingOrder = roster(n)
+      const { positions, warnings } = generateRotation({ battingOrder, innings: INNINGS })
+
+      expect(getLineupViolations(battingOrder, positions, INNINGS)).toEqual({})
+      expect(warnings).toEqual([])
+
+      INNINGS.forEach(inning => {
+        const fielded = Object.values(positions[inning])
+        expect(fielded).toHaveLength(9)
+        expect(new Set(fielded).size).toBe(9)
+      })
+    })
+
+    it('should balance infield innings across the roster', () => {
+      const battingOrder = roster(12)
+      const { positions } = generateRotation({ battingOrder, innings: INNINGS })
+
+      const infieldCounts = battingOrder.map(id =>
+        INNINGS.filter(inning =>
+          INFIELD_POSITIONS.some(pos => positions[inning][pos] === id)
+        ).length
+      )
+      expect(Math.max(...infieldCounts) - Math.min(...infieldCounts)).toBeLessThanOrEqual(2)
+    })
+
+    it('should never bring a pitcher back after they leave the mound', () => {
+      const { positions } = generateRotation({ battingOrder: roster(12), innings: INNINGS })
+
+      const pitchers = [...new Set(INNINGS.map(inning => positions[inning].P))]
+      pitchers.forEach(id => {
+        const pitched = inningsAt(positions, id, 'P')
+        expect(pitched[pitched.length - 1] - pitched[0] + 1).toBe(pitched.length)
+      })
+    })
+
+    it('should keep pitchers and catchers apart', () => {
+      const { positions } = generateRotation({ battingOrder: roster(12), innings: INNINGS })
+
+      const pitchers = new Set(INNINGS.map(inning => positions[inning].P))
+      const catchers = new Set(INNINGS.map(inning => positions[inning].C))
+      expect([...pitchers].some(id => catchers.has(id))).toBe(false)
+    })
+
+    it('should not place ineligible pitchers at P', () => {
+      const ineligiblePitchers = ['p1', 'p2', 'p3']
+      const { positions } = generateRotation({
+        battingOrder: roster(10),
+        innings: INNINGS,
+        ineligiblePitchers
+      })
+
+      INNINGS.forEach(inning => {
+        expect(ineligiblePitchers).not.toContain(positions[inning].P)
+      })
+    })
+
+    it('should warn when no eligible pitcher is left', () => {
+      const { positions, warnings } = generateRotation({
+        battingOrder: roster(9),
+        innings: INNINGS,
+        ineligiblePitchers: roster(9)
+      })
+
+      expect(positions[1].P).toBeUndefined()
+      expect(warnings).toContain('No eligible pitcher left for inning 1')
+    })
+
+    it('should respect locks', () => {
+      const { positions } = generateRotation({
+        battingOrder: roster(11),
+        innings: INNINGS,
+        locks: [
+          { playerId: 'p7', position: 'C', innings: [1, 2] },
+          { playerId: 'p9', position: 'P', innings: [3, 4] },
+          { playerId: 'p2', position: 'SS', innings: [6] }
+        ]
+      })
+
+      expect(inningsAt(positions, 'p7', 'C')).toEqual(expect.arrayContaining([1, 2]))
+      expect(inningsAt(positions, 'p9', 'P')).toEqual([3, 4])
+      expect(positions[6].SS).toBe('p2')
+    })
+
+    it('should not let a player locked to pitch later pitch earlier', () => {
+      const { positions } = generateRotation({
+        battingOrder: roster(10),
+        innings: INNINGS,
+        locks: [{ playerId: 'p1', position: 'P', innings: [5, 6] }]
+      })
+
+      expect(inningsAt(positions, 'p1', 'P')).toEqual([5, 6])
+    })
+
+    it('should not make a player locked to catch later pitch earlier', () => {
+      const { positions } = generateRotation({
+        battingOrder: roster(10),
+        innings: INNINGS,
+        locks: [{ playerId: 'p1', position: 'C', innings: [3, 4, 5, 6] }]
+      })
+
+      expect(inningsAt(positions, 'p1', 'C')).toEqual(expect.arrayContaining([3, 4, 5, 6]))
+      expect(inningsAt(positions, 'p1', 'P')).toEqual([])
+    })
+
+    it('should leave positions empty and warn with fewer than 9 players', () => {
+      const battingOrder = roster(8)
+      const { positions, warnings } = generateRotation({ battingOrder, innings: INNINGS })
+
+      INNINGS.forEach(inning => {
+        expect(Object.values(positions[inning])).toHaveLength(8)
+      })
+      expect(warnings).toContain('Only 8 players in the batting order: 1 position left empty each inning')
+    })
+
+    it('should only use known field positions', () => {
+      const { positions } = generateRotation({ battingOrder: roster(12), innings: INNINGS })
+      INNINGS.forEach(inning => {
+        Object.keys(positions[inning]).forEach(pos => expect(FIELD_POSITIONS).toContain(pos))
+      })
+    })
+  })
+
+  describe('resolveLocks', () => {
+    const names = { p1: 'Sam', p2: 'Alex', p9: 'Jordan' }
+
+    it('should expand locks by inning', () => {
+      const { byInning, warnings } = resolveLocks(
+        [{ playerId: 'p1', position: 'C', innings: [1, 2] }],
+        ['p1', 'p2']
+      )
+      expect(byInning).toEqual({ 1: { C: 'p1' }, 2: { C: 'p1' } })
+      expect(warnings).toEqual([])
+    })
+
+    it('should ignore pitcher locks for ineligible pitchers', () => {
+      const { byInning, warnings } = resolveLocks(
+        [{ playerId: 'p1', position: 'P', innings: [1] }],
+        ['p1'],
+        ['p1'],
+        names
+      )
+      expect(byInning).toEqual({})
+      expect(warnings).toEqual(['Lock ignored: Sam is not eligible to pitch on the game date'])
+    })
+
+    it('should ignore locks for players not in the batting order', () => {
+      const { warnings } = resolveLocks(
+        [{ playerId: 'p9', position: 'SS', innings: [1] }],
+        ['p1'],
+        [],
+        names
+      )
+      expect(warnings).toEqual(['Lock ignored: Jordan is not in the batting order'])
+    })
+
+    it('should keep the first lock when two conflict', () => {
+      const { byInning, warnings } = resolveLocks(
+        [
+          { playerId: 'p1', position: 'C', innings: [1] },
+          { playerId: 'p2', position: 'C', innings: [1] },
+          { playerId: 'p1', position: 'SS', innings: [1] }
+        ],
+        ['p1', 'p2'],
+        [],
+        names
+      )
+      expect(byInning).toEqual({ 1: { C: 'p1' } })
+      expect(warnings).toEqual([
+        'Lock ignored: C in inning 1 is already locked to Sam',
+        'Lock ignored: Sam is already locked to another position in inning 1'
+      ])
+    })
+  })
+})
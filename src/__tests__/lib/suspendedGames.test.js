@@ -0,0 +1,190 @@
+import { describe, it, expect, vi } from 'vitest'
+import {
+  getInningDate,
+  validateSuspension,
+  validateResumedInnings,
+  getPlayerPortions,
+  splitGamePortions,
+  getGameViolationsByDate,
+  getResumeEligibilityDate,
+  fetchResumeEligibilityDates,
+  pitchingLogsToPlayerCounts,
+  formatSuspension
+} from '../../lib/suspendedGames'
+
+const suspended = { game_date: '2025-05-03', suspended_after_inning: '3', resume_date: '2025-05-10', status: 'final' }
+
+const makePlayer = (overrides = {}) => ({
+  id: 'p1',
+  name: 'Alex',
+  age: 10,
+  innings_pitched: [],
+  innings_caught: [],
+  penultimate_batter_count: '',
+  final_pitch_count: '',
+  ...overrides
+})
+
+describe('suspendedGames', () => {
+  describe('getInningDate', () => {
+    it('should date innings after the suspension on the resume date', () => {
+      expect(getInningDate(suspended, 3)).toBe('2025-05-03')
+      expect(getInningDate(suspended, 4)).toBe('2025-05-10')
+      expect(getInningDate({ game_date: '2025-05-03' }, 6)).toBe('2025-05-03')
+    })
+  })
+
+  describe('validateSuspension', () => {
+    it('should need the inning for a suspended game', () => {
+      expect(validateSuspension({ status: 'suspended', suspended_after_inning: '' }))
+        .toBe('Enter the inning the game was suspended after')
+      expect(validateSuspension({ status: 'suspended', suspended_after_inning: '0' }))
+        .toBe('The game can only be suspended after inning 1 or later')
+      expect(validateSuspension({ status: 'suspended', game_date: '2025-05-03', suspended_after_inning: '3' })).toBeNull()
+    })
+
+    it('should need a resume date after the game date once the game is finished', () => {
+      expect(validateSuspension({ ...suspended, resume_date: '' }))
+        .toBe('Enter the date the suspended game resumed')
+      expect(validateSuspension({ ...suspended, resume_date: '2025-05-03' }))
+        .toBe('The resume date must be after the game date')
+      expect(validateSuspension({ status: 'final', game_date: '2025-05-03', suspended_after_inning: '', resume_date: '2025-05-10' }))
+        .toBe('Enter the inning the game was suspended after, or clear the resume date')
+      expect(validateSuspension(suspended)).toBeNull()
+    })
+  })
+
+  describe('validateResumedInnings', () => {
+    it('should refuse innings after the suspension while the game is still suspended', () => {
+      const players = [makePlayer({ innings_pitched: [3, 4] })]
+      expect(validateResumedInnings({ ...suspended, status: 'suspended' }, players)).toContain('recorded for Alex')
+      expect(validateResumedInnings(suspended, players)).toBeNull()
+    })
+  })
+
+  describe('getPlayerPortions', () => {
+    it('should keep an unsuspended game in one portion', () => {
+      const player = makePlayer({ innings_pitched: [1, 2], final_pitch_count: '30' })
+      expect(getPlayerPortions({ game_date: '2025-05-03' }, player)).toEqual([{
+        date: '2025-05-03',
+        resumed: false,
+        pitchedInnings: [1, 2],
+        caughtInnings: [],
+        penultimateBatterCount: '',
+        finalPitchCount: '30'
+      }])
+    })
+
+    it('should split innings and counts at the suspension', () => {
+      const [first, resumed] = getPlayerPortions(suspended, makePlayer({
+        innings_pitched: [3, 4],
+        innings_caught: [1],
+        final_pitch_count: '15',
+        resumed_final_pitch_count: '12'
+      }))
+
+      expect(first).toMatchObject({ date: '2025-05-03', pitchedInnings: [3], caughtInnings: [1], finalPitchCount: '15' })
+      expect(resumed).toMatchObject({ date: '2025-05-10', resumed: true, pitchedInnings: [4], caughtInnings: [], finalPitchCount: '12' })
+    })
+  })
+
+  describe('splitGamePortions', () => {
+    it('should split positions by inning and logs by their resumed flag', () => {
+      const positions = [
+        { player_id: 'p1', inning_number: 2, position: 'pitcher' },
+        { player_id: 'p1', inning_number: 5, position: 'pitcher' }
+      ]
+      const logs = [{ player_id: 'p1' }, { player_id: 'p1', resumed: true }]
+
+      const portions = splitGamePortions(suspended, positions, logs)
+
+      expect(portions.map(p => [p.date, p.positions.length, p.pitchingLogs.length])).toEqual([
+        ['2025-05-03', 1, 1],
+        ['2025-05-10', 1, 1]
+      ])
+    })
+  })
+
+  describe('getGameViolationsByDate', () => {
+    const positions = [
+      { player_id: 'p1', inning_number: 3, position: 'pitcher' },
+      { player_id: 'p1', inning_number: 4, position: 'pitcher' }
+    ]
+    const logs = [
+      { player_id: 'p1', penultimate_batter_count: 40, final_pitch_count: 42 },
+      { player_id: 'p1', penultimate_batter_count: 40, final_pitch_count: 41, resumed: true }
+    ]
+
+    it('should check each date as its own outing', () => {
+      // 41 + 41 pitches would exceed 75 in one day, but they were thrown a week apart
+      expect(getGameViolationsByDate(suspended, positions, logs, { p1: 10 })).toEqual([])
+    })
+
+    it('should check the resumed portion against the resume date only', () => {
+      const violations = getGameViolationsByDate(suspended, positions, logs, { p1: 10 }, {
+        eligibilityDates: { p1: '2025-05-01' },
+        earlierPitches: { p1: 40 },
+        resumeEligibilityDates: { p1: '2025-05-12' }
+      })
+
+      expect(violations.map(v => [v.rule_id, v.innings])).toEqual([
+        ['max_pitches_exceeded', [3]],
+        ['insufficient_rest', [4]]
+      ])
+    })
+  })
+
+  describe('getResumeEligibilityDate', () => {
+    it('should add the rest owed for the game date', () => {
+      // 36 pitches on May 3 -> 2 rest days -> eligible May 6
+      const player = makePlayer({ innings_pitched: [1, 4], penultimate_batter_count: '35', final_pitch_count: '37' })
+      expect(getResumeEligibilityDate(suspended, player)).toBe('2025-05-06')
+      expect(getResumeEligibilityDate(suspended, { ...player, resumePreviousNextEligibleDate: '2025-05-11' })).toBe('2025-05-11')
+      expect(getResumeEligibilityDate(suspended, makePlayer({ innings_pitched: [4] }))).toBeNull()
+    })
+  })
+
+  describe('fetchResumeEligibilityDates', () => {
+    it('should only look up eligibility once the game has resumed', async () => {
+      const query = {
+        select: vi.fn(() => query),
+        in: vi.fn(() => query),
+        lt: vi.fn(() => query),
+        not: vi.fn(() => query),
+        neq: vi.fn(() => query),
+        order: vi.fn().mockResolvedValue({ data: [{ player_id: 'p1', next_eligible_pitch_date: '2025-05-11' }], error: null })
+      }
+      const client = { from: vi.fn(() => query) }
+
+      expect(await fetchResumeEligibilityDates(client, ['p1'], { id: 'g1', suspended_after_inning: 3, resume_date: '' })).toEqual({})
+      expect(client.from).not.toHaveBeenCalled()
+
+      expect(await fetchResumeEligibilityDates(client, ['p1'], { ...suspended, id: 'g1' })).toEqual({ p1: '2025-05-11' })
+      expect(query.lt).toHaveBeenCalledWith('pitch_date', '2025-05-10')
+      expect(query.neq).toHaveBeenCalledWith('game_id', 'g1')
+    })
+  })
+
+  describe('pitchingLogsToPlayerCounts', () => {
+    it('should only add resumed counts when the player pitched after the game resumed', () => {
+      expect(pitchingLogsToPlayerCounts([{ penultimate_batter_count: 20, final_pitch_count: 22 }]))
+        .toEqual({ penultimate_batter_count: '20', final_pitch_count: '22' })
+      expect(pitchingLogsToPlayerCounts([{ penultimate_batter_count: 9, final_pitch_count: 10, resumed: true }]))
+        .toEqual({
+          penultimate_batter_count: '',
+          final_pitch_count: '',
+          resumed_penultimate_batter_count: '9',
+          resumed_final_pitch_count: '10'
+        })
+    })
+  })
+
+  describe('formatSuspension', () => {
+    it('should describe the suspension and when the game resumes', () => {
+      expect(formatSuspension({ game_date: '2025-05-03' })).toBeNull()
+      expect(formatSuspension({ ...suspended, resume_date: '' })).toBe('Suspended after inning 3')
+      expect(formatSuspension(suspended)).toMatch(/^Suspended after inning 3, resumed /)
+      expect(formatSuspension({ ...suspended, status: 'suspended' })).toMatch(/^Suspended after inning 3, resumes /)
+    })
+  })
+})
@@ -26,6 +26,8 @@ describe('useCoachAssignments', () => {
     const mockAssignments = [
       {
         team_id: 'team-1',
+        role: 'head_coach',
+        can_edit: true,
         teams: {
           id: 'team-1',
           name: 'Team A',
@@ -34,6 +36,8 @@ describe('useCoachAssignments', () => {
       },
       {
         team_id: 'team-2',
+        role: 'assistant',
+        can_edit: false,
         teams: {
           id: 'team-2',
           name: 'Team B',
@@ -77,6 +81,8 @@ describe('useCoachAssignments', () => {
       { id: 'team-2', name: 'Team B', division: 'Minor' }
     ])
     expect(result.current.divisions).toEqual(['Major', 'Minor'])
+    expect(result.current.headCoachTeams).toEqual(['team-1'])
+    expect(result.current.editableTeams).toEqual(['team-1'])
     expect(result.current.error).toBeNull()
     expect(result.current.isEmpty).toBe(false)
   })
@@ -2,13 +2,18 @@ import { describe, it, expect } from 'vitest'
 import {
   getEffectivePitchCount,
   getMaxPitchesForAge,
+  getMaxPitchesForDivision,
   hasInningsGap,
   cannotCatchDueToHighPitchCount,
   cannotPitchDueToFourInningsCatching,
   cannotCatchAgainDueToCombined,
   exceedsMaxPitchesForAge,
   pitchedBeforeEligibleDate,
-  calculateGameHasViolations
+  calculateGameHasViolations,
+  getPlayerViolations,
+  getGameViolations,
+  getViolationRuleLabel,
+  VIOLATION_RULES
 } from '../../lib/violationRules'
 
 describe('violationRules', () => {
@@ -39,6 +44,26 @@ describe('violationRules', () => {
       expect(getMaxPitchesForAge(5)).toBe(null)
       expect(getMaxPitchesForAge(13)).toBe(null)
     })
+
+    it('should use a season rule set when provided', () => {
+      const seasonRules = [
+        { ageMin: 9, ageMax: 12, maxPitchesPerGame: 70, restDayRanges: [] }
+      ]
+      expect(getMaxPitchesForAge(10, seasonRules)).toBe(70)
+      expect(getMaxPitchesForAge(12, seasonRules)).toBe(70)
+      expect(getMaxPitchesForAge(8, seasonRules)).toBe(null)
+    })
+  })
+
+  describe('getMaxPitchesForDivision', () => {
+    it('should use the age limit outside the Training division', () => {
+      expect(getMaxPitchesForDivision(10, 'Major')).toBe(75)
+      expect(getMaxPitchesForDivision(12, null)).toBe(85)
+    })
+
+    it('should use a flat 50-pitch max in the Training division', () => {
+      expect(getMaxPitchesForDivision(12, 'Training')).toBe(50)
+    })
   })
 
 
@@ -46,6 +71,7 @@ describe('violationRules', () => {
    * Rule 1: Pitchers must pitch consecutive innings
    * A pitcher cannot return after being taken out
    */
+
   describe('Rule 1: hasInningsGap', () => {
     it('should return false for consecutive innings', () => {
       expect(hasInningsGap([1, 2, 3])).toBe(false)
@@ -464,4 +490,206 @@ describe('violationRules', () => {
       })
     })
   })
+
+  describe('calculateGameHasViolations with season rules', () => {
+    const positions = [
+      { player_id: 'p1', inning_number: 1, position: 'pitcher' },
+      { player_id: 'p1', inning_number: 2, position: 'pitcher' }
+    ]
+    const pitchingLogs = [
+      { player_id: 'p1', final_pitch_count: 72, penultimate_batter_count: 71 }
+    ]
+
+    it('should use the default limits when no rule set is passed', () => {
+      // 72 effective pitches is within the default 75 max for a 10-year-old
+      expect(calculateGameHasViolations(positions, pitchingLogs, { p1: 10 })).toBe(false)
+    })
+
+    it('should flag Rule 5 against a stricter season limit', () => {
+      const seasonRules = [
+        { ageMin: 9, ageMax: 10, maxPitchesPerGame: 70, restDayRanges: [] }
+      ]
+      expect(calculateGameHasViolations(positions, pitchingLogs, { p1: 10 }, null, {}, null, seasonRules)).toBe(true)
+    })
+  })
+
+  describe('getPlayerViolations', () => {
+    it('should return an empty array when no rules are broken', () => {
+      expect(getPlayerViolations({
+        playerId: 'p1',
+        pitchedInnings: [1, 2],
+        caughtInnings: [4, 5],
+        effectivePitches: 15,
+        age: 10
+      })).toEqual([])
+    })
+
+    it('should return a record for Rule 1 with the pitched innings', () => {
+      const violations = getPlayerViolations({
+        playerId: 'p1',
+        pitchedInnings: [3, 1],
+        effectivePitches: 30,
+        age: 10
+      })
+      expect(violations).toHaveLength(1)
+      expect(violations[0]).toMatchObject({
+        rule_id: 'consecutive_innings',
+        player_id: 'p1',
+        innings: [1, 3],
+        pitch_count: 30
+      })
+      expect(violations[0].message).toContain('consecutive')
+    })
+
+    it('should report the innings caught after pitching for Rule 2', () => {
+      const [violation] = getPlayerViolations({
+        playerId: 'p1',
+        pitchedInnings: [1, 2],
+        caughtInnings: [3, 4],
+        effectivePitches: 45,
+        age: 11
+      })
+      expect(violation.rule_id).toBe('high_pitch_count_catching')
+      expect(violation.innings).toEqual([3, 4])
+    })
+
+    it('should report the innings pitched after the 4th catching inning for Rule 3', () => {
+      const [violation] = getPlayerViolations({
+        playerId: 'p1',
+        pitchedInnings: [5],
+        caughtInnings: [1, 2, 3, 4],
+        effectivePitches: 10,
+        age: 11
+      })
+      expect(violation.rule_id).toBe('four_innings_catching')
+      expect(violation.innings).toEqual([5])
+    })
+
+    it('should return every broken rule, not just the first', () => {
+      const violations = getPlayerViolations({
+        playerId: 'p1',
+        pitchedInnings: [1, 3],
+        effectivePitches: 80,
+        age: 10,
+        gameDate: '2025-05-12',
+        nextEligiblePitchDate: '2025-05-14'
+      })
+      expect(violations.map(v => v.rule_id)).toEqual([
+        'consecutive_innings',
+        'max_pitches_exceeded',
+        'insufficient_rest'
+      ])
+      expect(violations[1].message).toContain('maximum of 75 for age 10')
+    })
+
+    it('should use the Training division limit in the Rule 5 message', () => {
+      const [violation] = getPlayerViolations({
+        playerId: 'p1',
+        pitchedInnings: [1, 2],
+        effectivePitches: 55,
+        age: 12,
+        division: 'Training'
+      })
+      expect(violation.rule_id).toBe('max_pitches_exceeded')
+      expect(violation.message).toContain('Training division')
+    })
+
+    it('should check Rule 5 against the pitches from earlier games that day', () => {
+      const [violation] = getPlayerViolations({
+        playerId: 'p1',
+        pitchedInnings: [1],
+        effectivePitches: 30,
+        earlierPitchesToday: 50,
+        age: 10
+      })
+      expect(violation.rule_id).toBe('max_pitches_exceeded')
+      expect(violation.pitch_count).toBe(30)
+      expect(violation.message).toContain('after 50 earlier today (80 total)')
+    })
+
+    it('should ignore earlier pitches that day for players who did not pitch', () => {
+      expect(getPlayerViolations({
+        playerId: 'p1',
+        caughtInnings: [1],
+        earlierPitchesToday: 80,
+        age: 10
+      })).toEqual([])
+    })
+
+    it('should leave pitch_count null for players who only caught', () => {
+      const violations = getPlayerViolations({
+        playerId: 'p1',
+        caughtInnings: [1, 2, 3, 4, 5],
+        age: 10
+      })
+      expect(violations).toEqual([])
+    })
+  })
+
+  describe('getGameViolations', () => {
+    it('should group positions and pitching logs by player', () => {
+      const positions = [
+        { player_id: 'p1', inning_number: 1, position: 'pitcher' },
+        { player_id: 'p1', inning_number: 3, position: 'pitcher' },
+        { player_id: 'p2', inning_number: 2, position: 'pitcher' },
+        { player_id: 'p2', inning_number: 1, position: 'catcher' }
+      ]
+      const pitchingLogs = [
+        { player_id: 'p1', final_pitch_count: 20, penultimate_batter_count: 19 },
+        { player_id: 'p2', final_pitch_count: 30, penultimate_batter_count: 29 }
+      ]
+
+      const violations = getGameViolations(positions, pitchingLogs, { p1: 10, p2: 10 })
+
+      expect(violations).toHaveLength(1)
+      expect(violations[0]).toMatchObject({ rule_id: 'consecutive_innings', player_id: 'p1', pitch_count: 20 })
+    })
+
+    it('should check Rule 6 against eligibility dates when a game date is given', () => {
+      const positions = [{ player_id: 'p1', inning_number: 1, position: 'pitcher' }]
+      const pitchingLogs = [{ player_id: 'p1', final_pitch_count: 10, penultimate_batter_count: 9 }]
+
+      expect(getGameViolations(positions, pitchingLogs, { p1: 10 })).toEqual([])
+      expect(getGameViolations(positions, pitchingLogs, { p1: 10 }, '2025-05-12', { p1: '2025-05-13' })[0].rule_id)
+        .toBe('insufficient_rest')
+    })
+
+    it('should check Rules 7 and 8 for players with recorded fielding', () => {
+      const positions = [
+        { player_id: 'p1', inning_number: 1, position: 'pitcher' },
+        { player_id: 'p1', inning_number: 2, position: 'left_field' },
+        { player_id: 'p2', inning_number: 1, position: 'right_field' },
+        { player_id: 'p2', inning_number: 2, position: 'bench' },
+        { player_id: 'p2', inning_number: 3, position: 'bench' }
+      ]
+      const pitchingLogs = [{ player_id: 'p1', final_pitch_count: 10, penultimate_batter_count: 9 }]
+
+      const violations = getGameViolations(positions, pitchingLogs, { p1: 10, p2: 10 })
+
+      expect(violations.map(v => [v.player_id, v.rule_id])).toEqual([
+        ['p2', 'consecutive_sitting'],
+        ['p2', 'no_infield_inning']
+      ])
+      expect(VIOLATION_RULES.consecutive_sitting).toMatchObject({ number: 7, blocking: false })
+      expect(VIOLATION_RULES.no_infield_inning).toMatchObject({ number: 8, blocking: false })
+    })
+
+    it('should agree with calculateGameHasViolations', () => {
+      const positions = [{ player_id: 'p1', inning_number: 1, position: 'pitcher' }]
+      const pitchingLogs = [{ player_id: 'p1', final_pitch_count: 10, penultimate_batter_count: 9 }]
+
+      expect(calculateGameHasViolations(positions, pitchingLogs, { p1: 10 })).toBe(false)
+      expect(getGameViolations(positions, pitchingLogs, { p1: 10 })).toHaveLength(0)
+    })
+  })
+
+  describe('getViolationRuleLabel', () => {
+    it('should include the rule number and name', () => {
+      expect(getViolationRuleLabel('max_pitches_exceeded')).toBe(`Rule 5: ${VIOLATION_RULES.max_pitches_exceeded.name}`)
+    })
+
+    it('should fall back to the raw id for unknown rules', () => {
+      expect(getViolationRuleLabel('unknown_rule')).toBe('unknown_rule')
+    })
+  })
 })
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest'
+import {
+  isBlockingRule,
+  getUnwaivedBlockingViolations,
+  findWaiver,
+  describeWaiverApproval
+} from '../../lib/violationWaivers'
+
+describe('violationWaivers', () => {
+  describe('isBlockingRule', () => {
+    it('should treat Rules 1-5 as blocking', () => {
+      expect(isBlockingRule('consecutive_innings')).toBe(true)
+      expect(isBlockingRule('high_pitch_count_catching')).toBe(true)
+      expect(isBlockingRule('four_innings_catching')).toBe(true)
+      expect(isBlockingRule('catch_pitch_combined')).toBe(true)
+      expect(isBlockingRule('max_pitches_exceeded')).toBe(true)
+    })
+
+    it('should not block on Rule 6 or unknown rules', () => {
+      expect(isBlockingRule('insufficient_rest')).toBe(false)
+      expect(isBlockingRule('not_a_rule')).toBe(false)
+    })
+  })
+
+  describe('getUnwaivedBlockingViolations', () => {
+    const violations = [
+      { player_id: 'p1', rule_id: 'max_pitches_exceeded' },
+      { player_id: 'p1', rule_id: 'insufficient_rest' },
+      { player_id: 'p2', rule_id: 'consecutive_innings' }
+    ]
+
+    it('should return only blocking violations', () => {
+      expect(getUnwaivedBlockingViolations(violations)).toEqual([
+        { player_id: 'p1', rule_id: 'max_pitches_exceeded' },
+        { player_id: 'p2', rule_id: 'consecutive_innings' }
+      ])
+    })
+
+    it('should skip violations that already have a waiver', () => {
+      const waivers = [{ player_id: 'p2', rule_id: 'consecutive_innings' }]
+      expect(getUnwaivedBlockingViolations(violations, waivers)).toEqual([
+        { player_id: 'p1', rule_id: 'max_pitches_exceeded' }
+      ])
+    })
+
+    it('should match waivers by player and rule', () => {
+      const waivers = [{ player_id: 'p1', rule_id: 'consecutive_innings' }]
+      expect(getUnwaivedBlockingViolations(violations, waivers)).toHaveLength(2)
+    })
+  })
+
+  describe('findWaiver', () => {
+    it('should find the waiver for a violation', () => {
+      const waivers = [
+        { id: 'w1', player_id: 'p1', rule_id: 'max_pitches_exceeded' },
+        { id: 'w2', player_id: 'p2', rule_id: 'max_pitches_exceeded' }
+      ]
+      expect(findWaiver(waivers, { player_id: 'p2', rule_id: 'max_pitches_exceeded' }).id).toBe('w2')
+      expect(findWaiver(waivers, { player_id: 'p3', rule_id: 'max_pitches_exceeded' })).toBeUndefined()
+    })
+  })
+
+  describe('describeWaiverApproval', () => {
+    it('should include the approver and date', () => {
+      const text = describeWaiverApproval({
+        approver: { name: 'Pat Admin' },
+        approved_at: '2025-04-12T18:30:00'
+      })
+      expect(text).toMatch(/^Waived by Pat Admin on Apr 12, 2025/)
+    })
+
+    it('should handle a missing approver', () => {
+      const text = describeWaiverApproval({ approver: null, approved_at: '2025-04-12T18:30:00' })
+      expect(text).toMatch(/^Waived by unknown admin on/)
+    })
+  })
+})
@@ -1,32 +1,93 @@
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
+import { supabase } from '../../lib/supabase'
+import { formatDate } from '../../lib/pitchCountUtils'
+import { fetchPlayerGameImpact } from '../../lib/playerArchive'
 
-export default function PlayerDeleteConfirmationModal({ playerName, onConfirm, onClose }) {
+/**
+ * PlayerDeleteConfirmationModal Component
+ *
+ * Super admins only. Lists every game a permanent delete would change
+ * before asking for confirmation; signed-off games have to be reopened
+ * first.
+ */
+export default function PlayerDeleteConfirmationModal({ player, onConfirm, onClose }) {
   const [confirmText, setConfirmText] = useState('')
+  const [games, setGames] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    fetchPlayerGameImpact(supabase, player.id)
+      .then(setGames)
+      .catch(err => setError(err.message))
+  }, [player.id])
+
+  const lockedCount = games?.filter(game => game.locked).length || 0
 
   const handleSubmit = (e) => {
     e.preventDefault()
-    if (confirmText === 'DELETE') {
+    if (confirmText === 'DELETE' && games && lockedCount === 0) {
       onConfirm()
     }
   }
 
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[70] p-4">
-      <div className="bg-white rounded-lg max-w-md w-full p-6">
-        <h3 className="text-xl font-bold mb-4 text-red-600">Delete Player</h3>
+      <div className="bg-white rounded-lg max-w-lg w-full p-6 max-h-[90vh] overflow-y-auto">
+        <h3 className="text-xl font-bold mb-4 text-red-600">Permanently Delete Player</h3>
 
         <p className="mb-4">
-          Are you sure you want to delete <strong>{playerName}</strong>?
+          Are you sure you want to permanently delete <strong>{player.name}</strong>?
         </p>
 
-        <p className="mb-4 text-sm text-gray-600">
-          All data associated with the player will be deleted.<br />
-          All pitching/catching game data will be deleted.
-        </p>
+        {error && (
+          <div className="alert alert-error mb-4">
+            {error}
+          </div>
+        )}
 
-        <p className="mb-4 text-sm text-gray-600">
-          This action cannot be undone. Type <strong>DELETE</strong> to confirm.
-        </p>
+        {!games && !error && (
+          <p className="mb-4 text-sm text-gray-600">Checking the player's games...</p>
+        )}
+
+        {games && games.length === 0 && (
+          <p className="mb-4 text-sm text-gray-600">The player has no game records.</p>
+        )}
+
+        {games && games.length > 0 && (
+          <div className="mb-4">
+            <p className="text-sm text-gray-700 mb-2">
+              Their attendance, pitch counts and positions will be removed from {games.length} game{games.length !== 1 ? 's' : ''},
+              and those games' violations recalculated:
+            </p>
+            <ul className="text-sm border border-gray-200 rounded divide-y divide-gray-200 max-h-48 overflow-y-auto">
+              {games.map(game => (
+                <li key={game.gameId} className="px-3 py-2">
+                  <span className="font-medium">{formatDate(game.gameDate)}</span>
+                  {' — '}{game.awayTeamName} at {game.homeTeamName}
+                  <span className="text-gray-500">
+                    {!game.wasPresent && ' · absent'}
+                    {game.pitches != null && ` · pitched (${game.pitches})`}
+                    {game.caught && ' · caught'}
+                  </span>
+                  {game.locked && (
+                    <span className="ml-2 text-xs bg-green-100 text-green-800 px-1.5 py-0.5 rounded">🔒 Signed off</span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {lockedCount > 0 ? (
+          <p className="mb-4 text-sm text-red-600">
+            {lockedCount} of these games {lockedCount !== 1 ? 'are' : 'is'} signed off. An admin must reopen
+            {lockedCount !== 1 ? ' them' : ' it'} before the player can be deleted.
+          </p>
+        ) : (
+          <p className="mb-4 text-sm text-gray-600">
+            This action cannot be undone. Type <strong>DELETE</strong> to confirm.
+          </p>
+        )}
 
         <form onSubmit={handleSubmit} className="space-y-4">
           <div>
@@ -36,6 +97,7 @@ export default function PlayerDeleteConfirmationModal({ playerName, onConfirm, o
               placeholder="Type DELETE to confirm"
               value={confirmText}
               onChange={(e) => setConfirmText(e.target.value)}
+              disabled={!games || lockedCount > 0}
               autoFocus
             />
           </div>
@@ -51,7 +113,7 @@ export default function PlayerDeleteConfirmationModal({ playerName, onConfirm, o
             <button
               type="submit"
               className="btn btn-primary flex-1 bg-red-600 hover:bg-red-700"
-              disabled={confirmText !== 'DELETE'}
+              disabled={confirmText !== 'DELETE' || !games || lockedCount > 0}
             >
               Delete Player
             </button>
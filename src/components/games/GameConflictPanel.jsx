@@ -0,0 +1,131 @@
+import { conflictChoiceKey } from '../../lib/gameConflicts'
+import { formatDate } from '../../lib/pitchCountUtils'
+import { GAME_STATUS_LABELS } from '../../lib/gameStatus'
+import { formatStartTime } from '../../lib/gameSchedule'
+import { formatFieldingPositions } from '../../lib/fieldingPositions'
+
+const CHANGED_BY_LABELS = {
+  mine: 'You changed this',
+  theirs: 'They changed this',
+  both: 'Both changed this'
+}
+
+/**
+ * GameConflictPanel Component
+ *
+ * Shown when someone else saved the game while it was being edited. Lists
+ * every game and player field where the two versions differ and lets the
+ * scorekeeper pick which value to keep before saving the merged game.
+ */
+export default function GameConflictPanel({ diff, choices, serverUpdatedAt, teams, onChoose, onChooseAll, onApply, onCancel }) {
+  const teamName = (teamId) => teams.find(t => t.id === teamId)?.name || 'Unknown team'
+
+  const formatValue = (key, value) => {
+    if (value === undefined) return <span className="italic text-gray-400">Not in this version</span>
+    if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '—'
+    if (key === 'fielding_positions') return formatFieldingPositions(value) || '—'
+    if (key === 'was_present') return value ? 'Present' : 'Absent'
+    if (value === null || value === '') return '—'
+    if (key.endsWith('team_id')) return teamName(value)
+    if (key === 'game_date' || key === 'resume_date') return formatDate(value)
+    if (key === 'status') return GAME_STATUS_LABELS[value] || value
+    if (key === 'start_time') return formatStartTime(value)
+    return String(value)
+  }
+
+  const renderRows = (playerId, fields) => fields.map(field => {
+    const key = conflictChoiceKey(playerId, field.key)
+    const choice = choices[key]
+
+    return (
+      <tr key={key} className="border-t border-gray-100">
+        <td className="py-2 pr-3">
+          <div className="font-medium">{field.label}</div>
+          <div className={`text-xs ${field.changedBy === 'both' ? 'text-red-600' : 'text-gray-500'}`}>
+            {CHANGED_BY_LABELS[field.changedBy]}
+          </div>
+        </td>
+        {['mine', 'theirs'].map(side => (
+          <td key={side} className="py-2 pr-3">
+            <label className={`flex items-start gap-2 p-2 rounded cursor-pointer ${choice === side ? 'bg-blue-50 ring-1 ring-blue-300' : ''}`}>
+              <input
+                type="radio"
+                name={key}
+                checked={choice === side}
+                onChange={() => onChoose(key, side)}
+                className="mt-1"
+              />
+              <span>{formatValue(field.key, field[side])}</span>
+            </label>
+          </td>
+        ))}
+      </tr>
+    )
+  })
+
+  const hasDifferences = diff.gameFields.length > 0 || diff.players.length > 0
+
+  return (
+    <div className="card mb-4 border-2 border-amber-400 bg-amber-50">
+      <h4 className="font-bold text-lg mb-1">⚠️ Someone else saved this game</h4>
+      <p className="text-sm text-gray-700 mb-3">
+        The game was saved by another scorekeeper on {new Date(serverUpdatedAt).toLocaleString()} after you opened it.
+        {hasDifferences
+          ? ' Choose which value to keep for each difference, then review and save the merged game.'
+          : ' Their version matches yours, so nothing needs to be merged.'}
+      </p>
+
+      {hasDifferences && (
+        <>
+          <div className="flex flex-wrap gap-2 mb-3">
+            <button onClick={() => onChooseAll('mine')} className="btn btn-secondary text-sm">
+              Keep All Mine
+            </button>
+            <button onClick={() => onChooseAll('theirs')} className="btn btn-secondary text-sm">
+              Use All Theirs
+            </button>
+          </div>
+
+          <div className="overflow-x-auto bg-white rounded-lg border border-gray-200 p-3 space-y-4">
+            {diff.gameFields.length > 0 && (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-600">
+                    <th className="pb-1 pr-3 w-1/3">Game</th>
+                    <th className="pb-1 pr-3">Yours</th>
+                    <th className="pb-1 pr-3">Theirs</th>
+                  </tr>
+                </thead>
+                <tbody>{renderRows(null, diff.gameFields)}</tbody>
+              </table>
+            )}
+
+            {diff.players.map(player => (
+              <table key={player.playerId} className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-600">
+                    <th className="pb-1 pr-3 w-1/3">
+                      {player.jerseyNumber && `#${player.jerseyNumber} `}{player.name}
+                    </th>
+                    <th className="pb-1 pr-3">Yours</th>
+                    <th className="pb-1 pr-3">Theirs</th>
+                  </tr>
+                </thead>
+                <tbody>{renderRows(player.playerId, player.fields)}</tbody>
+              </table>
+            ))}
+          </div>
+        </>
+      )}
+
+      <div className="flex flex-col sm:flex-row justify-end gap-2 mt-4">
+        <button onClick={onCancel} className="btn btn-secondary">
+          Discard My Changes
+        </button>
+        <button onClick={onApply} className="btn btn-primary">
+          {hasDifferences ? 'Apply Merge' : 'Continue'}
+        </button>
+      </div>
+    </div>
+  )
+}
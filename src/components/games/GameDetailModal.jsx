@@ -1,24 +1,38 @@
 import { useState, useEffect } from 'react'
 import { supabase } from '../../lib/supabase'
+import { usePitchSmartRules } from '../../lib/usePitchSmartRules'
 import { calculateNextEligibleDate } from '../../lib/pitchSmartRules'
 import { formatDate, parseLocalDate } from '../../lib/pitchCountUtils'
 import {
-  getEffectivePitchCount,
-  getMaxPitchesForAge,
-  hasInningsGap,
-  cannotCatchDueToHighPitchCount,
-  cannotPitchDueToFourInningsCatching,
-  cannotCatchAgainDueToCombined,
-  exceedsMaxPitchesForAge,
-  pitchedBeforeEligibleDate
+  getGameViolations,
+  getViolationRuleLabel,
+  VIOLATION_RULES
 } from '../../lib/violationRules'
+import { fetchGameWaivers, findWaiver, describeWaiverApproval } from '../../lib/violationWaivers'
+import { isGameOfficial, RECONCILIATION_STATUS_LABELS } from '../../lib/gameReconciliation'
+import { formatGameOutcome, GAME_STATUS_LABELS } from '../../lib/gameStatus'
+import { formatStartTime } from '../../lib/gameSchedule'
+import { formatSuspension, getPitchDate } from '../../lib/suspendedGames'
+import { formatFieldingPositions, getFieldingPositions, hasRecordedFielding } from '../../lib/fieldingPositions'
+import { getLeagueAge, getSeasonAgeCutoff } from '../../lib/leagueAge'
+import { getGamePlayerTeamId } from '../../lib/playerTransfers'
 import PlayerViolationWarnings from './shared/PlayerViolationWarnings'
 import AbsentPlayerCard from './shared/AbsentPlayerCard'
+import GameHistoryPanel from './GameHistoryPanel'
+import GameSignoffPanel from './GameSignoffPanel'
 
-export default function GameDetailModal({ game, onClose }) {
+export default function GameDetailModal({ game, onClose, isAdmin = false, profile = null, onRestored, onSignoffChange }) {
+  const [activeTab, setActiveTab] = useState('details') // 'details' | 'history'
   const [loading, setLoading] = useState(true)
   const [gameData, setGameData] = useState(null)
   const [error, setError] = useState(null)
+  const [storedViolations, setStoredViolations] = useState([])
+  const [waivers, setWaivers] = useState([])
+  const [ruleFilter, setRuleFilter] = useState('All')
+  const [signoff, setSignoff] = useState(null)
+
+  // Season-specific Pitch Smart rules (falls back to league defaults)
+  const { rules: pitchSmartRules } = usePitchSmartRules(game.season_id)
 
   useEffect(() => {
     fetchGameDetails()
@@ -59,6 +73,29 @@ export default function GameDetailModal({ game, onClose }) {
 
       if (positionsError) throw positionsError
 
+      // Players with a birthdate are shown and checked at their league age
+      const { data: season, error: seasonError } = await supabase
+        .from('seasons')
+        .select('start_date, league_age_cutoff')
+        .eq('id', game.season_id)
+        .single()
+
+      if (seasonError) throw seasonError
+      const ageCutoff = getSeasonAgeCutoff(season)
+
+      // Fetch violation records saved with the game
+      const { data: violations, error: violationsError } = await supabase
+        .from('game_violations')
+        .select('*')
+        .eq('game_id', game.id)
+
+      if (violationsError) throw violationsError
+
+      setStoredViolations(violations || [])
+
+      // Fetch admin waivers for blocking violations
+      setWaivers(await fetchGameWaivers(supabase, game.id))
+
       // Fetch eligibility dates from previous games for Rule 6 checking
       const allPlayerIds = gamePlayers.map(gp => gp.player_id)
       const eligibilityMap = await fetchPlayerEligibilityDatesBeforeGame(allPlayerIds, game.game_date, game.id)
@@ -70,12 +107,16 @@ export default function GameDetailModal({ game, onClose }) {
       gamePlayers.forEach(gp => {
         const playerData = {
           ...gp,
-          pitching: pitchingLogs.find(pl => pl.player_id === gp.player_id),
+          player: { ...gp.player, age: getLeagueAge(gp.player, ageCutoff) },
+          pitchingLogs: pitchingLogs
+            .filter(pl => pl.player_id === gp.player_id)
+            .sort((a, b) => Number(!!a.resumed) - Number(!!b.resumed)),
           positions: positionsPlayed.filter(pp => pp.player_id === gp.player_id),
           previousNextEligibleDate: eligibilityMap[gp.player_id] || null
         }
 
-        if (gp.player.team_id === game.home_team_id) {
+        // The team played for; a player may have transferred since
+        if (getGamePlayerTeamId(gp) === game.home_team_id) {
           homePlayerData.push(playerData)
         } else {
           awayPlayerData.push(playerData)
@@ -102,16 +143,12 @@ export default function GameDetailModal({ game, onClose }) {
     try {
       const { data: pitchingLogs, error } = await supabase
         .from('pitching_logs')
-        .select(`
-          player_id,
-          next_eligible_pitch_date,
-          games!inner(game_date)
-        `)
+        .select('player_id, next_eligible_pitch_date, pitch_date')
         .in('player_id', playerIds)
         .neq('game_id', excludeGameId)
-        .lt('games.game_date', gameDate)
+        .lt('pitch_date', gameDate)
         .not('next_eligible_pitch_date', 'is', null)
-        .order('games(game_date)', { ascending: false })
+        .order('pitch_date', { ascending: false })
 
       if (error) throw error
 
@@ -129,6 +166,60 @@ export default function GameDetailModal({ game, onClose }) {
     }
   }
 
+  /**
+   * Derive violations for one team's players
+   * Only used for games saved before violation records were stored.
+   */
+  const deriveTeamViolations = (players, division) => {
+    const playerAges = {}
+    const eligibilityDates = {}
+    players.forEach(p => {
+      playerAges[p.player_id] = p.player.age
+      if (p.previousNextEligibleDate) {
+        eligibilityDates[p.player_id] = p.previousNextEligibleDate
+      }
+    })
+
+    return getGameViolations(
+      players.flatMap(p => p.positions),
+      players.flatMap(p => p.pitchingLogs),
+      playerAges,
+      game.game_date,
+      eligibilityDates,
+      division,
+      pitchSmartRules
+    )
+  }
+
+  const gameViolations = !gameData
+    ? []
+    : storedViolations.length > 0
+      ? storedViolations
+      : [
+          ...deriveTeamViolations(gameData.homePlayers, game.home_team.division),
+          ...deriveTeamViolations(gameData.awayPlayers, game.away_team.division)
+        ]
+
+  const violationsByPlayer = {}
+  gameViolations.forEach(v => {
+    if (!violationsByPlayer[v.player_id]) violationsByPlayer[v.player_id] = []
+    violationsByPlayer[v.player_id].push(v)
+  })
+
+  const playerNames = {}
+  if (gameData) {
+    [...gameData.homePlayers, ...gameData.awayPlayers].forEach(p => {
+      playerNames[p.player_id] = p.player.name
+    })
+  }
+
+  const violatedRuleIds = Object.keys(VIOLATION_RULES).filter(ruleId =>
+    gameViolations.some(v => v.rule_id === ruleId)
+  )
+  const filteredViolations = ruleFilter === 'All'
+    ? gameViolations
+    : gameViolations.filter(v => v.rule_id === ruleFilter)
+
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 overflow-y-auto">
       <div className="bg-white rounded-lg p-6 max-w-5xl w-full mx-4 my-8 max-h-[90vh] overflow-y-auto">
@@ -142,13 +233,28 @@ export default function GameDetailModal({ game, onClose }) {
                 month: 'long',
                 day: 'numeric'
               })}
+              {game.start_time && `, ${formatStartTime(game.start_time)}`}
             </p>
             <p className="text-lg font-semibold mt-2">
-              Final Score: {game.away_score} - {game.home_score}
-            </p>
-            <p className="text-sm text-gray-600 mt-1">
-              Scorekeeper: {game.scorekeeper_name} ({game.scorekeeper_team?.name})
+              {(game.status || 'final') === 'final' && `Final Score: ${formatGameOutcome(game)}`}
+              {game.status === 'in_progress' && `Score so far: ${game.away_score ?? '-'} - ${game.home_score ?? '-'} (${GAME_STATUS_LABELS.in_progress})`}
+              {!['final', 'in_progress'].includes(game.status || 'final') && formatGameOutcome(game)}
             </p>
+            {formatSuspension(game) && (
+              <p className="text-sm text-purple-700 mt-1">{formatSuspension(game)}</p>
+            )}
+            {game.scorekeeper_name && (
+              <p className="text-sm text-gray-600 mt-1">
+                Scorekeeper: {game.scorekeeper_name} ({game.scorekeeper_team?.name})
+              </p>
+            )}
+            {game.reconciliation_status && (
+              <p className={`text-sm mt-1 ${isGameOfficial(game) ? 'text-green-700' : 'text-amber-700 font-medium'}`}>
+                Pitch counts kept by both scorekeepers: {RECONCILIATION_STATUS_LABELS[game.reconciliation_status]}
+                {!isGameOfficial(game) && ' (not yet official)'}
+                {game.reconciliation_note && ` — Admin decision: ${game.reconciliation_note}`}
+              </p>
+            )}
             {game.notes && (
               <div className="mt-4 p-3 bg-yellow-50 border border-yellow-200 rounded">
                 <p className="text-sm font-semibold text-yellow-900 mb-1">📝 Game Notes:</p>
@@ -164,33 +270,107 @@ export default function GameDetailModal({ game, onClose }) {
           </button>
         </div>
 
+        <div className="flex gap-2 mb-4 border-b">
+          {[['details', 'Details'], ['history', 'History']].map(([tab, label]) => (
+            <button
+              key={tab}
+              onClick={() => setActiveTab(tab)}
+              className={`px-4 py-2 -mb-px border-b-2 font-medium ${
+                activeTab === tab
+                  ? 'border-blue-600 text-blue-700'
+                  : 'border-transparent text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
         {error && (
           <div className="alert alert-error mb-4">
             {error}
           </div>
         )}
 
-        {loading ? (
+        {activeTab === 'history' ? (
+          <GameHistoryPanel
+            game={signoff ? { ...game, ...signoff } : game}
+            isAdmin={isAdmin}
+            onRestored={(changedGames) => {
+              onClose()
+              onRestored?.(changedGames)
+            }}
+          />
+        ) : loading ? (
           <div className="text-center py-8">
             <p className="text-gray-600">Loading game details...</p>
           </div>
         ) : (
           <div className="space-y-6">
+            <GameSignoffPanel
+              game={game}
+              isAdmin={isAdmin}
+              profile={profile}
+              onChange={(data) => {
+                setSignoff(data)
+                onSignoffChange?.(data)
+              }}
+            />
+
+            {/* Violation Summary */}
+            {gameViolations.length > 0 && (
+              <div className="border border-red-300 bg-red-50 rounded-lg p-4">
+                <div className="flex flex-wrap justify-between items-center gap-2 mb-3">
+                  <h4 className="font-bold text-red-800">
+                    ⚠️ {gameViolations.length} Violation{gameViolations.length !== 1 ? 's' : ''}
+                  </h4>
+                  <select
+                    value={ruleFilter}
+                    onChange={(e) => setRuleFilter(e.target.value)}
+                    className="input w-auto text-sm"
+                  >
+                    <option value="All">All rules</option>
+                    {violatedRuleIds.map(ruleId => (
+                      <option key={ruleId} value={ruleId}>{getViolationRuleLabel(ruleId)}</option>
+                    ))}
+                  </select>
+                </div>
+                <ul className="space-y-1 text-sm text-red-800">
+                  {filteredViolations.map((v, i) => {
+                    const waiver = findWaiver(waivers, v)
+
+                    return (
+                      <li key={`${v.player_id}-${v.rule_id}-${i}`}>
+                        <span className="font-semibold">{playerNames[v.player_id] || 'Unknown player'}</span>
+                        {' — '}{getViolationRuleLabel(v.rule_id)}
+                        {v.innings?.length > 0 && ` (inning${v.innings.length !== 1 ? 's' : ''} ${v.innings.join(', ')})`}
+                        {v.pitch_count != null && `, ${v.pitch_count} pitches`}
+                        {waiver && (
+                          <span className="ml-2 text-xs bg-amber-100 text-amber-800 border border-amber-300 px-1.5 py-0.5 rounded font-semibold">
+                            Waived
+                          </span>
+                        )}
+                        {waiver && (
+                          <p className="text-xs text-amber-800 ml-4">
+                            {describeWaiverApproval(waiver)}: {waiver.reason}
+                          </p>
+                        )}
+                      </li>
+                    )
+                  })}
+                </ul>
+              </div>
+            )}
+
             {/* Home Team Section */}
             <TeamDetailSection
               teamName={game.home_team.name}
               players={gameData.homePlayers}
               isHome={true}
-              gameDate={game.game_date}
-              division={game.home_team.division}
-              hasInningsGap={hasInningsGap}
-              cannotCatchDueToHighPitchCount={cannotCatchDueToHighPitchCount}
-              cannotPitchDueToFourInningsCatching={cannotPitchDueToFourInningsCatching}
-              cannotCatchAgainDueToCombined={cannotCatchAgainDueToCombined}
-              getEffectivePitchCount={getEffectivePitchCount}
-              exceedsMaxPitchesForAge={exceedsMaxPitchesForAge}
-              pitchedBeforeEligibleDate={pitchedBeforeEligibleDate}
-              getMaxPitchesForAge={getMaxPitchesForAge}
+              game={game}
+              violationsByPlayer={violationsByPlayer}
+              waivers={waivers}
+              pitchSmartRules={pitchSmartRules}
             />
 
             {/* Away Team Section */}
@@ -198,16 +378,10 @@ export default function GameDetailModal({ game, onClose }) {
               teamName={game.away_team.name}
               players={gameData.awayPlayers}
               isHome={false}
-              gameDate={game.game_date}
-              division={game.away_team.division}
-              hasInningsGap={hasInningsGap}
-              cannotCatchDueToHighPitchCount={cannotCatchDueToHighPitchCount}
-              cannotPitchDueToFourInningsCatching={cannotPitchDueToFourInningsCatching}
-              cannotCatchAgainDueToCombined={cannotCatchAgainDueToCombined}
-              getEffectivePitchCount={getEffectivePitchCount}
-              exceedsMaxPitchesForAge={exceedsMaxPitchesForAge}
-              pitchedBeforeEligibleDate={pitchedBeforeEligibleDate}
-              getMaxPitchesForAge={getMaxPitchesForAge}
+              game={game}
+              violationsByPlayer={violationsByPlayer}
+              waivers={waivers}
+              pitchSmartRules={pitchSmartRules}
             />
           </div>
         )}
@@ -229,21 +403,16 @@ function TeamDetailSection({
   teamName,
   players,
   isHome,
-  gameDate,
-  division,
-  hasInningsGap,
-  cannotCatchDueToHighPitchCount,
-  cannotPitchDueToFourInningsCatching,
-  cannotCatchAgainDueToCombined,
-  getEffectivePitchCount,
-  exceedsMaxPitchesForAge,
-  pitchedBeforeEligibleDate,
-  getMaxPitchesForAge
+  game,
+  violationsByPlayer,
+  waivers,
+  pitchSmartRules
 }) {
   // Only show players who pitched, caught, or were absent
   // Absent players always appear in the Absent section (for notes); those who also have positions data additionally appear in Pitchers & Catchers with an Absent badge
   const pitchersAndCatchers = players.filter(p => p.positions.length > 0)
   const absentPlayers = players.filter(p => !p.was_present)
+  const fieldingRecorded = hasRecordedFielding(players.flatMap(p => p.positions))
 
   return (
     <div className="border rounded-lg p-4">
@@ -254,7 +423,7 @@ function TeamDetailSection({
       {/* Pitchers and Catchers */}
       {pitchersAndCatchers.length > 0 && (
         <div className="mt-4">
-          <h5 className="font-semibold mb-3 text-blue-700">Pitchers & Catchers</h5>
+          <h5 className="font-semibold mb-3 text-blue-700">{fieldingRecorded ? 'Positions Played' : 'Pitchers & Catchers'}</h5>
           <div className="space-y-3">
             {pitchersAndCatchers.map(playerData => {
               const pitchedInnings = playerData.positions
@@ -267,14 +436,8 @@ function TeamDetailSection({
                 .map(p => p.inning_number)
                 .sort((a, b) => a - b)
 
-              // Calculate violations
-              const effectivePitches = getEffectivePitchCount(playerData.pitching?.penultimate_batter_count || 0)
-              const hasPitchingGap = hasInningsGap(pitchedInnings)
-              const violationHighPitchCount = cannotCatchDueToHighPitchCount(pitchedInnings, caughtInnings, effectivePitches)
-              const violationFourInningsCatching = cannotPitchDueToFourInningsCatching(pitchedInnings, caughtInnings)
-              const violationCombinedRule = cannotCatchAgainDueToCombined(pitchedInnings, caughtInnings, effectivePitches)
-              const violationExceedsPitchLimit = exceedsMaxPitchesForAge(playerData.player.age, effectivePitches, division)
-              const violationPitchedBeforeEligible = pitchedBeforeEligibleDate(gameDate, playerData.previousNextEligibleDate, pitchedInnings)
+              const fielding = formatFieldingPositions(getFieldingPositions(playerData.positions))
+              const violations = violationsByPlayer[playerData.player_id] || []
 
               return (
                 <div key={playerData.player_id} className="bg-gray-50 border rounded p-3">
@@ -304,31 +467,38 @@ function TeamDetailSection({
                                 : `Innings ${pitchedInnings.join(', ')}`
                               }
                             </span>
-                            {playerData.pitching && (
-                              <div className="mt-1 pl-2 border-l-2 border-blue-300">
+                            {playerData.pitchingLogs.map(pitching => (
+                              <div key={pitching.id} className="mt-1 pl-2 border-l-2 border-blue-300">
+                                {pitching.resumed && (
+                                  <div className="text-purple-700 font-medium">
+                                    After resuming on {formatDate(getPitchDate(game, pitching))}
+                                  </div>
+                                )}
                                 <div>
                                   <span className="font-medium text-gray-700">Final Pitch Count: </span>
                                   <span className="text-blue-700 font-semibold">
-                                    {playerData.pitching.final_pitch_count}
+                                    {pitching.final_pitch_count}
                                   </span>
                                 </div>
-                                {playerData.pitching.penultimate_batter_count > 0 && (
+                                {pitching.penultimate_batter_count > 0 && (
                                   <div>
                                     <span className="font-medium text-gray-700">Before Last Batter: </span>
                                     <span className="text-gray-600">
-                                      {playerData.pitching.penultimate_batter_count}
+                                      {pitching.penultimate_batter_count}
                                     </span>
                                   </div>
                                 )}
                                 {(() => {
-                                  // Calculate eligibility based on THIS game's data (snapshot)
+                                  // The stored date covers all of the day's games (doubleheaders);
+                                  // otherwise calculate it from THIS game's data (snapshot)
                                   // Use penultimate_batter_count + 1 as per pitch count rules
-                                  const effectivePitchCount = (playerData.pitching.penultimate_batter_count || 0) + 1
+                                  const effectivePitchCount = (pitching.penultimate_batter_count || 0) + 1
                                   // calculateNextEligibleDate now returns YYYY-MM-DD string directly
-                                  const nextEligibleDate = calculateNextEligibleDate(
-                                    gameDate,
+                                  const nextEligibleDate = pitching.next_eligible_pitch_date || calculateNextEligibleDate(
+                                    getPitchDate(game, pitching),
                                     playerData.player.age,
-                                    effectivePitchCount
+                                    effectivePitchCount,
+                                    pitchSmartRules
                                   )
 
                                   if (!nextEligibleDate) return null
@@ -350,7 +520,7 @@ function TeamDetailSection({
                                   )
                                 })()}
                               </div>
-                            )}
+                            ))}
                           </div>
                         )}
 
@@ -368,7 +538,14 @@ function TeamDetailSection({
                         )}
                       </div>
 
-                      {pitchedInnings.length === 0 && caughtInnings.length === 0 && (
+                      {fielding && (
+                        <div className="text-sm mt-2">
+                          <span className="font-medium text-gray-700">Other positions: </span>
+                          <span className="text-gray-600">{fielding}</span>
+                        </div>
+                      )}
+
+                      {pitchedInnings.length === 0 && caughtInnings.length === 0 && !fielding && (
                         <p className="text-sm text-gray-500 italic">
                           No pitching or catching recorded
                         </p>
@@ -376,19 +553,8 @@ function TeamDetailSection({
 
                       {/* Violation Warnings */}
                       <PlayerViolationWarnings
-                        hasPitchingGap={hasPitchingGap}
-                        violationHighPitchCount={violationHighPitchCount}
-                        violationFourInningsCatching={violationFourInningsCatching}
-                        violationCombinedRule={violationCombinedRule}
-                        violationExceedsPitchLimit={violationExceedsPitchLimit}
-                        violationPitchedBeforeEligible={violationPitchedBeforeEligible}
-                        nextEligiblePitchDate={playerData.previousNextEligibleDate}
-                        pitchedInnings={pitchedInnings}
-                        caughtInnings={caughtInnings}
-                        effectivePitches={effectivePitches}
-                        playerAge={playerData.player.age}
-                        division={division}
-                        getMaxPitchesForAge={getMaxPitchesForAge}
+                        violations={violations}
+                        waivers={waivers}
                         variant="detail"
                       />
                     </div>
@@ -1,23 +1,95 @@
 import { useState, useEffect, memo, useCallback, useRef } from 'react'
 import { supabase } from '../../lib/supabase'
 import { useCoachAssignments } from '../../lib/useCoachAssignments'
+import { usePitchSmartRules } from '../../lib/usePitchSmartRules'
 import GameDetailModal from './GameDetailModal'
-import { calculateNextEligibleDate } from '../../lib/pitchSmartRules'
+import LiveGameCounter, { clearLiveSession } from './LiveGameCounter'
+import OfflineQueuePanel from './OfflineQueuePanel'
+import GameConflictPanel from './GameConflictPanel'
+import GameReconciliationModal from './GameReconciliationModal'
+import UpcomingGamesPanel from './UpcomingGamesPanel'
+import PitcherEligibilityPanel from './PitcherEligibilityPanel'
+import GameStatusModal from './GameStatusModal'
+import GameTrashModal from './GameTrashModal'
+import { fetchPitchSmartRules } from '../../lib/pitchSmartRules'
+import { recomputeLaterGames } from '../../lib/gameRecompute'
+import { saveGameRecord } from '../../lib/gameSave'
+import {
+  diffGameVersions,
+  fetchGameVersion,
+  gameToFormData,
+  getDefaultConflictChoices,
+  isGameConflictError,
+  mergeGameVersions
+} from '../../lib/gameConflicts'
+import {
+  applySubmissionToPlayers,
+  fetchGameSubmissions,
+  isGameOfficial,
+  RECONCILIATION_STATUS_LABELS,
+  submitGameCount
+} from '../../lib/gameReconciliation'
+import { getSignoffLabel, isGameLocked } from '../../lib/gameSignoff'
+import { restoreTrashedGame, trashGame } from '../../lib/gameTrash'
+import { applyLeagueAges, getSeasonAgeCutoff } from '../../lib/leagueAge'
+import * as offlineStore from '../../lib/offlineStore'
+import {
+  buildGameDraft,
+  fetchGameRoster,
+  fetchSeasonRules,
+  isNetworkError,
+  keepDraftVersion,
+  syncDrafts,
+  withOfflineCache
+} from '../../lib/offlineSync'
 import { formatDate } from '../../lib/pitchCountUtils'
+import { fetchSeasonSchedule, formatStartTime, getUpcomingGames } from '../../lib/gameSchedule'
+import {
+  compareGamesInDay,
+  fetchEarlierPitchesToday,
+  fetchEligibilityDatesBeforeDate,
+  fetchLastOutingsBeforeDate,
+  getPitcherAvailability
+} from '../../lib/pitcherEligibility'
+import {
+  expectsCompleteData,
+  formatGameOutcome,
+  GAME_STATUS_LABELS,
+  getFormStatusOptions,
+  requiresFinalScore,
+  validateGameStatus
+} from '../../lib/gameStatus'
+import { applyLiveTeamToPlayers, deriveLiveGame, getLiveMaxInning } from '../../lib/livePitchCounter'
+import { applyLineupToPlayers, fetchTeamLineup, isLineupEmpty, sanitizeLineup } from '../../lib/lineupStorage'
+import { POSITION_CODES, buildPlayerPositions, formatFieldingPositions } from '../../lib/fieldingPositions'
+import { getGamePlayingTimeViolations } from '../../lib/playingTimeRules'
 import {
   getEffectivePitchCount as getEffectivePitchCountUtil,
-  getMaxPitchesForAge,
-  hasInningsGap,
-  cannotCatchDueToHighPitchCount,
-  cannotPitchDueToFourInningsCatching,
-  cannotCatchAgainDueToCombined,
-  exceedsMaxPitchesForAge,
-  pitchedBeforeEligibleDate,
-  calculateGameHasViolations
+  getMaxPitchesForDivision,
+  getPlayerViolations,
+  getViolationRuleLabel
 } from '../../lib/violationRules'
+import {
+  fetchGameWaivers,
+  getUnwaivedBlockingViolations
+} from '../../lib/violationWaivers'
 import PlayerViolationWarnings from './shared/PlayerViolationWarnings'
 import AbsentPlayerCard from './shared/AbsentPlayerCard'
 import InningsVisualDisplay from './shared/InningsVisualDisplay'
+import {
+  fetchResumeEligibilityDates,
+  formatSuspension,
+  getPlayerPortions,
+  getResumeEligibilityDate,
+  getSuspensionInning,
+  validateResumedInnings
+} from '../../lib/suspendedGames'
+
+const SUBMISSION_MESSAGES = {
+  awaiting_submission: 'Count submitted. Waiting for the other scorekeeper\'s count.',
+  disputed: 'Count submitted. The two counts differ and need to be reconciled.',
+  resolved: 'Count submitted. Both counts agree and the game is now official.'
+}
 
 export default function GameEntry({ profile, isAdmin }) {
   const [seasons, setSeasons] = useState([])
@@ -33,18 +105,55 @@ export default function GameEntry({ profile, isAdmin }) {
   const [deleteConfirmText, setDeleteConfirmText] = useState('') // Text to confirm deletion
   const [gameToView, setGameToView] = useState(null) // For viewing game details
   const [gameToEdit, setGameToEdit] = useState(null) // For editing game
+  const [recomputedGames, setRecomputedGames] = useState([]) // Later games updated by the last save/delete
+  const [gameToReconcile, setGameToReconcile] = useState(null) // Game kept by both scorekeepers, for comparing counts
+  const [countToSubmit, setCountToSubmit] = useState(null) // { game, teamId } - one scorekeeper's count being entered
+  const [scheduledGames, setScheduledGames] = useState([]) // Season schedule fixtures
+  const [scheduledGameToEnter, setScheduledGameToEnter] = useState(null) // Fixture whose result is being entered
+  const [gameToChangeStatus, setGameToChangeStatus] = useState(null) // Game being postponed, cancelled or forfeited
+  const [showLiveCounter, setShowLiveCounter] = useState(false)
+  const [showTrash, setShowTrash] = useState(false)
+  const [liveGame, setLiveGame] = useState(null) // Finished live session being saved as a game
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine)
+  const [cachedDataAt, setCachedDataAt] = useState(null) // Set when lists came from the offline cache
+  const [drafts, setDrafts] = useState([]) // Games saved offline, waiting to sync
+  const [syncing, setSyncing] = useState(false)
+  const [preparingOffline, setPreparingOffline] = useState(false)
 
   // Fetch coach assignments for filtering
   const coachData = useCoachAssignments(profile)
 
+  // Players with a birthdate play at their age on the season's cutoff date
+  const ageCutoff = getSeasonAgeCutoff(seasons.find(s => s.id === selectedSeason))
+
   useEffect(() => {
     fetchSeasons()
+    loadDrafts().then(queued => {
+      if (navigator.onLine && queued.some(d => d.status === 'pending')) syncQueuedGames()
+    })
+  }, [])
+
+  // Sync queued games as soon as the connection returns
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true)
+      syncQueuedGames()
+    }
+    const handleOffline = () => setIsOnline(false)
+
+    window.addEventListener('online', handleOnline)
+    window.addEventListener('offline', handleOffline)
+    return () => {
+      window.removeEventListener('online', handleOnline)
+      window.removeEventListener('offline', handleOffline)
+    }
   }, [])
 
   useEffect(() => {
     if (selectedSeason) {
       fetchTeams()
       fetchGames()
+      fetchSchedule()
     }
   }, [selectedSeason])
 
@@ -63,9 +172,16 @@ export default function GameEntry({ profile, isAdmin }) {
         .order('is_active', { ascending: false })
         .order('start_date', { ascending: false })
 
-      const { data, error } = await query
-
-      if (error) throw error
+      const { data, fromCache, cachedAt } = await withOfflineCache(
+        offlineStore,
+        `seasons:${isAdmin ? 'all' : 'active'}`,
+        async () => {
+          const { data, error } = await query
+          if (error) throw error
+          return data
+        }
+      )
+      if (fromCache) setCachedDataAt(cachedAt)
       setSeasons(data)
 
       const activeSeason = data.find(s => s.is_active)
@@ -88,13 +204,21 @@ export default function GameEntry({ profile, isAdmin }) {
 
   const fetchTeams = async () => {
     try {
-      const { data, error } = await supabase
-        .from('teams')
-        .select('*')
-        .eq('season_id', selectedSeason)
-        .order('name')
-
-      if (error) throw error
+      const { data, fromCache, cachedAt } = await withOfflineCache(
+        offlineStore,
+        `teams:${selectedSeason}`,
+        async () => {
+          const { data, error } = await supabase
+            .from('teams')
+            .select('*')
+            .eq('season_id', selectedSeason)
+            .order('name')
+
+          if (error) throw error
+          return data
+        }
+      )
+      if (fromCache) setCachedDataAt(cachedAt)
 
       // Filter teams by coach's divisions
       const filteredTeams = coachData.filterTeamsByCoachDivisions(data)
@@ -106,41 +230,171 @@ export default function GameEntry({ profile, isAdmin }) {
 
   const fetchGames = async () => {
     try {
-      const { data, error } = await supabase
-        .from('games')
-        .select(`
-          *,
-          home_team:teams!games_home_team_id_fkey(name, division),
-          away_team:teams!games_away_team_id_fkey(name, division),
-          scorekeeper_team:teams!games_scorekeeper_team_id_fkey(name)
-        `)
-        .eq('season_id', selectedSeason)
-        .order('game_date', { ascending: false })
-
-      if (error) throw error
+      const { data, fromCache, cachedAt } = await withOfflineCache(
+        offlineStore,
+        `games:${selectedSeason}`,
+        async () => {
+          const { data, error } = await supabase
+            .from('games')
+            .select(`
+              *,
+              home_team:teams!games_home_team_id_fkey(name, division),
+              away_team:teams!games_away_team_id_fkey(name, division),
+              scorekeeper_team:teams!games_scorekeeper_team_id_fkey(name)
+            `)
+            .eq('season_id', selectedSeason)
+            .order('game_date', { ascending: false })
+
+          if (error) throw error
+          return data
+        }
+      )
+      setCachedDataAt(fromCache ? cachedAt : null)
 
       // Filter games by coach's divisions (show games where home OR away team is in coach's divisions)
       const filteredGames = coachData.filterGamesByCoachDivisions(data)
-      setGames(filteredGames)
+      // Newest first; a doubleheader's later game above its earlier one
+      setGames([...filteredGames].sort((a, b) =>
+        b.game_date.localeCompare(a.game_date) || compareGamesInDay(b, a)
+      ))
     } catch (err) {
       setError(err.message)
     }
   }
 
+  const fetchSchedule = async () => {
+    try {
+      const { data } = await withOfflineCache(
+        offlineStore,
+        `schedule:${selectedSeason}`,
+        () => fetchSeasonSchedule(supabase, selectedSeason)
+      )
+      setScheduledGames(data)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const loadDrafts = async () => {
+    try {
+      const queued = await offlineStore.listDrafts()
+      setDrafts(queued)
+      return queued
+    } catch (err) {
+      console.error('Failed to load offline games:', err)
+      return []
+    }
+  }
+
+  const syncQueuedGames = async () => {
+    setSyncing(true)
+    try {
+      const result = await syncDrafts(supabase, offlineStore)
+      if (result.recomputeErrors.length > 0) {
+        setError(`Offline games were synced, but later games could not be updated with them: ${result.recomputeErrors.join('; ')}. Open the synced games and save them again to retry.`)
+      }
+      if (result.synced > 0) {
+        setRecomputedGames(result.recomputedGames)
+        fetchGames()
+        setSuccess(`${result.synced} offline game${result.synced !== 1 ? 's' : ''} synced`)
+        setTimeout(() => setSuccess(null), 3000)
+      }
+    } catch (err) {
+      setError('Failed to sync offline games: ' + err.message)
+    } finally {
+      await loadDrafts()
+      setSyncing(false)
+    }
+  }
+
+  const handleKeepDraftVersion = async (draft) => {
+    try {
+      await offlineStore.putDraft(keepDraftVersion(draft))
+      await syncQueuedGames()
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const handleRetryDraft = async (draft) => {
+    try {
+      await offlineStore.putDraft({ ...draft, status: 'pending', lastError: null })
+      await syncQueuedGames()
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const handleDiscardDraft = async (draft) => {
+    if (!window.confirm(`Discard the offline copy of ${draft.label}? This cannot be undone.`)) return
+    try {
+      await offlineStore.deleteDraft(draft.id)
+      await loadDrafts()
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  // Cache every roster and eligibility date in the season so games can be entered without coverage
+  const handlePrepareOffline = async () => {
+    setPreparingOffline(true)
+    try {
+      await fetchSeasonRules(supabase, offlineStore, selectedSeason)
+      for (const team of teams) {
+        await fetchGameRoster(supabase, offlineStore, team.id)
+      }
+      setSuccess(`Rosters for ${teams.length} teams saved on this device for offline game entry`)
+      setTimeout(() => setSuccess(null), 3000)
+    } catch (err) {
+      setError('Failed to save rosters for offline use: ' + err.message)
+    } finally {
+      setPreparingOffline(false)
+    }
+  }
+
+  const handleGameQueued = () => {
+    loadDrafts()
+    setSuccess('No connection: the game was saved on this device and will sync when you are back online.')
+    setTimeout(() => setSuccess(null), 5000)
+  }
+
+  // A postponed game links to its replacement once that is played; until then
+  // the replacement is a fixture on the schedule
+  const getRescheduledDate = (game) => {
+    if (game.rescheduled_game_id) {
+      return games.find(g => g.id === game.rescheduled_game_id)?.game_date || null
+    }
+    return scheduledGames.find(s => s.replaces_game_id === game.id)?.game_date || null
+  }
+
   const handleDeleteGame = async () => {
     if (!gameToDelete || deleteConfirmText.toLowerCase() !== 'delete') return
 
     try {
-      const { error } = await supabase
-        .from('games')
-        .delete()
-        .eq('id', gameToDelete.id)
-
-      if (error) throw error
+      // Remember who played so later games can be recomputed once this one is gone
+      const { data: deletedGamePlayers } = await supabase
+        .from('game_players')
+        .select('player_id')
+        .eq('game_id', gameToDelete.id)
+
+      await trashGame(supabase, gameToDelete.id)
+
+      try {
+        const { rules } = await fetchPitchSmartRules(supabase, gameToDelete.season_id)
+        const changedGames = await recomputeLaterGames(supabase, {
+          seasonId: gameToDelete.season_id,
+          fromDate: gameToDelete.game_date,
+          playerIds: (deletedGamePlayers || []).map(gp => gp.player_id),
+          rules
+        })
+        setRecomputedGames(changedGames)
+      } catch (recomputeError) {
+        console.error('Failed to recompute later games:', recomputeError)
+      }
 
       // Refresh games list
       await fetchGames()
-      setSuccess('Game deleted successfully!')
+      setSuccess('Game moved to the trash')
       setTimeout(() => setSuccess(null), 3000)
       setGameToDelete(null)
       setDeleteConfirmText('')
@@ -151,6 +405,31 @@ export default function GameEntry({ profile, isAdmin }) {
     }
   }
 
+  const handleRestoreTrashedGame = async (trashedGame) => {
+    await restoreTrashedGame(supabase, trashedGame.id)
+
+    try {
+      // The restored game's pitches count again for later games
+      const { data: restoredGamePlayers } = await supabase
+        .from('game_players')
+        .select('player_id')
+        .eq('game_id', trashedGame.id)
+
+      const { rules } = await fetchPitchSmartRules(supabase, selectedSeason)
+      const changedGames = await recomputeLaterGames(supabase, {
+        seasonId: selectedSeason,
+        fromDate: trashedGame.game_date,
+        playerIds: (restoredGamePlayers || []).map(gp => gp.player_id),
+        rules
+      })
+      setRecomputedGames(changedGames)
+    } catch (recomputeError) {
+      console.error('Failed to recompute later games:', recomputeError)
+    }
+
+    await fetchGames()
+  }
+
   if (loading) {
     return <div className="text-center py-8">Loading...</div>
   }
@@ -192,17 +471,44 @@ export default function GameEntry({ profile, isAdmin }) {
       )
     : games
 
+  // Scheduled games without a result in the selected division
+  const today = new Date().toISOString().split('T')[0]
+  const unplayedGames = coachData.filterGamesByCoachDivisions(getUpcomingGames(scheduledGames, ''))
+    .filter(game => !selectedDivision || selectedDivision === 'All' || game.home_team?.division === selectedDivision)
+
   return (
     <div>
       <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3 mb-6">
         <h2 className="text-2xl font-bold">⚾ Game Entry</h2>
         {isAdmin && (
-          <button
-            onClick={() => setShowGameForm(true)}
-            className="btn btn-primary"
-          >
-            + Enter New Game
-          </button>
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={handlePrepareOffline}
+              disabled={!isOnline || preparingOffline}
+              className="btn btn-secondary"
+            >
+              {preparingOffline ? 'Saving...' : '📥 Save for Offline'}
+            </button>
+            <button
+              onClick={() => setShowLiveCounter(true)}
+              className="btn btn-secondary"
+            >
+              📱 Live Pitch Counter
+            </button>
+            <button
+              onClick={() => setShowTrash(true)}
+              disabled={!selectedSeason}
+              className="btn btn-secondary"
+            >
+              🗑️ Trash
+            </button>
+            <button
+              onClick={() => setShowGameForm(true)}
+              className="btn btn-primary"
+            >
+              + Enter New Game
+            </button>
+          </div>
         )}
       </div>
 
@@ -261,6 +567,40 @@ export default function GameEntry({ profile, isAdmin }) {
         </div>
       )}
 
+      {recomputedGames.length > 0 && (
+        <RecomputedGamesNotice
+          games={recomputedGames}
+          onDismiss={() => setRecomputedGames([])}
+        />
+      )}
+
+      {(!isOnline || cachedDataAt) && (
+        <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+          📴 {isOnline ? 'Could not reach the server.' : 'You are offline.'}
+          {cachedDataAt && ` Showing data saved on this device on ${new Date(cachedDataAt).toLocaleString()}.`}
+          {' '}New games are kept on this device and synced when the connection returns.
+        </div>
+      )}
+
+      {drafts.length > 0 && (
+        <OfflineQueuePanel
+          drafts={drafts}
+          syncing={syncing}
+          isOnline={isOnline}
+          onSync={syncQueuedGames}
+          onKeepMine={handleKeepDraftVersion}
+          onRetry={handleRetryDraft}
+          onDiscard={handleDiscardDraft}
+        />
+      )}
+
+      <UpcomingGamesPanel
+        scheduledGames={unplayedGames}
+        today={today}
+        isAdmin={isAdmin}
+        onEnterResult={setScheduledGameToEnter}
+      />
+
       {/* Games List */}
       {filteredGames.length === 0 ? (
         <div className="card text-center py-12">
@@ -292,6 +632,7 @@ export default function GameEntry({ profile, isAdmin }) {
                     <div className="flex flex-wrap items-center gap-2">
                       <p className="text-sm text-gray-600">
                         {formatDate(game.game_date)}
+                        {game.start_time && ` · ${formatStartTime(game.start_time)}`}
                       </p>
                       {(game.home_team?.division || game.away_team?.division) && (
                         <span className="px-2 py-0.5 bg-blue-100 text-blue-700 text-xs font-medium rounded">
@@ -303,16 +644,45 @@ export default function GameEntry({ profile, isAdmin }) {
                           ⚠️ Rule Violation
                         </span>
                       )}
+                      {!isGameOfficial(game) && (
+                        <span className="px-2 py-0.5 bg-amber-100 text-amber-800 text-xs font-medium rounded-full">
+                          {RECONCILIATION_STATUS_LABELS[game.reconciliation_status]}
+                        </span>
+                      )}
+                      {game.status && game.status !== 'final' && (
+                        <span className="px-2 py-0.5 bg-gray-200 text-gray-800 text-xs font-medium rounded-full">
+                          {GAME_STATUS_LABELS[game.status]}
+                        </span>
+                      )}
+                      {game.signoff_status && (
+                        <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${
+                          isGameLocked(game) ? 'bg-green-100 text-green-800' : 'bg-amber-100 text-amber-800'
+                        }`}>
+                          {isGameLocked(game) && '🔒 '}{getSignoffLabel(game)}
+                        </span>
+                      )}
                     </div>
                     <p className="font-semibold text-lg">
                       {game.away_team?.name || 'Unknown'} at {game.home_team?.name || 'Unknown'}
                     </p>
                     <p className="text-gray-700 mt-1">
-                      Score: {game.away_score} - {game.home_score}
-                    </p>
-                    <p className="text-sm text-gray-500 mt-1">
-                      Scorekeeper: {game.scorekeeper_name} ({game.scorekeeper_team?.name})
+                      {game.status === 'final' || game.status === 'in_progress' || game.status === 'suspended'
+                        ? `Score: ${formatGameOutcome(game)}`
+                        : formatGameOutcome(game)}
                     </p>
+                    {formatSuspension(game) && (
+                      <p className="text-sm text-purple-700 mt-1">{formatSuspension(game)}</p>
+                    )}
+                    {game.status === 'postponed' && getRescheduledDate(game) && (
+                      <p className="text-sm text-gray-600 mt-1">
+                        Rescheduled to {formatDate(getRescheduledDate(game))}
+                      </p>
+                    )}
+                    {game.scorekeeper_name && (
+                      <p className="text-sm text-gray-500 mt-1">
+                        Scorekeeper: {game.scorekeeper_name} ({game.scorekeeper_team?.name})
+                      </p>
+                    )}
                     {game.notes && (
                       <div className="mt-2 p-2 bg-yellow-50 border border-yellow-200 rounded text-sm">
                         <span className="font-semibold text-yellow-900">📝 Note: </span>
@@ -329,13 +699,32 @@ export default function GameEntry({ profile, isAdmin }) {
                     >
                       View Details
                     </button>
-                    {isAdmin && (
+                    {!isGameOfficial(game) && (
+                      <button
+                        onClick={() => setGameToReconcile(game)}
+                        className="text-amber-700 hover:text-amber-900 text-sm"
+                      >
+                        Counts
+                      </button>
+                    )}
+                    {isAdmin && isGameLocked(game) && (
+                      <span className="text-gray-500 text-sm" title="Reopen the game from View Details to change it">
+                        🔒 Signed off
+                      </span>
+                    )}
+                    {isAdmin && !isGameLocked(game) && (
                       <>
                         <button
                           onClick={() => setGameToEdit(game)}
                           className="text-green-600 hover:text-green-800 text-sm"
                         >
-                          Edit
+                          {game.status === 'scheduled' ? 'Enter Result' : 'Edit'}
+                        </button>
+                        <button
+                          onClick={() => setGameToChangeStatus(game)}
+                          className="text-gray-600 hover:text-gray-800 text-sm"
+                        >
+                          Status
                         </button>
                         <button
                           onClick={() => setGameToDelete(game)}
@@ -356,11 +745,19 @@ export default function GameEntry({ profile, isAdmin }) {
       {isAdmin && showGameForm && (
         <GameFormModal
           seasonId={selectedSeason}
+          ageCutoff={ageCutoff}
           teams={teams}
           defaultDivision={selectedDivision}
+          isAdmin={isAdmin}
+          profile={profile}
           onClose={() => setShowGameForm(false)}
-          onSuccess={() => {
+          onQueued={() => {
+            setShowGameForm(false)
+            handleGameQueued()
+          }}
+          onSuccess={(changedGames = []) => {
             setShowGameForm(false)
+            setRecomputedGames(changedGames)
             fetchGames()
             setSuccess('Game entered successfully!')
             setTimeout(() => setSuccess(null), 3000)
@@ -369,11 +766,132 @@ export default function GameEntry({ profile, isAdmin }) {
         />
       )}
 
+      {/* Enter the result of a scheduled game */}
+      {isAdmin && scheduledGameToEnter && (
+        <GameFormModal
+          seasonId={selectedSeason}
+          ageCutoff={ageCutoff}
+          teams={teams}
+          defaultDivision={scheduledGameToEnter.home_team?.division || selectedDivision}
+          scheduledGame={scheduledGameToEnter}
+          isAdmin={isAdmin}
+          profile={profile}
+          onClose={() => setScheduledGameToEnter(null)}
+          onQueued={() => {
+            setScheduledGameToEnter(null)
+            handleGameQueued()
+          }}
+          onSuccess={(changedGames = []) => {
+            setScheduledGameToEnter(null)
+            setRecomputedGames(changedGames)
+            fetchGames()
+            fetchSchedule()
+            setSuccess('Game entered successfully!')
+            setTimeout(() => setSuccess(null), 3000)
+          }}
+          onError={(err) => setError(err)}
+        />
+      )}
+
+      {isAdmin && showLiveCounter && (
+        <LiveGameCounter
+          seasonId={selectedSeason}
+          teams={teams}
+          defaultDivision={selectedDivision}
+          onClose={() => setShowLiveCounter(false)}
+          onFinish={(session) => {
+            setShowLiveCounter(false)
+            setLiveGame(session)
+          }}
+        />
+      )}
+
+      {/* Finished live session: review and save like a normal game */}
+      {isAdmin && liveGame && (
+        <GameFormModal
+          seasonId={selectedSeason}
+          ageCutoff={ageCutoff}
+          teams={teams}
+          defaultDivision={liveGame.division}
+          liveGame={liveGame}
+          isAdmin={isAdmin}
+          profile={profile}
+          onClose={() => setLiveGame(null)}
+          onQueued={() => {
+            clearLiveSession()
+            setLiveGame(null)
+            handleGameQueued()
+          }}
+          onSuccess={(changedGames = []) => {
+            clearLiveSession()
+            setLiveGame(null)
+            setRecomputedGames(changedGames)
+            fetchGames()
+            setSuccess('Live game saved successfully!')
+            setTimeout(() => setSuccess(null), 3000)
+          }}
+          onError={(err) => setError(err)}
+        />
+      )}
+
       {/* Game Detail Modal */}
       {gameToView && (
         <GameDetailModal
           game={gameToView}
+          isAdmin={isAdmin}
+          profile={profile}
           onClose={() => setGameToView(null)}
+          onSignoffChange={() => fetchGames()}
+          onRestored={(changedGames = []) => {
+            setRecomputedGames(changedGames)
+            fetchGames()
+            setSuccess('Game restored to the earlier version')
+            setTimeout(() => setSuccess(null), 3000)
+          }}
+        />
+      )}
+
+      {/* Compare the two scorekeepers' counts */}
+      {gameToReconcile && (
+        <GameReconciliationModal
+          game={gameToReconcile}
+          isAdmin={isAdmin}
+          submitTeamIds={isAdmin ? [gameToReconcile.home_team_id, gameToReconcile.away_team_id] : coachData.teams}
+          onClose={() => setGameToReconcile(null)}
+          onSubmitCount={(teamId) => {
+            setCountToSubmit({ game: gameToReconcile, teamId })
+            setGameToReconcile(null)
+          }}
+          onResolved={(changedGames = []) => {
+            setGameToReconcile(null)
+            setRecomputedGames(changedGames)
+            fetchGames()
+            setSuccess('Counts reconciled. The game is now official.')
+            setTimeout(() => setSuccess(null), 3000)
+          }}
+        />
+      )}
+
+      {/* Submit one scorekeeper's count */}
+      {countToSubmit && (
+        <GameFormModal
+          seasonId={selectedSeason}
+          ageCutoff={ageCutoff}
+          teams={teams}
+          gameToEdit={countToSubmit.game}
+          submissionTeamId={countToSubmit.teamId}
+          defaultDivision={countToSubmit.game.home_team?.division || 'Major'}
+          isAdmin={isAdmin}
+          profile={profile}
+          onClose={() => setCountToSubmit(null)}
+          onSuccess={(changedGames = [], status) => {
+            setCountToSubmit(null)
+            setRecomputedGames(changedGames)
+            fetchGames()
+            setSuccess(SUBMISSION_MESSAGES[status])
+            setTimeout(() => setSuccess(null), 5000)
+          }}
+          onError={(err) => setError(err)}
         />
       )}
 
@@ -381,12 +899,20 @@ export default function GameEntry({ profile, isAdmin }) {
       {isAdmin && gameToEdit && (
         <GameFormModal
           seasonId={selectedSeason}
+          ageCutoff={ageCutoff}
           teams={teams}
           gameToEdit={gameToEdit}
           defaultDivision={gameToEdit.home_team?.division || 'Major'}
+          isAdmin={isAdmin}
+          profile={profile}
           onClose={() => setGameToEdit(null)}
-          onSuccess={() => {
+          onQueued={() => {
+            setGameToEdit(null)
+            handleGameQueued()
+          }}
+          onSuccess={(changedGames = []) => {
             setGameToEdit(null)
+            setRecomputedGames(changedGames)
             fetchGames()
             setSuccess('Game updated successfully!')
             setTimeout(() => setSuccess(null), 3000)
@@ -395,6 +921,30 @@ export default function GameEntry({ profile, isAdmin }) {
         />
       )}
 
+      {/* Postpone, cancel or forfeit a game */}
+      {isAdmin && gameToChangeStatus && (
+        <GameStatusModal
+          game={gameToChangeStatus}
+          onClose={() => setGameToChangeStatus(null)}
+          onSuccess={(status, { replacementFixtureId }) => {
+            setGameToChangeStatus(null)
+            fetchGames()
+            if (replacementFixtureId) fetchSchedule()
+            setSuccess(`Game marked ${GAME_STATUS_LABELS[status].toLowerCase()}${replacementFixtureId ? ' and the replacement game added to the schedule' : ''}`)
+            setTimeout(() => setSuccess(null), 3000)
+          }}
+        />
+      )}
+
+      {isAdmin && showTrash && (
+        <GameTrashModal
+          seasonId={selectedSeason}
+          teams={teams}
+          onRestore={handleRestoreTrashedGame}
+          onClose={() => setShowTrash(false)}
+        />
+      )}
+
       {/* Delete Confirmation Modal */}
       {isAdmin && gameToDelete && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -413,17 +963,18 @@ export default function GameEntry({ profile, isAdmin }) {
                   {new Date(gameToDelete.game_date).toLocaleDateString()}
                 </p>
                 <p className="text-sm text-gray-600">
-                  Score: {gameToDelete.away_score} - {gameToDelete.home_score}
+                  {formatGameOutcome(gameToDelete)}
                 </p>
               </div>
             </div>
 
             <div className="mb-4">
               <p className="text-sm text-gray-700 mb-2">
-                This will permanently delete the game and all player data (attendance, pitch counts, positions played).
+                The game and its player data (attendance, pitch counts, positions played) move to the trash.
+                Its pitches stop counting toward pitcher eligibility, and later games are recalculated.
               </p>
-              <p className="text-sm font-semibold text-red-600 mb-2">
-                This action cannot be undone!
+              <p className="text-sm text-gray-700 mb-2">
+                An admin can restore it from the trash until its retention period ends.
               </p>
               <label className="label">Type "delete" to confirm:</label>
               <input
@@ -461,20 +1012,70 @@ export default function GameEntry({ profile, isAdmin }) {
   )
 }
 
-function GameFormModal({ seasonId, teams, defaultDivision, gameToEdit, onClose, onSuccess, onError }) {
+/**
+ * RecomputedGamesNotice Component
+ *
+ * Lists later games whose eligibility dates or violations changed
+ * because an earlier game was entered, edited or deleted.
+ */
+function RecomputedGamesNotice({ games, onDismiss }) {
+  return (
+    <div className="mb-4 p-4 bg-blue-50 border-l-4 border-blue-500 rounded">
+      <div className="flex justify-between items-start gap-4">
+        <p className="font-semibold text-blue-900">
+          🔄 {games.length} later game{games.length !== 1 ? 's were' : ' was'} updated
+        </p>
+        <button
+          onClick={onDismiss}
+          className="text-blue-700 hover:text-blue-900 text-sm"
+        >
+          Dismiss
+        </button>
+      </div>
+      <ul className="mt-2 space-y-2 text-sm text-blue-900">
+        {games.map(game => (
+          <li key={game.id}>
+            <span className="font-medium">
+              {formatDate(game.game_date)} — {game.away_team_name} at {game.home_team_name}
+            </span>
+            {game.has_violation && (
+              <span className="ml-2 text-xs bg-red-100 text-red-700 px-2 py-0.5 rounded-full">
+                ⚠️ Rule Violation
+              </span>
+            )}
+            <ul className="list-disc list-inside ml-2 text-blue-800">
+              {game.changes.map((change, i) => (
+                <li key={i}>{change}</li>
+              ))}
+            </ul>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+function GameFormModal({ seasonId, ageCutoff = null, teams, defaultDivision, gameToEdit, liveGame, scheduledGame = null, submissionTeamId = null, isAdmin, profile, onClose, onSuccess, onQueued, onError }) {
   const isEditMode = !!gameToEdit
+  const isSubmissionMode = !!submissionTeamId // One scorekeeper's count for a game kept by both teams
+  const modeTitle = isSubmissionMode ? 'Submit Pitch Count' : isEditMode ? 'Edit Game' : 'Enter New Game'
   const [step, setStep] = useState(1) // 1 = Basic Info, 2 = Player Data, 3 = Confirmation
-  const [gameId, setGameId] = useState(gameToEdit?.id || null)
+  const gameId = gameToEdit?.id || null
   const [selectedDivision, setSelectedDivision] = useState(defaultDivision || '')
   const [formData, setFormData] = useState({
-    game_date: gameToEdit?.game_date || '',
-    scorekeeper_name: gameToEdit?.scorekeeper_name || '',
-    scorekeeper_team_id: gameToEdit?.scorekeeper_team_id || '',
-    home_team_id: gameToEdit?.home_team_id || '',
-    away_team_id: gameToEdit?.away_team_id || '',
+    game_date: gameToEdit?.game_date || liveGame?.game_date || scheduledGame?.game_date || '',
+    start_time: (gameToEdit?.start_time || scheduledGame?.start_time)?.slice(0, 5) || '',
+    scorekeeper_name: (!isSubmissionMode && gameToEdit?.scorekeeper_name) || '',
+    scorekeeper_team_id: submissionTeamId || gameToEdit?.scorekeeper_team_id || '',
+    home_team_id: gameToEdit?.home_team_id || liveGame?.home_team_id || scheduledGame?.home_team_id || '',
+    away_team_id: gameToEdit?.away_team_id || liveGame?.away_team_id || scheduledGame?.away_team_id || '',
     home_score: gameToEdit?.home_score?.toString() || '',
     away_score: gameToEdit?.away_score?.toString() || '',
-    notes: gameToEdit?.notes || ''
+    notes: gameToEdit?.notes || '',
+    status: getFormStatusOptions(gameToEdit?.status || null)[0],
+    forfeiting_team_id: gameToEdit?.forfeiting_team_id || '',
+    suspended_after_inning: gameToEdit?.suspended_after_inning?.toString() || '',
+    resume_date: gameToEdit?.resume_date || ''
   })
   const [homePlayers, setHomePlayers] = useState([]) // Player data for home team
   const [awayPlayers, setAwayPlayers] = useState([]) // Player data for away team
@@ -483,6 +1084,20 @@ function GameFormModal({ seasonId, teams, defaultDivision, gameToEdit, onClose,
   const [maxInnings, setMaxInnings] = useState(6) // Dynamic innings count (6 default, can add up to 12)
   const [acknowledgeIncompleteData, setAcknowledgeIncompleteData] = useState(false)
   const [incompleteDataWarnings, setIncompleteDataWarnings] = useState([])
+  const [existingWaivers, setExistingWaivers] = useState([]) // Waivers already recorded for the game being edited
+  const [waiverReason, setWaiverReason] = useState('') // Admin justification for waiving blocking violations
+  const [rosterCachedAt, setRosterCachedAt] = useState(null) // Set when rosters came from the offline cache
+  const [conflict, setConflict] = useState(null) // Someone else saved the game meanwhile: { version, theirs, diff, choices }
+  const [dualScorekeeper, setDualScorekeeper] = useState(false) // Both teams' scorekeepers submit a count for the new game
+  const [earlierPitchesToday, setEarlierPitchesToday] = useState({}) // player_id -> pitches from earlier games the same day
+  const [resumeEligibility, setResumeEligibility] = useState({}) // player_id -> eligibility before a suspended game resumed
+  const [recordFielding, setRecordFielding] = useState({ home: false, away: false }) // Show every fielding position per team
+  const [teamLineups, setTeamLineups] = useState({ home: null, away: null }) // Lineups saved in the Lineup Builder for the game date
+  const [lastOutings, setLastOutings] = useState(null) // player_id -> last outing before the game date (null until loaded)
+  const [eligibilityBeforeGame, setEligibilityBeforeGame] = useState(null) // player_id -> next eligible date from pitches before the game date (null until loaded)
+
+  // Season-specific Pitch Smart rules (falls back to league defaults)
+  const { rules: pitchSmartRules } = usePitchSmartRules(seasonId)
 
   // Ref for scrolling to top on error
   const modalContentRef = useRef(null)
@@ -497,6 +1112,58 @@ function GameFormModal({ seasonId, teams, defaultDivision, gameToEdit, onClose,
     }
   }, [modalError])
 
+  // Pitches from the players' earlier games the same day count toward Rule 5 (doubleheaders)
+  const rosterKey = [...homePlayers, ...awayPlayers].map(p => p.id).join(',')
+  useEffect(() => {
+    if (step !== 2 || !rosterKey) return
+    fetchEarlierPitchesToday(supabase, rosterKey.split(','), {
+      id: gameId,
+      game_date: formData.game_date,
+      start_time: formData.start_time || null,
+      created_at: gameToEdit?.created_at || null
+    })
+      .then(setEarlierPitchesToday)
+      .catch(() => setEarlierPitchesToday({})) // Offline: checked again when the game syncs
+  }, [step, rosterKey, formData.game_date, formData.start_time])
+
+  // Last outings before the game date for the pitcher eligibility panel
+  useEffect(() => {
+    if (step !== 2 || !rosterKey) return
+    fetchLastOutingsBeforeDate(supabase, rosterKey.split(','), formData.game_date, gameId)
+      .then(setLastOutings)
+      .catch(() => setLastOutings(null)) // Offline: the panel falls back to the roster's eligibility dates
+  }, [step, rosterKey, formData.game_date])
+
+  // Eligibility dates from pitches before the game date, so a game entered late isn't
+  // checked against rest owed for later games
+  useEffect(() => {
+    if (step !== 2 || !rosterKey) return
+    fetchEligibilityDatesBeforeDate(supabase, rosterKey.split(','), formData.game_date, gameId)
+      .then(setEligibilityBeforeGame)
+      .catch(() => setEligibilityBeforeGame(null)) // Offline: falls back to the roster's eligibility dates
+  }, [step, rosterKey, formData.game_date])
+
+  // Pitchers after a suspended game resumed are checked against the resume date
+  useEffect(() => {
+    if (step !== 2 || !rosterKey) return
+    fetchResumeEligibilityDates(supabase, rosterKey.split(','), {
+      id: gameId,
+      suspended_after_inning: formData.suspended_after_inning,
+      resume_date: formData.resume_date
+    })
+      .then(setResumeEligibility)
+      .catch(() => setResumeEligibility({})) // Offline: checked again when the game syncs
+  }, [step, rosterKey, formData.suspended_after_inning, formData.resume_date])
+
+  // A new game can start from the lineups the coaches saved for the date
+  useEffect(() => {
+    if (step !== 2 || isEditMode || !formData.game_date) return
+    const teamIds = [formData.home_team_id, formData.away_team_id]
+    Promise.all(teamIds.map(teamId => fetchTeamLineup(supabase, teamId, formData.game_date)))
+      .then(([home, away]) => setTeamLineups({ home, away }))
+      .catch(() => setTeamLineups({ home: null, away: null })) // Offline: lineups are not cached on the device
+  }, [step, formData.home_team_id, formData.away_team_id, formData.game_date])
+
   // Load existing player data when editing
   useEffect(() => {
     if (isEditMode && gameToEdit) {
@@ -508,90 +1175,34 @@ function GameFormModal({ seasonId, teams, defaultDivision, gameToEdit, onClose,
     try {
       setLoading(true)
 
-      // Fetch game_players with player info
-      const { data: gamePlayers, error: playersError } = await supabase
-        .from('game_players')
-        .select(`
-          *,
-          player:players(*)
-        `)
-        .eq('game_id', gameToEdit.id)
-
-      if (playersError) throw playersError
-
-      // Fetch pitching_logs
-      const { data: pitchingLogs, error: pitchingError } = await supabase
-        .from('pitching_logs')
-        .select('*')
-        .eq('game_id', gameToEdit.id)
-
-      if (pitchingError) throw pitchingError
-
-      // Fetch positions_played
-      const { data: positionsPlayed, error: positionsError } = await supabase
-        .from('positions_played')
-        .select('*')
-        .eq('game_id', gameToEdit.id)
-
-      if (positionsError) throw positionsError
-
-      // Fetch player eligibility dates from games BEFORE this game
-      const allPlayerIds = gamePlayers.map(gp => gp.player_id)
-      const eligibilityMap = await fetchPlayerEligibilityDatesBeforeGame(allPlayerIds, gameToEdit.game_date, gameToEdit.id)
-
-      // Organize player data by team
-      const homePlayerData = []
-      const awayPlayerData = []
-
-      gamePlayers.forEach(gp => {
-        const playerPitching = pitchingLogs.find(pl => pl.player_id === gp.player_id)
-        const playerPositions = positionsPlayed.filter(pp => pp.player_id === gp.player_id)
-
-        const playerData = {
-          ...gp.player,
-          was_present: gp.was_present,
-          absence_note: gp.absence_note || '',
-          innings_pitched: playerPositions
-            .filter(p => p.position === 'pitcher')
-            .map(p => p.inning_number)
-            .sort((a, b) => a - b),
-          innings_caught: playerPositions
-            .filter(p => p.position === 'catcher')
-            .map(p => p.inning_number)
-            .sort((a, b) => a - b),
-          penultimate_batter_count: playerPitching?.penultimate_batter_count?.toString() || '',
-          final_pitch_count: playerPitching?.final_pitch_count?.toString() || '',
-          previousNextEligibleDate: eligibilityMap[gp.player_id] || null
+      // Submitting a count starts from the team's own earlier submission, never the other scorekeeper's
+      if (isSubmissionMode) {
+        const submissions = await fetchGameSubmissions(supabase, gameToEdit)
+        const ownSubmission = submissionTeamId === gameToEdit.home_team_id ? submissions.home : submissions.away
+        if (ownSubmission) {
+          setFormData(prev => ({ ...prev, scorekeeper_name: ownSubmission.scorekeeper_name }))
         }
+        await fetchPlayers(gameToEdit.home_team_id, gameToEdit.away_team_id, ownSubmission)
+        return
+      }
 
-        if (gp.player.team_id === gameToEdit.home_team_id) {
-          homePlayerData.push(playerData)
-        } else {
-          awayPlayerData.push(playerData)
-        }
-      })
+      const version = await fetchGameVersion(supabase, gameToEdit.id)
+      if (!version) throw new Error('This game no longer exists. It may have been deleted by someone else.')
 
-      setHomePlayers(homePlayerData)
-      setAwayPlayers(awayPlayerData)
-
-      // Calculate max innings from existing data
-      const allPitchedInnings = [...homePlayerData, ...awayPlayerData]
-        .flatMap(p => p.innings_pitched)
-      const allCaughtInnings = [...homePlayerData, ...awayPlayerData]
-        .flatMap(p => p.innings_caught)
-      const existingMaxInning = Math.max(
-        6, // Default minimum
-        allPitchedInnings.length > 0 ? Math.max(...allPitchedInnings) : 0,
-        allCaughtInnings.length > 0 ? Math.max(...allCaughtInnings) : 0
-      )
-      setMaxInnings(existingMaxInning)
+      // Fetch waivers so already-waived violations don't block the save again
+      setExistingWaivers(await fetchGameWaivers(supabase, gameToEdit.id))
 
-      // Save original game data for comparison when teams change
+      setHomePlayers(applyLeagueAges(version.homePlayers, ageCutoff))
+      setAwayPlayers(applyLeagueAges(version.awayPlayers, ageCutoff))
+      setMaxInnings(getMaxRecordedInning([...version.homePlayers, ...version.awayPlayers]))
+
+      // Save original game data for comparison when teams change and for conflict detection on save
       setOriginalGameData({
-        homeTeamId: gameToEdit.home_team_id,
-        awayTeamId: gameToEdit.away_team_id,
-        homePlayers: homePlayerData,
-        awayPlayers: awayPlayerData
+        game: version.game,
+        homeTeamId: version.game.home_team_id,
+        awayTeamId: version.game.away_team_id,
+        homePlayers: version.homePlayers,
+        awayPlayers: version.awayPlayers
       })
     } catch (err) {
       setModalError(err.message)
@@ -600,43 +1211,10 @@ function GameFormModal({ seasonId, teams, defaultDivision, gameToEdit, onClose,
     }
   }
 
-  /**
-   * Fetch the most recent next_eligible_pitch_date for players from games BEFORE a specific date
-   * Used when editing an existing game to check Rule 6 correctly
-   */
-  const fetchPlayerEligibilityDatesBeforeGame = async (playerIds, gameDate, excludeGameId) => {
-    if (!playerIds || playerIds.length === 0) return {}
-
-    try {
-      // Get the most recent pitching log for each player from games BEFORE the specified game date
-      const { data: pitchingLogs, error } = await supabase
-        .from('pitching_logs')
-        .select(`
-          player_id,
-          next_eligible_pitch_date,
-          games!inner(game_date)
-        `)
-        .in('player_id', playerIds)
-        .neq('game_id', excludeGameId)
-        .lt('games.game_date', gameDate)
-        .not('next_eligible_pitch_date', 'is', null)
-        .order('games(game_date)', { ascending: false })
-
-      if (error) throw error
-
-      // Build a map of player_id -> most recent next_eligible_pitch_date
-      const eligibilityMap = {}
-      for (const log of pitchingLogs) {
-        if (!eligibilityMap[log.player_id]) {
-          eligibilityMap[log.player_id] = log.next_eligible_pitch_date
-        }
-      }
-
-      return eligibilityMap
-    } catch (err) {
-      console.error('Error fetching player eligibility dates:', err)
-      return {}
-    }
+  // Innings to show: at least 6, and every inning with recorded data
+  const getMaxRecordedInning = (players) => {
+    const innings = players.flatMap(p => buildPlayerPositions(p).map(pos => pos.inning_number))
+    return Math.max(6, ...innings)
   }
 
   // Filter teams by selected division
@@ -659,6 +1237,20 @@ function GameFormModal({ seasonId, teams, defaultDivision, gameToEdit, onClose,
         throw new Error('Home and away teams must be different')
       }
 
+      if (isSubmissionMode) {
+        // Rosters were loaded with the game; only the scorekeeper is entered here
+        setStep(2)
+        return
+      }
+
+      const statusError = validateGameStatus(formData)
+      if (statusError) throw new Error(statusError)
+
+      if (dualScorekeeper && formData.scorekeeper_team_id !== formData.home_team_id &&
+          formData.scorekeeper_team_id !== formData.away_team_id) {
+        throw new Error('When both scorekeepers submit pitch counts, the scorekeeper\'s team must be the home or away team')
+      }
+
       if (isEditMode) {
         // For edit mode: Don't save yet, handle player data based on team changes
         const oldHomeId = originalGameData.homeTeamId
@@ -702,16 +1294,18 @@ function GameFormModal({ seasonId, teams, defaultDivision, gameToEdit, onClose,
               .from('players')
               .select('*')
               .eq('team_id', newHomeId)
+              .is('archived_at', null)
               .order('name')
 
             if (error) throw error
 
-            newHomePlayers = data.map(player => ({
+            newHomePlayers = applyLeagueAges(data, ageCutoff).map(player => ({
               ...player,
               was_present: true,
               absence_note: '',
               innings_pitched: [],
               innings_caught: [],
+              fielding_positions: {},
               penultimate_batter_count: '',
               final_pitch_count: ''
             }))
@@ -731,16 +1325,18 @@ function GameFormModal({ seasonId, teams, defaultDivision, gameToEdit, onClose,
               .from('players')
               .select('*')
               .eq('team_id', newAwayId)
+              .is('archived_at', null)
               .order('name')
 
             if (error) throw error
 
-            newAwayPlayers = data.map(player => ({
+            newAwayPlayers = applyLeagueAges(data, ageCutoff).map(player => ({
               ...player,
               was_present: true,
               absence_note: '',
               innings_pitched: [],
               innings_caught: [],
+              fielding_positions: {},
               penultimate_batter_count: '',
               final_pitch_count: ''
             }))
@@ -768,94 +1364,69 @@ function GameFormModal({ seasonId, teams, defaultDivision, gameToEdit, onClose,
     }
   }
 
-  const fetchPlayers = async (homeTeamId, awayTeamId) => {
+  const fetchPlayers = async (homeTeamId, awayTeamId, submission = null) => {
     try {
-      const { data: homeData, error: homeError } = await supabase
-        .from('players')
-        .select('*')
-        .eq('team_id', homeTeamId)
-        .order('name')
-
-      if (homeError) throw homeError
-
-      const { data: awayData, error: awayError } = await supabase
-        .from('players')
-        .select('*')
-        .eq('team_id', awayTeamId)
-        .order('name')
-
-      if (awayError) throw awayError
+      // Rosters and eligibility dates come from the device when there is no connection
+      const [home, away] = await Promise.all([
+        fetchGameRoster(supabase, offlineStore, homeTeamId),
+        fetchGameRoster(supabase, offlineStore, awayTeamId)
+      ])
+      setRosterCachedAt(home.fromCache || away.fromCache ? (home.cachedAt || away.cachedAt) : null)
 
-      // Fetch most recent next_eligible_pitch_date for all players
-      const allPlayerIds = [...homeData, ...awayData].map(p => p.id)
-      const eligibilityMap = await fetchPlayerEligibilityDates(allPlayerIds)
+      const eligibilityMap = { ...home.data.eligibility, ...away.data.eligibility }
 
       // Initialize ALL players with default data (all assumed present)
-      const initializedHomePlayers = homeData.map(player => ({
+      const initializedHomePlayers = applyLeagueAges(home.data.players, ageCutoff).map(player => ({
         ...player,
         was_present: true,
         absence_note: '',
         innings_pitched: [],
         innings_caught: [],
+        fielding_positions: {},
         penultimate_batter_count: '',
         final_pitch_count: '',
         previousNextEligibleDate: eligibilityMap[player.id] || null
       }))
 
-      const initializedAwayPlayers = awayData.map(player => ({
+      const initializedAwayPlayers = applyLeagueAges(away.data.players, ageCutoff).map(player => ({
         ...player,
         was_present: true,
         absence_note: '',
         innings_pitched: [],
         innings_caught: [],
+        fielding_positions: {},
         penultimate_batter_count: '',
         final_pitch_count: '',
         previousNextEligibleDate: eligibilityMap[player.id] || null
       }))
 
-      setHomePlayers(initializedHomePlayers)
-      setAwayPlayers(initializedAwayPlayers)
-    } catch (err) {
-      setModalError(err.message)
-    }
-  }
-
-  /**
-   * Fetch the most recent next_eligible_pitch_date for a list of players
-   * This is used to check Rule 6: pitching before rest period ends
-   */
-  const fetchPlayerEligibilityDates = async (playerIds) => {
-    if (!playerIds || playerIds.length === 0) return {}
+      // Fill in pitching and catching recorded by the live pitch counter
+      if (liveGame) {
+        const live = deriveLiveGame(liveGame.events)
+        setHomePlayers(homeTeamId === liveGame.home_team_id
+          ? applyLiveTeamToPlayers(initializedHomePlayers, live.teams.home)
+          : initializedHomePlayers)
+        setAwayPlayers(awayTeamId === liveGame.away_team_id
+          ? applyLiveTeamToPlayers(initializedAwayPlayers, live.teams.away)
+          : initializedAwayPlayers)
+        setMaxInnings(getLiveMaxInning(live))
+        return
+      }
 
-    try {
-      // Get the most recent pitching log for each player with their next_eligible_pitch_date
-      // We need to get games that are BEFORE the current game date
-      const { data: pitchingLogs, error } = await supabase
-        .from('pitching_logs')
-        .select(`
-          player_id,
-          next_eligible_pitch_date,
-          games!inner(game_date)
-        `)
-        .in('player_id', playerIds)
-        .not('next_eligible_pitch_date', 'is', null)
-        .order('games(game_date)', { ascending: false })
-
-      if (error) throw error
-
-      // Build a map of player_id -> most recent next_eligible_pitch_date
-      // Since we ordered by game_date desc, the first entry for each player is the most recent
-      const eligibilityMap = {}
-      for (const log of pitchingLogs) {
-        if (!eligibilityMap[log.player_id]) {
-          eligibilityMap[log.player_id] = log.next_eligible_pitch_date
-        }
+      // Fill in the scorekeeper's earlier submission when updating their count
+      if (submission) {
+        const submittedHome = applySubmissionToPlayers(initializedHomePlayers, submission)
+        const submittedAway = applySubmissionToPlayers(initializedAwayPlayers, submission)
+        setHomePlayers(submittedHome)
+        setAwayPlayers(submittedAway)
+        setMaxInnings(getMaxRecordedInning([...submittedHome, ...submittedAway]))
+        return
       }
 
-      return eligibilityMap
+      setHomePlayers(initializedHomePlayers)
+      setAwayPlayers(initializedAwayPlayers)
     } catch (err) {
-      console.error('Error fetching player eligibility dates:', err)
-      return {}
+      setModalError(err.message)
     }
   }
 
@@ -867,16 +1438,22 @@ function GameFormModal({ seasonId, teams, defaultDivision, gameToEdit, onClose,
     try {
       const allPlayers = [...homePlayers, ...awayPlayers]
 
-      // Validate pitch counts before proceeding to confirmation
-      for (const player of allPlayers) {
-        if (player.innings_pitched.length > 0 && player.final_pitch_count) {
-          const penultimate = parseInt(player.penultimate_batter_count || 0)
-          const final = parseInt(player.final_pitch_count)
+      // A suspended game only has the innings played before the suspension
+      const resumedInningsError = validateResumedInnings(formData, allPlayers)
+      if (resumedInningsError) throw new Error(resumedInningsError)
 
-          if (penultimate > final) {
-            throw new Error(
-              `Invalid pitch counts for ${player.name}: Pitch count before last batter (${penultimate}) cannot be greater than final pitch count (${final}).`
-            )
+      // Validate pitch counts before proceeding to confirmation (per date of a suspended game)
+      for (const player of allPlayers) {
+        for (const portion of getPlayerPortions(formData, player)) {
+          if (portion.pitchedInnings.length > 0 && portion.finalPitchCount) {
+            const penultimate = parseInt(portion.penultimateBatterCount || 0)
+            const final = parseInt(portion.finalPitchCount)
+
+            if (penultimate > final) {
+              throw new Error(
+                `Invalid pitch counts for ${player.name}${portion.resumed ? ' after the game resumed' : ''}: Pitch count before last batter (${penultimate}) cannot be greater than final pitch count (${final}).`
+              )
+            }
           }
         }
       }
@@ -941,8 +1518,9 @@ function GameFormModal({ seasonId, teams, defaultDivision, gameToEdit, onClose,
       // Validate away team
       validateTeamCoverage(awayPlayers, awayTeam?.name || 'Away Team')
 
-      // Check that pitched innings and caught innings match (soft warning with acknowledgment)
-      if (!acknowledgeIncompleteData) {
+      // Check that pitched innings and caught innings match (soft warning with acknowledgment).
+      // Only a final game is expected to be complete.
+      if (!acknowledgeIncompleteData && expectsCompleteData(formData.status)) {
         const warnings = []
 
         for (const [players, teamName] of [
@@ -997,200 +1575,130 @@ function GameFormModal({ seasonId, teams, defaultDivision, gameToEdit, onClose,
     }
   }
 
+  const queueOfflineDraft = async (payload, baseUpdatedAt) => {
+    const homeTeam = teams.find(t => t.id === formData.home_team_id)
+    const awayTeam = teams.find(t => t.id === formData.away_team_id)
+    const draft = buildGameDraft({
+      payload,
+      baseUpdatedAt,
+      label: `${awayTeam?.name || 'Away'} at ${homeTeam?.name || 'Home'} (${formatDate(formData.game_date)})`
+    })
+
+    try {
+      await offlineStore.putDraft(draft)
+    } catch (storeError) {
+      throw new Error(`No connection, and the game could not be saved on this device: ${storeError.message}`)
+    }
+    onQueued()
+  }
+
   const handleFinalSubmit = async () => {
     setLoading(true)
     setModalError(null)
 
     try {
       // Combine home and away players
-      const allPlayers = [...homePlayers, ...awayPlayers]
-
-      let finalGameId = gameId
-
-      const gameData = {
-        season_id: seasonId,
-        game_date: formData.game_date,
-        scorekeeper_name: formData.scorekeeper_name,
-        scorekeeper_team_id: formData.scorekeeper_team_id,
-        home_team_id: formData.home_team_id,
-        away_team_id: formData.away_team_id,
-        home_score: parseInt(formData.home_score),
-        away_score: parseInt(formData.away_score),
-        notes: formData.notes || null
-      }
-
-      if (!isEditMode) {
-        // Creating new game - insert game record
-        const { data, error } = await supabase
-          .from('games')
-          .insert([gameData])
-          .select()
-          .single()
-
-        if (error) throw error
-
-        finalGameId = data.id
-        setGameId(finalGameId)
-      } else {
-        // Editing game - update game record and delete old player data
-        const { error } = await supabase
-          .from('games')
-          .update(gameData)
-          .eq('id', gameId)
-
-        if (error) throw error
-
-        // Delete existing player data
-        await supabase.from('game_players').delete().eq('game_id', gameId)
-        await supabase.from('pitching_logs').delete().eq('game_id', gameId)
-        await supabase.from('positions_played').delete().eq('game_id', gameId)
-      }
-
-      // Insert game_players (attendance)
-      const attendanceData = allPlayers.map(p => ({
-        game_id: finalGameId,
-        player_id: p.id,
-        was_present: p.was_present,
-        absence_note: p.was_present ? null : p.absence_note
+      const allPlayers = [...homePlayers, ...awayPlayers].map(player => ({
+        ...player,
+        previousNextEligibleDate: getPreviousEligibleDate(player),
+        earlierPitchesToday: earlierPitchesToday[player.id] || 0,
+        resumePreviousNextEligibleDate: resumeEligibility[player.id] || null
       }))
 
-      const { error: attendanceError } = await supabase
-        .from('game_players')
-        .insert(attendanceData)
-
-      if (attendanceError) throw attendanceError
-
-      // Insert pitching logs (only for players who pitched)
-      const pitchersInGame = allPlayers.filter(p => p.innings_pitched.length > 0 && p.final_pitch_count)
-
-      // For each pitcher, check if this game is their most recent pitching appearance
-      const pitchingData = await Promise.all(pitchersInGame.map(async (p) => {
-        const finalPitchCount = parseInt(p.final_pitch_count)
-        const penultimateBatterCount = parseInt(p.penultimate_batter_count || 0)
-        // Use penultimate_batter_count + 1 for eligibility calculation (per pitch count rules)
-        const effectivePitchCount = penultimateBatterCount + 1
-
-        // Find the player's most recent pitching game (excluding this game if editing)
-        const { data: recentGames } = await supabase
-          .from('pitching_logs')
-          .select('game_id, games!inner(game_date)')
-          .eq('player_id', p.id)
-          .neq('game_id', finalGameId) // Exclude current game if editing
-          .order('games(game_date)', { ascending: false })
-          .limit(1)
-
-        // Only set next_eligible_pitch_date if this game is the most recent (or player's first game)
-        let nextEligiblePitchDate = null
-        const thisGameDate = new Date(formData.game_date)
-
-        if (!recentGames || recentGames.length === 0) {
-          // This is player's first pitching game, so update eligibility
-          // calculateNextEligibleDate now returns YYYY-MM-DD string directly
-          nextEligiblePitchDate = calculateNextEligibleDate(
-            formData.game_date,
-            p.age,
-            effectivePitchCount
-          )
-        } else {
-          // Compare dates - only update if this game is newer or equal
-          const mostRecentGameDate = new Date(recentGames[0].games.game_date)
-          if (thisGameDate >= mostRecentGameDate) {
-            // calculateNextEligibleDate now returns YYYY-MM-DD string directly
-            nextEligiblePitchDate = calculateNextEligibleDate(
-              formData.game_date,
-              p.age,
-              effectivePitchCount
-            )
-          }
+      // A submitted count is compared with the other scorekeeper's before anything is saved for the game
+      if (isSubmissionMode) {
+        if (!navigator.onLine) {
+          throw new Error('Submitting a pitch count needs a connection. Try again when you are back online.')
         }
+        const result = await submitGameCount(supabase, {
+          game: gameToEdit,
+          teamId: submissionTeamId,
+          scorekeeperName: formData.scorekeeper_name,
+          players: allPlayers,
+          submittedBy: profile?.id || null
+        })
+        onSuccess(result.recomputedGames, result.status)
+        return
+      }
 
-        return {
-          game_id: finalGameId,
-          player_id: p.id,
-          final_pitch_count: finalPitchCount,
-          penultimate_batter_count: penultimateBatterCount,
-          next_eligible_pitch_date: nextEligiblePitchDate
+      // Rules 1-5 block the save unless an admin waives them with a reason
+      const blockingViolations = getUnwaivedBlockingViolations(
+        allPlayers.flatMap(getFormPlayerViolations),
+        existingWaivers
+      )
+      if (blockingViolations.length > 0) {
+        if (!isAdmin) {
+          throw new Error('This game has safety rule violations (Rules 1-5). Only an admin can waive them.')
+        }
+        if (!waiverReason.trim()) {
+          throw new Error('Enter a reason to waive the safety rule violations before saving.')
         }
-      }))
-
-      if (pitchingData.length > 0) {
-        const { error: pitchingError } = await supabase
-          .from('pitching_logs')
-          .insert(pitchingData)
-
-        if (pitchingError) throw pitchingError
       }
 
-      // Insert positions played (pitching and catching)
-      const positionsData = []
-
-      allPlayers.forEach(p => {
-        // Add pitching positions
-        p.innings_pitched.forEach(inning => {
-          positionsData.push({
-            game_id: finalGameId,
-            player_id: p.id,
-            inning_number: inning,
-            position: 'pitcher'
-          })
-        })
+      const payload = {
+        gameId,
+        seasonId,
+        division: selectedDivision,
+        formData,
+        players: allPlayers,
+        originalGameDate: isEditMode ? gameToEdit.game_date : null,
+        waiverReason,
+        rules: pitchSmartRules,
+        scheduledGameId: scheduledGame?.id || null,
+        ageCutoff
+      }
+      // The version this edit started from; the save is refused if someone else saved since
+      const baseUpdatedAt = isEditMode ? (originalGameData?.game.updated_at || gameToEdit.updated_at) : null
 
-        // Add catching positions
-        p.innings_caught.forEach(inning => {
-          positionsData.push({
-            game_id: finalGameId,
-            player_id: p.id,
-            inning_number: inning,
-            position: 'catcher'
-          })
-        })
-      })
+      // No connection: keep the game on this device and sync it later
+      if (!navigator.onLine) {
+        if (dualScorekeeper) {
+          throw new Error('Games kept by both scorekeepers need a connection. Uncheck "Both scorekeepers submit pitch counts" to save this game on the device.')
+        }
+        await queueOfflineDraft(payload, baseUpdatedAt)
+        return
+      }
 
-      if (positionsData.length > 0) {
-        const { error: positionsError } = await supabase
-          .from('positions_played')
-          .insert(positionsData)
+      let recomputedGames
+      let savedGameId
+      try {
+        const saved = await saveGameRecord(supabase, { ...payload, expectedUpdatedAt: baseUpdatedAt })
+        recomputedGames = saved.recomputedGames
+        savedGameId = saved.gameId
+        if (saved.recomputeError) {
+          onError(`The game was saved, but later games could not be updated with it: ${saved.recomputeError.message}. Open the game and save it again to retry.`)
+        }
+      } catch (saveError) {
+        if (isGameConflictError(saveError)) {
+          await showConflict()
+          if (modalContentRef.current) {
+            modalContentRef.current.scrollTo({ top: 0, behavior: 'smooth' })
+          }
+          return
+        }
+        if (!isNetworkError(saveError)) throw saveError
 
-        if (positionsError) throw positionsError
+        // Connection dropped: the atomic save left nothing behind, so queue the whole game
+        await queueOfflineDraft(payload, baseUpdatedAt)
+        return
       }
 
-      // Calculate violations for this game
-      const playerAges = {}
-      const playerEligibilityDates = {}
-      allPlayers.forEach(p => {
-        playerAges[p.id] = p.age
-        // Include the previous eligibility date for Rule 6 checking
-        if (p.previousNextEligibleDate) {
-          playerEligibilityDates[p.id] = p.previousNextEligibleDate
+      // The entered data is this scorekeeper's count; the game waits for the other team's
+      if (dualScorekeeper) {
+        try {
+          await submitGameCount(supabase, {
+            game: { ...formData, id: savedGameId },
+            teamId: formData.scorekeeper_team_id,
+            scorekeeperName: formData.scorekeeper_name,
+            players: allPlayers,
+            submittedBy: profile?.id || null
+          })
+        } catch (submitError) {
+          onError(`The game was saved, but the scorekeeper's count could not be recorded for reconciliation: ${submitError.message}`)
         }
-      })
-
-      const [positionsRes, pitchingRes] = await Promise.all([
-        supabase.from('positions_played').select('*').eq('game_id', finalGameId),
-        supabase.from('pitching_logs').select('*').eq('game_id', finalGameId)
-      ])
-
-      const hasViolation = calculateGameHasViolations(
-        positionsRes.data || [],
-        pitchingRes.data || [],
-        playerAges,
-        formData.game_date,
-        playerEligibilityDates,
-        selectedDivision
-      )
-
-      // Update the game record with violation status
-      const { error: violationError } = await supabase
-        .from('games')
-        .update({ has_violation: hasViolation })
-        .eq('id', finalGameId)
-
-      if (violationError) {
-        console.error('Failed to update violation status:', violationError)
-        // Don't throw - game already saved successfully
       }
 
-      onSuccess()
+      onSuccess(recomputedGames)
     } catch (err) {
       setModalError(err.message)
       // Scroll to top to show error
@@ -1202,6 +1710,70 @@ function GameFormModal({ seasonId, teams, defaultDivision, gameToEdit, onClose,
     }
   }
 
+  // Compare this edit with the version someone else saved meanwhile
+  const showConflict = async () => {
+    const version = await fetchGameVersion(supabase, gameId)
+    if (!version) {
+      throw new Error('This game was deleted by someone else while you were editing it.')
+    }
+
+    const theirs = {
+      formData: gameToFormData(version.game),
+      players: [...version.homePlayers, ...version.awayPlayers]
+    }
+    const diff = diffGameVersions(
+      {
+        formData: gameToFormData(originalGameData?.game || gameToEdit),
+        players: originalGameData ? [...originalGameData.homePlayers, ...originalGameData.awayPlayers] : []
+      },
+      { formData, players: [...homePlayers, ...awayPlayers] },
+      theirs
+    )
+
+    setConflict({ version, theirs, diff, choices: getDefaultConflictChoices(diff) })
+  }
+
+  const handleConflictChoice = (key, side) => {
+    setConflict(prev => ({ ...prev, choices: { ...prev.choices, [key]: side } }))
+  }
+
+  const handleConflictChooseAll = (side) => {
+    setConflict(prev => ({
+      ...prev,
+      choices: Object.fromEntries(Object.keys(prev.choices).map(key => [key, side]))
+    }))
+  }
+
+  // Apply the chosen values; the server's version becomes the new base for the next save
+  const handleApplyMerge = async () => {
+    const { version, theirs, choices } = conflict
+    const merged = mergeGameVersions(
+      { formData, players: [...homePlayers, ...awayPlayers] },
+      theirs,
+      choices
+    )
+
+    setFormData(merged.formData)
+    setHomePlayers(merged.homePlayers)
+    setAwayPlayers(merged.awayPlayers)
+    setMaxInnings(prev => Math.max(prev, getMaxRecordedInning([...merged.homePlayers, ...merged.awayPlayers])))
+    setOriginalGameData({
+      game: version.game,
+      homeTeamId: version.game.home_team_id,
+      awayTeamId: version.game.away_team_id,
+      homePlayers: version.homePlayers,
+      awayPlayers: version.awayPlayers
+    })
+    setConflict(null)
+
+    // The other scorekeeper may have waived violations too
+    try {
+      setExistingWaivers(await fetchGameWaivers(supabase, gameId))
+    } catch (err) {
+      setModalError(err.message)
+    }
+  }
+
   const toggleInning = useCallback((playerIndex, isHome, inningNum, type) => {
     const arrayKey = type === 'pitch' ? 'innings_pitched' : 'innings_caught'
 
@@ -1209,11 +1781,15 @@ function GameFormModal({ seasonId, teams, defaultDivision, gameToEdit, onClose,
       const newPlayers = [...players]
       const player = { ...newPlayers[playerIndex] } // Clone the player object
 
-      // Toggle the inning
+      // Toggle the inning (a pitcher or catcher isn't also at another position)
       if (player[arrayKey].includes(inningNum)) {
         player[arrayKey] = player[arrayKey].filter(i => i !== inningNum)
       } else {
         player[arrayKey] = [...player[arrayKey], inningNum].sort((a, b) => a - b)
+        if (player.fielding_positions?.[inningNum]) {
+          const { [inningNum]: _, ...fielding } = player.fielding_positions
+          player.fielding_positions = fielding
+        }
       }
 
       newPlayers[playerIndex] = player // Replace with new player object
@@ -1227,47 +1803,131 @@ function GameFormModal({ seasonId, teams, defaultDivision, gameToEdit, onClose,
     }
   }, [])
 
-  // Wrapper functions for GameFormModal that work with player objects
-  // These wrap the shared validation utilities from violationRules.js
+  // Set a player's position for an inning; pitcher and catcher go to innings_pitched / innings_caught
+  const setInningPosition = useCallback((playerIndex, isHome, inningNum, position) => {
+    const updateFn = (players) => {
+      const newPlayers = [...players]
+      const player = { ...newPlayers[playerIndex] }
+      const { [inningNum]: _, ...fielding } = player.fielding_positions || {}
+      const withInning = (innings) => [...innings, inningNum].sort((a, b) => a - b)
+
+      player.innings_pitched = player.innings_pitched.filter(i => i !== inningNum)
+      player.innings_caught = player.innings_caught.filter(i => i !== inningNum)
+      player.fielding_positions = fielding
+
+      if (position === 'pitcher') {
+        player.innings_pitched = withInning(player.innings_pitched)
+      } else if (position === 'catcher') {
+        player.innings_caught = withInning(player.innings_caught)
+      } else if (position) {
+        player.fielding_positions = { ...fielding, [inningNum]: position }
+      }
+
+      newPlayers[playerIndex] = player
+      return newPlayers
+    }
+
+    if (isHome) {
+      setHomePlayers(updateFn)
+    } else {
+      setAwayPlayers(updateFn)
+    }
+  }, [])
+
+  // Fill a team's attendance, innings and positions from its saved lineup, after confirming over entered data
+  const handleImportLineup = (isHome) => {
+    const players = isHome ? homePlayers : awayPlayers
+    const lineup = isHome ? teamLineups.home : teamLineups.away
+    const hasData = players.some(p =>
+      !p.was_present || buildPlayerPositions(p).length > 0 || p.penultimate_batter_count || p.final_pitch_count
+    )
 
-  // Helper function to get effective pitch count (penultimate + 1)
-  const getEffectivePitchCount = (player) => {
-    if (!player.penultimate_batter_count || player.penultimate_batter_count === '') {
-      return 0
+    if (hasData && !window.confirm('Replace the attendance and innings entered for this team with the saved lineup? Pitch counts are kept for players who still pitch.')) return
+
+    // Players who left the roster since the lineup was saved are dropped
+    const innings = Object.keys(lineup.positions || {}).map(Number)
+    const { battingOrder, positions } = sanitizeLineup(lineup, players.map(p => p.id), innings, Object.values(POSITION_CODES))
+    const imported = applyLineupToPlayers(players, { batting_order: battingOrder, positions })
+
+    if (isHome) setHomePlayers(imported)
+    else setAwayPlayers(imported)
+    setMaxInnings(prev => Math.max(prev, getMaxRecordedInning(imported)))
+    if (imported.some(p => formatFieldingPositions(p.fielding_positions))) {
+      setRecordFielding(prev => ({ ...prev, [isHome ? 'home' : 'away']: true }))
     }
-    return getEffectivePitchCountUtil(parseInt(player.penultimate_batter_count))
   }
 
-  // Wrapper for Rule 2: 41+ pitches -> cannot catch AFTER pitching
-  const cannotCatchDueToHighPitchCountWrapper = (player) => {
-    const effectivePitches = getEffectivePitchCount(player)
-    return cannotCatchDueToHighPitchCount(player.innings_pitched, player.innings_caught, effectivePitches)
-  }
+  // Turning fielding off clears what was recorded for the team, after confirming
+  const handleRecordFieldingChange = (isHome, checked) => {
+    const players = isHome ? homePlayers : awayPlayers
+    const hasFielding = players.some(p => formatFieldingPositions(p.fielding_positions))
 
-  // Wrapper for Rule 3: 4+ innings catching -> cannot pitch AFTER catching
-  const cannotPitchDueToFourInningsCatchingWrapper = (player) => {
-    return cannotPitchDueToFourInningsCatching(player.innings_pitched, player.innings_caught)
+    if (!checked && hasFielding) {
+      if (!window.confirm('Clear the fielding positions recorded for this team? Pitching and catching innings are kept.')) return
+      const clear = (list) => list.map(p => ({ ...p, fielding_positions: {} }))
+      if (isHome) setHomePlayers(clear)
+      else setAwayPlayers(clear)
+    }
+    setRecordFielding(prev => ({ ...prev, [isHome ? 'home' : 'away']: checked }))
   }
 
-  // Wrapper for Rule 4: Catcher ≤3 innings + 21+ pitches -> cannot RETURN to catch
-  const cannotCatchAgainDueToCombinedWrapper = (player) => {
-    const effectivePitches = getEffectivePitchCount(player)
-    return cannotCatchAgainDueToCombined(player.innings_pitched, player.innings_caught, effectivePitches)
+  // Helper function to get effective pitch count (penultimate + 1)
+  const getEffectivePitchCount = (penultimateBatterCount) => {
+    if (!penultimateBatterCount || penultimateBatterCount === '') {
+      return 0
+    }
+    return getEffectivePitchCountUtil(parseInt(penultimateBatterCount))
   }
 
-  // Wrapper for Rule 5: Pitch count exceeds age limit
-  const exceedsMaxPitchesForAgeWrapper = (player) => {
-    const effectivePitches = getEffectivePitchCount(player)
-    return exceedsMaxPitchesForAge(player.age, effectivePitches, selectedDivision)
+  // A player's next eligible date going into this game
+  const getPreviousEligibleDate = (player) => eligibilityBeforeGame
+    ? eligibilityBeforeGame[player.id] || null
+    : player.previousNextEligibleDate || null
+
+  // Whether a player may pitch in this game: the same eligibility date Rule 6 checks,
+  // then the daily maximum when earlier games that day already reached it
+  const getPitcherStatus = (player) => {
+    const nextEligibleDate = getPreviousEligibleDate(player)
+    const maxPitches = getMaxPitchesForDivision(player.age, selectedDivision, pitchSmartRules)
+    const { available, reason } = getPitcherAvailability({
+      nextEligibleDate,
+      gameDate: formData.game_date,
+      earlierPitches: earlierPitchesToday[player.id] || 0,
+      maxPitches
+    })
+    const note = reason === 'rest'
+      ? `Resting until ${formatDate(nextEligibleDate)}`
+      : reason === 'daily_max'
+        ? `Reached the daily maximum of ${maxPitches} earlier today`
+        : null
+    return { outing: lastOutings?.[player.id] || null, nextEligibleDate, available, note }
   }
 
-  // Wrapper for Rule 6: Pitched before eligible date
-  const pitchedBeforeEligibleDateWrapper = (player) => {
-    return pitchedBeforeEligibleDate(
-      formData.game_date,
-      player.previousNextEligibleDate,
-      player.innings_pitched
-    )
+  // Collect all rule violations for a form player object: Rules 1-6 for each date of a suspended
+  // game separately, Rules 7-8 when the player's fielding was recorded
+  const getFormPlayerViolations = (player) => {
+    const earlierPitches = earlierPitchesToday[player.id] || 0
+    const previousNextEligibleDate = getPreviousEligibleDate(player)
+    const pitching = getPlayerPortions(formData, player).flatMap(portion => getPlayerViolations({
+      playerId: player.id,
+      pitchedInnings: portion.pitchedInnings,
+      caughtInnings: portion.caughtInnings,
+      effectivePitches: getEffectivePitchCount(portion.penultimateBatterCount),
+      age: player.age,
+      gameDate: portion.date,
+      nextEligiblePitchDate: portion.resumed
+        ? getResumeEligibilityDate(formData, {
+          ...player,
+          previousNextEligibleDate,
+          earlierPitchesToday: earlierPitches,
+          resumePreviousNextEligibleDate: resumeEligibility[player.id] || null
+        }, pitchSmartRules)
+        : previousNextEligibleDate,
+      earlierPitchesToday: portion.resumed ? 0 : earlierPitches,
+      division: selectedDivision,
+      rules: pitchSmartRules
+    }))
+    return [...pitching, ...getGamePlayingTimeViolations(buildPlayerPositions(player))]
   }
 
   const updatePlayerField = useCallback((playerIndex, isHome, field, value) => {
@@ -1290,12 +1950,71 @@ function GameFormModal({ seasonId, teams, defaultDivision, gameToEdit, onClose,
     setMaxInnings(prev => Math.min(prev + 1, 12))
   }, [])
 
+  if (step === 1 && isSubmissionMode) {
+    const teamName = (teamId) => teams.find(t => t.id === teamId)?.name || 'Unknown team'
+
+    return (
+      <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 overflow-y-auto">
+        <div ref={modalContentRef} className="bg-white rounded-lg px-6 pt-6 max-w-2xl w-full mx-4 my-8 max-h-[90vh] overflow-y-auto">
+          <h3 className="text-xl font-bold mb-4">{modeTitle} - Step 1: Scorekeeper</h3>
+
+          {modalError && (
+            <div className="alert alert-error mb-4">
+              {modalError}
+            </div>
+          )}
+
+          <div className="mb-4 p-3 bg-blue-50 border border-blue-200 rounded-lg text-sm text-blue-800">
+            <p className="font-semibold">
+              {teamName(gameToEdit.away_team_id)} at {teamName(gameToEdit.home_team_id)} · {formatDate(gameToEdit.game_date)}
+            </p>
+            <p className="mt-1">
+              Enter the pitch counts and innings kept by the {teamName(submissionTeamId)} scorekeeper.
+              They are compared with the other team's count before the game becomes official.
+            </p>
+          </div>
+
+          <form onSubmit={handleBasicInfoSubmit} className="space-y-6">
+            <div>
+              <label className="label">Scorekeeper Name *</label>
+              <input
+                type="text"
+                className="input"
+                value={formData.scorekeeper_name}
+                onChange={(e) => setFormData({ ...formData, scorekeeper_name: e.target.value })}
+                required
+                placeholder="John Smith"
+              />
+            </div>
+
+            <div className="flex gap-2 pt-4 pb-6 border-t sticky bottom-0 bg-white">
+              <button
+                type="button"
+                onClick={onClose}
+                className="btn btn-secondary"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="btn btn-primary flex-1"
+                disabled={loading}
+              >
+                {loading ? 'Loading...' : 'Next: Enter Player Data →'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    )
+  }
+
   if (step === 1) {
     return (
       <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 overflow-y-auto">
         <div ref={modalContentRef} className="bg-white rounded-lg px-6 pt-6 max-w-2xl w-full mx-4 my-8 max-h-[90vh] overflow-y-auto">
           <h3 className="text-xl font-bold mb-4">
-            {isEditMode ? 'Edit Game - Step 1: Basic Info' : 'Enter New Game - Step 1: Basic Info'}
+            {modeTitle} - Step 1: Basic Info
           </h3>
 
           {modalError && (
@@ -1304,6 +2023,19 @@ function GameFormModal({ seasonId, teams, defaultDivision, gameToEdit, onClose,
             </div>
           )}
 
+          {liveGame && (
+            <div className="mb-4 p-3 bg-blue-50 border border-blue-200 rounded-lg text-sm text-blue-800">
+              Pitch counts and innings from the live pitch counter are filled in on the next step.
+              Add the scorekeeper and final score, then review before saving.
+            </div>
+          )}
+
+          {scheduledGame && (
+            <div className="mb-4 p-3 bg-blue-50 border border-blue-200 rounded-lg text-sm text-blue-800">
+              Result for the scheduled game{scheduledGame.field && ` at ${scheduledGame.field}`}. The date and teams come from the schedule.
+            </div>
+          )}
+
           <form onSubmit={handleBasicInfoSubmit} className="space-y-6">
             {/* Division Selector */}
             <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
@@ -1336,15 +2068,29 @@ function GameFormModal({ seasonId, teams, defaultDivision, gameToEdit, onClose,
               )}
             </div>
 
-            <div>
-              <label className="label">Game Date *</label>
-              <input
-                type="date"
-                className="input"
-                value={formData.game_date}
-                onChange={(e) => setFormData({ ...formData, game_date: e.target.value })}
-                required
-              />
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div>
+                <label className="label">Game Date *</label>
+                <input
+                  type="date"
+                  className="input"
+                  value={formData.game_date}
+                  onChange={(e) => setFormData({ ...formData, game_date: e.target.value })}
+                  required
+                />
+              </div>
+              <div>
+                <label className="label">Start Time</label>
+                <input
+                  type="time"
+                  className="input"
+                  value={formData.start_time}
+                  onChange={(e) => setFormData({ ...formData, start_time: e.target.value })}
+                />
+                <p className="text-sm text-gray-500 mt-1">
+                  Needed for doubleheaders: pitches from a team's earlier game that day count toward the daily limit.
+                </p>
+              </div>
             </div>
 
             <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
@@ -1381,6 +2127,24 @@ function GameFormModal({ seasonId, teams, defaultDivision, gameToEdit, onClose,
               </div>
             </div>
 
+            {!isEditMode && (
+              <label className="flex items-start gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={dualScorekeeper}
+                  onChange={(e) => setDualScorekeeper(e.target.checked)}
+                  className="mt-1"
+                />
+                <span className="text-sm">
+                  <span className="font-medium">Both scorekeepers submit pitch counts</span>
+                  <span className="block text-gray-600">
+                    This entry is recorded as your team's count. The other team's scorekeeper submits theirs,
+                    and the game becomes official once the two counts agree or an admin decides the differences.
+                  </span>
+                </span>
+              </label>
+            )}
+
             <div className="border-t pt-4">
               <h4 className="font-semibold mb-4">Teams & Scores</h4>
               <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
@@ -1406,14 +2170,14 @@ function GameFormModal({ seasonId, teams, defaultDivision, gameToEdit, onClose,
                     )}
                   </div>
                   <div>
-                    <label className="label">Home Score *</label>
+                    <label className="label">Home Score{requiresFinalScore(formData.status) && ' *'}</label>
                     <input
                       type="number"
                       className="input"
                       value={formData.home_score}
                       onChange={(e) => setFormData({ ...formData, home_score: e.target.value })}
                       onWheel={(e) => e.target.blur()}
-                      required
+                      required={requiresFinalScore(formData.status)}
                       min="0"
                       placeholder="0"
                     />
@@ -1442,14 +2206,14 @@ function GameFormModal({ seasonId, teams, defaultDivision, gameToEdit, onClose,
                     )}
                   </div>
                   <div>
-                    <label className="label">Away Score *</label>
+                    <label className="label">Away Score{requiresFinalScore(formData.status) && ' *'}</label>
                     <input
                       type="number"
                       className="input"
                       value={formData.away_score}
                       onChange={(e) => setFormData({ ...formData, away_score: e.target.value })}
                       onWheel={(e) => e.target.blur()}
-                      required
+                      required={requiresFinalScore(formData.status)}
                       min="0"
                       placeholder="0"
                     />
@@ -1458,6 +2222,84 @@ function GameFormModal({ seasonId, teams, defaultDivision, gameToEdit, onClose,
               </div>
             </div>
 
+            <div className="border-t pt-4">
+              <h4 className="font-semibold mb-4">Game Status</h4>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label className="label">Status *</label>
+                  <select
+                    className="input"
+                    value={formData.status}
+                    onChange={(e) => setFormData({ ...formData, status: e.target.value })}
+                  >
+                    {getFormStatusOptions(gameToEdit?.status || null).map(status => (
+                      <option key={status} value={status}>{GAME_STATUS_LABELS[status]}</option>
+                    ))}
+                  </select>
+                  {formData.status === 'in_progress' && (
+                    <p className="text-sm text-gray-500 mt-1">
+                      Enter the innings played so far; scores and the pitched/caught innings check can wait until the game is final.
+                    </p>
+                  )}
+                </div>
+                {formData.status === 'forfeited' && (
+                  <div>
+                    <label className="label">Forfeiting Team *</label>
+                    <select
+                      className="input"
+                      value={formData.forfeiting_team_id}
+                      onChange={(e) => setFormData({ ...formData, forfeiting_team_id: e.target.value })}
+                      required
+                    >
+                      <option value="">-- Select Team --</option>
+                      {teams
+                        .filter(team => team.id === formData.home_team_id || team.id === formData.away_team_id)
+                        .map(team => (
+                          <option key={team.id} value={team.id}>{team.name}</option>
+                        ))}
+                    </select>
+                    <p className="text-sm text-gray-500 mt-1">
+                      Counts as a loss for this team in the standings, whatever the score.
+                    </p>
+                  </div>
+                )}
+                {(formData.status === 'suspended' || formData.suspended_after_inning) && (
+                  <>
+                    <div>
+                      <label className="label">Suspended After Inning{formData.status === 'suspended' && ' *'}</label>
+                      <input
+                        type="number"
+                        className="input"
+                        min="1"
+                        max="12"
+                        value={formData.suspended_after_inning}
+                        onChange={(e) => setFormData({ ...formData, suspended_after_inning: e.target.value })}
+                        onWheel={(e) => e.target.blur()}
+                      />
+                      <p className="text-sm text-gray-500 mt-1">
+                        {formData.status === 'suspended'
+                          ? 'Enter the innings played so far. When the game resumes, edit it, set the resume date and enter the remaining innings.'
+                          : 'Innings after this one were played on the resume date. Clear it if the game was never suspended.'}
+                      </p>
+                    </div>
+                    <div>
+                      <label className="label">Resume Date{formData.status !== 'suspended' && ' *'}</label>
+                      <input
+                        type="date"
+                        className="input"
+                        min={formData.game_date}
+                        value={formData.resume_date}
+                        onChange={(e) => setFormData({ ...formData, resume_date: e.target.value })}
+                      />
+                      <p className="text-sm text-gray-500 mt-1">
+                        Pitches after the game resumed count toward rest from this date.
+                      </p>
+                    </div>
+                  </>
+                )}
+              </div>
+            </div>
+
             <div className="border-t pt-4">
               <label className="label">Game Notes (Optional)</label>
               <textarea
@@ -1498,12 +2340,15 @@ function GameFormModal({ seasonId, teams, defaultDivision, gameToEdit, onClose,
   if (step === 2) {
     const homeTeam = teams.find(t => t.id === formData.home_team_id)
     const awayTeam = teams.find(t => t.id === formData.away_team_id)
+    const pitcherStatuses = Object.fromEntries(
+      [...homePlayers, ...awayPlayers].map(player => [player.id, getPitcherStatus(player)])
+    )
 
     return (
       <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 overflow-y-auto">
         <div ref={modalContentRef} className="bg-white rounded-lg px-6 pt-6 max-w-6xl w-full mx-4 my-8 max-h-[90vh] overflow-y-auto">
           <h3 className="text-xl font-bold mb-4">
-            {isEditMode ? 'Edit Game - Step 2: Player Data' : 'Enter New Game - Step 2: Player Data'}
+            {modeTitle} - Step 2: Player Data
           </h3>
 
           {modalError && (
@@ -1512,6 +2357,13 @@ function GameFormModal({ seasonId, teams, defaultDivision, gameToEdit, onClose,
             </div>
           )}
 
+          {rosterCachedAt && (
+            <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+              📴 Offline: rosters and pitcher eligibility are the copies saved on this device on{' '}
+              {new Date(rosterCachedAt).toLocaleString()}. The game will be queued and synced when you're back online.
+            </div>
+          )}
+
           {incompleteDataWarnings.length > 0 && (
             <div className="bg-amber-50 border border-amber-300 rounded-lg p-4 mb-4">
               <p className="font-semibold text-amber-800 mb-2">
@@ -1535,6 +2387,15 @@ function GameFormModal({ seasonId, teams, defaultDivision, gameToEdit, onClose,
           )}
 
           <form onSubmit={handlePlayerDataSubmit} className="space-y-8">
+            <PitcherEligibilityPanel
+              teams={[
+                { team: homeTeam, players: homePlayers },
+                { team: awayTeam, players: awayPlayers }
+              ]}
+              statuses={pitcherStatuses}
+              outingsLoaded={lastOutings !== null}
+            />
+
             {/* Home Team Section */}
             <TeamPlayerDataSection
               team={homeTeam}
@@ -1542,8 +2403,16 @@ function GameFormModal({ seasonId, teams, defaultDivision, gameToEdit, onClose,
               isHome={true}
               onToggleInning={toggleInning}
               onUpdateField={updatePlayerField}
+              onSetPosition={setInningPosition}
               maxInnings={maxInnings}
               onAddInning={handleAddInning}
+              earlierPitchesToday={earlierPitchesToday}
+              suspendedAfterInning={getSuspensionInning(formData)}
+              recordFielding={recordFielding.home}
+              onRecordFieldingChange={handleRecordFieldingChange}
+              lineup={teamLineups.home}
+              onImportLineup={handleImportLineup}
+              pitcherStatuses={pitcherStatuses}
             />
 
             {/* Away Team Section */}
@@ -1553,8 +2422,16 @@ function GameFormModal({ seasonId, teams, defaultDivision, gameToEdit, onClose,
               isHome={false}
               onToggleInning={toggleInning}
               onUpdateField={updatePlayerField}
+              onSetPosition={setInningPosition}
               maxInnings={maxInnings}
               onAddInning={handleAddInning}
+              earlierPitchesToday={earlierPitchesToday}
+              suspendedAfterInning={getSuspensionInning(formData)}
+              recordFielding={recordFielding.away}
+              onRecordFieldingChange={handleRecordFieldingChange}
+              lineup={teamLineups.away}
+              onImportLineup={handleImportLineup}
+              pitcherStatuses={pitcherStatuses}
             />
 
             <div className="flex gap-2 pt-4 pb-6 border-t sticky bottom-0 bg-white">
@@ -1597,16 +2474,44 @@ function GameFormModal({ seasonId, teams, defaultDivision, gameToEdit, onClose,
     const awayPitchersAndCatchers = awayPlayers.filter(p =>
       p.innings_pitched.length > 0 || p.innings_caught.length > 0
     )
-    const homeAbsent = homePlayers.filter(p => !p.was_present && p.innings_pitched.length === 0 && p.innings_caught.length === 0)
-    const awayAbsent = awayPlayers.filter(p => !p.was_present && p.innings_pitched.length === 0 && p.innings_caught.length === 0)
+    // Players whose only recorded innings are at other positions (Rules 7-8)
+    const isFielderOnly = (p) => p.innings_pitched.length === 0 && p.innings_caught.length === 0 &&
+      !!formatFieldingPositions(p.fielding_positions)
+    const homeFielders = homePlayers.filter(isFielderOnly)
+    const awayFielders = awayPlayers.filter(isFielderOnly)
+    const isFullyAbsent = (p) => !p.was_present && p.innings_pitched.length === 0 && p.innings_caught.length === 0 && !isFielderOnly(p)
+    const homeAbsent = homePlayers.filter(isFullyAbsent)
+    const awayAbsent = awayPlayers.filter(isFullyAbsent)
+
+    // Rules 1-5 block saving until an admin waives them
+    const allPlayers = [...homePlayers, ...awayPlayers]
+    const blockingViolations = getUnwaivedBlockingViolations(
+      allPlayers.flatMap(getFormPlayerViolations),
+      existingWaivers
+    )
+    // A submitted count records what happened; violations are settled when the game is reconciled
+    const saveBlocked = !isSubmissionMode && blockingViolations.length > 0 && (!isAdmin || !waiverReason.trim())
 
     return (
       <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 overflow-y-auto">
         <div ref={modalContentRef} className="bg-white rounded-lg px-6 pt-6 max-w-5xl w-full mx-4 my-8 max-h-[90vh] overflow-y-auto">
           <h3 className="text-xl font-bold mb-4">
-            {isEditMode ? 'Edit Game - Step 3: Review & Confirm' : 'Enter New Game - Step 3: Review & Confirm'}
+            {modeTitle} - Step 3: Review & Confirm
           </h3>
 
+          {conflict && (
+            <GameConflictPanel
+              diff={conflict.diff}
+              choices={conflict.choices}
+              serverUpdatedAt={conflict.version.game.updated_at}
+              teams={teams}
+              onChoose={handleConflictChoice}
+              onChooseAll={handleConflictChooseAll}
+              onApply={handleApplyMerge}
+              onCancel={onClose}
+            />
+          )}
+
           {modalError && (
             <div className="alert alert-error mb-4">
               {modalError}
@@ -1620,6 +2525,7 @@ function GameFormModal({ seasonId, teams, defaultDivision, gameToEdit, onClose,
               <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 text-sm mb-4">
                 <div>
                   <span className="font-semibold">Date:</span> {formatDate(formData.game_date)}
+                  {formData.start_time && `, ${formatStartTime(formData.start_time)}`}
                 </div>
                 <div>
                   <span className="font-semibold">Division:</span> {homeTeam?.division}
@@ -1627,6 +2533,17 @@ function GameFormModal({ seasonId, teams, defaultDivision, gameToEdit, onClose,
                 <div className="col-span-2">
                   <span className="font-semibold">Scorekeeper:</span> {formData.scorekeeper_name}
                 </div>
+                {!isSubmissionMode && (
+                  <div className="col-span-2">
+                    <span className="font-semibold">Status:</span> {GAME_STATUS_LABELS[formData.status]}
+                    {formData.status === 'forfeited' && ` (forfeited by ${teams.find(t => t.id === formData.forfeiting_team_id)?.name})`}
+                  </div>
+                )}
+                {formatSuspension(formData) && (
+                  <div className="col-span-2">
+                    <span className="font-semibold">Suspension:</span> {formatSuspension(formData)}
+                  </div>
+                )}
                 {formData.notes && (
                   <div className="col-span-2 p-2 bg-yellow-50 border border-yellow-200 rounded">
                     <span className="font-semibold">Notes:</span> {formData.notes}
@@ -1661,33 +2578,58 @@ function GameFormModal({ seasonId, teams, defaultDivision, gameToEdit, onClose,
             <ConfirmationTeamSection
               teamName={homeTeam?.name}
               pitchersAndCatchers={homePitchersAndCatchers}
+              fielders={homeFielders}
               absentPlayers={homeAbsent}
-              hasInningsGap={hasInningsGap}
-              cannotCatchDueToHighPitchCount={cannotCatchDueToHighPitchCountWrapper}
-              cannotPitchDueToFourInningsCatching={cannotPitchDueToFourInningsCatchingWrapper}
-              cannotCatchAgainDueToCombined={cannotCatchAgainDueToCombinedWrapper}
-              getEffectivePitchCount={getEffectivePitchCount}
-              exceedsMaxPitchesForAge={exceedsMaxPitchesForAgeWrapper}
-              pitchedBeforeEligibleDate={pitchedBeforeEligibleDateWrapper}
-              getMaxPitchesForAge={getMaxPitchesForAge}
-              division={selectedDivision}
+              getPlayerViolations={getFormPlayerViolations}
+              waivers={existingWaivers}
             />
 
             {/* Away Team Players */}
             <ConfirmationTeamSection
               teamName={awayTeam?.name}
               pitchersAndCatchers={awayPitchersAndCatchers}
+              fielders={awayFielders}
               absentPlayers={awayAbsent}
-              hasInningsGap={hasInningsGap}
-              cannotCatchDueToHighPitchCount={cannotCatchDueToHighPitchCountWrapper}
-              cannotPitchDueToFourInningsCatching={cannotPitchDueToFourInningsCatchingWrapper}
-              cannotCatchAgainDueToCombined={cannotCatchAgainDueToCombinedWrapper}
-              getEffectivePitchCount={getEffectivePitchCount}
-              exceedsMaxPitchesForAge={exceedsMaxPitchesForAgeWrapper}
-              pitchedBeforeEligibleDate={pitchedBeforeEligibleDateWrapper}
-              getMaxPitchesForAge={getMaxPitchesForAge}
-              division={selectedDivision}
+              getPlayerViolations={getFormPlayerViolations}
+              waivers={existingWaivers}
             />
+
+            {/* Blocking violations (Rules 1-5) and admin waiver */}
+            {!isSubmissionMode && blockingViolations.length > 0 && (
+              <div className="card border-2 border-red-400 bg-red-50">
+                <h4 className="font-bold text-lg text-red-800 mb-2">
+                  🚫 Save blocked: {blockingViolations.length} safety rule violation{blockingViolations.length !== 1 ? 's' : ''}
+                </h4>
+                <ul className="list-disc list-inside text-sm text-red-800 space-y-1 mb-4">
+                  {blockingViolations.map(v => (
+                    <li key={`${v.player_id}-${v.rule_id}`}>
+                      <span className="font-semibold">{allPlayers.find(p => p.id === v.player_id)?.name}</span>
+                      {' — '}{getViolationRuleLabel(v.rule_id)}
+                    </li>
+                  ))}
+                </ul>
+
+                {isAdmin ? (
+                  <div>
+                    <label className="label">Waiver Reason *</label>
+                    <textarea
+                      value={waiverReason}
+                      onChange={(e) => setWaiverReason(e.target.value)}
+                      className="input"
+                      rows={3}
+                      placeholder="Explain why these violations are being waived"
+                    />
+                    <p className="text-xs text-gray-600 mt-1">
+                      Saving records a waiver for each violation above, approved by {profile?.name || 'you'}.
+                    </p>
+                  </div>
+                ) : (
+                  <p className="text-sm text-red-700">
+                    Go back and correct the innings or pitch counts. Only an admin can waive these violations.
+                  </p>
+                )}
+              </div>
+            )}
           </div>
 
           <div className="flex gap-2 pt-6 pb-6 border-t sticky bottom-0 bg-white">
@@ -1705,9 +2647,15 @@ function GameFormModal({ seasonId, teams, defaultDivision, gameToEdit, onClose,
               type="button"
               onClick={handleFinalSubmit}
               className="btn btn-primary flex-1"
-              disabled={loading}
+              disabled={loading || saveBlocked || !!conflict}
             >
-              {loading ? 'Saving Game...' : (isEditMode ? 'Confirm & Update Game' : 'Confirm & Save Game')}
+              {loading
+                ? 'Saving Game...'
+                : isSubmissionMode
+                  ? 'Confirm & Submit Count'
+                  : blockingViolations.length > 0
+                  ? (isEditMode ? 'Waive Violations & Update Game' : 'Waive Violations & Save Game')
+                  : (isEditMode ? 'Confirm & Update Game' : 'Confirm & Save Game')}
             </button>
           </div>
         </div>
@@ -1723,11 +2671,22 @@ const PlayerRow = memo(function PlayerRow({
   isHome,
   onToggleInning,
   onUpdateField,
+  onSetPosition,
   maxInnings,
-  onAddInning
+  onAddInning,
+  earlierPitches = 0,
+  suspendedAfterInning = null,
+  recordFielding = false,
+  pitchingUnavailable = null
 }) {
   const innings = Array.from({ length: maxInnings }, (_, i) => i + 1)
+  const inningPosition = (inning) => {
+    if (player.innings_pitched.includes(inning)) return 'pitcher'
+    if (player.innings_caught.includes(inning)) return 'catcher'
+    return player.fielding_positions?.[inning] || ''
+  }
   const canAddInning = maxInnings < 12
+  const inningClass = (inning) => suspendedAfterInning && inning > suspendedAfterInning ? 'text-sm text-purple-700' : 'text-sm'
 
   return (
     <div className="border rounded p-4 bg-gray-50">
@@ -1739,6 +2698,11 @@ const PlayerRow = memo(function PlayerRow({
             {player.jersey_number && (
               <span className="text-sm text-gray-600">#{player.jersey_number}</span>
             )}
+            {earlierPitches > 0 && (
+              <span className="text-xs bg-amber-100 text-amber-800 px-2 py-0.5 rounded">
+                {earlierPitches} pitches earlier today (counts toward the daily limit)
+              </span>
+            )}
           </div>
 
           {/* Attendance - Mark if ABSENT */}
@@ -1767,9 +2731,12 @@ const PlayerRow = memo(function PlayerRow({
       <div className="space-y-3 border-t pt-3">
           {/* Innings Pitched and Caught - Side by Side */}
           <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-            {/* Innings Pitched */}
-            <div className="bg-blue-50 p-3 rounded border border-blue-200">
+            {/* Innings Pitched - marked in red when the player may not pitch in this game */}
+            <div className={pitchingUnavailable ? 'bg-red-50 p-3 rounded border border-red-300' : 'bg-blue-50 p-3 rounded border border-blue-200'}>
               <label className="text-sm font-medium text-gray-700 block mb-2">Innings Pitched:</label>
+              {pitchingUnavailable && (
+                <p className="text-xs text-red-700 mb-2">⛔ Not available to pitch: {pitchingUnavailable}</p>
+              )}
               <div className="flex gap-2 flex-wrap">
                 {innings.map(inning => (
                   <label key={inning} className="flex items-center gap-1">
@@ -1778,7 +2745,7 @@ const PlayerRow = memo(function PlayerRow({
                       checked={player.innings_pitched.includes(inning)}
                       onChange={() => onToggleInning(index, isHome, inning, 'pitch')}
                     />
-                    <span className="text-sm">{inning}</span>
+                    <span className={inningClass(inning)}>{inning}</span>
                   </label>
                 ))}
               </div>
@@ -1804,7 +2771,7 @@ const PlayerRow = memo(function PlayerRow({
                       checked={player.innings_caught.includes(inning)}
                       onChange={() => onToggleInning(index, isHome, inning, 'catch')}
                     />
-                    <span className="text-sm">{inning}</span>
+                    <span className={inningClass(inning)}>{inning}</span>
                   </label>
                 ))}
               </div>
@@ -1820,42 +2787,78 @@ const PlayerRow = memo(function PlayerRow({
             </div>
           </div>
 
-          {/* Pitch Counts (only if pitched) */}
-          {player.innings_pitched.length > 0 && (
-            <div className="bg-blue-50 p-3 rounded border border-blue-200">
-              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
-                <div>
-                  <label className="text-sm font-medium text-gray-700 block mb-1">
-                    Pitch Count (before last batter)
-                  </label>
-                  <input
-                    type="number"
-                    className="input text-sm"
-                    placeholder="0"
-                    min="0"
-                    value={player.penultimate_batter_count}
-                    onChange={(e) => onUpdateField(index, isHome, 'penultimate_batter_count', e.target.value)}
-                    onWheel={(e) => e.target.blur()}
-                  />
-                </div>
-                <div>
-                  <label className="text-sm font-medium text-gray-700 block mb-1">
-                    Final Pitch Count *
+          {/* Every position, one per inning (Rules 7 and 8) */}
+          {recordFielding && (
+            <div className="bg-white p-3 rounded border border-gray-200">
+              <label className="text-sm font-medium text-gray-700 block mb-2">Positions:</label>
+              <div className="flex gap-2 flex-wrap">
+                {innings.map(inning => (
+                  <label key={inning} className="flex flex-col items-center gap-1">
+                    <span className={inningClass(inning)}>{inning}</span>
+                    <select
+                      className="input text-sm px-1 py-1 w-20"
+                      value={inningPosition(inning)}
+                      onChange={(e) => onSetPosition(index, isHome, inning, e.target.value)}
+                    >
+                      <option value="">—</option>
+                      {Object.entries(POSITION_CODES).map(([position, code]) => (
+                        <option key={position} value={position}>{code}</option>
+                      ))}
+                    </select>
                   </label>
-                  <input
-                    type="number"
-                    className="input text-sm"
-                    placeholder="0"
-                    min="0"
-                    required
-                    value={player.final_pitch_count}
-                    onChange={(e) => onUpdateField(index, isHome, 'final_pitch_count', e.target.value)}
-                    onWheel={(e) => e.target.blur()}
-                  />
-                </div>
+                ))}
               </div>
             </div>
           )}
+
+          {/* Pitch Counts (only if pitched), one set per date of a suspended game */}
+          {getPlayerPortions(suspendedAfterInning ? { suspended_after_inning: suspendedAfterInning } : null, player)
+            .filter(portion => portion.pitchedInnings.length > 0)
+            .map(portion => {
+              const prefix = portion.resumed ? 'resumed_' : ''
+              return (
+                <div key={prefix || 'game'} className="bg-blue-50 p-3 rounded border border-blue-200">
+                  {suspendedAfterInning && (
+                    <p className="text-sm font-medium text-gray-700 mb-2">
+                      {portion.resumed
+                        ? `After the game resumed (innings ${portion.pitchedInnings.join(', ')})`
+                        : `Before the suspension (innings ${portion.pitchedInnings.join(', ')})`}
+                    </p>
+                  )}
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                    <div>
+                      <label className="text-sm font-medium text-gray-700 block mb-1">
+                        Pitch Count (before last batter)
+                      </label>
+                      <input
+                        type="number"
+                        className="input text-sm"
+                        placeholder="0"
+                        min="0"
+                        value={portion.penultimateBatterCount}
+                        onChange={(e) => onUpdateField(index, isHome, `${prefix}penultimate_batter_count`, e.target.value)}
+                        onWheel={(e) => e.target.blur()}
+                      />
+                    </div>
+                    <div>
+                      <label className="text-sm font-medium text-gray-700 block mb-1">
+                        Final Pitch Count *
+                      </label>
+                      <input
+                        type="number"
+                        className="input text-sm"
+                        placeholder="0"
+                        min="0"
+                        required
+                        value={portion.finalPitchCount}
+                        onChange={(e) => onUpdateField(index, isHome, `${prefix}final_pitch_count`, e.target.value)}
+                        onWheel={(e) => e.target.blur()}
+                      />
+                    </div>
+                  </div>
+                </div>
+              )
+            })}
         </div>
     </div>
   )
@@ -1867,12 +2870,62 @@ function TeamPlayerDataSection({
   isHome,
   onToggleInning,
   onUpdateField,
+  onSetPosition,
   maxInnings,
-  onAddInning
+  onAddInning,
+  earlierPitchesToday = {},
+  suspendedAfterInning = null,
+  recordFielding = false,
+  onRecordFieldingChange,
+  lineup = null,
+  onImportLineup,
+  pitcherStatuses = {}
 }) {
+  // Recorded fielding stays visible until it is cleared
+  const showFielding = recordFielding || players.some(p => formatFieldingPositions(p.fielding_positions))
+  const canImportLineup = lineup && players.length > 0 &&
+    !isLineupEmpty({ battingOrder: lineup.batting_order || [], positions: lineup.positions || {}, locks: [] })
+
   return (
     <div className="border rounded-lg p-4">
-      <h4 className="text-lg font-bold mb-4">{team.name} - Player Data</h4>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h4 className="text-lg font-bold">{team.name} - Player Data</h4>
+        <div className="flex flex-wrap items-center gap-4">
+          {canImportLineup && (
+            <button
+              type="button"
+              onClick={() => onImportLineup(isHome)}
+              className="btn btn-secondary text-sm"
+              title={`Lineup saved ${new Date(lineup.updated_at).toLocaleString()}${lineup.updater?.name ? ` by ${lineup.updater.name}` : ''}`}
+            >
+              Import from lineup
+            </button>
+          )}
+          <label className="flex items-center gap-2 text-sm">
+            <input
+              type="checkbox"
+              checked={showFielding}
+              onChange={(e) => onRecordFieldingChange(isHome, e.target.checked)}
+            />
+            Record every position (checks Rules 7 and 8)
+          </label>
+        </div>
+      </div>
+      {canImportLineup && (
+        <p className="text-sm text-gray-600 mb-4">
+          A lineup is saved for this team on this date. Import it to fill in attendance and who pitched, caught and played where; then enter the pitch counts.
+        </p>
+      )}
+      {showFielding && (
+        <p className="text-sm text-gray-600 mb-4">
+          Pick each player's position per inning, or Bench when they sat out. Players with no positions picked are not checked.
+        </p>
+      )}
+      {suspendedAfterInning && (
+        <p className="text-sm text-purple-700 mb-4">
+          Innings after {suspendedAfterInning} (in purple) were played when the game resumed; enter their pitch counts separately.
+        </p>
+      )}
 
       {/* Player Data Entry Forms - All players included by default */}
       {players.length === 0 ? (
@@ -1889,8 +2942,13 @@ function TeamPlayerDataSection({
               isHome={isHome}
               onToggleInning={onToggleInning}
               onUpdateField={onUpdateField}
+              onSetPosition={onSetPosition}
               maxInnings={maxInnings}
               onAddInning={onAddInning}
+              earlierPitches={earlierPitchesToday[player.id] || 0}
+              suspendedAfterInning={suspendedAfterInning}
+              recordFielding={showFielding}
+              pitchingUnavailable={pitcherStatuses[player.id]?.available === false ? pitcherStatuses[player.id].note : null}
             />
           ))}
         </div>
@@ -1902,16 +2960,10 @@ function TeamPlayerDataSection({
 function ConfirmationTeamSection({
   teamName,
   pitchersAndCatchers,
+  fielders = [],
   absentPlayers,
-  hasInningsGap,
-  cannotCatchDueToHighPitchCount,
-  cannotPitchDueToFourInningsCatching,
-  cannotCatchAgainDueToCombined,
-  getEffectivePitchCount,
-  exceedsMaxPitchesForAge,
-  pitchedBeforeEligibleDate,
-  getMaxPitchesForAge,
-  division = null
+  getPlayerViolations,
+  waivers
 }) {
   return (
     <div className="card border border-gray-300">
@@ -1927,16 +2979,10 @@ function ConfirmationTeamSection({
             {pitchersAndCatchers.map(player => {
               const pitchedInnings = player.innings_pitched
               const caughtInnings = player.innings_caught
-              const effectivePitches = getEffectivePitchCount(player)
 
               // Check for violations
-              const hasPitchingGap = hasInningsGap(pitchedInnings)
-              const violationHighPitchCount = cannotCatchDueToHighPitchCount(player)
-              const violationFourInningsCatching = cannotPitchDueToFourInningsCatching(player)
-              const violationCombinedRule = cannotCatchAgainDueToCombined(player)
-              const violationExceedsPitchLimit = exceedsMaxPitchesForAge(player)
-              const violationPitchedBeforeEligible = pitchedBeforeEligibleDate(player)
-              const hasViolation = hasPitchingGap || violationHighPitchCount || violationFourInningsCatching || violationCombinedRule || violationExceedsPitchLimit || violationPitchedBeforeEligible
+              const violations = getPlayerViolations(player)
+              const hasViolation = violations.length > 0
 
               return (
                 <div key={player.id} className={`border rounded p-3 ${hasViolation ? 'bg-red-50 border-red-300' : 'bg-gray-50'}`}>
@@ -1963,6 +3009,11 @@ function ConfirmationTeamSection({
                     pitchedInnings={pitchedInnings}
                     caughtInnings={caughtInnings}
                   />
+                  {formatFieldingPositions(player.fielding_positions) && (
+                    <div className="mt-2 text-xs text-gray-600">
+                      Other positions: {formatFieldingPositions(player.fielding_positions)}
+                    </div>
+                  )}
 
                   {/* Pitch Count Info */}
                   {player.final_pitch_count && (
@@ -1973,22 +3024,54 @@ function ConfirmationTeamSection({
                       )}
                     </div>
                   )}
+                  {player.resumed_final_pitch_count && (
+                    <div className="mt-1 text-xs text-purple-700">
+                      After resuming: {player.resumed_final_pitch_count} pitches
+                      {player.resumed_penultimate_batter_count > 0 && (
+                        <span> (Before last batter: {player.resumed_penultimate_batter_count})</span>
+                      )}
+                    </div>
+                  )}
 
                   {/* Violation Messages */}
                   <PlayerViolationWarnings
-                    hasPitchingGap={hasPitchingGap}
-                    violationHighPitchCount={violationHighPitchCount}
-                    violationFourInningsCatching={violationFourInningsCatching}
-                    violationCombinedRule={violationCombinedRule}
-                    violationExceedsPitchLimit={violationExceedsPitchLimit}
-                    violationPitchedBeforeEligible={violationPitchedBeforeEligible}
-                    nextEligiblePitchDate={player.previousNextEligibleDate}
-                    pitchedInnings={pitchedInnings}
-                    caughtInnings={caughtInnings}
-                    effectivePitches={effectivePitches}
-                    playerAge={player.age}
-                    division={division}
-                    getMaxPitchesForAge={getMaxPitchesForAge}
+                    violations={violations}
+                    waivers={waivers}
+                    variant="confirmation"
+                  />
+                </div>
+              )
+            })}
+          </div>
+        </div>
+      )}
+
+      {/* Fielders (positions recorded, didn't pitch or catch) */}
+      {fielders.length > 0 && (
+        <div className="mt-4">
+          <h5 className="font-semibold mb-3 text-gray-700">Fielders ({fielders.length})</h5>
+          <div className="space-y-2">
+            {fielders.map(player => {
+              const violations = getPlayerViolations(player)
+              return (
+                <div key={player.id} className={`border rounded p-3 ${violations.length > 0 ? 'bg-red-50 border-red-300' : 'bg-gray-50'}`}>
+                  <div className="flex items-center gap-3">
+                    <h6 className="font-semibold">{player.name}</h6>
+                    {player.jersey_number && (
+                      <span className="text-sm text-gray-600">#{player.jersey_number}</span>
+                    )}
+                    {!player.was_present && (
+                      <span className="text-xs bg-orange-500 text-white px-2 py-0.5 rounded font-semibold">
+                        Absent
+                      </span>
+                    )}
+                  </div>
+                  <div className="mt-1 text-xs text-gray-600">
+                    {formatFieldingPositions(player.fielding_positions)}
+                  </div>
+                  <PlayerViolationWarnings
+                    violations={violations}
+                    waivers={waivers}
                     variant="confirmation"
                   />
                 </div>
@@ -0,0 +1,206 @@
+import { useState, useEffect } from 'react'
+import { supabase } from '../../lib/supabase'
+import { formatDate } from '../../lib/pitchCountUtils'
+import { fetchGameHistory, restoreGameVersion } from '../../lib/gameHistory'
+import { isGameConflictError } from '../../lib/gameConflicts'
+import { GAME_STATUS_LABELS } from '../../lib/gameStatus'
+import { formatStartTime } from '../../lib/gameSchedule'
+import { formatFieldingPositions } from '../../lib/fieldingPositions'
+import { isGameLocked } from '../../lib/gameSignoff'
+
+const CHANGE_TYPE_LABELS = {
+  created: 'Game entered',
+  deleted: 'Game deleted',
+  trashed: 'Moved to trash',
+  restored: 'Restored from trash',
+  edited: 'Game edited'
+}
+
+/**
+ * GameHistoryPanel Component
+ *
+ * History tab of GameDetailModal. Lists every saved version of the game,
+ * newest first, with who saved it and what changed. Admins can restore an
+ * earlier version after giving a reason.
+ */
+export default function GameHistoryPanel({ game, isAdmin, onRestored }) {
+  const [loading, setLoading] = useState(true)
+  const [versions, setVersions] = useState([])
+  const [teamNames, setTeamNames] = useState({})
+  const [error, setError] = useState(null)
+  const [restoringId, setRestoringId] = useState(null)
+  const [restoreReason, setRestoreReason] = useState('')
+  const [restoring, setRestoring] = useState(false)
+
+  useEffect(() => {
+    fetchHistory()
+  }, [])
+
+  const fetchHistory = async () => {
+    try {
+      const history = await fetchGameHistory(supabase, game.id)
+      setVersions(history.versions)
+      setTeamNames(history.teamNames)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleRestore = async (version) => {
+    setRestoring(true)
+    setError(null)
+
+    try {
+      const result = await restoreGameVersion(supabase, {
+        gameId: game.id,
+        snapshot: version.snapshot,
+        reason: restoreReason
+      })
+      onRestored(result.recomputedGames)
+    } catch (err) {
+      setError(isGameConflictError(err)
+        ? 'The game was saved by someone else while restoring. Close and reopen it to see the latest history.'
+        : err.message)
+      setRestoring(false)
+    }
+  }
+
+  const formatValue = (key, value) => {
+    if (value === undefined) return <span className="italic text-gray-400">Not recorded</span>
+    if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '—'
+    if (key === 'fielding_positions') return formatFieldingPositions(value) || '—'
+    if (key === 'was_present') return value ? 'Present' : 'Absent'
+    if (value === null || value === '') return '—'
+    if (key.endsWith('team_id')) return teamNames[value] || 'Unknown team'
+    if (key === 'game_date' || key === 'resume_date') return formatDate(value)
+    if (key === 'status') return GAME_STATUS_LABELS[value] || value
+    if (key === 'start_time') return formatStartTime(value)
+    return String(value)
+  }
+
+  const renderFields = (fields) => (
+    <ul className="space-y-0.5">
+      {fields.map(field => (
+        <li key={field.key}>
+          <span className="text-gray-600">{field.label}:</span>{' '}
+          <span className="line-through text-gray-400">{formatValue(field.key, field.before)}</span>
+          {' → '}
+          <span className="font-medium">{formatValue(field.key, field.after)}</span>
+        </li>
+      ))}
+    </ul>
+  )
+
+  if (loading) {
+    return (
+      <div className="text-center py-8">
+        <p className="text-gray-600">Loading history...</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-3">
+      {error && (
+        <div className="alert alert-error">
+          {error}
+        </div>
+      )}
+
+      {isAdmin && isGameLocked(game) && versions.length > 1 && (
+        <p className="text-sm text-gray-600">
+          🔒 This game is signed off. Reopen it on the Details tab to restore an earlier version.
+        </p>
+      )}
+
+      {versions.length === 0 && (
+        <p className="text-gray-600 text-center py-8">No changes have been recorded for this game.</p>
+      )}
+
+      {versions.map((version, i) => {
+        const { changes } = version
+        const hasFieldChanges = changes.gameFields.length > 0 || changes.players.length > 0
+        const canRestore = isAdmin && i > 0 && version.snapshot.game && !isGameLocked(game)
+
+        return (
+          <div key={version.id} className="border border-gray-200 rounded-lg p-4">
+            <div className="flex flex-wrap justify-between items-start gap-2">
+              <div>
+                <p className="font-semibold">
+                  {CHANGE_TYPE_LABELS[changes.type]}
+                  {i === 0 && (
+                    <span className="ml-2 text-xs bg-green-100 text-green-800 px-1.5 py-0.5 rounded">Current</span>
+                  )}
+                </p>
+                <p className="text-sm text-gray-600">
+                  {new Date(version.changedAt).toLocaleString()} · {version.changedBy || 'Unknown user'}
+                </p>
+              </div>
+              {canRestore && restoringId !== version.id && (
+                <button
+                  onClick={() => {
+                    setRestoringId(version.id)
+                    setRestoreReason('')
+                  }}
+                  className="btn btn-secondary text-sm"
+                >
+                  Restore this version
+                </button>
+              )}
+            </div>
+
+            {changes.type === 'edited' && (
+              <div className="mt-2 text-sm space-y-2">
+                {!hasFieldChanges && (
+                  <p className="text-gray-500 italic">No changes to the game or player data</p>
+                )}
+                {changes.gameFields.length > 0 && renderFields(changes.gameFields)}
+                {changes.players.map(player => (
+                  <div key={player.playerId}>
+                    <p className="font-medium">{player.name}</p>
+                    <div className="ml-4">{renderFields(player.fields)}</div>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {restoringId === version.id && (
+              <div className="mt-3 p-3 bg-amber-50 border border-amber-300 rounded">
+                <p className="text-sm text-amber-900 mb-2">
+                  The game will be saved with this version's data. Eligibility dates and violations are
+                  recalculated, and any blocking violation it brings back is waived with your reason.
+                </p>
+                <label className="label">Reason for restoring</label>
+                <input
+                  type="text"
+                  value={restoreReason}
+                  onChange={(e) => setRestoreReason(e.target.value)}
+                  className="input"
+                  placeholder="e.g., Pitch count was changed by mistake"
+                />
+                <div className="flex justify-end gap-2 mt-2">
+                  <button
+                    onClick={() => setRestoringId(null)}
+                    className="btn btn-secondary text-sm"
+                    disabled={restoring}
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={() => handleRestore(version)}
+                    className="btn btn-primary text-sm"
+                    disabled={restoring || !restoreReason.trim()}
+                  >
+                    {restoring ? 'Restoring...' : 'Restore'}
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        )
+      })}
+    </div>
+  )
+}
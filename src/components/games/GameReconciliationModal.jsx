@@ -0,0 +1,270 @@
+import { useState, useEffect } from 'react'
+import { supabase } from '../../lib/supabase'
+import { formatDate } from '../../lib/pitchCountUtils'
+import { conflictChoiceKey } from '../../lib/gameConflicts'
+import {
+  decideGameCount,
+  diffSubmissions,
+  fetchGameSubmissions,
+  RECONCILIATION_STATUS_LABELS
+} from '../../lib/gameReconciliation'
+
+/**
+ * GameReconciliationModal Component
+ *
+ * Compares the pitch counts submitted by the home and away scorekeepers of a
+ * game kept by both teams. Scorekeepers can submit or correct their own
+ * team's count; admins can decide each difference and make the game official.
+ */
+export default function GameReconciliationModal({ game, isAdmin, submitTeamIds, onClose, onSubmitCount, onResolved }) {
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [submissions, setSubmissions] = useState({ home: null, away: null })
+  const [differences, setDifferences] = useState([])
+  const [choices, setChoices] = useState({})
+  const [note, setNote] = useState('')
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    fetchSubmissions()
+  }, [])
+
+  const fetchSubmissions = async () => {
+    try {
+      const found = await fetchGameSubmissions(supabase, game)
+      setSubmissions(found)
+
+      if (found.home && found.away) {
+        const playerIds = [...new Set([...found.home.attendance, ...found.away.attendance].map(a => a.player_id))]
+        const { data: roster, error: rosterError } = await supabase
+          .from('players')
+          .select('id, name, jersey_number')
+          .in('id', playerIds)
+
+        if (rosterError) throw rosterError
+
+        const diff = diffSubmissions(found.home, found.away, roster || [])
+        setDifferences(diff)
+        setChoices(Object.fromEntries(diff.flatMap(p =>
+          p.fields.map(f => [conflictChoiceKey(p.playerId, f.key), 'home'])
+        )))
+      }
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleDecide = async () => {
+    setSaving(true)
+    setError(null)
+
+    try {
+      const result = await decideGameCount(supabase, {
+        gameId: game.id,
+        homeSubmission: submissions.home,
+        awaySubmission: submissions.away,
+        choices,
+        note,
+        game
+      })
+      onResolved(result.recomputedGames)
+    } catch (err) {
+      setError(err.message)
+      setSaving(false)
+    }
+  }
+
+  const chooseAll = (side) => {
+    setChoices(prev => Object.fromEntries(Object.keys(prev).map(key => [key, side])))
+  }
+
+  const formatValue = (key, value) => {
+    if (value === undefined) return <span className="italic text-gray-400">Not recorded</span>
+    if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '—'
+    if (key === 'was_present') return value ? 'Present' : 'Absent'
+    if (value === null || value === '') return '—'
+    return String(value)
+  }
+
+  const sides = [
+    { side: 'home', teamId: game.home_team_id, teamName: game.home_team?.name || 'Home team' },
+    { side: 'away', teamId: game.away_team_id, teamName: game.away_team?.name || 'Away team' }
+  ]
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 overflow-y-auto">
+      <div className="bg-white rounded-lg p-6 max-w-4xl w-full mx-4 my-8 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-start gap-4 mb-4">
+          <div>
+            <h3 className="text-xl font-bold">Reconcile Pitch Counts</h3>
+            <p className="text-gray-600 mt-1">
+              {game.away_team?.name} at {game.home_team?.name} · {formatDate(game.game_date)}
+            </p>
+            <p className="text-sm font-medium mt-1">
+              {RECONCILIATION_STATUS_LABELS[game.reconciliation_status]}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 text-2xl"
+          >
+            ×
+          </button>
+        </div>
+
+        {error && (
+          <div className="alert alert-error mb-4">
+            {error}
+          </div>
+        )}
+
+        {loading ? (
+          <div className="text-center py-8">
+            <p className="text-gray-600">Loading counts...</p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {/* Each scorekeeper's submission */}
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+              {sides.map(({ side, teamId, teamName }) => {
+                const submission = submissions[side]
+
+                return (
+                  <div key={side} className="border border-gray-200 rounded-lg p-3 text-sm">
+                    <p className="font-semibold">{teamName} scorekeeper</p>
+                    {submission ? (
+                      <p className="text-gray-600">
+                        {submission.scorekeeper_name} · submitted {new Date(submission.updated_at).toLocaleString()}
+                        {submission.submitter?.name && ` by ${submission.submitter.name}`}
+                      </p>
+                    ) : (
+                      <p className="text-amber-700">Not submitted yet</p>
+                    )}
+                    {submitTeamIds.includes(teamId) && game.reconciliation_status !== 'resolved' && (
+                      <button
+                        onClick={() => onSubmitCount(teamId)}
+                        className="btn btn-secondary text-sm mt-2"
+                      >
+                        {submission ? 'Correct This Count' : 'Submit Count'}
+                      </button>
+                    )}
+                  </div>
+                )
+              })}
+            </div>
+
+            {/* Differences between the two counts */}
+            {submissions.home && submissions.away && (
+              differences.length === 0 ? (
+                <p className="text-green-700 text-sm">Both counts agree.</p>
+              ) : (
+                <div className="border-2 border-amber-400 bg-amber-50 rounded-lg p-4">
+                  <h4 className="font-bold mb-1">
+                    ⚠️ {differences.length} player{differences.length !== 1 ? 's' : ''} with different counts
+                  </h4>
+                  <p className="text-sm text-gray-700 mb-3">
+                    {isAdmin
+                      ? 'A scorekeeper can correct their count, or choose the value to keep for each difference and make the game official.'
+                      : 'A scorekeeper can correct their count, or an admin decides each difference.'}
+                  </p>
+
+                  {isAdmin && (
+                    <div className="flex flex-wrap gap-2 mb-3">
+                      {sides.map(({ side, teamName }) => (
+                        <button key={side} onClick={() => chooseAll(side)} className="btn btn-secondary text-sm">
+                          Use All {teamName}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+
+                  <div className="overflow-x-auto bg-white rounded-lg border border-gray-200 p-3 space-y-4">
+                    {differences.map(player => (
+                      <table key={player.playerId} className="w-full text-sm">
+                        <thead>
+                          <tr className="text-left text-gray-600">
+                            <th className="pb-1 pr-3 w-1/3">
+                              {player.jerseyNumber && `#${player.jerseyNumber} `}{player.name}
+                            </th>
+                            {sides.map(({ side, teamName }) => (
+                              <th key={side} className="pb-1 pr-3">{teamName}</th>
+                            ))}
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {player.fields.map(field => {
+                            const key = conflictChoiceKey(player.playerId, field.key)
+
+                            return (
+                              <tr key={key} className="border-t border-gray-100">
+                                <td className="py-2 pr-3 font-medium">{field.label}</td>
+                                {sides.map(({ side }) => (
+                                  <td key={side} className="py-2 pr-3">
+                                    {isAdmin ? (
+                                      <label className={`flex items-start gap-2 p-2 rounded cursor-pointer ${choices[key] === side ? 'bg-blue-50 ring-1 ring-blue-300' : ''}`}>
+                                        <input
+                                          type="radio"
+                                          name={key}
+                                          checked={choices[key] === side}
+                                          onChange={() => setChoices(prev => ({ ...prev, [key]: side }))}
+                                          className="mt-1"
+                                        />
+                                        <span>{formatValue(field.key, field[side])}</span>
+                                      </label>
+                                    ) : (
+                                      formatValue(field.key, field[side])
+                                    )}
+                                  </td>
+                                ))}
+                              </tr>
+                            )
+                          })}
+                        </tbody>
+                      </table>
+                    ))}
+                  </div>
+
+                  {isAdmin && (
+                    <div className="mt-4">
+                      <label className="label">Decision Note *</label>
+                      <textarea
+                        value={note}
+                        onChange={(e) => setNote(e.target.value)}
+                        className="input"
+                        rows={2}
+                        placeholder="e.g., Home scorekeeper's pitch-by-pitch sheet confirmed"
+                      />
+                      <p className="text-xs text-gray-600 mt-1">
+                        The chosen values are saved as the game's data. The note is also used to waive any safety rule violation they bring.
+                      </p>
+                    </div>
+                  )}
+                </div>
+              )
+            )}
+          </div>
+        )}
+
+        <div className="flex justify-end gap-2 mt-6 pt-4 border-t">
+          <button
+            onClick={onClose}
+            className="btn btn-secondary"
+          >
+            Close
+          </button>
+          {isAdmin && differences.length > 0 && (
+            <button
+              onClick={handleDecide}
+              className="btn btn-primary"
+              disabled={saving || !note.trim()}
+            >
+              {saving ? 'Saving...' : 'Decide & Make Official'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
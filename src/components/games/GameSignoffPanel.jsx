@@ -0,0 +1,206 @@
+import { useState, useEffect } from 'react'
+import { supabase } from '../../lib/supabase'
+import { useCoachAssignments } from '../../lib/useCoachAssignments'
+import {
+  canConfirmSignoff,
+  canSubmitSignoff,
+  confirmGameSignoff,
+  fetchGameSignoff,
+  getConfirmingTeamIds,
+  getSignoffBlocker,
+  getSignoffLabel,
+  isGameLocked,
+  reopenGame,
+  submitGameSignoff,
+  withdrawGameSignoff
+} from '../../lib/gameSignoff'
+
+const SIGNOFF_BADGE_CLASSES = {
+  submitted: 'bg-amber-100 text-amber-800',
+  confirmed: 'bg-green-100 text-green-800'
+}
+
+/**
+ * GameSignoffPanel Component
+ *
+ * Sign-off section of GameDetailModal. Shows who submitted and confirmed the
+ * game, lets the scorekeeper's side submit (or withdraw) it, the other
+ * team's head coach confirm the pitch counts, and admins reopen a confirmed
+ * game with a reason. onChange receives the reloaded sign-off state.
+ */
+export default function GameSignoffPanel({ game, isAdmin, profile, onChange }) {
+  const [signoff, setSignoff] = useState(null)
+  const [error, setError] = useState(null)
+  const [saving, setSaving] = useState(false)
+  const [reopening, setReopening] = useState(false)
+  const [reopenReason, setReopenReason] = useState('')
+
+  const { headCoachTeams, editableTeams } = useCoachAssignments(profile)
+
+  useEffect(() => {
+    loadSignoff()
+  }, [])
+
+  const loadSignoff = async () => {
+    try {
+      const data = await fetchGameSignoff(supabase, game.id)
+      setSignoff(data)
+      return data
+    } catch (err) {
+      setError(err.message)
+      return null
+    }
+  }
+
+  const runAction = async (action) => {
+    setSaving(true)
+    setError(null)
+
+    try {
+      await action()
+      setReopening(false)
+      setReopenReason('')
+    } catch (err) {
+      setError(err.message)
+    }
+
+    const data = await loadSignoff()
+    if (data) onChange?.(data)
+    setSaving(false)
+  }
+
+  if (!signoff) {
+    return error ? <div className="alert alert-error">{error}</div> : null
+  }
+
+  const teamNames = {
+    [game.home_team_id]: game.home_team.name,
+    [game.away_team_id]: game.away_team.name
+  }
+  const confirmingTeams = getConfirmingTeamIds(signoff).map(id => teamNames[id]).join(' or ')
+  const blocker = getSignoffBlocker(signoff)
+  const canSubmit = canSubmitSignoff(signoff, { isAdmin, editableTeamIds: editableTeams })
+  const canWithdraw = signoff.signoff_status === 'submitted' &&
+    (isAdmin || editableTeams.includes(signoff.scorekeeper_team_id))
+  const canConfirm = canConfirmSignoff(signoff, headCoachTeams)
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4">
+      <div className="flex flex-wrap justify-between items-start gap-2">
+        <div>
+          <h4 className="font-bold">
+            Sign-off
+            <span className={`ml-2 text-xs font-semibold px-2 py-0.5 rounded ${SIGNOFF_BADGE_CLASSES[signoff.signoff_status] || 'bg-gray-100 text-gray-700'}`}>
+              {isGameLocked(signoff) && '🔒 '}{getSignoffLabel(signoff)}
+            </span>
+          </h4>
+          {signoff.signoff_submitted_at && (
+            <p className="text-sm text-gray-600 mt-1">
+              Submitted by {signoff.signoff_submitter?.name || 'Unknown user'} on {new Date(signoff.signoff_submitted_at).toLocaleString()}
+            </p>
+          )}
+          {signoff.signoff_status === 'submitted' && (
+            <p className="text-sm text-amber-700 mt-1">
+              Waiting for the {confirmingTeams} head coach to confirm the pitch counts.
+            </p>
+          )}
+          {signoff.signoff_confirmed_at && (
+            <p className="text-sm text-green-700 mt-1">
+              Pitch counts confirmed by {signoff.signoff_confirmer?.name || 'Unknown user'} on {new Date(signoff.signoff_confirmed_at).toLocaleString()}.
+              The game is locked; an admin must reopen it to make changes.
+            </p>
+          )}
+          {!signoff.signoff_status && blocker && (
+            <p className="text-sm text-gray-500 mt-1">Can't be submitted yet: {blocker}.</p>
+          )}
+          {signoff.reopened_at && (
+            <p className="text-sm text-gray-600 mt-1">
+              Last reopened by {signoff.reopener?.name || 'Unknown user'} on {new Date(signoff.reopened_at).toLocaleString()}: {signoff.reopen_reason}
+            </p>
+          )}
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          {canSubmit && (
+            <button
+              onClick={() => runAction(() => submitGameSignoff(supabase, signoff))}
+              disabled={saving}
+              className="btn btn-primary text-sm"
+            >
+              Submit for Sign-off
+            </button>
+          )}
+          {canWithdraw && (
+            <button
+              onClick={() => runAction(() => withdrawGameSignoff(supabase, game.id))}
+              disabled={saving}
+              className="btn btn-secondary text-sm"
+            >
+              Withdraw
+            </button>
+          )}
+          {canConfirm && (
+            <button
+              onClick={() => runAction(() => confirmGameSignoff(supabase, game.id))}
+              disabled={saving}
+              className="btn btn-primary text-sm"
+            >
+              Confirm Pitch Counts
+            </button>
+          )}
+          {isAdmin && isGameLocked(signoff) && !reopening && (
+            <button
+              onClick={() => setReopening(true)}
+              className="btn btn-secondary text-sm"
+            >
+              Reopen Game
+            </button>
+          )}
+        </div>
+      </div>
+
+      {error && (
+        <div className="alert alert-error mt-3">
+          {error}
+        </div>
+      )}
+
+      {reopening && (
+        <div className="mt-3 p-3 bg-gray-50 border border-gray-200 rounded">
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Reason for reopening *
+          </label>
+          <textarea
+            value={reopenReason}
+            onChange={(e) => setReopenReason(e.target.value)}
+            className="input w-full"
+            rows={2}
+            placeholder="e.g., Home scorekeeper reported a miscounted inning"
+          />
+          <p className="text-xs text-gray-500 mt-1">
+            The game goes back to not submitted and has to be signed off again.
+          </p>
+          <div className="flex justify-end gap-2 mt-2">
+            <button
+              onClick={() => {
+                setReopening(false)
+                setReopenReason('')
+              }}
+              disabled={saving}
+              className="btn btn-secondary text-sm"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={() => runAction(() => reopenGame(supabase, game.id, reopenReason))}
+              disabled={saving || !reopenReason.trim()}
+              className="btn btn-primary text-sm"
+            >
+              {saving ? 'Reopening...' : 'Reopen Game'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
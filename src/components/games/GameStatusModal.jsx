@@ -0,0 +1,147 @@
+import { useState } from 'react'
+import { supabase } from '../../lib/supabase'
+import { formatDate } from '../../lib/pitchCountUtils'
+import {
+  changeGameStatus,
+  GAME_FORM_STATUSES,
+  GAME_STATUS_LABELS,
+  GAME_STATUS_TRANSITIONS
+} from '../../lib/gameStatus'
+
+const STATUS_DESCRIPTIONS = {
+  postponed: 'Not completed on this date. Pitches already recorded still count toward rest.',
+  cancelled: 'Will not be played. It is left out of the standings.',
+  forfeited: 'Counts as a loss for the forfeiting team in the standings, whatever the score.'
+}
+
+/**
+ * GameStatusModal Component
+ *
+ * Postpones, cancels or forfeits a game without re-entering its player data.
+ * Postponing can add the replacement game to the schedule on a new date. Statuses that
+ * come with results (final, in progress, suspended) are set in the game form.
+ */
+export default function GameStatusModal({ game, onClose, onSuccess }) {
+  const currentStatus = game.status || 'final'
+  const options = GAME_STATUS_TRANSITIONS[currentStatus]
+    .filter(status => status === 'forfeited' || !GAME_FORM_STATUSES.includes(status))
+  const [status, setStatus] = useState(options[0] || '')
+  const [forfeitingTeamId, setForfeitingTeamId] = useState('')
+  const [replacementDate, setReplacementDate] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    setError(null)
+
+    try {
+      const result = await changeGameStatus(supabase, {
+        game,
+        status,
+        forfeitingTeamId: status === 'forfeited' ? forfeitingTeamId : null,
+        replacementDate: status === 'postponed' ? replacementDate || null : null
+      })
+      onSuccess(status, result)
+    } catch (err) {
+      setError(err.message)
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 max-w-md w-full mx-4">
+        <h3 className="text-xl font-bold mb-1">Change Game Status</h3>
+        <p className="text-gray-600 mb-4">
+          {game.away_team?.name} at {game.home_team?.name} · {formatDate(game.game_date)}
+          <br />
+          <span className="text-sm">Currently: {GAME_STATUS_LABELS[currentStatus]}</span>
+        </p>
+
+        {error && (
+          <div className="alert alert-error mb-4">
+            {error}
+          </div>
+        )}
+
+        {options.length === 0 ? (
+          <p className="text-gray-600 mb-4">
+            A {GAME_STATUS_LABELS[currentStatus].toLowerCase()} game cannot change status.
+          </p>
+        ) : (
+          <form id="game-status-form" onSubmit={handleSubmit} className="space-y-4">
+            <div>
+              <label className="label">New Status *</label>
+              <select
+                className="input"
+                value={status}
+                onChange={(e) => setStatus(e.target.value)}
+              >
+                {options.map(option => (
+                  <option key={option} value={option}>{GAME_STATUS_LABELS[option]}</option>
+                ))}
+              </select>
+              {STATUS_DESCRIPTIONS[status] && (
+                <p className="text-sm text-gray-500 mt-1">{STATUS_DESCRIPTIONS[status]}</p>
+              )}
+            </div>
+
+            {status === 'forfeited' && (
+              <div>
+                <label className="label">Forfeiting Team *</label>
+                <select
+                  className="input"
+                  value={forfeitingTeamId}
+                  onChange={(e) => setForfeitingTeamId(e.target.value)}
+                  required
+                >
+                  <option value="">-- Select Team --</option>
+                  <option value={game.home_team_id}>{game.home_team?.name}</option>
+                  <option value={game.away_team_id}>{game.away_team?.name}</option>
+                </select>
+              </div>
+            )}
+
+            {status === 'postponed' && (
+              <div>
+                <label className="label">Replacement Game Date</label>
+                <input
+                  type="date"
+                  className="input"
+                  value={replacementDate}
+                  min={game.game_date}
+                  onChange={(e) => setReplacementDate(e.target.value)}
+                />
+                <p className="text-sm text-gray-500 mt-1">
+                  Optional. Adds the replacement game to the season schedule and links it to this one.
+                </p>
+              </div>
+            )}
+          </form>
+        )}
+
+        <div className="flex gap-2 pt-4">
+          <button
+            type="button"
+            onClick={onClose}
+            className="btn btn-secondary flex-1"
+          >
+            Cancel
+          </button>
+          {options.length > 0 && (
+            <button
+              type="submit"
+              form="game-status-form"
+              className="btn btn-primary flex-1"
+              disabled={saving}
+            >
+              {saving ? 'Saving...' : 'Change Status'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
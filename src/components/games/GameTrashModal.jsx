@@ -0,0 +1,175 @@
+import { useState, useEffect } from 'react'
+import { supabase } from '../../lib/supabase'
+import { formatDate } from '../../lib/pitchCountUtils'
+import { formatGameOutcome } from '../../lib/gameStatus'
+import { formatStartTime } from '../../lib/gameSchedule'
+import { fetchTrashedGames, getDaysUntilPurge, purgeExpiredGames } from '../../lib/gameTrash'
+
+/**
+ * GameTrashModal Component
+ *
+ * Admin view of a season's deleted games. Trashed games don't count for
+ * eligibility until they are restored; once their retention period has
+ * passed they can be purged for good. onRestore(game) restores a game and
+ * recomputes the later games it affects.
+ */
+export default function GameTrashModal({ seasonId, teams, onRestore, onClose }) {
+  const [loading, setLoading] = useState(true)
+  const [trashedGames, setTrashedGames] = useState([])
+  const [error, setError] = useState(null)
+  const [notice, setNotice] = useState(null)
+  const [busyId, setBusyId] = useState(null)
+  const [purging, setPurging] = useState(false)
+
+  useEffect(() => {
+    loadTrash()
+  }, [seasonId])
+
+  const loadTrash = async () => {
+    try {
+      setTrashedGames(await fetchTrashedGames(supabase, seasonId))
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const teamName = (teamId) => teams.find(t => t.id === teamId)?.name || 'Unknown'
+
+  const handleRestore = async (game) => {
+    setBusyId(game.id)
+    setError(null)
+    setNotice(null)
+
+    try {
+      await onRestore(game)
+      setNotice(`${teamName(game.away_team_id)} at ${teamName(game.home_team_id)} was restored`)
+      await loadTrash()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const handlePurge = async () => {
+    if (!confirm('Permanently delete every game past its retention period? This cannot be undone.')) return
+
+    setPurging(true)
+    setError(null)
+    setNotice(null)
+
+    try {
+      const count = await purgeExpiredGames(supabase)
+      setNotice(`${count} game${count !== 1 ? 's' : ''} purged`)
+      await loadTrash()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setPurging(false)
+    }
+  }
+
+  const expiredCount = trashedGames.filter(game => getDaysUntilPurge(game) === 0).length
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 overflow-y-auto">
+      <div className="bg-white rounded-lg p-6 max-w-3xl w-full mx-4 my-8 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-start gap-4 mb-4">
+          <div>
+            <h3 className="text-xl font-bold">🗑️ Deleted Games</h3>
+            <p className="text-sm text-gray-600 mt-1">
+              Deleted games don't count toward pitcher eligibility. Restore a game to bring back its player data;
+              games are purged permanently once their retention period has passed.
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 text-2xl"
+          >
+            ×
+          </button>
+        </div>
+
+        {error && (
+          <div className="alert alert-error mb-4">
+            {error}
+          </div>
+        )}
+
+        {notice && (
+          <div className="alert alert-success mb-4">
+            {notice}
+          </div>
+        )}
+
+        {loading ? (
+          <p className="text-gray-600 text-center py-8">Loading deleted games...</p>
+        ) : trashedGames.length === 0 ? (
+          <p className="text-gray-600 text-center py-8">The trash is empty.</p>
+        ) : (
+          <ul className="space-y-3">
+            {trashedGames.map(game => {
+              const daysLeft = getDaysUntilPurge(game)
+              const gameWithTeams = {
+                ...game,
+                home_team: { name: teamName(game.home_team_id) },
+                away_team: { name: teamName(game.away_team_id) }
+              }
+
+              return (
+                <li key={game.id} className="border border-gray-200 rounded-lg p-4">
+                  <div className="flex flex-wrap justify-between items-start gap-2">
+                    <div>
+                      <p className="text-sm text-gray-600">
+                        {formatDate(game.game_date)}
+                        {game.start_time && ` · ${formatStartTime(game.start_time)}`}
+                      </p>
+                      <p className="font-semibold">
+                        {gameWithTeams.away_team.name} at {gameWithTeams.home_team.name}
+                      </p>
+                      <p className="text-sm text-gray-700">{formatGameOutcome(gameWithTeams)}</p>
+                      <p className="text-sm text-gray-500 mt-1">
+                        Deleted {new Date(game.deleted_at).toLocaleString()} by {game.deleted_by_name || 'Unknown user'}
+                        {game.pitcher_count > 0 && ` · ${game.pitcher_count} pitcher${game.pitcher_count !== 1 ? 's' : ''}`}
+                      </p>
+                      <p className={`text-xs mt-1 ${daysLeft === 0 ? 'text-red-600' : 'text-gray-500'}`}>
+                        {daysLeft === 0
+                          ? 'Retention period over; will be removed by the next purge'
+                          : `Kept for ${daysLeft} more day${daysLeft !== 1 ? 's' : ''}`}
+                      </p>
+                    </div>
+                    <button
+                      onClick={() => handleRestore(game)}
+                      disabled={busyId !== null || purging}
+                      className="btn btn-secondary text-sm"
+                    >
+                      {busyId === game.id ? 'Restoring...' : 'Restore'}
+                    </button>
+                  </div>
+                </li>
+              )
+            })}
+          </ul>
+        )}
+
+        <div className="flex flex-wrap justify-between gap-2 mt-6 pt-4 border-t">
+          <button
+            onClick={handlePurge}
+            disabled={expiredCount === 0 || purging || busyId !== null}
+            className="btn bg-red-600 text-white hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {purging ? 'Purging...' : `Purge Expired (${expiredCount})`}
+          </button>
+          <button
+            onClick={onClose}
+            className="btn btn-secondary"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,363 @@
+import { useState, useEffect } from 'react'
+import { supabase } from '../../lib/supabase'
+import { usePitchSmartRules } from '../../lib/usePitchSmartRules'
+import { deriveLiveGame, getLivePitcherStatus } from '../../lib/livePitchCounter'
+import { fetchEarlierPitchesToday } from '../../lib/pitcherEligibility'
+
+// The live session survives reloads and a phone locking mid-game
+export const LIVE_GAME_STORAGE_KEY = 'tll_live_game'
+
+export function loadLiveSession() {
+  try {
+    const saved = localStorage.getItem(LIVE_GAME_STORAGE_KEY)
+    return saved ? JSON.parse(saved) : null
+  } catch {
+    return null
+  }
+}
+
+export function clearLiveSession() {
+  localStorage.removeItem(LIVE_GAME_STORAGE_KEY)
+}
+
+const STATUS_STYLES = {
+  ok: 'bg-green-50 border-green-200 text-green-800',
+  warning: 'bg-yellow-50 border-yellow-300 text-yellow-900',
+  danger: 'bg-red-50 border-red-300 text-red-800'
+}
+
+/**
+ * LiveGameCounter Component
+ *
+ * Mobile-first tap-per-pitch counter for game day. Pitch counts, innings
+ * pitched/caught and the count before each pitcher's last batter are derived
+ * from the taps; "Finish Game" hands the session to Game Entry so it is
+ * saved (and checked) like any other game. Warnings use the division's
+ * maximum and count pitches from games already saved that day.
+ */
+export default function LiveGameCounter({ seasonId, teams, defaultDivision, onClose, onFinish }) {
+  const [session, setSession] = useState(() => {
+    const saved = loadLiveSession()
+    return saved && saved.season_id === seasonId ? saved : null
+  })
+  const [setup, setSetup] = useState({
+    division: defaultDivision && defaultDivision !== 'All' ? defaultDivision : '',
+    game_date: new Date().toISOString().split('T')[0],
+    home_team_id: '',
+    away_team_id: ''
+  })
+  const [players, setPlayers] = useState([])
+  const [earlierPitches, setEarlierPitches] = useState({}) // player_id -> pitches in earlier games that day
+  const [error, setError] = useState(null)
+
+  const { rules } = usePitchSmartRules(seasonId)
+
+  // Persist every tap
+  useEffect(() => {
+    if (session) {
+      localStorage.setItem(LIVE_GAME_STORAGE_KEY, JSON.stringify(session))
+    }
+  }, [session])
+
+  // Fetch both rosters once the teams are known
+  useEffect(() => {
+    if (session) {
+      fetchRosters()
+    }
+  }, [session?.home_team_id, session?.away_team_id])
+
+  const fetchRosters = async () => {
+    try {
+      const { data, error: fetchError } = await supabase
+        .from('players')
+        .select('id, name, jersey_number, age, team_id')
+        .in('team_id', [session.home_team_id, session.away_team_id])
+        .is('archived_at', null)
+        .order('jersey_number')
+
+      if (fetchError) throw fetchError
+      setPlayers(data || [])
+
+      // The live game is the latest of the day, so every saved game that day is earlier
+      setEarlierPitches(await fetchEarlierPitchesToday(
+        supabase,
+        (data || []).map(p => p.id),
+        { id: null, game_date: session.game_date, start_time: null, created_at: null }
+      ))
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const handleStart = (e) => {
+    e.preventDefault()
+    if (setup.home_team_id === setup.away_team_id) {
+      setError('Home and away teams must be different')
+      return
+    }
+    setError(null)
+    setSession({ season_id: seasonId, ...setup, events: [] })
+  }
+
+  const record = (event) => {
+    setSession(prev => ({ ...prev, events: [...prev.events, event] }))
+  }
+
+  const handleUndo = () => {
+    setSession(prev => ({ ...prev, events: prev.events.slice(0, -1) }))
+  }
+
+  const handleDiscard = () => {
+    if (!window.confirm('Discard this live game? All recorded pitches will be lost.')) return
+    clearLiveSession()
+    onClose()
+  }
+
+  const divisionTeams = teams.filter(t => t.division === setup.division)
+
+  if (!session) {
+    return (
+      <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 overflow-y-auto">
+        <div className="bg-white rounded-lg px-6 pt-6 max-w-md w-full mx-4 my-8">
+          <h3 className="text-xl font-bold mb-4">Live Pitch Counter</h3>
+
+          {error && <div className="alert alert-error mb-4">{error}</div>}
+
+          <form onSubmit={handleStart} className="space-y-4">
+            <div>
+              <label className="label">Division *</label>
+              <select
+                className="input"
+                value={setup.division}
+                onChange={(e) => setSetup({ ...setup, division: e.target.value, home_team_id: '', away_team_id: '' })}
+                required
+              >
+                <option value="">-- Select Division --</option>
+                <option value="Training">Training</option>
+                <option value="Minor">Minor</option>
+                <option value="Major">Major</option>
+              </select>
+            </div>
+            <div>
+              <label className="label">Game Date *</label>
+              <input
+                type="date"
+                className="input"
+                value={setup.game_date}
+                onChange={(e) => setSetup({ ...setup, game_date: e.target.value })}
+                required
+              />
+            </div>
+            <div>
+              <label className="label">Home Team * (fields first)</label>
+              <select
+                className="input"
+                value={setup.home_team_id}
+                onChange={(e) => setSetup({ ...setup, home_team_id: e.target.value })}
+                required
+              >
+                <option value="">-- Select Team --</option>
+                {divisionTeams.filter(t => t.id !== setup.away_team_id).map(team => (
+                  <option key={team.id} value={team.id}>{team.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="label">Away Team *</label>
+              <select
+                className="input"
+                value={setup.away_team_id}
+                onChange={(e) => setSetup({ ...setup, away_team_id: e.target.value })}
+                required
+              >
+                <option value="">-- Select Team --</option>
+                {divisionTeams.filter(t => t.id !== setup.home_team_id).map(team => (
+                  <option key={team.id} value={team.id}>{team.name}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="flex gap-2 pb-6">
+              <button type="button" onClick={onClose} className="btn btn-secondary flex-1">
+                Cancel
+              </button>
+              <button type="submit" className="btn btn-primary flex-1">
+                Start Counting
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    )
+  }
+
+  const game = deriveLiveGame(session.events)
+  const fielding = game.teams[game.fieldingTeam]
+  const fieldingTeamId = game.fieldingTeam === 'home' ? session.home_team_id : session.away_team_id
+  const teamName = (id) => teams.find(t => t.id === id)?.name || 'Unknown'
+  const roster = players.filter(p => p.team_id === fieldingTeamId)
+  const playerById = (id) => players.find(p => p.id === id)
+
+  const pitcher = fielding.pitchers[fielding.pitcherId]
+  const pitcherPlayer = playerById(fielding.pitcherId)
+  const status = pitcher && pitcherPlayer
+    ? getLivePitcherStatus(pitcher, pitcherPlayer.age, rules, session.division, earlierPitches[pitcherPlayer.id] || 0)
+    : null
+  const batterPitches = pitcher && !pitcher.batterComplete ? pitcher.pitches - pitcher.batterStart : 0
+
+  return (
+    <div className="fixed inset-0 bg-gray-50 z-50 overflow-y-auto">
+      <div className="max-w-md mx-auto p-4 space-y-4">
+        {/* Header */}
+        <div className="flex justify-between items-start">
+          <div>
+            <p className="text-sm text-gray-500">
+              {teamName(session.away_team_id)} at {teamName(session.home_team_id)}
+            </p>
+            <h3 className="text-xl font-bold">
+              {game.half === 'top' ? 'Top' : 'Bottom'} {game.inning}
+            </h3>
+            <p className="text-sm text-gray-700">{teamName(fieldingTeamId)} fielding</p>
+          </div>
+          <button onClick={onClose} className="btn btn-secondary text-sm">
+            Exit
+          </button>
+        </div>
+
+        {error && <div className="alert alert-error">{error}</div>}
+
+        {/* Battery */}
+        <div className="grid grid-cols-2 gap-2">
+          <div>
+            <label className="label">Pitcher</label>
+            <select
+              className="input"
+              value={fielding.pitcherId || ''}
+              onChange={(e) => record({ type: 'pitcher', team: game.fieldingTeam, playerId: e.target.value })}
+            >
+              <option value="">-- Select --</option>
+              {roster.map(p => (
+                <option key={p.id} value={p.id}>#{p.jersey_number} {p.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="label">Catcher</label>
+            <select
+              className="input"
+              value={fielding.catcherId || ''}
+              onChange={(e) => record({ type: 'catcher', team: game.fieldingTeam, playerId: e.target.value })}
+            >
+              <option value="">-- Select --</option>
+              {roster.map(p => (
+                <option key={p.id} value={p.id}>#{p.jersey_number} {p.name}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {/* Count */}
+        <div className="card text-center">
+          <p className="text-6xl font-bold text-gray-900">{pitcher ? pitcher.pitches : 0}</p>
+          <p className="text-sm text-gray-600 mt-1">
+            {pitcherPlayer ? `${pitcherPlayer.name} (age ${pitcherPlayer.age})` : 'Select a pitcher to start counting'}
+          </p>
+          {pitcher && (
+            <p className="text-sm text-gray-500 mt-1">
+              This batter: {batterPitches} · Before this batter: {pitcher.batterStart}
+            </p>
+          )}
+        </div>
+
+        {status && (
+          <div className={`p-3 border rounded-lg text-sm ${STATUS_STYLES[status.level]}`}>
+            <p className="font-semibold">
+              Rest if removed after this batter: {status.restDays} day{status.restDays !== 1 ? 's' : ''}
+              {status.maxPitches !== null && ` · Max ${status.maxPitches}`}
+            </p>
+            {status.messages.map((message) => (
+              <p key={message} className="mt-1">⚠️ {message}</p>
+            ))}
+          </div>
+        )}
+
+        {/* Tap targets */}
+        <button
+          onClick={() => record({ type: 'pitch' })}
+          disabled={!pitcher}
+          className="w-full h-32 rounded-xl bg-blue-600 text-white text-3xl font-bold active:bg-blue-800 disabled:opacity-50 select-none touch-manipulation"
+        >
+          PITCH
+        </button>
+        <div className="grid grid-cols-3 gap-2">
+          <button
+            onClick={() => record({ type: 'batter_done' })}
+            disabled={!pitcher || pitcher.batterComplete}
+            className="btn btn-secondary h-16"
+          >
+            Batter Done
+          </button>
+          <button
+            onClick={handleUndo}
+            disabled={session.events.length === 0}
+            className="btn btn-secondary h-16"
+          >
+            Undo
+          </button>
+          <button
+            onClick={() => {
+              if (window.confirm(`End the ${game.half} of inning ${game.inning}?`)) {
+                record({ type: 'end_half' })
+              }
+            }}
+            className="btn btn-secondary h-16"
+          >
+            End Half-Inning
+          </button>
+        </div>
+
+        {/* Pitchers so far */}
+        <div className="card">
+          <h4 className="font-semibold mb-2">Pitchers</h4>
+          {['home', 'away'].map(side => {
+            const entries = Object.entries(game.teams[side].pitchers).filter(([, p]) => p.pitches > 0)
+            return (
+              <div key={side} className="mb-2 last:mb-0">
+                <p className="text-sm font-medium text-gray-700">
+                  {teamName(side === 'home' ? session.home_team_id : session.away_team_id)}
+                </p>
+                {entries.length === 0 ? (
+                  <p className="text-sm text-gray-400">No pitches yet</p>
+                ) : (
+                  <ul className="text-sm text-gray-600">
+                    {entries.map(([playerId, p]) => (
+                      <li key={playerId}>
+                        {playerById(playerId)?.name || 'Unknown'}: {p.pitches} pitches, inning{p.innings.length !== 1 ? 's' : ''} {p.innings.join(', ')}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )
+          })}
+        </div>
+
+        <div className="flex gap-2 pb-6">
+          <button
+            onClick={handleDiscard}
+            className="btn bg-red-50 text-red-600 hover:bg-red-100 border border-red-200 flex-1"
+          >
+            Discard
+          </button>
+          <button
+            onClick={() => onFinish(session)}
+            disabled={game.totalPitches === 0}
+            className="btn btn-primary flex-1"
+          >
+            Finish Game
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
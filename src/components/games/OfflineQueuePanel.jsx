@@ -0,0 +1,100 @@
+const CONFLICT_MESSAGES = {
+  changed: (conflict) => `Changed on the server on ${new Date(conflict.serverUpdatedAt).toLocaleString()} after you started editing.`,
+  deleted: () => 'Deleted on the server after you started editing.',
+  duplicate: () => 'A game with the same teams and date was entered on the server.'
+}
+
+const KEEP_MINE_LABELS = {
+  changed: 'Overwrite with Mine',
+  deleted: 'Re-create Game',
+  duplicate: 'Replace Server Game'
+}
+
+/**
+ * OfflineQueuePanel Component
+ *
+ * Lists games saved on this device that have not reached the server yet,
+ * with sync status and conflict resolution (keep this device's version or
+ * discard it in favour of the server copy).
+ */
+export default function OfflineQueuePanel({ drafts, syncing, isOnline, onSync, onKeepMine, onRetry, onDiscard }) {
+  const pendingCount = drafts.filter(d => d.status === 'pending').length
+
+  return (
+    <div className="card mb-4 border border-yellow-300">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-3">
+        <h3 className="font-semibold text-gray-900">
+          📴 Unsynced Games ({drafts.length})
+        </h3>
+        <button
+          onClick={onSync}
+          disabled={!isOnline || syncing || pendingCount === 0}
+          className="btn btn-primary text-sm"
+        >
+          {syncing ? 'Syncing...' : 'Sync Now'}
+        </button>
+      </div>
+      {!isOnline && (
+        <p className="text-sm text-gray-600 mb-3">
+          These games will sync automatically when the connection returns.
+        </p>
+      )}
+
+      <ul className="space-y-2">
+        {drafts.map(draft => (
+          <li key={draft.id} className="p-3 border border-gray-200 rounded-lg">
+            <div className="flex flex-col sm:flex-row justify-between gap-2">
+              <div>
+                <p className="font-medium">
+                  {draft.label}
+                  {draft.payload.gameId && <span className="text-sm text-gray-500"> · edit</span>}
+                </p>
+                <p className="text-xs text-gray-500">
+                  Saved on this device {new Date(draft.createdAt).toLocaleString()}
+                </p>
+                {draft.status === 'pending' && (
+                  <p className="text-sm text-gray-600 mt-1">Waiting to sync</p>
+                )}
+                {draft.status === 'error' && (
+                  <p className="text-sm text-red-600 mt-1">Sync failed: {draft.lastError}</p>
+                )}
+                {draft.status === 'conflict' && (
+                  <p className="text-sm text-amber-700 mt-1">
+                    ⚠️ Conflict: {CONFLICT_MESSAGES[draft.conflict.type](draft.conflict)}
+                  </p>
+                )}
+              </div>
+              <div className="flex gap-2 flex-shrink-0 items-start">
+                {draft.status === 'conflict' && (
+                  <button
+                    onClick={() => onKeepMine(draft)}
+                    disabled={!isOnline || syncing}
+                    className="text-green-600 hover:text-green-800 text-sm"
+                  >
+                    {KEEP_MINE_LABELS[draft.conflict.type]}
+                  </button>
+                )}
+                {draft.status === 'error' && (
+                  <button
+                    onClick={() => onRetry(draft)}
+                    disabled={!isOnline || syncing}
+                    className="text-blue-600 hover:text-blue-800 text-sm"
+                  >
+                    Retry
+                  </button>
+                )}
+                <button
+                  onClick={() => onDiscard(draft)}
+                  disabled={syncing}
+                  className="text-red-600 hover:text-red-800 text-sm"
+                >
+                  {draft.status === 'conflict' ? 'Keep Server Version' : 'Discard'}
+                </button>
+              </div>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
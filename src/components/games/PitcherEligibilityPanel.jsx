@@ -0,0 +1,104 @@
+import { useState } from 'react'
+import { formatRosterDate } from '../../lib/pitchCountUtils'
+
+/**
+ * PitcherEligibilityPanel Component
+ *
+ * Step 2 of the game form: every rostered player's last outing before the
+ * game date, its official count, their next eligible date and whether they
+ * may pitch in this game. statuses comes from GameFormModal's
+ * getPitcherStatus (rest first, then the daily maximum on a doubleheader).
+ */
+export default function PitcherEligibilityPanel({ teams, statuses, outingsLoaded }) {
+  const [expanded, setExpanded] = useState(true)
+
+  const unavailableCount = teams
+    .flatMap(({ players }) => players)
+    .filter(player => statuses[player.id] && !statuses[player.id].available)
+    .length
+
+  return (
+    <div className="border rounded-lg p-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h4 className="text-lg font-bold">
+          Pitcher Eligibility
+          {unavailableCount > 0 && (
+            <span className="ml-2 text-sm font-normal text-red-600">
+              ({unavailableCount} not available)
+            </span>
+          )}
+        </h4>
+        <button
+          type="button"
+          onClick={() => setExpanded(!expanded)}
+          className="text-sm text-blue-600 hover:text-blue-800"
+        >
+          {expanded ? 'Hide' : 'Show'}
+        </button>
+      </div>
+
+      {expanded && (
+        <>
+          {!outingsLoaded && (
+            <p className="text-sm text-gray-500 mt-2">
+              Last outings could not be loaded; availability uses the eligibility dates saved with the roster.
+            </p>
+          )}
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 mt-3">
+            {teams.map(({ team, players }) => (
+              <div key={team.id} className="overflow-x-auto">
+                <h5 className="font-semibold mb-2">{team.name}</h5>
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="border-b text-left text-gray-600">
+                      <th className="py-1 pr-2 font-medium">Player</th>
+                      <th className="py-1 pr-2 font-medium">Last Outing</th>
+                      <th className="py-1 pr-2 font-medium">Official Count</th>
+                      <th className="py-1 pr-2 font-medium">Next Eligible</th>
+                      <th className="py-1 font-medium">Status</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {players.map(player => {
+                      const status = statuses[player.id]
+                      if (!status) return null
+                      return (
+                        <tr key={player.id} className="border-b last:border-b-0">
+                          <td className="py-1 pr-2">
+                            {player.name}
+                            {player.jersey_number && <span className="text-gray-500"> #{player.jersey_number}</span>}
+                          </td>
+                          <td className="py-1 pr-2 text-gray-600">
+                            {status.outing ? formatRosterDate(status.outing.pitch_date) : outingsLoaded ? 'Never pitched' : '--'}
+                          </td>
+                          <td className="py-1 pr-2 text-gray-600">
+                            {status.outing ? status.outing.official_count : '--'}
+                          </td>
+                          <td className="py-1 pr-2 text-gray-600">
+                            {status.nextEligibleDate ? formatRosterDate(status.nextEligibleDate) : 'Eligible now'}
+                          </td>
+                          <td className="py-1">
+                            {status.available ? (
+                              <span className="text-xs bg-green-100 text-green-800 px-2 py-0.5 rounded">Available</span>
+                            ) : (
+                              <span className="text-xs bg-red-100 text-red-800 px-2 py-0.5 rounded" title={status.note}>
+                                Not available
+                              </span>
+                            )}
+                            {!status.available && (
+                              <p className="text-xs text-red-600 mt-0.5">{status.note}</p>
+                            )}
+                          </td>
+                        </tr>
+                      )
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,63 @@
+import { formatDate } from '../../lib/pitchCountUtils'
+import { formatStartTime } from '../../lib/gameSchedule'
+
+const MAX_UPCOMING_SHOWN = 5
+
+/**
+ * UpcomingGamesPanel Component
+ *
+ * Scheduled games that have no result yet: games already played (result
+ * still to be entered) and the next few upcoming ones. Admins open a
+ * fixture in the game form with the date and teams filled in.
+ */
+export default function UpcomingGamesPanel({ scheduledGames, today, isAdmin, onEnterResult }) {
+  const awaitingResults = scheduledGames.filter(g => g.game_date <= today)
+  const upcoming = scheduledGames.filter(g => g.game_date > today).slice(0, MAX_UPCOMING_SHOWN)
+
+  if (awaitingResults.length === 0 && upcoming.length === 0) return null
+
+  const renderGame = (game) => (
+    <li key={game.id} className="flex flex-col sm:flex-row justify-between sm:items-center gap-2 p-3 border border-gray-200 rounded-lg">
+      <div>
+        <p className="font-medium">
+          {game.away_team?.name} at {game.home_team?.name}
+        </p>
+        <p className="text-sm text-gray-500">
+          {[formatDate(game.game_date), formatStartTime(game.start_time), game.field].filter(Boolean).join(' · ')}
+        </p>
+      </div>
+      {isAdmin && game.game_date <= today && (
+        <button
+          onClick={() => onEnterResult(game)}
+          className="btn btn-primary text-sm flex-shrink-0"
+        >
+          Enter Result
+        </button>
+      )}
+    </li>
+  )
+
+  return (
+    <div className="card mb-4">
+      {awaitingResults.length > 0 && (
+        <div className="mb-4">
+          <h3 className="font-semibold text-gray-900 mb-3">
+            📋 Awaiting Results ({awaitingResults.length})
+          </h3>
+          <ul className="space-y-2">
+            {awaitingResults.map(renderGame)}
+          </ul>
+        </div>
+      )}
+
+      {upcoming.length > 0 && (
+        <div>
+          <h3 className="font-semibold text-gray-900 mb-3">🗓️ Upcoming Games</h3>
+          <ul className="space-y-2">
+            {upcoming.map(renderGame)}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
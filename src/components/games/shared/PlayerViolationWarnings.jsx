@@ -1,26 +1,18 @@
-import { formatDate } from '../../../lib/pitchCountUtils'
+import { VIOLATION_RULES } from '../../../lib/violationRules'
+import { findWaiver, describeWaiverApproval } from '../../../lib/violationWaivers'
 
 /**
  * PlayerViolationWarnings Component
  *
- * Displays all 6 Pitch Smart violation warnings in a consistent, reusable format.
+ * Displays a player's violation records (from getPlayerViolations or the
+ * game_violations table) in a consistent, reusable format, ordered by rule number.
+ * Violations covered by an admin waiver show the approver, time and reason.
  * Used in both GameDetailModal (detail variant) and GameEntry Step 3 (confirmation variant).
  */
 
 export default function PlayerViolationWarnings({
-  hasPitchingGap,
-  violationHighPitchCount,
-  violationFourInningsCatching,
-  violationCombinedRule,
-  violationExceedsPitchLimit,
-  violationPitchedBeforeEligible,
-  nextEligiblePitchDate,
-  pitchedInnings = [],
-  caughtInnings = [],
-  effectivePitches = 0,
-  playerAge,
-  division = null,
-  getMaxPitchesForAge,
+  violations = [],
+  waivers = [],
   variant = 'detail'
 }) {
   // Determine styling based on variant
@@ -32,67 +24,28 @@ export default function PlayerViolationWarnings({
     ? 'text-sm text-red-700'
     : 'text-xs text-red-800'
 
+  const sorted = [...violations].sort(
+    (a, b) => (VIOLATION_RULES[a.rule_id]?.number ?? 99) - (VIOLATION_RULES[b.rule_id]?.number ?? 99)
+  )
+
   return (
     <>
-      {/* Rule 1: Pitching Gap - Consecutive Innings Violation */}
-      {hasPitchingGap && (
-        <div className={containerClasses}>
-          <p className={textClasses}>
-            {isDetail
-              ? '⚠️ Violation: A pitcher cannot return after being taken out. Innings must be consecutive (e.g., 1,2,3 or 4,5,6).'
-              : '⚠️ Violation: Pitcher cannot return after being taken out. Innings must be consecutive.'}
-          </p>
-        </div>
-      )}
-
-      {/* Rule 3: Four Innings Catching - Cannot Pitch */}
-      {violationFourInningsCatching && (
-        <div className={containerClasses}>
-          <p className={textClasses}>
-            ⚠️ Violation: Player caught {caughtInnings.length} innings and cannot pitch in this game.
-          </p>
-        </div>
-      )}
-
-      {/* Rule 2: High Pitch Count - Cannot Catch */}
-      {violationHighPitchCount && (
-        <div className={containerClasses}>
-          <p className={textClasses}>
-            ⚠️ Violation: Player threw {effectivePitches} pitches (41+) and cannot catch for the remainder of this game.
-          </p>
-        </div>
-      )}
-
-      {/* Rule 4: Combined Rule - Caught 1-3 innings + 21+ pitches */}
-      {violationCombinedRule && (
-        <div className={containerClasses}>
-          <p className={textClasses}>
-            ⚠️ Violation: Player caught 1-3 innings and threw {effectivePitches} pitches (21+). Cannot catch again in this game.
-          </p>
-        </div>
-      )}
-
-      {/* Rule 5: Exceeds Pitch Limit for Age */}
-      {violationExceedsPitchLimit && (
-        <div className={containerClasses}>
-          <p className={textClasses}>
-            {division === 'Training'
-              ? `⚠️ Violation: Threw ${effectivePitches} pitches, exceeding the maximum of 50 for Training division.`
-              : `⚠️ Violation: Threw ${effectivePitches} pitches, exceeding the maximum of ${getMaxPitchesForAge(playerAge)} for age ${playerAge}.`}
-          </p>
-        </div>
-      )}
-
-      {/* Rule 6: Pitched Before Eligible Date */}
-      {violationPitchedBeforeEligible && (
-        <div className={containerClasses}>
-          <p className={textClasses}>
-            {isDetail
-              ? `⚠️ Violation: Player pitched before their required rest period ended. Not eligible to pitch until ${formatDate(nextEligiblePitchDate, { month: 'short', day: 'numeric', year: 'numeric' })}.`
-              : `⚠️ Violation: Pitched before rest period ended. Not eligible until ${formatDate(nextEligiblePitchDate, { month: 'short', day: 'numeric' })}.`}
-          </p>
-        </div>
-      )}
+      {sorted.map(violation => {
+        const waiver = findWaiver(waivers, violation)
+
+        return (
+          <div key={violation.rule_id} className={containerClasses}>
+            <p className={textClasses}>
+              ⚠️ Violation (Rule {VIOLATION_RULES[violation.rule_id]?.number ?? '?'}): {violation.message}
+            </p>
+            {waiver && (
+              <p className="text-xs text-amber-800 mt-1">
+                ✓ {describeWaiverApproval(waiver)}: {waiver.reason}
+              </p>
+            )}
+          </div>
+        )
+      })}
     </>
   )
 }
@@ -8,6 +8,7 @@ import TeamManagement from '../teams/TeamManagement'
 import PlayerManagement from '../players/PlayerManagement'
 import CoachManagement from '../coaches/CoachManagement'
 import GameEntry from '../games/GameEntry'
+import ScheduleManagement from '../schedule/ScheduleManagement'
 import Reports from '../reports/Reports'
 import RulesManagement from '../rules/RulesManagement'
 import ToolsManagement from '../tools/ToolsManagement'
@@ -147,6 +148,17 @@ export default function Dashboard({ user, profile }) {
                 ⚾ Games
               </button>
 
+              <button
+                onClick={() => { navigate('/schedule'); setSidebarOpen(false) }}
+                className={`w-full text-left px-4 py-2 rounded-lg transition-colors ${
+                  location.pathname === '/schedule'
+                    ? 'bg-blue-50 text-blue-700 font-medium'
+                    : 'text-gray-700 hover:bg-gray-100'
+                }`}
+              >
+                🗓️ Schedule
+              </button>
+
                <button
                 onClick={() => { navigate('/teams'); setSidebarOpen(false) }}
                 className={`w-full text-left px-4 py-2 rounded-lg transition-colors ${
@@ -242,13 +254,14 @@ export default function Dashboard({ user, profile }) {
               <Route path="/users" element={isSuperAdmin ? <UserManagement /> : <Navigate to="/teams" replace />} />
               <Route path="/maintenance" element={isSuperAdmin ? <MaintenanceToggle /> : <Navigate to="/teams" replace />} />
               <Route path="/games" element={<GameEntry profile={profile} isAdmin={isAdmin} />} />
+              <Route path="/schedule" element={<ScheduleManagement profile={profile} isAdmin={isAdmin} />} />
               <Route path="/teams" element={<TeamManagement profile={profile} isCoach={isCoach} />} />
               <Route path="/seasons" element={isAdmin ? <SeasonManagement isAdmin={isAdmin} /> : <Navigate to="/teams" replace />} />
               <Route path="/players" element={isAdmin ? <PlayerManagement profile={profile} isAdmin={isAdmin} /> : <Navigate to="/teams" replace />} />
               <Route path="/coaches" element={<CoachManagement isAdmin={isAdmin} />} />
               <Route path="/reports" element={<Reports profile={profile} />} />
               <Route path="/lineup" element={<LineupBuilder profile={profile} />} />
-              <Route path="/rules" element={<RulesManagement />} />
+              <Route path="/rules" element={<RulesManagement isAdmin={isAdmin} />} />
               <Route path="/tools" element={isAdmin ? <ToolsManagement isAdmin={isAdmin} /> : <Navigate to="/teams" replace />} />
               <Route path="*" element={<Navigate to="/" replace />} />
             </Routes>
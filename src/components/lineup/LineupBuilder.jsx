@@ -1,4 +1,4 @@
-import { useState, useEffect, useCallback, useRef } from 'react'
+import { useState, useEffect, useRef } from 'react'
 import { supabase } from '../../lib/supabase'
 import { useCoachAssignments } from '../../lib/useCoachAssignments'
 import {
@@ -17,10 +17,37 @@ import {
   arrayMove,
 } from '@dnd-kit/sortable'
 import { CSS } from '@dnd-kit/utilities'
+import {
+  PLAYING_TIME_RULES,
+  getBenchPlayers,
+  getLineupViolations,
+  getPlannedInnings,
+} from '../../lib/playingTimeRules'
+import { generateRotation } from '../../lib/rotationGenerator'
+import { fetchEligibilityDatesBeforeDate, isEligibleToPitch } from '../../lib/pitcherEligibility'
+import { parseLocalDate, formatDate } from '../../lib/pitchCountUtils'
+import { fetchSeasonSchedule, formatStartTime, getUpcomingGames } from '../../lib/gameSchedule'
+import {
+  sanitizeLineup,
+  isLineupEmpty,
+  fetchTeamLineup,
+  saveTeamLineup,
+  deleteTeamLineup,
+  fetchLineupHistory,
+  fetchLineupTemplates,
+  saveLineupTemplate,
+  deleteLineupTemplate,
+} from '../../lib/lineupStorage'
 
 const POSITIONS = ['P', 'C', '1B', '2B', 'SS', '3B', 'LF', 'CF', 'RF']
 const INNINGS = [1, 2, 3, 4, 5, 6]
 
+// Wait for a pause in editing before saving to the server
+const AUTOSAVE_DELAY_MS = 800
+
+// Identifies a lineup's contents so unchanged lineups aren't re-saved
+const lineupKey = (teamId, date, data) => `${teamId}|${date}|${JSON.stringify(data)}`
+
 function SortablePlayerRow({ id, index, player, onRemove }) {
   const {
     attributes,
@@ -75,6 +102,29 @@ function SortablePlayerRow({ id, index, player, onRemove }) {
   )
 }
 
+// Per-player list of Rule 7 / Rule 8 violations
+function PlayingTimeViolationList({ violationsByPlayer, battingOrder, getPlayerById }) {
+  const playerIds = battingOrder.filter((id) => violationsByPlayer[id])
+  if (playerIds.length === 0) return null
+
+  return (
+    <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">
+      <p className="font-semibold mb-1">Playing Time Violations:</p>
+      <ul className="space-y-1">
+        {playerIds.map((playerId) => (
+          <li key={playerId}>
+            <span className="font-medium">{getPlayerById(playerId)?.name}</span>
+            {': '}
+            {violationsByPlayer[playerId]
+              .map((v) => `Rule ${PLAYING_TIME_RULES[v.rule_id].number} — ${v.message}`)
+              .join('; ')}
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
 export default function LineupBuilder({ profile }) {
   const [seasons, setSeasons] = useState([])
   const [selectedSeason, setSelectedSeason] = useState(null)
@@ -86,11 +136,29 @@ export default function LineupBuilder({ profile }) {
   const [players, setPlayers] = useState([])
   const [battingOrder, setBattingOrder] = useState([])
   const [positions, setPositions] = useState({})
+  const [locks, setLocks] = useState([]) // [{ playerId, position, innings }] kept by Generate Rotation
+  const [gameDate, setGameDate] = useState(() => new Date().toISOString().split('T')[0])
+  const [eligibilityDates, setEligibilityDates] = useState({}) // player_id -> next_eligible_pitch_date
+  const [upcomingGames, setUpcomingGames] = useState([]) // the team's scheduled games still to be played
+  const [lockDraft, setLockDraft] = useState({ playerId: '', position: 'P', fromInning: 1, toInning: 1 })
+  const [rotationWarnings, setRotationWarnings] = useState([])
+  const [savedLineup, setSavedLineup] = useState(null) // server row for the team + game date
+  const [saveStatus, setSaveStatus] = useState('idle') // idle | saving | saved | error
+  const [templates, setTemplates] = useState([])
+  const [history, setHistory] = useState([])
+  const [templateName, setTemplateName] = useState('')
+  const [selectedTemplateId, setSelectedTemplateId] = useState('')
+  const [selectedHistoryId, setSelectedHistoryId] = useState('')
   const [selectedPlayerToAdd, setSelectedPlayerToAdd] = useState('')
   const [showSummary, setShowSummary] = useState(false)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const lineupLoadedRef = useRef(false)
+  const activeLineupRef = useRef({ teamId: null, date: null }) // lineup currently shown
+  const lastSavedRef = useRef(null) // lineupKey of the last loaded/saved contents
+  const loadRequestRef = useRef(0)
+  const saveTimerRef = useRef(null)
+  const pendingSaveRef = useRef(null)
 
   const isCoach = profile?.role === 'coach'
   const coachData = useCoachAssignments(profile)
@@ -114,20 +182,87 @@ export default function LineupBuilder({ profile }) {
     }
   }, [selectedSeason, coachData.loading, selectedDivision])
 
-  // Fetch players when team changes; persist team selection
+  // Fetch players, templates and saved lineups when team changes; persist team selection
   useEffect(() => {
     lineupLoadedRef.current = false
+    activeLineupRef.current = { teamId: null, date: null }
+    setSavedLineup(null)
+    setSelectedTemplateId('')
+    setSelectedHistoryId('')
     if (selectedTeamId) {
       localStorage.setItem('tll_lineup_selectedTeam', selectedTeamId)
       fetchPlayers()
+      fetchTemplatesAndHistory()
     } else {
       localStorage.removeItem('tll_lineup_selectedTeam')
       setPlayers([])
       setBattingOrder([])
       setPositions({})
+      setLocks([])
+      setTemplates([])
+      setHistory([])
     }
+    setRotationWarnings([])
   }, [selectedTeamId])
 
+  // Upcoming scheduled games of the team, for planning pitchers ahead
+  useEffect(() => {
+    if (selectedSeason && selectedTeamId) {
+      fetchUpcomingGames()
+    } else {
+      setUpcomingGames([])
+    }
+  }, [selectedSeason, selectedTeamId])
+
+  // Load the team's lineup for the game date. Declared before the autosave
+  // effect so the old lineup is never saved under a newly selected date.
+  useEffect(() => {
+    lineupLoadedRef.current = false
+    activeLineupRef.current = { teamId: null, date: null }
+    if (selectedTeamId && players.length > 0 && gameDate) {
+      loadLineup(selectedTeamId, gameDate, players)
+    }
+  }, [players, gameDate])
+
+  // Auto-save to the server after a pause in editing (only after the lineup has loaded)
+  useEffect(() => {
+    if (!selectedTeamId || !gameDate || !lineupLoadedRef.current) return
+
+    const data = { battingOrder, positions, locks }
+    const key = lineupKey(selectedTeamId, gameDate, data)
+    if (key === lastSavedRef.current) return
+
+    // Nothing saved for this date and nothing entered yet
+    if (!savedLineup && isLineupEmpty(data)) return
+
+    const teamId = selectedTeamId
+    const date = gameDate
+    clearTimeout(saveTimerRef.current)
+    pendingSaveRef.current = () => persistLineup(teamId, date, data)
+    saveTimerRef.current = setTimeout(() => {
+      const save = pendingSaveRef.current
+      pendingSaveRef.current = null
+      save()
+    }, AUTOSAVE_DELAY_MS)
+  }, [battingOrder, positions, locks, selectedTeamId, gameDate])
+
+  // Save any pending edits when leaving the builder
+  useEffect(() => {
+    return () => {
+      clearTimeout(saveTimerRef.current)
+      if (pendingSaveRef.current) pendingSaveRef.current()
+    }
+  }, [])
+
+  // Fetch pitcher eligibility for the game date
+  useEffect(() => {
+    if (players.length > 0 && gameDate) {
+      fetchEligibility()
+    } else {
+      setEligibilityDates({})
+    }
+  }, [players, gameDate])
+
   const fetchSeasons = async () => {
     try {
       let query = supabase.from('seasons').select('*')
@@ -204,85 +339,127 @@ export default function LineupBuilder({ profile }) {
         .from('players')
         .select('id, name, jersey_number, age')
         .eq('team_id', selectedTeamId)
+        .is('archived_at', null)
         .order('jersey_number')
 
       if (fetchError) throw fetchError
 
       setPlayers(data || [])
-      loadFromLocalStorage(selectedTeamId, data || [])
     } catch (err) {
       setError(err.message)
     }
   }
 
-  // Load saved lineup from localStorage, validating player IDs still exist
-  const loadFromLocalStorage = useCallback((teamId, currentPlayers) => {
+  const fetchEligibility = async () => {
     try {
-      const saved = localStorage.getItem(`tll_lineup_${teamId}`)
-      if (!saved) {
-        setBattingOrder([])
-        setPositions({})
-        lineupLoadedRef.current = true
-        return
-      }
+      const dates = await fetchEligibilityDatesBeforeDate(
+        supabase,
+        players.map((p) => p.id),
+        gameDate
+      )
+      setEligibilityDates(dates)
+    } catch (err) {
+      setError('Failed to load pitcher eligibility: ' + err.message)
+    }
+  }
 
-      const parsed = JSON.parse(saved)
-      const playerIds = new Set(currentPlayers.map((p) => p.id))
+  const fetchUpcomingGames = async () => {
+    try {
+      const schedule = await fetchSeasonSchedule(supabase, selectedSeason)
+      const today = new Date().toISOString().split('T')[0]
+      setUpcomingGames(getUpcomingGames(schedule, today, { teamId: selectedTeamId }))
+    } catch (err) {
+      setError('Failed to load the schedule: ' + err.message)
+    }
+  }
 
-      // Validate batting order - remove players no longer on roster
-      const validBattingOrder = (parsed.battingOrder || []).filter((id) =>
-        playerIds.has(id)
-      )
-      setBattingOrder(validBattingOrder)
-
-      // Validate positions - remove players no longer on roster
-      const validPositions = {}
-      if (parsed.positions) {
-        for (const inning of INNINGS) {
-          const inningPositions = parsed.positions[inning]
-          if (inningPositions) {
-            validPositions[inning] = {}
-            for (const pos of POSITIONS) {
-              if (inningPositions[pos] && playerIds.has(inningPositions[pos])) {
-                validPositions[inning][pos] = inningPositions[pos]
-              }
-            }
-          }
-        }
+  const fetchTemplatesAndHistory = async () => {
+    try {
+      const [templateRows, historyRows] = await Promise.all([
+        fetchLineupTemplates(supabase, selectedTeamId),
+        fetchLineupHistory(supabase, selectedTeamId),
+      ])
+      setTemplates(templateRows)
+      setHistory(historyRows)
+    } catch (err) {
+      setError('Failed to load lineup templates: ' + err.message)
+    }
+  }
+
+  // Lineup saved by this browser before lineups were stored on the server
+  const readLegacyLineup = (teamId) => {
+    try {
+      const saved = localStorage.getItem(`tll_lineup_${teamId}`)
+      if (!saved) return null
+      const parsed = JSON.parse(saved)
+      return {
+        batting_order: parsed.battingOrder,
+        positions: parsed.positions,
+        locks: parsed.locks,
       }
-      setPositions(validPositions)
-      lineupLoadedRef.current = true
     } catch {
-      setBattingOrder([])
-      setPositions({})
-      lineupLoadedRef.current = true
+      return null
     }
-  }, [])
+  }
 
-  // Auto-save to localStorage (only after initial load completes)
-  useEffect(() => {
-    if (!selectedTeamId || !lineupLoadedRef.current) return
+  // Load the saved lineup for a team and date, validating player IDs still exist
+  const loadLineup = async (teamId, date, currentPlayers) => {
+    const requestId = ++loadRequestRef.current
+    try {
+      const saved = await fetchTeamLineup(supabase, teamId, date)
+      if (requestId !== loadRequestRef.current) return
+
+      const legacy = saved ? null : readLegacyLineup(teamId)
+      const data = sanitizeLineup(saved || legacy, currentPlayers.map((p) => p.id), INNINGS, POSITIONS)
+
+      activeLineupRef.current = { teamId, date }
+      setBattingOrder(data.battingOrder)
+      setPositions(data.positions)
+      setLocks(data.locks)
+      setSavedLineup(saved)
+      setSaveStatus('idle')
+      setSelectedHistoryId('')
+
+      if (legacy && !isLineupEmpty(data)) {
+        // Move this browser's old lineup to the server under the selected date
+        await persistLineup(teamId, date, data)
+        localStorage.removeItem(`tll_lineup_${teamId}`)
+      } else {
+        lastSavedRef.current = lineupKey(teamId, date, data)
+      }
+      lineupLoadedRef.current = true
+    } catch (err) {
+      setError('Failed to load lineup: ' + err.message)
+    }
+  }
 
-    const data = { battingOrder, positions }
-    const hasData =
-      battingOrder.length > 0 ||
-      Object.values(positions).some((inning) =>
-        Object.values(inning).some(Boolean)
-      )
+  const persistLineup = async (teamId, date, data) => {
+    const isActive = () =>
+      activeLineupRef.current.teamId === teamId && activeLineupRef.current.date === date
 
-    if (hasData) {
-      try {
-        localStorage.setItem(
-          `tll_lineup_${selectedTeamId}`,
-          JSON.stringify(data)
+    if (isActive()) setSaveStatus('saving')
+    try {
+      const saved = await saveTeamLineup(supabase, {
+        teamId,
+        gameDate: date,
+        ...data,
+        updatedBy: profile?.id,
+      })
+      if (!isActive()) return
+
+      lastSavedRef.current = lineupKey(teamId, date, data)
+      setSavedLineup(saved)
+      setSaveStatus('saved')
+      setHistory((prev) =>
+        [saved, ...prev.filter((row) => row.id !== saved.id)].sort((a, b) =>
+          b.game_date.localeCompare(a.game_date)
         )
-      } catch {
-        // localStorage quota exceeded - extremely unlikely for small JSON
-      }
-    } else {
-      localStorage.removeItem(`tll_lineup_${selectedTeamId}`)
+      )
+    } catch (err) {
+      if (isActive()) setSaveStatus('error')
+      setError('Failed to save lineup: ' + err.message)
     }
-  }, [battingOrder, positions, selectedTeamId])
+  }
 
   const handleAddPlayer = () => {
     if (!selectedPlayerToAdd) return
@@ -292,6 +469,7 @@ export default function LineupBuilder({ profile }) {
 
   const handleRemovePlayer = (playerId) => {
     setBattingOrder((prev) => prev.filter((id) => id !== playerId))
+    setLocks((prev) => prev.filter((lock) => lock.playerId !== playerId))
   }
 
   const handleDragEnd = (event) => {
@@ -315,13 +493,140 @@ export default function LineupBuilder({ profile }) {
     }))
   }
 
-  const handleClear = () => {
+  const handleClear = async () => {
     if (!window.confirm('Clear the entire lineup and positions? This cannot be undone.')) {
       return
     }
+    clearTimeout(saveTimerRef.current)
+    pendingSaveRef.current = null
+    lastSavedRef.current = lineupKey(selectedTeamId, gameDate, { battingOrder: [], positions: {}, locks: [] })
     setBattingOrder([])
     setPositions({})
+    setLocks([])
+    setRotationWarnings([])
     localStorage.removeItem(`tll_lineup_${selectedTeamId}`)
+
+    try {
+      await deleteTeamLineup(supabase, selectedTeamId, gameDate)
+      setSavedLineup(null)
+      setSaveStatus('idle')
+      setHistory((prev) => prev.filter((row) => row.game_date !== gameDate))
+    } catch (err) {
+      setError('Failed to delete lineup: ' + err.message)
+    }
+  }
+
+  // Replace the current lineup with a template or a past lineup (autosave stores it for this date)
+  const applyStoredLineup = (stored) => {
+    if (
+      !isLineupEmpty({ battingOrder, positions, locks }) &&
+      !window.confirm('Replace the current lineup and positions?')
+    ) {
+      return
+    }
+    const data = sanitizeLineup(stored, players.map((p) => p.id), INNINGS, POSITIONS)
+    setBattingOrder(data.battingOrder)
+    setPositions(data.positions)
+    setLocks(data.locks)
+    setRotationWarnings([])
+  }
+
+  const handleLoadTemplate = () => {
+    const template = templates.find((t) => t.id === selectedTemplateId)
+    if (template) applyStoredLineup(template)
+  }
+
+  const handleSaveTemplate = async () => {
+    const name = templateName.trim()
+    if (!name) return
+    if (
+      templates.some((t) => t.name === name) &&
+      !window.confirm(`Replace the template "${name}"?`)
+    ) {
+      return
+    }
+
+    try {
+      const saved = await saveLineupTemplate(supabase, {
+        teamId: selectedTeamId,
+        name,
+        battingOrder,
+        positions,
+        locks,
+        updatedBy: profile?.id,
+      })
+      setTemplates((prev) =>
+        [...prev.filter((t) => t.id !== saved.id), saved].sort((a, b) => a.name.localeCompare(b.name))
+      )
+      setSelectedTemplateId(saved.id)
+      setTemplateName('')
+    } catch (err) {
+      setError('Failed to save template: ' + err.message)
+    }
+  }
+
+  const handleDeleteTemplate = async () => {
+    const template = templates.find((t) => t.id === selectedTemplateId)
+    if (!template || !window.confirm(`Delete the template "${template.name}"?`)) {
+      return
+    }
+
+    try {
+      await deleteLineupTemplate(supabase, template.id)
+      setTemplates((prev) => prev.filter((t) => t.id !== template.id))
+      setSelectedTemplateId('')
+    } catch (err) {
+      setError('Failed to delete template: ' + err.message)
+    }
+  }
+
+  const handleCopyPastLineup = () => {
+    const past = history.find((row) => row.id === selectedHistoryId)
+    if (past) applyStoredLineup(past)
+  }
+
+  const handleAddLock = () => {
+    if (!lockDraft.playerId) return
+    const from = Math.min(lockDraft.fromInning, lockDraft.toInning)
+    const to = Math.max(lockDraft.fromInning, lockDraft.toInning)
+    setLocks((prev) => [
+      ...prev,
+      {
+        playerId: lockDraft.playerId,
+        position: lockDraft.position,
+        innings: INNINGS.filter((inning) => inning >= from && inning <= to),
+      },
+    ])
+    setLockDraft((prev) => ({ ...prev, playerId: '' }))
+  }
+
+  const handleRemoveLock = (index) => {
+    setLocks((prev) => prev.filter((_, i) => i !== index))
+  }
+
+  const handleGenerateRotation = () => {
+    const hasPositions = Object.values(positions).some((inning) =>
+      Object.values(inning).some(Boolean)
+    )
+    if (hasPositions && !window.confirm('Replace the current field positions with a generated rotation?')) {
+      return
+    }
+
+    const playerNames = {}
+    players.forEach((p) => {
+      playerNames[p.id] = p.name
+    })
+
+    const result = generateRotation({
+      battingOrder,
+      innings: INNINGS,
+      locks,
+      ineligiblePitchers: ineligiblePitcherIds,
+      playerNames,
+    })
+
+    setPositions(result.positions)
+    setRotationWarnings(result.warnings)
   }
 
   // Players available to add to batting order (not already in it)
@@ -331,6 +636,11 @@ export default function LineupBuilder({ profile }) {
 
   const getPlayerById = (id) => players.find((p) => p.id === id)
 
+  // Players who still owe rest on the game date
+  const ineligiblePitcherIds = players
+    .map((p) => p.id)
+    .filter((id) => !isEligibleToPitch(eligibilityDates[id], gameDate))
+
   const selectedTeam = teams.find((t) => t.id === selectedTeamId)
   const selectedTeamName = selectedTeam?.name
 
@@ -367,6 +677,18 @@ export default function LineupBuilder({ profile }) {
 
   const positionWarnings = getPositionWarnings()
 
+  // Rules 7 and 8, checked for every player in the batting order
+  const playingTimeViolations = getLineupViolations(battingOrder, positions, INNINGS)
+  const plannedInnings = getPlannedInnings(positions, INNINGS)
+
+  const hasPlayingTimeViolation = (playerId, ruleId) =>
+    (playingTimeViolations[playerId] || []).some((v) => v.rule_id === ruleId)
+
+  const isConsecutiveSitting = (playerId, inning) =>
+    (playingTimeViolations[playerId] || []).some(
+      (v) => v.rule_id === 'consecutive_sitting' && v.innings.includes(inning)
+    )
+
   if (loading || coachData.loading) {
     return (
       <div className="flex justify-center items-center py-12">
@@ -478,6 +800,148 @@ export default function LineupBuilder({ profile }) {
 
       {selectedTeamId && players.length > 0 && !showSummary && (
         <>
+          {/* Game Date & Saved Lineups */}
+          <div className="card p-4">
+            <div className="flex flex-wrap justify-between items-end gap-4 mb-4">
+              <div className="sm:w-64">
+                <label className="label">Game Date</label>
+                <input
+                  type="date"
+                  className="input"
+                  value={gameDate}
+                  onChange={(e) => setGameDate(e.target.value)}
+                />
+              </div>
+              {upcomingGames.length > 0 && (
+                <div className="sm:w-80">
+                  <label className="label">Upcoming Game</label>
+                  <select
+                    className="input"
+                    value={upcomingGames.find((g) => g.game_date === gameDate)?.id || ''}
+                    onChange={(e) => {
+                      const game = upcomingGames.find((g) => g.id === e.target.value)
+                      if (game) setGameDate(game.game_date)
+                    }}
+                  >
+                    <option value="">Select a scheduled game...</option>
+                    {upcomingGames.map((game) => (
+                      <option key={game.id} value={game.id}>
+                        {formatDate(game.game_date)}
+                        {game.start_time && ` ${formatStartTime(game.start_time)}`}
+                        {game.home_team_id === selectedTeamId
+                          ? ` vs ${game.away_team?.name}`
+                          : ` at ${game.home_team?.name}`}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              <p className="text-sm text-gray-500">
+                {saveStatus === 'saving' && 'Saving...'}
+                {saveStatus === 'error' && (
+                  <span className="text-red-600">Not saved</span>
+                )}
+                {saveStatus !== 'saving' && saveStatus !== 'error' && (
+                  savedLineup
+                    ? `Saved${savedLineup.updater?.name ? ` by ${savedLineup.updater.name}` : ''} ${new Date(savedLineup.updated_at).toLocaleString()}`
+                    : 'No lineup saved for this date yet'
+                )}
+              </p>
+            </div>
+            <p className="text-xs text-gray-500 mb-4">
+              Lineups are saved automatically for the selected team and game date, and every coach on the team can open and edit them.
+            </p>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 border-t pt-4">
+              {/* Templates */}
+              <div>
+                <h3 className="text-sm font-semibold text-gray-700 mb-2">Templates</h3>
+                <div className="flex gap-2 mb-2">
+                  <select
+                    className="input flex-1"
+                    value={selectedTemplateId}
+                    onChange={(e) => setSelectedTemplateId(e.target.value)}
+                  >
+                    <option value="">
+                      {templates.length === 0 ? 'No templates saved' : 'Select a template...'}
+                    </option>
+                    {templates.map((template) => (
+                      <option key={template.id} value={template.id}>
+                        {template.name}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    className="btn btn-secondary"
+                    onClick={handleLoadTemplate}
+                    disabled={!selectedTemplateId}
+                  >
+                    Load
+                  </button>
+                  <button
+                    className="btn bg-red-50 text-red-600 hover:bg-red-100 border border-red-200"
+                    onClick={handleDeleteTemplate}
+                    disabled={!selectedTemplateId}
+                  >
+                    Delete
+                  </button>
+                </div>
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    className="input flex-1"
+                    placeholder="Template name"
+                    value={templateName}
+                    onChange={(e) => setTemplateName(e.target.value)}
+                  />
+                  <button
+                    className="btn btn-secondary"
+                    onClick={handleSaveTemplate}
+                    disabled={!templateName.trim() || battingOrder.length === 0}
+                  >
+                    Save as Template
+                  </button>
+                </div>
+              </div>
+
+              {/* Past lineups */}
+              <div>
+                <h3 className="text-sm font-semibold text-gray-700 mb-2">Past Lineups</h3>
+                <div className="flex gap-2">
+                  <select
+                    className="input flex-1"
+                    value={selectedHistoryId}
+                    onChange={(e) => setSelectedHistoryId(e.target.value)}
+                  >
+                    <option value="">
+                      {history.some((row) => row.game_date !== gameDate)
+                        ? 'Select a past lineup...'
+                        : 'No other lineups saved'}
+                    </option>
+                    {history
+                      .filter((row) => row.game_date !== gameDate)
+                      .map((row) => (
+                        <option key={row.id} value={row.id}>
+                          {formatDate(row.game_date, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' })}
+                          {row.updater?.name ? ` (${row.updater.name})` : ''}
+                        </option>
+                      ))}
+                  </select>
+                  <button
+                    className="btn btn-secondary"
+                    onClick={handleCopyPastLineup}
+                    disabled={!selectedHistoryId}
+                  >
+                    Copy to This Date
+                  </button>
+                </div>
+                <p className="text-xs text-gray-500 mt-2">
+                  Pick a date above to open its lineup, or copy a past lineup into the selected date.
+                </p>
+              </div>
+            </div>
+          </div>
+
           {/* Batting Order Section */}
           <div className="card p-4">
             <h2 className="text-lg font-semibold text-gray-800 mb-4">
@@ -544,6 +1008,131 @@ export default function LineupBuilder({ profile }) {
             )}
           </div>
 
+          {/* Rotation Generator */}
+          <div className="card p-4">
+            <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+              <h2 className="text-lg font-semibold text-gray-800">
+                Generate Rotation
+              </h2>
+              <button
+                className="btn btn-primary"
+                onClick={handleGenerateRotation}
+                disabled={battingOrder.length === 0}
+              >
+                Generate Rotation
+              </button>
+            </div>
+            <p className="text-sm text-gray-600 mb-4">
+              Fills the grid from the batting order: nobody sits two innings in a row, everyone
+              gets an infield inning, and infield/outfield time is spread evenly. Locks are kept as entered.
+            </p>
+
+            {ineligiblePitcherIds.length > 0 && (
+              <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+                <span className="font-semibold">Not eligible to pitch on this date:</span>{' '}
+                {ineligiblePitcherIds
+                  .map((id) => `${getPlayerById(id)?.name} (eligible ${eligibilityDates[id]})`)
+                  .join(', ')}
+              </div>
+            )}
+
+            {/* Position Locks */}
+            <div className="border-t pt-4">
+              <h3 className="text-sm font-semibold text-gray-700 mb-2">Position Locks</h3>
+              <div className="flex flex-wrap gap-2 items-end mb-3">
+                <select
+                  className="input flex-1 min-w-[10rem]"
+                  value={lockDraft.playerId}
+                  onChange={(e) => setLockDraft((prev) => ({ ...prev, playerId: e.target.value }))}
+                >
+                  <option value="">Select a player...</option>
+                  {battingOrder.map((id) => (
+                    <option key={id} value={id}>
+                      {getPlayerById(id)?.name}
+                    </option>
+                  ))}
+                </select>
+                <select
+                  className="input w-auto"
+                  value={lockDraft.position}
+                  onChange={(e) => setLockDraft((prev) => ({ ...prev, position: e.target.value }))}
+                >
+                  {POSITIONS.map((pos) => (
+                    <option key={pos} value={pos}>{pos}</option>
+                  ))}
+                </select>
+                <span className="text-sm text-gray-600 self-center">innings</span>
+                <select
+                  className="input w-auto"
+                  value={lockDraft.fromInning}
+                  onChange={(e) => setLockDraft((prev) => ({ ...prev, fromInning: parseInt(e.target.value) }))}
+                >
+                  {INNINGS.map((inning) => (
+                    <option key={inning} value={inning}>{inning}</option>
+                  ))}
+                </select>
+                <span className="text-sm text-gray-600 self-center">to</span>
+                <select
+                  className="input w-auto"
+                  value={lockDraft.toInning}
+                  onChange={(e) => setLockDraft((prev) => ({ ...prev, toInning: parseInt(e.target.value) }))}
+                >
+                  {INNINGS.map((inning) => (
+                    <option key={inning} value={inning}>{inning}</option>
+                  ))}
+                </select>
+                <button
+                  className="btn btn-secondary"
+                  onClick={handleAddLock}
+                  disabled={!lockDraft.playerId}
+                >
+                  Add Lock
+                </button>
+              </div>
+
+              {locks.length === 0 ? (
+                <p className="text-sm text-gray-400 italic">
+                  No locks. Example: lock a player to C for innings 1 to 2.
+                </p>
+              ) : (
+                <ul className="space-y-1">
+                  {locks.map((lock, index) => (
+                    <li
+                      key={index}
+                      className="flex items-center justify-between text-sm bg-gray-50 border border-gray-200 rounded px-3 py-1.5"
+                    >
+                      <span>
+                        🔒 <span className="font-medium">{getPlayerById(lock.playerId)?.name}</span>{' '}
+                        plays {lock.position}, inning{lock.innings.length !== 1 ? 's' : ''}{' '}
+                        {lock.innings.length > 1
+                          ? `${lock.innings[0]}–${lock.innings[lock.innings.length - 1]}`
+                          : lock.innings[0]}
+                      </span>
+                      <button
+                        onClick={() => handleRemoveLock(index)}
+                        className="text-red-400 hover:text-red-600 px-2"
+                        aria-label="Remove lock"
+                      >
+                        ×
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            {rotationWarnings.length > 0 && (
+              <div className="mt-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+                <p className="font-semibold mb-1">Rotation notes:</p>
+                <ul className="list-disc list-inside space-y-1">
+                  {rotationWarnings.map((warning, index) => (
+                    <li key={index}>{warning}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+
           {/* Position Assignments Grid */}
           <div className="card p-4">
             <h2 className="text-lg font-semibold text-gray-800 mb-4">
@@ -583,7 +1172,18 @@ export default function LineupBuilder({ profile }) {
                       {INNINGS.map((inning) => (
                         <td key={inning} className="py-1 px-1">
                           <select
-                            className="w-full text-xs border border-gray-200 rounded px-1 py-1.5 focus:border-blue-400 focus:ring-1 focus:ring-blue-400 outline-none"
+                            className={`w-full text-xs border rounded px-1 py-1.5 focus:border-blue-400 focus:ring-1 focus:ring-blue-400 outline-none ${
+                              positions[inning]?.[pos] &&
+                              hasPlayingTimeViolation(positions[inning][pos], 'no_infield_inning')
+                                ? 'border-red-400 bg-red-50'
+                                : 'border-gray-200'
+                            }`}
+                            title={
+                              positions[inning]?.[pos] &&
+                              hasPlayingTimeViolation(positions[inning][pos], 'no_infield_inning')
+                                ? 'Rule 8: this player has no infield inning'
+                                : undefined
+                            }
                             value={positions[inning]?.[pos] || ''}
                             onChange={(e) =>
                               handlePositionChange(inning, pos, e.target.value)
@@ -601,6 +1201,7 @@ export default function LineupBuilder({ profile }) {
                               .map((player) => (
                               <option key={player.id} value={player.id}>
                                 {player.name}
+                                {pos === 'P' && ineligiblePitcherIds.includes(player.id) ? ' (not eligible to pitch)' : ''}
                               </option>
                             ))}
                           </select>
@@ -608,9 +1209,45 @@ export default function LineupBuilder({ profile }) {
                       ))}
                     </tr>
                   ))}
+                  {/* Bench: players in the batting order without a position that inning */}
+                  <tr className="bg-gray-50">
+                    <td className="py-2 px-2 font-medium text-gray-700 align-top">
+                      Bench
+                    </td>
+                    {INNINGS.map((inning) => (
+                      <td key={inning} className="py-1 px-1 align-top text-xs">
+                        {plannedInnings.includes(inning) &&
+                          getBenchPlayers(battingOrder, positions, inning).map((playerId) => (
+                            <div
+                              key={playerId}
+                              className={
+                                isConsecutiveSitting(playerId, inning)
+                                  ? 'px-1 rounded bg-red-100 text-red-700 font-medium'
+                                  : 'px-1 text-gray-600'
+                              }
+                              title={
+                                isConsecutiveSitting(playerId, inning)
+                                  ? 'Rule 7: sits out consecutive innings'
+                                  : undefined
+                              }
+                            >
+                              {getPlayerById(playerId)?.name}
+                            </div>
+                          ))}
+                      </td>
+                    ))}
+                  </tr>
                 </tbody>
               </table>
             </div>
+
+            <div className="mt-4">
+              <PlayingTimeViolationList
+                violationsByPlayer={playingTimeViolations}
+                battingOrder={battingOrder}
+                getPlayerById={getPlayerById}
+              />
+            </div>
           </div>
 
           {/* Action Buttons */}
@@ -666,7 +1303,7 @@ export default function LineupBuilder({ profile }) {
               )}
             </h2>
             <p className="text-sm text-gray-500 mt-1">
-              {new Date().toLocaleDateString(undefined, {
+              {(gameDate ? parseLocalDate(gameDate) : new Date()).toLocaleDateString(undefined, {
                 weekday: 'long',
                 year: 'numeric',
                 month: 'long',
@@ -706,9 +1343,17 @@ export default function LineupBuilder({ profile }) {
                         </td>
                         <td className="border border-gray-300 px-3 py-2 font-medium">
                           {player.name}
+                          {hasPlayingTimeViolation(playerId, 'no_infield_inning') && (
+                            <span className="ml-1 text-red-600" title="Rule 8: no infield inning">⚠️</span>
+                          )}
                         </td>
                         {INNINGS.map((inning) => (
-                          <td key={inning} className="border border-gray-300 px-3 py-2 text-center font-mono">
+                          <td
+                            key={inning}
+                            className={`border border-gray-300 px-3 py-2 text-center font-mono ${
+                              isConsecutiveSitting(playerId, inning) ? 'bg-red-100 text-red-700 font-semibold' : ''
+                            }`}
+                          >
                             {playerPositions[playerId]?.[inning] || '—'}
                           </td>
                         ))}
@@ -720,6 +1365,15 @@ export default function LineupBuilder({ profile }) {
             </table>
           </div>
 
+          {/* Playing Time Violations */}
+          <div className="mt-4">
+            <PlayingTimeViolationList
+              violationsByPlayer={playingTimeViolations}
+              battingOrder={battingOrder}
+              getPlayerById={getPlayerById}
+            />
+          </div>
+
           {/* Playing Time Rules Reminder */}
           <div className="mt-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
             <p className="font-semibold mb-1">Playing Time Reminders:</p>
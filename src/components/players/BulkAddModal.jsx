@@ -1,6 +1,7 @@
 import { useState } from 'react'
 import { supabase } from '../../lib/supabase'
 import { parsePlayerCsv } from '../../lib/playerCsvUtils'
+import { fetchTeamAgeCutoff } from '../../lib/leagueAge'
 
 export default function BulkAddModal({ teamId, onClose, onSuccess, onError }) {
   const [csvData, setCsvData] = useState('')
@@ -13,7 +14,8 @@ export default function BulkAddModal({ teamId, onClose, onSuccess, onError }) {
     setModalError(null)
 
     try {
-      const players = parsePlayerCsv(csvData, teamId)
+      const ageCutoff = await fetchTeamAgeCutoff(supabase, teamId)
+      const players = parsePlayerCsv(csvData, teamId, ageCutoff)
 
       // Insert all players
       const { error } = await supabase
@@ -54,18 +56,18 @@ export default function BulkAddModal({ teamId, onClose, onSuccess, onError }) {
               value={csvData}
               onChange={(e) => setCsvData(e.target.value)}
               required
-              placeholder="Name, Age, Jersey# (optional)&#10;John Smith, 12, 5&#10;Jane Doe, 11, 7&#10;Bob Johnson, 13"
+              placeholder="Name, Age or Birthdate, Jersey# (optional)&#10;John Smith, 12, 5&#10;Jane Doe, 2015-04-20, 7&#10;Bob Johnson, 11"
             />
             <div className="mt-2 p-3 bg-blue-50 border border-blue-200 rounded text-sm">
-              <strong>Format:</strong> Name, Age, Jersey# (optional)
+              <strong>Format:</strong> Name, Age or Birthdate (YYYY-MM-DD), Jersey# (optional)
               <br />
               <strong>Example:</strong>
               <pre className="mt-1 text-xs">
-John Smith, 12, 5{'\n'}Jane Doe, 11, 7{'\n'}Bob Johnson, 13
+John Smith, 12, 5{'\n'}Jane Doe, 2015-04-20, 7{'\n'}Bob Johnson, 11
               </pre>
               <p className="mt-2 text-xs text-gray-600">
                 • One player per line<br />
-                • Age must be 6-12<br />
+                • Age must be 6-12; a birthdate gives the league age for the season<br />
                 • Jersey numbers must be unique on this team<br />
                 • Jersey number is optional (leave blank or omit)
               </p>
@@ -4,6 +4,7 @@ import { useCoachAssignments } from '../../lib/useCoachAssignments'
 import PlayerModal from './PlayerModal'
 import BulkAddModal from './BulkAddModal'
 import PlayerDeleteConfirmationModal from '../common/PlayerDeleteConfirmationModal'
+import { archivePlayer, deletePlayerPermanently, restoreArchivedPlayer } from '../../lib/playerArchive'
 
 export default function PlayerManagement({ profile, isAdmin }) {
   const [seasons, setSeasons] = useState([])
@@ -17,9 +18,12 @@ export default function PlayerManagement({ profile, isAdmin }) {
   const [showBulkModal, setShowBulkModal] = useState(false)
   const [editingPlayer, setEditingPlayer] = useState(null)
   const [deletingPlayer, setDeletingPlayer] = useState(null)
+  const [showArchived, setShowArchived] = useState(false)
   const [error, setError] = useState(null)
   const [success, setSuccess] = useState(null)
 
+  const isSuperAdmin = profile?.role === 'super_admin'
+
   // Fetch coach assignments for filtering
   const coachData = useCoachAssignments(profile)
 
@@ -119,29 +123,49 @@ export default function PlayerManagement({ profile, isAdmin }) {
     }
   }
 
+  const handleArchive = async (player) => {
+    if (!confirm(`Archive ${player.name}? They will be taken off the roster but kept in past games, reports and exports.`)) {
+      return
+    }
+
+    try {
+      await archivePlayer(supabase, player.id)
+      setSuccess('Player archived')
+      fetchPlayers()
+      setTimeout(() => setSuccess(null), 3000)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const handleRestore = async (player) => {
+    try {
+      await restoreArchivedPlayer(supabase, player.id)
+      setSuccess('Player restored to the roster')
+      fetchPlayers()
+      setTimeout(() => setSuccess(null), 3000)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
   const handleDelete = async (playerId) => {
     try {
-      const { error } = await supabase
-        .from('players')
-        .delete()
-        .eq('id', playerId)
-
-      if (error) {
-        if (error.code === '23503') {
-          throw new Error('Cannot delete player: game records are still associated with this player.')
-        }
-        throw error
-      }
+      const gameCount = await deletePlayerPermanently(supabase, playerId)
 
-      setSuccess('Player deleted successfully!')
+      setSuccess(`Player deleted${gameCount > 0 ? ` and ${gameCount} game${gameCount !== 1 ? 's' : ''} recalculated` : ''}`)
       setDeletingPlayer(null)
       fetchPlayers()
       setTimeout(() => setSuccess(null), 3000)
     } catch (err) {
       setError(err.message)
+      setDeletingPlayer(null)
     }
   }
 
+  const rosterPlayers = players.filter(p => !p.archived_at)
+  const archivedPlayers = players.filter(p => p.archived_at)
+
   if (loading) {
     return <div className="text-center py-8">Loading...</div>
   }
@@ -268,7 +292,7 @@ export default function PlayerManagement({ profile, isAdmin }) {
         </div>
       )}
 
-      {players.length === 0 ? (
+      {rosterPlayers.length === 0 ? (
         <div className="card text-center py-12">
           <p className="text-gray-600 mb-4">No players yet on this team.{isAdmin && ' Add your first player!'}</p>
           {isAdmin && (
@@ -295,7 +319,7 @@ export default function PlayerManagement({ profile, isAdmin }) {
                 </tr>
               </thead>
               <tbody>
-                {players.map((player) => (
+                {rosterPlayers.map((player) => (
                   <tr key={player.id} className="border-b border-gray-100 hover:bg-gray-50">
                     <td className="py-3 px-4 font-medium">{player.jersey_number || '-'}</td>
                     <td className="py-3 px-4">{player.name}</td>
@@ -310,10 +334,10 @@ export default function PlayerManagement({ profile, isAdmin }) {
                             Edit
                           </button>
                           <button
-                            onClick={() => setDeletingPlayer(player)}
+                            onClick={() => handleArchive(player)}
                             className="text-red-600 hover:text-red-800"
                           >
-                            Delete
+                            Archive
                           </button>
                         </div>
                       </td>
@@ -326,6 +350,47 @@ export default function PlayerManagement({ profile, isAdmin }) {
         </div>
       )}
 
+      {isAdmin && archivedPlayers.length > 0 && (
+        <div className="mt-4">
+          <button
+            onClick={() => setShowArchived(!showArchived)}
+            className="text-sm text-blue-600 hover:text-blue-800"
+          >
+            {showArchived ? 'Hide' : 'Show'} archived players ({archivedPlayers.length})
+          </button>
+          {showArchived && (
+            <div className="card mt-2">
+              <ul className="divide-y divide-gray-100">
+                {archivedPlayers.map((player) => (
+                  <li key={player.id} className="flex flex-wrap justify-between items-center gap-2 py-2">
+                    <span className="text-gray-600">
+                      {player.jersey_number && `#${player.jersey_number} `}{player.name}
+                      <span className="text-xs text-gray-400"> · archived {new Date(player.archived_at).toLocaleDateString()}</span>
+                    </span>
+                    <div className="flex gap-3 text-sm">
+                      <button
+                        onClick={() => handleRestore(player)}
+                        className="text-blue-600 hover:text-blue-800"
+                      >
+                        Restore
+                      </button>
+                      {isSuperAdmin && (
+                        <button
+                          onClick={() => setDeletingPlayer(player)}
+                          className="text-red-600 hover:text-red-800"
+                        >
+                          Delete permanently
+                        </button>
+                      )}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+
       {isAdmin && showAddModal && (
         <PlayerModal
           teamId={selectedTeam}
@@ -369,9 +434,9 @@ export default function PlayerManagement({ profile, isAdmin }) {
         />
       )}
 
-      {isAdmin && deletingPlayer && (
+      {isSuperAdmin && deletingPlayer && (
         <PlayerDeleteConfirmationModal
-          playerName={deletingPlayer.name}
+          player={deletingPlayer}
           onConfirm={() => handleDelete(deletingPlayer.id)}
           onClose={() => setDeletingPlayer(null)}
         />
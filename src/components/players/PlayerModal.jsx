@@ -1,14 +1,26 @@
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
 import { supabase } from '../../lib/supabase'
+import { validateBirthdate } from '../../lib/playerCsvUtils'
+import { calculateLeagueAge, fetchTeamAgeCutoff } from '../../lib/leagueAge'
 
 export default function PlayerModal({ player, teamId, onClose, onSuccess, onError }) {
   const [formData, setFormData] = useState({
     name: player?.name || '',
     age: player?.age || '',
+    birthdate: player?.birthdate || '',
     jersey_number: player?.jersey_number || ''
   })
   const [loading, setLoading] = useState(false)
   const [modalError, setModalError] = useState(null)
+  const [ageCutoff, setAgeCutoff] = useState(null) // League ages are taken on this date
+
+  useEffect(() => {
+    fetchTeamAgeCutoff(supabase, teamId)
+      .then(setAgeCutoff)
+      .catch(err => setModalError(err.message))
+  }, [teamId])
+
+  const leagueAge = formData.birthdate ? calculateLeagueAge(formData.birthdate, ageCutoff) : null
 
   const handleSubmit = async (e) => {
     e.preventDefault()
@@ -16,9 +28,15 @@ export default function PlayerModal({ player, teamId, onClose, onSuccess, onErro
     setModalError(null)
 
     try {
+      if (formData.birthdate) {
+        const birthdateError = validateBirthdate(formData.birthdate, ageCutoff)
+        if (birthdateError) throw new Error(birthdateError)
+      }
+
       const playerData = {
         name: formData.name,
-        age: parseInt(formData.age),
+        age: formData.birthdate ? leagueAge : parseInt(formData.age),
+        birthdate: formData.birthdate || null,
         jersey_number: formData.jersey_number || null,
         team_id: teamId
       }
@@ -86,14 +104,28 @@ export default function PlayerModal({ player, teamId, onClose, onSuccess, onErro
           </div>
 
           <div>
-            <label className="label">Age *</label>
+            <label className="label">Birthdate (Optional)</label>
+            <input
+              type="date"
+              className="input"
+              value={formData.birthdate}
+              onChange={(e) => setFormData({ ...formData, birthdate: e.target.value })}
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              With a birthdate, the age is the player's league age for the season
+            </p>
+          </div>
+
+          <div>
+            <label className="label">{formData.birthdate ? 'League Age' : 'Age *'}</label>
             <input
               type="number"
               className="input"
-              value={formData.age}
+              value={formData.birthdate ? (leagueAge ?? '') : formData.age}
               onChange={(e) => setFormData({ ...formData, age: e.target.value })}
               onWheel={(e) => e.target.blur()}
-              required
+              required={!formData.birthdate}
+              disabled={!!formData.birthdate}
               min="6"
               max="12"
               placeholder="6-12"
@@ -2,6 +2,9 @@ import { useState, useEffect } from 'react'
 import { supabase } from '../../lib/supabase'
 import { useCoachAssignments } from '../../lib/useCoachAssignments'
 import { formatDate } from '../../lib/pitchCountUtils'
+import { VIOLATION_RULES, getViolationRuleLabel } from '../../lib/violationRules'
+import { GAME_STATUSES, GAME_STATUS_LABELS, formatGameOutcome } from '../../lib/gameStatus'
+import { SIGNOFF_SELECT, SIGNOFF_STATUS_LABELS, getSignoffLabel } from '../../lib/gameSignoff'
 
 export default function GamesListReport({ profile }) {
   const [seasons, setSeasons] = useState([])
@@ -10,6 +13,9 @@ export default function GamesListReport({ profile }) {
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [filterDivision, setFilterDivision] = useState('All')
+  const [filterRule, setFilterRule] = useState('All')
+  const [filterStatus, setFilterStatus] = useState('All')
+  const [filterSignoff, setFilterSignoff] = useState('All')
 
   const isCoach = profile?.role === 'coach'
 
@@ -61,7 +67,9 @@ export default function GamesListReport({ profile }) {
           *,
           home_team:teams!games_home_team_id_fkey(name, division),
           away_team:teams!games_away_team_id_fkey(name, division),
-          scorekeeper_team:teams!games_scorekeeper_team_id_fkey(name)
+          scorekeeper_team:teams!games_scorekeeper_team_id_fkey(name),
+          violations:game_violations(rule_id, player_id),
+          ${SIGNOFF_SELECT}
         `)
         .eq('season_id', selectedSeason)
         .order('game_date', { ascending: false })
@@ -92,6 +100,22 @@ export default function GamesListReport({ profile }) {
 
   const selectedSeasonData = seasons.find(s => s.id === selectedSeason)
 
+  // Filter by status and violated rule (client-side, violation records are embedded per game)
+  const displayedGames = games.filter(game => {
+    if (filterStatus !== 'All' && (game.status || 'final') !== filterStatus) return false
+    if (filterSignoff !== 'All' && (game.signoff_status || 'none') !== filterSignoff) return false
+    if (filterRule === 'All') return true
+    const violations = game.violations || []
+    if (filterRule === 'Any') return violations.length > 0 || game.has_violation === true
+    return violations.some(v => v.rule_id === filterRule)
+  })
+
+  // Unique rule ids for a game, in rule-number order
+  const getGameRuleIds = (game) => {
+    const ruleIds = [...new Set((game.violations || []).map(v => v.rule_id))]
+    return ruleIds.sort((a, b) => (VIOLATION_RULES[a]?.number ?? 99) - (VIOLATION_RULES[b]?.number ?? 99))
+  }
+
   return (
     <div className="space-y-6">
       <div className="flex justify-between items-center">
@@ -100,7 +124,7 @@ export default function GamesListReport({ profile }) {
 
       {/* Season and Division Filters */}
       <div className="card">
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
           <div>
             <label className="label">Season</label>
             <select
@@ -144,6 +168,53 @@ export default function GamesListReport({ profile }) {
               )}
             </select>
           </div>
+
+          <div>
+            <label className="label">Violation Filter</label>
+            <select
+              value={filterRule}
+              onChange={(e) => setFilterRule(e.target.value)}
+              className="input"
+              disabled={!selectedSeason}
+            >
+              <option value="All">All Games</option>
+              <option value="Any">Any Violation</option>
+              {Object.keys(VIOLATION_RULES).map((ruleId) => (
+                <option key={ruleId} value={ruleId}>{getViolationRuleLabel(ruleId)}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="label">Status Filter</label>
+            <select
+              value={filterStatus}
+              onChange={(e) => setFilterStatus(e.target.value)}
+              className="input"
+              disabled={!selectedSeason}
+            >
+              <option value="All">All Statuses</option>
+              {GAME_STATUSES.map((status) => (
+                <option key={status} value={status}>{GAME_STATUS_LABELS[status]}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="label">Sign-off Filter</label>
+            <select
+              value={filterSignoff}
+              onChange={(e) => setFilterSignoff(e.target.value)}
+              className="input"
+              disabled={!selectedSeason}
+            >
+              <option value="All">All Games</option>
+              <option value="none">Not submitted</option>
+              {Object.entries(SIGNOFF_STATUS_LABELS).map(([status, label]) => (
+                <option key={status} value={status}>{label}</option>
+              ))}
+            </select>
+          </div>
         </div>
       </div>
 
@@ -174,11 +245,11 @@ export default function GamesListReport({ profile }) {
         <div className="card">
           <div className="mb-4">
             <h2 className="text-lg font-semibold">
-              {selectedSeasonData?.name} - {games.length} game{games.length !== 1 ? 's' : ''}
+              {selectedSeasonData?.name} - {displayedGames.length} game{displayedGames.length !== 1 ? 's' : ''}
             </h2>
           </div>
 
-          {games.length === 0 ? (
+          {displayedGames.length === 0 ? (
             <div className="text-center py-8 text-gray-500">
               No games found for the selected filters.
             </div>
@@ -202,13 +273,22 @@ export default function GamesListReport({ profile }) {
                     <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">
                       Home Score
                     </th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Status
+                    </th>
                     <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                       Scorekeeper
                     </th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Sign-off
+                    </th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Violations
+                    </th>
                   </tr>
                 </thead>
                 <tbody className="bg-white divide-y divide-gray-200">
-                  {games.map((game) => (
+                  {displayedGames.map((game) => (
                     <tr key={game.id} className="hover:bg-gray-50">
                       <td className="px-4 py-3 whitespace-nowrap text-sm">
                         {formatDate(game.game_date, {
@@ -232,11 +312,47 @@ export default function GamesListReport({ profile }) {
                         {game.home_score ?? '-'}
                       </td>
                       <td className="px-4 py-3 text-sm">
-                        <div>{game.scorekeeper_name}</div>
+                        <div>{GAME_STATUS_LABELS[game.status || 'final']}</div>
+                        {game.status === 'forfeited' && (
+                          <div className="text-xs text-gray-500">{formatGameOutcome(game)}</div>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-sm">
+                        <div>{game.scorekeeper_name || '-'}</div>
                         {game.scorekeeper_team && (
                           <div className="text-xs text-gray-500">{game.scorekeeper_team.name}</div>
                         )}
                       </td>
+                      <td className="px-4 py-3 text-sm">
+                        <div className={game.signoff_status === 'confirmed' ? 'text-green-700' : game.signoff_status ? 'text-amber-700' : 'text-gray-500'}>
+                          {game.signoff_status === 'confirmed' && '🔒 '}{getSignoffLabel(game)}
+                        </div>
+                        {game.signoff_status === 'confirmed' && (
+                          <div className="text-xs text-gray-500">by {game.signoff_confirmer?.name || 'Unknown user'}</div>
+                        )}
+                        {game.signoff_status === 'submitted' && (
+                          <div className="text-xs text-gray-500">by {game.signoff_submitter?.name || 'Unknown user'}</div>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-sm">
+                        {getGameRuleIds(game).length > 0 ? (
+                          <div className="flex flex-wrap gap-1">
+                            {getGameRuleIds(game).map(ruleId => (
+                              <span
+                                key={ruleId}
+                                title={getViolationRuleLabel(ruleId)}
+                                className="text-xs bg-red-100 text-red-800 px-2 py-0.5 rounded font-semibold"
+                              >
+                                Rule {VIOLATION_RULES[ruleId]?.number ?? '?'}
+                              </span>
+                            ))}
+                          </div>
+                        ) : game.has_violation ? (
+                          <span className="text-xs text-red-700">⚠️ Not itemized</span>
+                        ) : (
+                          <span className="text-gray-400">-</span>
+                        )}
+                      </td>
                     </tr>
                   ))}
                 </tbody>
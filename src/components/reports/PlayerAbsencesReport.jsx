@@ -60,14 +60,14 @@ export default function PlayerAbsencesReport() {
           absence_note,
           player_id,
           game_id,
+          team_id,
+          team:teams (
+            name,
+            division
+          ),
           players (
             id,
-            name,
-            team_id,
-            teams (
-              name,
-              division
-            )
+            name
           ),
           games (
             id,
@@ -86,27 +86,28 @@ export default function PlayerAbsencesReport() {
       let filteredAbsences = absenceData || []
       if (filterDivision !== 'All') {
         filteredAbsences = filteredAbsences.filter(absence =>
-          absence.players?.teams?.division === filterDivision
+          absence.team?.division === filterDivision
         )
       }
 
-      // Group absences by player
+      // Group absences by player and the team they were absent from (players can transfer mid-season)
       const playerAbsencesMap = {}
 
       filteredAbsences.forEach(absence => {
-        const playerId = absence.player_id
+        const key = `${absence.player_id}_${absence.team_id}`
 
-        if (!playerAbsencesMap[playerId]) {
-          playerAbsencesMap[playerId] = {
-            playerId: playerId,
+        if (!playerAbsencesMap[key]) {
+          playerAbsencesMap[key] = {
+            key,
+            playerId: absence.player_id,
             playerName: absence.players?.name || 'Unknown Player',
-            teamName: absence.players?.teams?.name || 'Unknown Team',
-            division: absence.players?.teams?.division || 'Unknown',
+            teamName: absence.team?.name || 'Unknown Team',
+            division: absence.team?.division || 'Unknown',
             absences: []
           }
         }
 
-        playerAbsencesMap[playerId].absences.push({
+        playerAbsencesMap[key].absences.push({
           gameId: absence.game_id,
           gameDate: absence.games?.game_date,
           homeTeam: absence.games?.home_team?.name,
@@ -234,7 +235,7 @@ export default function PlayerAbsencesReport() {
           ) : (
             <div className="space-y-4">
               {absences.map((player) => (
-                <div key={player.playerId} className="card">
+                <div key={player.key} className="card">
                   <div className="mb-4">
                     <div className="flex justify-between items-start">
                       <div>
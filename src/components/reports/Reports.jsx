@@ -1,6 +1,8 @@
 import { useState } from 'react'
 import GamesListReport from './GamesListReport'
 import PlayerAbsencesReport from './PlayerAbsencesReport'
+import StandingsReport from './StandingsReport'
+import ViolationWaiversReport from './ViolationWaiversReport'
 
 export default function Reports({ profile }) {
   const [selectedReport, setSelectedReport] = useState(null)
@@ -21,6 +23,20 @@ export default function Reports({ profile }) {
       icon: '🚫',
       component: PlayerAbsencesReport
     },
+    {
+      id: 'violation-waivers',
+      name: 'Violation Waivers',
+      description: 'View safety rule violations waived by admins, with reasons and approvals',
+      icon: '✅',
+      component: ViolationWaiversReport
+    },
+    {
+      id: 'standings',
+      name: 'Standings',
+      description: 'View win-loss records by division, counting final and forfeited games',
+      icon: '🏆',
+      component: StandingsReport
+    },
     // Future reports can be added here
     // {
     //   id: 'pitch-counts',
@@ -0,0 +1,234 @@
+import { useState, useEffect } from 'react'
+import { supabase } from '../../lib/supabase'
+import { useCoachAssignments } from '../../lib/useCoachAssignments'
+import { computeStandings } from '../../lib/gameStatus'
+
+export default function StandingsReport({ profile }) {
+  const [seasons, setSeasons] = useState([])
+  const [selectedSeason, setSelectedSeason] = useState('')
+  const [standings, setStandings] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [filterDivision, setFilterDivision] = useState('All')
+
+  const isCoach = profile?.role === 'coach'
+
+  // Fetch coach assignments for filtering
+  const coachData = useCoachAssignments(profile)
+
+  useEffect(() => {
+    fetchSeasons()
+  }, [])
+
+  useEffect(() => {
+    if (selectedSeason) {
+      fetchStandings()
+    } else {
+      setStandings([])
+      setLoading(false)
+    }
+  }, [selectedSeason, filterDivision])
+
+  const fetchSeasons = async () => {
+    try {
+      const { data, error } = await supabase
+        .from('seasons')
+        .select('*')
+        .order('start_date', { ascending: false })
+
+      if (error) throw error
+
+      setSeasons(data || [])
+
+      // Auto-select active season if available
+      const activeSeason = data?.find(s => s.is_active)
+      if (activeSeason) {
+        setSelectedSeason(activeSeason.id)
+      }
+    } catch (err) {
+      setError('Failed to load seasons: ' + err.message)
+    }
+  }
+
+  const fetchStandings = async () => {
+    setLoading(true)
+    setError(null)
+
+    try {
+      const [teamsResult, gamesResult] = await Promise.all([
+        supabase
+          .from('teams')
+          .select('id, name, division')
+          .eq('season_id', selectedSeason),
+        supabase
+          .from('games')
+          .select('id, status, home_team_id, away_team_id, home_score, away_score, forfeiting_team_id')
+          .eq('season_id', selectedSeason)
+          .in('status', ['final', 'forfeited'])
+      ])
+
+      if (teamsResult.error) throw teamsResult.error
+      if (gamesResult.error) throw gamesResult.error
+
+      // Filter teams by coach's divisions, then by the selected division
+      let teams = coachData.filterTeamsByCoachDivisions(teamsResult.data || [])
+      if (filterDivision !== 'All') {
+        teams = teams.filter(team => team.division === filterDivision)
+      }
+
+      setStandings(computeStandings(gamesResult.data || [], teams))
+    } catch (err) {
+      setError('Failed to load standings: ' + err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const selectedSeasonData = seasons.find(s => s.id === selectedSeason)
+  const divisions = [...new Set(standings.map(row => row.division))]
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h1 className="text-2xl font-bold">Standings Report</h1>
+      </div>
+
+      {/* Season and Division Filters */}
+      <div className="card">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="label">Season</label>
+            <select
+              value={selectedSeason}
+              onChange={(e) => setSelectedSeason(e.target.value)}
+              className="input"
+            >
+              <option value="">Select a season...</option>
+              {seasons.map((season) => (
+                <option key={season.id} value={season.id}>
+                  {season.name} {season.is_active ? '(Active)' : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="label">Division Filter</label>
+            <select
+              value={filterDivision}
+              onChange={(e) => setFilterDivision(e.target.value)}
+              className="input"
+              disabled={!selectedSeason}
+            >
+              {isCoach ? (
+                <>
+                  {coachData.divisions.length > 1 && (
+                    <option value="All">All My Divisions</option>
+                  )}
+                  {coachData.divisions.map((division) => (
+                    <option key={division} value={division}>{division}</option>
+                  ))}
+                </>
+              ) : (
+                <>
+                  <option value="All">All Divisions</option>
+                  <option value="Training">Training</option>
+                  <option value="Minor">Minor</option>
+                  <option value="Major">Major</option>
+                </>
+              )}
+            </select>
+          </div>
+        </div>
+        <p className="text-sm text-gray-500 mt-3">
+          Only final and forfeited games count. A forfeit is a loss for the forfeiting team whatever the score; a tie counts as half a win.
+        </p>
+      </div>
+
+      {/* Error Message */}
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
+          {error}
+        </div>
+      )}
+
+      {/* Loading State */}
+      {loading && selectedSeason && (
+        <div className="text-center py-8">
+          <div className="text-gray-600">Loading standings...</div>
+        </div>
+      )}
+
+      {/* Standings Tables, one per division */}
+      {!loading && selectedSeason && (
+        standings.length === 0 ? (
+          <div className="card text-center py-8 text-gray-500">
+            No teams found for the selected filters.
+          </div>
+        ) : (
+          divisions.map((division) => (
+            <div key={division} className="card">
+              <h2 className="text-lg font-semibold mb-4">
+                {selectedSeasonData?.name} - {division}
+              </h2>
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Team
+                      </th>
+                      <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        GP
+                      </th>
+                      <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        W
+                      </th>
+                      <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        L
+                      </th>
+                      <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        T
+                      </th>
+                      <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Pct
+                      </th>
+                      <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Forfeits
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {standings.filter(row => row.division === division).map((row) => (
+                      <tr key={row.teamId} className="hover:bg-gray-50">
+                        <td className="px-4 py-3 text-sm font-medium">{row.name}</td>
+                        <td className="px-4 py-3 text-sm text-center">{row.played}</td>
+                        <td className="px-4 py-3 text-sm text-center">{row.wins}</td>
+                        <td className="px-4 py-3 text-sm text-center">{row.losses}</td>
+                        <td className="px-4 py-3 text-sm text-center">{row.ties}</td>
+                        <td className="px-4 py-3 text-sm text-center font-semibold">
+                          {row.winPct.toFixed(3).replace(/^0/, '')}
+                        </td>
+                        <td className="px-4 py-3 text-sm text-center">
+                          {row.forfeits > 0 ? row.forfeits : <span className="text-gray-400">-</span>}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          ))
+        )
+      )}
+
+      {/* Instruction when no season selected */}
+      {!selectedSeason && !loading && (
+        <div className="card text-center py-12">
+          <div className="text-4xl mb-4">📊</div>
+          <p className="text-gray-600">Select a season to view standings</p>
+        </div>
+      )}
+    </div>
+  )
+}
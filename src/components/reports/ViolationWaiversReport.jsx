@@ -0,0 +1,218 @@
+import { useState, useEffect } from 'react'
+import { supabase } from '../../lib/supabase'
+import { formatDate } from '../../lib/pitchCountUtils'
+import { getViolationRuleLabel } from '../../lib/violationRules'
+import { describeWaiverApproval } from '../../lib/violationWaivers'
+import GameDetailModal from '../games/GameDetailModal'
+
+export default function ViolationWaiversReport() {
+  const [seasons, setSeasons] = useState([])
+  const [selectedSeason, setSelectedSeason] = useState('')
+  const [waivers, setWaivers] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [filterDivision, setFilterDivision] = useState('All')
+  const [gameToView, setGameToView] = useState(null)
+
+  useEffect(() => {
+    fetchSeasons()
+  }, [])
+
+  useEffect(() => {
+    if (selectedSeason) {
+      fetchWaivers()
+    } else {
+      setWaivers([])
+      setLoading(false)
+    }
+  }, [selectedSeason])
+
+  const fetchSeasons = async () => {
+    try {
+      const { data, error } = await supabase
+        .from('seasons')
+        .select('*')
+        .order('start_date', { ascending: false })
+
+      if (error) throw error
+
+      setSeasons(data || [])
+
+      // Auto-select active season if available
+      const activeSeason = data?.find(s => s.is_active)
+      if (activeSeason) {
+        setSelectedSeason(activeSeason.id)
+      }
+    } catch (err) {
+      setError('Failed to load seasons: ' + err.message)
+    }
+  }
+
+  const fetchWaivers = async () => {
+    setLoading(true)
+    setError(null)
+
+    try {
+      const { data, error } = await supabase
+        .from('violation_waivers')
+        .select(`
+          id,
+          rule_id,
+          reason,
+          approved_at,
+          approver:user_profiles(name),
+          player:players(name),
+          game:games!inner(
+            *,
+            home_team:teams!games_home_team_id_fkey(name, division),
+            away_team:teams!games_away_team_id_fkey(name, division),
+            scorekeeper_team:teams!games_scorekeeper_team_id_fkey(name)
+          )
+        `)
+        .eq('game.season_id', selectedSeason)
+        .order('approved_at', { ascending: false })
+
+      if (error) throw error
+
+      setWaivers(data || [])
+    } catch (err) {
+      setError('Failed to load waivers: ' + err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const displayedWaivers = filterDivision === 'All'
+    ? waivers
+    : waivers.filter(w => w.game?.home_team?.division === filterDivision)
+
+  const selectedSeasonData = seasons.find(s => s.id === selectedSeason)
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h1 className="text-2xl font-bold">Violation Waivers Report</h1>
+      </div>
+
+      {/* Season and Division Filters */}
+      <div className="card">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="label">Season</label>
+            <select
+              value={selectedSeason}
+              onChange={(e) => setSelectedSeason(e.target.value)}
+              className="input"
+            >
+              <option value="">Select a season...</option>
+              {seasons.map((season) => (
+                <option key={season.id} value={season.id}>
+                  {season.name} {season.is_active ? '(Active)' : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="label">Division Filter</label>
+            <select
+              value={filterDivision}
+              onChange={(e) => setFilterDivision(e.target.value)}
+              className="input"
+              disabled={!selectedSeason}
+            >
+              <option value="All">All Divisions</option>
+              <option value="Training">Training</option>
+              <option value="Minor">Minor</option>
+              <option value="Major">Major</option>
+            </select>
+          </div>
+        </div>
+      </div>
+
+      {/* Error Message */}
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
+          {error}
+        </div>
+      )}
+
+      {/* Loading State */}
+      {loading && selectedSeason && (
+        <div className="text-center py-8">
+          <div className="text-gray-600">Loading waivers...</div>
+        </div>
+      )}
+
+      {/* Waivers List */}
+      {!loading && selectedSeason && (
+        <div className="space-y-4">
+          <div className="card">
+            <h2 className="text-lg font-semibold">
+              {selectedSeasonData?.name} - {displayedWaivers.length} waiver{displayedWaivers.length !== 1 ? 's' : ''}
+            </h2>
+          </div>
+
+          {displayedWaivers.length === 0 ? (
+            <div className="card text-center py-8 text-gray-500">
+              No waivers found for the selected filters.
+            </div>
+          ) : (
+            <div className="card overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Game</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Player</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Rule</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reason</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Approval</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {displayedWaivers.map((waiver) => (
+                    <tr key={waiver.id} className="align-top">
+                      <td className="px-4 py-3 text-sm">
+                        <button
+                          onClick={() => setGameToView(waiver.game)}
+                          className="text-blue-600 hover:text-blue-800 text-left"
+                        >
+                          <div className="font-medium">
+                            {formatDate(waiver.game?.game_date, { month: '2-digit', day: '2-digit', year: 'numeric' })}
+                          </div>
+                          <div className="text-xs">
+                            {waiver.game?.away_team?.name} @ {waiver.game?.home_team?.name}
+                          </div>
+                        </button>
+                      </td>
+                      <td className="px-4 py-3 text-sm font-medium">{waiver.player?.name || 'Unknown Player'}</td>
+                      <td className="px-4 py-3 text-sm">{getViolationRuleLabel(waiver.rule_id)}</td>
+                      <td className="px-4 py-3 text-sm text-gray-700 whitespace-pre-wrap">{waiver.reason}</td>
+                      <td className="px-4 py-3 text-xs text-gray-600">{describeWaiverApproval(waiver)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Instruction when no season selected */}
+      {!selectedSeason && !loading && (
+        <div className="card text-center py-12">
+          <div className="text-4xl mb-4">📊</div>
+          <p className="text-gray-600">Select a season to view violation waivers</p>
+        </div>
+      )}
+
+      {/* Game Detail Modal */}
+      {gameToView && (
+        <GameDetailModal
+          game={gameToView}
+          onClose={() => setGameToView(null)}
+        />
+      )}
+    </div>
+  )
+}
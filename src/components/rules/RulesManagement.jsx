@@ -1,6 +1,83 @@
-import { PITCH_SMART_RULES } from '../../lib/pitchSmartRules'
+import { useState, useEffect } from 'react'
+import { supabase } from '../../lib/supabase'
+import {
+  PITCH_SMART_RULES,
+  fetchPitchSmartRules,
+  rulesToRows,
+  validatePitchSmartRules
+} from '../../lib/pitchSmartRules'
+import { usePitchSmartRules } from '../../lib/usePitchSmartRules'
+import { recomputeLaterGames } from '../../lib/gameRecompute'
+
+// Deep copy so edits never mutate the loaded (or default) rule set
+const cloneRules = (rules) => rules.map(rule => ({
+  ...rule,
+  restDayRanges: rule.restDayRanges.map(range => ({ ...range }))
+}))
+
+export default function RulesManagement({ isAdmin }) {
+  const [seasons, setSeasons] = useState([])
+  const [selectedSeason, setSelectedSeason] = useState('')
+  const [editing, setEditing] = useState(false)
+  const [error, setError] = useState(null)
+  const [success, setSuccess] = useState(null)
+
+  const { rules, isDefault, loading, error: rulesError, refresh } = usePitchSmartRules(selectedSeason || null)
+
+  useEffect(() => {
+    fetchSeasons()
+  }, [])
+
+  useEffect(() => {
+    setEditing(false)
+  }, [selectedSeason])
+
+  const fetchSeasons = async () => {
+    try {
+      const { data, error } = await supabase
+        .from('seasons')
+        .select('*')
+        .order('start_date', { ascending: false })
+
+      if (error) throw error
+
+      setSeasons(data || [])
+
+      // Auto-select active season if available
+      const activeSeason = data?.find(s => s.is_active)
+      if (activeSeason) {
+        setSelectedSeason(activeSeason.id)
+      }
+    } catch (err) {
+      setError('Failed to load seasons: ' + err.message)
+    }
+  }
+
+  const handleSaved = async () => {
+    setEditing(false)
+    await refresh()
+
+    // Rest dates and violations already stored for the season were computed with the old rules
+    try {
+      const { rules: savedRules } = await fetchPitchSmartRules(supabase, selectedSeason)
+      const changedGames = await recomputeLaterGames(supabase, {
+        seasonId: selectedSeason,
+        rules: savedRules
+      })
+      setSuccess(`Pitch count rules saved successfully. ${changedGames.length} game${changedGames.length !== 1 ? 's' : ''} recalculated.`)
+    } catch (err) {
+      setError('Rules saved, but existing games could not be recalculated: ' + err.message)
+    }
+    setTimeout(() => setSuccess(null), 3000)
+  }
+
+  // Rest-day columns follow the largest rest requirement in the rule set
+  const maxRestDays = Math.max(
+    4,
+    ...rules.flatMap(rule => rule.restDayRanges.map(range => range.restDays))
+  )
+  const restDayColumns = Array.from({ length: maxRestDays + 1 }, (_, i) => i)
 
-export default function RulesManagement() {
   return (
     <div>
       <div className="mb-6">
@@ -10,99 +87,385 @@ export default function RulesManagement() {
         </p>
       </div>
 
-      {/* Daily Max Pitches Table */}
+      {(error || rulesError) && (
+        <div className="alert alert-error mb-4">{error || rulesError}</div>
+      )}
+
+      {success && (
+        <div className="alert alert-success mb-4">{success}</div>
+      )}
+
+      {/* Season Selector */}
       <div className="card mb-6">
-        <h3 className="text-lg font-semibold mb-4">Daily Maximum Pitches</h3>
-        <div className="overflow-x-auto">
-          <table className="w-full max-w-2xl">
-            <thead className="bg-gray-50">
-              <tr>
-                <th className="px-6 py-3 text-left text-sm font-semibold text-gray-900 border-b-2 border-gray-300">
-                  AGE
-                </th>
-                <th className="px-6 py-3 text-left text-sm font-semibold text-gray-900 border-b-2 border-gray-300">
-                  DAILY MAX
-                </th>
-              </tr>
-            </thead>
-            <tbody className="bg-white divide-y divide-gray-200">
-              {PITCH_SMART_RULES.map((rule) => (
-                <tr key={`${rule.ageMin}-${rule.ageMax}`} className="hover:bg-gray-50">
-                  <td className="px-6 py-4 text-sm text-gray-900">
-                    {rule.ageMin}-{rule.ageMax}
-                  </td>
-                  <td className="px-6 py-4 text-sm text-gray-900 font-medium">
-                    {rule.maxPitchesPerGame}
-                  </td>
-                </tr>
+        <div className="flex flex-col md:flex-row md:items-end gap-4">
+          <div className="flex-1">
+            <label className="label">Season</label>
+            <select
+              value={selectedSeason}
+              onChange={(e) => setSelectedSeason(e.target.value)}
+              className="input"
+            >
+              <option value="">League defaults</option>
+              {seasons.map((season) => (
+                <option key={season.id} value={season.id}>
+                  {season.name} {season.is_active ? '(Active)' : ''}
+                </option>
               ))}
-            </tbody>
-          </table>
+            </select>
+          </div>
+          {isAdmin && selectedSeason && !editing && (
+            <button
+              onClick={() => setEditing(true)}
+              className="btn btn-primary"
+              disabled={loading}
+            >
+              Edit Rules
+            </button>
+          )}
         </div>
-
-        <div className="mt-6 p-4 bg-blue-50 border-l-4 border-blue-500 rounded">
-          <p className="text-sm text-blue-900">
-            <strong>📌 Note:</strong> Training division has a maximum of 50 pitches regardless of age.
+        {selectedSeason && isDefault && !loading && (
+          <p className="text-sm text-gray-500 mt-3">
+            This season has no rules of its own and uses the league defaults.
           </p>
-        </div>
+        )}
       </div>
 
-      {/* Required Rest Table */}
-      <div className="card">
-        <h3 className="text-lg font-semibold mb-4">Required Rest Days by Pitch Count</h3>
-        <div className="overflow-x-auto">
-          <table className="w-full">
-            <thead className="bg-gray-50">
-              <tr>
-                <th className="px-4 py-3 text-left text-sm font-semibold text-gray-900 border-b-2 border-gray-300">
-                  AGE
-                </th>
-                {/* Dynamically create headers based on max rest days */}
-                {[0, 1, 2, 3, 4].map((days) => (
-                  <th
-                    key={days}
-                    className="px-4 py-3 text-center text-sm font-semibold text-gray-900 border-b-2 border-gray-300"
-                  >
-                    {days} {days === 1 ? 'Day' : 'Days'}
-                  </th>
-                ))}
-              </tr>
-            </thead>
-            <tbody className="bg-white divide-y divide-gray-200">
-              {PITCH_SMART_RULES.map((rule) => (
-                <tr key={`rest-${rule.ageMin}-${rule.ageMax}`} className="hover:bg-gray-50">
-                  <td className="px-4 py-4 text-sm font-medium text-gray-900">
-                    {rule.ageMin}-{rule.ageMax}
-                  </td>
-                  {/* Render cells for each rest day column */}
-                  {[0, 1, 2, 3, 4].map((targetDays) => {
-                    const range = rule.restDayRanges.find(r => r.restDays === targetDays)
-                    return (
-                      <td
-                        key={targetDays}
-                        className="px-4 py-4 text-sm text-center"
+      {editing ? (
+        <RuleSetEditor
+          seasonId={selectedSeason}
+          initialRules={rules}
+          onCancel={() => setEditing(false)}
+          onSaved={handleSaved}
+        />
+      ) : loading ? (
+        <div className="text-center py-8">Loading rules...</div>
+      ) : (
+        <>
+          {/* Daily Max Pitches Table */}
+          <div className="card mb-6">
+            <h3 className="text-lg font-semibold mb-4">Daily Maximum Pitches</h3>
+            <div className="overflow-x-auto">
+              <table className="w-full max-w-2xl">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-sm font-semibold text-gray-900 border-b-2 border-gray-300">
+                      AGE
+                    </th>
+                    <th className="px-6 py-3 text-left text-sm font-semibold text-gray-900 border-b-2 border-gray-300">
+                      DAILY MAX
+                    </th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {rules.map((rule) => (
+                    <tr key={`${rule.ageMin}-${rule.ageMax}`} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 text-sm text-gray-900">
+                        {rule.ageMin}-{rule.ageMax}
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-900 font-medium">
+                        {rule.maxPitchesPerGame}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="mt-6 p-4 bg-blue-50 border-l-4 border-blue-500 rounded">
+              <p className="text-sm text-blue-900">
+                <strong>📌 Note:</strong> Training division has a maximum of 50 pitches regardless of age.
+              </p>
+            </div>
+          </div>
+
+          {/* Required Rest Table */}
+          <div className="card">
+            <h3 className="text-lg font-semibold mb-4">Required Rest Days by Pitch Count</h3>
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-sm font-semibold text-gray-900 border-b-2 border-gray-300">
+                      AGE
+                    </th>
+                    {/* Dynamically create headers based on max rest days */}
+                    {restDayColumns.map((days) => (
+                      <th
+                        key={days}
+                        className="px-4 py-3 text-center text-sm font-semibold text-gray-900 border-b-2 border-gray-300"
                       >
-                        {range ? (
-                          <span className="text-gray-900">
-                            {range.maxPitches === 999 ? `${range.minPitches}+` : `${range.minPitches}-${range.maxPitches}`}
-                          </span>
-                        ) : (
-                          <span className="text-gray-500">N/A</span>
-                        )}
+                        {days} {days === 1 ? 'Day' : 'Days'}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {rules.map((rule) => (
+                    <tr key={`rest-${rule.ageMin}-${rule.ageMax}`} className="hover:bg-gray-50">
+                      <td className="px-4 py-4 text-sm font-medium text-gray-900">
+                        {rule.ageMin}-{rule.ageMax}
                       </td>
-                    )
-                  })}
-                </tr>
-              ))}
-            </tbody>
-          </table>
-        </div>
+                      {/* Render cells for each rest day column */}
+                      {restDayColumns.map((targetDays) => {
+                        const range = rule.restDayRanges.find(r => r.restDays === targetDays)
+                        return (
+                          <td
+                            key={targetDays}
+                            className="px-4 py-4 text-sm text-center"
+                          >
+                            {range ? (
+                              <span className="text-gray-900">
+                                {range.maxPitches === 999 ? `${range.minPitches}+` : `${range.minPitches}-${range.maxPitches}`}
+                              </span>
+                            ) : (
+                              <span className="text-gray-500">N/A</span>
+                            )}
+                          </td>
+                        )
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
 
-        <div className="mt-6 p-4 bg-blue-50 border-l-4 border-blue-500 rounded">
-          <p className="text-sm text-blue-900">
-            <strong>📌 Note:</strong> Rest days are calendar days required before a pitcher can pitch again in a game.
-          </p>
+            <div className="mt-6 p-4 bg-blue-50 border-l-4 border-blue-500 rounded">
+              <p className="text-sm text-blue-900">
+                <strong>📌 Note:</strong> Rest days are calendar days required before a pitcher can pitch again in a game.
+              </p>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+/**
+ * RuleSetEditor Component
+ *
+ * Admin editor for a season's age bands, daily max and rest-day ranges.
+ * Saves the whole rule set at once through replace_pitch_count_rules().
+ */
+function RuleSetEditor({ seasonId, initialRules, onCancel, onSaved }) {
+  const [draft, setDraft] = useState(() => cloneRules(initialRules))
+  const [errors, setErrors] = useState([])
+  const [saving, setSaving] = useState(false)
+
+  const toNumber = (value) => (value === '' ? '' : parseInt(value, 10))
+
+  const updateRule = (ruleIndex, field, value) => {
+    setDraft(prev => prev.map((rule, i) =>
+      i === ruleIndex ? { ...rule, [field]: toNumber(value) } : rule
+    ))
+  }
+
+  const updateRange = (ruleIndex, rangeIndex, field, value) => {
+    setDraft(prev => prev.map((rule, i) => {
+      if (i !== ruleIndex) return rule
+      return {
+        ...rule,
+        restDayRanges: rule.restDayRanges.map((range, j) =>
+          j === rangeIndex ? { ...range, [field]: toNumber(value) } : range
+        )
+      }
+    }))
+  }
+
+  const addRange = (ruleIndex) => {
+    setDraft(prev => prev.map((rule, i) => {
+      if (i !== ruleIndex) return rule
+      const last = rule.restDayRanges[rule.restDayRanges.length - 1]
+      const nextRange = last
+        ? { minPitches: last.maxPitches + 1, maxPitches: 999, restDays: last.restDays + 1 }
+        : { minPitches: 1, maxPitches: 999, restDays: 0 }
+      return { ...rule, restDayRanges: [...rule.restDayRanges, nextRange] }
+    }))
+  }
+
+  const removeRange = (ruleIndex, rangeIndex) => {
+    setDraft(prev => prev.map((rule, i) =>
+      i === ruleIndex
+        ? { ...rule, restDayRanges: rule.restDayRanges.filter((_, j) => j !== rangeIndex) }
+        : rule
+    ))
+  }
+
+  const addBand = () => {
+    const last = draft[draft.length - 1]
+    const ageMin = last ? last.ageMax + 1 : 6
+    setDraft(prev => [
+      ...prev,
+      {
+        ageMin,
+        ageMax: ageMin,
+        maxPitchesPerGame: 50,
+        restDayRanges: [{ minPitches: 1, maxPitches: 999, restDays: 0 }]
+      }
+    ])
+  }
+
+  const removeBand = (ruleIndex) => {
+    setDraft(prev => prev.filter((_, i) => i !== ruleIndex))
+  }
+
+  const handleSave = async () => {
+    const validationErrors = validatePitchSmartRules(draft)
+    setErrors(validationErrors)
+    if (validationErrors.length > 0) return
+
+    setSaving(true)
+    try {
+      const { error } = await supabase.rpc('replace_pitch_count_rules', {
+        p_season_id: seasonId,
+        p_rules: rulesToRows(draft)
+      })
+
+      if (error) throw error
+
+      await onSaved()
+    } catch (err) {
+      setErrors([err.message])
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="card">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold">Edit Season Rules</h3>
+        <button
+          onClick={() => setDraft(cloneRules(PITCH_SMART_RULES))}
+          className="btn btn-secondary text-sm"
+          disabled={saving}
+        >
+          Reset to League Defaults
+        </button>
+      </div>
+
+      {errors.length > 0 && (
+        <div className="alert alert-error mb-4">
+          <ul className="list-disc list-inside text-sm">
+            {errors.map((message, i) => <li key={i}>{message}</li>)}
+          </ul>
         </div>
+      )}
+
+      <div className="space-y-4">
+        {draft.map((rule, ruleIndex) => (
+          <div key={ruleIndex} className="border border-gray-200 rounded-lg p-4">
+            <div className="grid grid-cols-3 gap-3 mb-3">
+              <div>
+                <label className="label">Min Age</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={rule.ageMin}
+                  onChange={(e) => updateRule(ruleIndex, 'ageMin', e.target.value)}
+                  className="input"
+                />
+              </div>
+              <div>
+                <label className="label">Max Age</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={rule.ageMax}
+                  onChange={(e) => updateRule(ruleIndex, 'ageMax', e.target.value)}
+                  className="input"
+                />
+              </div>
+              <div>
+                <label className="label">Daily Max</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={rule.maxPitchesPerGame}
+                  onChange={(e) => updateRule(ruleIndex, 'maxPitchesPerGame', e.target.value)}
+                  className="input"
+                />
+              </div>
+            </div>
+
+            <p className="text-sm font-medium text-gray-700 mb-2">
+              Rest-day ranges <span className="text-gray-500 font-normal">(use 999 as max for "and above")</span>
+            </p>
+            <div className="space-y-2">
+              {rule.restDayRanges.map((range, rangeIndex) => (
+                <div key={rangeIndex} className="flex items-center gap-2 text-sm">
+                  <input
+                    type="number"
+                    min="1"
+                    value={range.minPitches}
+                    onChange={(e) => updateRange(ruleIndex, rangeIndex, 'minPitches', e.target.value)}
+                    className="input w-20"
+                  />
+                  <span>to</span>
+                  <input
+                    type="number"
+                    min="1"
+                    value={range.maxPitches}
+                    onChange={(e) => updateRange(ruleIndex, rangeIndex, 'maxPitches', e.target.value)}
+                    className="input w-20"
+                  />
+                  <span>pitches →</span>
+                  <input
+                    type="number"
+                    min="0"
+                    value={range.restDays}
+                    onChange={(e) => updateRange(ruleIndex, rangeIndex, 'restDays', e.target.value)}
+                    className="input w-20"
+                  />
+                  <span>rest days</span>
+                  <button
+                    onClick={() => removeRange(ruleIndex, rangeIndex)}
+                    className="text-red-600 hover:text-red-800 ml-2"
+                  >
+                    Remove
+                  </button>
+                </div>
+              ))}
+            </div>
+
+            <div className="flex justify-between mt-3">
+              <button
+                onClick={() => addRange(ruleIndex)}
+                className="text-sm text-blue-600 hover:text-blue-800"
+              >
+                + Add range
+              </button>
+              <button
+                onClick={() => removeBand(ruleIndex)}
+                className="text-sm text-red-600 hover:text-red-800"
+              >
+                Remove age band
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <button
+        onClick={addBand}
+        className="text-sm text-blue-600 hover:text-blue-800 mt-4"
+      >
+        + Add age band
+      </button>
+
+      <div className="mt-6 p-4 bg-yellow-50 border-l-4 border-yellow-500 rounded">
+        <p className="text-sm text-yellow-900">
+          <strong>⚠️ Note:</strong> Saving recalculates next eligible dates and violations for every game already entered this season.
+        </p>
+      </div>
+
+      <div className="flex gap-3 justify-end mt-6">
+        <button onClick={onCancel} className="btn btn-secondary" disabled={saving}>
+          Cancel
+        </button>
+        <button onClick={handleSave} className="btn btn-primary" disabled={saving}>
+          {saving ? 'Saving...' : 'Save Rules'}
+        </button>
       </div>
     </div>
   )
@@ -0,0 +1,90 @@
+import { useState } from 'react'
+import { supabase } from '../../lib/supabase'
+import { parseScheduleCsv } from '../../lib/gameSchedule'
+
+export default function ScheduleImportModal({ seasonId, teams, profile, onClose, onSuccess }) {
+  const [csvData, setCsvData] = useState('')
+  const [loading, setLoading] = useState(false)
+  const [modalError, setModalError] = useState(null)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setLoading(true)
+    setModalError(null)
+
+    try {
+      const games = parseScheduleCsv(csvData, seasonId, teams)
+        .map(game => ({ ...game, created_by: profile?.id || null }))
+
+      const { error } = await supabase
+        .from('scheduled_games')
+        .insert(games)
+
+      if (error) throw error
+
+      onSuccess(games.length)
+    } catch (err) {
+      setModalError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 max-w-2xl w-full mx-4">
+        <h3 className="text-xl font-bold mb-4">Import Schedule (CSV)</h3>
+
+        {modalError && (
+          <div className="alert alert-error mb-4">
+            {modalError}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="label">CSV Data</label>
+            <textarea
+              className="input h-64 font-mono text-sm"
+              value={csvData}
+              onChange={(e) => setCsvData(e.target.value)}
+              required
+              placeholder="Date, Time, Home Team, Away Team, Field&#10;2025-05-03, 9:00 AM, Cubs, Giants, Field 1&#10;2025-05-03, 11:30 AM, Red Sox, Yankees, Field 1&#10;5/10/2025, , Giants, Cubs"
+            />
+            <div className="mt-2 p-3 bg-blue-50 border border-blue-200 rounded text-sm">
+              <strong>Format:</strong> Date, Time (optional), Home Team, Away Team, Field (optional)
+              <br />
+              <strong>Example:</strong>
+              <pre className="mt-1 text-xs">
+2025-05-03, 9:00 AM, Cubs, Giants, Field 1{'\n'}2025-05-03, 11:30 AM, Red Sox, Yankees, Field 1{'\n'}5/10/2025, , Giants, Cubs
+              </pre>
+              <p className="mt-2 text-xs text-gray-600">
+                • One game per line; a header line starting with "Date" is skipped<br />
+                • Dates as YYYY-MM-DD or M/D/YYYY, times as 18:00 or 6:00 PM<br />
+                • Team names must match teams in this season<br />
+                • Leave the time empty (keep the comma) if it is not known yet
+              </p>
+            </div>
+          </div>
+
+          <div className="flex gap-2 pt-4">
+            <button
+              type="button"
+              onClick={onClose}
+              className="btn btn-secondary flex-1"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="btn btn-primary flex-1"
+              disabled={loading}
+            >
+              {loading ? 'Importing...' : 'Import Games'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,334 @@
+import { useState, useEffect } from 'react'
+import { supabase } from '../../lib/supabase'
+import { formatDate } from '../../lib/pitchCountUtils'
+import { useCoachAssignments } from '../../lib/useCoachAssignments'
+import { fetchSeasonSchedule, formatStartTime, getUpcomingGames } from '../../lib/gameSchedule'
+import ScheduledGameModal from './ScheduledGameModal'
+import ScheduleImportModal from './ScheduleImportModal'
+
+/**
+ * ScheduleManagement Component
+ *
+ * The season schedule. Everyone sees the upcoming games (filterable by
+ * team); admins add, edit, delete and import fixtures. Results are entered
+ * against a fixture from Game Entry.
+ */
+export default function ScheduleManagement({ profile, isAdmin }) {
+  const [seasons, setSeasons] = useState([])
+  const [selectedSeason, setSelectedSeason] = useState(null)
+  const [teams, setTeams] = useState([])
+  const [scheduledGames, setScheduledGames] = useState([])
+  const [teamFilter, setTeamFilter] = useState('')
+  const [showPlayed, setShowPlayed] = useState(false)
+  const [loading, setLoading] = useState(true)
+  const [showAddModal, setShowAddModal] = useState(false)
+  const [showImportModal, setShowImportModal] = useState(false)
+  const [editingGame, setEditingGame] = useState(null)
+  const [error, setError] = useState(null)
+  const [success, setSuccess] = useState(null)
+
+  const coachData = useCoachAssignments(profile)
+
+  useEffect(() => {
+    fetchSeasons()
+  }, [])
+
+  useEffect(() => {
+    if (selectedSeason) {
+      fetchTeamsAndSchedule()
+    }
+  }, [selectedSeason])
+
+  // Coaches start with their own team's games
+  useEffect(() => {
+    if (!coachData.loading && coachData.teams.length > 0 && teams.length > 0) {
+      const myTeam = teams.find(t => coachData.teams.includes(t.id))
+      if (myTeam) setTeamFilter(myTeam.id)
+    }
+  }, [coachData.loading, coachData.teams, teams])
+
+  const fetchSeasons = async () => {
+    try {
+      const { data, error } = await supabase
+        .from('seasons')
+        .select('*')
+        .order('is_active', { ascending: false })
+        .order('start_date', { ascending: false })
+
+      if (error) throw error
+      setSeasons(data)
+
+      const activeSeason = data.find(s => s.is_active)
+      if (activeSeason) {
+        setSelectedSeason(activeSeason.id)
+      } else if (data.length > 0) {
+        setSelectedSeason(data[0].id)
+      }
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const fetchTeamsAndSchedule = async () => {
+    try {
+      const { data: teamsData, error: teamsError } = await supabase
+        .from('teams')
+        .select('id, name, division')
+        .eq('season_id', selectedSeason)
+        .order('division')
+        .order('name')
+
+      if (teamsError) throw teamsError
+      setTeams(teamsData)
+
+      await fetchSchedule()
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const fetchSchedule = async () => {
+    try {
+      setScheduledGames(await fetchSeasonSchedule(supabase, selectedSeason))
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const handleDelete = async (scheduledGame) => {
+    const message = scheduledGame.game_id
+      ? 'Remove this game from the schedule? The result already entered is kept.'
+      : 'Remove this game from the schedule?'
+    if (!confirm(message)) return
+
+    try {
+      const { error } = await supabase
+        .from('scheduled_games')
+        .delete()
+        .eq('id', scheduledGame.id)
+
+      if (error) throw error
+
+      showSuccess('Game removed from the schedule')
+      fetchSchedule()
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const showSuccess = (message) => {
+    setSuccess(message)
+    setTimeout(() => setSuccess(null), 3000)
+  }
+
+  if (loading) {
+    return <div className="text-center py-8">Loading...</div>
+  }
+
+  if (seasons.length === 0) {
+    return (
+      <div className="card text-center py-12">
+        <p className="text-gray-600 mb-4">No seasons found. Create a season first!</p>
+      </div>
+    )
+  }
+
+  const today = new Date().toISOString().split('T')[0]
+  const visibleGames = showPlayed
+    ? scheduledGames.filter(g => !teamFilter || g.home_team_id === teamFilter || g.away_team_id === teamFilter)
+    : getUpcomingGames(scheduledGames, today, { teamId: teamFilter || undefined })
+
+  // Group by date for display
+  const gamesByDate = visibleGames.reduce((groups, game) => {
+    (groups[game.game_date] ||= []).push(game)
+    return groups
+  }, {})
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-2xl font-bold">🗓️ Schedule</h2>
+        {isAdmin && (
+          <div className="flex gap-2">
+            <button
+              onClick={() => setShowImportModal(true)}
+              className="btn btn-secondary"
+              disabled={teams.length === 0}
+            >
+              Import CSV
+            </button>
+            <button
+              onClick={() => setShowAddModal(true)}
+              className="btn btn-primary"
+              disabled={teams.length === 0}
+            >
+              + Schedule Game
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div className="mb-6 grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="label">Select Season</label>
+          <select
+            className="input"
+            value={selectedSeason || ''}
+            onChange={(e) => {
+              setSelectedSeason(e.target.value)
+              setTeamFilter('')
+            }}
+          >
+            {seasons.map((season) => (
+              <option key={season.id} value={season.id}>
+                {season.name} {season.is_active ? '(Active)' : ''}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className="label">Filter by Team</label>
+          <select
+            className="input"
+            value={teamFilter}
+            onChange={(e) => setTeamFilter(e.target.value)}
+          >
+            <option value="">All Teams</option>
+            {teams.map((team) => (
+              <option key={team.id} value={team.id}>
+                {team.name} ({team.division})
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <label className="flex items-center gap-2 mb-4 text-sm cursor-pointer">
+        <input
+          type="checkbox"
+          checked={showPlayed}
+          onChange={(e) => setShowPlayed(e.target.checked)}
+          className="w-4 h-4"
+        />
+        <span>Show past games and games with results</span>
+      </label>
+
+      {error && (
+        <div className="alert alert-error mb-4">
+          {error}
+        </div>
+      )}
+
+      {success && (
+        <div className="alert alert-success mb-4">
+          {success}
+        </div>
+      )}
+
+      {visibleGames.length === 0 ? (
+        <div className="card text-center py-12">
+          <p className="text-gray-600">
+            {scheduledGames.length === 0
+              ? `No games scheduled for this season yet.${isAdmin ? ' Schedule a game or import the schedule from CSV.' : ''}`
+              : 'No upcoming games.'}
+          </p>
+        </div>
+      ) : (
+        <div className="space-y-6">
+          {Object.entries(gamesByDate).map(([date, games]) => (
+            <div key={date}>
+              <h3 className="text-lg font-semibold mb-3 text-gray-700">{formatDate(date)}</h3>
+              <div className="card">
+                <div className="space-y-3">
+                  {games.map((game) => (
+                    <div
+                      key={game.id}
+                      className="flex items-center justify-between p-3 border border-gray-200 rounded-lg hover:bg-gray-50"
+                    >
+                      <div>
+                        <h4 className="font-medium">
+                          {game.away_team?.name} at {game.home_team?.name}
+                        </h4>
+                        <p className="text-sm text-gray-500">
+                          {[formatStartTime(game.start_time), game.field, game.home_team?.division].filter(Boolean).join(' · ')}
+                        </p>
+                        {game.replaced_game && (
+                          <p className="text-sm text-gray-600">
+                            Replaces the game postponed on {formatDate(game.replaced_game.game_date)}
+                          </p>
+                        )}
+                        {game.game && (
+                          <p className="text-sm text-green-700">
+                            Final: {game.away_team?.name} {game.game.away_score}, {game.home_team?.name} {game.game.home_score}
+                          </p>
+                        )}
+                        {!game.game_id && game.game_date < today && (
+                          <p className="text-sm text-amber-700">Result not entered yet</p>
+                        )}
+                      </div>
+                      {isAdmin && (
+                        <div className="flex gap-2">
+                          {!game.game_id && (
+                            <button
+                              onClick={() => setEditingGame(game)}
+                              className="text-blue-600 hover:text-blue-800 px-3 py-1"
+                            >
+                              Edit
+                            </button>
+                          )}
+                          <button
+                            onClick={() => handleDelete(game)}
+                            className="text-red-600 hover:text-red-800 px-3 py-1"
+                          >
+                            Delete
+                          </button>
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {isAdmin && (showAddModal || editingGame) && (
+        <ScheduledGameModal
+          scheduledGame={editingGame}
+          seasonId={selectedSeason}
+          teams={teams}
+          profile={profile}
+          onClose={() => {
+            setShowAddModal(false)
+            setEditingGame(null)
+          }}
+          onSuccess={() => {
+            showSuccess(editingGame ? 'Scheduled game updated!' : 'Game scheduled!')
+            setShowAddModal(false)
+            setEditingGame(null)
+            fetchSchedule()
+          }}
+          onError={(err) => setError(err)}
+        />
+      )}
+
+      {isAdmin && showImportModal && (
+        <ScheduleImportModal
+          seasonId={selectedSeason}
+          teams={teams}
+          profile={profile}
+          onClose={() => setShowImportModal(false)}
+          onSuccess={(count) => {
+            setShowImportModal(false)
+            showSuccess(`Imported ${count} game${count !== 1 ? 's' : ''} into the schedule`)
+            fetchSchedule()
+          }}
+        />
+      )}
+    </div>
+  )
+}
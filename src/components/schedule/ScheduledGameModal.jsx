@@ -0,0 +1,158 @@
+import { useState } from 'react'
+import { supabase } from '../../lib/supabase'
+
+export default function ScheduledGameModal({ scheduledGame, seasonId, teams, profile, onClose, onSuccess, onError }) {
+  const [formData, setFormData] = useState({
+    game_date: scheduledGame?.game_date || '',
+    start_time: scheduledGame?.start_time?.slice(0, 5) || '',
+    home_team_id: scheduledGame?.home_team_id || '',
+    away_team_id: scheduledGame?.away_team_id || '',
+    field: scheduledGame?.field || ''
+  })
+  const [loading, setLoading] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    if (formData.home_team_id === formData.away_team_id) {
+      onError('Home and away teams must be different')
+      return
+    }
+
+    setLoading(true)
+
+    try {
+      const gameData = {
+        season_id: seasonId,
+        game_date: formData.game_date,
+        start_time: formData.start_time || null,
+        home_team_id: formData.home_team_id,
+        away_team_id: formData.away_team_id,
+        field: formData.field.trim() || null
+      }
+
+      if (scheduledGame) {
+        const { error } = await supabase
+          .from('scheduled_games')
+          .update(gameData)
+          .eq('id', scheduledGame.id)
+
+        if (error) throw error
+      } else {
+        const { error } = await supabase
+          .from('scheduled_games')
+          .insert([{ ...gameData, created_by: profile?.id || null }])
+
+        if (error) throw error
+      }
+
+      onSuccess()
+    } catch (err) {
+      onError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Both teams must come from the same division
+  const homeTeam = teams.find(t => t.id === formData.home_team_id)
+  const awayTeams = homeTeam
+    ? teams.filter(t => t.division === homeTeam.division && t.id !== homeTeam.id)
+    : teams
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 max-w-md w-full mx-4">
+        <h3 className="text-xl font-bold mb-4">
+          {scheduledGame ? 'Edit Scheduled Game' : 'Schedule Game'}
+        </h3>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="label">Date *</label>
+              <input
+                type="date"
+                className="input"
+                value={formData.game_date}
+                onChange={(e) => setFormData({ ...formData, game_date: e.target.value })}
+                required
+              />
+            </div>
+            <div>
+              <label className="label">Start Time</label>
+              <input
+                type="time"
+                className="input"
+                value={formData.start_time}
+                onChange={(e) => setFormData({ ...formData, start_time: e.target.value })}
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="label">Home Team *</label>
+            <select
+              className="input"
+              value={formData.home_team_id}
+              onChange={(e) => setFormData({ ...formData, home_team_id: e.target.value, away_team_id: '' })}
+              required
+            >
+              <option value="">Select team...</option>
+              {teams.map(team => (
+                <option key={team.id} value={team.id}>
+                  {team.name} ({team.division})
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="label">Away Team *</label>
+            <select
+              className="input"
+              value={formData.away_team_id}
+              onChange={(e) => setFormData({ ...formData, away_team_id: e.target.value })}
+              required
+            >
+              <option value="">Select team...</option>
+              {awayTeams.map(team => (
+                <option key={team.id} value={team.id}>
+                  {team.name} ({team.division})
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="label">Field</label>
+            <input
+              type="text"
+              className="input"
+              value={formData.field}
+              onChange={(e) => setFormData({ ...formData, field: e.target.value })}
+              placeholder="e.g., Memorial Park Field 2"
+            />
+          </div>
+
+          <div className="flex gap-2 pt-4">
+            <button
+              type="button"
+              onClick={onClose}
+              className="btn btn-secondary flex-1"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="btn btn-primary flex-1"
+              disabled={loading}
+            >
+              {loading ? 'Saving...' : (scheduledGame ? 'Update Game' : 'Schedule Game')}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
@@ -175,6 +175,7 @@ export default function SeasonManagement({ isAdmin }) {
                   <p className="text-sm text-gray-600 mt-1">
                     Starts: {formatDate(season.start_date)}
                     {season.end_date && ` • Ends: ${formatDate(season.end_date)}`}
+                    {season.league_age_cutoff && ` • League ages as of ${formatDate(season.league_age_cutoff)}`}
                   </p>
                 </div>
                 {isAdmin && (
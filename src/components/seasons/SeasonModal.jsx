@@ -5,7 +5,8 @@ export default function SeasonModal({ season, onClose, onSuccess, onError }) {
   const [formData, setFormData] = useState({
     name: season?.name || '',
     start_date: season?.start_date || '',
-    end_date: season?.end_date || ''
+    end_date: season?.end_date || '',
+    league_age_cutoff: season?.league_age_cutoff || ''
   })
   const [loading, setLoading] = useState(false)
 
@@ -17,7 +18,8 @@ export default function SeasonModal({ season, onClose, onSuccess, onError }) {
       const seasonData = {
         name: formData.name,
         start_date: formData.start_date,
-        end_date: formData.end_date || null
+        end_date: formData.end_date || null,
+        league_age_cutoff: formData.league_age_cutoff || null
       }
 
       if (season) {
@@ -91,6 +93,19 @@ export default function SeasonModal({ season, onClose, onSuccess, onError }) {
             </p>
           </div>
 
+          <div>
+            <label className="label">League Age Cutoff (Optional)</label>
+            <input
+              type="date"
+              className="input"
+              value={formData.league_age_cutoff}
+              onChange={(e) => setFormData({ ...formData, league_age_cutoff: e.target.value })}
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              Players with a birthdate get their age as of this date. Leave blank to use the start date.
+            </p>
+          </div>
+
           <div className="flex gap-2 pt-4">
             <button
               type="button"
@@ -417,6 +417,7 @@ export default function TeamManagement({ profile, isCoach }) {
         <TeamPlayersModal
           team={managingPlayers}
           isCoach={isCoach}
+          isSuperAdmin={profile?.role === 'super_admin'}
           onClose={() => setManagingPlayers(null)}
         />
       )}
@@ -1,8 +1,12 @@
 import { useState, useEffect } from 'react'
 import { supabase } from '../../lib/supabase'
-import { getPitchingDisplayData, parseLocalDate } from '../../lib/pitchCountUtils'
-import { parsePlayerCsv } from '../../lib/playerCsvUtils'
+import { formatDate, getPitchingDisplayData, parseLocalDate } from '../../lib/pitchCountUtils'
+import { parsePlayerCsv, validateBirthdate } from '../../lib/playerCsvUtils'
+import { calculateLeagueAge, fetchTeamAgeCutoff } from '../../lib/leagueAge'
 import PlayerDeleteConfirmationModal from '../common/PlayerDeleteConfirmationModal'
+import TransferPlayerModal from './TransferPlayerModal'
+import { archivePlayer, deletePlayerPermanently, restoreArchivedPlayer } from '../../lib/playerArchive'
+import { describeTransfer, fetchTeamTransfers } from '../../lib/playerTransfers'
 
 /**
  * Merges player data with their most recent pitching log
@@ -16,8 +20,8 @@ function enrichPlayersWithPitchingData(players, pitchingLogs) {
 
   pitchingLogs.forEach(log => {
     const existing = pitchingMap.get(log.player_id)
-    // Keep only the most recent by comparing game dates
-    if (!existing || (log.game?.game_date > existing.game?.game_date)) {
+    // Keep only the most recent by comparing the dates pitched
+    if (!existing || (log.pitch_date > existing.pitch_date)) {
       pitchingMap.set(log.player_id, log)
     }
   })
@@ -29,7 +33,7 @@ function enrichPlayersWithPitchingData(players, pitchingLogs) {
   }))
 }
 
-export default function TeamPlayersModal({ team, isCoach, onClose }) {
+export default function TeamPlayersModal({ team, isCoach, isSuperAdmin = false, onClose }) {
   const [players, setPlayers] = useState([])
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
@@ -38,11 +42,23 @@ export default function TeamPlayersModal({ team, isCoach, onClose }) {
   const [showBulkModal, setShowBulkModal] = useState(false)
   const [editingPlayer, setEditingPlayer] = useState(null)
   const [deletingPlayer, setDeletingPlayer] = useState(null)
+  const [showArchived, setShowArchived] = useState(false)
+  const [transferringPlayer, setTransferringPlayer] = useState(null)
+  const [transfers, setTransfers] = useState([]) // Transfers into and out of the team
 
   useEffect(() => {
     fetchPlayers()
+    fetchTransfers()
   }, [team.id])
 
+  const fetchTransfers = async () => {
+    try {
+      setTransfers(await fetchTeamTransfers(supabase, team.id))
+    } catch (err) {
+      setError('Failed to load transfers: ' + err.message)
+    }
+  }
+
   const fetchPlayers = async () => {
     try {
       // Step 1: Fetch all players
@@ -68,10 +84,11 @@ export default function TeamPlayersModal({ team, isCoach, onClose }) {
             penultimate_batter_count,
             final_pitch_count,
             next_eligible_pitch_date,
+            pitch_date,
             game:games!inner(game_date)
           `)
           .in('player_id', playerIds)
-          .lte('games.game_date', today)
+          .lte('pitch_date', today)
 
         if (pitchingError) throw pitchingError
         pitchingData = pitchingLogs || []
@@ -88,30 +105,52 @@ export default function TeamPlayersModal({ team, isCoach, onClose }) {
     }
   }
 
-  const handleDelete = async (playerId) => {
+  const handleArchive = async (player) => {
+    if (!confirm(`Archive ${player.name}? They will be taken off the roster but kept in past games, reports and exports.`)) {
+      return
+    }
+
     try {
-      const { error } = await supabase
-        .from('players')
-        .delete()
-        .eq('id', playerId)
+      await archivePlayer(supabase, player.id)
+      setSuccess('Player archived')
+      fetchPlayers()
+      setTimeout(() => setSuccess(null), 3000)
+    } catch (err) {
+      setError(err.message)
+      setTimeout(() => setError(null), 5000)
+    }
+  }
 
-      if (error) {
-        if (error.code === '23503') {
-          throw new Error('Cannot delete player: game records exist for this player.')
-        }
-        throw error
-      }
+  const handleRestore = async (player) => {
+    try {
+      await restoreArchivedPlayer(supabase, player.id)
+      setSuccess('Player restored to the roster')
+      fetchPlayers()
+      setTimeout(() => setSuccess(null), 3000)
+    } catch (err) {
+      setError(err.message)
+      setTimeout(() => setError(null), 5000)
+    }
+  }
+
+  const handleDelete = async (playerId) => {
+    try {
+      const gameCount = await deletePlayerPermanently(supabase, playerId)
 
-      setSuccess('Player deleted successfully!')
+      setSuccess(`Player deleted${gameCount > 0 ? ` and ${gameCount} game${gameCount !== 1 ? 's' : ''} recalculated` : ''}`)
       setDeletingPlayer(null)
       fetchPlayers()
       setTimeout(() => setSuccess(null), 3000)
     } catch (err) {
       setError(err.message)
+      setDeletingPlayer(null)
       setTimeout(() => setError(null), 5000)
     }
   }
 
+  const rosterPlayers = players.filter(p => !p.archived_at)
+  const archivedPlayers = players.filter(p => p.archived_at)
+
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
       <div className="bg-white rounded-lg max-w-5xl w-full max-h-[90vh] overflow-y-auto">
@@ -162,7 +201,7 @@ export default function TeamPlayersModal({ team, isCoach, onClose }) {
             <div className="text-center py-8">
               <p className="text-gray-600">Loading players...</p>
             </div>
-          ) : players.length === 0 ? (
+          ) : rosterPlayers.length === 0 ? (
             <div className="text-center py-12 border-2 border-dashed border-gray-300 rounded-lg">
               <p className="text-gray-600 mb-4">No players on this team yet.</p>
               {!isCoach && (
@@ -205,7 +244,7 @@ export default function TeamPlayersModal({ team, isCoach, onClose }) {
                   </tr>
                 </thead>
                 <tbody className="bg-white divide-y divide-gray-200">
-                  {players.map((player) => {
+                  {rosterPlayers.map((player) => {
                     const pitchingDisplay = getPitchingDisplayData(player.lastPitchingLog)
                     // Check if player is ineligible to pitch today ( new Date() )
                     // Example: If next_eligible_pitch_date is "2025-01-15"
@@ -246,10 +285,16 @@ export default function TeamPlayersModal({ team, isCoach, onClose }) {
                                 Edit
                               </button>
                               <button
-                                onClick={() => setDeletingPlayer(player)}
+                                onClick={() => setTransferringPlayer(player)}
+                                className="text-blue-600 hover:text-blue-800 mr-3"
+                              >
+                                Transfer
+                              </button>
+                              <button
+                                onClick={() => handleArchive(player)}
                                 className="text-red-600 hover:text-red-800"
                               >
-                                Delete
+                                Archive
                               </button>
                             </>
                           </td>
@@ -262,8 +307,68 @@ export default function TeamPlayersModal({ team, isCoach, onClose }) {
             </div>
           )}
 
+          {!isCoach && !loading && archivedPlayers.length > 0 && (
+            <div className="mt-4">
+              <button
+                onClick={() => setShowArchived(!showArchived)}
+                className="text-sm text-blue-600 hover:text-blue-800"
+              >
+                {showArchived ? 'Hide' : 'Show'} archived players ({archivedPlayers.length})
+              </button>
+              {showArchived && (
+                <ul className="mt-2 border rounded-lg divide-y divide-gray-200">
+                  {archivedPlayers.map((player) => (
+                    <li key={player.id} className="flex flex-wrap justify-between items-center gap-2 px-4 py-2 text-sm">
+                      <span className="text-gray-600">
+                        {player.jersey_number && `#${player.jersey_number} `}{player.name}
+                        <span className="text-xs text-gray-400"> · archived {new Date(player.archived_at).toLocaleDateString()}</span>
+                      </span>
+                      <div className="flex gap-3">
+                        <button
+                          onClick={() => handleRestore(player)}
+                          className="text-blue-600 hover:text-blue-800"
+                        >
+                          Restore
+                        </button>
+                        {isSuperAdmin && (
+                          <button
+                            onClick={() => setDeletingPlayer(player)}
+                            className="text-red-600 hover:text-red-800"
+                          >
+                            Delete permanently
+                          </button>
+                        )}
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+
+          {!loading && transfers.length > 0 && (
+            <div className="mt-4">
+              <h4 className="text-sm font-semibold text-gray-700 mb-2">Transfers</h4>
+              <ul className="border rounded-lg divide-y divide-gray-200">
+                {transfers.map((transfer) => {
+                  const { direction, text } = describeTransfer(transfer, team.id)
+                  return (
+                    <li key={transfer.id} className="flex flex-wrap justify-between items-center gap-2 px-4 py-2 text-sm">
+                      <span>
+                        {transfer.player?.name || 'Unknown player'}
+                        <span className={direction === 'in' ? 'text-green-700' : 'text-gray-500'}> · {text}</span>
+                        {transfer.note && <span className="text-xs text-gray-400"> · {transfer.note}</span>}
+                      </span>
+                      <span className="text-xs text-gray-500">Effective {formatDate(transfer.effective_date)}</span>
+                    </li>
+                  )
+                })}
+              </ul>
+            </div>
+          )}
+
           <div className="mt-6 flex justify-between items-center text-sm text-gray-600">
-            <p>{players.length} player{players.length !== 1 ? 's' : ''} on roster</p>
+            <p>{rosterPlayers.length} player{rosterPlayers.length !== 1 ? 's' : ''} on roster</p>
             <button
               onClick={onClose}
               className="btn btn-secondary"
@@ -326,9 +431,24 @@ export default function TeamPlayersModal({ team, isCoach, onClose }) {
         />
       )}
 
-      {!isCoach && deletingPlayer && (
+      {!isCoach && transferringPlayer && (
+        <TransferPlayerModal
+          player={transferringPlayer}
+          team={team}
+          onClose={() => setTransferringPlayer(null)}
+          onSuccess={(toTeam) => {
+            setTransferringPlayer(null)
+            fetchPlayers()
+            fetchTransfers()
+            setSuccess(`${transferringPlayer.name} transferred to ${toTeam?.name || 'the new team'}`)
+            setTimeout(() => setSuccess(null), 3000)
+          }}
+        />
+      )}
+
+      {isSuperAdmin && deletingPlayer && (
         <PlayerDeleteConfirmationModal
-          playerName={deletingPlayer.name}
+          player={deletingPlayer}
           onConfirm={() => handleDelete(deletingPlayer.id)}
           onClose={() => setDeletingPlayer(null)}
         />
@@ -342,21 +462,39 @@ function PlayerFormModal({ teamId, player, onClose, onSuccess, onError }) {
   const [formData, setFormData] = useState({
     name: player?.name || '',
     age: player?.age || '',
+    birthdate: player?.birthdate || '',
     jersey_number: player?.jersey_number || ''
   })
   const [submitting, setSubmitting] = useState(false)
+  const [ageCutoff, setAgeCutoff] = useState(null) // League ages are taken on this date
+
+  useEffect(() => {
+    fetchTeamAgeCutoff(supabase, teamId)
+      .then(setAgeCutoff)
+      .catch(err => onError(err.message))
+  }, [teamId])
+
+  const leagueAge = formData.birthdate ? calculateLeagueAge(formData.birthdate, ageCutoff) : null
 
   const handleSubmit = async (e) => {
     e.preventDefault()
     setSubmitting(true)
 
     try {
+      if (formData.birthdate) {
+        const birthdateError = validateBirthdate(formData.birthdate, ageCutoff)
+        if (birthdateError) throw new Error(birthdateError)
+      }
+
+      const age = formData.birthdate ? leagueAge : parseInt(formData.age)
+
       if (isEditMode) {
         const { error } = await supabase
           .from('players')
           .update({
             name: formData.name,
-            age: parseInt(formData.age),
+            age,
+            birthdate: formData.birthdate || null,
             jersey_number: formData.jersey_number || null
           })
           .eq('id', player.id)
@@ -368,7 +506,8 @@ function PlayerFormModal({ teamId, player, onClose, onSuccess, onError }) {
           .insert([{
             team_id: teamId,
             name: formData.name,
-            age: parseInt(formData.age),
+            age,
+            birthdate: formData.birthdate || null,
             jersey_number: formData.jersey_number || null
           }])
 
@@ -407,16 +546,30 @@ function PlayerFormModal({ teamId, player, onClose, onSuccess, onError }) {
           </div>
 
           <div>
-            <label className="label">Age *</label>
+            <label className="label">Birthdate (optional)</label>
+            <input
+              type="date"
+              className="input"
+              value={formData.birthdate}
+              onChange={(e) => setFormData({ ...formData, birthdate: e.target.value })}
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              With a birthdate, the age is the player's league age for the season
+            </p>
+          </div>
+
+          <div>
+            <label className="label">{formData.birthdate ? 'League Age' : 'Age *'}</label>
             <input
               type="number"
               min="6"
               max="12"
               className="input"
-              value={formData.age}
+              value={formData.birthdate ? (leagueAge ?? '') : formData.age}
               onChange={(e) => setFormData({ ...formData, age: e.target.value })}
               onWheel={(e) => e.target.blur()}
-              required
+              required={!formData.birthdate}
+              disabled={!!formData.birthdate}
             />
           </div>
 
@@ -465,7 +618,8 @@ function BulkAddModal({ teamId, onClose, onSuccess, onError }) {
     setModalError(null)
 
     try {
-      const players = parsePlayerCsv(csvData, teamId)
+      const ageCutoff = await fetchTeamAgeCutoff(supabase, teamId)
+      const players = parsePlayerCsv(csvData, teamId, ageCutoff)
 
       const { error } = await supabase
         .from('players')
@@ -505,17 +659,17 @@ function BulkAddModal({ teamId, onClose, onSuccess, onError }) {
               value={csvData}
               onChange={(e) => setCsvData(e.target.value)}
               required
-              placeholder="Name, Age, Jersey# (optional)&#10;John Smith, 12, 5&#10;Jane Doe, 11, 7&#10;Bob Johnson, 13"
+              placeholder="Name, Age or Birthdate, Jersey# (optional)&#10;John Smith, 12, 5&#10;Jane Doe, 2015-04-20, 7&#10;Bob Johnson, 11"
             />
             <div className="mt-2 p-3 bg-blue-50 border border-blue-200 rounded text-sm">
-              <p><strong>Format:</strong> Name, Age, Jersey# (optional)</p>
+              <p><strong>Format:</strong> Name, Age or Birthdate (YYYY-MM-DD), Jersey# (optional)</p>
               <p className="mt-1"><strong>Example:</strong></p>
               <pre className="mt-1 text-xs bg-white p-2 rounded border">John Smith, 12, 5
-Jane Doe, 11, 7
-Bob Johnson, 13</pre>
+Jane Doe, 2015-04-20, 7
+Bob Johnson, 11</pre>
               <p className="mt-2 text-xs text-gray-600">
                 • One player per line<br />
-                • Age must be 6-12<br />
+                • Age must be 6-12; a birthdate gives the league age for the season<br />
                 • Jersey numbers must be unique on this team<br />
                 • Jersey number is optional (leave blank for no jersey)
               </p>
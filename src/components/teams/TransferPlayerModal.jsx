@@ -0,0 +1,149 @@
+import { useState, useEffect } from 'react'
+import { supabase } from '../../lib/supabase'
+import { transferPlayer } from '../../lib/playerTransfers'
+
+/**
+ * TransferPlayerModal Component
+ *
+ * Moves a player to another team of the same season from an effective
+ * date (today or earlier). The player's pitch counts and rest days go with them; games they
+ * already played stay with their current team.
+ */
+export default function TransferPlayerModal({ player, team, onClose, onSuccess }) {
+  const today = new Date().toISOString().split('T')[0]
+  const [teams, setTeams] = useState([])
+  const [formData, setFormData] = useState({
+    to_team_id: '',
+    effective_date: today,
+    note: ''
+  })
+  const [submitting, setSubmitting] = useState(false)
+  const [modalError, setModalError] = useState(null)
+
+  useEffect(() => {
+    fetchTeams()
+  }, [team.id])
+
+  const fetchTeams = async () => {
+    try {
+      const { data, error } = await supabase
+        .from('teams')
+        .select('id, name, division')
+        .eq('season_id', team.season_id)
+        .neq('id', team.id)
+        .order('division')
+        .order('name')
+
+      if (error) throw error
+      setTeams(data || [])
+    } catch (err) {
+      setModalError(err.message)
+    }
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSubmitting(true)
+    setModalError(null)
+
+    try {
+      await transferPlayer(supabase, {
+        playerId: player.id,
+        toTeamId: formData.to_team_id,
+        effectiveDate: formData.effective_date,
+        note: formData.note
+      })
+
+      const toTeam = teams.find(t => t.id === formData.to_team_id)
+      onSuccess(toTeam)
+    } catch (err) {
+      setModalError(err.message)
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[60] p-4">
+      <div className="bg-white rounded-lg max-w-md w-full p-6">
+        <h3 className="text-xl font-bold mb-1">Transfer Player</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          {player.jersey_number && `#${player.jersey_number} `}{player.name} · currently on {team.name}
+        </p>
+
+        {modalError && (
+          <div className="alert alert-error mb-4">
+            {modalError}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="label">New Team *</label>
+            <select
+              className="input"
+              value={formData.to_team_id}
+              onChange={(e) => setFormData({ ...formData, to_team_id: e.target.value })}
+              required
+            >
+              <option value="">Select a team</option>
+              {teams.map(t => (
+                <option key={t.id} value={t.id}>
+                  {t.name} ({t.division})
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="label">Effective Date *</label>
+            <input
+              type="date"
+              className="input"
+              value={formData.effective_date}
+              max={today}
+              onChange={(e) => setFormData({ ...formData, effective_date: e.target.value })}
+              required
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              First day on the new team. Must be after the player's last game for {team.name} and no later than today; record future moves on the day they happen.
+            </p>
+          </div>
+
+          <div>
+            <label className="label">Note (optional)</label>
+            <input
+              type="text"
+              className="input"
+              placeholder="e.g., Moved up to Major"
+              value={formData.note}
+              onChange={(e) => setFormData({ ...formData, note: e.target.value })}
+            />
+          </div>
+
+          <p className="text-xs text-gray-600 bg-blue-50 border border-blue-200 rounded p-2">
+            Pitch counts and rest days go with the player. Games already played stay with {team.name}.
+          </p>
+
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="btn btn-secondary flex-1"
+              disabled={submitting}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="btn btn-primary flex-1"
+              disabled={submitting || teams.length === 0}
+            >
+              {submitting ? 'Transferring...' : 'Transfer'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
@@ -15,6 +15,10 @@
 import { supabase } from './supabase'
 import JSZip from 'jszip'
 import { parseLocalDate, getOfficialPitchCount, formatDate } from './pitchCountUtils'
+import { formatGameOutcome } from './gameStatus'
+import { getPitchDate, isResumedInning } from './suspendedGames'
+import { getLeagueAge, getSeasonAgeCutoff } from './leagueAge'
+import { buildGamePlayerTeams } from './playerTransfers'
 
 /**
  * Fetch all season data including all related tables (ACCEPTS DEPENDENCY)
@@ -201,6 +205,27 @@ export async function exportSeasonBackup(seasonId) {
   browserDownloadFile(json, filename, 'application/json')
 }
 
+/**
+ * Format a game's score cell for the HTML report (home score first)
+ * Games without a final score show their status instead.
+ *
+ * @param {Object} game - games record
+ * @param {Object} teamLookup - Team records keyed by id
+ * @returns {string} e.g. "7 - 4", "Postponed", "Forfeit by Cubs"
+ */
+function formatScoreCell(game, teamLookup) {
+  const status = game.status || 'final'
+  if (status === 'final' || status === 'in_progress') {
+    const score = `${game.home_score ?? '-'} - ${game.away_score ?? '-'}`
+    return status === 'in_progress' ? `${score} (in progress)` : score
+  }
+  return formatGameOutcome({
+    ...game,
+    home_team: teamLookup[game.home_team_id],
+    away_team: teamLookup[game.away_team_id]
+  })
+}
+
 /**
  * Convert array of objects to CSV string
  *
@@ -264,6 +289,7 @@ function arrayToCSV(data, headers) {
 export async function exportSeasonCSV(seasonId) {
   const data = await fetchSeasonData(supabase, seasonId)
   const zip = new JSZip()
+  const ageCutoff = getSeasonAgeCutoff(data.season)
 
   // Build lookups for efficient data access
   const teamLookup = {}
@@ -276,6 +302,9 @@ export async function exportSeasonCSV(seasonId) {
     playerLookup[player.id] = player
   })
 
+  // Game records list players under the team they played for (players can transfer mid-season)
+  const gamePlayerTeams = buildGamePlayerTeams(data.gamePlayers)
+
   // Division sorting order
   const divOrder = { 'Training': 1, 'Minor': 2, 'Major': 3 }
 
@@ -289,7 +318,8 @@ export async function exportSeasonCSV(seasonId) {
         division: team.division,
         teamName: team.name,
         playerName: player.name,
-        age: player.age,
+        age: getLeagueAge(player, ageCutoff),
+        birthdate: player.birthdate || '',
         jerseyNumber: player.jersey_number || ''
       })
     }
@@ -306,7 +336,7 @@ export async function exportSeasonCSV(seasonId) {
     return a.playerName.localeCompare(b.playerName)
   })
 
-  const rosterCSV = arrayToCSV(rosterData, ['division', 'teamName', 'playerName', 'age', 'jerseyNumber'])
+  const rosterCSV = arrayToCSV(rosterData, ['division', 'teamName', 'playerName', 'age', 'birthdate', 'jerseyNumber'])
   zip.file('teams_roster.csv', rosterCSV)
 
   // 2. CREATE GAMES.CSV
@@ -319,8 +349,9 @@ export async function exportSeasonCSV(seasonId) {
       date: game.game_date,
       homeTeam: homeTeam?.name || 'Unknown',
       awayTeam: awayTeam?.name || 'Unknown',
-      homeScore: game.home_score || 0,
-      awayScore: game.away_score || 0
+      homeScore: game.home_score ?? '',
+      awayScore: game.away_score ?? '',
+      status: game.status || 'final'
     }
   })
 
@@ -332,7 +363,7 @@ export async function exportSeasonCSV(seasonId) {
     return new Date(a.date) - new Date(b.date)
   })
 
-  const gamesCSV = arrayToCSV(gamesData, ['division', 'date', 'homeTeam', 'awayTeam', 'homeScore', 'awayScore'])
+  const gamesCSV = arrayToCSV(gamesData, ['division', 'date', 'homeTeam', 'awayTeam', 'homeScore', 'awayScore', 'status'])
   zip.file('games.csv', gamesCSV)
 
   // 3. CREATE PITCHING_CATCHING_LOG.CSV
@@ -355,26 +386,27 @@ export async function exportSeasonCSV(seasonId) {
     const player = playerLookup[log.player_id]
     const game = data.games.find(g => g.id === log.game_id)
     if (player && game) {
-      const team = teamLookup[player.team_id]
+      const team = teamLookup[gamePlayerTeams[`${log.player_id}_${log.game_id}`] || player.team_id]
       const homeTeam = teamLookup[game.home_team_id]
       const awayTeam = teamLookup[game.away_team_id]
 
-      // Get innings from positions_played
+      // Get innings from positions_played (a suspended game's logs cover one date each)
       const key = `${log.player_id}_${log.game_id}`
-      const innings = pitchingInningsByPlayerGame[key] || []
+      const innings = (pitchingInningsByPlayerGame[key] || [])
+        .filter(inning => isResumedInning(game, inning) === !!log.resumed)
       const inningsStr = innings.sort((a, b) => a - b).join(',')
 
       logData.push({
         division: team?.division || 'Unknown',
         team: team?.name || 'Unknown',
         playerName: player.name,
-        age: player.age,
+        age: getLeagueAge(player, ageCutoff),
         jerseyNumber: player.jersey_number || '',
         position: 'Pitch',
         innings: inningsStr,
         finalPitchCount: log.final_pitch_count,
         officialPitchCount: getOfficialPitchCount(log.penultimate_batter_count),
-        date: game.game_date,
+        date: getPitchDate(game, log),
         game: `${homeTeam?.name || 'Unknown'} vs ${awayTeam?.name || 'Unknown'}`
       })
     }
@@ -402,7 +434,7 @@ export async function exportSeasonCSV(seasonId) {
     const player = playerLookup[catchData.player_id]
     const game = data.games.find(g => g.id === catchData.game_id)
     if (player && game) {
-      const team = teamLookup[player.team_id]
+      const team = teamLookup[gamePlayerTeams[`${catchData.player_id}_${catchData.game_id}`] || player.team_id]
       const homeTeam = teamLookup[game.home_team_id]
       const awayTeam = teamLookup[game.away_team_id]
 
@@ -413,7 +445,7 @@ export async function exportSeasonCSV(seasonId) {
         division: team?.division || 'Unknown',
         team: team?.name || 'Unknown',
         playerName: player.name,
-        age: player.age,
+        age: getLeagueAge(player, ageCutoff),
         jerseyNumber: player.jersey_number || '',
         position: 'Catch',
         innings: inningsStr,
@@ -445,7 +477,7 @@ export async function exportSeasonCSV(seasonId) {
       const player = playerLookup[gp.player_id]
       const game = data.games.find(g => g.id === gp.game_id)
       if (player && game) {
-        const team = teamLookup[player.team_id]
+        const team = teamLookup[gamePlayerTeams[`${gp.player_id}_${gp.game_id}`] || player.team_id]
         absentData.push({
           division: team?.division || 'Unknown',
           playerName: player.name,
@@ -506,6 +538,7 @@ export async function exportSeasonCSV(seasonId) {
  */
 export async function exportSeasonHTML(seasonId) {
   const data = await fetchSeasonData(supabase, seasonId)
+  const ageCutoff = getSeasonAgeCutoff(data.season)
 
   // Build team lookup for easy reference
   const teamLookup = {}
@@ -519,6 +552,9 @@ export async function exportSeasonHTML(seasonId) {
     playerLookup[player.id] = player
   })
 
+  // Game records list players under the team they played for (players can transfer mid-season)
+  const gamePlayerTeams = buildGamePlayerTeams(data.gamePlayers)
+
   // Group players by team
   const playersByTeam = {}
   data.players.forEach(player => {
@@ -554,7 +590,7 @@ export async function exportSeasonHTML(seasonId) {
     )
   })
 
-  // Group pitching logs by division (based on player's team division)
+  // Group pitching logs by division (based on the division of the team the player pitched for)
   const logsByDivision = {
     'Training': [],
     'Minor': [],
@@ -564,7 +600,7 @@ export async function exportSeasonHTML(seasonId) {
   data.pitchingLogs.forEach(log => {
     const player = playerLookup[log.player_id]
     if (player) {
-      const team = teamLookup[player.team_id]
+      const team = teamLookup[gamePlayerTeams[`${log.player_id}_${log.game_id}`] || player.team_id]
       if (team) {
         logsByDivision[team.division].push(log)
       }
@@ -754,7 +790,7 @@ export async function exportSeasonHTML(seasonId) {
                 <tr>
                   <td><strong>${player.jersey_number || 'N/A'}</strong></td>
                   <td>${player.name}</td>
-                  <td>${player.age}</td>
+                  <td>${getLeagueAge(player, ageCutoff)}</td>
                 </tr>
               `).join('')}
             </tbody>
@@ -778,7 +814,7 @@ export async function exportSeasonHTML(seasonId) {
                   <td>${formatDate(game.game_date)}</td>
                   <td>${teamLookup[game.home_team_id]?.name || 'Unknown'}</td>
                   <td>${teamLookup[game.away_team_id]?.name || 'Unknown'}</td>
-                  <td><strong>${game.home_score || 0} - ${game.away_score || 0}</strong></td>
+                  <td><strong>${formatScoreCell(game, teamLookup)}</strong></td>
                 </tr>
               `).join('')}
             </tbody>
@@ -813,7 +849,7 @@ export async function exportSeasonHTML(seasonId) {
             <td>${formatDate(game.game_date)}</td>
             <td>${teamLookup[game.home_team_id]?.name || 'Unknown'}</td>
             <td>${teamLookup[game.away_team_id]?.name || 'Unknown'}</td>
-            <td><strong>${game.home_score || 0} - ${game.away_score || 0}</strong></td>
+            <td><strong>${formatScoreCell(game, teamLookup)}</strong></td>
             <td>${game.scorekeeper_name || 'N/A'}</td>
           </tr>
         `).join('')}
@@ -847,7 +883,7 @@ export async function exportSeasonHTML(seasonId) {
         ${divisionLogs.map(log => {
           const game = data.games.find(g => g.id === log.game_id)
           const player = playerLookup[log.player_id]
-          const team = player ? teamLookup[player.team_id] : null
+          const team = player ? teamLookup[gamePlayerTeams[`${log.player_id}_${log.game_id}`] || player.team_id] : null
           return `
             <tr>
               <td>${game ? formatDate(game.game_date) : 'N/A'}</td>
@@ -0,0 +1,95 @@
+/**
+ * Fielding positions recorded in positions_played
+ *
+ * Pitcher and catcher innings are always recorded; the other seven defensive
+ * positions and the bench are optional. Game Entry keeps pitcher and catcher
+ * innings in innings_pitched / innings_caught and everything else in
+ * fielding_positions, a map of inning -> position. A player counts as
+ * tracked once any inning besides pitching or catching is recorded for them,
+ * and only tracked players are checked against Rules 7 and 8.
+ */
+
+export const BENCH_POSITION = 'bench'
+
+/** positions_played.position values -> scorebook abbreviations, in scorebook order */
+export const POSITION_CODES = {
+  pitcher: 'P',
+  catcher: 'C',
+  first_base: '1B',
+  second_base: '2B',
+  shortstop: 'SS',
+  third_base: '3B',
+  left_field: 'LF',
+  center_field: 'CF',
+  right_field: 'RF',
+  bench: 'Bench'
+}
+
+/** Positions kept in fielding_positions (everything but pitcher and catcher) */
+export const FIELDING_POSITIONS = Object.keys(POSITION_CODES).filter(position =>
+  position !== 'pitcher' && position !== 'catcher'
+)
+
+/**
+ * Get a player's fielding positions from their positions_played records
+ *
+ * @param {Array} positions - One player's positions_played records
+ * @returns {Object} Map of inning -> position (pitcher and catcher innings left out)
+ *
+ * @example
+ * getFieldingPositions([{ inning_number: 1, position: 'pitcher' }, { inning_number: 2, position: 'shortstop' }])
+ * // returns { 2: 'shortstop' }
+ */
+export function getFieldingPositions(positions) {
+  const fielding = {}
+  positions.forEach(pos => {
+    if (FIELDING_POSITIONS.includes(pos.position)) fielding[pos.inning_number] = pos.position
+  })
+  return fielding
+}
+
+/**
+ * Build the positions_played rows for a Game Entry player
+ * A fielding position recorded for an inning the player pitched or caught is dropped.
+ *
+ * @param {Object} player - Game Entry player record
+ * @returns {Array<{player_id: string, inning_number: number, position: string}>}
+ */
+export function buildPlayerPositions(player) {
+  const battery = new Set([...player.innings_pitched, ...player.innings_caught])
+  const row = (inning, position) => ({ player_id: player.id, inning_number: inning, position })
+
+  return [
+    ...player.innings_pitched.map(inning => row(inning, 'pitcher')),
+    ...player.innings_caught.map(inning => row(inning, 'catcher')),
+    ...Object.entries(player.fielding_positions || {})
+      .map(([inning, position]) => [parseInt(inning), position])
+      .filter(([inning, position]) => position && !battery.has(inning))
+      .sort(([a], [b]) => a - b)
+      .map(([inning, position]) => row(inning, position))
+  ]
+}
+
+/**
+ * Check whether any fielding beyond pitcher and catcher was recorded
+ *
+ * @param {Array} positions - positions_played records
+ * @returns {boolean}
+ */
+export function hasRecordedFielding(positions) {
+  return positions.some(pos => FIELDING_POSITIONS.includes(pos.position))
+}
+
+/**
+ * Format a fielding_positions map for display
+ *
+ * @param {Object|null} fielding - Map of inning -> position
+ * @returns {string} e.g. "1: SS, 2: Bench"; '' when nothing is recorded
+ */
+export function formatFieldingPositions(fielding) {
+  return Object.entries(fielding || {})
+    .filter(([, position]) => position)
+    .sort(([a], [b]) => a - b)
+    .map(([inning, position]) => `${inning}: ${POSITION_CODES[position] || position}`)
+    .join(', ')
+}
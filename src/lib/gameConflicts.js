@@ -0,0 +1,314 @@
+/**
+ * Concurrent-edit detection for games
+ *
+ * save_game() refuses to overwrite a game whose updated_at no longer matches
+ * the version the editor loaded (SQLSTATE TL409). The editor then fetches the
+ * server's version and compares three versions field by field: the one it
+ * loaded (base), its own edits (mine) and the server's (theirs). Fields only
+ * the other scorekeeper changed default to theirs; everything else defaults
+ * to mine, and the user can pick per field before saving the merge.
+ */
+
+import { fetchEligibilityDatesBeforeDate } from './pitcherEligibility'
+import { fetchResumeEligibilityDates, pitchingLogsToPlayerCounts } from './suspendedGames'
+import { formatFieldingPositions, getFieldingPositions } from './fieldingPositions'
+import { getGamePlayerTeamId } from './playerTransfers'
+
+// SQLSTATE raised by save_game() when the game changed since it was loaded
+export const GAME_CONFLICT_CODE = 'TL409'
+
+/** Game fields compared between versions (form data keys) */
+export const GAME_CONFLICT_FIELDS = [
+  { key: 'game_date', label: 'Game date' },
+  { key: 'start_time', label: 'Start time' },
+  { key: 'home_team_id', label: 'Home team' },
+  { key: 'away_team_id', label: 'Away team' },
+  { key: 'status', label: 'Status' },
+  { key: 'forfeiting_team_id', label: 'Forfeiting team' },
+  { key: 'suspended_after_inning', label: 'Suspended after inning' },
+  { key: 'resume_date', label: 'Resume date' },
+  { key: 'home_score', label: 'Home score' },
+  { key: 'away_score', label: 'Away score' },
+  { key: 'scorekeeper_name', label: 'Scorekeeper' },
+  { key: 'scorekeeper_team_id', label: 'Scorekeeper team' },
+  { key: 'notes', label: 'Notes' }
+]
+
+/** Player fields compared between versions (Game Entry player record keys) */
+export const PLAYER_CONFLICT_FIELDS = [
+  { key: 'was_present', label: 'Attendance' },
+  { key: 'absence_note', label: 'Absence note' },
+  { key: 'innings_pitched', label: 'Innings pitched' },
+  { key: 'innings_caught', label: 'Innings caught' },
+  { key: 'fielding_positions', label: 'Fielding positions' },
+  { key: 'penultimate_batter_count', label: 'Pitches before last batter' },
+  { key: 'final_pitch_count', label: 'Final pitch count' },
+  { key: 'resumed_penultimate_batter_count', label: 'Pitches before last batter after resuming' },
+  { key: 'resumed_final_pitch_count', label: 'Final pitch count after resuming' }
+]
+
+/**
+ * Check whether a save failed because someone else saved the game first
+ *
+ * @param {Error|Object} err - Thrown error or Supabase error
+ * @returns {boolean}
+ */
+export function isGameConflictError(err) {
+  return err?.code === GAME_CONFLICT_CODE
+}
+
+/**
+ * Convert a games row into Game Entry form data (values as strings)
+ *
+ * @param {Object} game - games record
+ * @returns {Object} Form data
+ */
+export function gameToFormData(game) {
+  return {
+    game_date: game.game_date || '',
+    start_time: game.start_time?.slice(0, 5) || '',
+    scorekeeper_name: game.scorekeeper_name || '',
+    scorekeeper_team_id: game.scorekeeper_team_id || '',
+    home_team_id: game.home_team_id || '',
+    away_team_id: game.away_team_id || '',
+    home_score: game.home_score?.toString() || '',
+    away_score: game.away_score?.toString() || '',
+    notes: game.notes || '',
+    status: game.status || 'final',
+    forfeiting_team_id: game.forfeiting_team_id || '',
+    suspended_after_inning: game.suspended_after_inning?.toString() || '',
+    resume_date: game.resume_date || ''
+  }
+}
+
+/**
+ * Fetch a game as Game Entry edits it: the game row plus one record per player
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} gameId - Game UUID
+ * @returns {Promise<{game: Object, homePlayers: Array, awayPlayers: Array}|null>} null if the game no longer exists
+ */
+export async function fetchGameVersion(supabaseClient, gameId) {
+  const { data: game, error: gameError } = await supabaseClient
+    .from('games')
+    .select('*')
+    .eq('id', gameId)
+    .maybeSingle()
+
+  if (gameError) throw gameError
+  if (!game) return null
+
+  const [playersRes, logsRes, positionsRes] = await Promise.all([
+    supabaseClient
+      .from('game_players')
+      .select(`
+        *,
+        player:players(*)
+      `)
+      .eq('game_id', gameId),
+    supabaseClient
+      .from('pitching_logs')
+      .select('*')
+      .eq('game_id', gameId),
+    supabaseClient
+      .from('positions_played')
+      .select('*')
+      .eq('game_id', gameId)
+  ])
+
+  if (playersRes.error) throw playersRes.error
+  if (logsRes.error) throw logsRes.error
+  if (positionsRes.error) throw positionsRes.error
+
+  const gamePlayers = playersRes.data || []
+  const playerIds = gamePlayers.map(gp => gp.player_id)
+  const eligibility = await fetchEligibilityDatesBeforeDate(supabaseClient, playerIds, game.game_date)
+  const resumeEligibility = await fetchResumeEligibilityDates(supabaseClient, playerIds, game)
+
+  const homePlayers = []
+  const awayPlayers = []
+
+  gamePlayers.forEach(gp => {
+    const logs = (logsRes.data || []).filter(pl => pl.player_id === gp.player_id)
+    const positions = (positionsRes.data || []).filter(pp => pp.player_id === gp.player_id)
+    const inningsFor = (position) => positions
+      .filter(p => p.position === position)
+      .map(p => p.inning_number)
+      .sort((a, b) => a - b)
+
+    const playerData = {
+      ...gp.player,
+      team_id: getGamePlayerTeamId(gp), // The team played for; the player may have transferred since
+      was_present: gp.was_present,
+      absence_note: gp.absence_note || '',
+      innings_pitched: inningsFor('pitcher'),
+      innings_caught: inningsFor('catcher'),
+      fielding_positions: getFieldingPositions(positions),
+      ...pitchingLogsToPlayerCounts(logs),
+      previousNextEligibleDate: eligibility[gp.player_id] || null,
+      resumePreviousNextEligibleDate: resumeEligibility[gp.player_id] || null
+    }
+
+    if (playerData.team_id === game.home_team_id) {
+      homePlayers.push(playerData)
+    } else {
+      awayPlayers.push(playerData)
+    }
+  })
+
+  return { game, homePlayers, awayPlayers }
+}
+
+// Compare values as the form shows them (innings order and number/string differences don't count)
+function sameValue(a, b) {
+  if (isPlainObject(a) || isPlainObject(b)) {
+    return formatFieldingPositions(a) === formatFieldingPositions(b)
+  }
+  if (Array.isArray(a) || Array.isArray(b)) {
+    const sortedA = [...(a || [])].sort((x, y) => x - y)
+    const sortedB = [...(b || [])].sort((x, y) => x - y)
+    return sortedA.length === sortedB.length && sortedA.every((v, i) => v === sortedB[i])
+  }
+  return String(a ?? '') === String(b ?? '')
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+function compareField(key, label, base, mine, theirs) {
+  if (sameValue(mine, theirs)) return null
+
+  let changedBy = 'both'
+  if (sameValue(mine, base)) changedBy = 'theirs'
+  else if (sameValue(theirs, base)) changedBy = 'mine'
+
+  return {
+    key,
+    label,
+    base,
+    mine,
+    theirs,
+    changedBy, // mine | theirs | both
+    defaultChoice: changedBy === 'theirs' ? 'theirs' : 'mine'
+  }
+}
+
+/**
+ * Compare the loaded, edited and server versions of a game field by field
+ * Only fields where the edited and server versions differ are returned.
+ *
+ * @param {Object} base - Version the editor loaded ({ formData, players })
+ * @param {Object} mine - The editor's version ({ formData, players })
+ * @param {Object} theirs - The server's current version ({ formData, players })
+ * @returns {{gameFields: Array, players: Array<{playerId: string, name: string, jerseyNumber: string|null, fields: Array}>}}
+ *   Each field: { key, label, base, mine, theirs, changedBy, defaultChoice }.
+ *   A player missing from a version has `undefined` values there.
+ *
+ * @example
+ * diffGameVersions(base, mine, theirs).players[0].fields[0]
+ * // { key: 'final_pitch_count', label: 'Final pitch count', base: '40', mine: '40', theirs: '44', changedBy: 'theirs', defaultChoice: 'theirs' }
+ */
+export function diffGameVersions(base, mine, theirs) {
+  const gameFields = GAME_CONFLICT_FIELDS
+    .map(({ key, label }) => compareField(key, label, base.formData[key], mine.formData[key], theirs.formData[key]))
+    .filter(Boolean)
+
+  const byId = (players) => new Map(players.map(p => [p.id, p]))
+  const basePlayers = byId(base.players)
+  const minePlayers = byId(mine.players)
+  const theirPlayers = byId(theirs.players)
+  const playerIds = [...new Set([...minePlayers.keys(), ...theirPlayers.keys()])]
+
+  const players = playerIds
+    .map(playerId => {
+      const basePlayer = basePlayers.get(playerId)
+      const minePlayer = minePlayers.get(playerId)
+      const theirPlayer = theirPlayers.get(playerId)
+      const player = minePlayer || theirPlayer
+
+      const fields = PLAYER_CONFLICT_FIELDS
+        .map(({ key, label }) => compareField(key, label, basePlayer?.[key], minePlayer?.[key], theirPlayer?.[key]))
+        .filter(Boolean)
+
+      return { playerId, name: player.name, jerseyNumber: player.jersey_number || null, fields }
+    })
+    .filter(p => p.fields.length > 0)
+    .sort((a, b) => a.name.localeCompare(b.name))
+
+  return { gameFields, players }
+}
+
+/**
+ * Get the key used for a field in the merge choices map
+ *
+ * @param {string|null} playerId - Player UUID, or null for a game field
+ * @param {string} field - Field key
+ * @returns {string} e.g. "game:home_score" or "p1:final_pitch_count"
+ */
+export function conflictChoiceKey(playerId, field) {
+  return `${playerId || 'game'}:${field}`
+}
+
+/**
+ * Get the default choice for every differing field
+ *
+ * @param {Object} diff - Result of diffGameVersions()
+ * @returns {Object} Map of choice key -> 'mine' | 'theirs'
+ */
+export function getDefaultConflictChoices(diff) {
+  const choices = {}
+  diff.gameFields.forEach(f => {
+    choices[conflictChoiceKey(null, f.key)] = f.defaultChoice
+  })
+  diff.players.forEach(p => {
+    p.fields.forEach(f => {
+      choices[conflictChoiceKey(p.playerId, f.key)] = f.defaultChoice
+    })
+  })
+  return choices
+}
+
+/**
+ * Merge the editor's and the server's versions using per-field choices
+ * Fields without a choice keep the editor's value. Players are placed on the
+ * home or away side of the merged teams; players on neither team are dropped.
+ *
+ * @param {Object} mine - The editor's version ({ formData, players })
+ * @param {Object} theirs - The server's version ({ formData, players })
+ * @param {Object} choices - Map of choice key -> 'mine' | 'theirs'
+ * @returns {{formData: Object, homePlayers: Array, awayPlayers: Array}}
+ */
+export function mergeGameVersions(mine, theirs, choices) {
+  const pick = (playerId, key, mineValue, theirValue) =>
+    choices[conflictChoiceKey(playerId, key)] === 'theirs' ? theirValue : mineValue
+
+  const formData = { ...mine.formData }
+  GAME_CONFLICT_FIELDS.forEach(({ key }) => {
+    formData[key] = pick(null, key, mine.formData[key], theirs.formData[key])
+  })
+
+  const theirPlayers = new Map(theirs.players.map(p => [p.id, p]))
+  const mineIds = new Set(mine.players.map(p => p.id))
+
+  const merged = [
+    ...mine.players.map(minePlayer => {
+      const theirPlayer = theirPlayers.get(minePlayer.id)
+      if (!theirPlayer) return minePlayer
+
+      const player = { ...minePlayer }
+      PLAYER_CONFLICT_FIELDS.forEach(({ key }) => {
+        player[key] = pick(minePlayer.id, key, minePlayer[key], theirPlayer[key])
+      })
+      return player
+    }),
+    ...theirs.players.filter(p => !mineIds.has(p.id))
+  ]
+
+  return {
+    formData,
+    homePlayers: merged.filter(p => p.team_id === formData.home_team_id),
+    awayPlayers: merged.filter(p => p.team_id === formData.away_team_id)
+  }
+}
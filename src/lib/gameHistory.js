@@ -0,0 +1,290 @@
+/**
+ * Game edit history
+ *
+ * Database triggers record every insert, update and delete of games,
+ * game_players, pitching_logs and positions_played in game_audit_log, with
+ * the acting user and before/after row snapshots. Each save runs in one
+ * transaction, so grouping the log by transaction_id and replaying it gives
+ * the full state of the game after every save (a "version").
+ */
+
+import { fetchPitchSmartRules } from './pitchSmartRules'
+import { fetchEarlierPitchesToday, fetchEligibilityDatesBeforeDate } from './pitcherEligibility'
+import { diffGameVersions, gameToFormData } from './gameConflicts'
+import { saveGameRecord } from './gameSave'
+import { fetchResumeEligibilityDates, pitchingLogsToPlayerCounts } from './suspendedGames'
+import { getFieldingPositions } from './fieldingPositions'
+import { canChangeGameStatus } from './gameStatus'
+
+const SNAPSHOT_TABLES = {
+  game_players: 'attendance',
+  pitching_logs: 'pitchingLogs',
+  positions_played: 'positions'
+}
+
+/**
+ * Rebuild the game's state after each saved transaction
+ *
+ * @param {Array} auditRows - game_audit_log records for one game, in any order
+ * @returns {Array<{id: string, changedAt: string, changedBy: string|null, snapshot: Object}>}
+ *   Oldest first. snapshot = { game, attendance, pitchingLogs, positions }; game is null once deleted.
+ */
+export function buildGameVersions(auditRows) {
+  const rows = [...auditRows].sort((a, b) => a.changed_at.localeCompare(b.changed_at))
+
+  // Group by transaction, in the order the transactions started
+  const transactions = new Map()
+  rows.forEach(row => {
+    const id = String(row.transaction_id)
+    if (!transactions.has(id)) transactions.set(id, [])
+    transactions.get(id).push(row)
+  })
+
+  const state = new Map()
+  return [...transactions.entries()].map(([id, txRows]) => {
+    txRows.forEach(row => {
+      const key = `${row.table_name}:${row.record_id}`
+      if (row.action === 'DELETE') {
+        state.delete(key)
+      } else {
+        state.set(key, { table: row.table_name, data: row.new_data })
+      }
+    })
+
+    return {
+      id,
+      changedAt: txRows[0].changed_at,
+      changedBy: txRows[0].changer?.name || null,
+      snapshot: snapshotFromState(state)
+    }
+  })
+}
+
+function snapshotFromState(state) {
+  const snapshot = { game: null, attendance: [], pitchingLogs: [], positions: [] }
+  state.forEach(({ table, data }) => {
+    if (table === 'games') {
+      snapshot.game = data
+    } else {
+      snapshot[SNAPSHOT_TABLES[table]].push(data)
+    }
+  })
+  return snapshot
+}
+
+/**
+ * Convert a version snapshot into Game Entry form data and player records
+ *
+ * @param {Object} snapshot - Version snapshot from buildGameVersions()
+ * @param {Object} [playerNames] - Map of player_id -> name
+ * @returns {{formData: Object, players: Array}}
+ */
+export function snapshotToGameVersion(snapshot, playerNames = {}) {
+  const players = snapshot.attendance.map(gp => {
+    const logs = snapshot.pitchingLogs.filter(pl => pl.player_id === gp.player_id)
+    const inningsFor = (position) => snapshot.positions
+      .filter(pp => pp.player_id === gp.player_id && pp.position === position)
+      .map(pp => pp.inning_number)
+      .sort((a, b) => a - b)
+
+    return {
+      id: gp.player_id,
+      name: playerNames[gp.player_id] || 'Unknown player',
+      was_present: gp.was_present,
+      absence_note: gp.absence_note || '',
+      innings_pitched: inningsFor('pitcher'),
+      innings_caught: inningsFor('catcher'),
+      fielding_positions: getFieldingPositions(
+        snapshot.positions.filter(pp => pp.player_id === gp.player_id)
+      ),
+      ...pitchingLogsToPlayerCounts(logs)
+    }
+  })
+
+  return {
+    formData: snapshot.game ? gameToFormData(snapshot.game) : {},
+    players
+  }
+}
+
+/**
+ * Describe what changed between two versions of a game
+ *
+ * @param {Object|null} previous - Earlier snapshot (null for the first version)
+ * @param {Object} next - Later snapshot
+ * @param {Object} [playerNames] - Map of player_id -> name
+ * @returns {{type: 'created'|'deleted'|'trashed'|'restored'|'edited', gameFields: Array, players: Array}}
+ *   Fields are { key, label, before, after }; players are { playerId, name, fields }
+ */
+export function describeVersionChanges(previous, next, playerNames = {}) {
+  if (!next.game) return { type: 'deleted', gameFields: [], players: [] }
+  if (!previous?.game) return { type: 'created', gameFields: [], players: [] }
+  if (next.game.deleted_at && !previous.game.deleted_at) return { type: 'trashed', gameFields: [], players: [] }
+  if (!next.game.deleted_at && previous.game.deleted_at) return { type: 'restored', gameFields: [], players: [] }
+
+  const before = snapshotToGameVersion(previous, playerNames)
+  const after = snapshotToGameVersion(next, playerNames)
+  const diff = diffGameVersions(before, before, after)
+  const toChange = ({ key, label, mine, theirs }) => ({ key, label, before: mine, after: theirs })
+
+  return {
+    type: 'edited',
+    gameFields: diff.gameFields.map(toChange),
+    players: diff.players.map(p => ({ playerId: p.playerId, name: p.name, fields: p.fields.map(toChange) }))
+  }
+}
+
+/**
+ * Fetch a game's versions, newest first, with the changes each one made
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} gameId - Game UUID
+ * @returns {Promise<{versions: Array, playerNames: Object, teamNames: Object}>}
+ *   versions: [{ id, changedAt, changedBy, snapshot, changes }]; the name maps are keyed by id
+ */
+export async function fetchGameHistory(supabaseClient, gameId) {
+  const { data: auditRows, error } = await supabaseClient
+    .from('game_audit_log')
+    .select('id, table_name, record_id, action, new_data, transaction_id, changed_at, changer:user_profiles(name)')
+    .eq('game_id', gameId)
+    .order('changed_at')
+
+  if (error) throw error
+
+  const versions = buildGameVersions(auditRows || [])
+
+  const playerIds = [...new Set((auditRows || [])
+    .filter(row => row.table_name === 'game_players' && row.new_data)
+    .map(row => row.new_data.player_id))]
+
+  const playerNames = {}
+  if (playerIds.length > 0) {
+    const { data: players, error: playersError } = await supabaseClient
+      .from('players')
+      .select('id, name')
+      .in('id', playerIds)
+
+    if (playersError) throw playersError
+    for (const player of players || []) {
+      playerNames[player.id] = player.name
+    }
+  }
+
+  const teamIds = [...new Set((auditRows || [])
+    .filter(row => row.table_name === 'games' && row.new_data)
+    .flatMap(row => [row.new_data.home_team_id, row.new_data.away_team_id, row.new_data.scorekeeper_team_id])
+    .filter(Boolean))]
+
+  const teamNames = {}
+  if (teamIds.length > 0) {
+    const { data: teams, error: teamsError } = await supabaseClient
+      .from('teams')
+      .select('id, name')
+      .in('id', teamIds)
+
+    if (teamsError) throw teamsError
+    for (const team of teams || []) {
+      teamNames[team.id] = team.name
+    }
+  }
+
+  const withChanges = versions.map((version, i) => ({
+    ...version,
+    changes: describeVersionChanges(versions[i - 1]?.snapshot || null, version.snapshot, playerNames)
+  }))
+
+  return { versions: withChanges.reverse(), playerNames, teamNames }
+}
+
+/**
+ * Save a snapshot's attendance, pitching logs and positions as the game's data
+ * The snapshot is saved like any other edit, so eligibility dates, violations
+ * and later games are recalculated with the season's current rules.
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} params
+ * @param {string} params.gameId - Game UUID
+ * @param {Object} params.snapshot - { game, attendance, pitchingLogs, positions }; without a game
+ *   row the game's current details are kept and only the player data is replaced. A status
+ *   the game can no longer change to (e.g. final after a forfeit) keeps the current one.
+ * @param {string} [params.waiverReason] - Reason recorded for blocking violations the snapshot brings back
+ * @returns {Promise<Object>} See saveGameRecord()
+ * @throws If the game was deleted or changed during the save (GAME_CONFLICT_CODE)
+ */
+export async function saveGameSnapshot(supabaseClient, { gameId, snapshot, waiverReason = '' }) {
+  const { data: current, error: gameError } = await supabaseClient
+    .from('games')
+    .select('*')
+    .eq('id', gameId)
+    .maybeSingle()
+
+  if (gameError) throw gameError
+  if (!current) throw new Error('This game has been deleted')
+
+  let game = snapshot.game || current
+  if (!canChangeGameStatus(current.status || 'final', game.status || 'final')) {
+    game = { ...game, status: current.status, forfeiting_team_id: current.forfeiting_team_id }
+  }
+  const playerIds = snapshot.attendance.map(gp => gp.player_id)
+
+  const [{ data: players, error: playersError }, { data: homeTeam, error: teamError }] = await Promise.all([
+    supabaseClient.from('players').select('*').in('id', playerIds),
+    supabaseClient.from('teams').select('division').eq('id', game.home_team_id).single()
+  ])
+
+  if (playersError) throw playersError
+  if (teamError) throw teamError
+
+  const { rules } = await fetchPitchSmartRules(supabaseClient, game.season_id)
+  const eligibility = await fetchEligibilityDatesBeforeDate(supabaseClient, playerIds, game.game_date)
+  const earlierPitches = await fetchEarlierPitchesToday(supabaseClient, playerIds, { ...game, id: gameId, created_at: current.created_at })
+  const resumeEligibility = await fetchResumeEligibilityDates(supabaseClient, playerIds, { ...game, id: gameId })
+
+  // Players deleted since the snapshot was taken can't be saved
+  const playersById = new Map((players || []).map(p => [p.id, p]))
+  const playerNames = Object.fromEntries((players || []).map(p => [p.id, p.name]))
+  const { players: snapshotPlayers } = snapshotToGameVersion(snapshot, playerNames)
+  const savedPlayers = snapshotPlayers
+    .filter(p => playersById.has(p.id))
+    .map(p => ({
+      ...playersById.get(p.id),
+      ...p,
+      previousNextEligibleDate: eligibility[p.id] || null,
+      earlierPitchesToday: earlierPitches[p.id] || 0,
+      resumePreviousNextEligibleDate: resumeEligibility[p.id] || null
+    }))
+
+  return saveGameRecord(supabaseClient, {
+    gameId,
+    seasonId: game.season_id,
+    division: homeTeam.division,
+    formData: gameToFormData(game),
+    players: savedPlayers,
+    originalGameDate: current.game_date,
+    waiverReason,
+    rules,
+    expectedUpdatedAt: current.updated_at
+  })
+}
+
+/**
+ * Restore a game to an earlier version (admins)
+ * The restore itself appears as a new version in the history.
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} params
+ * @param {string} params.gameId - Game UUID
+ * @param {Object} params.snapshot - Version snapshot to restore
+ * @param {string} params.reason - Why the version is restored; also waives blocking violations it brings back
+ * @returns {Promise<Object>} See saveGameRecord()
+ * @throws If the snapshot has no game row, the game was deleted, or it changed during the restore (GAME_CONFLICT_CODE)
+ */
+export async function restoreGameVersion(supabaseClient, { gameId, snapshot, reason }) {
+  if (!snapshot.game) throw new Error('This version has no game data to restore')
+  if (!reason || !reason.trim()) throw new Error('Enter a reason for restoring this version')
+
+  return saveGameSnapshot(supabaseClient, { gameId, snapshot, waiverReason: reason.trim() })
+}
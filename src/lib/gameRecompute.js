@@ -0,0 +1,351 @@
+/**
+ * Cascade recompute of pitcher eligibility and game violations
+ *
+ * next_eligible_pitch_date and Rule 6 depend on every earlier game a
+ * player pitched in. When a game is entered late, edited or deleted, the
+ * games after it can be left with stale dates and violation flags. These
+ * helpers walk the season chronologically and bring them back in line.
+ * Games on the same day share the rest computed from the day's combined
+ * pitch count, and Rule 5 counts the pitches of that day's earlier games.
+ * The resumed portion of a suspended game counts on its resume date, as
+ * the first game of that day.
+ */
+
+import { PITCH_SMART_RULES, calculateNextEligibleDate } from './pitchSmartRules'
+import { getViolationRuleLabel } from './violationRules'
+import { compareGamesInDay } from './pitcherEligibility'
+import { getGameViolationsByDate, getPitchDate } from './suspendedGames'
+
+/**
+ * Combine a game's own rest requirement with rest still owed from earlier games
+ * A pitcher who pitched while ineligible still owes the earlier rest.
+ *
+ * @param {string|null} ownEligibleDate - Date computed from this game's pitch count (YYYY-MM-DD)
+ * @param {string|null} priorEligibleDate - Eligibility carried in from earlier games (YYYY-MM-DD)
+ * @returns {string|null} The later of the two dates
+ *
+ * @example
+ * combineEligibleDates('2025-05-04', '2025-05-06') // returns '2025-05-06'
+ */
+export function combineEligibleDates(ownEligibleDate, priorEligibleDate) {
+  if (!ownEligibleDate) return priorEligibleDate || null
+  if (!priorEligibleDate) return ownEligibleDate
+  return ownEligibleDate > priorEligibleDate ? ownEligibleDate : priorEligibleDate
+}
+
+const violationKey = (v) => `${v.player_id}:${v.rule_id}`
+
+/**
+ * Recompute eligibility dates and violations for a season (pure function)
+ *
+ * @param {Object} params
+ * @param {Array} params.games - [{ id, game_date, start_time, created_at, division, has_violation,
+ *   suspended_after_inning, resume_date }]
+ * @param {Array} params.pitchingLogs - [{ id, game_id, player_id, penultimate_batter_count, next_eligible_pitch_date,
+ *   resumed, pitch_date }]
+ * @param {Array} params.positions - positions_played records for the same games
+ * @param {Array} params.violations - Stored game_violations records ({ game_id, player_id, rule_id })
+ * @param {Object} params.playerAges - Map of player_id -> age
+ * @param {Array} [params.rules] - The season's Pitch Smart rule set
+ * @param {string|null} [params.fromDate] - Only update games on or after this date (null = whole season)
+ * @param {string[]|null} [params.playerIds] - Only update games involving these players (null = all players)
+ * @param {string|null} [params.excludeGameId] - Game already saved by the caller; never reported or rewritten
+ * @returns {{pitchingLogUpdates: Array, gameUpdates: Array}}
+ */
+export function recomputeSeasonGames({
+  games,
+  pitchingLogs,
+  positions,
+  violations = [],
+  playerAges,
+  rules = PITCH_SMART_RULES,
+  fromDate = null,
+  playerIds = null,
+  excludeGameId = null
+}) {
+  const gameById = {}
+  games.forEach(g => { gameById[g.id] = g })
+
+  // A suspended game is in scope until the date it resumed
+  const inScope = (game, date = game.resume_date || game.game_date) =>
+    game.id !== excludeGameId && (!fromDate || date >= fromDate)
+  const playerInScope = (playerId) => !playerIds || playerIds.includes(playerId)
+
+  // Walk each player's pitching logs in date order, carrying eligibility forward
+  const logsByPlayer = {}
+  pitchingLogs.forEach(log => {
+    if (!gameById[log.game_id]) return
+    if (!logsByPlayer[log.player_id]) logsByPlayer[log.player_id] = []
+    logsByPlayer[log.player_id].push(log)
+  })
+
+  const pitchingLogUpdates = []
+  const priorEligibilityByGame = {} // game_id -> { player_id -> date }, game date portion
+  const resumeEligibilityByGame = {} // game_id -> { player_id -> date }, resumed portion
+  const earlierPitchesByGame = {} // game_id -> { player_id -> pitches earlier that day }
+
+  const pitchDate = (log) => getPitchDate(gameById[log.game_id], log)
+
+  Object.entries(logsByPlayer).forEach(([playerId, logs]) => {
+    // The resumed portion of a suspended game is played first on its date
+    logs.sort((a, b) => {
+      const gameA = gameById[a.game_id]
+      const gameB = gameById[b.game_id]
+      const resumedA = pitchDate(a) !== gameA.game_date
+      const resumedB = pitchDate(b) !== gameB.game_date
+      return pitchDate(a).localeCompare(pitchDate(b)) || (resumedB - resumedA) || compareGamesInDay(gameA, gameB)
+    })
+
+    // Rest is counted from the day's combined pitch count
+    const dailyPitches = {}
+    logs.forEach(log => {
+      const date = pitchDate(log)
+      dailyPitches[date] = (dailyPitches[date] || 0) + (log.penultimate_batter_count || 0) + 1
+    })
+
+    let carried = null // Eligibility from all games on earlier dates
+    let currentDate = null
+    let sameDayCarry = null // Eligibility accumulated on currentDate
+    let pitchesToday = 0 // Pitches from earlier games on currentDate
+
+    logs.forEach(log => {
+      const game = gameById[log.game_id]
+      const date = pitchDate(log)
+      const resumed = date !== game.game_date
+
+      // Games on the same date do not constrain each other (matches the lt(pitch_date) lookup)
+      if (date !== currentDate) {
+        carried = combineEligibleDates(sameDayCarry, carried)
+        sameDayCarry = null
+        pitchesToday = 0
+        currentDate = date
+      }
+
+      const priorEligibility = resumed ? resumeEligibilityByGame : priorEligibilityByGame
+      if (!priorEligibility[game.id]) priorEligibility[game.id] = {}
+      if (carried) priorEligibility[game.id][playerId] = carried
+
+      if (!earlierPitchesByGame[game.id]) earlierPitchesByGame[game.id] = {}
+      if (pitchesToday > 0 && !resumed) earlierPitchesByGame[game.id][playerId] = pitchesToday
+      pitchesToday += (log.penultimate_batter_count || 0) + 1
+
+      const ownDate = calculateNextEligibleDate(
+        date,
+        playerAges[playerId],
+        dailyPitches[date],
+        rules
+      )
+      const nextEligible = combineEligibleDates(ownDate, carried)
+      sameDayCarry = combineEligibleDates(nextEligible, sameDayCarry)
+
+      if (inScope(game, date) && playerInScope(playerId) && nextEligible !== (log.next_eligible_pitch_date || null)) {
+        pitchingLogUpdates.push({
+          id: log.id,
+          game_id: game.id,
+          player_id: playerId,
+          previous_date: log.next_eligible_pitch_date || null,
+          next_eligible_pitch_date: nextEligible
+        })
+      }
+    })
+  })
+
+  // Re-run violation checks for every later game involving the affected players
+  const gameUpdates = []
+
+  games.forEach(game => {
+    if (!inScope(game)) return
+
+    const gamePositions = positions.filter(p => p.game_id === game.id)
+    const gameLogs = pitchingLogs.filter(l => l.game_id === game.id)
+
+    if (playerIds) {
+      const involved = [...gamePositions, ...gameLogs].some(r => playerIds.includes(r.player_id))
+      if (!involved) return
+    }
+
+    const newViolations = getGameViolationsByDate(
+      game,
+      gamePositions,
+      gameLogs,
+      playerAges,
+      {
+        eligibilityDates: priorEligibilityByGame[game.id] || {},
+        earlierPitches: earlierPitchesByGame[game.id] || {},
+        resumeEligibilityDates: resumeEligibilityByGame[game.id] || {}
+      },
+      game.division,
+      rules
+    )
+
+    const oldKeys = new Set(violations.filter(v => v.game_id === game.id).map(violationKey))
+    const newKeys = new Set(newViolations.map(violationKey))
+    const added = [...newKeys].filter(k => !oldKeys.has(k))
+    const removed = [...oldKeys].filter(k => !newKeys.has(k))
+    const hasViolation = newViolations.length > 0
+
+    if (added.length > 0 || removed.length > 0 || game.has_violation !== hasViolation) {
+      gameUpdates.push({
+        game_id: game.id,
+        previous_has_violation: game.has_violation,
+        has_violation: hasViolation,
+        violations: newViolations,
+        added,
+        removed
+      })
+    }
+  })
+
+  return { pitchingLogUpdates, gameUpdates }
+}
+
+/**
+ * Replace the stored violation records for a game
+ * The records and games.has_violation are rewritten in one transaction by the
+ * replace_game_violations() Postgres function.
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} gameId - Game UUID
+ * @param {Array} violations - Records from getGameViolations
+ * @returns {Promise<boolean>} The game's has_violation as computed on the server
+ */
+export async function replaceGameViolations(supabaseClient, gameId, violations) {
+  const { data, error } = await supabaseClient.rpc('replace_game_violations', {
+    p_game_id: gameId,
+    p_violations: violations
+  })
+
+  if (error) throw error
+  return data
+}
+
+/**
+ * Recompute and persist eligibility dates and violations for later games
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} params
+ * @param {string} params.seasonId - Season UUID
+ * @param {string|null} [params.fromDate] - Earliest affected game date (null = whole season)
+ * @param {string[]|null} [params.playerIds] - Affected players (null = all players)
+ * @param {string|null} [params.excludeGameId] - Game the caller just saved
+ * @param {Array} [params.rules] - The season's Pitch Smart rule set
+ * @returns {Promise<Array>} Changed games with a human-readable list of changes
+ */
+export async function recomputeLaterGames(supabaseClient, {
+  seasonId,
+  fromDate = null,
+  playerIds = null,
+  excludeGameId = null,
+  rules = PITCH_SMART_RULES
+}) {
+  const [gamesRes, logsRes, positionsRes, violationsRes] = await Promise.all([
+    supabaseClient
+      .from('games')
+      .select(`
+        id,
+        game_date,
+        start_time,
+        created_at,
+        has_violation,
+        suspended_after_inning,
+        resume_date,
+        home_team:teams!games_home_team_id_fkey(name, division),
+        away_team:teams!games_away_team_id_fkey(name)
+      `)
+      .eq('season_id', seasonId),
+    supabaseClient
+      .from('pitching_logs')
+      .select('id, game_id, player_id, penultimate_batter_count, next_eligible_pitch_date, resumed, pitch_date, player:players(name, age), games!inner(season_id)')
+      .eq('games.season_id', seasonId),
+    supabaseClient
+      .from('positions_played')
+      .select('game_id, player_id, inning_number, position, games!inner(season_id)')
+      .eq('games.season_id', seasonId),
+    supabaseClient
+      .from('game_violations')
+      .select('game_id, player_id, rule_id, games!inner(season_id)')
+      .eq('games.season_id', seasonId)
+  ])
+
+  for (const res of [gamesRes, logsRes, positionsRes, violationsRes]) {
+    if (res.error) throw res.error
+  }
+
+  const games = (gamesRes.data || []).map(g => ({
+    ...g,
+    division: g.home_team?.division || null
+  }))
+  const pitchingLogs = logsRes.data || []
+
+  const playerAges = {}
+  const playerNames = {}
+  pitchingLogs.forEach(log => {
+    playerAges[log.player_id] = log.player?.age
+    playerNames[log.player_id] = log.player?.name
+  })
+
+  const { pitchingLogUpdates, gameUpdates } = recomputeSeasonGames({
+    games,
+    pitchingLogs,
+    positions: positionsRes.data || [],
+    violations: violationsRes.data || [],
+    playerAges,
+    rules,
+    fromDate,
+    playerIds,
+    excludeGameId
+  })
+
+  for (const update of pitchingLogUpdates) {
+    const { error } = await supabaseClient
+      .from('pitching_logs')
+      .update({ next_eligible_pitch_date: update.next_eligible_pitch_date })
+      .eq('id', update.id)
+
+    if (error) throw error
+  }
+
+  for (const update of gameUpdates) {
+    await replaceGameViolations(supabaseClient, update.game_id, update.violations)
+  }
+
+  // Summarize per game for display
+  const describeKey = (key) => {
+    const [playerId, ruleId] = key.split(':')
+    return `${playerNames[playerId] || 'Unknown player'} — ${getViolationRuleLabel(ruleId)}`
+  }
+
+  const changedIds = [...new Set([
+    ...pitchingLogUpdates.map(u => u.game_id),
+    ...gameUpdates.map(u => u.game_id)
+  ])]
+
+  return games
+    .filter(g => changedIds.includes(g.id))
+    .sort((a, b) => a.game_date.localeCompare(b.game_date))
+    .map(game => {
+      const gameUpdate = gameUpdates.find(u => u.game_id === game.id)
+      const changes = [
+        ...pitchingLogUpdates
+          .filter(u => u.game_id === game.id)
+          .map(u => `${playerNames[u.player_id] || 'Unknown player'}: next eligible date ${u.previous_date || 'none'} → ${u.next_eligible_pitch_date || 'none'}`),
+        ...(gameUpdate?.added || []).map(k => `New violation: ${describeKey(k)}`),
+        ...(gameUpdate?.removed || []).map(k => `Violation cleared: ${describeKey(k)}`)
+      ]
+
+      if (gameUpdate && changes.length === 0) {
+        changes.push(`Violation flag updated to ${gameUpdate.has_violation ? 'yes' : 'no'}`)
+      }
+
+      return {
+        id: game.id,
+        game_date: game.game_date,
+        home_team_name: game.home_team?.name,
+        away_team_name: game.away_team?.name,
+        has_violation: gameUpdate ? gameUpdate.has_violation : game.has_violation,
+        changes
+      }
+    })
+}
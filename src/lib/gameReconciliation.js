@@ -0,0 +1,277 @@
+/**
+ * Dual-scorekeeper reconciliation
+ *
+ * When both teams keep the pitch count, each team's scorekeeper submits the
+ * Game Entry step 2 data (attendance, innings pitched/caught and pitch
+ * counts) on their own in game_submissions. The first submission is saved as
+ * the game's data so eligibility is tracked meanwhile: until the game is
+ * reconciled, rest and daily pitch totals follow that first count (see
+ * RULES.md, Rule 6). Once both are in, the
+ * game becomes official if they agree; otherwise it stays disputed until a
+ * scorekeeper corrects their count or an admin decides each difference.
+ *
+ * games.reconciliation_status: null (one scorekeeper, official as entered),
+ * 'awaiting_submission', 'disputed' or 'resolved'. The database sets it: a
+ * trigger compares the two submissions whenever one is saved, and
+ * resolve_game_count() records an admin's decision.
+ */
+
+import { buildPlayerRows } from './gameSave'
+import { conflictChoiceKey, diffGameVersions, PLAYER_CONFLICT_FIELDS } from './gameConflicts'
+import { saveGameSnapshot, snapshotToGameVersion } from './gameHistory'
+
+export const RECONCILIATION_STATUS_LABELS = {
+  awaiting_submission: 'Awaiting second count',
+  disputed: 'Counts disagree',
+  resolved: 'Counts reconciled'
+}
+
+/**
+ * Check whether a game's data is official
+ *
+ * @param {Object} game - games record
+ * @returns {boolean} true for single-scorekeeper games and reconciled games
+ */
+export function isGameOfficial(game) {
+  return !game.reconciliation_status || game.reconciliation_status === 'resolved'
+}
+
+/**
+ * Build the game_submissions row for one scorekeeper's count
+ *
+ * @param {Object} params
+ * @param {string} params.gameId - Game UUID
+ * @param {string} params.teamId - The scorekeeper's team (home or away team of the game)
+ * @param {string} params.scorekeeperName - Name of the scorekeeper
+ * @param {Array} params.players - Game Entry player records (both teams)
+ * @param {string|null} [params.submittedBy] - user_profiles id of the submitter
+ * @param {Object|null} [params.game] - games record, to split a suspended game by date
+ * @returns {Object} game_submissions row
+ */
+export function buildSubmissionRow({ gameId, teamId, scorekeeperName, players, submittedBy = null, game = null }) {
+  const { attendance, pitchingLogs, positions } = buildPlayerRows(players, game)
+
+  return {
+    game_id: gameId,
+    team_id: teamId,
+    scorekeeper_name: scorekeeperName.trim(),
+    attendance,
+    pitching_logs: pitchingLogs,
+    positions,
+    submitted_by: submittedBy
+  }
+}
+
+/**
+ * Convert a submission into a game snapshot (see gameHistory.js) without a game row
+ *
+ * @param {Object} submission - game_submissions record
+ * @returns {{game: null, attendance: Array, pitchingLogs: Array, positions: Array}}
+ */
+export function submissionToSnapshot(submission) {
+  return {
+    game: null,
+    attendance: submission.attendance || [],
+    pitchingLogs: submission.pitching_logs || [],
+    positions: submission.positions || []
+  }
+}
+
+/**
+ * Fill Game Entry player records with the values from a submission
+ * Players the submission doesn't mention are returned unchanged.
+ *
+ * @param {Array} players - Game Entry player records
+ * @param {Object} submission - game_submissions record
+ * @returns {Array} New player records
+ */
+export function applySubmissionToPlayers(players, submission) {
+  const { players: submitted } = snapshotToGameVersion(submissionToSnapshot(submission))
+  const byId = new Map(submitted.map(p => [p.id, p]))
+
+  return players.map(player => {
+    const values = byId.get(player.id)
+    if (!values) return player
+
+    const { id, name, ...fields } = values
+    return { ...player, ...fields }
+  })
+}
+
+/**
+ * Compare the home and away scorekeepers' counts field by field
+ *
+ * @param {Object} homeSubmission - Home team scorekeeper's submission
+ * @param {Object} awaySubmission - Away team scorekeeper's submission
+ * @param {Array} [roster] - players records, for names and jersey numbers
+ * @returns {Array<{playerId: string, name: string, jerseyNumber: string|null, fields: Array}>}
+ *   Only players with differences; each field is { key, label, home, away }
+ *
+ * @example
+ * diffSubmissions(home, away, roster)[0].fields[0]
+ * // { key: 'final_pitch_count', label: 'Final pitch count', home: '42', away: '45' }
+ */
+export function diffSubmissions(homeSubmission, awaySubmission, roster = []) {
+  const rosterById = new Map(roster.map(p => [p.id, p]))
+  const toVersion = (submission) => ({
+    formData: {},
+    players: snapshotToGameVersion(submissionToSnapshot(submission)).players.map(p => ({
+      ...p,
+      name: rosterById.get(p.id)?.name || 'Unknown player',
+      jersey_number: rosterById.get(p.id)?.jersey_number || null
+    }))
+  })
+
+  const home = toVersion(homeSubmission)
+  const { players } = diffGameVersions(home, home, toVersion(awaySubmission))
+
+  return players.map(p => ({
+    playerId: p.playerId,
+    name: p.name,
+    jerseyNumber: p.jerseyNumber,
+    fields: p.fields.map(({ key, label, mine, theirs }) => ({ key, label, home: mine, away: theirs }))
+  }))
+}
+
+/**
+ * Combine the two submissions using a choice per differing field
+ * Fields without a choice take the home scorekeeper's value.
+ *
+ * @param {Object} homeSubmission - Home team scorekeeper's submission
+ * @param {Object} awaySubmission - Away team scorekeeper's submission
+ * @param {Object} choices - Map of conflictChoiceKey(playerId, field) -> 'home' | 'away'
+ * @param {Object|null} [game] - games record, to split a suspended game by date
+ * @returns {{game: null, attendance: Array, pitchingLogs: Array, positions: Array}} Snapshot to save
+ */
+export function mergeSubmissions(homeSubmission, awaySubmission, choices, game = null) {
+  const { players: homePlayers } = snapshotToGameVersion(submissionToSnapshot(homeSubmission))
+  const { players: awayPlayers } = snapshotToGameVersion(submissionToSnapshot(awaySubmission))
+  const awayById = new Map(awayPlayers.map(p => [p.id, p]))
+  const homeIds = new Set(homePlayers.map(p => p.id))
+
+  const merged = [
+    ...homePlayers.map(homePlayer => {
+      const awayPlayer = awayById.get(homePlayer.id)
+      if (!awayPlayer) return homePlayer
+
+      const player = { ...homePlayer }
+      PLAYER_CONFLICT_FIELDS.forEach(({ key }) => {
+        if (choices[conflictChoiceKey(homePlayer.id, key)] === 'away') {
+          player[key] = awayPlayer[key]
+        }
+      })
+      return player
+    }),
+    ...awayPlayers.filter(p => !homeIds.has(p.id))
+  ]
+
+  const { attendance, pitchingLogs, positions } = buildPlayerRows(merged, game)
+  return { game: null, attendance, pitchingLogs, positions }
+}
+
+/**
+ * Fetch both scorekeepers' submissions for a game
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} game - games record (id, home_team_id, away_team_id)
+ * @returns {Promise<{home: Object|null, away: Object|null}>}
+ */
+export async function fetchGameSubmissions(supabaseClient, game) {
+  const { data, error } = await supabaseClient
+    .from('game_submissions')
+    .select('*, submitter:user_profiles(name)')
+    .eq('game_id', game.id)
+
+  if (error) throw error
+
+  return {
+    home: (data || []).find(s => s.team_id === game.home_team_id) || null,
+    away: (data || []).find(s => s.team_id === game.away_team_id) || null
+  }
+}
+
+/**
+ * Save one scorekeeper's count
+ * The database compares it with the other scorekeeper's and sets the game's
+ * reconciliation status. When both counts are in and agree, they are saved
+ * as the game's data; if that save fails, submitting again retries it.
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} params
+ * @param {Object} params.game - games record (id, home_team_id, away_team_id, and the suspension
+ *   fields of a suspended game)
+ * @param {string} params.teamId - The scorekeeper's team
+ * @param {string} params.scorekeeperName - Name of the scorekeeper
+ * @param {Array} params.players - Game Entry player records (both teams)
+ * @param {string|null} [params.submittedBy] - user_profiles id of the submitter
+ * @returns {Promise<{status: string, recomputedGames: Array}>} status is the reconciliation status
+ *   the database set
+ * @throws If the team doesn't play in the game, the scorekeeper name is missing or a query fails
+ */
+export async function submitGameCount(supabaseClient, { game, teamId, scorekeeperName, players, submittedBy = null }) {
+  if (teamId !== game.home_team_id && teamId !== game.away_team_id) {
+    throw new Error('Only the home or away team can submit a pitch count for this game')
+  }
+  if (!scorekeeperName || !scorekeeperName.trim()) {
+    throw new Error('Enter the scorekeeper name')
+  }
+
+  const { error } = await supabaseClient
+    .from('game_submissions')
+    .upsert(
+      buildSubmissionRow({ gameId: game.id, teamId, scorekeeperName, players, submittedBy, game }),
+      { onConflict: 'game_id,team_id' }
+    )
+
+  if (error) throw error
+
+  const { data: saved, error: gameError } = await supabaseClient
+    .from('games')
+    .select('reconciliation_status')
+    .eq('id', game.id)
+    .single()
+
+  if (gameError) throw gameError
+  const status = saved.reconciliation_status
+
+  let recomputedGames = []
+  if (status === 'resolved') {
+    // Both counts agree: they become the game's data
+    const { home } = await fetchGameSubmissions(supabaseClient, game)
+    const result = await saveGameSnapshot(supabaseClient, { gameId: game.id, snapshot: submissionToSnapshot(home) })
+    recomputedGames = result.recomputedGames
+  }
+
+  return { status, recomputedGames }
+}
+
+/**
+ * Decide every difference between the two counts and make the game official (admins)
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} params
+ * @param {string} params.gameId - Game UUID
+ * @param {Object} params.homeSubmission - Home team scorekeeper's submission
+ * @param {Object} params.awaySubmission - Away team scorekeeper's submission
+ * @param {Object} params.choices - Map of conflictChoiceKey(playerId, field) -> 'home' | 'away'
+ * @param {string} params.note - Why the admin decided as they did; also waives blocking violations
+ * @param {Object|null} [params.game] - games record, to split a suspended game by date
+ * @returns {Promise<{gameId: string, violations: Array, recomputedGames: Array}>}
+ */
+export async function decideGameCount(supabaseClient, { gameId, homeSubmission, awaySubmission, choices, note, game = null }) {
+  if (!note || !note.trim()) throw new Error('Enter a note explaining the decision')
+
+  const result = await saveGameSnapshot(supabaseClient, {
+    gameId,
+    snapshot: mergeSubmissions(homeSubmission, awaySubmission, choices, game),
+    waiverReason: note.trim()
+  })
+
+  const { error } = await supabaseClient.rpc('resolve_game_count', { p_game_id: gameId, p_note: note.trim() })
+  if (error) throw error
+
+  return result
+}
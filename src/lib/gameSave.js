@@ -0,0 +1,203 @@
+/**
+ * Saving a game from Game Entry
+ *
+ * The game and its player data are saved atomically through the save_game()
+ * RPC (database/migrations/add_save_game_function.sql), followed by the
+ * later-game recompute. It takes a plain, serializable payload so the
+ * same code runs when the form is submitted online and when a queued offline
+ * draft is synced later.
+ */
+
+import { PITCH_SMART_RULES } from './pitchSmartRules'
+import { recomputeLaterGames } from './gameRecompute'
+import { linkScheduledGame } from './gameSchedule'
+import { getGameViolationsByDate, getPlayerPortions, getResumeEligibilityDate } from './suspendedGames'
+import { buildPlayerPositions } from './fieldingPositions'
+import { getLeagueAge } from './leagueAge'
+
+/**
+ * Build the games row from Game Entry form data
+ *
+ * @param {string} seasonId - Season UUID
+ * @param {Object} formData - Step 1 form data (strings as entered; blank scores are saved as null)
+ * @returns {Object} Columns for the games table
+ */
+export function buildGameRow(seasonId, formData) {
+  return {
+    season_id: seasonId,
+    game_date: formData.game_date,
+    start_time: formData.start_time || null,
+    scorekeeper_name: formData.scorekeeper_name,
+    scorekeeper_team_id: formData.scorekeeper_team_id,
+    home_team_id: formData.home_team_id,
+    away_team_id: formData.away_team_id,
+    home_score: formData.home_score === '' ? null : parseInt(formData.home_score),
+    away_score: formData.away_score === '' ? null : parseInt(formData.away_score),
+    notes: formData.notes || null,
+    status: formData.status || 'final',
+    forfeiting_team_id: formData.status === 'forfeited' ? formData.forfeiting_team_id : null,
+    suspended_after_inning: formData.suspended_after_inning ? parseInt(formData.suspended_after_inning) : null,
+    resume_date: formData.suspended_after_inning && formData.resume_date ? formData.resume_date : null
+  }
+}
+
+/**
+ * Build the attendance, pitching log and positions rows for a game
+ * next_eligible_pitch_date is left to save_game(), which computes it from
+ * the season's rules and the player's earlier games. In a suspended game a
+ * player who pitched on both dates gets a log per date, the second marked resumed.
+ *
+ * @param {Array} players - Game Entry player records (both teams)
+ * @param {Object|null} [game] - Step 1 form data, to split a suspended game by date
+ * @returns {{attendance: Array, pitchingLogs: Array, positions: Array}}
+ */
+export function buildPlayerRows(players, game = null) {
+  const attendance = players.map(p => ({
+    player_id: p.id,
+    was_present: p.was_present,
+    absence_note: p.was_present ? null : p.absence_note
+  }))
+
+  const pitchingLogs = players.flatMap(p =>
+    getPlayerPortions(game, p)
+      .filter(portion => portion.pitchedInnings.length > 0 && portion.finalPitchCount)
+      .map(portion => ({
+        player_id: p.id,
+        final_pitch_count: parseInt(portion.finalPitchCount),
+        penultimate_batter_count: parseInt(portion.penultimateBatterCount || 0),
+        ...(portion.resumed && { resumed: true })
+      }))
+  )
+
+  const positions = players.flatMap(buildPlayerPositions)
+
+  return { attendance, pitchingLogs, positions }
+}
+
+/**
+ * Save a game and everything recorded for it
+ * The game row, attendance, pitching logs, positions and violation records
+ * are written in one transaction by the save_game() Postgres function, which
+ * also computes next_eligible_pitch_date and has_violation and records the
+ * waivers for blocking violations. The recompute of later games follows; the
+ * game is already saved by then, so a failure there is returned as
+ * recomputeError for the caller to show rather than thrown.
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} payload
+ * @param {string|null} payload.gameId - Existing game to update, or null to create one
+ * @param {string} payload.seasonId - Season UUID
+ * @param {string} payload.division - Division the game is played in
+ * @param {Object} payload.formData - Step 1 form data
+ * @param {Array} payload.players - Game Entry player records (both teams), with previousNextEligibleDate
+ *   and earlierPitchesToday (pitches from earlier games the same day) set, and
+ *   resumePreviousNextEligibleDate for a suspended game that resumed
+ * @param {string|null} [payload.originalGameDate] - Date before an edit (recompute starts at the earlier date)
+ * @param {string} [payload.waiverReason] - Admin reason for waiving blocking violations not waived yet
+ * @param {Array} [payload.rules] - The season's Pitch Smart rule set
+ * @param {string|null} [payload.expectedUpdatedAt] - games.updated_at the edit started from; the save
+ *   fails with GAME_CONFLICT_CODE (see gameConflicts.js) if the game changed since
+ * @param {string|null} [payload.scheduledGameId] - Schedule fixture the result was entered for (see gameSchedule.js)
+ * @param {string|null} [payload.ageCutoff] - The season's league-age cutoff (see leagueAge.js)
+ * @returns {Promise<{gameId: string, updatedAt: string, hasViolation: boolean, violations: Array, recomputedGames: Array, recomputeError: Error|null}>}
+ *   recomputeError is set when later games could not be updated; saving the game again retries
+ * @throws The save_game() error, including a blocking violation that can't be waived
+ *   (not an admin, or no reason); nothing is saved in that case
+ */
+export async function saveGameRecord(supabaseClient, {
+  gameId = null,
+  seasonId,
+  division,
+  formData,
+  players,
+  originalGameDate = null,
+  waiverReason = '',
+  rules = PITCH_SMART_RULES,
+  expectedUpdatedAt = null,
+  scheduledGameId = null,
+  ageCutoff = null
+}) {
+  const rows = buildPlayerRows(players, formData)
+
+  // Violation records for this game (Rule 6 uses the eligibility date from earlier games,
+  // Rule 5 the pitches from earlier games the same day); a suspended game is checked per date
+  const playerAges = {}
+  const eligibilityDates = {}
+  const earlierPitches = {}
+  const resumeEligibilityDates = {}
+  players.forEach(p => {
+    playerAges[p.id] = getLeagueAge(p, ageCutoff)
+    if (p.previousNextEligibleDate) {
+      eligibilityDates[p.id] = p.previousNextEligibleDate
+    }
+    if (p.earlierPitchesToday) {
+      earlierPitches[p.id] = p.earlierPitchesToday
+    }
+    if (formData.resume_date) {
+      const resumeDate = getResumeEligibilityDate(formData, p, rules)
+      if (resumeDate) resumeEligibilityDates[p.id] = resumeDate
+    }
+  })
+
+  const violations = getGameViolationsByDate(
+    formData,
+    rows.positions,
+    rows.pitchingLogs,
+    playerAges,
+    { eligibilityDates, earlierPitches, resumeEligibilityDates },
+    division,
+    rules
+  )
+
+  const { data: game, error } = await supabaseClient.rpc('save_game', {
+    p_game_id: gameId,
+    p_game: buildGameRow(seasonId, formData),
+    p_attendance: rows.attendance,
+    p_pitching_logs: rows.pitchingLogs,
+    p_positions: rows.positions,
+    p_violations: violations,
+    p_expected_updated_at: expectedUpdatedAt,
+    p_waiver_reason: waiverReason.trim() || null
+  })
+
+  if (error) throw error
+
+  // Link the schedule fixture to the game entered for it
+  if (scheduledGameId) {
+    try {
+      await linkScheduledGame(supabaseClient, scheduledGameId, game.id)
+    } catch (linkError) {
+      console.error('Failed to link scheduled game:', linkError)
+    }
+  }
+
+  // Later games may depend on this one (Rule 6, carried rest) - bring them up to date
+  let recomputedGames = []
+  let recomputeError = null
+  try {
+    const earliestDate = originalGameDate && originalGameDate < formData.game_date
+      ? originalGameDate
+      : formData.game_date
+
+    recomputedGames = await recomputeLaterGames(supabaseClient, {
+      seasonId,
+      fromDate: earliestDate,
+      playerIds: players.map(p => p.id),
+      excludeGameId: game.id,
+      rules
+    })
+  } catch (err) {
+    console.error('Failed to recompute later games:', err)
+    recomputeError = err
+  }
+
+  return {
+    gameId: game.id,
+    updatedAt: game.updated_at,
+    hasViolation: game.has_violation,
+    violations,
+    recomputedGames,
+    recomputeError
+  }
+}
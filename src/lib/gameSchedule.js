@@ -0,0 +1,224 @@
+/**
+ * Season schedule
+ *
+ * Admins build the schedule in advance as scheduled_games rows (date, start
+ * time, home and away team, field), typed in one by one or imported from
+ * CSV. When the result of a scheduled game is entered, the fixture is linked
+ * to the saved game through scheduled_games.game_id; fixtures without a game
+ * are the upcoming (or still unreported) games.
+ */
+
+/**
+ * Parse a schedule date (YYYY-MM-DD or M/D/YYYY)
+ *
+ * @param {string} value - Date as typed in the CSV
+ * @returns {string|null} YYYY-MM-DD, or null if the date is invalid
+ */
+export function parseScheduleDate(value) {
+  let year, month, day
+  const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value)
+  const us = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(value)
+
+  if (iso) {
+    [, year, month, day] = iso.map(Number)
+  } else if (us) {
+    [, month, day, year] = us.map(Number)
+  } else {
+    return null
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day))
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null
+  }
+
+  return date.toISOString().split('T')[0]
+}
+
+/**
+ * Parse a start time (24-hour "18:00" or 12-hour "6:00 PM" / "6pm")
+ *
+ * @param {string} value - Time as typed
+ * @returns {string|null} HH:MM (24-hour), or null if the time is invalid
+ */
+export function parseStartTime(value) {
+  const match = /^(\d{1,2})(?::(\d{2}))?\s*([ap]\.?m\.?)?$/i.exec(value.trim())
+  if (!match) return null
+
+  let hours = parseInt(match[1])
+  const minutes = match[2] ? parseInt(match[2]) : 0
+  const meridiem = match[3]?.[0].toLowerCase()
+
+  if (!meridiem && !match[2]) return null
+  if (minutes > 59) return null
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null
+    if (hours === 12) hours = 0
+    if (meridiem === 'p') hours += 12
+  } else if (hours > 23) {
+    return null
+  }
+
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`
+}
+
+/**
+ * Format a start time for display
+ *
+ * @param {string|null} time - "HH:MM" or "HH:MM:SS" as stored
+ * @returns {string} e.g. "6:00 PM", or '' without a time
+ */
+export function formatStartTime(time) {
+  if (!time) return ''
+  const [hours, minutes] = time.split(':').map(Number)
+  const suffix = hours >= 12 ? 'PM' : 'AM'
+  return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${suffix}`
+}
+
+/**
+ * Parse CSV data into scheduled games for bulk import
+ * Format: Date, Time (optional), Home Team, Away Team, Field (optional)
+ * Team names are matched case-insensitively against the season's teams. A
+ * first line starting with "Date" is treated as a header and skipped.
+ *
+ * @param {string} csvData - Raw CSV string with one game per line
+ * @param {string} seasonId - Season UUID to schedule the games in
+ * @param {Array} teams - The season's teams ({ id, name })
+ * @returns {Array} scheduled_games rows ready for insert
+ * @throws {Error} Validation errors with line numbers for user feedback
+ *
+ * @example
+ * parseScheduleCsv('2025-05-03, 6:00 PM, Cubs, Giants, Field 1', 's1', teams)
+ * // [{ season_id: 's1', game_date: '2025-05-03', start_time: '18:00', home_team_id: 'cubs-uuid', away_team_id: 'giants-uuid', field: 'Field 1' }]
+ */
+export function parseScheduleCsv(csvData, seasonId, teams) {
+  const lines = csvData.trim().split('\n')
+  const teamsByName = new Map(teams.map(t => [t.name.trim().toLowerCase(), t]))
+  const games = []
+
+  const findTeam = (name, lineNumber) => {
+    const team = teamsByName.get(name.toLowerCase())
+    if (!team) {
+      throw new Error(`Line ${lineNumber}: Team "${name}" not found in this season`)
+    }
+    return team
+  }
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim()
+    if (!line) continue
+    if (i === 0 && /^date\b/i.test(line)) continue
+
+    const parts = line.split(',').map(p => p.trim())
+
+    if (parts.length < 4) {
+      throw new Error(`Line ${i + 1}: Invalid format. Expected: Date, Time (optional), Home Team, Away Team, Field (optional)`)
+    }
+
+    const [date, time, homeName, awayName, ...fieldParts] = parts
+
+    const gameDate = parseScheduleDate(date)
+    if (!gameDate) {
+      throw new Error(`Line ${i + 1}: Invalid date "${date}". Use YYYY-MM-DD or M/D/YYYY`)
+    }
+
+    const startTime = time ? parseStartTime(time) : null
+    if (time && !startTime) {
+      throw new Error(`Line ${i + 1}: Invalid time "${time}". Use 18:00 or 6:00 PM`)
+    }
+
+    const homeTeam = findTeam(homeName, i + 1)
+    const awayTeam = findTeam(awayName, i + 1)
+    if (homeTeam.id === awayTeam.id) {
+      throw new Error(`Line ${i + 1}: Home and away teams must be different`)
+    }
+
+    games.push({
+      season_id: seasonId,
+      game_date: gameDate,
+      start_time: startTime,
+      home_team_id: homeTeam.id,
+      away_team_id: awayTeam.id,
+      field: fieldParts.join(', ') || null
+    })
+  }
+
+  if (games.length === 0) {
+    throw new Error('No valid games found in CSV data')
+  }
+
+  return games
+}
+
+/**
+ * Compare scheduled games by date, then start time (games without a time last)
+ *
+ * @param {Object} a - scheduled_games record
+ * @param {Object} b - scheduled_games record
+ * @returns {number}
+ */
+export function compareScheduledGames(a, b) {
+  return a.game_date.localeCompare(b.game_date) ||
+    (a.start_time || '99').localeCompare(b.start_time || '99')
+}
+
+/**
+ * Get the scheduled games still to be played from a given date on
+ *
+ * @param {Array} scheduledGames - scheduled_games records
+ * @param {string} fromDate - YYYY-MM-DD (usually today)
+ * @param {Object} [options]
+ * @param {string} [options.teamId] - Only games this team plays in
+ * @returns {Array} Games without a result, in date and time order
+ */
+export function getUpcomingGames(scheduledGames, fromDate, { teamId } = {}) {
+  return scheduledGames
+    .filter(g => !g.game_id && g.game_date >= fromDate)
+    .filter(g => !teamId || g.home_team_id === teamId || g.away_team_id === teamId)
+    .sort(compareScheduledGames)
+}
+
+/**
+ * Fetch a season's schedule with team names and the score of entered games
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} seasonId - Season UUID
+ * @returns {Promise<Array>} scheduled_games records in date and time order, with the
+ *   date of the postponed game a fixture replaces (replaced_game)
+ */
+export async function fetchSeasonSchedule(supabaseClient, seasonId) {
+  const { data, error } = await supabaseClient
+    .from('scheduled_games')
+    .select(`
+      *,
+      home_team:teams!scheduled_games_home_team_id_fkey(name, division),
+      away_team:teams!scheduled_games_away_team_id_fkey(name, division),
+      game:games!scheduled_games_game_id_fkey(home_score, away_score),
+      replaced_game:games!scheduled_games_replaces_game_id_fkey(game_date)
+    `)
+    .eq('season_id', seasonId)
+    .order('game_date')
+    .order('start_time', { nullsFirst: false })
+
+  if (error) throw error
+  return data || []
+}
+
+/**
+ * Link a scheduled game to the game saved with its result
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} scheduledGameId - scheduled_games UUID
+ * @param {string} gameId - games UUID
+ * @returns {Promise<void>}
+ */
+export async function linkScheduledGame(supabaseClient, scheduledGameId, gameId) {
+  const { error } = await supabaseClient
+    .from('scheduled_games')
+    .update({ game_id: gameId })
+    .eq('id', scheduledGameId)
+
+  if (error) throw error
+}
@@ -0,0 +1,202 @@
+/**
+ * Game finalization and sign-off
+ *
+ * Once a game is played the scorekeeper's side submits it, and the head
+ * coach of the other team confirms the pitch counts. A confirmed game is
+ * locked: the database refuses changes to its data (enforce_game_signoff
+ * triggers) until an admin reopens it with a reason. Saving a submitted
+ * game withdraws the submission, so the other coach confirms what was
+ * actually saved.
+ *
+ * games.signoff_status: null (not submitted), 'submitted' or 'confirmed'.
+ * Who submitted, confirmed and last reopened the game, and when, are
+ * stamped by the database.
+ */
+
+import { isGameOfficial } from './gameReconciliation'
+
+export const SIGNOFF_STATUS_LABELS = {
+  submitted: 'Awaiting confirmation',
+  confirmed: 'Confirmed'
+}
+
+/** Game statuses with a result that can be signed off */
+export const SIGNOFF_GAME_STATUSES = ['final', 'forfeited']
+
+/** games columns and user names for the sign-off state, for embedding in a games select */
+export const SIGNOFF_SELECT = `
+  signoff_submitter:user_profiles!games_signoff_submitted_by_fkey(name),
+  signoff_confirmer:user_profiles!games_signoff_confirmed_by_fkey(name),
+  reopener:user_profiles!games_reopened_by_fkey(name)
+`
+
+/**
+ * Check whether a game is locked against changes
+ *
+ * @param {Object} game - games record
+ * @returns {boolean} true once the opposing head coach confirmed it
+ */
+export function isGameLocked(game) {
+  return game?.signoff_status === 'confirmed'
+}
+
+/**
+ * Get a game's sign-off state for display
+ *
+ * @param {Object} game - games record
+ * @returns {string} e.g. 'Confirmed'; 'Not submitted' when sign-off hasn't started
+ */
+export function getSignoffLabel(game) {
+  return SIGNOFF_STATUS_LABELS[game?.signoff_status] || 'Not submitted'
+}
+
+/**
+ * Get the teams whose head coach confirms a game
+ * The team that didn't keep the score confirms; when the scorekeeper's team
+ * isn't playing (or isn't recorded), either team's head coach may confirm.
+ *
+ * @param {Object} game - games record (home_team_id, away_team_id, scorekeeper_team_id)
+ * @returns {string[]} Team ids
+ */
+export function getConfirmingTeamIds(game) {
+  if (game.scorekeeper_team_id === game.home_team_id) return [game.away_team_id]
+  if (game.scorekeeper_team_id === game.away_team_id) return [game.home_team_id]
+  return [game.home_team_id, game.away_team_id]
+}
+
+/**
+ * Explain why a game can't be submitted for sign-off yet
+ *
+ * @param {Object} game - games record
+ * @returns {string|null} Reason, or null when it can be submitted
+ */
+export function getSignoffBlocker(game) {
+  if (game.signoff_status) return 'The game has already been submitted'
+  if (!SIGNOFF_GAME_STATUSES.includes(game.status || 'final')) {
+    return 'Only final or forfeited games can be signed off'
+  }
+  if (!isGameOfficial(game)) return 'Reconcile the two scorekeepers\' counts first'
+  return null
+}
+
+/**
+ * Check whether a user may submit a game for sign-off
+ *
+ * @param {Object} game - games record
+ * @param {Object} user
+ * @param {boolean} user.isAdmin
+ * @param {string[]} user.editableTeamIds - Teams the user coaches with edit rights
+ * @returns {boolean}
+ */
+export function canSubmitSignoff(game, { isAdmin, editableTeamIds = [] }) {
+  if (getSignoffBlocker(game)) return false
+  return isAdmin || editableTeamIds.includes(game.scorekeeper_team_id)
+}
+
+/**
+ * Check whether a user may confirm a submitted game
+ * Only the confirming team's head coach confirms; admins reopen instead.
+ *
+ * @param {Object} game - games record
+ * @param {string[]} headCoachTeamIds - Teams the user is head coach of
+ * @returns {boolean}
+ */
+export function canConfirmSignoff(game, headCoachTeamIds = []) {
+  return game.signoff_status === 'submitted' &&
+    getConfirmingTeamIds(game).some(teamId => headCoachTeamIds.includes(teamId))
+}
+
+async function updateSignoff(supabaseClient, gameId, fromStatus, changes) {
+  let query = supabaseClient
+    .from('games')
+    .update(changes)
+    .eq('id', gameId)
+
+  query = fromStatus ? query.eq('signoff_status', fromStatus) : query.is('signoff_status', null)
+
+  const { data, error } = await query.select('id')
+
+  if (error) throw error
+  if (!data || data.length === 0) {
+    throw new Error('The game\'s sign-off changed since it was loaded. Reload and try again.')
+  }
+}
+
+/**
+ * Submit a game for the opposing head coach to confirm
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} game - games record
+ * @throws If the game can't be submitted or the update fails
+ */
+export async function submitGameSignoff(supabaseClient, game) {
+  const blocker = getSignoffBlocker(game)
+  if (blocker) throw new Error(blocker)
+
+  await updateSignoff(supabaseClient, game.id, null, { signoff_status: 'submitted' })
+}
+
+/**
+ * Withdraw a submitted game before it is confirmed
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} gameId - Game UUID
+ */
+export async function withdrawGameSignoff(supabaseClient, gameId) {
+  await updateSignoff(supabaseClient, gameId, 'submitted', { signoff_status: null })
+}
+
+/**
+ * Confirm a submitted game's pitch counts, locking the game
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} gameId - Game UUID
+ */
+export async function confirmGameSignoff(supabaseClient, gameId) {
+  await updateSignoff(supabaseClient, gameId, 'submitted', { signoff_status: 'confirmed' })
+}
+
+/**
+ * Reopen a confirmed game for changes (admins)
+ * The game goes back to not submitted and has to be signed off again.
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} gameId - Game UUID
+ * @param {string} reason - Why the game is reopened
+ * @throws If the reason is missing or the update fails
+ */
+export async function reopenGame(supabaseClient, gameId, reason) {
+  if (!reason || !reason.trim()) throw new Error('Enter a reason for reopening the game')
+
+  await updateSignoff(supabaseClient, gameId, 'confirmed', {
+    signoff_status: null,
+    reopen_reason: reason.trim()
+  })
+}
+
+/**
+ * Fetch a game's sign-off state with the names of who submitted, confirmed and reopened it
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} gameId - Game UUID
+ * @returns {Promise<Object>} games sign-off columns with signoff_submitter, signoff_confirmer and reopener
+ */
+export async function fetchGameSignoff(supabaseClient, gameId) {
+  const { data, error } = await supabaseClient
+    .from('games')
+    .select(`
+      id, status, home_team_id, away_team_id, scorekeeper_team_id, reconciliation_status,
+      signoff_status, signoff_submitted_at, signoff_confirmed_at, reopened_at, reopen_reason,
+      ${SIGNOFF_SELECT}
+    `)
+    .eq('id', gameId)
+    .single()
+
+  if (error) throw error
+  return data
+}
@@ -0,0 +1,260 @@
+/**
+ * Game status lifecycle
+ *
+ * Every game has a status (games.status):
+ *   scheduled   - not played yet (replacements of postponed games used to be created this way;
+ *                 they are now fixtures in the season schedule, see gameSchedule.js)
+ *   in_progress - started, results entered so far
+ *   suspended   - stopped after an inning, to be finished on another date (see suspendedGames.js)
+ *   final       - completed with a final score
+ *   postponed   - not completed; the replacement fixture points back through
+ *                 scheduled_games.replaces_game_id, and rescheduled_game_id links
+ *                 the game entered for it
+ *   forfeited   - forfeiting_team_id forfeited; counts as their loss
+ *   cancelled   - will not be played
+ *
+ * Status changes follow GAME_STATUS_TRANSITIONS, which the database enforces
+ * too (enforce_games_status_transition trigger). Only final and forfeited
+ * games count in standings, and only final games are expected to have
+ * complete pitching and catching data.
+ */
+
+import { validateSuspension } from './suspendedGames'
+
+export const GAME_STATUSES = ['scheduled', 'in_progress', 'suspended', 'final', 'postponed', 'forfeited', 'cancelled']
+
+export const GAME_STATUS_LABELS = {
+  scheduled: 'Scheduled',
+  in_progress: 'In Progress',
+  suspended: 'Suspended',
+  final: 'Final',
+  postponed: 'Postponed',
+  forfeited: 'Forfeited',
+  cancelled: 'Cancelled'
+}
+
+/** Statuses a game can move to from each status */
+export const GAME_STATUS_TRANSITIONS = {
+  scheduled: ['in_progress', 'suspended', 'final', 'postponed', 'forfeited', 'cancelled'],
+  in_progress: ['suspended', 'final', 'postponed', 'forfeited', 'cancelled'],
+  suspended: ['in_progress', 'final', 'forfeited', 'cancelled'],
+  final: ['forfeited'],
+  postponed: ['cancelled'],
+  forfeited: [],
+  cancelled: []
+}
+
+/** Statuses recorded through the game form (with player data) rather than the status dialog */
+export const GAME_FORM_STATUSES = ['final', 'in_progress', 'suspended', 'forfeited']
+
+/**
+ * Check whether a game may move from one status to another
+ * Keeping the current status is always allowed.
+ *
+ * @param {string} from - Current status
+ * @param {string} to - New status
+ * @returns {boolean}
+ */
+export function canChangeGameStatus(from, to) {
+  return from === to || (GAME_STATUS_TRANSITIONS[from] || []).includes(to)
+}
+
+/**
+ * Get the statuses offered in the game form for a game
+ * Entering the result of a scheduled game moves it on, so its own status
+ * is not offered; any other game can keep its status.
+ *
+ * @param {string|null} currentStatus - Status of the game being edited, or null for a new game
+ * @returns {Array<string>} Statuses, the default first
+ */
+export function getFormStatusOptions(currentStatus) {
+  if (!currentStatus) return GAME_FORM_STATUSES
+  const options = GAME_FORM_STATUSES.filter(status => status !== currentStatus && canChangeGameStatus(currentStatus, status))
+  return currentStatus === 'scheduled' ? options : [currentStatus, ...options]
+}
+
+/**
+ * Check whether the game form should ask for a complete final score
+ *
+ * @param {string} status - Game status
+ * @returns {boolean}
+ */
+export function requiresFinalScore(status) {
+  return status === 'final'
+}
+
+/**
+ * Check whether incomplete pitching/catching data should be flagged for a game
+ * A game still in progress, forfeited or not played is expected to have gaps.
+ *
+ * @param {string} status - Game status
+ * @returns {boolean}
+ */
+export function expectsCompleteData(status) {
+  return status === 'final'
+}
+
+/**
+ * Validate the status fields of a game
+ *
+ * @param {Object} game - { status, game_date, home_team_id, away_team_id, forfeiting_team_id, home_score, away_score,
+ *   suspended_after_inning, resume_date }
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateGameStatus(game) {
+  if (!GAME_STATUSES.includes(game.status)) {
+    return `Unknown game status "${game.status}"`
+  }
+
+  if (game.status === 'forfeited') {
+    if (game.forfeiting_team_id !== game.home_team_id && game.forfeiting_team_id !== game.away_team_id) {
+      return 'Select the team that forfeited'
+    }
+  }
+
+  if (requiresFinalScore(game.status) && (game.home_score === '' || game.home_score == null ||
+      game.away_score === '' || game.away_score == null)) {
+    return 'A final game needs both scores'
+  }
+
+  return validateSuspension(game)
+}
+
+/**
+ * Get the result of a game for standings
+ * A forfeit is a loss for the forfeiting team and a win for the other,
+ * whatever the score.
+ *
+ * @param {Object} game - games record
+ * @returns {{winnerId: string, loserId: string}|{tie: true}|null} null if the game doesn't count
+ */
+export function getGameResult(game) {
+  if (game.status === 'forfeited' && game.forfeiting_team_id) {
+    const winnerId = game.forfeiting_team_id === game.home_team_id ? game.away_team_id : game.home_team_id
+    return { winnerId, loserId: game.forfeiting_team_id }
+  }
+
+  if (game.status !== 'final' || game.home_score == null || game.away_score == null) return null
+
+  if (game.home_score === game.away_score) return { tie: true }
+  return game.home_score > game.away_score
+    ? { winnerId: game.home_team_id, loserId: game.away_team_id }
+    : { winnerId: game.away_team_id, loserId: game.home_team_id }
+}
+
+/**
+ * Compute standings from a season's games
+ * Only final and forfeited games count; scheduled, in-progress, postponed
+ * and cancelled games are left out.
+ *
+ * @param {Array} games - games records
+ * @param {Array} teams - { id, name, division }
+ * @returns {Array} { teamId, name, division, wins, losses, ties, played, winPct, forfeits }
+ *   sorted by division, then win percentage and wins
+ */
+export function computeStandings(games, teams) {
+  const rows = new Map(teams.map(team => [team.id, {
+    teamId: team.id,
+    name: team.name,
+    division: team.division,
+    wins: 0,
+    losses: 0,
+    ties: 0,
+    played: 0,
+    forfeits: 0,
+    winPct: 0
+  }]))
+
+  for (const game of games) {
+    const result = getGameResult(game)
+    if (!result) continue
+
+    const home = rows.get(game.home_team_id)
+    const away = rows.get(game.away_team_id)
+
+    if (result.tie) {
+      if (home) home.ties += 1
+      if (away) away.ties += 1
+    } else {
+      if (rows.has(result.winnerId)) rows.get(result.winnerId).wins += 1
+      if (rows.has(result.loserId)) rows.get(result.loserId).losses += 1
+      if (game.status === 'forfeited' && rows.has(result.loserId)) rows.get(result.loserId).forfeits += 1
+    }
+    if (home) home.played += 1
+    if (away) away.played += 1
+  }
+
+  // Ties count as half a win
+  for (const row of rows.values()) {
+    row.winPct = row.played > 0 ? (row.wins + row.ties / 2) / row.played : 0
+  }
+
+  return [...rows.values()].sort((a, b) =>
+    (a.division || '').localeCompare(b.division || '') ||
+    b.winPct - a.winPct ||
+    b.wins - a.wins ||
+    a.name.localeCompare(b.name)
+  )
+}
+
+/**
+ * Format a game's score for lists, by status
+ *
+ * @param {Object} game - games record with home_team/away_team names
+ * @returns {string} e.g. "4 - 7", "2 - 3 (suspended)", "Postponed", "Forfeit by Cubs"
+ */
+export function formatGameOutcome(game) {
+  const status = game.status || 'final'
+
+  if (status === 'forfeited') {
+    const team = game.forfeiting_team_id === game.home_team_id ? game.home_team : game.away_team
+    return `Forfeit by ${team?.name || 'Unknown'}`
+  }
+  if (status === 'final' || status === 'in_progress' || status === 'suspended') {
+    const score = `${game.away_score ?? '-'} - ${game.home_score ?? '-'}`
+    if (status === 'in_progress') return `${score} (in progress)`
+    if (status === 'suspended') return `${score} (suspended)`
+    return score
+  }
+  return GAME_STATUS_LABELS[status]
+}
+
+/**
+ * Change a game's status outside the game form
+ * Postponing can add the replacement game (same teams) to the season
+ * schedule on a new date. The change_game_status() Postgres function saves
+ * the status and the fixture in one transaction.
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} params
+ * @param {Object} params.game - games record being changed
+ * @param {string} params.status - New status
+ * @param {string|null} [params.forfeitingTeamId] - Required for forfeited
+ * @param {string|null} [params.replacementDate] - YYYY-MM-DD of the replacement game when postponing
+ * @returns {Promise<{replacementFixtureId: string|null}>} scheduled_games id of the replacement
+ * @throws {Error} If the transition is not allowed or the update fails
+ */
+export async function changeGameStatus(supabaseClient, { game, status, forfeitingTeamId = null, replacementDate = null }) {
+  const currentStatus = game.status || 'final'
+  if (status === currentStatus || !canChangeGameStatus(currentStatus, status)) {
+    throw new Error(`A ${GAME_STATUS_LABELS[currentStatus].toLowerCase()} game cannot be changed to ${GAME_STATUS_LABELS[status]?.toLowerCase() || status}`)
+  }
+
+  const validationError = validateGameStatus({ ...game, status, forfeiting_team_id: forfeitingTeamId })
+  if (validationError) throw new Error(validationError)
+
+  if (replacementDate && status !== 'postponed') {
+    throw new Error('Only a postponed game can be rescheduled')
+  }
+
+  const { data: replacementFixtureId, error } = await supabaseClient.rpc('change_game_status', {
+    p_game_id: game.id,
+    p_status: status,
+    p_forfeiting_team_id: status === 'forfeited' ? forfeitingTeamId : null,
+    p_replacement_date: replacementDate
+  })
+
+  if (error) throw error
+  return { replacementFixtureId: replacementFixtureId || null }
+}
@@ -0,0 +1,78 @@
+/**
+ * Game trash (soft delete)
+ *
+ * Deleting a game moves it to the trash instead of removing its pitching
+ * logs, which may be what justifies another player's rest. The database
+ * hides trashed games and their player data from every query (RLS), so
+ * they drop out of eligibility, reports and exports. Admins can restore a
+ * trashed game; it is purged for good only after the retention period
+ * (game_trash_retention()). Its change history stays in game_audit_log.
+ */
+
+/**
+ * Move a game to the trash (admins)
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} gameId - Game UUID
+ * @throws If the game is signed off, already trashed or the user isn't an admin
+ */
+export async function trashGame(supabaseClient, gameId) {
+  const { error } = await supabaseClient.rpc('trash_game', { p_game_id: gameId })
+  if (error) throw error
+}
+
+/**
+ * Restore a game from the trash (admins)
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} gameId - Game UUID
+ */
+export async function restoreTrashedGame(supabaseClient, gameId) {
+  const { error } = await supabaseClient.rpc('restore_trashed_game', { p_game_id: gameId })
+  if (error) throw error
+}
+
+/**
+ * Fetch a season's trashed games, most recently deleted first (admins)
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} seasonId - Season UUID
+ * @returns {Promise<Array>} { id, game_date, start_time, home_team_id, away_team_id, home_score,
+ *   away_score, status, forfeiting_team_id, deleted_at, deleted_by_name, purge_after, pitcher_count }
+ */
+export async function fetchTrashedGames(supabaseClient, seasonId) {
+  const { data, error } = await supabaseClient.rpc('list_trashed_games', { p_season_id: seasonId })
+  if (error) throw error
+  return data || []
+}
+
+/**
+ * Permanently delete every trashed game past its retention period (admins)
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @returns {Promise<number>} Number of games purged
+ */
+export async function purgeExpiredGames(supabaseClient) {
+  const { data, error } = await supabaseClient.rpc('purge_expired_games')
+  if (error) throw error
+  return data || 0
+}
+
+/**
+ * Count the days until a trashed game can be purged
+ *
+ * @param {Object} trashedGame - Row from fetchTrashedGames()
+ * @param {Date} [now] - Current time
+ * @returns {number} Whole days left, 0 once it can be purged
+ *
+ * @example
+ * getDaysUntilPurge({ purge_after: '2026-05-11T12:00:00Z' }, new Date('2026-05-01T12:00:00Z')) // returns 10
+ */
+export function getDaysUntilPurge(trashedGame, now = new Date()) {
+  const msLeft = new Date(trashedGame.purge_after).getTime() - now.getTime()
+  return Math.max(0, Math.ceil(msLeft / (24 * 60 * 60 * 1000)))
+}
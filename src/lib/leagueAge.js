@@ -0,0 +1,110 @@
+/**
+ * League age
+ *
+ * A player's league age is their age on the season's league-age cutoff
+ * date (seasons.league_age_cutoff, or the season's start date when no
+ * cutoff is set). Players with a birthdate get their age computed from it;
+ * players without one keep the age entered on the roster. The database
+ * keeps players.age in sync the same way (see sync_player_league_age).
+ */
+
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/
+
+/**
+ * Parse a YYYY-MM-DD date into its parts
+ *
+ * @param {string} value - Date string
+ * @returns {{year: number, month: number, day: number}|null} null if not a real date
+ */
+function parseIsoDate(value) {
+  const match = ISO_DATE.exec(value || '')
+  if (!match) return null
+
+  const [year, month, day] = match.slice(1).map(Number)
+  const date = new Date(Date.UTC(year, month - 1, day))
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null
+
+  return { year, month, day }
+}
+
+/**
+ * Check that a value is a real YYYY-MM-DD date
+ *
+ * @param {string} value - Date string
+ * @returns {boolean}
+ */
+export function isValidBirthdate(value) {
+  return parseIsoDate(value) !== null
+}
+
+/**
+ * The date a season's league ages are taken on
+ *
+ * @param {Object|null} season - Season row ({ start_date, league_age_cutoff })
+ * @returns {string|null} YYYY-MM-DD, or null without a season
+ */
+export function getSeasonAgeCutoff(season) {
+  return season?.league_age_cutoff || season?.start_date || null
+}
+
+/**
+ * Age in whole years on the cutoff date
+ *
+ * @param {string} birthdate - YYYY-MM-DD
+ * @param {string} cutoffDate - YYYY-MM-DD
+ * @returns {number|null} null if either date is missing or invalid
+ *
+ * @example
+ * calculateLeagueAge('2015-09-01', '2026-08-31') // 10
+ * calculateLeagueAge('2015-08-31', '2026-08-31') // 11
+ */
+export function calculateLeagueAge(birthdate, cutoffDate) {
+  const born = parseIsoDate(birthdate)
+  const cutoff = parseIsoDate(cutoffDate)
+  if (!born || !cutoff) return null
+
+  const hadBirthday = cutoff.month > born.month ||
+    (cutoff.month === born.month && cutoff.day >= born.day)
+  return cutoff.year - born.year - (hadBirthday ? 0 : 1)
+}
+
+/**
+ * A player's league age for the season
+ *
+ * @param {Object} player - Player row ({ age, birthdate })
+ * @param {string|null} cutoffDate - See getSeasonAgeCutoff()
+ * @returns {number} Computed from the birthdate when there is one, else player.age
+ */
+export function getLeagueAge(player, cutoffDate) {
+  return calculateLeagueAge(player.birthdate, cutoffDate) ?? player.age
+}
+
+/**
+ * Set each player's age to their league age for the season
+ *
+ * @param {Array} players - Player rows
+ * @param {string|null} cutoffDate - See getSeasonAgeCutoff()
+ * @returns {Array} New player objects
+ */
+export function applyLeagueAges(players, cutoffDate) {
+  return players.map(player => ({ ...player, age: getLeagueAge(player, cutoffDate) }))
+}
+
+/**
+ * Fetch the league-age cutoff date of a team's season
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} teamId - Team UUID
+ * @returns {Promise<string|null>} See getSeasonAgeCutoff()
+ */
+export async function fetchTeamAgeCutoff(supabaseClient, teamId) {
+  const { data, error } = await supabaseClient
+    .from('teams')
+    .select('season:seasons(start_date, league_age_cutoff)')
+    .eq('id', teamId)
+    .single()
+
+  if (error) throw error
+  return getSeasonAgeCutoff(data?.season)
+}
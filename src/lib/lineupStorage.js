@@ -0,0 +1,289 @@
+/**
+ * Server-side lineup storage
+ *
+ * Lineups are stored per team and game date in the lineups table and
+ * shared by every coach on the team (team_coaches RLS). Named templates
+ * live in lineup_templates. Both store the LineupBuilder state:
+ * batting order, positions[inning][position] = playerId, and locks.
+ */
+
+import { BENCH_POSITION, POSITION_CODES } from './fieldingPositions'
+
+// Builder position codes ('P', 'SS', ...) -> positions_played values
+const POSITIONS_BY_CODE = Object.fromEntries(
+  Object.entries(POSITION_CODES).map(([position, code]) => [code, position])
+)
+
+/**
+ * Drop players who are no longer on the roster from a saved lineup
+ *
+ * @param {Object} lineup - { batting_order, positions, locks } as stored
+ * @param {string[]} rosterIds - Current roster player ids
+ * @param {number[]} innings - Innings shown in the builder
+ * @param {string[]} fieldPositions - Position codes shown in the builder
+ * @returns {{battingOrder: string[], positions: Object, locks: Array}}
+ */
+export function sanitizeLineup(lineup, rosterIds, innings, fieldPositions) {
+  const playerIds = new Set(rosterIds)
+
+  const battingOrder = (lineup?.batting_order || []).filter(id => playerIds.has(id))
+
+  const positions = {}
+  if (lineup?.positions) {
+    for (const inning of innings) {
+      const inningPositions = lineup.positions[inning]
+      if (inningPositions) {
+        positions[inning] = {}
+        for (const pos of fieldPositions) {
+          if (inningPositions[pos] && playerIds.has(inningPositions[pos])) {
+            positions[inning][pos] = inningPositions[pos]
+          }
+        }
+      }
+    }
+  }
+
+  const locks = (lineup?.locks || []).filter(lock => playerIds.has(lock.playerId))
+
+  return { battingOrder, positions, locks }
+}
+
+/**
+ * Check whether a lineup has anything worth saving
+ *
+ * @param {Object} data - { battingOrder, positions, locks }
+ * @returns {boolean}
+ */
+export function isLineupEmpty({ battingOrder, positions, locks }) {
+  return battingOrder.length === 0 &&
+    locks.length === 0 &&
+    !Object.values(positions).some(inning => Object.values(inning).some(Boolean))
+}
+
+/**
+ * Fill Game Entry player records from a team's saved lineup
+ * Players in the batting order or on the field are present, everyone else on
+ * the roster is absent. P and C innings become innings pitched and caught;
+ * other positions, and the bench in innings the lineup plans, become
+ * fielding positions. Pitch counts are kept only for players who still pitch.
+ *
+ * @param {Array} players - Player records as initialized by GameFormModal
+ * @param {Object} lineup - Lineup row ({ batting_order, positions })
+ * @returns {Array} Players with attendance, innings and fielding filled in
+ *
+ * @example
+ * applyLineupToPlayers(players, { batting_order: ['p1', 'p2'], positions: { 1: { P: 'p1' } } })
+ * // p1 pitched inning 1, p2 sat on the bench, the rest of the roster is absent
+ */
+export function applyLineupToPlayers(players, lineup) {
+  const battingOrder = lineup?.batting_order || []
+  const plannedInnings = Object.entries(lineup?.positions || {})
+    .map(([inning, inningPositions]) => [parseInt(inning), inningPositions || {}])
+    .filter(([, inningPositions]) => Object.values(inningPositions).some(Boolean))
+    .sort(([a], [b]) => a - b)
+
+  const inLineup = new Set(battingOrder)
+  plannedInnings.forEach(([, inningPositions]) => {
+    Object.values(inningPositions).forEach(id => id && inLineup.add(id))
+  })
+
+  return players.map(player => {
+    const inningsPitched = []
+    const inningsCaught = []
+    const fielding = {}
+
+    plannedInnings.forEach(([inning, inningPositions]) => {
+      const code = Object.keys(inningPositions).find(pos => inningPositions[pos] === player.id)
+      const position = code ? POSITIONS_BY_CODE[code] : null
+
+      if (position === 'pitcher') {
+        inningsPitched.push(inning)
+      } else if (position === 'catcher') {
+        inningsCaught.push(inning)
+      } else if (position) {
+        fielding[inning] = position
+      } else if (battingOrder.includes(player.id)) {
+        fielding[inning] = BENCH_POSITION
+      }
+    })
+
+    const pitched = inningsPitched.length > 0
+
+    return {
+      ...player,
+      was_present: inLineup.has(player.id),
+      innings_pitched: inningsPitched,
+      innings_caught: inningsCaught,
+      fielding_positions: fielding,
+      penultimate_batter_count: pitched ? player.penultimate_batter_count : '',
+      final_pitch_count: pitched ? player.final_pitch_count : ''
+    }
+  })
+}
+
+const LINEUP_FIELDS = 'id, team_id, game_date, batting_order, positions, locks, updated_at, updater:user_profiles(name)'
+const TEMPLATE_FIELDS = 'id, team_id, name, batting_order, positions, locks, updated_at'
+
+/**
+ * Fetch a team's lineup for a game date
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} teamId - Team UUID
+ * @param {string} gameDate - Game date (YYYY-MM-DD)
+ * @returns {Promise<Object|null>} The lineup row, or null if none is saved
+ */
+export async function fetchTeamLineup(supabaseClient, teamId, gameDate) {
+  const { data, error } = await supabaseClient
+    .from('lineups')
+    .select(LINEUP_FIELDS)
+    .eq('team_id', teamId)
+    .eq('game_date', gameDate)
+    .maybeSingle()
+
+  if (error) throw error
+  return data
+}
+
+/**
+ * Create or update a team's lineup for a game date
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} params
+ * @param {string} params.teamId - Team UUID
+ * @param {string} params.gameDate - Game date (YYYY-MM-DD)
+ * @param {string[]} params.battingOrder - Player ids in batting order
+ * @param {Object} params.positions - positions[inning][position] = playerId
+ * @param {Array} params.locks - Generator locks
+ * @param {string} [params.updatedBy] - user_profiles id of the coach saving
+ * @returns {Promise<Object>} The saved lineup row
+ */
+export async function saveTeamLineup(supabaseClient, { teamId, gameDate, battingOrder, positions, locks, updatedBy = null }) {
+  const { data, error } = await supabaseClient
+    .from('lineups')
+    .upsert({
+      team_id: teamId,
+      game_date: gameDate,
+      batting_order: battingOrder,
+      positions,
+      locks,
+      updated_by: updatedBy
+    }, { onConflict: 'team_id,game_date' })
+    .select(LINEUP_FIELDS)
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+/**
+ * Delete a team's lineup for a game date
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} teamId - Team UUID
+ * @param {string} gameDate - Game date (YYYY-MM-DD)
+ */
+export async function deleteTeamLineup(supabaseClient, teamId, gameDate) {
+  const { error } = await supabaseClient
+    .from('lineups')
+    .delete()
+    .eq('team_id', teamId)
+    .eq('game_date', gameDate)
+
+  if (error) throw error
+}
+
+/**
+ * Fetch a team's saved lineups, most recent game date first
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} teamId - Team UUID
+ * @param {number} [limit=25] - Maximum number of lineups
+ * @returns {Promise<Array>} Lineup rows
+ */
+export async function fetchLineupHistory(supabaseClient, teamId, limit = 25) {
+  const { data, error } = await supabaseClient
+    .from('lineups')
+    .select(LINEUP_FIELDS)
+    .eq('team_id', teamId)
+    .order('game_date', { ascending: false })
+    .limit(limit)
+
+  if (error) throw error
+  return data || []
+}
+
+/**
+ * Fetch a team's named lineup templates
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} teamId - Team UUID
+ * @returns {Promise<Array>} Template rows ordered by name
+ */
+export async function fetchLineupTemplates(supabaseClient, teamId) {
+  const { data, error } = await supabaseClient
+    .from('lineup_templates')
+    .select(TEMPLATE_FIELDS)
+    .eq('team_id', teamId)
+    .order('name')
+
+  if (error) throw error
+  return data || []
+}
+
+/**
+ * Save the current lineup as a named template (replaces a template with the same name)
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} params
+ * @param {string} params.teamId - Team UUID
+ * @param {string} params.name - Template name
+ * @param {string[]} params.battingOrder - Player ids in batting order
+ * @param {Object} params.positions - positions[inning][position] = playerId
+ * @param {Array} params.locks - Generator locks
+ * @param {string} [params.updatedBy] - user_profiles id of the coach saving
+ * @returns {Promise<Object>} The saved template row
+ */
+export async function saveLineupTemplate(supabaseClient, { teamId, name, battingOrder, positions, locks, updatedBy = null }) {
+  const trimmedName = name.trim()
+  if (!trimmedName) {
+    throw new Error('Template name is required')
+  }
+
+  const { data, error } = await supabaseClient
+    .from('lineup_templates')
+    .upsert({
+      team_id: teamId,
+      name: trimmedName,
+      batting_order: battingOrder,
+      positions,
+      locks,
+      updated_by: updatedBy
+    }, { onConflict: 'team_id,name' })
+    .select(TEMPLATE_FIELDS)
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+/**
+ * Delete a lineup template
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} templateId - Template UUID
+ */
+export async function deleteLineupTemplate(supabaseClient, templateId) {
+  const { error } = await supabaseClient
+    .from('lineup_templates')
+    .delete()
+    .eq('id', templateId)
+
+  if (error) throw error
+}
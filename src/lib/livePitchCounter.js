@@ -0,0 +1,225 @@
+/**
+ * Live pitch counter for game day
+ *
+ * The scorekeeper taps once per pitch. The session is an append-only list
+ * of events, replayed by deriveLiveGame() into per-pitcher counts, so Undo
+ * is just dropping the last event. Events:
+ *   { type: 'pitch' }                              - pitch by the fielding team's pitcher
+ *   { type: 'batter_done' }                        - the current plate appearance ended
+ *   { type: 'pitcher', team, playerId }            - pitcher change ('home' | 'away')
+ *   { type: 'catcher', team, playerId }            - catcher change
+ *   { type: 'end_half' }                           - three outs; the other team takes the field
+ *
+ * The home team fields in the top of each inning. The count at the start of
+ * each pitcher's last batter becomes penultimate_batter_count, exactly as
+ * the scorekeeper would copy it from paper after the game.
+ */
+
+import { getRequiredRestDays, PITCH_SMART_RULES } from './pitchSmartRules'
+import { getEffectivePitchCount, getMaxPitchesForDivision } from './violationRules'
+
+// Warn this many pitches before the next rest-day tier
+export const REST_DAY_WARNING_MARGIN = 5
+
+// Warn this many pitches before the daily maximum
+export const MAX_PITCH_WARNING_MARGIN = 10
+
+const emptyTeam = () => ({ pitcherId: null, catcherId: null, pitchers: {}, catchers: {} })
+
+/**
+ * Replay live events into the current game state
+ *
+ * @param {Array} events - Live session events in the order they were recorded
+ * @returns {Object} { inning, half, fieldingTeam, totalPitches, teams: { home, away } }
+ *   teams[team].pitchers[playerId] = { pitches, batterStart, batterComplete, innings }
+ *   teams[team].catchers[playerId] = innings caught
+ *
+ * @example
+ * deriveLiveGame([
+ *   { type: 'pitcher', team: 'home', playerId: 'p1' },
+ *   { type: 'pitch' },
+ *   { type: 'pitch' }
+ * ]).teams.home.pitchers.p1.pitches // returns 2
+ */
+export function deriveLiveGame(events) {
+  const game = {
+    inning: 1,
+    half: 'top',
+    fieldingTeam: 'home',
+    totalPitches: 0,
+    teams: { home: emptyTeam(), away: emptyTeam() }
+  }
+
+  const endCurrentBatter = () => {
+    const team = game.teams[game.fieldingTeam]
+    const pitcher = team.pitchers[team.pitcherId]
+    if (pitcher) pitcher.batterComplete = true
+  }
+
+  events.forEach(event => {
+    switch (event.type) {
+      case 'pitcher': {
+        const team = game.teams[event.team]
+        const previous = team.pitchers[team.pitcherId]
+        if (previous) previous.batterComplete = true
+        team.pitcherId = event.playerId || null
+        if (team.pitcherId && !team.pitchers[team.pitcherId]) {
+          team.pitchers[team.pitcherId] = { pitches: 0, batterStart: 0, batterComplete: true, innings: [] }
+        }
+        if (team.pitchers[team.pitcherId]) team.pitchers[team.pitcherId].batterComplete = true
+        break
+      }
+      case 'catcher': {
+        const team = game.teams[event.team]
+        team.catcherId = event.playerId || null
+        if (team.catcherId && !team.catchers[team.catcherId]) {
+          team.catchers[team.catcherId] = []
+        }
+        break
+      }
+      case 'pitch': {
+        const team = game.teams[game.fieldingTeam]
+        const pitcher = team.pitchers[team.pitcherId]
+        if (!pitcher) break
+
+        // First pitch to a new batter: remember where this plate appearance started
+        if (pitcher.batterComplete) {
+          pitcher.batterStart = pitcher.pitches
+          pitcher.batterComplete = false
+        }
+        pitcher.pitches += 1
+        game.totalPitches += 1
+
+        if (!pitcher.innings.includes(game.inning)) pitcher.innings.push(game.inning)
+        const caught = team.catchers[team.catcherId]
+        if (caught && !caught.includes(game.inning)) caught.push(game.inning)
+        break
+      }
+      case 'batter_done':
+        endCurrentBatter()
+        break
+      case 'end_half':
+        endCurrentBatter()
+        if (game.half === 'top') {
+          game.half = 'bottom'
+        } else {
+          game.half = 'top'
+          game.inning += 1
+        }
+        game.fieldingTeam = game.half === 'top' ? 'home' : 'away'
+        break
+      default:
+        break
+    }
+  })
+
+  return game
+}
+
+/**
+ * Summarize where a pitcher stands against the daily max and rest-day tiers
+ *
+ * Rest days follow Game Entry's effective count (pitch count before the last
+ * batter + 1), so a pitcher who crosses a tier mid-batter may finish that
+ * batter without moving up; starting another batter is what costs rest.
+ * Pitches from earlier games the same day count toward both the maximum
+ * and the rest tiers, as they do when the game is saved.
+ *
+ * @param {Object} pitcher - { pitches, batterStart, batterComplete } from deriveLiveGame()
+ * @param {number} age - Pitcher's age
+ * @param {Array} [rules] - Season rule set (defaults to PITCH_SMART_RULES)
+ * @param {string|null} [division] - Division of the game; Training uses a flat 50-pitch max
+ * @param {number} [earlierPitches=0] - Pitches thrown in earlier games that day (see fetchEarlierPitchesToday)
+ * @returns {Object} { pitches, earlierPitches, maxPitches, pitchesToMax, restDays, nextRestDays,
+ *   pitchesUntilNextRestDays, level: 'ok' | 'warning' | 'danger', messages: string[] }
+ */
+export function getLivePitcherStatus(pitcher, age, rules = PITCH_SMART_RULES, division = null, earlierPitches = 0) {
+  const { pitches, batterStart } = pitcher
+  const maxPitches = getMaxPitchesForDivision(age, division, rules)
+  const pitchesToMax = maxPitches === null ? null : maxPitches - earlierPitches - pitches
+  const maxLabel = division === 'Training' ? 'for Training division' : `for age ${age}`
+
+  // Rest owed if the pitcher comes out after the current (or just finished) batter
+  const restDays = pitches > 0
+    ? getRequiredRestDays(age, (getEffectivePitchCount(batterStart) || 1) + earlierPitches, rules) || 0
+    : 0
+
+  // Starting a batter at count c counts as c + 1, so the next tier begins once
+  // a batter is started at (tier minimum - 1) pitches
+  const restIfNewBatter = getRequiredRestDays(age, earlierPitches + pitches + 1, rules) || 0
+  let nextRestDays = null
+  let pitchesUntilNextRestDays = null
+
+  if (restIfNewBatter > restDays) {
+    nextRestDays = restIfNewBatter
+    pitchesUntilNextRestDays = 0
+  } else {
+    const rule = rules.find(r => age >= r.ageMin && age <= r.ageMax)
+    const nextTier = rule?.restDayRanges.find(range => range.restDays > restDays)
+    if (nextTier) {
+      nextRestDays = nextTier.restDays
+      pitchesUntilNextRestDays = nextTier.minPitches - 1 - earlierPitches - pitches
+    }
+  }
+
+  const messages = []
+  let level = 'ok'
+
+  if (pitchesToMax !== null && pitchesToMax <= 0) {
+    level = 'danger'
+    messages.push(`Reached the ${maxPitches}-pitch maximum ${maxLabel}: finish this batter, then remove the pitcher`)
+  } else if (pitchesToMax !== null && pitchesToMax <= MAX_PITCH_WARNING_MARGIN) {
+    level = 'warning'
+    messages.push(`${pitchesToMax} pitch${pitchesToMax !== 1 ? 'es' : ''} left before the ${maxPitches}-pitch maximum`)
+  }
+
+  if (nextRestDays !== null && pitchesUntilNextRestDays === 0) {
+    if (level === 'ok') level = 'warning'
+    messages.push(`Starting another batter means ${nextRestDays} day${nextRestDays !== 1 ? 's' : ''} of rest`)
+  } else if (nextRestDays !== null && pitchesUntilNextRestDays <= REST_DAY_WARNING_MARGIN) {
+    if (level === 'ok') level = 'warning'
+    messages.push(`${pitchesUntilNextRestDays} pitch${pitchesUntilNextRestDays !== 1 ? 'es' : ''} until ${nextRestDays} day${nextRestDays !== 1 ? 's' : ''} of rest`)
+  }
+
+  if (earlierPitches > 0) {
+    messages.push(`${earlierPitches} pitch${earlierPitches !== 1 ? 'es' : ''} from an earlier game today count toward the maximum and rest`)
+  }
+
+  return { pitches, earlierPitches, maxPitches, pitchesToMax, restDays, nextRestDays, pitchesUntilNextRestDays, level, messages }
+}
+
+/**
+ * Apply a team's live counts to Game Entry player records
+ *
+ * @param {Array} players - Player records as initialized by GameFormModal
+ * @param {Object} team - deriveLiveGame().teams.home or .away
+ * @returns {Array} Players with innings_pitched, innings_caught and pitch counts filled in
+ */
+export function applyLiveTeamToPlayers(players, team) {
+  return players.map(player => {
+    const pitcher = team.pitchers[player.id]
+    const caught = team.catchers[player.id] || []
+    const pitched = pitcher && pitcher.pitches > 0
+
+    return {
+      ...player,
+      innings_pitched: pitched ? [...pitcher.innings].sort((a, b) => a - b) : [],
+      innings_caught: [...caught].sort((a, b) => a - b),
+      penultimate_batter_count: pitched ? pitcher.batterStart.toString() : '',
+      final_pitch_count: pitched ? pitcher.pitches.toString() : ''
+    }
+  })
+}
+
+/**
+ * Highest inning with a pitch recorded (at least 6, the regulation length)
+ *
+ * @param {Object} game - Result of deriveLiveGame()
+ * @returns {number}
+ */
+export function getLiveMaxInning(game) {
+  const innings = ['home', 'away'].flatMap(side =>
+    Object.values(game.teams[side].pitchers).flatMap(p => p.innings)
+  )
+  return Math.max(6, ...innings)
+}
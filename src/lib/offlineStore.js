@@ -0,0 +1,112 @@
+/**
+ * IndexedDB storage for offline game entry
+ *
+ * Two object stores:
+ * - drafts: games saved while offline, waiting to sync (keyed by draft id)
+ * - cache: data fetched while online so the forms still work without
+ *   coverage (rosters, eligibility dates, rule sets, team lists)
+ *
+ * Every function returns a promise and rejects if IndexedDB is unavailable
+ * (e.g. some private browsing modes); callers treat the cache as best-effort.
+ */
+
+const DB_NAME = 'tll-offline'
+const DB_VERSION = 1
+const DRAFTS_STORE = 'drafts'
+const CACHE_STORE = 'cache'
+
+let dbPromise = null
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('Offline storage is not available in this browser'))
+        return
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        const db = request.result
+        if (!db.objectStoreNames.contains(DRAFTS_STORE)) {
+          db.createObjectStore(DRAFTS_STORE, { keyPath: 'id' })
+        }
+        if (!db.objectStoreNames.contains(CACHE_STORE)) {
+          db.createObjectStore(CACHE_STORE, { keyPath: 'key' })
+        }
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    }).catch(err => {
+      dbPromise = null
+      throw err
+    })
+  }
+  return dbPromise
+}
+
+// Run one request against a store and resolve with its result
+async function run(storeName, mode, operation) {
+  const db = await openDatabase()
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode)
+    const request = operation(transaction.objectStore(storeName))
+    transaction.oncomplete = () => resolve(request.result)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+/**
+ * List queued drafts, oldest first
+ *
+ * @returns {Promise<Array>}
+ */
+export async function listDrafts() {
+  const drafts = await run(DRAFTS_STORE, 'readonly', store => store.getAll())
+  return (drafts || []).sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+}
+
+/**
+ * Create or replace a draft
+ *
+ * @param {Object} draft - Draft with an `id`
+ * @returns {Promise<void>}
+ */
+export async function putDraft(draft) {
+  await run(DRAFTS_STORE, 'readwrite', store => store.put(draft))
+}
+
+/**
+ * Remove a draft
+ *
+ * @param {string} draftId - Draft id
+ * @returns {Promise<void>}
+ */
+export async function deleteDraft(draftId) {
+  await run(DRAFTS_STORE, 'readwrite', store => store.delete(draftId))
+}
+
+/**
+ * Read a cached value
+ *
+ * @param {string} key - Cache key
+ * @returns {Promise<{value: *, cachedAt: string}|null>} null when nothing is cached
+ */
+export async function getCached(key) {
+  const entry = await run(CACHE_STORE, 'readonly', store => store.get(key))
+  return entry ? { value: entry.value, cachedAt: entry.cachedAt } : null
+}
+
+/**
+ * Store a value in the cache
+ *
+ * @param {string} key - Cache key
+ * @param {*} value - Structured-cloneable value
+ * @returns {Promise<void>}
+ */
+export async function setCached(key, value) {
+  await run(CACHE_STORE, 'readwrite', store =>
+    store.put({ key, value, cachedAt: new Date().toISOString() })
+  )
+}
@@ -0,0 +1,317 @@
+/**
+ * Offline game entry: cached lookups, queued drafts and sync
+ *
+ * Games saved without a connection are kept as drafts in the offline store
+ * and replayed through saveGameRecord() once the device is back online.
+ * Before an edit is replayed, the game's updated_at is compared with the
+ * value the scorekeeper started from; if the server copy changed (or the
+ * game was deleted, or someone entered the same game online), the draft is
+ * held as a conflict until the admin keeps their version or discards it.
+ *
+ * Functions take the offline store as a dependency ({ listDrafts, putDraft,
+ * deleteDraft, getCached, setCached } - see offlineStore.js).
+ */
+
+import { saveGameRecord } from './gameSave'
+import { isGameConflictError } from './gameConflicts'
+import { fetchPitchSmartRules } from './pitchSmartRules'
+import { fetchEarlierPitchesToday, fetchEligibilityDatesBeforeDate, fetchLatestEligibilityDates } from './pitcherEligibility'
+import { fetchResumeEligibilityDates } from './suspendedGames'
+
+/**
+ * Check whether an error means the server could not be reached
+ * supabase-js reports fetch failures as error objects carrying the browser's
+ * network error message ("Failed to fetch", "Load failed", ...).
+ *
+ * @param {Error|Object} err - Thrown error or Supabase error
+ * @returns {boolean}
+ */
+export function isNetworkError(err) {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return true
+  return /failed to fetch|networkerror|load failed|network request failed/i.test(err?.message || '')
+}
+
+/**
+ * Fetch data online and cache it, or fall back to the cache when offline
+ *
+ * @param {Object} store - Offline store (getCached, setCached)
+ * @param {string} key - Cache key
+ * @param {Function} fetcher - async () => data; throws on failure
+ * @returns {Promise<{data: *, fromCache: boolean, cachedAt: string|null}>}
+ * @throws The fetch error when offline and nothing is cached, or for non-network errors
+ */
+export async function withOfflineCache(store, key, fetcher) {
+  try {
+    const data = await fetcher()
+    try {
+      await store.setCached(key, data)
+    } catch (cacheError) {
+      console.error('Failed to cache offline data:', cacheError)
+    }
+    return { data, fromCache: false, cachedAt: null }
+  } catch (err) {
+    if (!isNetworkError(err)) throw err
+
+    let cached = null
+    try {
+      cached = await store.getCached(key)
+    } catch (cacheError) {
+      console.error('Failed to read offline data:', cacheError)
+    }
+    if (!cached) throw err
+    return { data: cached.value, fromCache: true, cachedAt: cached.cachedAt }
+  }
+}
+
+/**
+ * Fetch a team's roster with each player's latest eligibility date, cached for offline entry
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} store - Offline store
+ * @param {string} teamId - Team UUID
+ * @returns {Promise<{data: {players: Array, eligibility: Object}, fromCache: boolean, cachedAt: string|null}>}
+ */
+export function fetchGameRoster(supabaseClient, store, teamId) {
+  return withOfflineCache(store, `game-roster:${teamId}`, async () => {
+    const { data: players, error } = await supabaseClient
+      .from('players')
+      .select('*')
+      .eq('team_id', teamId)
+      .is('archived_at', null)
+      .order('name')
+
+    if (error) throw error
+
+    const eligibility = await fetchLatestEligibilityDates(supabaseClient, players.map(p => p.id))
+    return { players, eligibility }
+  })
+}
+
+/**
+ * Fetch a season's Pitch Smart rule set, cached for offline entry
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} store - Offline store
+ * @param {string} seasonId - Season UUID
+ * @returns {Promise<{data: {rules: Array, isDefault: boolean}, fromCache: boolean, cachedAt: string|null}>}
+ */
+export function fetchSeasonRules(supabaseClient, store, seasonId) {
+  return withOfflineCache(store, `pitch-rules:${seasonId}`, () =>
+    fetchPitchSmartRules(supabaseClient, seasonId)
+  )
+}
+
+/**
+ * Build a queued draft for a game save that could not reach the server
+ *
+ * @param {Object} params
+ * @param {Object} params.payload - saveGameRecord() payload
+ * @param {string|null} params.baseUpdatedAt - games.updated_at the edit started from (null for new games)
+ * @param {string} params.label - Human-readable description, e.g. "Cubs at Sox (May 3)"
+ * @returns {Object} Draft record
+ */
+export function buildGameDraft({ payload, baseUpdatedAt = null, label }) {
+  const now = new Date().toISOString()
+  return {
+    id: crypto.randomUUID(),
+    label,
+    payload,
+    baseUpdatedAt,
+    status: 'pending', // pending | conflict | error
+    conflict: null,
+    lastError: null,
+    createdAt: now,
+    updatedAt: now
+  }
+}
+
+/**
+ * Check whether the server copy changed since the draft was started
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} draft - Queued draft
+ * @returns {Promise<Object|null>} null when safe to sync, otherwise
+ *   { type: 'changed', serverUpdatedAt } | { type: 'deleted' } | { type: 'duplicate', serverGameId, serverUpdatedAt }
+ */
+export async function checkDraftConflict(supabaseClient, draft) {
+  const { gameId, formData } = draft.payload
+
+  if (!gameId) {
+    // New game: someone may have entered the same game online meanwhile.
+    // A doubleheader's games are told apart by start time; without one, the
+    // same game also has the same scorekeeper team.
+    let query = supabaseClient
+      .from('games')
+      .select('id, updated_at')
+      .eq('game_date', formData.game_date)
+      .eq('home_team_id', formData.home_team_id)
+      .eq('away_team_id', formData.away_team_id)
+
+    if (formData.start_time) {
+      query = query.eq('start_time', formData.start_time)
+    } else {
+      query = query.is('start_time', null)
+      query = formData.scorekeeper_team_id
+        ? query.eq('scorekeeper_team_id', formData.scorekeeper_team_id)
+        : query.is('scorekeeper_team_id', null)
+    }
+
+    const { data, error } = await query.limit(1)
+
+    if (error) throw error
+    return data && data.length > 0
+      ? { type: 'duplicate', serverGameId: data[0].id, serverUpdatedAt: data[0].updated_at }
+      : null
+  }
+
+  if (!draft.baseUpdatedAt) return null
+
+  const { data, error } = await supabaseClient
+    .from('games')
+    .select('id, updated_at')
+    .eq('id', gameId)
+    .maybeSingle()
+
+  if (error) throw error
+  if (!data) return { type: 'deleted' }
+  if (new Date(data.updated_at).getTime() !== new Date(draft.baseUpdatedAt).getTime()) {
+    return { type: 'changed', serverUpdatedAt: data.updated_at }
+  }
+  return null
+}
+
+/**
+ * Keep the draft's version of a conflicting game; it syncs on the next run
+ *
+ * @param {Object} draft - Draft with status 'conflict'
+ * @returns {Object} Updated draft
+ */
+export function keepDraftVersion(draft) {
+  const { conflict } = draft
+  let payload = draft.payload
+  let baseUpdatedAt = draft.baseUpdatedAt
+
+  if (conflict?.type === 'deleted') {
+    // Re-create the game
+    payload = { ...payload, gameId: null }
+    baseUpdatedAt = null
+  } else if (conflict?.type === 'duplicate') {
+    // Overwrite the game entered online
+    payload = { ...payload, gameId: conflict.serverGameId }
+    baseUpdatedAt = conflict.serverUpdatedAt
+  } else if (conflict?.type === 'changed') {
+    baseUpdatedAt = conflict.serverUpdatedAt
+  }
+
+  return {
+    ...draft,
+    payload,
+    baseUpdatedAt,
+    status: 'pending',
+    conflict: null,
+    lastError: null,
+    updatedAt: new Date().toISOString()
+  }
+}
+
+/**
+ * Sync queued drafts to Supabase, oldest first
+ * Rules and eligibility dates are refreshed from the server before each
+ * save, since the copies cached on the device may be out of date.
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} store - Offline store (listDrafts, putDraft, deleteDraft)
+ * @returns {Promise<{synced: number, conflicts: number, failed: number, offline: boolean, recomputedGames: Array, recomputeErrors: string[]}>}
+ *   recomputeErrors lists synced games whose later games could not be updated
+ */
+export async function syncDrafts(supabaseClient, store) {
+  const result = { synced: 0, conflicts: 0, failed: 0, offline: false, recomputedGames: [], recomputeErrors: [] }
+  const drafts = await store.listDrafts()
+
+  for (const draft of drafts) {
+    if (draft.status !== 'pending') {
+      if (draft.status === 'conflict') result.conflicts += 1
+      if (draft.status === 'error') result.failed += 1
+      continue
+    }
+
+    try {
+      const conflict = await checkDraftConflict(supabaseClient, draft)
+      if (conflict) {
+        await store.putDraft({ ...draft, status: 'conflict', conflict, updatedAt: new Date().toISOString() })
+        result.conflicts += 1
+        continue
+      }
+
+      const { payload } = draft
+      const { rules } = await fetchPitchSmartRules(supabaseClient, payload.seasonId)
+      const playerIds = payload.players.map(p => p.id)
+      const eligibility = await fetchEligibilityDatesBeforeDate(
+        supabaseClient,
+        playerIds,
+        payload.formData.game_date
+      )
+      const earlierPitches = await fetchEarlierPitchesToday(supabaseClient, playerIds, {
+        id: payload.gameId,
+        game_date: payload.formData.game_date,
+        start_time: payload.formData.start_time || null
+      })
+      const resumeEligibility = await fetchResumeEligibilityDates(supabaseClient, playerIds, {
+        ...payload.formData,
+        id: payload.gameId
+      })
+      const players = payload.players.map(p => ({
+        ...p,
+        previousNextEligibleDate: eligibility[p.id] || null,
+        earlierPitchesToday: earlierPitches[p.id] || 0,
+        resumePreviousNextEligibleDate: resumeEligibility[p.id] || null
+      }))
+
+      const saved = await saveGameRecord(supabaseClient, {
+        ...payload,
+        players,
+        rules,
+        expectedUpdatedAt: draft.baseUpdatedAt
+      })
+
+      await store.deleteDraft(draft.id)
+      result.synced += 1
+      result.recomputedGames.push(...saved.recomputedGames)
+      if (saved.recomputeError) {
+        result.recomputeErrors.push(`${draft.label}: ${saved.recomputeError.message}`)
+      }
+    } catch (err) {
+      // save_game() is atomic, so a failed draft left nothing behind on the server
+      if (isNetworkError(err)) {
+        result.offline = true
+        break
+      }
+
+      // Someone saved the game between the conflict check and the save
+      if (isGameConflictError(err)) {
+        await store.putDraft({
+          ...draft,
+          status: 'conflict',
+          conflict: { type: 'changed', serverUpdatedAt: err.details },
+          updatedAt: new Date().toISOString()
+        })
+        result.conflicts += 1
+        continue
+      }
+
+      await store.putDraft({
+        ...draft,
+        status: 'error',
+        lastError: err.message,
+        updatedAt: new Date().toISOString()
+      })
+      result.failed += 1
+    }
+  }
+
+  return result
+}
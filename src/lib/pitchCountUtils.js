@@ -56,7 +56,7 @@ export function formatRosterDate(dateString) {
 
 /**
  * Get display values for a player's pitch count data
- * @param {Object|null} pitchingLog - The player's most recent pitching log
+ * @param {Object|null} pitchingLog - The player's most recent pitching log (pitch_date, or game.game_date)
  * @returns {Object} - { lastDate, officialCount, nextEligibleDate }
  */
 export function getPitchingDisplayData(pitchingLog) {
@@ -71,7 +71,7 @@ export function getPitchingDisplayData(pitchingLog) {
   const officialCount = getOfficialPitchCount(pitchingLog.penultimate_batter_count)
 
   return {
-    lastDate: formatRosterDate(pitchingLog.game.game_date),
+    lastDate: formatRosterDate(pitchingLog.pitch_date || pitchingLog.game.game_date),
     officialCount: officialCount > 0 ? officialCount.toString() : '--',
     nextEligibleDate: pitchingLog.next_eligible_pitch_date
       ? formatRosterDate(pitchingLog.next_eligible_pitch_date)
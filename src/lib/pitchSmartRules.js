@@ -3,6 +3,10 @@
  *
  * These rules define pitch count limits and required rest days
  * to protect young pitchers' arms.
+ *
+ * PITCH_SMART_RULES is the league default. Each season can override it
+ * with its own rule set stored in the pitch_count_rules table; every
+ * helper below accepts an optional `rules` argument for that purpose.
  */
 
 import { parseLocalDate } from './pitchCountUtils'
@@ -49,15 +53,16 @@ export const PITCH_SMART_RULES = [
  *
  * @param {number} playerAge - The player's age
  * @param {number} pitchCount - Number of pitches thrown
+ * @param {Array} [rules] - Rule set to apply (defaults to PITCH_SMART_RULES)
  * @returns {number|null} Required rest days, or null if no rule found
  *
  * @example
  * getRequiredRestDays(12, 21) // returns 1 (needs 1 day of rest)
  * getRequiredRestDays(10, 66) // returns 4 (needs 4 days of rest)
  */
-export function getRequiredRestDays(playerAge, pitchCount) {
+export function getRequiredRestDays(playerAge, pitchCount, rules = PITCH_SMART_RULES) {
   // Find the age range rule
-  const rule = PITCH_SMART_RULES.find(
+  const rule = rules.find(
     r => playerAge >= r.ageMin && playerAge <= r.ageMax
   )
 
@@ -83,13 +88,14 @@ export function getRequiredRestDays(playerAge, pitchCount) {
  * @param {Date|string} gameDate - The date the player pitched (YYYY-MM-DD format or Date object)
  * @param {number} playerAge - The player's age
  * @param {number} pitchCount - Number of pitches thrown
+ * @param {Array} [rules] - Rule set to apply (defaults to PITCH_SMART_RULES)
  * @returns {string|null} The next date the player is eligible to pitch in YYYY-MM-DD format, or null if no rule found
  *
  * @example
  * calculateNextEligibleDate('2025-05-11', 12, 21) // returns '2025-05-13'
  */
-export function calculateNextEligibleDate(gameDate, playerAge, pitchCount) {
-  const restDays = getRequiredRestDays(playerAge, pitchCount)
+export function calculateNextEligibleDate(gameDate, playerAge, pitchCount, rules = PITCH_SMART_RULES) {
+  const restDays = getRequiredRestDays(playerAge, pitchCount, rules)
 
   if (restDays === null) {
     return null
@@ -105,3 +111,147 @@ export function calculateNextEligibleDate(gameDate, playerAge, pitchCount) {
   // Return as YYYY-MM-DD string for consistency with database format
   return eligibleDate.toISOString().split('T')[0]
 }
+
+/**
+ * Convert pitch_count_rules rows into the rule structure used by the helpers above
+ * Falls back to PITCH_SMART_RULES when the season has no rules of its own.
+ *
+ * @param {Array} rows - pitch_count_rules records (age_min, age_max, max_pitches_per_game, rest_day_ranges)
+ * @returns {Array} Rule set sorted by ageMin
+ *
+ * @example
+ * rulesFromRows([{ age_min: 9, age_max: 10, max_pitches_per_game: 75, rest_day_ranges: [...] }])
+ * // returns [{ ageMin: 9, ageMax: 10, maxPitchesPerGame: 75, restDayRanges: [...] }]
+ */
+export function rulesFromRows(rows) {
+  if (!rows || rows.length === 0) {
+    return PITCH_SMART_RULES
+  }
+
+  return rows
+    .map(row => ({
+      ageMin: row.age_min,
+      ageMax: row.age_max,
+      maxPitchesPerGame: row.max_pitches_per_game,
+      restDayRanges: (row.rest_day_ranges || [])
+        .map(range => ({
+          minPitches: range.minPitches,
+          maxPitches: range.maxPitches,
+          restDays: range.restDays
+        }))
+        .sort((a, b) => a.minPitches - b.minPitches)
+    }))
+    .sort((a, b) => a.ageMin - b.ageMin)
+}
+
+/**
+ * Convert a rule set into the JSON payload expected by replace_pitch_count_rules()
+ *
+ * @param {Array} rules - Rule set in PITCH_SMART_RULES format
+ * @returns {Array} Rows with snake_case columns
+ */
+export function rulesToRows(rules) {
+  return rules.map(rule => ({
+    age_min: rule.ageMin,
+    age_max: rule.ageMax,
+    max_pitches_per_game: rule.maxPitchesPerGame,
+    rest_day_ranges: rule.restDayRanges.map(range => ({
+      minPitches: range.minPitches,
+      maxPitches: range.maxPitches,
+      restDays: range.restDays
+    }))
+  }))
+}
+
+/**
+ * Validate a rule set before saving it
+ * Age bands must not overlap, and each band's rest-day ranges must start
+ * at 1 pitch, be contiguous, and never require fewer rest days as the
+ * pitch count goes up.
+ *
+ * @param {Array} rules - Rule set in PITCH_SMART_RULES format
+ * @returns {string[]} Human-readable problems (empty array when valid)
+ */
+export function validatePitchSmartRules(rules) {
+  const errors = []
+
+  if (!rules || rules.length === 0) {
+    return ['At least one age band is required']
+  }
+
+  const sorted = [...rules].sort((a, b) => a.ageMin - b.ageMin)
+
+  sorted.forEach((rule, index) => {
+    const label = `Ages ${rule.ageMin}-${rule.ageMax}`
+
+    if (!Number.isInteger(rule.ageMin) || !Number.isInteger(rule.ageMax) || rule.ageMin > rule.ageMax) {
+      errors.push(`${label}: minimum age must be less than or equal to maximum age`)
+    }
+
+    if (index > 0 && rule.ageMin <= sorted[index - 1].ageMax) {
+      errors.push(`${label}: overlaps with ages ${sorted[index - 1].ageMin}-${sorted[index - 1].ageMax}`)
+    }
+
+    if (!Number.isInteger(rule.maxPitchesPerGame) || rule.maxPitchesPerGame <= 0) {
+      errors.push(`${label}: daily max must be a positive whole number`)
+    }
+
+    if (!rule.restDayRanges || rule.restDayRanges.length === 0) {
+      errors.push(`${label}: at least one rest-day range is required`)
+      return
+    }
+
+    const ranges = [...rule.restDayRanges].sort((a, b) => a.minPitches - b.minPitches)
+
+    if (ranges[0].minPitches !== 1) {
+      errors.push(`${label}: first rest-day range must start at 1 pitch`)
+    }
+
+    ranges.forEach((range, rangeIndex) => {
+      if (range.minPitches > range.maxPitches) {
+        errors.push(`${label}: range ${range.minPitches}-${range.maxPitches} is invalid`)
+      }
+      if (!Number.isInteger(range.restDays) || range.restDays < 0) {
+        errors.push(`${label}: rest days must be zero or a positive whole number`)
+      }
+      if (rangeIndex > 0) {
+        const previous = ranges[rangeIndex - 1]
+        if (range.minPitches !== previous.maxPitches + 1) {
+          errors.push(`${label}: range starting at ${range.minPitches} must follow ${previous.maxPitches} without a gap or overlap`)
+        }
+        if (range.restDays < previous.restDays) {
+          errors.push(`${label}: rest days cannot decrease as pitch count increases`)
+        }
+      }
+    })
+  })
+
+  return errors
+}
+
+/**
+ * Fetch the Pitch Smart rule set for a season
+ * ACCEPTS DEPENDENCY: supabaseClient so it can be used from hooks and tests alike
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} seasonId - Season UUID
+ * @returns {Promise<{rules: Array, isDefault: boolean}>} Season rules, or the defaults if none are stored
+ */
+export async function fetchPitchSmartRules(supabaseClient, seasonId) {
+  if (!seasonId) {
+    return { rules: PITCH_SMART_RULES, isDefault: true }
+  }
+
+  const { data, error } = await supabaseClient
+    .from('pitch_count_rules')
+    .select('*')
+    .eq('season_id', seasonId)
+    .order('age_min')
+
+  if (error) throw error
+
+  return {
+    rules: rulesFromRows(data),
+    isDefault: !data || data.length === 0
+  }
+}
@@ -0,0 +1,263 @@
+/**
+ * Pitcher eligibility lookups (Rules 5 and 6)
+ *
+ * A player may pitch on a date once their most recent
+ * next_eligible_pitch_date from an earlier game has arrived.
+ *
+ * Pitches are limited per day: on a doubleheader the daily maximum (Rule 5)
+ * applies to the pitches of all of a player's games that day, and rest is
+ * counted from the day's combined total. Games on the same day are ordered
+ * by start time, then by when they were entered.
+ *
+ * Pitches are dated by pitching_logs.pitch_date, which differs from the
+ * game date for the resumed portion of a suspended game (suspendedGames.js).
+ * On its date the resumed portion comes before the day's other games.
+ *
+ * Games kept by both scorekeepers count with the data saved for them, also
+ * while the two counts are unreconciled (see gameReconciliation.js).
+ */
+
+/**
+ * Check whether a player may pitch on a date
+ *
+ * @param {string|null} nextEligibleDate - Player's next_eligible_pitch_date (YYYY-MM-DD)
+ * @param {string} gameDate - Date of the game (YYYY-MM-DD)
+ * @returns {boolean} True if the player has no outstanding rest on gameDate
+ *
+ * @example
+ * isEligibleToPitch('2025-05-06', '2025-05-05') // returns false
+ * isEligibleToPitch('2025-05-06', '2025-05-06') // returns true
+ */
+export function isEligibleToPitch(nextEligibleDate, gameDate) {
+  if (!nextEligibleDate || !gameDate) return true
+  return nextEligibleDate <= gameDate
+}
+
+/**
+ * Fetch the most recent next_eligible_pitch_date for players from pitches before a date
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string[]} playerIds - Player UUIDs
+ * @param {string} gameDate - Only pitches thrown before this date are considered (YYYY-MM-DD)
+ * @param {string|null} [excludeGameId] - Leave out this game's logs
+ * @returns {Promise<Object>} Map of player_id -> next_eligible_pitch_date (players who never pitched are omitted)
+ */
+export async function fetchEligibilityDatesBeforeDate(supabaseClient, playerIds, gameDate, excludeGameId = null) {
+  if (!playerIds || playerIds.length === 0) return {}
+
+  let query = supabaseClient
+    .from('pitching_logs')
+    .select('player_id, next_eligible_pitch_date, pitch_date')
+    .in('player_id', playerIds)
+    .lt('pitch_date', gameDate)
+    .not('next_eligible_pitch_date', 'is', null)
+
+  if (excludeGameId) {
+    query = query.neq('game_id', excludeGameId)
+  }
+
+  const { data: pitchingLogs, error } = await query.order('pitch_date', { ascending: false })
+
+  if (error) throw error
+
+  // Ordered by pitch_date desc, so the first entry for each player is the most recent
+  const eligibilityMap = {}
+  for (const log of pitchingLogs || []) {
+    if (!eligibilityMap[log.player_id]) {
+      eligibilityMap[log.player_id] = log.next_eligible_pitch_date
+    }
+  }
+
+  return eligibilityMap
+}
+
+/**
+ * Fetch each player's most recent next_eligible_pitch_date from any game
+ * Used when entering a new game, before the game has a place in the season.
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string[]} playerIds - Player UUIDs
+ * @returns {Promise<Object>} Map of player_id -> next_eligible_pitch_date (players who never pitched are omitted)
+ */
+export async function fetchLatestEligibilityDates(supabaseClient, playerIds) {
+  if (!playerIds || playerIds.length === 0) return {}
+
+  const { data: pitchingLogs, error } = await supabaseClient
+    .from('pitching_logs')
+    .select('player_id, next_eligible_pitch_date, pitch_date')
+    .in('player_id', playerIds)
+    .not('next_eligible_pitch_date', 'is', null)
+    .order('pitch_date', { ascending: false })
+
+  if (error) throw error
+
+  // Ordered by pitch_date desc, so the first entry for each player is the most recent
+  const eligibilityMap = {}
+  for (const log of pitchingLogs || []) {
+    if (!eligibilityMap[log.player_id]) {
+      eligibilityMap[log.player_id] = log.next_eligible_pitch_date
+    }
+  }
+
+  return eligibilityMap
+}
+
+/**
+ * Fetch each player's most recent pitching date before a date
+ * A doubleheader counts as one outing: pitch counts are summed over the day.
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string[]} playerIds - Player UUIDs
+ * @param {string} gameDate - Only pitches thrown before this date are considered (YYYY-MM-DD)
+ * @param {string|null} [excludeGameId] - Leave out this game's logs
+ * @returns {Promise<Object>} Map of player_id -> { pitch_date, official_count, next_eligible_pitch_date }
+ *   (players who never pitched are omitted)
+ */
+export async function fetchLastOutingsBeforeDate(supabaseClient, playerIds, gameDate, excludeGameId = null) {
+  if (!playerIds || playerIds.length === 0 || !gameDate) return {}
+
+  let query = supabaseClient
+    .from('pitching_logs')
+    .select('player_id, penultimate_batter_count, next_eligible_pitch_date, pitch_date')
+    .in('player_id', playerIds)
+    .lt('pitch_date', gameDate)
+
+  if (excludeGameId) {
+    query = query.neq('game_id', excludeGameId)
+  }
+
+  const { data: pitchingLogs, error } = await query.order('pitch_date', { ascending: false })
+
+  if (error) throw error
+
+  // Ordered by pitch_date desc: keep every log from each player's latest date
+  const outings = {}
+  for (const log of pitchingLogs || []) {
+    const outing = outings[log.player_id]
+    if (outing && outing.pitch_date !== log.pitch_date) continue
+
+    const pitches = (log.penultimate_batter_count || 0) + 1
+    if (!outing) {
+      outings[log.player_id] = {
+        pitch_date: log.pitch_date,
+        official_count: pitches,
+        next_eligible_pitch_date: log.next_eligible_pitch_date
+      }
+    } else {
+      outing.official_count += pitches
+      if (log.next_eligible_pitch_date > (outing.next_eligible_pitch_date || '')) {
+        outing.next_eligible_pitch_date = log.next_eligible_pitch_date
+      }
+    }
+  }
+
+  return outings
+}
+
+/**
+ * Decide whether a player is available to pitch in a game
+ * Rule 6 (rest) comes first, then the daily maximum (Rule 5) when the
+ * player already reached it in an earlier game that day.
+ *
+ * @param {Object} params
+ * @param {string|null} params.nextEligibleDate - Player's next_eligible_pitch_date before the game
+ * @param {string} params.gameDate - Date of the game (YYYY-MM-DD)
+ * @param {number} [params.earlierPitches=0] - Pitches thrown in earlier games that day
+ * @param {number|null} [params.maxPitches] - Daily maximum for the player (null when unknown)
+ * @returns {{available: boolean, reason: 'rest'|'daily_max'|null}}
+ *
+ * @example
+ * getPitcherAvailability({ nextEligibleDate: '2025-05-06', gameDate: '2025-05-05' })
+ * // returns { available: false, reason: 'rest' }
+ */
+export function getPitcherAvailability({ nextEligibleDate, gameDate, earlierPitches = 0, maxPitches = null }) {
+  if (!isEligibleToPitch(nextEligibleDate, gameDate)) {
+    return { available: false, reason: 'rest' }
+  }
+  if (maxPitches && earlierPitches >= maxPitches) {
+    return { available: false, reason: 'daily_max' }
+  }
+  return { available: true, reason: null }
+}
+
+/**
+ * Order two games played on the same day
+ * Games without a start time go after timed games; ties go by entry time,
+ * with a game not saved yet (no created_at) last.
+ *
+ * @param {Object} a - { start_time, created_at }
+ * @param {Object} b - { start_time, created_at }
+ * @returns {number} Negative if a was played before b
+ */
+export function compareGamesInDay(a, b) {
+  const byValue = (x, y) => {
+    if (x && y) return x < y ? -1 : x > y ? 1 : 0
+    if (x) return -1
+    if (y) return 1
+    return 0
+  }
+  // Stored times are HH:MM:SS, times from the form HH:MM
+  return byValue(a.start_time?.slice(0, 5), b.start_time?.slice(0, 5)) || byValue(a.created_at, b.created_at)
+}
+
+/**
+ * Sum each player's pitches from games earlier on the same day as a game
+ * Pitch counts are effective counts (penultimate batter + 1). The resumed
+ * portion of a suspended game counts as earlier than any game on its date.
+ *
+ * @param {Array} pitchingLogs - [{ player_id, penultimate_batter_count, pitch_date,
+ *   games: { id, game_date, start_time, created_at } }]
+ * @param {Object} game - The game being checked: { id, game_date, start_time, created_at }
+ * @returns {Object} Map of player_id -> pitches thrown earlier that day (players with none are omitted)
+ *
+ * @example
+ * // Game 1 at 9:00 (30 pitches), game 2 at 13:00
+ * sumEarlierPitchesToday(logs, { id: 'g2', game_date: '2025-05-03', start_time: '13:00:00' })
+ * // returns { p1: 31 }
+ */
+export function sumEarlierPitchesToday(pitchingLogs, game) {
+  const totals = {}
+  for (const log of pitchingLogs || []) {
+    const logGame = log.games
+    if (!logGame || logGame.id === game.id) continue
+
+    const pitchDate = log.pitch_date || logGame.game_date
+    if (pitchDate !== game.game_date) continue
+    const resumedPortion = pitchDate !== logGame.game_date
+    if (!resumedPortion && compareGamesInDay(logGame, game) >= 0) continue
+
+    totals[log.player_id] = (totals[log.player_id] || 0) + (log.penultimate_batter_count || 0) + 1
+  }
+  return totals
+}
+
+/**
+ * Fetch each player's pitches from games earlier on the same day as a game
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string[]} playerIds - Player UUIDs
+ * @param {Object} game - { id (null for a new game), game_date, start_time, created_at }
+ * @returns {Promise<Object>} Map of player_id -> pitches thrown earlier that day
+ */
+export async function fetchEarlierPitchesToday(supabaseClient, playerIds, game) {
+  if (!playerIds || playerIds.length === 0 || !game.game_date) return {}
+
+  const { data: pitchingLogs, error } = await supabaseClient
+    .from('pitching_logs')
+    .select(`
+      player_id,
+      penultimate_batter_count,
+      pitch_date,
+      games!inner(id, game_date, start_time, created_at)
+    `)
+    .in('player_id', playerIds)
+    .eq('pitch_date', game.game_date)
+
+  if (error) throw error
+
+  return sumEarlierPitchesToday(pitchingLogs, game)
+}
@@ -0,0 +1,135 @@
+/**
+ * Player archiving
+ *
+ * Players are archived instead of deleted: deleting a player cascades away
+ * their pitching_logs and positions_played, which rewrites past games and
+ * their violations. Archived players (players.archived_at) are left off
+ * rosters, lineups and new games, but stay in saved games, reports and
+ * exports. Only super admins can delete a player for good, after reviewing
+ * the games it would change.
+ */
+
+/**
+ * Archive a player, taking them off their team's roster
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} playerId - Player UUID
+ */
+export async function archivePlayer(supabaseClient, playerId) {
+  const { error } = await supabaseClient
+    .from('players')
+    .update({ archived_at: new Date().toISOString() })
+    .eq('id', playerId)
+
+  if (error) throw error
+}
+
+/**
+ * Put an archived player back on their team's roster
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} playerId - Player UUID
+ * @throws If a rostered teammate now wears the same jersey number
+ */
+export async function restoreArchivedPlayer(supabaseClient, playerId) {
+  const { error } = await supabaseClient
+    .from('players')
+    .update({ archived_at: null })
+    .eq('id', playerId)
+
+  if (error) {
+    if (error.code === '23505') {
+      throw new Error('Another player on this team has the same jersey number. Change one of the numbers first.')
+    }
+    throw error
+  }
+}
+
+/**
+ * Summarize a player's record in each game they played
+ *
+ * @param {Array} attendance - game_players rows with game embed
+ *   ({ game_id, was_present, game: { game_date, signoff_status, home_team, away_team } })
+ * @param {Array} pitchingLogs - { game_id, penultimate_batter_count }
+ * @param {Array} positions - { game_id, position }
+ * @returns {Array<{gameId, gameDate, awayTeamName, homeTeamName, wasPresent, pitches, caught, locked}>}
+ *   Oldest game first; pitches is the effective count (null if the player didn't pitch)
+ */
+export function summarizePlayerGames(attendance, pitchingLogs, positions) {
+  return attendance
+    .filter(gp => gp.game)
+    .map(gp => {
+      const logs = pitchingLogs.filter(pl => pl.game_id === gp.game_id)
+      return {
+        gameId: gp.game_id,
+        gameDate: gp.game.game_date,
+        awayTeamName: gp.game.away_team?.name || 'Unknown',
+        homeTeamName: gp.game.home_team?.name || 'Unknown',
+        wasPresent: gp.was_present,
+        pitches: logs.length > 0
+          ? logs.reduce((sum, pl) => sum + (pl.penultimate_batter_count || 0) + 1, 0)
+          : null,
+        caught: positions.some(pp => pp.game_id === gp.game_id && pp.position === 'catcher'),
+        locked: gp.game.signoff_status === 'confirmed'
+      }
+    })
+    .sort((a, b) => a.gameDate.localeCompare(b.gameDate))
+}
+
+/**
+ * Fetch the games a permanent delete of the player would change
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} playerId - Player UUID
+ * @returns {Promise<Array>} See summarizePlayerGames()
+ */
+export async function fetchPlayerGameImpact(supabaseClient, playerId) {
+  const [attendanceRes, logsRes, positionsRes] = await Promise.all([
+    supabaseClient
+      .from('game_players')
+      .select(`
+        game_id,
+        was_present,
+        game:games(
+          game_date,
+          signoff_status,
+          home_team:teams!games_home_team_id_fkey(name),
+          away_team:teams!games_away_team_id_fkey(name)
+        )
+      `)
+      .eq('player_id', playerId),
+    supabaseClient
+      .from('pitching_logs')
+      .select('game_id, penultimate_batter_count')
+      .eq('player_id', playerId),
+    supabaseClient
+      .from('positions_played')
+      .select('game_id, position')
+      .eq('player_id', playerId)
+  ])
+
+  if (attendanceRes.error) throw attendanceRes.error
+  if (logsRes.error) throw logsRes.error
+  if (positionsRes.error) throw positionsRes.error
+
+  return summarizePlayerGames(attendanceRes.data || [], logsRes.data || [], positionsRes.data || [])
+}
+
+/**
+ * Delete a player and all of their game records for good (super admins)
+ * The games they played in get their violation flag recalculated.
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} playerId - Player UUID
+ * @returns {Promise<number>} Number of games changed
+ * @throws If the user isn't a super admin or one of the games is signed off
+ */
+export async function deletePlayerPermanently(supabaseClient, playerId) {
+  const { data, error } = await supabaseClient.rpc('delete_player_permanently', { p_player_id: playerId })
+  if (error) throw error
+  return data || 0
+}
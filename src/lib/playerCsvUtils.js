@@ -5,16 +5,42 @@
  * used by both BulkAddModal and TeamPlayersModal components.
  */
 
+import { calculateLeagueAge, isValidBirthdate } from './leagueAge'
+
 // Constants for age validation (single source of truth)
 export const PLAYER_AGE_MIN = 6
 export const PLAYER_AGE_MAX = 12
 
+/**
+ * Validate a birthdate against the league's age range
+ *
+ * @param {string} birthdate - YYYY-MM-DD
+ * @param {string|null} cutoffDate - The season's league-age cutoff (see getSeasonAgeCutoff())
+ * @returns {string|null} Error message, or null when the birthdate is usable
+ */
+export function validateBirthdate(birthdate, cutoffDate) {
+  if (!isValidBirthdate(birthdate)) {
+    return 'Birthdate must be a date (YYYY-MM-DD)'
+  }
+
+  const age = calculateLeagueAge(birthdate, cutoffDate)
+  if (age === null) {
+    return 'The season has no date to compute the league age from'
+  }
+  if (age < PLAYER_AGE_MIN || age > PLAYER_AGE_MAX) {
+    return `League age ${age} must be between ${PLAYER_AGE_MIN} and ${PLAYER_AGE_MAX}`
+  }
+  return null
+}
+
 /**
  * Parse CSV data into player objects for bulk import.
- * Format: Name, Age, Jersey# (optional)
+ * Format: Name, Age or Birthdate (YYYY-MM-DD), Jersey# (optional)
+ * A birthdate sets the player's age to their league age on the cutoff date.
  *
  * @param {string} csvData - Raw CSV string with one player per line
  * @param {string} teamId - Team UUID to assign players to
+ * @param {string|null} [ageCutoff] - The season's league-age cutoff, needed for birthdates
  * @returns {Array} Array of player objects ready for database insert
  * @throws {Error} Validation errors with line numbers for user feedback
  *
@@ -24,8 +50,11 @@ export const PLAYER_AGE_MAX = 12
  * //   { name: "John Smith", age: 10, jersey_number: "5", team_id: "team-uuid" },
  * //   { name: "Jane Doe", age: 11, jersey_number: null, team_id: "team-uuid" }
  * // ]
+ *
+ * parsePlayerCsv("Sam Lee, 2015-09-01", "team-uuid", "2026-08-31")
+ * // Returns: [{ name: "Sam Lee", age: 10, birthdate: "2015-09-01", jersey_number: null, team_id: "team-uuid" }]
  */
-export function parsePlayerCsv(csvData, teamId) {
+export function parsePlayerCsv(csvData, teamId, ageCutoff = null) {
   const lines = csvData.trim().split('\n')
   const players = []
 
@@ -36,7 +65,7 @@ export function parsePlayerCsv(csvData, teamId) {
     const parts = line.split(',').map(p => p.trim())
 
     if (parts.length < 2) {
-      throw new Error(`Line ${i + 1}: Invalid format. Expected: Name, Age, Jersey# (optional)`)
+      throw new Error(`Line ${i + 1}: Invalid format. Expected: Name, Age or Birthdate, Jersey# (optional)`)
     }
 
     const [name, age, jersey] = parts
@@ -45,6 +74,22 @@ export function parsePlayerCsv(csvData, teamId) {
       throw new Error(`Line ${i + 1}: Name is required`)
     }
 
+    if (age.includes('-')) {
+      const birthdateError = validateBirthdate(age, ageCutoff)
+      if (birthdateError) {
+        throw new Error(`Line ${i + 1}: ${birthdateError}`)
+      }
+
+      players.push({
+        name,
+        age: calculateLeagueAge(age, ageCutoff),
+        birthdate: age,
+        jersey_number: jersey || null,
+        team_id: teamId
+      })
+      continue
+    }
+
     const ageNum = parseInt(age)
     if (isNaN(ageNum) || ageNum < PLAYER_AGE_MIN || ageNum > PLAYER_AGE_MAX) {
       throw new Error(`Line ${i + 1}: Age must be between ${PLAYER_AGE_MIN} and ${PLAYER_AGE_MAX}`)
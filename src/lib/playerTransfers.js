@@ -0,0 +1,109 @@
+/**
+ * Player transfers
+ *
+ * A mid-season transfer moves a player to another team of the same season
+ * from an effective date, keeping their player record. Pitching logs stay
+ * keyed by player, so rest days carry over to the new team. Each
+ * game_players row records the team the player played for (team_id), so
+ * past games keep showing the original team; players.team_id is only the
+ * current team. It moves when the transfer is recorded, so transfers cannot
+ * take effect in the future.
+ */
+
+/**
+ * Transfer a player to another team (admins)
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} transfer
+ * @param {string} transfer.playerId - Player UUID
+ * @param {string} transfer.toTeamId - Team UUID the player moves to
+ * @param {string} transfer.effectiveDate - First day on the new team (YYYY-MM-DD), today or earlier
+ * @param {string} [transfer.note] - Optional reason
+ * @returns {Promise<string>} Transfer UUID
+ * @throws If the date is in the future or before a game the player played for their
+ *   current team, the team is in another season, or a rostered player there has the same jersey number
+ */
+export async function transferPlayer(supabaseClient, { playerId, toTeamId, effectiveDate, note = '' }) {
+  const { data, error } = await supabaseClient.rpc('transfer_player', {
+    p_player_id: playerId,
+    p_to_team_id: toTeamId,
+    p_effective_date: effectiveDate,
+    p_note: note
+  })
+
+  if (error) {
+    if (error.code === '23505') {
+      throw new Error('A player on the new team already has this jersey number. Change one of the numbers first.')
+    }
+    throw error
+  }
+  return data
+}
+
+/**
+ * Fetch the transfers into and out of a team, newest first
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} teamId - Team UUID
+ * @returns {Promise<Array>} player_transfers rows with player, from_team and to_team names
+ */
+export async function fetchTeamTransfers(supabaseClient, teamId) {
+  const { data, error } = await supabaseClient
+    .from('player_transfers')
+    .select(`
+      *,
+      player:players(name, jersey_number),
+      from_team:teams!player_transfers_from_team_id_fkey(name, division),
+      to_team:teams!player_transfers_to_team_id_fkey(name, division)
+    `)
+    .or(`from_team_id.eq.${teamId},to_team_id.eq.${teamId}`)
+    .order('effective_date', { ascending: false })
+
+  if (error) throw error
+  return data || []
+}
+
+/**
+ * Describe a transfer from one team's point of view
+ *
+ * @param {Object} transfer - player_transfers row with from_team and to_team names
+ * @param {string} teamId - Team the list is shown for
+ * @returns {{direction: 'in'|'out', text: string}}
+ *
+ * @example
+ * describeTransfer({ from_team_id: 't1', to_team: { name: 'Cubs' }, ... }, 't1')
+ * // { direction: 'out', text: 'Transferred to Cubs' }
+ */
+export function describeTransfer(transfer, teamId) {
+  if (transfer.from_team_id === teamId) {
+    return { direction: 'out', text: `Transferred to ${transfer.to_team?.name || 'another team'}` }
+  }
+  return { direction: 'in', text: `Transferred from ${transfer.from_team?.name || 'another team'}` }
+}
+
+/**
+ * The team a game_players row was played for
+ * Rows saved before transfers existed fall back to the player's current team.
+ *
+ * @param {Object} gamePlayer - game_players row, optionally with the player embedded
+ * @returns {string|null} Team UUID
+ */
+export function getGamePlayerTeamId(gamePlayer) {
+  return gamePlayer.team_id || gamePlayer.player?.team_id || null
+}
+
+/**
+ * Look up the team each player played for in each game
+ *
+ * @param {Array} gamePlayers - game_players rows ({ game_id, player_id, team_id })
+ * @returns {Object} `${player_id}_${game_id}` -> team UUID
+ */
+export function buildGamePlayerTeams(gamePlayers) {
+  const teams = {}
+  gamePlayers.forEach(gp => {
+    teams[`${gp.player_id}_${gp.game_id}`] = getGamePlayerTeamId(gp)
+  })
+  return teams
+}
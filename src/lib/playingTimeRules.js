@@ -0,0 +1,189 @@
+/**
+ * Playing time rules for lineups
+ *
+ * Rule 7: No player sits out 2 consecutive innings.
+ * Rule 8: Every player plays at least 1 inning of defense in the infield.
+ *
+ * Lineups use the LineupBuilder shape: positions[inning][position] = playerId.
+ * Only innings with at least one assigned position are checked, so a
+ * partly planned lineup isn't flagged for innings the coach hasn't filled in.
+ *
+ * Recorded games are checked from positions_played, for players whose
+ * fielding was recorded (see fieldingPositions.js): an inning with a bench
+ * record counts as sitting out, and innings without records are skipped.
+ */
+
+import { BENCH_POSITION, POSITION_CODES, hasRecordedFielding } from './fieldingPositions'
+
+export const INFIELD_POSITIONS = ['P', 'C', '1B', '2B', 'SS', '3B']
+
+/**
+ * Rule identifiers for playing time violations
+ * Numbers match the rule numbering in RULES.md.
+ */
+export const PLAYING_TIME_RULES = {
+  consecutive_sitting: { number: 7, name: 'Sat out consecutive innings' },
+  no_infield_inning: { number: 8, name: 'No infield inning' }
+}
+
+/**
+ * Get the innings that have at least one position assigned
+ *
+ * @param {Object} positions - positions[inning][position] = playerId
+ * @param {number[]} innings - All innings in the game
+ * @returns {number[]}
+ */
+export function getPlannedInnings(positions, innings) {
+  return innings.filter(inning =>
+    Object.values(positions[inning] || {}).some(Boolean)
+  )
+}
+
+/**
+ * Get the players on the bench for an inning
+ *
+ * @param {string[]} playerIds - Players in the lineup (batting order)
+ * @param {Object} positions - positions[inning][position] = playerId
+ * @param {number} inning - Inning number
+ * @returns {string[]} Player ids not assigned a position that inning
+ */
+export function getBenchPlayers(playerIds, positions, inning) {
+  const fielded = new Set(Object.values(positions[inning] || {}).filter(Boolean))
+  return playerIds.filter(id => !fielded.has(id))
+}
+
+/**
+ * Check one player's lineup against Rules 7 and 8
+ *
+ * @param {string} playerId - Player UUID
+ * @param {Object} positions - positions[inning][position] = playerId
+ * @param {number[]} innings - All innings in the game
+ * @returns {Array} [{ rule_id, player_id, innings, message }]
+ *
+ * @example
+ * // Sits innings 3 and 4
+ * getPlayerPlayingTimeViolations('p1', positions, [1, 2, 3, 4, 5, 6])
+ * // returns [{ rule_id: 'consecutive_sitting', player_id: 'p1', innings: [3, 4], message: 'Sits out innings 3, 4' }]
+ */
+export function getPlayerPlayingTimeViolations(playerId, positions, innings) {
+  const playedPosition = (inning) =>
+    Object.entries(positions[inning] || {}).find(([, id]) => id === playerId)?.[0] || null
+
+  return checkPlayingTime(playerId, getPlannedInnings(positions, innings), playedPosition, 'Sits out')
+}
+
+// Rules 7 and 8 over the given innings; playedPosition returns a position code, or null on the bench
+function checkPlayingTime(playerId, innings, playedPosition, sitsOut) {
+  if (innings.length === 0) return []
+
+  const violations = []
+
+  // Rule 7: find runs of 2+ consecutive innings on the bench
+  const sittingInnings = []
+  let run = []
+  const closeRun = () => {
+    if (run.length >= 2) sittingInnings.push(...run)
+    run = []
+  }
+
+  innings.forEach((inning, i) => {
+    const previous = innings[i - 1]
+    if (previous !== undefined && inning !== previous + 1) closeRun()
+
+    if (playedPosition(inning)) {
+      closeRun()
+    } else {
+      run.push(inning)
+    }
+  })
+  closeRun()
+
+  if (sittingInnings.length > 0) {
+    violations.push({
+      rule_id: 'consecutive_sitting',
+      player_id: playerId,
+      innings: sittingInnings,
+      message: `${sitsOut} innings ${sittingInnings.join(', ')}`
+    })
+  }
+
+  // Rule 8: at least one inning in the infield
+  const playedInfield = innings.some(inning => INFIELD_POSITIONS.includes(playedPosition(inning)))
+
+  if (!playedInfield) {
+    violations.push({
+      rule_id: 'no_infield_inning',
+      player_id: playerId,
+      innings: [],
+      message: 'No infield inning (P, C, 1B, 2B, SS or 3B)'
+    })
+  }
+
+  return violations
+}
+
+/**
+ * Check every player in a lineup against Rules 7 and 8
+ *
+ * @param {string[]} playerIds - Players in the lineup (batting order)
+ * @param {Object} positions - positions[inning][position] = playerId
+ * @param {number[]} innings - All innings in the game
+ * @returns {Object} Map of player_id -> violations (players without violations omitted)
+ */
+export function getLineupViolations(playerIds, positions, innings) {
+  const byPlayer = {}
+
+  playerIds.forEach(playerId => {
+    const violations = getPlayerPlayingTimeViolations(playerId, positions, innings)
+    if (violations.length > 0) byPlayer[playerId] = violations
+  })
+
+  return byPlayer
+}
+
+/**
+ * Check one player's recorded positions in a game against Rules 7 and 8
+ * Players without recorded fielding (only pitcher and catcher innings) are not checked.
+ *
+ * @param {string} playerId - Player UUID
+ * @param {Array} positions - The player's positions_played records for the game
+ * @returns {Array} [{ rule_id, player_id, innings, message }]
+ *
+ * @example
+ * getRecordedPlayingTimeViolations('p1', [
+ *   { inning_number: 1, position: 'left_field' },
+ *   { inning_number: 2, position: 'bench' },
+ *   { inning_number: 3, position: 'bench' }
+ * ])
+ * // returns Rule 7 (innings [2, 3]) and Rule 8 violations
+ */
+export function getRecordedPlayingTimeViolations(playerId, positions) {
+  if (!hasRecordedFielding(positions)) return []
+
+  const innings = [...new Set(positions.map(pos => pos.inning_number))].sort((a, b) => a - b)
+  const playedPosition = (inning) => {
+    const played = positions.find(pos => pos.inning_number === inning && pos.position !== BENCH_POSITION)
+    return played ? POSITION_CODES[played.position] : null
+  }
+
+  return checkPlayingTime(playerId, innings, playedPosition, 'Sat out')
+}
+
+/**
+ * Check every player's recorded positions in a game against Rules 7 and 8
+ *
+ * @param {Array} positions - positions_played records for the game
+ * @returns {Array} Violation records shaped like getPlayerViolations() (pitch_count null)
+ */
+export function getGamePlayingTimeViolations(positions) {
+  const byPlayer = new Map()
+  positions.forEach(pos => {
+    if (!byPlayer.has(pos.player_id)) byPlayer.set(pos.player_id, [])
+    byPlayer.get(pos.player_id).push(pos)
+  })
+
+  return [...byPlayer].flatMap(([playerId, playerPositions]) =>
+    getRecordedPlayingTimeViolations(playerId, playerPositions)
+      .map(violation => ({ ...violation, pitch_count: null }))
+  )
+}
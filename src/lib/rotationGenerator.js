@@ -0,0 +1,257 @@
+/**
+ * Defensive rotation generator for the Lineup & Positions Builder
+ *
+ * Fills the position × inning grid from the batting order so that:
+ * - no player sits out 2 consecutive innings (Rule 7)
+ * - every player gets at least 1 infield inning (Rule 8)
+ * - pitchers who are ineligible on the game date are never placed at P
+ * - coach locks ("Sam catches innings 1-2") are kept as entered
+ * - infield and outfield innings are spread evenly across the roster
+ *
+ * Pitchers and catchers work in short stints. A player who has left the
+ * mound is never brought back to pitch (Rule 1), and the generator keeps
+ * pitchers and catchers apart so Rules 2-4 can't be triggered by the plan.
+ */
+
+import { INFIELD_POSITIONS, PLAYING_TIME_RULES, getLineupViolations } from './playingTimeRules'
+
+export const FIELD_POSITIONS = ['P', 'C', '1B', '2B', 'SS', '3B', 'LF', 'CF', 'RF']
+
+// Consecutive innings each generated pitcher / catcher stays at the position
+const BATTERY_STINT_INNINGS = 2
+
+/**
+ * Expand and validate coach locks
+ *
+ * @param {Array} locks - [{ playerId, position, innings: number[] }]
+ * @param {string[]} battingOrder - Players in the lineup
+ * @param {string[]} ineligiblePitchers - Players who may not pitch on the game date
+ * @param {Object} playerNames - Map of player_id -> name (for warnings)
+ * @returns {{byInning: Object, warnings: string[]}} byInning[inning][position] = playerId
+ */
+export function resolveLocks(locks, battingOrder, ineligiblePitchers = [], playerNames = {}) {
+  const byInning = {}
+  const warnings = []
+  const nameOf = (id) => playerNames[id] || 'Unknown player'
+
+  locks.forEach(lock => {
+    if (!battingOrder.includes(lock.playerId)) {
+      warnings.push(`Lock ignored: ${nameOf(lock.playerId)} is not in the batting order`)
+      return
+    }
+    if (lock.position === 'P' && ineligiblePitchers.includes(lock.playerId)) {
+      warnings.push(`Lock ignored: ${nameOf(lock.playerId)} is not eligible to pitch on the game date`)
+      return
+    }
+
+    lock.innings.forEach(inning => {
+      if (!byInning[inning]) byInning[inning] = {}
+      const inningLocks = byInning[inning]
+
+      if (inningLocks[lock.position]) {
+        warnings.push(`Lock ignored: ${lock.position} in inning ${inning} is already locked to ${nameOf(inningLocks[lock.position])}`)
+        return
+      }
+      if (Object.values(inningLocks).includes(lock.playerId)) {
+        warnings.push(`Lock ignored: ${nameOf(lock.playerId)} is already locked to another position in inning ${inning}`)
+        return
+      }
+
+      inningLocks[lock.position] = lock.playerId
+    })
+  })
+
+  return { byInning, warnings }
+}
+
+/**
+ * Generate a defensive rotation
+ *
+ * @param {Object} params
+ * @param {string[]} params.battingOrder - Player ids in batting order
+ * @param {number[]} params.innings - Innings to fill, e.g. [1, 2, 3, 4, 5, 6]
+ * @param {Array} [params.locks] - [{ playerId, position, innings: number[] }]
+ * @param {string[]} [params.ineligiblePitchers] - Players who may not pitch on the game date
+ * @param {Object} [params.playerNames] - Map of player_id -> name (for warnings)
+ * @returns {{positions: Object, warnings: string[], violations: Object}}
+ *   positions[inning][position] = playerId, plus any Rule 7/8 violations that could not be avoided
+ *
+ * @example
+ * const { positions, warnings } = generateRotation({
+ *   battingOrder: playerIds,
+ *   innings: [1, 2, 3, 4, 5, 6],
+ *   locks: [{ playerId: samId, position: 'C', innings: [1, 2] }],
+ *   ineligiblePitchers: [tiredArmId]
+ * })
+ */
+export function generateRotation({
+  battingOrder,
+  innings,
+  locks = [],
+  ineligiblePitchers = [],
+  playerNames = {}
+}) {
+  const { byInning: lockedByInning, warnings } = resolveLocks(locks, battingOrder, ineligiblePitchers, playerNames)
+  const positions = {}
+
+  if (battingOrder.length === 0) {
+    return { positions, warnings, violations: {} }
+  }
+
+  const stats = {}
+  battingOrder.forEach(id => {
+    stats[id] = { played: 0, infield: 0, satLast: false, byPosition: {}, pitched: false, caught: false }
+  })
+
+  // Players locked at P later must not pitch earlier (they could not return - Rule 1),
+  // and players locked at C in any inning are never made to pitch: catching after
+  // pitching, or pitching after 4+ innings caught, breaks Rules 2-4
+  const lockedPitchers = new Set()
+  const lockedCatchers = new Set()
+  Object.values(lockedByInning).forEach(inningLocks => {
+    if (inningLocks.P) lockedPitchers.add(inningLocks.P)
+    if (inningLocks.C) lockedCatchers.add(inningLocks.C)
+  })
+
+  const orderIndex = (id) => battingOrder.indexOf(id)
+
+  let currentPitcher = null
+  let pitcherStint = 0
+  let currentCatcher = null
+  let catcherStint = 0
+  let previousInning = null
+
+  innings.forEach(inning => {
+    const assigned = { ...(lockedByInning[inning] || {}) }
+    const used = new Set(Object.values(assigned))
+
+    // Pitcher: continue the current stint, otherwise bring in someone who hasn't pitched or caught
+    if (!assigned.P) {
+      const continuing = currentPitcher &&
+        positions[previousInning]?.P === currentPitcher &&
+        pitcherStint < BATTERY_STINT_INNINGS &&
+        !used.has(currentPitcher)
+
+      const canPitch = (id) =>
+        !used.has(id) &&
+        !stats[id].pitched &&
+        !ineligiblePitchers.includes(id) &&
+        !lockedPitchers.has(id) &&
+        !lockedCatchers.has(id)
+
+      const pitcher = continuing
+        ? currentPitcher
+        : battingOrder.find(id => canPitch(id) && !stats[id].caught) ||
+          battingOrder.find(id => canPitch(id))
+
+      if (pitcher) {
+        assigned.P = pitcher
+        used.add(pitcher)
+      } else {
+        warnings.push(`No eligible pitcher left for inning ${inning}`)
+      }
+    }
+
+    // Catcher: continue the current stint, otherwise prefer someone who hasn't caught yet
+    if (!assigned.C) {
+      const continuing = currentCatcher &&
+        positions[previousInning]?.C === currentCatcher &&
+        catcherStint < BATTERY_STINT_INNINGS &&
+        !used.has(currentCatcher)
+
+      const canCatch = (id) => !used.has(id) && !stats[id].pitched && !lockedPitchers.has(id)
+
+      const catcher = continuing
+        ? currentCatcher
+        : battingOrder.find(id => canCatch(id) && !stats[id].caught) ||
+          battingOrder.find(id => canCatch(id))
+
+      if (catcher) {
+        assigned.C = catcher
+        used.add(catcher)
+      }
+    }
+
+    // Bench: players who sat last inning play (Rule 7); otherwise whoever has played most sits
+    const available = battingOrder.filter(id => !used.has(id))
+    const openPositions = FIELD_POSITIONS.filter(pos => !assigned[pos] && pos !== 'P' && pos !== 'C')
+    const benchCount = Math.max(0, available.length - openPositions.length)
+
+    const bench = [...available]
+      .sort((a, b) =>
+        (stats[a].satLast - stats[b].satLast) ||
+        (stats[b].played - stats[a].played) ||
+        (stats[b].infield - stats[a].infield) ||
+        (orderIndex(b) - orderIndex(a))
+      )
+      .slice(0, benchCount)
+
+    // Fielders: players with the fewest infield innings go to the infield
+    const fielders = available
+      .filter(id => !bench.includes(id))
+      .sort((a, b) =>
+        (stats[a].infield - stats[b].infield) ||
+        ((stats[b].played - stats[b].infield) - (stats[a].played - stats[a].infield)) ||
+        (orderIndex(a) - orderIndex(b))
+      )
+
+    const openInfield = openPositions.filter(pos => INFIELD_POSITIONS.includes(pos))
+    const openOutfield = openPositions.filter(pos => !INFIELD_POSITIONS.includes(pos))
+
+    // Give each player the open position they have played least
+    const fill = (players, open) => {
+      players.forEach(id => {
+        if (open.length === 0) return
+        const pos = [...open].sort((a, b) =>
+          (stats[id].byPosition[a] || 0) - (stats[id].byPosition[b] || 0)
+        )[0]
+        assigned[pos] = id
+        open.splice(open.indexOf(pos), 1)
+      })
+    }
+
+    const infieldCount = openInfield.length
+    fill(fielders.slice(0, infieldCount), openInfield)
+    fill(fielders.slice(infieldCount), openOutfield)
+
+    // Record the inning
+    positions[inning] = {}
+    FIELD_POSITIONS.forEach(pos => {
+      if (assigned[pos]) positions[inning][pos] = assigned[pos]
+    })
+
+    const fielded = new Set(Object.values(positions[inning]))
+    battingOrder.forEach(id => {
+      const pos = Object.keys(positions[inning]).find(p => positions[inning][p] === id)
+      const s = stats[id]
+      s.satLast = !fielded.has(id)
+      if (!pos) return
+      s.played += 1
+      if (INFIELD_POSITIONS.includes(pos)) s.infield += 1
+      s.byPosition[pos] = (s.byPosition[pos] || 0) + 1
+      if (pos === 'P') s.pitched = true
+      if (pos === 'C') s.caught = true
+    })
+
+    pitcherStint = positions[inning].P && positions[inning].P === currentPitcher ? pitcherStint + 1 : 1
+    currentPitcher = positions[inning].P || null
+    catcherStint = positions[inning].C && positions[inning].C === currentCatcher ? catcherStint + 1 : 1
+    currentCatcher = positions[inning].C || null
+    previousInning = inning
+  })
+
+  const emptySlots = FIELD_POSITIONS.length - Math.min(battingOrder.length, FIELD_POSITIONS.length)
+  if (emptySlots > 0) {
+    warnings.push(`Only ${battingOrder.length} players in the batting order: ${emptySlots} position${emptySlots !== 1 ? 's' : ''} left empty each inning`)
+  }
+
+  // Report anything the rotation could not satisfy (e.g. too many players to avoid consecutive sitting)
+  const violations = getLineupViolations(battingOrder, positions, innings)
+  Object.entries(violations).forEach(([playerId, playerViolations]) => {
+    playerViolations.forEach(v => {
+      warnings.push(`${playerNames[playerId] || 'Unknown player'}: Rule ${PLAYING_TIME_RULES[v.rule_id].number} — ${v.message}`)
+    })
+  })
+
+  return { positions, warnings, violations }
+}
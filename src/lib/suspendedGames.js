@@ -0,0 +1,301 @@
+/**
+ * Suspended games
+ *
+ * A game cut short by darkness or rain can be suspended after an inning and
+ * finished on a later date as the same game (games.suspended_after_inning,
+ * games.resume_date). Innings up to the suspension were played on game_date,
+ * later innings on resume_date.
+ *
+ * Each date's pitches are logged separately: a player who pitches after the
+ * game resumes gets a second pitching log (resumed = true, pitch_date =
+ * resume_date). The first date's pitches count toward that day's rest, and
+ * pitchers in the resumed portion are checked against the resume date. On
+ * the resume date the resumed portion is played before the day's other games.
+ */
+
+import { formatDate } from './pitchCountUtils'
+import { PITCH_SMART_RULES, calculateNextEligibleDate } from './pitchSmartRules'
+import { getGamePitchingViolations } from './violationRules'
+import { getGamePlayingTimeViolations } from './playingTimeRules'
+import { fetchEligibilityDatesBeforeDate } from './pitcherEligibility'
+
+/**
+ * Get the inning a game was suspended after
+ *
+ * @param {Object|null} game - games record or Game Entry form data
+ * @returns {number|null} null if the game was never suspended
+ */
+export function getSuspensionInning(game) {
+  const inning = parseInt(game?.suspended_after_inning)
+  return inning > 0 ? inning : null
+}
+
+/**
+ * Check whether an inning was played after the game resumed
+ *
+ * @param {Object|null} game - games record or Game Entry form data
+ * @param {number} inning - Inning number
+ * @returns {boolean}
+ */
+export function isResumedInning(game, inning) {
+  const suspension = getSuspensionInning(game)
+  return suspension !== null && inning > suspension
+}
+
+/**
+ * Get the date an inning was played
+ *
+ * @param {Object} game - { game_date, suspended_after_inning, resume_date }
+ * @param {number} inning - Inning number
+ * @returns {string} YYYY-MM-DD
+ *
+ * @example
+ * const game = { game_date: '2025-05-03', suspended_after_inning: 4, resume_date: '2025-05-10' }
+ * getInningDate(game, 4) // returns '2025-05-03'
+ * getInningDate(game, 5) // returns '2025-05-10'
+ */
+export function getInningDate(game, inning) {
+  return isResumedInning(game, inning) && game.resume_date ? game.resume_date : game.game_date
+}
+
+/**
+ * Validate the suspension fields of a game
+ * A suspended game needs the inning it stopped after; once it is back in
+ * progress or final it also needs the date it resumed.
+ *
+ * @param {Object} game - { status, game_date, suspended_after_inning, resume_date }
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateSuspension(game) {
+  const suspension = getSuspensionInning(game)
+  const hasInning = game.suspended_after_inning !== '' && game.suspended_after_inning != null
+
+  if (hasInning && suspension === null) {
+    return 'The game can only be suspended after inning 1 or later'
+  }
+  if (game.status === 'suspended' && suspension === null) {
+    return 'Enter the inning the game was suspended after'
+  }
+  if (game.resume_date) {
+    if (suspension === null) return 'Enter the inning the game was suspended after, or clear the resume date'
+    if (game.game_date && game.resume_date <= game.game_date) return 'The resume date must be after the game date'
+  }
+  if (suspension !== null && (game.status === 'in_progress' || game.status === 'final') && !game.resume_date) {
+    return 'Enter the date the suspended game resumed'
+  }
+
+  return null
+}
+
+/**
+ * Check that no innings after the suspension are recorded before the game resumes
+ *
+ * @param {Object} game - Game Entry form data
+ * @param {Array} players - Game Entry player records
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateResumedInnings(game, players) {
+  const suspension = getSuspensionInning(game)
+  if (suspension === null || game.status !== 'suspended') return null
+
+  const resumed = players.filter(p =>
+    [...p.innings_pitched, ...p.innings_caught, ...Object.keys(p.fielding_positions || {}).map(Number)]
+      .some(inning => inning > suspension)
+  )
+  if (resumed.length === 0) return null
+
+  return `Innings after inning ${suspension} are entered once the game resumes ` +
+    `(recorded for ${resumed.map(p => p.name).join(', ')}). Change the status when you enter them.`
+}
+
+/**
+ * Split a Game Entry player record into the part played on each date
+ * Without a suspension the whole game is one portion. The resumed portion
+ * uses the player's resumed_penultimate_batter_count and resumed_final_pitch_count.
+ *
+ * @param {Object|null} game - Game Entry form data or games record
+ * @param {Object} player - Game Entry player record
+ * @returns {Array<{date: string|null, resumed: boolean, pitchedInnings: Array, caughtInnings: Array,
+ *   penultimateBatterCount: string, finalPitchCount: string}>} First date first; counts as entered
+ */
+export function getPlayerPortions(game, player) {
+  const suspension = getSuspensionInning(game)
+  const firstDate = {
+    date: game?.game_date || null,
+    resumed: false,
+    pitchedInnings: player.innings_pitched,
+    caughtInnings: player.innings_caught,
+    penultimateBatterCount: player.penultimate_batter_count,
+    finalPitchCount: player.final_pitch_count
+  }
+  if (suspension === null) return [firstDate]
+
+  const before = (inning) => inning <= suspension
+  return [
+    {
+      ...firstDate,
+      pitchedInnings: player.innings_pitched.filter(before),
+      caughtInnings: player.innings_caught.filter(before)
+    },
+    {
+      date: game.resume_date || game.game_date,
+      resumed: true,
+      pitchedInnings: player.innings_pitched.filter(inning => !before(inning)),
+      caughtInnings: player.innings_caught.filter(inning => !before(inning)),
+      penultimateBatterCount: player.resumed_penultimate_batter_count ?? '',
+      finalPitchCount: player.resumed_final_pitch_count ?? ''
+    }
+  ]
+}
+
+/**
+ * Split a game's positions and pitching logs by the date they were played
+ * Pitching logs are matched by their resumed flag, positions by inning.
+ *
+ * @param {Object} game - { game_date, suspended_after_inning, resume_date }
+ * @param {Array} positions - positions_played records for the game
+ * @param {Array} pitchingLogs - pitching_logs records for the game
+ * @returns {Array<{date: string, resumed: boolean, positions: Array, pitchingLogs: Array}>} First date first
+ */
+export function splitGamePortions(game, positions, pitchingLogs) {
+  if (getSuspensionInning(game) === null) {
+    return [{ date: game.game_date, resumed: false, positions, pitchingLogs }]
+  }
+
+  return [false, true].map(resumed => ({
+    date: resumed ? (game.resume_date || game.game_date) : game.game_date,
+    resumed,
+    positions: positions.filter(pos => isResumedInning(game, pos.inning_number) === resumed),
+    pitchingLogs: pitchingLogs.filter(log => !!log.resumed === resumed)
+  }))
+}
+
+/**
+ * Get the date a pitching log's pitches were thrown
+ * Stored logs carry pitch_date; logs built in the browser fall back to the game.
+ *
+ * @param {Object} game - { game_date, resume_date }
+ * @param {Object} log - pitching_logs record ({ pitch_date, resumed })
+ * @returns {string} YYYY-MM-DD
+ */
+export function getPitchDate(game, log) {
+  return log.pitch_date || (log.resumed && game.resume_date) || game.game_date
+}
+
+/**
+ * Collect every violation in a game, checking each date it was played on separately
+ * Each date is its own outing: Rules 1-5 look at the innings and pitches of
+ * that date and Rule 6 at the player's eligibility on it. Pitches from
+ * earlier games only count on the game date, since the resumed portion is
+ * the first game of the resume date. Rules 7 and 8 cover the whole game.
+ * Without a suspension this is getGameViolations() for the game date.
+ *
+ * @param {Object} game - { game_date, suspended_after_inning, resume_date }
+ * @param {Array} positions - positions_played records for the game
+ * @param {Array} pitchingLogs - pitching_logs records for the game
+ * @param {Object} playerAges - Map of player_id -> age
+ * @param {Object} [eligibility]
+ * @param {Object} [eligibility.eligibilityDates] - player_id -> next_eligible_pitch_date before the game date
+ * @param {Object} [eligibility.earlierPitches] - player_id -> pitches from earlier games on the game date
+ * @param {Object} [eligibility.resumeEligibilityDates] - player_id -> next_eligible_pitch_date before the
+ *   resume date, including rest from the game's first date
+ * @param {string|null} [division] - Game division
+ * @param {Array} [rules] - The season's Pitch Smart rule set
+ * @returns {Array} Violation records (see getPlayerViolations), game date first, then Rules 7-8
+ */
+export function getGameViolationsByDate(game, positions, pitchingLogs, playerAges, {
+  eligibilityDates = {},
+  earlierPitches = {},
+  resumeEligibilityDates = {}
+} = {}, division = null, rules = PITCH_SMART_RULES) {
+  const pitching = splitGamePortions(game, positions, pitchingLogs).flatMap(portion =>
+    getGamePitchingViolations(
+      portion.positions,
+      portion.pitchingLogs,
+      playerAges,
+      portion.date,
+      portion.resumed ? resumeEligibilityDates : eligibilityDates,
+      division,
+      rules,
+      portion.resumed ? {} : earlierPitches
+    )
+  )
+  return [...pitching, ...getGamePlayingTimeViolations(positions)]
+}
+
+/**
+ * Get a Game Entry player's eligibility on the date a suspended game resumed
+ * The later of what earlier games left (resumePreviousNextEligibleDate,
+ * fetched without this game) and the rest owed for the game's first date.
+ *
+ * @param {Object} game - Game Entry form data
+ * @param {Object} player - Game Entry player record with previousNextEligibleDate,
+ *   resumePreviousNextEligibleDate and earlierPitchesToday
+ * @param {Array} [rules] - The season's Pitch Smart rule set
+ * @returns {string|null} YYYY-MM-DD, or null if the player has no outstanding rest
+ */
+export function getResumeEligibilityDate(game, player, rules = PITCH_SMART_RULES) {
+  const [firstDate] = getPlayerPortions(game, player)
+  const dates = [player.resumePreviousNextEligibleDate, player.previousNextEligibleDate]
+
+  if (firstDate.pitchedInnings.length > 0 && firstDate.finalPitchCount) {
+    const dayPitches = parseInt(firstDate.penultimateBatterCount || 0) + 1 + (player.earlierPitchesToday || 0)
+    dates.push(calculateNextEligibleDate(game.game_date, player.age, dayPitches, rules))
+  }
+
+  return dates.filter(Boolean).sort().pop() || null
+}
+
+/**
+ * Fetch each player's eligibility before the date a suspended game resumed
+ * The game's own logs are left out, so its first date can be re-entered.
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string[]} playerIds - Player UUIDs
+ * @param {Object} game - { id (null for a new game), suspended_after_inning, resume_date }
+ * @returns {Promise<Object>} Map of player_id -> next_eligible_pitch_date ({} if the game has not resumed)
+ */
+export async function fetchResumeEligibilityDates(supabaseClient, playerIds, game) {
+  if (getSuspensionInning(game) === null || !game.resume_date) return {}
+  return fetchEligibilityDatesBeforeDate(supabaseClient, playerIds, game.resume_date, game.id || null)
+}
+
+/**
+ * Convert a player's pitching logs for a game into Game Entry pitch count fields
+ *
+ * @param {Array} logs - One player's pitching_logs records for the game
+ * @returns {Object} { penultimate_batter_count, final_pitch_count } as strings, plus
+ *   resumed_penultimate_batter_count and resumed_final_pitch_count when the player pitched after the game resumed
+ */
+export function pitchingLogsToPlayerCounts(logs) {
+  const first = logs.find(log => !log.resumed)
+  const resumed = logs.find(log => log.resumed)
+
+  const counts = {
+    penultimate_batter_count: first?.penultimate_batter_count?.toString() || '',
+    final_pitch_count: first?.final_pitch_count?.toString() || ''
+  }
+  if (resumed) {
+    counts.resumed_penultimate_batter_count = resumed.penultimate_batter_count?.toString() || ''
+    counts.resumed_final_pitch_count = resumed.final_pitch_count?.toString() || ''
+  }
+  return counts
+}
+
+/**
+ * Format a game's suspension for display
+ *
+ * @param {Object} game - games record or Game Entry form data
+ * @returns {string|null} e.g. "Suspended after inning 4, resumed May 10, 2025"; null if never suspended
+ */
+export function formatSuspension(game) {
+  const suspension = getSuspensionInning(game)
+  if (suspension === null) return null
+
+  const text = `Suspended after inning ${suspension}`
+  if (!game.resume_date) return text
+  return game.status === 'suspended'
+    ? `${text}, resumes ${formatDate(game.resume_date)}`
+    : `${text}, resumed ${formatDate(game.resume_date)}`
+}
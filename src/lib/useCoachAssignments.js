@@ -12,6 +12,8 @@ export function useCoachAssignments(profile) {
   const [teams, setTeams] = useState([])
   const [divisions, setDivisions] = useState([])
   const [teamObjects, setTeamObjects] = useState([])
+  const [headCoachTeams, setHeadCoachTeams] = useState([])
+  const [editableTeams, setEditableTeams] = useState([])
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
 
@@ -37,6 +39,8 @@ export function useCoachAssignments(profile) {
         .from('team_coaches')
         .select(`
           team_id,
+          role,
+          can_edit,
           teams:team_id (
             id,
             name,
@@ -50,6 +54,10 @@ export function useCoachAssignments(profile) {
       // Extract team IDs
       const teamIds = data?.map(tc => tc.team_id) || []
 
+      // Teams the coach is head coach of (they confirm games) and can edit
+      const headCoachTeamIds = data?.filter(tc => tc.role === 'head_coach').map(tc => tc.team_id) || []
+      const editableTeamIds = data?.filter(tc => tc.can_edit !== false).map(tc => tc.team_id) || []
+
       // Extract team objects (flatten the nested structure)
       const teamsData = data?.map(tc => tc.teams).filter(Boolean) || []
 
@@ -57,6 +65,8 @@ export function useCoachAssignments(profile) {
       const uniqueDivisions = [...new Set(teamsData.map(t => t.division).filter(Boolean))]
 
       setTeams(teamIds)
+      setHeadCoachTeams(headCoachTeamIds)
+      setEditableTeams(editableTeamIds)
       setTeamObjects(teamsData)
       setDivisions(uniqueDivisions)
     } catch (err) {
@@ -105,6 +115,8 @@ export function useCoachAssignments(profile) {
     teams,
     divisions,
     teamObjects,
+    headCoachTeams,
+    editableTeams,
     loading,
     error,
     isCoach,
@@ -0,0 +1,58 @@
+import { useState, useEffect, useCallback } from 'react'
+import { supabase } from './supabase'
+import { PITCH_SMART_RULES } from './pitchSmartRules'
+import * as offlineStore from './offlineStore'
+import { fetchSeasonRules } from './offlineSync'
+
+/**
+ * Custom hook for loading a season's Pitch Smart rule set
+ * Returns the league defaults until the season's rules have loaded (or if none are stored)
+ *
+ * @param {string|null} seasonId - Season UUID
+ * @returns {Object} rules, isDefault flag, loading/error state and a refresh function
+ */
+export function usePitchSmartRules(seasonId) {
+  const [rules, setRules] = useState(PITCH_SMART_RULES)
+  const [isDefault, setIsDefault] = useState(true)
+  const [loading, setLoading] = useState(!!seasonId)
+  const [error, setError] = useState(null)
+
+  const loadRules = useCallback(async () => {
+    if (!seasonId) {
+      setRules(PITCH_SMART_RULES)
+      setIsDefault(true)
+      setLoading(false)
+      return
+    }
+
+    try {
+      setLoading(true)
+      setError(null)
+
+      // Falls back to the copy saved on this device when offline
+      const { data: result } = await fetchSeasonRules(supabase, offlineStore, seasonId)
+
+      setRules(result.rules)
+      setIsDefault(result.isDefault)
+    } catch (err) {
+      setError('Failed to load pitch count rules: ' + err.message)
+      console.error('Error fetching pitch count rules:', err)
+      setRules(PITCH_SMART_RULES)
+      setIsDefault(true)
+    } finally {
+      setLoading(false)
+    }
+  }, [seasonId])
+
+  useEffect(() => {
+    loadRules()
+  }, [loadRules])
+
+  return {
+    rules,
+    isDefault,
+    loading,
+    error,
+    refresh: loadRules
+  }
+}
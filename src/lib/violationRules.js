@@ -6,6 +6,37 @@
  */
 
 import { PITCH_SMART_RULES } from './pitchSmartRules'
+import { formatDate } from './pitchCountUtils'
+import { PLAYING_TIME_RULES, getGamePlayingTimeViolations } from './playingTimeRules'
+
+/**
+ * Rule identifiers stored in game_violations.rule_id
+ * Numbers match the rule numbering in RULES.md. Blocking rules (1-5) stop a
+ * game from being saved unless an admin waives them; Rules 6-8 only warn.
+ * Rules 7 and 8 (playing time) are only checked for players whose fielding
+ * positions were recorded.
+ */
+export const VIOLATION_RULES = {
+  consecutive_innings: { number: 1, name: 'Pitcher returned after being taken out', blocking: true },
+  high_pitch_count_catching: { number: 2, name: '41+ pitches, then caught', blocking: true },
+  four_innings_catching: { number: 3, name: 'Caught 4+ innings, then pitched', blocking: true },
+  catch_pitch_combined: { number: 4, name: 'Caught 1-3 innings + 21+ pitches, then caught again', blocking: true },
+  max_pitches_exceeded: { number: 5, name: 'Exceeded daily pitch limit', blocking: true },
+  insufficient_rest: { number: 6, name: 'Pitched before rest period ended', blocking: false },
+  consecutive_sitting: { ...PLAYING_TIME_RULES.consecutive_sitting, blocking: false },
+  no_infield_inning: { ...PLAYING_TIME_RULES.no_infield_inning, blocking: false }
+}
+
+/**
+ * Get a short display label for a rule id
+ *
+ * @param {string} ruleId - Key of VIOLATION_RULES
+ * @returns {string} e.g. "Rule 5: Exceeded daily pitch limit"
+ */
+export function getViolationRuleLabel(ruleId) {
+  const rule = VIOLATION_RULES[ruleId]
+  return rule ? `Rule ${rule.number}: ${rule.name}` : ruleId
+}
 
 /**
  * Calculate effective pitch count for rest day calculation
@@ -18,14 +49,23 @@ export function getEffectivePitchCount(penultimateBatterCount) {
 
 /**
  * Get maximum allowed pitches per game for a player's age
+ * Pass a season's rule set to override the PITCH_SMART_RULES defaults.
  */
-export function getMaxPitchesForAge(age) {
-  const rule = PITCH_SMART_RULES.find(
+export function getMaxPitchesForAge(age, rules = PITCH_SMART_RULES) {
+  const rule = rules.find(
     r => age >= r.ageMin && age <= r.ageMax
   )
   return rule ? rule.maxPitchesPerGame : null
 }
 
+/**
+ * Get the daily pitch maximum for a player in a game
+ * Training division games use a flat 50-pitch max regardless of age.
+ */
+export function getMaxPitchesForDivision(age, division = null, rules = PITCH_SMART_RULES) {
+  return division === 'Training' ? 50 : getMaxPitchesForAge(age, rules)
+}
+
 /**
  * Rule 1: Pitchers must pitch consecutive innings
  * A pitcher cannot return after being taken out
@@ -94,15 +134,17 @@ export function cannotCatchAgainDueToCombined(pitchedInnings, caughtInnings, eff
 
 /**
  * Rule 5: Pitch count exceeds age-based limit
- * Players cannot exceed their age-specific pitch count limit per game
+ * Players cannot exceed their age-specific pitch count limit per day
+ * (pass the day's combined total for a doubleheader)
  * - Ages 7-8: Max 50 pitches
  * - Ages 9-10: Max 75 pitches
  * - Ages 11-12: Max 85 pitches
  * - Training division: Max 50 pitches regardless of age
+ * Age limits come from the season's rule set when one is passed in.
  */
-export function exceedsMaxPitchesForAge(age, effectivePitches, division = null) {
+export function exceedsMaxPitchesForAge(age, effectivePitches, division = null, rules = PITCH_SMART_RULES) {
   if (!age) return false
-  const maxPitches = division === 'Training' ? 50 : getMaxPitchesForAge(age)
+  const maxPitches = getMaxPitchesForDivision(age, division, rules)
   if (!maxPitches) return false
   return effectivePitches > maxPitches
 }
@@ -144,8 +186,101 @@ export function pitchedBeforeEligibleDate(gameDate, nextEligiblePitchDate, pitch
 }
 
 /**
- * Calculate if a game has violations given its related data
- * This function is reusable for both save-time calculation and on-demand checks
+ * Collect every violation for a single player in a game
+ *
+ * @param {Object} params
+ * @param {string} params.playerId - Player UUID
+ * @param {number[]} params.pitchedInnings - Innings the player pitched
+ * @param {number[]} params.caughtInnings - Innings the player caught
+ * @param {number} params.effectivePitches - Penultimate batter count + 1 (0 if not pitching)
+ * @param {number} params.age - Player age
+ * @param {string|null} [params.gameDate] - Game date (YYYY-MM-DD), required for Rule 6
+ * @param {string|null} [params.nextEligiblePitchDate] - Eligibility date from the player's previous games
+ * @param {number} [params.earlierPitchesToday] - Pitches from the player's earlier games the same day (Rule 5 checks the total)
+ * @param {string|null} [params.division] - Game division ('Training' uses a flat 50-pitch max)
+ * @param {Array} [params.rules] - The season's Pitch Smart rule set
+ * @returns {Array<{rule_id: string, player_id: string, innings: number[], pitch_count: number|null, message: string}>}
+ *
+ * @example
+ * getPlayerViolations({ playerId: 'p1', pitchedInnings: [1, 3], caughtInnings: [], effectivePitches: 30, age: 10 })
+ * // returns [{ rule_id: 'consecutive_innings', player_id: 'p1', innings: [1, 3], pitch_count: 30, message: '...' }]
+ */
+export function getPlayerViolations({
+  playerId,
+  pitchedInnings = [],
+  caughtInnings = [],
+  effectivePitches = 0,
+  age,
+  gameDate = null,
+  nextEligiblePitchDate = null,
+  earlierPitchesToday = 0,
+  division = null,
+  rules = PITCH_SMART_RULES
+}) {
+  const pitched = [...pitchedInnings].sort((a, b) => a - b)
+  const caught = [...caughtInnings].sort((a, b) => a - b)
+  const pitchCount = pitched.length > 0 ? effectivePitches : null
+  const violations = []
+
+  const add = (ruleId, innings, message) => {
+    violations.push({
+      rule_id: ruleId,
+      player_id: playerId,
+      innings,
+      pitch_count: pitchCount,
+      message
+    })
+  }
+
+  // Rule 1: Consecutive innings
+  if (hasInningsGap(pitched)) {
+    add('consecutive_innings', pitched,
+      `Pitched innings ${pitched.join(', ')}. A pitcher cannot return after being taken out; innings must be consecutive.`)
+  }
+
+  // Rule 2: 41+ pitches -> cannot catch after
+  if (cannotCatchDueToHighPitchCount(pitched, caught, effectivePitches)) {
+    const lastPitched = Math.max(...pitched)
+    add('high_pitch_count_catching', caught.filter(inning => inning > lastPitched),
+      `Threw ${effectivePitches} pitches (41+) and cannot catch for the remainder of this game.`)
+  }
+
+  // Rule 3: 4 innings catching -> cannot pitch after
+  if (cannotPitchDueToFourInningsCatching(pitched, caught)) {
+    add('four_innings_catching', pitched.filter(inning => inning > caught[3]),
+      `Caught ${caught.length} innings and cannot pitch in this game.`)
+  }
+
+  // Rule 4: Catch 1-3 + pitch 21+ -> cannot return to catch
+  if (cannotCatchAgainDueToCombined(pitched, caught, effectivePitches)) {
+    const lastPitched = Math.max(...pitched)
+    add('catch_pitch_combined', caught.filter(inning => inning > lastPitched),
+      `Caught 1-3 innings and threw ${effectivePitches} pitches (21+). Cannot catch again in this game.`)
+  }
+
+  // Rule 5: Pitch count exceeds age limit (earlier games the same day count toward it)
+  const dailyPitches = effectivePitches > 0 ? effectivePitches + earlierPitchesToday : 0
+  if (exceedsMaxPitchesForAge(age, dailyPitches, division, rules)) {
+    const thrown = earlierPitchesToday > 0
+      ? `Threw ${effectivePitches} pitches after ${earlierPitchesToday} earlier today (${dailyPitches} total)`
+      : `Threw ${effectivePitches} pitches`
+    add('max_pitches_exceeded', pitched,
+      division === 'Training'
+        ? `${thrown}, exceeding the maximum of 50 for Training division.`
+        : `${thrown}, exceeding the maximum of ${getMaxPitchesForAge(age, rules)} for age ${age}.`)
+  }
+
+  // Rule 6: Pitched before eligible date
+  if (gameDate && pitchedBeforeEligibleDate(gameDate, nextEligiblePitchDate, pitched)) {
+    add('insufficient_rest', pitched,
+      `Pitched before their required rest period ended. Not eligible to pitch until ${formatDate(nextEligiblePitchDate, { month: 'short', day: 'numeric', year: 'numeric' })}.`)
+  }
+
+  return violations
+}
+
+/**
+ * Collect the pitching and catching violations (Rules 1-6) in a game
  *
  * @param {Array} positions - positions_played records for the game
  * @param {Array} pitchingLogs - pitching_logs records for the game
@@ -153,13 +288,16 @@ export function pitchedBeforeEligibleDate(gameDate, nextEligiblePitchDate, pitch
  * @param {string} [gameDate] - The date of the current game (YYYY-MM-DD format), required for Rule 6
  * @param {Object} [playerEligibilityDates] - Map of player_id -> next_eligible_pitch_date from previous games
  * @param {string|null} [division] - The division of the game ('Training', 'Minor', 'Major'). Training overrides Rule 5 to use a flat 50-pitch max.
- * @returns {boolean} - true if any violations exist, false otherwise
+ * @param {Array} [rules] - The season's Pitch Smart rule set (defaults to PITCH_SMART_RULES)
+ * @param {Object} [playerEarlierPitches] - Map of player_id -> pitches from earlier games the same day (Rule 5)
+ * @returns {Array} Violation records (see getPlayerViolations), ordered by player then rule
  */
-export function calculateGameHasViolations(positions, pitchingLogs, playerAges, gameDate = null, playerEligibilityDates = {}, division = null) {
+export function getGamePitchingViolations(positions, pitchingLogs, playerAges, gameDate = null, playerEligibilityDates = {}, division = null, rules = PITCH_SMART_RULES, playerEarlierPitches = {}) {
   // Group by player
   const playerData = {}
 
   positions.forEach(pos => {
+    if (pos.position !== 'pitcher' && pos.position !== 'catcher') return
     if (!playerData[pos.player_id]) {
       playerData[pos.player_id] = { pitched: [], caught: [], pitching: null }
     }
@@ -176,30 +314,57 @@ export function calculateGameHasViolations(positions, pitchingLogs, playerAges,
     }
   })
 
-  // Check each player for violations
-  for (const [playerId, player] of Object.entries(playerData)) {
-    const pitchedInnings = player.pitched.sort((a, b) => a - b)
-    const caughtInnings = player.caught.sort((a, b) => a - b)
-    const effectivePitches = player.pitching ? (player.pitching.penultimate_batter_count + 1) : 0
-
-    // Check Rule 1: Consecutive innings
-    if (hasInningsGap(pitchedInnings)) return true
-
-    // Check Rule 2: 41+ pitches -> cannot catch after
-    if (cannotCatchDueToHighPitchCount(pitchedInnings, caughtInnings, effectivePitches)) return true
-
-    // Check Rule 3: 4 innings catching -> cannot pitch after
-    if (cannotPitchDueToFourInningsCatching(pitchedInnings, caughtInnings)) return true
-
-    // Check Rule 4: Catch 1-3 + pitch 21+ -> cannot return to catch
-    if (cannotCatchAgainDueToCombined(pitchedInnings, caughtInnings, effectivePitches)) return true
-
-    // Check Rule 5: Pitch count exceeds age limit
-    if (exceedsMaxPitchesForAge(playerAges[playerId], effectivePitches, division)) return true
+  return Object.entries(playerData).flatMap(([playerId, player]) =>
+    getPlayerViolations({
+      playerId,
+      pitchedInnings: player.pitched,
+      caughtInnings: player.caught,
+      effectivePitches: player.pitching ? (player.pitching.penultimate_batter_count + 1) : 0,
+      age: playerAges[playerId],
+      gameDate,
+      nextEligiblePitchDate: playerEligibilityDates[playerId],
+      earlierPitchesToday: playerEarlierPitches[playerId] || 0,
+      division,
+      rules
+    })
+  )
+}
 
-    // Check Rule 6: Pitched before eligible date
-    if (gameDate && pitchedBeforeEligibleDate(gameDate, playerEligibilityDates[playerId], pitchedInnings)) return true
-  }
+/**
+ * Collect every violation in a game given its related data
+ * The returned records are what gets stored in the game_violations table.
+ *
+ * @param {Array} positions - positions_played records for the game
+ * @param {Array} pitchingLogs - pitching_logs records for the game
+ * @param {Object} playerAges - Map of player_id -> age
+ * @param {string} [gameDate] - The date of the current game (YYYY-MM-DD format), required for Rule 6
+ * @param {Object} [playerEligibilityDates] - Map of player_id -> next_eligible_pitch_date from previous games
+ * @param {string|null} [division] - The division of the game ('Training', 'Minor', 'Major'). Training overrides Rule 5 to use a flat 50-pitch max.
+ * @param {Array} [rules] - The season's Pitch Smart rule set (defaults to PITCH_SMART_RULES)
+ * @param {Object} [playerEarlierPitches] - Map of player_id -> pitches from earlier games the same day (Rule 5)
+ * @returns {Array} Violation records: Rules 1-6 by player then rule, then Rules 7-8 (see getGamePlayingTimeViolations)
+ */
+export function getGameViolations(positions, pitchingLogs, playerAges, gameDate = null, playerEligibilityDates = {}, division = null, rules = PITCH_SMART_RULES, playerEarlierPitches = {}) {
+  return [
+    ...getGamePitchingViolations(positions, pitchingLogs, playerAges, gameDate, playerEligibilityDates, division, rules, playerEarlierPitches),
+    ...getGamePlayingTimeViolations(positions)
+  ]
+}
 
-  return false
+/**
+ * Calculate if a game has violations given its related data
+ * This function is reusable for both save-time calculation and on-demand checks
+ *
+ * @param {Array} positions - positions_played records for the game
+ * @param {Array} pitchingLogs - pitching_logs records for the game
+ * @param {Object} playerAges - Map of player_id -> age
+ * @param {string} [gameDate] - The date of the current game (YYYY-MM-DD format), required for Rule 6
+ * @param {Object} [playerEligibilityDates] - Map of player_id -> next_eligible_pitch_date from previous games
+ * @param {string|null} [division] - The division of the game ('Training', 'Minor', 'Major'). Training overrides Rule 5 to use a flat 50-pitch max.
+ * @param {Array} [rules] - The season's Pitch Smart rule set (defaults to PITCH_SMART_RULES)
+ * @param {Object} [playerEarlierPitches] - Map of player_id -> pitches from earlier games the same day (Rule 5)
+ * @returns {boolean} - true if any violations exist, false otherwise
+ */
+export function calculateGameHasViolations(positions, pitchingLogs, playerAges, gameDate = null, playerEligibilityDates = {}, division = null, rules = PITCH_SMART_RULES, playerEarlierPitches = {}) {
+  return getGameViolations(positions, pitchingLogs, playerAges, gameDate, playerEligibilityDates, division, rules, playerEarlierPitches).length > 0
 }
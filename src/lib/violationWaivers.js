@@ -0,0 +1,88 @@
+/**
+ * Admin waivers for blocking violations
+ *
+ * Rules 1-5 block a game from being saved. An admin can waive a blocking
+ * violation with a written reason; the waiver is stored per game, player
+ * and rule in the violation_waivers table together with the approver.
+ * save_game() records new waivers and drops stale ones with the game.
+ */
+
+import { VIOLATION_RULES } from './violationRules'
+
+const violationKey = (v) => `${v.player_id}:${v.rule_id}`
+
+/**
+ * Check whether a rule blocks saving
+ *
+ * @param {string} ruleId - Key of VIOLATION_RULES
+ * @returns {boolean}
+ */
+export function isBlockingRule(ruleId) {
+  return VIOLATION_RULES[ruleId]?.blocking === true
+}
+
+/**
+ * Get the blocking violations that have no waiver yet
+ *
+ * @param {Array} violations - Records from getGameViolations ({ player_id, rule_id, ... })
+ * @param {Array} waivers - Existing waivers ({ player_id, rule_id })
+ * @returns {Array} Violations that still block saving
+ *
+ * @example
+ * getUnwaivedBlockingViolations(
+ *   [{ player_id: 'p1', rule_id: 'max_pitches_exceeded' }, { player_id: 'p1', rule_id: 'insufficient_rest' }],
+ *   []
+ * ) // returns the Rule 5 violation only
+ */
+export function getUnwaivedBlockingViolations(violations, waivers = []) {
+  const waivedKeys = new Set(waivers.map(violationKey))
+  return violations.filter(v => isBlockingRule(v.rule_id) && !waivedKeys.has(violationKey(v)))
+}
+
+/**
+ * Fetch the waivers recorded for a game, with the approver's name
+ * ACCEPTS DEPENDENCY: supabaseClient
+ *
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} gameId - Game UUID
+ * @returns {Promise<Array>} [{ id, player_id, rule_id, reason, approved_at, approver: { name } }]
+ */
+export async function fetchGameWaivers(supabaseClient, gameId) {
+  const { data, error } = await supabaseClient
+    .from('violation_waivers')
+    .select('id, player_id, rule_id, reason, approved_by, approved_at, approver:user_profiles(name)')
+    .eq('game_id', gameId)
+
+  if (error) throw error
+  return data || []
+}
+
+/**
+ * Find the waiver covering a violation
+ *
+ * @param {Array} waivers - Waivers for the game
+ * @param {Object} violation - { player_id, rule_id }
+ * @returns {Object|undefined} Matching waiver
+ */
+export function findWaiver(waivers, violation) {
+  const key = violationKey(violation)
+  return waivers.find(w => violationKey(w) === key)
+}
+
+/**
+ * Describe who approved a waiver and when
+ *
+ * @param {Object} waiver - Waiver record with approver join
+ * @returns {string} e.g. "Waived by Pat Admin on Apr 12, 2025, 6:30 PM"
+ */
+export function describeWaiverApproval(waiver) {
+  const approver = waiver.approver?.name || 'unknown admin'
+  const approvedAt = new Date(waiver.approved_at).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  })
+  return `Waived by ${approver} on ${approvedAt}`
+}